@@ -0,0 +1,134 @@
+// breakdown.js
+// "Why is this score what it is": clicking a state on the risk layer opens a panel that
+// splits its score into the components of the active risk model (riskmodel.js) as a
+// waterfall chart, with the raw input, weight and points of each component below it.
+// Labels and numbers follow the interface language (i18n.js).
+
+(function(){
+  const cmp = window.APP.compare;
+  const riskModel = window.APP.riskModel;
+  const riskConfig = window.APP.riskConfig;
+  const map = window.APP.map;
+  const i18n = window.APP.i18n;
+  const {t} = i18n;
+
+  // DOM references
+  const panel = document.getElementById('breakdown-panel');
+  const titleEl = document.getElementById('breakdown-title');
+  const canvas = document.getElementById('breakdown-chart');
+  const table = document.getElementById('breakdown-table');
+  const btnClose = document.getElementById('close-breakdown');
+
+  const states = cmp.levels.state.geo ? cmp.levels.state.geo.features : [];
+  const byFid = new Map(states.map(f => [f.properties.fid, f]));
+
+  const fmt = (v, digits=1) => i18n.number(v, {maximumFractionDigits: digits});
+  const componentLabel = p => t(`component.${p.key}`);
+
+  // bar steps of the waterfall: components, override and remainder, then the score itself
+  function waterfallSteps(d){
+    const steps = d.parts.map(p => ({label: componentLabel(p), points: p.points, color: p.color}));
+    steps.push({label: t('breakdown.overrideBy', {factor: fmt(d.override, 2)}), points: d.overridePoints, color: '#555'});
+    steps.push({label: t('breakdown.rounding'), points: d.residual, color: '#aaa'});
+    return steps;
+  }
+
+  let chart = null;
+  let current = null;
+
+  function render(feature){
+    current = feature;
+    const d = riskModel.decompose(feature);
+    const name = cmp.featureName('state', feature);
+    const cls = riskConfig.classify(d.score);
+    titleEl.textContent = t('breakdown.title', {name, score: fmt(d.score, 0), category: i18n.category(cls)});
+
+    // floating bars: each step starts where the previous one ended
+    const steps = waterfallSteps(d);
+    let run = 0;
+    const bars = steps.map(s => {
+      const from = run;
+      run += s.points;
+      return [from, run];
+    });
+    if(chart) chart.destroy();
+    chart = new Chart(canvas, {
+      type: 'bar',
+      data: {
+        labels: [...steps.map(s => s.label), t('breakdown.score')],
+        datasets: [{
+          label: t('breakdown.points'),
+          data: [...bars, [0, d.score || 0]],
+          backgroundColor: [...steps.map(s => s.color), cls.color],
+          borderColor: '#333', borderWidth: 1
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {display: false},
+          tooltip: { callbacks: {
+            label: ctx => ctx.dataIndex < steps.length
+              ? t('breakdown.pointsValue', {points: fmt(steps[ctx.dataIndex].points)})
+              : t('breakdown.scoreValue', {score: fmt(d.score, 0)})
+          } }
+        },
+        scales: { y: {beginAtZero: true, title: {display: true, text: t('breakdown.axis')}} }
+      }
+    });
+
+    table.innerHTML = '';
+    const head = table.createTHead().insertRow();
+    for(const key of ['component', 'input', 'value', 'weight', 'points']){
+      const th = document.createElement('th');
+      th.textContent = t(`breakdown.col.${key}`);
+      head.appendChild(th);
+    }
+    const tbody = table.createTBody();
+    const addRow = (cells, color) => {
+      const tr = tbody.insertRow();
+      cells.forEach((v, i) => {
+        const td = tr.insertCell();
+        td.textContent = v;
+        if(i >= 2) td.className = 'num';
+        if(i === 0 && color){
+          const swatch = document.createElement('span');
+          swatch.className = 'risk-swatch';
+          swatch.style.background = color;
+          td.prepend(swatch);
+        }
+      });
+    };
+    for(const p of d.parts) addRow([componentLabel(p), p.field, fmt(p.raw, 5), fmt(p.weight, 2), fmt(p.points)], p.color);
+    addRow([t('breakdown.override'), riskModel.OVERRIDE_FIELD, fmt(d.override, 2), '', fmt(d.overridePoints)], '#555');
+    addRow([t('breakdown.rounding'), '', '', '', fmt(d.residual)], '#aaa');
+    const foot = table.createTFoot().insertRow();
+    [t('breakdown.score'), riskConfig.field, '', '', fmt(d.score, 0)].forEach((v, i) => {
+      const td = foot.insertCell();
+      td.textContent = v;
+      if(i >= 2) td.className = 'num';
+    });
+
+    panel.style.display = 'block';
+  }
+
+  // the risk layer is at the bottom, so every other click handler goes first (onMapClick in index.html)
+  if(map && window.lyr_RiskIndex_1){
+    window.APP.onMapClick((evt)=>{
+      const hit = map.forEachFeatureAtPixel(evt.pixel, f => f, {layerFilter: l => l === window.lyr_RiskIndex_1});
+      const feature = hit && byFid.get(hit.get('fid'));
+      if(!feature) return false;
+      render(feature);
+      return true;
+    }, {priority: 10});
+  }
+  btnClose.addEventListener('click', ()=>{ panel.style.display = 'none'; current = null; });
+  // follow the weights while the panel is open
+  document.addEventListener('riskmodel:change', ()=>{ if(current && panel.style.display === 'block') render(current); });
+  document.addEventListener('i18n:change', ()=>{ if(current && panel.style.display === 'block') render(current); });
+
+  window.APP.breakdown = { waterfallSteps, show: render };
+
+  // End of breakdown.js
+})();
@@ -0,0 +1,258 @@
+// catchments.js
+// Police catchments: the Voronoi (Thiessen) cell of every police station in json_police_4, i.e. the
+// area closer to that station than to any other, clipped to the state boundaries of json_boundaries_2.
+//
+// Cells are built in a local equirectangular plane (longitude scaled by the cosine of the stations'
+// mean latitude), which keeps distances within about 1% of great-circle ones across Nigeria.
+// Each cell starts as the national bounding box and is cut by the perpendicular bisector towards
+// its neighbours, nearest first, until no further station can reach it. Stations sharing a
+// coordinate share one cell. The cell is then intersected with every state it overlaps.
+//
+// Each catchment carries the station name (plc_st_nam), its state, its area (km²) and the distance
+// from the station to the farthest point of the cell. Catchments above the upper outlier fence of
+// the areas (Q3 + 1.5 × IQR) are flagged: a new station there would shorten response distances most.
+// Cells are built the first time the panel opens. Exposed as window.APP.catchments.
+
+(function(){
+  const cmp = window.APP.compare;
+  const spatial = window.APP.spatial;
+  const geometry = window.APP.geometry;
+  const inventory = window.APP.inventory;
+  const map = window.APP.map;
+  const i18n = window.APP.i18n;
+  const {t} = i18n;
+
+  // DOM references
+  const panel = document.getElementById('catchment-panel');
+  const showLayer = document.getElementById('catchment-show');
+  const summaryEl = document.getElementById('catchment-summary');
+  const table = document.getElementById('catchment-table');
+  const btnCatchments = document.getElementById('btnCatchments');
+  const btnClose = document.getElementById('close-catchment');
+
+  const fmt = (v, digits=0) => i18n.number(v, {minimumFractionDigits: digits, maximumFractionDigits: digits});
+  const EPS = 1e-12;
+
+  function boundaryFeatures(){
+    if(typeof json_boundaries_2 !== 'undefined' && json_boundaries_2.features) return json_boundaries_2.features;
+    return cmp.levels.state.available ? cmp.levels.state.geo.features : [];
+  }
+
+  // Convex clipping: keep the part of a ring on the side of the line a·p <= b (Sutherland-Hodgman).
+  // The ring is open (first point not repeated).
+  function clipHalfPlane(ring, a, b){
+    const out = [];
+    const side = p => a[0] * p[0] + a[1] * p[1] - b;
+    for(let i = 0; i < ring.length; i++){
+      const p = ring[i], q = ring[(i + 1) % ring.length];
+      const sp = side(p), sq = side(q);
+      if(sp <= EPS) out.push(p);
+      if((sp < -EPS && sq > EPS) || (sp > EPS && sq < -EPS)){
+        const t = sp / (sp - sq);
+        out.push([p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])]);
+      }
+    }
+    return out;
+  }
+
+  // a ring (open) cut to a convex polygon given as counter-clockwise vertices
+  function clipToConvex(ring, convex){
+    let out = ring;
+    for(let i = 0; i < convex.length && out.length; i++){
+      const p = convex[i], q = convex[(i + 1) % convex.length];
+      // inside is to the left of p -> q
+      const a = [q[1] - p[1], p[0] - q[0]];
+      out = clipHalfPlane(out, a, a[0] * p[0] + a[1] * p[1]);
+    }
+    return out;
+  }
+
+  const planarArea = ring => ring.reduce((s, p, i) => {
+    const q = ring[(i + 1) % ring.length];
+    return s + p[0] * q[1] - q[0] * p[1];
+  }, 0) / 2;
+
+  // upper outlier fence and median of the catchment areas, set by buildCatchments
+  let fence = null, median = null;
+
+  function buildCatchments(){
+    const grid = cmp.facilityIndex.police;
+    const states = boundaryFeatures();
+    if(!grid || !grid.size || !states.length) return [];
+
+    // one site per distinct coordinate
+    const sites = new Map();
+    for(const item of grid.items){
+      const key = item.coord[0] + ',' + item.coord[1];
+      if(!sites.has(key)) sites.set(key, {coord: item.coord, items: []});
+      sites.get(key).items.push(item);
+    }
+
+    const lat0 = grid.items.reduce((s, item) => s + item.coord[1], 0) / grid.size;
+    const kx = Math.cos(lat0 * Math.PI / 180);
+    const toPlane = c => [c[0] * kx, c[1]];
+    const toLonLat = p => [p[0] / kx, p[1]];
+
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    for(const f of states){
+      const b = spatial.bboxOf(f);
+      if(!b) continue;
+      box[0] = Math.min(box[0], b[0]); box[1] = Math.min(box[1], b[1]);
+      box[2] = Math.max(box[2], b[2]); box[3] = Math.max(box[3], b[3]);
+    }
+    for(const item of grid.items){
+      box[0] = Math.min(box[0], item.coord[0]); box[1] = Math.min(box[1], item.coord[1]);
+      box[2] = Math.max(box[2], item.coord[0]); box[3] = Math.max(box[3], item.coord[1]);
+    }
+    const frame = [[box[0] - 1, box[1] - 1], [box[2] + 1, box[1] - 1], [box[2] + 1, box[3] + 1], [box[0] - 1, box[3] + 1]].map(toPlane);
+    // state rings in the plane, open, with their bounding boxes
+    const stateParts = states.map(f => ({
+      bbox: spatial.bboxOf(f),
+      parts: geometry.polygonParts(f.geometry).map(rings => rings.map(r => r.slice(0, -1).map(toPlane)))
+    }));
+
+    const out = [];
+    for(const site of sites.values()){
+      const s = toPlane(site.coord);
+      let cell = frame;
+      const done = new Set();
+      // widen the neighbour search until the next station is more than twice the cell's reach away
+      for(let k = 16; ; k *= 4){
+        // never ask for more stations than there are
+        const want = Math.min(grid.size, k + site.items.length);
+        const near = grid.nearest(site.coord, want);
+        let last = 0;
+        for(const {item} of near){
+          const key = item.coord[0] + ',' + item.coord[1];
+          const p = toPlane(item.coord);
+          last = Math.max(last, Math.hypot(p[0] - s[0], p[1] - s[1]));
+          if(done.has(key) || sites.get(key) === site) continue;
+          done.add(key);
+          // points closer to s than to p: (p - s)·x <= (|p|² - |s|²) / 2
+          const a = [p[0] - s[0], p[1] - s[1]];
+          cell = clipHalfPlane(cell, a, (p[0] * p[0] + p[1] * p[1] - s[0] * s[0] - s[1] * s[1]) / 2);
+        }
+        const reach = cell.reduce((m, v) => Math.max(m, Math.hypot(v[0] - s[0], v[1] - s[1])), 0);
+        // nearest() orders by great-circle distance, so leave a margin for the plane
+        if(want === grid.size || near.length < want || last * 0.98 > 2 * reach) break;
+      }
+      if(cell.length < 3) continue;
+
+      // reduce rather than spreading into Math.min/max, which overflows the call stack on long arrays
+      const cellBox = cell.reduce((b, v) => [Math.min(b[0], v[0] / kx), Math.min(b[1], v[1]), Math.max(b[2], v[0] / kx), Math.max(b[3], v[1])],
+        [Infinity, Infinity, -Infinity, -Infinity]);
+      const polygons = [];
+      for(const st of stateParts){
+        const b = st.bbox;
+        if(!b || b[0] > cellBox[2] || b[2] < cellBox[0] || b[1] > cellBox[3] || b[3] < cellBox[1]) continue;
+        for(const rings of st.parts){
+          const clipped = rings.map(r => clipToConvex(r, cell));
+          if(clipped[0].length < 3 || Math.abs(planarArea(clipped[0])) < EPS) continue;
+          polygons.push(clipped.filter(r => r.length >= 3).map(r => [...r, r[0]].map(toLonLat)));
+        }
+      }
+      if(!polygons.length) continue;
+
+      const shape = {type: 'Feature', geometry: {type: 'MultiPolygon', coordinates: polygons}, properties: {}};
+      const vertices = polygons.flat(2);
+      const state = cmp.facilityOwner('state', 'police', site.items[0].feature);
+      const names = site.items.map(item => inventory.TYPES.police.name(item.feature.properties)).filter(Boolean);
+      shape.properties = {
+        plc_st_nam: names.join(' / ') || '(unnamed)',
+        state: state ? cmp.featureName('state', state) : '',
+        area_sqkm: geometry.areaKm2(shape),
+        farthest_km: vertices.reduce((m, v) => Math.max(m, spatial.distanceKm(site.coord, v)), 0),
+        large: false
+      };
+      out.push({feature: shape, site});
+    }
+
+    // Tukey's upper fence over the catchment areas
+    const areas = out.map(c => c.feature.properties.area_sqkm).sort((a, b) => a - b);
+    const quantile = q => {
+      const pos = (areas.length - 1) * q, lo = Math.floor(pos);
+      return areas[lo] + (areas[Math.min(lo + 1, areas.length - 1)] - areas[lo]) * (pos - lo);
+    };
+    const q1 = quantile(0.25), q3 = quantile(0.75);
+    fence = q3 + 1.5 * (q3 - q1);
+    median = quantile(0.5);
+    for(const c of out) c.feature.properties.large = c.feature.properties.area_sqkm > fence;
+    return out;
+  }
+
+  let catchments = null;
+  function all(){
+    if(!catchments) catchments = buildCatchments();
+    return catchments;
+  }
+
+  // Layer: every catchment outlined, the flagged ones shaded
+  const styles = {
+    normal: new ol.style.Style({stroke: new ol.style.Stroke({color: 'rgba(38,70,83,0.8)', width: 1}), fill: new ol.style.Fill({color: 'rgba(38,70,83,0.04)'})}),
+    large: new ol.style.Style({stroke: new ol.style.Stroke({color: 'rgba(192,57,43,0.9)', width: 1.5}), fill: new ol.style.Fill({color: 'rgba(192,57,43,0.25)'})})
+  };
+  const layer = new ol.layer.Vector({
+    source: new ol.source.Vector(), title: 'Police catchments', visible: false,
+    style: f => f.get('large') ? styles.large : styles.normal
+  });
+  if(map){
+    const layers = map.getLayers();
+    const idx = layers.getArray().indexOf(window.APP.highlightLayer);
+    if(idx >= 0) layers.insertAt(idx, layer); else layers.push(layer);
+  }
+
+  function fillLayer(){
+    const source = layer.getSource();
+    if(source.getFeatures().length) return;
+    const format = new ol.format.GeoJSON();
+    source.addFeatures(all().map(c => format.readFeature(c.feature, {dataProjection: 'EPSG:4326', featureProjection: 'EPSG:3857'})));
+  }
+
+  // flagged catchments, largest first; clicking a row highlights the cell
+  function drawTable(){
+    const list = all();
+    const flagged = list.filter(c => c.feature.properties.large).sort((a, b) => b.feature.properties.area_sqkm - a.feature.properties.area_sqkm);
+    summaryEl.textContent = list.length
+      ? `${i18n.plural('catchment.summary', list.length, {median: fmt(median)})} ${i18n.plural('catchment.large', flagged.length, {fence: fmt(fence)})}`
+      : t('catchment.none');
+    table.innerHTML = '';
+    if(!flagged.length) return;
+    const head = table.createTHead().insertRow();
+    for(const key of ['col.station', 'col.state', 'col.area', 'catchment.farthest']){
+      const th = document.createElement('th');
+      th.textContent = t(key);
+      head.appendChild(th);
+    }
+    const tbody = table.createTBody();
+    for(const c of flagged){
+      const p = c.feature.properties;
+      const tr = tbody.insertRow();
+      [p.plc_st_nam, p.state, fmt(p.area_sqkm), fmt(p.farthest_km, 1)].forEach((v, i) => {
+        const td = tr.insertCell();
+        td.textContent = v;
+        if(i >= 2) td.className = 'num';
+      });
+      tr.addEventListener('click', ()=>{
+        for(const other of tbody.rows) other.classList.remove('selected');
+        tr.classList.add('selected');
+        cmp.highlightGeoJsonFeatures([c.feature], '#c0392b');
+        cmp.fitToFeatures([c.feature]);
+      });
+    }
+  }
+
+  showLayer.addEventListener('change', ()=>{
+    if(showLayer.checked) fillLayer();
+    layer.setVisible(showLayer.checked);
+  });
+  btnCatchments.addEventListener('click', ()=>{
+    panel.style.display = 'block';
+    drawTable();
+  });
+  btnClose.addEventListener('click', ()=>{ panel.style.display = 'none'; });
+  document.addEventListener('i18n:change', ()=>{ if(panel.style.display === 'block') drawTable(); });
+
+  window.APP.catchments = { all, layer, fence: () => (all(), fence) };
+
+  // End of catchments.js
+})();
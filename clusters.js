@@ -0,0 +1,195 @@
+// clusters.js
+// Clustered facility layers. layers.js puts jsonSource_police_4, jsonSource_army_3 and
+// jsonSource_checkpoints_5 behind an ol.source.Cluster; this module draws and opens the clusters.
+// - A cluster of several facilities is a badge in the type's colour with its count; a single
+//   facility keeps its qgis2web icon (styles/*_style.js).
+// - Clustering stops at CLUSTER_OFF_ZOOM: from there only facilities sharing a spot stay together.
+// - Clicking a cluster lists its members in a popup and zooms to them. Members too close to
+//   separate by zooming are spidered out in a ring around the cluster instead.
+// - Clicking a single or spidered facility, or a row of the popup, opens its details card (search.js).
+// Counts and popup text follow the interface language (i18n.js).
+// Exposed as window.APP.clusters.
+
+(function(){
+  const cmp = window.APP.compare;
+  const inventory = window.APP.inventory;
+  const search = window.APP.search;
+  const map = window.APP.map;
+  const view = window.APP.view;
+  const i18n = window.APP.i18n;
+  const {t} = i18n;
+  if(!map) return;
+
+  const DISTANCE = 40;              // px between clusters below CLUSTER_OFF_ZOOM
+  const CLUSTER_OFF_ZOOM = 14;
+  const SPIDER_SPACING = 28;        // px between spidered facilities along the ring
+  const MAX_LISTED = 25;
+  // same colours as the facility bars of the comparison chart
+  const COLORS = {police: 'rgb(54,162,235)', army: 'rgb(75,192,192)', checkpoints: 'rgb(255,159,64)'};
+  const ICON_LAYERS = {police: 'lyr_police_4', army: 'lyr_army_3', checkpoints: 'lyr_checkpoints_5'};
+  const TYPES = Object.keys(ICON_LAYERS).filter(type => window[ICON_LAYERS[type]] && window[ICON_LAYERS[type]].getSource() instanceof ol.source.Cluster);
+
+  // facility items of compare.js by layer and fid, to open the details card from a map feature
+  const itemsByFid = Object.fromEntries(TYPES.map(type => [type,
+    new Map((cmp.facilityIndex[type] ? cmp.facilityIndex[type].items : []).map(item => [String(item.feature.properties.fid), item]))]));
+  const itemOf = (type, feature) => itemsByFid[type].get(String(feature.get('fid'))) || null;
+
+  // badges carry the count formatted for the language, so a language change drops them
+  const badgeStyles = new Map();
+  function badgeStyle(type, count){
+    const key = `${type}:${count}`;
+    if(!badgeStyles.has(key)){
+      badgeStyles.set(key, new ol.style.Style({
+        image: new ol.style.Circle({
+          radius: Math.round(10 + 4 * Math.log10(count)),
+          fill: new ol.style.Fill({color: COLORS[type]}),
+          stroke: new ol.style.Stroke({color: '#fff', width: 2})
+        }),
+        text: new ol.style.Text({text: i18n.number(count), font: 'bold 11px Arial, sans-serif', fill: new ol.style.Fill({color: '#fff'})})
+      }));
+    }
+    return badgeStyles.get(key);
+  }
+
+  const layerType = new Map();
+  for(const type of TYPES){
+    const layer = window[ICON_LAYERS[type]];
+    const iconStyle = layer.getStyle();
+    layerType.set(layer, type);
+    layer.set('iconStyle', iconStyle);
+    // a cluster of one is drawn as its member; plain features (the PDF legend) pass straight through
+    layer.setStyle((feature, resolution) => {
+      const members = feature.get('features');
+      if(!members) return iconStyle(feature, resolution);
+      if(members.length === 1) return iconStyle(members[0], resolution);
+      return badgeStyle(type, members.length);
+    });
+  }
+
+  function updateDistance(){
+    const distance = (view.getZoom() || 0) >= CLUSTER_OFF_ZOOM ? 0 : DISTANCE;
+    for(const type of TYPES){
+      const source = window[ICON_LAYERS[type]].getSource();
+      if(source.getDistance() !== distance) source.setDistance(distance);
+    }
+  }
+  view.on('change:resolution', updateDistance);
+  updateDistance();
+
+  // Spider: members of an inseparable cluster in a ring around it, joined to it by a leg
+  const spiderSource = new ol.source.Vector();
+  const legStyle = new ol.style.Style({stroke: new ol.style.Stroke({color: 'rgba(40,40,40,0.7)', width: 1.5})});
+  const spiderLayer = new ol.layer.Vector({
+    source: spiderSource,
+    style: (feature, resolution) => {
+      const member = feature.get('member');
+      return member ? feature.get('layer').get('iconStyle')(member, resolution) : legStyle;
+    }
+  });
+  map.addLayer(spiderLayer);
+
+  function spider(type, center, members){
+    spiderSource.clear();
+    const res = view.getResolution();
+    const radius = Math.max(24, members.length * SPIDER_SPACING / (2 * Math.PI)) * res;
+    const layer = window[ICON_LAYERS[type]];
+    members.forEach((member, i) => {
+      const angle = Math.PI / 2 - 2 * Math.PI * i / members.length;
+      const at = [center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)];
+      spiderSource.addFeature(new ol.Feature({geometry: new ol.geom.LineString([center, at])}));
+      spiderSource.addFeature(new ol.Feature({geometry: new ol.geom.Point(at), member, layer, type}));
+    });
+  }
+  view.on('change:resolution', ()=> spiderSource.clear());
+
+  // Members popup
+  const popupEl = document.createElement('div');
+  popupEl.className = 'facility-popup';
+  const popup = new ol.Overlay({element: popupEl, positioning: 'bottom-center', offset: [0, -14], stopEvent: true, autoPan: {animation: {duration: 200}}});
+  map.addOverlay(popup);
+
+  function openMembers(type, members, coordinate){
+    popupEl.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+    const title = document.createElement('strong');
+    title.textContent = i18n.plural(`clusters.count.${type}`, members.length);
+    const close = document.createElement('button');
+    close.className = 'close';
+    close.setAttribute('aria-label', t('popup.close'));
+    close.innerHTML = '&times;';
+    close.addEventListener('click', ()=> popup.setPosition(undefined));
+    header.append(title, close);
+    const wrap = document.createElement('div');
+    wrap.className = 'table-wrap';
+    wrap.style.maxHeight = '200px';
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    const tbody = table.createTBody();
+    const items = members.map(m => itemOf(type, m)).filter(Boolean)
+      .sort((a, b) => inventory.TYPES[type].name(a.feature.properties).localeCompare(inventory.TYPES[type].name(b.feature.properties)));
+    for(const item of items.slice(0, MAX_LISTED)){
+      const tr = tbody.insertRow();
+      tr.insertCell().textContent = inventory.TYPES[type].name(item.feature.properties);
+      tr.title = t('nearest.zoom');
+      tr.addEventListener('click', ()=>{
+        popup.setPosition(undefined);
+        search.showFacility(item);
+      });
+    }
+    if(items.length > MAX_LISTED){
+      const td = tbody.insertRow().insertCell();
+      td.textContent = i18n.plural('clusters.more', items.length - MAX_LISTED);
+      td.style.color = '#777';
+    }
+    wrap.appendChild(table);
+    popupEl.append(header, wrap);
+    popup.setPosition(coordinate);
+  }
+
+  function openCluster(type, feature){
+    const members = feature.get('features');
+    const center = feature.getGeometry().getCoordinates();
+    if(members.length === 1){
+      const item = itemOf(type, members[0]);
+      if(item) search.openDetails(item);
+      return;
+    }
+    openMembers(type, members, center);
+    const extent = ol.extent.boundingExtent(members.map(m => m.getGeometry().getCoordinates()));
+    const separable = ol.extent.getWidth(extent) > 0 || ol.extent.getHeight(extent) > 0;
+    if(separable && (view.getZoom() || 0) < CLUSTER_OFF_ZOOM){
+      view.fit(extent, {padding: [80, 80, 80, 80], maxZoom: CLUSTER_OFF_ZOOM, duration: 400});
+    } else {
+      spider(type, center, members);
+    }
+  }
+
+  // facilities are drawn on top, so they take a click before anything else (onMapClick in index.html)
+  window.APP.onMapClick((evt)=>{
+    let hit = null;
+    map.forEachFeatureAtPixel(evt.pixel, (feature, layer) => {
+      if(layer === spiderLayer && feature.get('member')) hit = {spidered: feature};
+      else if(layerType.has(layer)) hit = {type: layerType.get(layer), feature};
+      return hit;
+    }, {layerFilter: l => l === spiderLayer || layerType.has(l)});
+    if(!hit) return false;
+    if(hit.spidered){
+      const item = itemOf(hit.spidered.get('type'), hit.spidered.get('member'));
+      if(item) search.openDetails(item);
+      return true;
+    }
+    openCluster(hit.type, hit.feature);
+    return true;
+  }, {priority: 40, dismiss: ()=>{ spiderSource.clear(); popup.setPosition(undefined); }});
+
+  document.addEventListener('i18n:change', ()=>{
+    badgeStyles.clear();
+    for(const type of TYPES) window[ICON_LAYERS[type]].changed();
+    popup.setPosition(undefined);
+  });
+
+  window.APP.clusters = { CLUSTER_OFF_ZOOM, openCluster, spider };
+
+  // End of clusters.js
+})();
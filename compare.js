@@ -1,14 +1,28 @@
 // compare.js
-// Adds UI wiring for comparison, search, chart and PDF generation.
+// Adds UI wiring for comparison, single-region reports, chart and PDF generation.
 // Designed to work client-side with your QGIS2Web-generated data layers.
 //
 // Assumptions (safe-guards included):
 // - Risk polygon data is exposed via a global json object from RiskIndex_1.js.
 //   Typical variable name: json_RiskIndex_1 (but code will scan for a GeoJSON object).
 // - Facility points available as json_police_4, json_army_3, json_checkpoints_5 if present.
+// - LGA and ward polygons are optional extra layers following the same convention
+//   (e.g. layers/lga_6.js -> json_lga_6, layers/wards_7.js -> json_wards_7).
 // - Field names for state/LGA/ward are guessed from common variants and auto-detected at runtime.
+// - The risk field, category breaks, labels and colours come from riskconfig.js (window.APP.riskConfig),
+//   the same classification the map style and legend use.
+// - Text shown to the user and written to the PDF comes from the message catalogues (i18n.js);
+//   the popup, pickers and chart redraw on `i18n:change`.
+// - Incident counts come from incidents.js (window.APP.incidents) when an incident log is loaded,
+//   for its current time window and types; the open popup is recounted on `incidents:change`.
+// - Risk scores follow the risk model scenario (riskmodel.js); the open popup is rescored on `riskmodel:change`.
 
 (function(){
+  const riskConfig = window.APP.riskConfig;
+  const i18n = window.APP.i18n;
+  const t = i18n.t;
+  const fmtNum = (v, digits=1) => i18n.number(v, {maximumFractionDigits: digits});
+
   // Utility: find GeoJSON-like global objects
   function findGeoJsonCandidate(prefix){
     for (const key in window) {
@@ -21,13 +35,41 @@
     return null;
   }
 
+  // the admin level layers by their qgis2web name only (json_lga_6, json_wards_7, ...), so an
+  // unrelated global that merely contains "lga" or "ward" is never taken for one
+  function findLayerGeoJson(pattern){
+    for (const key in window) {
+      if (!window.hasOwnProperty(key) || !pattern.test(key)) continue;
+      const v = window[key];
+      if (v && Array.isArray(v.features)) return v;
+    }
+    return null;
+  }
+
   const riskGeo = findGeoJsonCandidate('RiskIndex') || findGeoJsonCandidate('risk');
+  const lgaGeo = findLayerGeoJson(/^json_lgas?_\d+$/i);
+  const wardGeo = findLayerGeoJson(/^json_wards?_\d+$/i);
   const policeGeo = findGeoJsonCandidate('police') || findGeoJsonCandidate('police_4');
   const armyGeo = findGeoJsonCandidate('army') || findGeoJsonCandidate('army_3');
   const checkpointsGeo = findGeoJsonCandidate('checkpoints') || findGeoJsonCandidate('checkpoint');
 
-  // fields detection for name properties (state, lga, ward)
-  function detectFields(sampleFeature){
+  // facility grids are built once here and shared by counts, search reports and rankings
+  const spatial = window.APP.spatial;
+  const geometry = window.APP.geometry;
+  const inventory = window.APP.inventory;
+  const facilityIndex = spatial.buildFacilityIndex({police: policeGeo, army: armyGeo, checkpoints: checkpointsGeo});
+
+  // name candidates per level; the bare 'name' column is only trusted on the level's own layer
+  const NAME_CANDIDATES = {
+    state: ['STATE','STATE_NAME','state','state_name','st_name','statename','admin1Name','NAME_1'],
+    lga: ['LGA','LGA_NAME','lga','lga_name','lganame','local_govt','local_gov','admin2Name','NAME_2'],
+    ward: ['WARD','WARD_NAME','ward','ward_name','wardname','admin3Name','NAME_3']
+  };
+  // the configured field first, so the chart and report score the same column the map colours
+  const RISK_CANDIDATES = [riskConfig.field, 'final_risk_score','risk_score','risk','score','final_score','risk_index','risk_index_value'];
+
+  // fields detection for name properties (state, lga, ward) on the layer backing `level`
+  function detectFields(sampleFeature, level){
     const props = sampleFeature && sampleFeature.properties ? Object.keys(sampleFeature.properties) : [];
     const l = props.map(p => p.toLowerCase());
     function findOne(candidates){
@@ -38,25 +80,51 @@
       return null;
     }
     return {
-      state: findOne(['STATE','STATE_NAME','state','state_name','st_name']),
-      lga: findOne(['LGA','LGA_NAME','lga','lga_name','local_govt','local_gov']),
-      ward: findOne(['WARD','WARD_NAME','ward','ward_name','ward_no','wardid']),
-      riskField: findOne(['final_risk_score','risk_score','risk','score','final_score','risk_index','risk_index_value'])
+      name: findOne([...NAME_CANDIDATES[level], 'name']),
+      state: level === 'state' ? null : findOne(NAME_CANDIDATES.state),
+      lga: level === 'ward' ? findOne(NAME_CANDIDATES.lga) : null,
+      riskField: findOne(RISK_CANDIDATES)
     };
   }
 
-  const sample = (riskGeo && riskGeo.features && riskGeo.features[0]) || null;
-  const fields = detectFields(sample || {});
-  // If we couldn't detect anything, fallback labels to generic NAME
-  if(!fields.state) fields.state = 'STATE';
-  if(!fields.lga) fields.lga = 'LGA';
-  if(!fields.ward) fields.ward = 'WARD';
-  if(!fields.riskField) fields.riskField = 'risk_score';
+  // Admin levels: each comparison level is backed by its own polygon layer.
+  // Levels without a risk column inherit the score of the polygon enclosing them.
+  const levels = {};
+  function registerLevel(key, label, geo, parent){
+    const sample = (geo && geo.features && geo.features[0]) || null;
+    const f = detectFields(sample || {}, key);
+    levels[key] = {key, label, geo, parent, fields: f, available: !!(sample && f.name)};
+  }
+  registerLevel('state', 'State', riskGeo, null);
+  registerLevel('lga', 'LGA', lgaGeo, 'state');
+  registerLevel('ward', 'Ward', wardGeo, lgaGeo ? 'lga' : 'state');
+
+  // level name in the interface language ('State', 'LGAs', ...)
+  function levelLabel(level, plural=false){
+    return t(`level.${level}${plural ? '.plural' : ''}`);
+  }
+
+  function featureName(level, feature){
+    const lv = levels[level];
+    const p = (feature && feature.properties) || {};
+    const v = lv && lv.fields.name ? p[lv.fields.name] : null;
+    return (v === null || v === undefined || v === '') ? null : String(v).trim();
+  }
+
+  // spelling-insensitive key for admin names: "Nassarawa State" == "Nasarawa", "Akwa-Ibom" == "Akwa Ibom"
+  const NAME_ALIASES = {fct:'federal capital territory', abuja:'federal capital territory'};
+  function canonicalName(v){
+    let s = String(v || '').toLowerCase().replace(/\bstate\b/g, '').trim();
+    s = NAME_ALIASES[s.replace(/[^a-z]/g, '')] || s;
+    return s.replace(/[^a-z0-9]/g, '').replace(/(.)\1+/g, '$1');
+  }
 
   // DOM references
   const levelSel = document.getElementById('level');
-  const regionA = document.getElementById('regionA');
-  const regionB = document.getElementById('regionB');
+  const pickersEl = document.getElementById('region-pickers');
+  const btnAddRegion = document.getElementById('btnAddRegion');
+  const zoneRow = document.getElementById('zone-row');
+  const zoneSel = document.getElementById('zone');
   const btnCompare = document.getElementById('btnCompare');
   const btnResetView = document.getElementById('btnResetView');
   const popup = document.getElementById('download-popup');
@@ -64,38 +132,262 @@
   const btnClose = document.getElementById('btnClose');
   const chartCanvas = document.getElementById('comparisonChart').getContext('2d');
   const btnDownloadPdf = document.getElementById('btnDownloadPdf');
-  const searchInput = document.getElementById('search-input');
-  const btnSearch = document.getElementById('btnSearch');
+  const inventoryEl = document.getElementById('inventory');
 
   // app map and highlight access
   const map = window.APP && window.APP.map;
   const view = window.APP && window.APP.view;
   const highlightSource = window.APP && window.APP.highlightSource;
 
+  // outline layers for the optional LGA/ward polygons, drawn under the highlight layer
+  function addLevelLayer(level, color, width){
+    const lv = levels[level];
+    if(!map || !lv.available) return;
+    const source = new ol.source.Vector({
+      features: new ol.format.GeoJSON().readFeatures(lv.geo, {dataProjection:'EPSG:4326', featureProjection:'EPSG:3857'})
+    });
+    const layer = new ol.layer.Vector({
+      source,
+      title: `${lv.label} boundaries`,
+      style: new ol.style.Style({ stroke: new ol.style.Stroke({color, width}) })
+    });
+    const layers = map.getLayers();
+    const idx = layers.getArray().indexOf(window.APP.highlightLayer);
+    if(idx >= 0) layers.insertAt(idx, layer); else layers.push(layer);
+    lv.layer = layer;
+  }
+  addLevelLayer('lga', 'rgba(60,60,60,0.7)', 1);
+  addLevelLayer('ward', 'rgba(60,60,60,0.4)', 0.5);
+
   // Helper: get unique names for a level
   function uniqueNamesForLevel(level){
-    if(!riskGeo || !riskGeo.features) return [];
-    const fn = (feat) => {
-      const p = feat.properties || {};
-      if(level === 'state') return p[fields.state] || p.STATE || p.State || p.state || null;
-      if(level === 'lga') return p[fields.lga] || p.LGA || p.lga || null;
-      if(level === 'ward') return p[fields.ward] || p.WARD || p.ward || null;
-      return null;
+    const lv = levels[level];
+    if(!lv || !lv.available) return [];
+    const set = new Set();
+    for(const f of lv.geo.features){
+      const v = featureName(level, f);
+      if(v) set.add(v);
+    }
+    return Array.from(set).sort((a,b)=>a.localeCompare(b));
+  }
+
+  // spatial checks: feature contains coordinate (holes and multipolygon parts respected, see geometry.js)
+  function featureContainsPoint(feature, lonLat){
+    // cheap reject before ray-casting
+    if(!spatial.bboxContains(spatial.bboxOf(feature), lonLat)) return false;
+    return geometry.containsPoint(feature, lonLat);
+  }
+
+  // convert ol extent to GeoJSON-like bbox to feature intersection - helper for highlighting
+  function getFeaturesByName(level, nameValue){
+    const lv = levels[level];
+    if(!lv || !lv.available) return [];
+    const wanted = canonicalName(nameValue);
+    return lv.geo.features.filter(f => {
+      const v = featureName(level, f);
+      return v !== null && canonicalName(v) === wanted;
+    });
+  }
+
+  // a point guaranteed to be usable for containment: the mean of the largest outer ring
+  function representativePoint(feature){
+    const geom = feature && feature.geometry;
+    if(!geom) return null;
+    const outers = geom.type==='MultiPolygon' ? geom.coordinates.map(p => p[0]) : (geom.type==='Polygon' ? [geom.coordinates[0]] : []);
+    let best = null;
+    for(const r of outers) if(r && (!best || r.length > best.length)) best = r;
+    if(!best || !best.length) return null;
+    let x = 0, y = 0;
+    for(const c of best){ x += c[0]; y += c[1]; }
+    const mean = [x/best.length, y/best.length];
+    return featureContainsPoint(feature, mean) ? mean : best[0];
+  }
+
+  // enclosing polygon one level up: by parent name column first, then by containment
+  const parentCache = new WeakMap();
+  function parentFeature(level, feature){
+    const lv = levels[level];
+    if(!lv || !lv.parent || !levels[lv.parent].available) return null;
+    if(parentCache.has(feature)) return parentCache.get(feature);
+    const p = feature.properties || {};
+    const parentField = lv.parent === 'lga' ? lv.fields.lga : lv.fields.state;
+    let parent = null;
+    if(parentField && p[parentField]) parent = getFeaturesByName(lv.parent, p[parentField])[0] || null;
+    if(!parent){
+      const pt = representativePoint(feature);
+      if(pt) parent = levels[lv.parent].geo.features.find(f => featureContainsPoint(f, pt)) || null;
+    }
+    if(!parent){
+      const recorded = recordParentName(level, featureName(level, feature));
+      if(recorded) parent = getFeaturesByName(lv.parent, recorded)[0] || null;
+    }
+    parentCache.set(feature, parent);
+    return parent;
+  }
+
+  // risk score for a feature: stored on the level's own layer, otherwise inherited from its parent
+  function riskValueFor(level, feature){
+    const lv = levels[level];
+    const p = (feature && feature.properties) || {};
+    if(lv && lv.fields.riskField && p[lv.fields.riskField] !== null && p[lv.fields.riskField] !== undefined){
+      const n = Number(p[lv.fields.riskField]);
+      if(!isNaN(n)) return n;
+    }
+    const parent = parentFeature(level, feature);
+    return parent ? riskValueFor(lv.parent, parent) : null;
+  }
+
+  // walk up the parent chain until reaching `target` level
+  function ancestorAt(level, feature, target){
+    let lvl = level, f = feature;
+    while(f && lvl !== target){
+      f = parentFeature(lvl, f);
+      lvl = levels[lvl].parent;
+    }
+    return lvl === target ? f : null;
+  }
+
+  // Admin hierarchy reported by the facility records (statename > lganame > wardname/wardcode).
+  // Used to name parents the polygons do not carry, and checked against the polygons below.
+  const recordHierarchy = new Map();
+  if(policeGeo && policeGeo.features){
+    for(const f of policeGeo.features){
+      const p = f.properties || {};
+      if(!p.statename) continue;
+      const sk = canonicalName(p.statename);
+      if(!recordHierarchy.has(sk)) recordHierarchy.set(sk, {name: String(p.statename).trim(), lgas: new Map()});
+      if(!p.lganame) continue;
+      const lgas = recordHierarchy.get(sk).lgas;
+      const lk = canonicalName(p.lganame);
+      if(!lgas.has(lk)) lgas.set(lk, {name: String(p.lganame).trim(), wards: new Map()});
+      if(p.wardname) lgas.get(lk).wards.set(p.wardcode || canonicalName(p.wardname), String(p.wardname).trim());
+    }
+  }
+
+  // parent name from the facility records when a polygon carries no parent column
+  function recordParentName(level, name){
+    const key = canonicalName(name);
+    const hits = [];
+    for(const st of recordHierarchy.values()){
+      if(level === 'lga' && st.lgas.has(key)) hits.push(st.name);
+      if(level === 'ward'){
+        for(const lga of st.lgas.values()){
+          for(const w of lga.wards.values()) if(canonicalName(w) === key) hits.push(levels.ward.parent === 'lga' ? lga.name : st.name);
+        }
+      }
+    }
+    const unique = Array.from(new Set(hits));
+    return unique.length === 1 ? unique[0] : null;
+  }
+
+  // Compare the record hierarchy with the polygons: does each facility lie inside the admin units it names?
+  // LGA and ward layers may cover part of the country only (the shipped samples do): a facility's
+  // LGA or ward name is checked only when the unit one level up that holds it has polygons in the layer.
+  function validateHierarchy(){
+    const issues = [];
+    let checked = 0;
+    if(!policeGeo || !policeGeo.features) return {checked, issues};
+    const covered = {};
+    for(const level of ['lga', 'ward']){
+      if(levels[level].available) covered[level] = new Set(levels[level].geo.features.map(f => parentFeature(level, f)).filter(Boolean));
+    }
+    const inCoveredUnit = (level, pt) => {
+      const parent = levels[level].parent;
+      if(!parent) return true;
+      const holder = levels[parent].geo.features.find(f => featureContainsPoint(f, pt));
+      return !!holder && covered[level].has(holder);
     };
+    for(const f of policeGeo.features){
+      const p = f.properties || {};
+      const pt = f.geometry && f.geometry.coordinates;
+      if(!pt) continue;
+      for(const [level, field] of [['state','statename'], ['lga','lganame'], ['ward','wardname']]){
+        if(!levels[level].available || !p[field]) continue;
+        if(covered[level] && !inCoveredUnit(level, pt)) continue;
+        checked++;
+        const polys = getFeaturesByName(level, p[field]);
+        // outside: the named polygon exists but the facility is not in it; otherwise no polygon has the name
+        if(!polys.length) issues.push({level, name: p[field], facility: p.plc_st_nam, outside: false});
+        else if(!polys.some(poly => featureContainsPoint(poly, pt))) issues.push({level, name: p[field], facility: p.plc_st_nam, outside: true});
+      }
+    }
+    return {checked, issues};
+  }
+  const hierarchyCheck = validateHierarchy();
+
+  // disagreements under the comparison card: a count, and the first few listed when opened
+  const HIERARCHY_LISTED = 20;
+  const hierarchyNote = document.getElementById('hierarchy-note');
+  function showHierarchyNote(){
+    const {checked, issues} = hierarchyCheck;
+    if(!hierarchyNote || !issues.length) return;
+    hierarchyNote.innerHTML = '';
+    const summary = document.createElement('summary');
+    summary.textContent = i18n.plural('hierarchy.note', issues.length, {checked: i18n.number(checked)});
+    const list = document.createElement('ul');
+    for(const issue of issues.slice(0, HIERARCHY_LISTED)){
+      const li = document.createElement('li');
+      li.textContent = t(issue.outside ? 'hierarchy.outside' : 'hierarchy.missing', {facility: issue.facility, name: issue.name, level: levelLabel(issue.level)});
+      list.appendChild(li);
+    }
+    if(issues.length > HIERARCHY_LISTED){
+      const li = document.createElement('li');
+      li.textContent = i18n.plural('clusters.more', issues.length - HIERARCHY_LISTED);
+      list.appendChild(li);
+    }
+    hierarchyNote.append(summary, list);
+    hierarchyNote.hidden = false;
+  }
+  showHierarchyNote();
+
+  // polygons at `level` whose name and ancestors match `path` ({state, lga, ward} names)
+  function featuresByPath(level, path){
+    return getFeaturesByName(level, path[level]).filter(f => {
+      for(let lvl = levels[level].parent; lvl; lvl = levels[lvl].parent){
+        if(!path[lvl]) continue;
+        const anc = ancestorAt(level, f, lvl);
+        if(!anc || canonicalName(featureName(lvl, anc)) !== canonicalName(path[lvl])) return false;
+      }
+      return true;
+    });
+  }
+
+  // child names of `path` at `level`, i.e. the options of the next selector in the cascade
+  function childNames(level, path){
+    const lv = levels[level];
+    if(!lv.available) return [];
     const set = new Set();
-    for(const f of riskGeo.features){
-      const v = fn(f);
-      if(v) set.add(String(v).trim());
+    for(const f of lv.geo.features){
+      const n = featureName(level, f);
+      if(!n) continue;
+      let ok = true;
+      for(let lvl = lv.parent; lvl && ok; lvl = levels[lvl].parent){
+        if(!path[lvl]) continue;
+        const anc = ancestorAt(level, f, lvl);
+        ok = !!anc && canonicalName(featureName(lvl, anc)) === canonicalName(path[lvl]);
+      }
+      if(ok) set.add(n);
     }
     return Array.from(set).sort((a,b)=>a.localeCompare(b));
   }
 
-  // populate dropdowns when level changes
-  function populateRegions(){
-    const lvl = levelSel.value;
-    const names = uniqueNamesForLevel(lvl);
-    function fill(sel){
-      sel.innerHTML = '<option>-- select --</option>';
+  // levels shown in a picker for the chosen comparison level, top-down (state > [lga] > ward)
+  function levelChain(level){
+    const chain = [];
+    for(let lvl = level; lvl; lvl = levels[lvl].parent) chain.unshift(lvl);
+    return chain;
+  }
+
+  // Cascading region picker: one select per level in the chain, each filtered by the one above
+  function createRegionPicker(container, title){
+    let chain = ['state'];
+    const selects = {};
+    function fill(sel, names){
+      sel.innerHTML = '';
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = t('picker.select');
+      sel.appendChild(none);
       for(const n of names){
         const opt = document.createElement('option');
         opt.value = n;
@@ -103,121 +395,252 @@
         sel.appendChild(opt);
       }
     }
-    fill(regionA); fill(regionB);
+    function path(){
+      const out = {};
+      for(const lvl of chain) if(selects[lvl].value) out[lvl] = selects[lvl].value;
+      return out;
+    }
+    // refill every select below index i
+    function cascade(i){
+      for(let k = i + 1; k < chain.length; k++){
+        const p = path();
+        const parentSelected = !!p[chain[k-1]];
+        fill(selects[chain[k]], parentSelected ? childNames(chain[k], p) : []);
+        selects[chain[k]].disabled = !parentSelected;
+      }
+    }
+    let label = null;
+    function build(level){
+      chain = levelChain(level);
+      container.innerHTML = '';
+      label = document.createElement('label');
+      label.textContent = title;
+      container.appendChild(label);
+      chain.forEach((lvl, i) => {
+        const sel = document.createElement('select');
+        sel.setAttribute('aria-label', `${title} ${levelLabel(lvl)}`);
+        sel.addEventListener('change', () => cascade(i));
+        container.appendChild(sel);
+        selects[lvl] = sel;
+      });
+      fill(selects.state, uniqueNamesForLevel('state'));
+      cascade(0);
+    }
+    return {
+      setLevel: build,
+      // also relabels the selects, so it is called again when the language changes
+      setTitle(text){
+        title = text;
+        if(label) label.textContent = text;
+        chain.forEach(lvl => {
+          selects[lvl].setAttribute('aria-label', `${text} ${levelLabel(lvl)}`);
+          selects[lvl].options[0].textContent = t('picker.select');
+        });
+      },
+      level: () => chain[chain.length - 1],
+      value: () => path()[chain[chain.length - 1]] || null,
+      path,
+      features: () => {
+        const p = path();
+        const lvl = chain[chain.length - 1];
+        return p[lvl] ? featuresByPath(lvl, p) : [];
+      },
+      // select a region by names top-down, e.g. {state:'Lagos', lga:'Ikeja'}
+      setPath(p){
+        chain.forEach((lvl, i) => {
+          selects[lvl].value = p[lvl] || '';
+          cascade(i);
+        });
+      }
+    };
+  }
+
+  // Region pickers: at least two, add/remove freely for N-way comparisons
+  // one colour per region, shared by the chart ticks, the map highlight and the PDF table
+  const REGION_PALETTE = ['#2a9d8f','#e76f51','#264653','#e9c46a','#8338ec','#3a86ff','#ff006e','#6a994e','#bc6c25','#577590'];
+  const MIN_PICKERS = 2;
+  const MAX_PICKERS = REGION_PALETTE.length;
+  const pickers = [];
+  const pickerTitle = i => t('picker.region', {letter: String.fromCharCode(65 + i)});
+
+  function addPicker(){
+    if(pickers.length >= MAX_PICKERS) return null;
+    const wrap = document.createElement('div');
+    wrap.className = 'region-picker';
+    const body = document.createElement('div');
+    wrap.appendChild(body);
+    const picker = createRegionPicker(body, pickerTitle(pickers.length));
+    picker.wrap = wrap;
+    const remove = document.createElement('button');
+    remove.className = 'picker-remove';
+    remove.dataset.i18nTitle = 'picker.remove';
+    remove.title = t('picker.remove');
+    remove.innerHTML = '&times;';
+    remove.addEventListener('click', ()=> removePicker(picker));
+    wrap.appendChild(remove);
+    pickersEl.appendChild(wrap);
+    pickers.push(picker);
+    picker.setLevel(levelSel.value);
+    refreshPickerControls();
+    return picker;
+  }
+
+  function removePicker(picker){
+    if(pickers.length <= MIN_PICKERS) return;
+    pickers.splice(pickers.indexOf(picker), 1);
+    picker.wrap.remove();
+    // re-letter the remaining pickers, keeping their selections
+    pickers.forEach((pk, i) => pk.setTitle(pickerTitle(i)));
+    refreshPickerControls();
+  }
+
+  function refreshPickerControls(){
+    for(const pk of pickers) pk.wrap.classList.toggle('removable', pickers.length > MIN_PICKERS);
+    btnAddRegion.style.display = pickers.length >= MAX_PICKERS ? 'none' : '';
+  }
+
+  // replace the pickers with one per state name (used by the zone presets)
+  function setPickerStates(names){
+    while(pickers.length > Math.max(MIN_PICKERS, names.length)) removePicker(pickers[pickers.length - 1]);
+    while(pickers.length < Math.min(MAX_PICKERS, names.length)) addPicker();
+    pickers.forEach((pk, i) => pk.setPath(names[i] ? {state: names[i]} : {}));
+  }
+
+  for(let i = 0; i < MIN_PICKERS; i++) addPicker();
+  btnAddRegion.addEventListener('click', addPicker);
+
+  // Nigeria's six geopolitical zones as state-level presets
+  const GEOPOLITICAL_ZONES = {
+    'North Central': ['Benue','Federal Capital Territory','Kogi','Kwara','Nassarawa','Niger','Plateau'],
+    'North East': ['Adamawa','Bauchi','Borno','Gombe','Taraba','Yobe'],
+    'North West': ['Jigawa','Kaduna','Kano','Katsina','Kebbi','Sokoto','Zamfara'],
+    'South East': ['Abia','Anambra','Ebonyi','Enugu','Imo'],
+    'South South': ['Akwa Ibom','Bayelsa','Cross River','Delta','Edo','Rivers'],
+    'South West': ['Ekiti','Lagos','Ogun','Ondo','Osun','Oyo']
+  };
+  for(const zone of Object.keys(GEOPOLITICAL_ZONES)){
+    const opt = document.createElement('option');
+    opt.value = zone;
+    opt.textContent = zone;
+    zoneSel.appendChild(opt);
+  }
+  zoneSel.addEventListener('change', ()=>{
+    const states = GEOPOLITICAL_ZONES[zoneSel.value];
+    if(!states) return;
+    // map preset names onto the spellings used by the state layer
+    const known = uniqueNamesForLevel('state');
+    setPickerStates(states.map(n => known.find(k => canonicalName(k) === canonicalName(n))).filter(Boolean));
+  });
+
+  // rebuild pickers when level changes
+  function populateRegions(){
+    for(const pk of pickers) pk.setLevel(levelSel.value);
+    zoneRow.style.display = levelSel.value === 'state' ? '' : 'none';
+    zoneSel.value = '';
+  }
+  // levels without a loaded layer stay visible but cannot be picked
+  function labelLevelOptions(){
+    for(const opt of levelSel.options){
+      const lv = levels[opt.value];
+      if(!lv) continue;
+      opt.disabled = !lv.available;
+      opt.textContent = lv.available ? levelLabel(lv.key) : t('level.noLayer', {level: levelLabel(lv.key)});
+    }
   }
+  labelLevelOptions();
   levelSel.addEventListener('change', populateRegions);
   populateRegions();
 
-  // spatial checks: feature contains coordinate
-  // we will use ol.geom.Polygon if available in riskGeo (coordinate arrays)
-  function featureContainsPoint(feature, lonLat){
-    // feature can be GeoJSON feature with geometry coordinates array
-    if(!feature || !feature.geometry) return false;
-    const geom = feature.geometry;
-    // convert lonLat to [lon,lat]
-    const pt = lonLat;
-    // Support polygons and multipolygons
-    const rings = (geom.type==='MultiPolygon') ? geom.coordinates.flat() : (geom.type==='Polygon' ? geom.coordinates : null);
-    if(!rings) return false;
-    // Use ray-casting for point-in-polygon (works for simple polygons)
-    for(const ring of rings){
-      if(pointInRing(pt, ring)) return true;
-    }
-    return false;
-  }
-
-  function pointInRing(point, ring){
-    // point [lon,lat], ring: [[lon,lat],...]
-    let x = point[0], y = point[1];
-    let inside = false;
-    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-      let xi = ring[i][0], yi = ring[i][1];
-      let xj = ring[j][0], yj = ring[j][1];
-      const intersect = ((yi > y) != (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi + 0.0) + xi);
-      if (intersect) inside = !inside;
-    }
-    return inside;
+  // level each polygon belongs to, so counts can use that level's one-owner assignment
+  const featureLevels = new WeakMap();
+  for(const key of Object.keys(levels)){
+    if(levels[key].available) for(const f of levels[key].geo.features) featureLevels.set(f, key);
+  }
+  function levelOfFeature(feature){
+    return featureLevels.get(feature) || null;
   }
 
-  // convert ol extent to GeoJSON-like bbox to feature intersection - helper for highlighting
-  function getFeaturesByName(level, nameValue){
-    if(!riskGeo || !riskGeo.features) return [];
-    const out = [];
-    for(const f of riskGeo.features){
-      const p = f.properties || {};
-      const v = (level==='state') ? (p[fields.state] || p.STATE || p.state) :
-                (level==='lga') ? (p[fields.lga] || p.LGA || p.lga) :
-                (p[fields.ward] || p.WARD || p.ward);
-      if(!v) continue;
-      if(String(v).trim().toLowerCase() === String(nameValue).trim().toLowerCase()){
-        out.push(f);
+  // every facility of `type` assigned to exactly one polygon of `level` (built on first use)
+  function facilityAssignment(level, type){
+    const lv = levels[level];
+    lv.assignments = lv.assignments || {};
+    if(!lv.assignments[type]){
+      lv.assignments[type] = geometry.assignPoints(facilityIndex[type], lv.geo.features);
+    }
+    return lv.assignments[type];
+  }
+
+  // under the chart: facilities lying outside every polygon of `level`, which no region counts
+  const unassignedNote = document.getElementById('unassigned-note');
+  function showUnassigned(level){
+    if(!unassignedNote) return;
+    const counts = Object.keys(facilityIndex).filter(type => facilityIndex[type])
+      .map(type => [type, facilityAssignment(level, type).unassigned.length])
+      .filter(([, n]) => n > 0);
+    unassignedNote.textContent = counts.length
+      ? t('compare.unassigned', {list: i18n.list(counts.map(([type, n]) => i18n.plural(`clusters.count.${type}`, n)))})
+      : '';
+    unassignedNote.hidden = !counts.length;
+  }
+
+  // Facility points inside a polygon (GeoJSON feature). Level polygons use the shared assignment so
+  // border points are counted once; other polygons fall back to a grid lookup plus point-in-polygon.
+  function facilitiesInFeature(feature, type){
+    const grid = facilityIndex[type];
+    if(!grid) return [];
+    const level = levelOfFeature(feature);
+    if(level) return (facilityAssignment(level, type).byFeature.get(feature) || []).map(item => item.feature);
+    return grid.query(spatial.bboxOf(feature)).filter(item => featureContainsPoint(feature, item.coord)).map(item => item.feature);
+  }
+
+  // polygon of `level` a facility was counted in, from the same one-owner assignment as the counts
+  const owners = {};
+  function facilityOwner(level, type, facility){
+    const lv = levels[level];
+    if(!lv || !lv.available || !facilityIndex[type]) return null;
+    const key = `${level}:${type}`;
+    if(!owners[key]){
+      owners[key] = new Map();
+      for(const [polygon, items] of facilityAssignment(level, type).byFeature){
+        for(const item of items) owners[key].set(item.feature, polygon);
       }
     }
-    return out;
+    return owners[key].get(facility) || null;
   }
 
-  // Count facilities within a polygon (GeoJSON feature)
+  // Count facilities within a polygon (GeoJSON feature); cached since polygons never change
+  const countCache = new WeakMap();
   function countFacilitiesInFeature(feature){
+    if(countCache.has(feature)) return countCache.get(feature);
     const counts = {police:0, army:0, checkpoints:0};
-    // build bounding check for speed
-    const coords = feature.geometry && feature.geometry.coordinates ? feature.geometry.coordinates.flat(2) : [];
-    // fallback: test every point by point-in-polygon
-    if(policeGeo && policeGeo.features){
-      for(const p of policeGeo.features){
-        const pt = p.geometry && p.geometry.coordinates ? p.geometry.coordinates : null;
-        if(pt && featureContainsPoint(feature, pt)) counts.police++;
-      }
-    }
-    if(armyGeo && armyGeo.features){
-      for(const p of armyGeo.features){
-        const pt = p.geometry && p.geometry.coordinates ? p.geometry.coordinates : null;
-        if(pt && featureContainsPoint(feature, pt)) counts.army++;
-      }
-    }
-    if(checkpointsGeo && checkpointsGeo.features){
-      for(const p of checkpointsGeo.features){
-        const pt = p.geometry && p.geometry.coordinates ? p.geometry.coordinates : null;
-        if(pt && featureContainsPoint(feature, pt)) counts.checkpoints++;
-      }
-    }
+    for(const type of Object.keys(counts)) counts[type] = facilitiesInFeature(feature, type).length;
+    countCache.set(feature, counts);
     return counts;
   }
 
-  // create simple risk category from risk numeric field if available
+  // risk category label for a score, from the shared classification
   function riskCategoryFromValue(v){
-    if(v === null || v === undefined || isNaN(Number(v))) return 'Unknown';
-    const n = Number(v);
-    if(n <= 33) return 'Low';
-    if(n <= 66) return 'Medium';
-    return 'High';
+    return i18n.category(riskConfig.classify(v));
   }
 
-  // Highlight features on map (renders GeoJSON to ol.Feature)
-  function highlightGeoJsonFeatures(features, color='#ff6600'){
-    highlightSource.clear();
+  // Highlight features on map (renders GeoJSON to ol.Feature); pass keep=true to add to the current highlight
+  function highlightGeoJsonFeatures(features, color='#ff6600', keep=false){
+    if(!keep) highlightSource.clear();
+    const style = new ol.style.Style({
+      stroke: new ol.style.Stroke({color, width:3}),
+      fill: new ol.style.Fill({color: withAlpha(color, 0.12)})
+    });
     for(const f of features){
       try {
         const geom = f.geometry;
         const coords = geom.coordinates;
         // convert each polygon ring coordinates to ol.geom.Polygon with projection conversion
-        if(geom.type === 'Polygon'){
-          const rings = coords.map(r => r.map(c => ol.proj.fromLonLat([c[0], c[1]])));
-          const poly = new ol.Feature(new ol.geom.Polygon(rings));
-          poly.setStyle(new ol.style.Style({
-            stroke: new ol.style.Stroke({color, width:3}),
-            fill: new ol.style.Fill({color: color === '#ff6600' ? 'rgba(255,102,0,0.12)' : 'rgba(0,128,255,0.08)'})
-          }));
+        const polygons = geom.type === 'Polygon' ? [coords] : (geom.type === 'MultiPolygon' ? coords : []);
+        for(const polyCoords of polygons){
+          const rings = polyCoords.map(r => r.map(c => ol.proj.fromLonLat([c[0], c[1]])));
+          const poly = new ol.Feature({geometry: new ol.geom.Polygon(rings), sourceFeature: f});
+          poly.setStyle(style);
           highlightSource.addFeature(poly);
-        } else if(geom.type === 'MultiPolygon'){
-          for(const polyCoords of coords){
-            const rings = polyCoords.map(r => r.map(c => ol.proj.fromLonLat([c[0], c[1]])));
-            const poly = new ol.Feature(new ol.geom.Polygon(rings));
-            poly.setStyle(new ol.style.Style({
-              stroke: new ol.style.Stroke({color, width:3}),
-              fill: new ol.style.Fill({color: color === '#ff6600' ? 'rgba(255,102,0,0.12)' : 'rgba(0,128,255,0.08)'})
-            }));
-            highlightSource.addFeature(poly);
-          }
         }
       } catch(e){
         console.warn('Highlight geometry error', e);
@@ -225,6 +648,13 @@
     }
   }
 
+  // '#rrggbb' -> 'rgba(r,g,b,a)'
+  function withAlpha(hex, alpha){
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    if(!m) return hex;
+    return `rgba(${parseInt(m[1],16)},${parseInt(m[2],16)},${parseInt(m[3],16)},${alpha})`;
+  }
+
   // Fit map to show features
   function fitToFeatures(features){
     try {
@@ -247,225 +677,471 @@
   }
 
   // Build comparison dataset and render chart
-  let currentChart = null;
-  function renderComparison(regionNameA, featuresA, regionNameB, featuresB){
-    // Aggregate counts and risk categories for each region (if multiple features per selection we sum)
-    const aggA = {police:0, army:0, checkpoints:0, riskValues:[]};
-    const aggB = {police:0, army:0, checkpoints:0, riskValues:[]};
 
-    for(const f of featuresA){
-      const counts = countFacilitiesInFeature(f);
-      aggA.police += counts.police;
-      aggA.army += counts.army;
-      aggA.checkpoints += counts.checkpoints;
-      const rv = f.properties && f.properties[fields.riskField] !== undefined ? Number(f.properties[fields.riskField]) : null;
-      if(rv !== null && !isNaN(rv)) aggA.riskValues.push(rv);
-    }
-    for(const f of featuresB){
+  // Aggregate counts and risk values for one region (if multiple features per selection we sum)
+  // risk scores of a region's polygons and their average (null when none has a score)
+  function regionRisk(level, features){
+    const riskValues = features.map(f => riskValueFor(level, f)).filter(rv => rv !== null && !isNaN(rv));
+    const avgRisk = riskValues.length ? (riskValues.reduce((s,x)=>s+x,0)/riskValues.length) : null;
+    return {riskValues, avgRisk};
+  }
+
+  function aggregateRegion(level, name, features){
+    const agg = {police:0, army:0, checkpoints:0};
+    for(const f of features){
       const counts = countFacilitiesInFeature(f);
-      aggB.police += counts.police;
-      aggB.army += counts.army;
-      aggB.checkpoints += counts.checkpoints;
-      const rv = f.properties && f.properties[fields.riskField] !== undefined ? Number(f.properties[fields.riskField]) : null;
-      if(rv !== null && !isNaN(rv)) aggB.riskValues.push(rv);
+      agg.police += counts.police;
+      agg.army += counts.army;
+      agg.checkpoints += counts.checkpoints;
     }
+    // incidents of the incident log in its current window (incidents.js loads after this file)
+    const incidents = window.APP.incidents;
+    if(incidents && incidents.available) Object.assign(agg, incidents.countIn(level, features));
+    const {riskValues, avgRisk} = regionRisk(level, features);
+    agg.riskValues = riskValues;
+    return {name, features, agg, avgRisk};
+  }
 
-    // average risk values if available
-    const avgA = aggA.riskValues.length ? (aggA.riskValues.reduce((s,x)=>s+x,0)/aggA.riskValues.length) : null;
-    const avgB = aggB.riskValues.length ? (aggB.riskValues.reduce((s,x)=>s+x,0)/aggB.riskValues.length) : null;
-
-    const labels = ['Police','Army','Checkpoints'];
-    const dataA = [aggA.police, aggA.army, aggA.checkpoints];
-    const dataB = [aggB.police, aggB.army, aggB.checkpoints];
+  let currentChart = null;
 
+  // popup content of a comparison: chart, title and inventory (drawn again when the language changes)
+  function drawComparison(data){
+    const {regions} = data;
     // destroy previous chart
     if(currentChart) currentChart.destroy();
+    const withIncidents = regions.every(r => r.agg.incidents !== undefined);
 
+    // regions along the x axis so any number of them fits; facility types as bar series
     currentChart = new Chart(chartCanvas, {
       type: 'bar',
       data: {
-        labels,
+        labels: regions.map(r => r.name),
         datasets: [
-          { label: regionNameA, data: dataA, backgroundColor: 'rgba(54,162,235,0.6)' },
-          { label: regionNameB, data: dataB, backgroundColor: 'rgba(255,99,132,0.6)' },
-          // overlay risk as line (scale adjusted to a small multiplier)
-          { label: 'Risk (avg)', data: [(avgA||0),(avgB||0)], type: 'line', yAxisID:'riskAxis', tension:0.2, borderWidth:2, pointRadius:4, backgroundColor:'rgba(0,0,0,0.1)'}
+          { label: t('chart.police'), data: regions.map(r => r.agg.police), backgroundColor: 'rgba(54,162,235,0.6)' },
+          { label: t('chart.army'), data: regions.map(r => r.agg.army), backgroundColor: 'rgba(75,192,192,0.6)' },
+          { label: t('chart.checkpoints'), data: regions.map(r => r.agg.checkpoints), backgroundColor: 'rgba(255,159,64,0.6)' },
+          ...(withIncidents ? [{ label: t('chart.incidents'), data: regions.map(r => r.agg.incidents), backgroundColor: 'rgba(153,102,255,0.6)' }] : []),
+          // overlay risk as line on its own axis
+          // points filled with the risk category colour used on the map, ringed in the region's colour
+          { label: t('chart.risk'), data: regions.map(r => r.avgRisk || 0), type: 'line', yAxisID:'riskAxis', tension:0.2, borderWidth:2, pointRadius:5, pointBorderWidth:2,
+            pointBackgroundColor: regions.map(r => riskConfig.classify(r.avgRisk).color), pointBorderColor: regions.map(r => r.color), backgroundColor:'rgba(0,0,0,0.1)'}
         ]
       },
       options: {
         responsive:true,
+        locale: i18n.locale(),
         interaction:{mode:'index',intersect:false},
+        plugins: {
+          tooltip: { callbacks: {
+            label: ctx => ctx.dataset.yAxisID === 'riskAxis'
+              ? `${ctx.dataset.label}: ${ctx.formattedValue} (${riskCategoryFromValue(regions[ctx.dataIndex].avgRisk)})`
+              : `${ctx.dataset.label}: ${ctx.formattedValue}`
+          } }
+        },
         scales: {
-          y: { beginAtZero:true, position:'left', title:{display:true,text:'Facility count'} },
-          riskAxis: { type:'linear', position:'right', beginAtZero:true, display:true, title:{display:true,text:'Risk (avg)'} }
+          x: { ticks: { color: regions.map(r => r.color), font: {weight:'bold'} } },
+          y: { beginAtZero:true, position:'left', title:{display:true,text:t(withIncidents ? 'chart.count' : 'chart.facilityCount')} },
+          riskAxis: { type:'linear', position:'right', beginAtZero:true, display:true, grid:{drawOnChartArea:false}, title:{display:true,text:t('chart.riskAxis', {field: riskConfig.field})} }
         }
       }
     });
 
+    document.getElementById('modal-title').textContent = regions.map(r => r.name).join(` ${t('pdf.vs')} `);
+    inventory.render(inventoryEl, inventoryItems(regions));
+    showUnassigned(data.level);
+  }
+
+  function renderComparison(level, selections){
+    const regions = selections.map((sel, i) => ({
+      ...aggregateRegion(level, sel.name, sel.features),
+      color: REGION_PALETTE[i % REGION_PALETTE.length]
+    }));
+    // prepare data to be used by PDF generator
+    popup.currentData = {type: 'comparison', level, regions};
+    drawComparison(popup.currentData);
+
     // show popup
     popup.style.display = 'block';
-    document.getElementById('modal-title').textContent = `${regionNameA} vs ${regionNameB}`;
     // highlight and fit
-    highlightGeoJsonFeatures(featuresA, '#2a9d8f');
-    highlightGeoJsonFeatures(featuresB, '#e76f51');
-    fitToFeatures([...featuresA, ...featuresB]);
+    highlightSource.clear();
+    for(const r of regions) highlightGeoJsonFeatures(r.features, r.color, true);
+    fitToFeatures(regions.flatMap(r => r.features));
+  }
 
-    // prepare data to be used by PDF generator
-    popup.currentData = {regionNameA, regionNameB, aggA, aggB, avgA, avgB, featuresA, featuresB};
+  // General explanation of the risk index, on the first page of every report
+  function riskIndexProse(){
+    return t('pdf.riskIndexProse', {categories: i18n.list(riskConfig.classes.map(i18n.category))});
   }
 
-  // create narrative for a single region (no numbers)
-  function createRegionNarrative(regionName, agg, avgRisk){
-    const cat = riskCategoryFromValue(avgRisk);
-    const parts = [];
-    parts.push(`Regional Interpretation for ${regionName}.`);
-    parts.push(`This area falls within the ${cat} risk category.`);
-    // police presence
-    if(agg.police > 3) parts.push('Police coverage is comparatively strong, with multiple stations providing response capacity across the area.');
-    else if(agg.police > 0) parts.push('Some police presence exists, but it is uneven across the area.');
-    else parts.push('Police stations are largely absent inside the area, which may limit immediate response.');
+  // Date line, plus the risk model weights when the scores are a scenario
+  function reportMeta(){
+    const riskModel = window.APP.riskModel;
+    const meta = [t('pdf.date', {date: i18n.date()})];
+    if(riskModel && !riskModel.isBaseline()) meta.push(t('pdf.riskScores', {model: riskModel.describe()}));
+    return meta;
+  }
 
-    // army
-    if(agg.army > 1) parts.push('Military installations provide additional stabilizing influence in parts of the region.');
-    else parts.push('Military presence in this region is limited.');
+  // report template in the interface language
+  function createReport(subtitle){
+    return window.APP.pdf.createReport({
+      title: t('pdf.title'), contents: t('pdf.contents'), pageLabel: t('pdf.page'),
+      subtitle, meta: reportMeta()
+    });
+  }
+
+  // map as currently highlighted and fitted, with the region colours in its legend
+  async function captureMap(regions){
+    return window.APP.mapSnapshot
+      ? await window.APP.mapSnapshot.capture({legendExtra: regions.map(r => ({label: r.name, color: r.color}))})
+      : null;
+  }
 
-    // checkpoints
-    if(agg.checkpoints > 4) parts.push('Checkpoints are frequent along main routes, improving movement monitoring.');
-    else if(agg.checkpoints > 0) parts.push('Checkpoints are present but sparse across the internal network.');
-    else parts.push('There are few or no checkpoints within the region.');
+  function addMapSection(report, title, snapshot){
+    if(!snapshot) return;
+    report.addSection({id: 'map', title, render: L => {
+      // full content width, shrunk if the map is taller than a page
+      const room = L.bottom - L.top - 40;
+      let w = L.width, h = w * snapshot.height / snapshot.width;
+      if(h > room){ w = w * room / h; h = room; }
+      L.image(snapshot.dataUrl, 'PNG', w, h);
+    }});
+  }
 
-    parts.push('Land use patterns and local activities in the area contribute to the overall risk profile and should be considered alongside facility distribution.');
+  // category key, same breaks and colours as the map legend
+  function drawRiskKey(L){
+    L.heading(t('pdf.riskCategories', {field: riskConfig.field}), {level: 2, toc: false, keep: 14 * riskConfig.classes.length});
+    for(const c of riskConfig.classes){
+      L.ensureSpace(14);
+      L.swatch(riskConfig.rgbOf(c.color), L.margin, L.y);
+      L.doc.text(`${i18n.category(c)}: ${riskConfig.rangeText(c)}`, L.margin + 14, L.y);
+      L.moveDown(14);
+    }
+  }
 
-    return parts.join(' ');
+  // score breakdown per state (LGAs and wards show the state they inherit from)
+  function addBreakdownSection(report, level, regions){
+    const riskModel = window.APP.riskModel;
+    if(!riskModel) return;
+    report.addSection({id: 'breakdown', title: t('pdf.breakdown'), render: L => {
+      const {doc} = L;
+      L.paragraph(t('pdf.breakdownIntro', {model: riskModel.describe()}));
+      const stateOf = f => level === 'state' ? f : ancestorAt(level, f, 'state');
+      const shown = new Set();
+      const items = [];
+      for(const r of regions){
+        for(const f of r.features){
+          const st = stateOf(f);
+          if(!st || shown.has(st)) continue;
+          shown.add(st);
+          items.push({state: st, region: r.name, d: riskModel.decompose(st)});
+        }
+      }
+      const maxScore = Math.max(1, ...items.map(it => it.d.score || 0));
+      const barWidth = L.width - 120;
+      for(const it of items){
+        const stateName = featureName('state', it.state);
+        const label = stateName === it.region ? stateName : t('pdf.breakdownIn', {region: it.region, state: stateName});
+        L.heading(`${label}: ${it.d.score === null ? '-' : fmtNum(it.d.score, 0)} (${riskCategoryFromValue(it.d.score)})`, {level: 2, toc: false, keep: 40});
+        // stacked bar of the positive parts, scaled to the highest score in the report
+        let x = L.margin;
+        const segments = [...it.d.parts.map(p => ({points: p.points, color: p.color})), {points: it.d.overridePoints, color: '#555555'}];
+        for(const seg of segments){
+          if(seg.points <= 0) continue;
+          const w = seg.points / maxScore * barWidth;
+          doc.setFillColor(seg.color);
+          doc.rect(x, L.y - 8, w, 8, 'F');
+          x += w;
+        }
+        L.moveDown(14);
+        const text = it.d.parts.filter(p => p.weight > 0)
+          .map(p => `${t('component.' + p.key)} ${fmtNum(p.points)}`)
+          .concat(it.d.overridePoints ? [t('pdf.breakdownOverride', {points: fmtNum(it.d.overridePoints)})] : [])
+          .concat(Math.abs(it.d.residual) >= 0.05 ? [t('pdf.breakdownRounding', {points: fmtNum(it.d.residual)})] : []);
+        L.paragraph(t('pdf.breakdownPoints', {parts: text.join(' + ')}));
+      }
+      // colour key for the components
+      L.ensureSpace(14);
+      let kx = L.margin;
+      for(const c of riskModel.COMPONENTS){
+        const label = t('component.' + c.key);
+        const w = 12 + doc.getTextWidth(label) + 12;
+        if(kx > L.margin && kx + w > L.margin + L.width){ kx = L.margin; L.moveDown(14); L.ensureSpace(14); }
+        L.swatch(c.color, kx, L.y);
+        doc.text(label, kx + 12, L.y);
+        kx += w;
+      }
+      L.moveDown(14);
+    }});
   }
 
-  // create comparative narrative
-  function createComparativeNarrative(nameA, aggA, avgA, nameB, aggB, avgB){
-    const catA = riskCategoryFromValue(avgA);
-    const catB = riskCategoryFromValue(avgB);
-    const parts = [];
-    parts.push(`Comparative Interpretation of ${nameA} and ${nameB}.`);
-    parts.push(`${nameA} is in the ${catA} category, while ${nameB} is in the ${catB} category.`);
-    // contrast police
-    if(aggA.police > aggB.police) parts.push(`${nameA} shows stronger police coverage compared to ${nameB}.`);
-    else if(aggB.police > aggA.police) parts.push(`${nameB} shows stronger police coverage compared to ${nameA}.`);
-    else parts.push(`Police coverage is similar between both regions.`);
+  // every facility counted in the regions, for the inventory table and appendix (inventory.js)
+  function inventoryItems(regions){
+    return regions.flatMap(r => Object.keys(inventory.TYPES).flatMap(type =>
+      r.features.flatMap(f => facilitiesInFeature(f, type)).map(feature => ({type, feature, region: r.name}))));
+  }
 
-    // checkpoints
-    if(aggA.checkpoints > aggB.checkpoints) parts.push(`${nameA} has more checkpoints, which improves monitoring.`);
-    else if(aggB.checkpoints > aggA.checkpoints) parts.push(`${nameB} has more checkpoints.`);
-    else parts.push(`Checkpoint presence is comparable across both areas.`);
+  function addInventorySection(report, regions){
+    report.addSection({id: 'inventory', title: t('pdf.inventory'), render: L => {
+      L.paragraph(t('pdf.inventoryIntro', {names: i18n.list(regions.map(r => r.name))}));
+      inventory.drawTables(L, inventoryItems(regions));
+    }});
+  }
 
-    parts.push('Taken together, facility distribution and land-use patterns explain the relative difference between the regions.');
-    return parts.join(' ');
+  // file name (without extension) shared by the PDF and the data exports of a popup
+  const slug = n => n.replace(/\s+/g,'_');
+  function reportBaseName(data){
+    const {level, regions} = data;
+    if(data.type === 'region') return `report_${slug(level)}_${slug(regions[0].name)}`;
+    return regions.length <= 3
+      ? `comparison_${regions.map(r => slug(r.name)).join('_vs_')}`
+      : `comparison_${regions.length}_regions`;
   }
 
-  // PDF generation using jsPDF + html2canvas
+  // PDF report for a comparison: sections on the report template of pdflayout.js, with a map snapshot from mapsnapshot.js
   async function generatePdfForComparison(data){
-    // data: popup.currentData
-    if(!data) return;
-    const {regionNameA, regionNameB, aggA, aggB, avgA, avgB} = data;
+    const {level, regions} = data;
     // capture chart as image
-    const chartCanvasEl = document.getElementById('comparisonChart');
-    const chartDataUrl = chartCanvasEl.toDataURL('image/png',1.0);
+    const chartDataUrl = document.getElementById('comparisonChart').toDataURL('image/png',1.0);
+    const snapshot = await captureMap(regions);
 
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF({orientation:'portrait', unit:'pt', format:'a4'});
+    const report = createReport(t('pdf.comparisonSubtitle', {names: regions.map(r => r.name).join(`  ${t('pdf.vs')}  `)}));
 
-    const margin = 40;
-    const pageWidth = doc.internal.pageSize.getWidth();
+    // first page: chart and the general explanation of the risk index
+    report.addSection({id: 'overview', cover: true, render: L => {
+      L.image(chartDataUrl, 'PNG', L.width, 200, {gap: 18});
+      L.paragraph(riskIndexProse());
+    }});
 
-    // Header: logo left
-    try{
-      const logo = new Image();
-      logo.src = 'images/logo.jpg';
-      await new Promise(r => { logo.onload=r; logo.onerror=r; });
-      doc.addImage(logo, 'JPEG', margin, 20, 60, 60);
-    } catch(e){
-      // ignore if missing
-    }
-
-    // Title centered
-    doc.setFontSize(18);
-    doc.setFont('helvetica','bold');
-    doc.text('GEOINFOTECH', pageWidth/2, 40, {align:'center'});
-    doc.setFontSize(14);
-    doc.setFont('helvetica','bold');
-    doc.text('Security Infrastructure Report', pageWidth/2, 62, {align:'center'});
-
-    // region meta
-    doc.setFontSize(10);
-    doc.setFont('helvetica','normal');
-    doc.text(`Comparison: ${regionNameA}  vs  ${regionNameB}`, margin, 100);
-    doc.text(`Date: ${new Date().toLocaleString()}`, margin, 116);
-
-    // chart
-    doc.addImage(chartDataUrl, 'PNG', margin, 140, pageWidth - margin*2, 200);
-
-    // General prose (explain risk index)
-    const generalProse = "This report uses a risk-index designed to summarize local security conditions into an easy-to-understand score. The index combines multiple pieces of information about a place. First, the number and proximity of security facilities such as police stations, army installations and checkpoints are examined, because closer and more numerous facilities generally reduce local risk. Second, land-use patterns and how people use different parts of the area are considered, because some land uses attract or repel security incidents. Third, recorded incident counts, where available, provide context about historical problems in the area. Each of these elements is converted into a standard scale so they can be compared and combined. The scaled values are then combined into a single number that reflects relative security: higher numbers indicate higher risk. The final number is accompanied by a simple label—Low, Medium or High—so the outcome is easy to read. This approach explains relative differences between places rather than predicting exact events. The score is intended to help planners and managers quickly identify areas that need more attention or resources.";
-    const yAfterChart = 360;
-    doc.setFontSize(10);
-    doc.text(doc.splitTextToSize(generalProse, pageWidth - margin*2), margin, yAfterChart + 18);
-
-    // Specific narratives
-    const regionNarrA = createRegionNarrative(regionNameA, aggA, avgA);
-    const regionNarrB = createRegionNarrative(regionNameB, aggB, avgB);
-    const comparative = createComparativeNarrative(regionNameA, aggA, avgA, regionNameB, aggB, avgB);
-
-    let y = yAfterChart + 110;
-    doc.setFont('helvetica','bold');
-    doc.text('Regional Interpretation', margin, y);
-    doc.setFont('helvetica','normal');
-    y += 14;
-    doc.text(doc.splitTextToSize(regionNarrA, pageWidth - margin*2), margin, y);
-    y += (doc.splitTextToSize(regionNarrA, pageWidth - margin*2).length * 12) + 6;
-    doc.text(doc.splitTextToSize(regionNarrB, pageWidth - margin*2), margin, y);
-    y += (doc.splitTextToSize(regionNarrB, pageWidth - margin*2).length * 12) + 10;
-
-    doc.setFont('helvetica','bold');
-    doc.text('Comparative Interpretation', margin, y);
-    doc.setFont('helvetica','normal');
-    y += 14;
-    doc.text(doc.splitTextToSize(comparative, pageWidth - margin*2), margin, y);
-
-    // small stats table
-    y += (doc.splitTextToSize(comparative, pageWidth - margin*2).length * 12) + 16;
-    doc.setFont('helvetica','bold');
-    doc.text('Summary counts (facility types)', margin, y);
-    y += 12;
-    doc.setFont('helvetica','normal');
-    doc.text(`${regionNameA}: Police ${aggA.police}, Army ${aggA.army}, Checkpoints ${aggA.checkpoints}`, margin, y);
-    y += 12;
-    doc.text(`${regionNameB}: Police ${aggB.police}, Army ${aggB.army}, Checkpoints ${aggB.checkpoints}`, margin, y);
-
-    // Footer: Geoinfotech Lagos contact details (from public website)
-    const footer = "Geoinfotech - Lagos: Oluwalogbon House, Testing Ground Bus Stop, Obafemi Awolowo Way, Ikeja, Lagos. Phone: 08163222177, 08134101202. Email: contact@geoinfotech.ng";
-    const footerY = doc.internal.pageSize.getHeight() - 40;
-    doc.setFontSize(9);
-    doc.text(footer, margin, footerY);
-
-    doc.save(`comparison_${regionNameA.replace(/\s+/g,'_')}_vs_${regionNameB.replace(/\s+/g,'_')}.pdf`);
+    addMapSection(report, t('pdf.mapCompared'), snapshot);
+
+    report.addSection({id: 'regional', title: t('pdf.regional'), render: L => {
+      regions.forEach((r, i) => L.paragraph(window.APP.narrative.region(level, r), {gap: i === regions.length - 1 ? 10 : 6}));
+    }});
+
+    report.addSection({id: 'comparative', title: t('pdf.comparative'), render: L => {
+      L.paragraph(window.APP.narrative.comparative(level, regions), {gap: 16});
+    }});
+
+    // summary table: one row per region, colour key matches the map highlight
+    report.addSection({id: 'summary', title: t('pdf.summary'), render: L => {
+      const withIncidents = regions.every(r => r.agg.incidents !== undefined);
+      L.table([
+        {title: t('col.region'), width: withIncidents ? 130 : 170},
+        {title: t('col.riskAvg'), width: 60, align:'right'},
+        {title: t('col.category'), width: 95},
+        {title: t('col.police'), width: 55, align:'right'},
+        {title: t('col.army'), width: 55, align:'right'},
+        {title: t('col.checkpoints'), width: 80, align:'right'},
+        ...(withIncidents ? [{title: t('col.incidents'), width: 60, align:'right'}] : [])
+      ], regions.map(r => [
+        {text: r.name, color: r.color},
+        r.avgRisk === null ? '-' : fmtNum(r.avgRisk),
+        {text: riskCategoryFromValue(r.avgRisk), color: riskConfig.rgbOf(riskConfig.classify(r.avgRisk).color)},
+        String(r.agg.police), String(r.agg.army), String(r.agg.checkpoints),
+        ...(withIncidents ? [String(r.agg.incidents)] : [])
+      ]));
+      if(withIncidents) L.paragraph(t('pdf.incidentNote', window.APP.incidents.windowText()), {size: 9, color: 90});
+      drawRiskKey(L);
+    }});
+
+    addBreakdownSection(report, level, regions);
+    addInventorySection(report, regions);
+
+    const doc = await report.build();
+    doc.save(`${reportBaseName(data)}.pdf`);
+  }
+
+  const NEAREST_COUNT = 5;
+  const CRIME_FIELD = 'crime_total_clean';
+
+  // recorded incidents of a state, with its rank (1 = most) and share among the states that report them
+  function crimeFigures(state){
+    const value = f => {
+      const v = f.properties[CRIME_FIELD];
+      return v === null || v === undefined || v === '' || isNaN(Number(v)) ? null : Number(v);
+    };
+    const states = levels.state.available ? levels.state.geo.features : [];
+    const reported = states.map(value).filter(v => v !== null);
+    const incidents = value(state);
+    if(incidents === null) return {incidents, reported: reported.length, states: states.length};
+    const total = reported.reduce((s, v) => s + v, 0);
+    const areaKm2 = geometry.areaKm2(state);
+    return {
+      incidents,
+      rank: reported.filter(v => v > incidents).length + 1,
+      reported: reported.length,
+      states: states.length,
+      share: total ? incidents / total : null,
+      per1000Km2: areaKm2 ? incidents / areaKm2 * 1000 : null,
+      nationalMean: total / reported.length
+    };
   }
 
+  // PDF report for one region (from the search box): its own profile, facilities and crime figures
+  async function generatePdfForRegion(data){
+    const {level} = data;
+    const region = data.regions[0];
+    const lvLabel = levelLabel(level);
+    const chartDataUrl = document.getElementById('comparisonChart').toDataURL('image/png',1.0);
+    const snapshot = await captureMap([region]);
+
+    const report = createReport(t('pdf.regionSubtitle', {level: lvLabel, name: region.name}));
+
+    report.addSection({id: 'overview', cover: true, render: L => {
+      L.image(chartDataUrl, 'PNG', L.width, 200, {gap: 18});
+      L.paragraph(riskIndexProse());
+    }});
+
+    addMapSection(report, t('pdf.mapOf', {name: region.name}), snapshot);
+
+    report.addSection({id: 'regional', title: t('pdf.regional'), render: L => {
+      L.paragraph(window.APP.narrative.region(level, region));
+    }});
+
+    report.addSection({id: 'profile', title: t('pdf.profile', {level: lvLabel}), render: L => {
+      const area = region.features.reduce((s, f) => s + geometry.areaKm2(f), 0);
+      const state = level === 'state' ? null : ancestorAt(level, region.features[0], 'state');
+      const rows = [
+        [t('pdf.profileLevel'), lvLabel],
+        ...(state ? [[t('pdf.profileState'), featureName('state', state)]] : []),
+        [t('pdf.profileArea'), `${fmtNum(area, 0)} km²`],
+        [t('pdf.profileRisk'), region.avgRisk === null ? '-' : fmtNum(region.avgRisk)],
+        [t('pdf.profileCategory'), {text: riskCategoryFromValue(region.avgRisk), color: riskConfig.rgbOf(riskConfig.classify(region.avgRisk).color)}],
+        [t('facility.police'), String(region.agg.police)],
+        [t('facility.army'), String(region.agg.army)],
+        [t('facility.checkpoints'), String(region.agg.checkpoints)],
+        ...(region.agg.incidents === undefined ? [] : [
+          [t('pdf.profileIncidents', window.APP.incidents.windowText()), String(region.agg.incidents)],
+          [t('pdf.profileCasualties', window.APP.incidents.windowText()), String(region.agg.casualties)]
+        ])
+      ];
+      L.table([{title: t('col.indicator'), width: 170}, {title: t('col.value'), width: 200}], rows);
+      if(level !== 'state') L.paragraph(t('pdf.inherited', {name: region.name}), {size: 9, color: 90});
+      if(region.agg.incidents !== undefined) L.paragraph(t('pdf.incidentNote', window.APP.incidents.windowText()), {size: 9, color: 90});
+      drawRiskKey(L);
+    }});
+
+    // crime figures are recorded per state; LGAs and wards report their state's
+    report.addSection({id: 'crime', title: t('pdf.crime'), render: L => {
+      const states = [...new Set(region.features.map(f => level === 'state' ? f : ancestorAt(level, f, 'state')).filter(Boolean))];
+      if(!states.length){
+        L.paragraph(t('pdf.crimeNoState', {name: region.name}));
+        return;
+      }
+      for(const st of states){
+        const name = featureName('state', st);
+        const c = crimeFigures(st);
+        if(states.length > 1 || level !== 'state') L.heading(level === 'state' ? name : t('pdf.crimeStateOf', {state: name, name: region.name}), {level: 2, toc: false});
+        if(c.incidents === null){
+          L.paragraph(t('pdf.crimeNone', {name, reported: c.reported, states: c.states}));
+          continue;
+        }
+        L.table([{title: t('col.figure'), width: 220}, {title: t('col.value'), width: 150, align: 'right'}], [
+          [t('pdf.crimeIncidents'), fmtNum(c.incidents, 0)],
+          [t('pdf.crimeRank'), t('pdf.crimeRankValue', {rank: c.rank, count: c.reported})],
+          [t('pdf.crimeShare'), c.share === null ? '-' : `${fmtNum(c.share * 100)} %`],
+          [t('pdf.crimeDensity'), c.per1000Km2 === null ? '-' : fmtNum(c.per1000Km2)],
+          [t('pdf.crimeMean'), fmtNum(c.nationalMean, 0)]
+        ]);
+      }
+      L.paragraph(t('pdf.crimeNote', {field: CRIME_FIELD}), {size: 9, color: 90});
+    }});
+
+    addBreakdownSection(report, level, [region]);
+
+    // closest facilities of each type to the middle of the region, inside it or not
+    report.addSection({id: 'nearest', title: t('pdf.nearest'), render: L => {
+      const centre = representativePoint(region.features[0]);
+      if(!centre){
+        L.paragraph(t('pdf.nearestNoGeometry'));
+        return;
+      }
+      L.paragraph(t('pdf.nearestIntro', {name: region.name, lat: centre[1].toFixed(4), lon: centre[0].toFixed(4)}));
+      const inside = new Set(inventoryItems([region]).map(it => it.feature));
+      const rows = [];
+      for(const [type, spec] of Object.entries(inventory.TYPES)){
+        for(const {item, km} of facilityIndex[type].nearest(centre, NEAREST_COUNT)){
+          rows.push([inventory.typeLabel(type, true), spec.name(item.feature.properties), fmtNum(km), t(inside.has(item.feature) ? 'yes' : 'no')]);
+        }
+      }
+      L.table([
+        {title: t('col.type'), width: 80}, {title: t('col.name'), width: 265},
+        {title: t('col.distance'), width: 90, align: 'right'}, {title: t('col.inside'), width: 60}
+      ], rows);
+    }});
+
+    addInventorySection(report, [region]);
+
+    const doc = await report.build();
+    doc.save(`${reportBaseName(data)}.pdf`);
+  }
+
+  // one download button for every popup: popup.currentData.type picks the report
+  const REPORTS = {comparison: generatePdfForComparison, region: generatePdfForRegion};
+
   // Hook up events
   btnCompare.addEventListener('click', (e)=>{
     const lvl = levelSel.value;
-    const nameA = regionA.value;
-    const nameB = regionB.value;
-    if(!nameA || nameA.startsWith('--') || !nameB || nameB.startsWith('--')) {
-      alert('Select both regions.');
+    const chosen = pickers.filter(pk => pk.value());
+    if(chosen.length < 2) {
+      alert(t('alert.selectTwo'));
       return;
     }
-    const featsA = getFeaturesByName(lvl, nameA);
-    const featsB = getFeaturesByName(lvl, nameB);
-    if(featsA.length===0 || featsB.length===0){
-      alert('Could not find geometries for one or both regions. Check naming.');
+    const selections = chosen.map(pk => ({name: pk.value(), features: pk.features()}));
+    const missing = selections.filter(sel => sel.features.length === 0);
+    if(missing.length){
+      alert(t('alert.missing', {names: i18n.list(missing.map(sel => sel.name))}));
       return;
     }
-    renderComparison(nameA, featsA, nameB, featsB);
+    renderComparison(lvl, selections);
   });
 
+  // "Drill into" a highlighted region: switch to the level below and pre-select the region in the first picker
+  function childLevelOf(level){
+    return ['lga','ward'].find(l => levels[l].available && levelChain(l).includes(level) && l !== level) || null;
+  }
+
+  function drillInto(level, feature){
+    const child = childLevelOf(level);
+    if(!child) return;
+    const path = {};
+    for(const lvl of levelChain(level)) path[lvl] = featureName(lvl, ancestorAt(level, feature, lvl));
+    levelSel.value = child;
+    populateRegions();
+    pickers[0].setPath(path);
+    const children = levels[child].geo.features.filter(c => ancestorAt(child, c, level) === feature);
+    highlightGeoJsonFeatures(children.length ? children : [feature], '#264653');
+    fitToFeatures(children.length ? children : [feature]);
+  }
+
+  const drillEl = document.createElement('div');
+  drillEl.className = 'drill-popup';
+  const drillOverlay = new ol.Overlay({element: drillEl, positioning: 'bottom-center', offset: [0, -8], stopEvent: true});
+  if(map) map.addOverlay(drillOverlay);
+
+  // below the facility clusters and hexagons, above the risk layer (see onMapClick in index.html)
+  if(map) window.APP.onMapClick((evt)=>{
+    const hit = map.forEachFeatureAtPixel(evt.pixel, f => f, {layerFilter: l => l === window.APP.highlightLayer});
+    const source = hit && hit.get('sourceFeature');
+    const level = source && levelOfFeature(source);
+    if(!level) return false;
+    const name = featureName(level, source);
+    const child = childLevelOf(level);
+    drillEl.innerHTML = '';
+    const btn = document.createElement('button');
+    btn.className = 'btn btn-primary';
+    if(child){
+      btn.textContent = t('drill.into', {name, level: levelLabel(child, true)});
+      btn.addEventListener('click', ()=>{ drillOverlay.setPosition(undefined); drillInto(level, source); });
+    } else {
+      btn.textContent = t('drill.none', {name});
+      btn.disabled = true;
+    }
+    drillEl.appendChild(btn);
+    drillOverlay.setPosition(evt.coordinate);
+    return true;
+  }, {priority: 20, dismiss: ()=> drillOverlay.setPosition(undefined)});
+
   btnResetView.addEventListener('click', ()=>{
     highlightSource.clear();
     popup.style.display = 'none';
@@ -484,74 +1160,94 @@
   btnClose.addEventListener('click', ()=>{ popup.style.display='none'; highlightSource.clear(); });
 
   btnDownloadPdf.addEventListener('click', async ()=>{
-    await generatePdfForComparison(popup.currentData);
+    const data = popup.currentData;
+    const build = data && REPORTS[data.type];
+    if(!build || btnDownloadPdf.disabled) return;
+    // one PDF per click, even if the button is clicked again while it is being built
+    btnDownloadPdf.disabled = true;
+    try {
+      await build(data);
+    } catch(e){
+      console.error('PDF generation failed', e);
+      alert(t('alert.pdfFailed'));
+    } finally {
+      btnDownloadPdf.disabled = false;
+    }
   });
 
-  // Search field logic: search and produce single-region PDF request
-  async function handleSearch(){
-    const q = searchInput.value && searchInput.value.trim();
-    if(!q) return alert('Type a state, LGA or ward name.');
-    // try to find matching feature (state/lga/ward)
-    const lvlCandidates = ['state','lga','ward'];
-    let found = null;
-    let foundLevel = null;
-    for(const lvl of lvlCandidates){
-      const feats = getFeaturesByName(lvl, q);
-      if(feats && feats.length){
-        found = feats;
-        foundLevel = lvl;
-        break;
-      }
-    }
-    if(!found){
-      alert('No matching region found. Try exact names.');
-      return;
-    }
-    // Highlight and fit
+  // Single-region report for a region picked in the search box (search.js): highlight, zoom and
+  // open the popup with its stats, under the name the layer gives it
+  function showRegion(level, features){
+    if(!features || !features.length) return;
     highlightSource.clear();
-    highlightGeoJsonFeatures(found, '#264653');
-    fitToFeatures(found);
-    // generate aggregated stats for the single region
-    const agg = {police:0, army:0, checkpoints:0, riskValues:[]};
-    for(const f of found){
-      const c = countFacilitiesInFeature(f);
-      agg.police += c.police; agg.army += c.army; agg.checkpoints += c.checkpoints;
-      const rv = f.properties && f.properties[fields.riskField] !== undefined ? Number(f.properties[fields.riskField]) : null;
-      if(rv !== null && !isNaN(rv)) agg.riskValues.push(rv);
-    }
-    const avg = agg.riskValues.length ? (agg.riskValues.reduce((s,x)=>s+x,0)/agg.riskValues.length) : null;
-
-    // create a quick chart comparing facilities (single bar set)
+    highlightGeoJsonFeatures(features, '#264653');
+    fitToFeatures(features);
+    const name = featureName(level, features[0]);
+    const region = aggregateRegion(level, name, features);
+    // the download button builds the single-region report (see REPORTS)
+    popup.currentData = {type: 'region', level, regions: [{...region, color: '#264653'}]};
+    drawRegion(popup.currentData);
+    popup.style.display = 'block';
+  }
+
+  // popup content of a single-region report: a quick chart of its facilities (single bar set)
+  function drawRegion(data){
+    const {name, agg} = data.regions[0];
+    const withIncidents = agg.incidents !== undefined;
     if(currentChart) currentChart.destroy();
     currentChart = new Chart(chartCanvas, {
       type:'bar',
       data:{
-        labels:['Police','Army','Checkpoints'],
-        datasets:[{label:q, data:[agg.police,agg.army,agg.checkpoints], backgroundColor:'rgba(75,192,192,0.6)'}]
+        labels:[t('chart.police'), t('chart.army'), t('chart.checkpoints'), ...(withIncidents ? [t('chart.incidents')] : [])],
+        datasets:[{label:name, data:[agg.police,agg.army,agg.checkpoints, ...(withIncidents ? [agg.incidents] : [])],
+          backgroundColor:['rgba(75,192,192,0.6)', 'rgba(75,192,192,0.6)', 'rgba(75,192,192,0.6)', 'rgba(153,102,255,0.6)']}]
       },
-      options:{responsive:true, scales:{y:{beginAtZero:true}}}
+      options:{responsive:true, locale: i18n.locale(), scales:{y:{beginAtZero:true}}}
     });
 
-    document.getElementById('modal-title').textContent = `Report: ${q}`;
-    popup.style.display = 'block';
-    popup.currentData = {regionNameA:q, regionNameB:q, aggA:agg, aggB:agg, avgA:avg, avgB:avg};
-    // show a special single-region download flow: clicking download will produce single-region style PDF
-    btnDownloadPdf.onclick = async ()=>{
-      // reuse generatePdfForComparison but pass same region for both slots so the pdf contains the specific narrative
-      await generatePdfForComparison(popup.currentData);
-      // restore consistent handler
-      btnDownloadPdf.onclick = null;
-      btnDownloadPdf.addEventListener('click', async ()=> await generatePdfForComparison(popup.currentData));
-    };
+    document.getElementById('modal-title').textContent = t('popup.report', {name});
+    inventory.render(inventoryEl, inventoryItems(data.regions));
+    showUnassigned(data.level);
   }
 
-  btnSearch.addEventListener('click', handleSearch);
-  searchInput.addEventListener('keydown', (ev)=>{ if(ev.key === 'Enter') handleSearch(); });
+  // language switch: relabel the scripted controls and redraw an open popup in the new language
+  const POPUP_VIEWS = {comparison: drawComparison, region: drawRegion};
+  document.addEventListener('i18n:change', ()=>{
+    labelLevelOptions();
+    showHierarchyNote();
+    pickers.forEach((pk, i) => pk.setTitle(pickerTitle(i)));
+    drillOverlay.setPosition(undefined);
+    const data = popup.currentData;
+    if(data && popup.style.display === 'block') POPUP_VIEWS[data.type](data);
+  });
 
-  // Small convenience: when popup closes remove highlights
-  window.addEventListener('click', (ev)=>{
-    if(ev.target === popup) return;
+  // incident window or types changed (incidents.js): recount the regions of the popup
+  document.addEventListener('incidents:change', ()=>{
+    const data = popup.currentData;
+    if(!data) return;
+    for(const r of data.regions) Object.assign(r.agg, window.APP.incidents.countIn(data.level, r.features));
+    if(popup.style.display === 'block') POPUP_VIEWS[data.type](data);
+  });
+
+  // risk model scenario changed (riskmodel.js): rescore the regions of the popup, so the chart,
+  // summary table and narratives agree with the breakdown and the report meta
+  document.addEventListener('riskmodel:change', ()=>{
+    const data = popup.currentData;
+    if(!data) return;
+    for(const r of data.regions){
+      const {riskValues, avgRisk} = regionRisk(data.level, r.features);
+      r.agg.riskValues = riskValues;
+      r.avgRisk = avgRisk;
+    }
+    if(popup.style.display === 'block') POPUP_VIEWS[data.type](data);
   });
 
+  // Shared with the other panels (ranking.js, ...), which load after this file
+  window.APP.compare = {
+    levels, featureName, canonicalName, ancestorAt, getFeaturesByName, riskValueFor, riskCategoryFromValue,
+    facilitiesInFeature, countFacilitiesInFeature, facilityOwner, highlightGeoJsonFeatures, fitToFeatures,
+    inventoryItems, reportBaseName, showRegion, facilityIndex, childNames, featuresByPath, hierarchy: hierarchyCheck
+  };
+
   // End of compare.js
 })();
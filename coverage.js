@@ -0,0 +1,346 @@
+// coverage.js
+// Coverage analysis: which parts of each region lie within a service radius of a police station,
+// an army installation or a checkpoint, and where nothing is in reach (the coverage gap).
+//
+// Areas are measured on a fixed lon/lat grid (GRID_STEP degrees, about 2 km): a cell counts for a
+// polygon when its centre lies inside it (scanline fill, holes respected), and is in reach of a
+// facility type when its centre is within that type's radius (great-circle) of one of them.
+// Cells are weighted by cos(latitude) so the shares are shares of area. Polygons too small to
+// hold a cell centre are judged at the middle of their bounding box.
+//
+// - coverageOf(features): {police, army, checkpoints, any} shares (0..1) of the polygons' area
+// - radii() / setRadii({police: km, ...}): service radii; a change fires `coverage:change` on document
+// The "Coverage" panel sets the radii, toggles the radius and gap layers and lists every state.
+// Its shares feed the ranking panel (ranking.js) and the report narratives (narrative.js).
+// Exposed as window.APP.coverage.
+
+(function(){
+  const cmp = window.APP.compare;
+  const spatial = window.APP.spatial;
+  const inventory = window.APP.inventory;
+  const map = window.APP.map;
+  const i18n = window.APP.i18n;
+  const {t} = i18n;
+
+  const TYPES = Object.keys(inventory.TYPES);
+  // default service radius per facility type, km
+  const DEFAULT_RADII = {police: 5, army: 20, checkpoints: 10};
+  const GRID_STEP = 0.02;
+  const KM_PER_DEG = 111.32;
+  const rad = d => d * Math.PI / 180;
+
+  // DOM references
+  const panel = document.getElementById('coverage-panel');
+  const radiiEl = document.getElementById('coverage-radii');
+  const showRadii = document.getElementById('coverage-show-radii');
+  const showGap = document.getElementById('coverage-show-gap');
+  const gapTypeSel = document.getElementById('coverage-gap-type');
+  const table = document.getElementById('coverage-table');
+  const btnCoverage = document.getElementById('btnCoverage');
+  const btnClose = document.getElementById('close-coverage');
+
+  const pct = v => i18n.number(v, {style: 'percent', maximumFractionDigits: 0});
+
+  let radii = {...DEFAULT_RADII};
+
+  // Grid over the state layer (or the facilities when there is none), aligned to GRID_STEP
+  const grid = (function(){
+    const states = cmp.levels.state.available ? cmp.levels.state.geo.features : [];
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const grow = b => { bbox[0] = Math.min(bbox[0], b[0]); bbox[1] = Math.min(bbox[1], b[1]); bbox[2] = Math.max(bbox[2], b[2]); bbox[3] = Math.max(bbox[3], b[3]); };
+    for(const f of states) grow(spatial.bboxOf(f));
+    if(!states.length) for(const type of TYPES) for(const item of cmp.facilityIndex[type].items) grow([item.coord[0], item.coord[1], item.coord[0], item.coord[1]]);
+    const x0 = Math.floor(bbox[0] / GRID_STEP) * GRID_STEP, y0 = Math.floor(bbox[1] / GRID_STEP) * GRID_STEP;
+    return {
+      x0, y0, step: GRID_STEP,
+      cols: Math.max(0, Math.ceil((bbox[2] - x0) / GRID_STEP)),
+      rows: Math.max(0, Math.ceil((bbox[3] - y0) / GRID_STEP))
+    };
+  })();
+  const cellX = i => grid.x0 + (i + 0.5) * grid.step;
+  const cellY = j => grid.y0 + (j + 0.5) * grid.step;
+
+  // cells within the radius of at least one facility of `type`, one byte per cell (built on first use)
+  let reach = {};
+  function reachOf(type){
+    if(reach[type]) return reach[type];
+    const cells = new Uint8Array(grid.cols * grid.rows);
+    const r = radii[type];
+    const items = cmp.facilityIndex[type] ? cmp.facilityIndex[type].items : [];
+    if(r > 0){
+      for(const item of items){
+        const [lon, lat] = item.coord;
+        const dLat = r / KM_PER_DEG, dLon = r / (KM_PER_DEG * Math.max(0.01, Math.cos(rad(lat))));
+        const i0 = Math.max(0, Math.floor((lon - dLon - grid.x0) / grid.step)), i1 = Math.min(grid.cols - 1, Math.floor((lon + dLon - grid.x0) / grid.step));
+        const j0 = Math.max(0, Math.floor((lat - dLat - grid.y0) / grid.step)), j1 = Math.min(grid.rows - 1, Math.floor((lat + dLat - grid.y0) / grid.step));
+        for(let j = j0; j <= j1; j++){
+          for(let i = i0; i <= i1; i++){
+            const k = j * grid.cols + i;
+            if(!cells[k] && spatial.distanceKm(item.coord, [cellX(i), cellY(j)]) <= r) cells[k] = 1;
+          }
+        }
+      }
+    }
+    reach[type] = cells;
+    return cells;
+  }
+
+  // grid cells whose centres lie inside a polygon feature, as row runs [j, i0, i1] (even-odd rule)
+  const runCache = new WeakMap();
+  function cellRuns(feature){
+    if(runCache.has(feature)) return runCache.get(feature);
+    const geom = feature.geometry;
+    const polygons = !geom ? [] : geom.type === 'Polygon' ? [geom.coordinates] : (geom.type === 'MultiPolygon' ? geom.coordinates : []);
+    const edges = [];
+    for(const poly of polygons){
+      for(const ring of poly){
+        for(let k = 0; k < ring.length - 1; k++) edges.push([ring[k][0], ring[k][1], ring[k+1][0], ring[k+1][1]]);
+      }
+    }
+    const b = spatial.bboxOf(feature);
+    const runs = [];
+    const jStart = Math.max(0, Math.ceil((b[1] - grid.y0) / grid.step - 0.5)), jEnd = Math.min(grid.rows - 1, Math.floor((b[3] - grid.y0) / grid.step - 0.5));
+    for(let j = jStart; j <= jEnd; j++){
+      const y = cellY(j);
+      const xs = [];
+      for(const [x1, y1, x2, y2] of edges){
+        if((y1 > y) !== (y2 > y)) xs.push(x1 + (y - y1) * (x2 - x1) / (y2 - y1));
+      }
+      xs.sort((a, c) => a - c);
+      for(let k = 0; k + 1 < xs.length; k += 2){
+        const i0 = Math.max(0, Math.ceil((xs[k] - grid.x0) / grid.step - 0.5));
+        const i1 = Math.min(grid.cols - 1, Math.floor((xs[k+1] - grid.x0) / grid.step - 0.5));
+        if(i0 <= i1) runs.push([j, i0, i1]);
+      }
+    }
+    runCache.set(feature, runs);
+    return runs;
+  }
+
+  // area-weighted cell totals of one polygon: {weight, police, army, checkpoints, any}
+  let statsCache = new WeakMap();
+  function featureStats(feature){
+    if(statsCache.has(feature)) return statsCache.get(feature);
+    const maps = TYPES.map(reachOf);
+    const stats = {weight: 0, any: 0};
+    for(const type of TYPES) stats[type] = 0;
+    const runs = cellRuns(feature);
+    for(const [j, i0, i1] of runs){
+      const w = Math.cos(rad(cellY(j)));
+      for(let i = i0; i <= i1; i++){
+        const k = j * grid.cols + i;
+        let any = false;
+        TYPES.forEach((type, n) => { if(maps[n][k]){ stats[type] += w; any = true; } });
+        stats.weight += w;
+        if(any) stats.any += w;
+      }
+    }
+    if(!runs.length){
+      // smaller than a grid cell: judge it at the middle of its bounding box
+      const b = spatial.bboxOf(feature);
+      if(b && isFinite(b[0])){
+        const mid = [(b[0] + b[2]) / 2, (b[1] + b[3]) / 2];
+        stats.weight = 1;
+        for(const type of TYPES){
+          const g = cmp.facilityIndex[type];
+          if(g && radii[type] > 0 && g.nearest(mid, 1, {maxKm: radii[type]}).length) stats[type] = 1;
+        }
+        stats.any = TYPES.some(type => stats[type]) ? 1 : 0;
+      }
+    }
+    statsCache.set(feature, stats);
+    return stats;
+  }
+
+  // shares of the combined area of `features` in reach of each type, and of any type; null without area
+  function coverageOf(features){
+    const sum = {weight: 0, any: 0};
+    for(const type of TYPES) sum[type] = 0;
+    for(const f of features){
+      const s = featureStats(f);
+      for(const k of Object.keys(sum)) sum[k] += s[k];
+    }
+    if(!sum.weight) return null;
+    const out = {any: sum.any / sum.weight};
+    for(const type of TYPES) out[type] = sum[type] / sum.weight;
+    return out;
+  }
+
+  function setRadii(next){
+    radii = {...radii, ...next};
+    reach = {};
+    statsCache = new WeakMap();
+    redraw();
+    document.dispatchEvent(new CustomEvent('coverage:change', {detail: {radii: {...radii}}}));
+  }
+
+  // Layers: service radii around every facility, and the uncovered cells of every state
+  const COLORS = {police: 'rgba(54,162,235,', army: 'rgba(75,192,192,', checkpoints: 'rgba(255,159,64,'};
+  const radiusStyles = Object.fromEntries(TYPES.map(type => [type, new ol.style.Style({
+    fill: new ol.style.Fill({color: COLORS[type] + '0.12)'}),
+    stroke: new ol.style.Stroke({color: COLORS[type] + '0.6)', width: 1})
+  })]));
+  const radiusLayer = new ol.layer.Vector({
+    source: new ol.source.Vector(), title: 'Service radii', visible: false,
+    style: f => radiusStyles[f.get('type')]
+  });
+  const gapLayer = new ol.layer.Vector({
+    source: new ol.source.Vector(), title: 'Coverage gap', visible: false,
+    style: new ol.style.Style({fill: new ol.style.Fill({color: 'rgba(200,30,30,0.35)'})})
+  });
+  if(map){
+    const layers = map.getLayers();
+    const idx = layers.getArray().indexOf(window.APP.highlightLayer);
+    for(const layer of [radiusLayer, gapLayer]){
+      if(idx >= 0) layers.insertAt(layers.getArray().indexOf(window.APP.highlightLayer), layer); else layers.push(layer);
+    }
+  }
+
+  function drawRadii(){
+    const source = radiusLayer.getSource();
+    source.clear();
+    if(!radiusLayer.getVisible()) return;
+    const features = [];
+    for(const type of TYPES){
+      if(!(radii[type] > 0) || !cmp.facilityIndex[type]) continue;
+      for(const item of cmp.facilityIndex[type].items){
+        const circle = ol.geom.Polygon.circular(item.coord, radii[type] * 1000, 48).transform('EPSG:4326', 'EPSG:3857');
+        features.push(new ol.Feature({geometry: circle, type}));
+      }
+    }
+    source.addFeatures(features);
+  }
+
+  // uncovered cells of each state as rectangles: runs along a row, merged down the rows they repeat in
+  function gapRectangles(feature, covered){
+    const rects = [];
+    let open = new Map();
+    let lastRow = null;
+    const flush = () => { for(const r of open.values()) rects.push(r); open = new Map(); };
+    const byRow = new Map();
+    for(const [j, i0, i1] of cellRuns(feature)){
+      if(!byRow.has(j)) byRow.set(j, []);
+      for(let i = i0; i <= i1; i++){
+        if(covered(j * grid.cols + i)) continue;
+        const row = byRow.get(j);
+        const last = row[row.length - 1];
+        if(last && last[1] === i - 1) last[1] = i; else row.push([i, i]);
+      }
+    }
+    for(const j of [...byRow.keys()].sort((a, b) => a - b)){
+      if(lastRow !== null && j !== lastRow + 1) flush();
+      const next = new Map();
+      for(const [i0, i1] of byRow.get(j)){
+        const key = `${i0}:${i1}`;
+        const r = open.get(key) || {i0, i1, j0: j};
+        r.j1 = j;
+        next.set(key, r);
+        open.delete(key);
+      }
+      flush();
+      open = next;
+      lastRow = j;
+    }
+    flush();
+    return rects.map(r => {
+      const [a, b] = [ol.proj.fromLonLat([grid.x0 + r.i0 * grid.step, grid.y0 + r.j0 * grid.step]), ol.proj.fromLonLat([grid.x0 + (r.i1 + 1) * grid.step, grid.y0 + (r.j1 + 1) * grid.step])];
+      return [[[a[0], a[1]], [b[0], a[1]], [b[0], b[1]], [a[0], b[1]], [a[0], a[1]]]];
+    });
+  }
+
+  function drawGap(){
+    const source = gapLayer.getSource();
+    source.clear();
+    if(!gapLayer.getVisible() || !cmp.levels.state.available) return;
+    const type = gapTypeSel.value;
+    const maps = (type === 'any' ? TYPES : [type]).map(reachOf);
+    const covered = k => maps.some(m => m[k]);
+    const features = [];
+    for(const f of cmp.levels.state.geo.features){
+      const polys = gapRectangles(f, covered);
+      if(polys.length) features.push(new ol.Feature({geometry: new ol.geom.MultiPolygon(polys), name: cmp.featureName('state', f)}));
+    }
+    source.addFeatures(features);
+  }
+
+  // one row per state, largest gap first; clicking a row highlights the state
+  function drawTable(){
+    table.innerHTML = '';
+    const head = table.createTHead().insertRow();
+    for(const title of [t('col.state'), ...TYPES.map(type => inventory.typeLabel(type, true)), t('coverage.any'), t('coverage.gap')]){
+      const th = document.createElement('th');
+      th.textContent = title;
+      head.appendChild(th);
+    }
+    if(!cmp.levels.state.available) return;
+    const rows = cmp.levels.state.geo.features.map(f => ({feature: f, name: cmp.featureName('state', f), cov: coverageOf([f])}))
+      .filter(r => r.cov)
+      .sort((a, b) => a.cov.any - b.cov.any);
+    const tbody = table.createTBody();
+    for(const r of rows){
+      const tr = tbody.insertRow();
+      [r.name, ...TYPES.map(type => pct(r.cov[type])), pct(r.cov.any), pct(1 - r.cov.any)].forEach((v, i) => {
+        const td = tr.insertCell();
+        td.textContent = v;
+        if(i) td.className = 'num';
+      });
+      tr.addEventListener('click', ()=>{
+        cmp.highlightGeoJsonFeatures([r.feature], '#264653');
+        cmp.fitToFeatures([r.feature]);
+      });
+    }
+  }
+
+  function redraw(){
+    drawRadii();
+    drawGap();
+    if(panel.style.display === 'block') drawTable();
+  }
+
+  // radius inputs, one per facility type; the caption is its own span so a language change keeps the input
+  const radiusCaptions = {};
+  for(const type of TYPES){
+    const label = document.createElement('label');
+    radiusCaptions[type] = document.createElement('span');
+    label.appendChild(radiusCaptions[type]);
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '1';
+    input.value = radii[type];
+    input.addEventListener('change', ()=>{
+      const km = Math.max(0, Number(input.value) || 0);
+      input.value = km;
+      setRadii({[type]: km});
+    });
+    label.append(' ', input);
+    radiiEl.appendChild(label);
+  }
+  for(const value of ['any', ...TYPES]){
+    const opt = document.createElement('option');
+    opt.value = value;
+    gapTypeSel.appendChild(opt);
+  }
+  function captions(){
+    for(const type of TYPES) radiusCaptions[type].textContent = t('coverage.radius', {type: inventory.typeLabel(type, true)});
+    for(const opt of gapTypeSel.options) opt.textContent = t(`coverage.outOfReach.${opt.value}`);
+  }
+  captions();
+
+  showRadii.addEventListener('change', ()=>{ radiusLayer.setVisible(showRadii.checked); drawRadii(); });
+  showGap.addEventListener('change', ()=>{ gapLayer.setVisible(showGap.checked); drawGap(); });
+  gapTypeSel.addEventListener('change', drawGap);
+  btnCoverage.addEventListener('click', ()=>{
+    panel.style.display = 'block';
+    drawTable();
+  });
+  btnClose.addEventListener('click', ()=>{ panel.style.display = 'none'; });
+  document.addEventListener('i18n:change', ()=>{
+    captions();
+    if(panel.style.display === 'block') drawTable();
+  });
+
+  window.APP.coverage = { DEFAULT_RADII, radii: () => ({...radii}), setRadii, coverageOf, radiusLayer, gapLayer };
+
+  // End of coverage.js
+})();
@@ -0,0 +1,141 @@
+// dataexport.js
+// Data exports of the comparison / search popup, next to the PDF:
+// - CSV: the per-region aggregates and the facility list, as two files
+// - Excel: one workbook with a Regions sheet and a sheet per facility type (SheetJS, loaded from the CDN)
+// - GeoJSON: the selected region polygons with their counts, risk and area added to their properties
+// Everything is built from popup.currentData (set by compare.js) and the facility inventory (inventory.js).
+// The files keep English column names so they stay stable across interface languages; only the
+// buttons and messages are translated.
+
+(function(){
+  const cmp = window.APP.compare;
+  const inventory = window.APP.inventory;
+  const geometry = window.APP.geometry;
+  const riskConfig = window.APP.riskConfig;
+  const {t} = window.APP.i18n;
+
+  // DOM references
+  const popup = document.getElementById('download-popup');
+  const btnCsv = document.getElementById('btnExportCsv');
+  const btnXlsx = document.getElementById('btnExportXlsx');
+  const btnGeoJson = document.getElementById('btnExportGeoJson');
+
+  const round = (v, digits) => v === null || v === undefined || isNaN(v) ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+
+  // one row per region: the numbers of the chart and the PDF summary table
+  function regionTable(data){
+    const columns = ['Region', 'Level', 'Polygons', 'Risk score (avg)', 'Risk category', 'Police', 'Army', 'Checkpoints', 'Area km²', 'Facilities per 1,000 km²'];
+    const rows = data.regions.map(r => {
+      const area = r.features.reduce((s, f) => s + geometry.areaKm2(f), 0);
+      const total = r.agg.police + r.agg.army + r.agg.checkpoints;
+      return [
+        r.name, cmp.levels[data.level].label, r.features.length,
+        round(r.avgRisk, 2), riskConfig.classify(r.avgRisk).label,
+        r.agg.police, r.agg.army, r.agg.checkpoints,
+        round(area, 1), area > 0 ? round(total / area * 1000, 3) : null
+      ];
+    });
+    return {columns, rows};
+  }
+
+  // every facility of every type in one table: a Type column, then the columns of all types
+  function facilityTable(items){
+    const tables = Object.keys(inventory.TYPES).map(type => ({type, ...inventory.tableData(type, items)}));
+    const columns = ['Type'];
+    for(const t of tables) for(const c of t.columns) if(!columns.includes(c)) columns.push(c);
+    const rows = [];
+    for(const t of tables){
+      for(const row of t.rows){
+        const out = columns.map(() => null);
+        out[0] = inventory.TYPES[t.type].singular;
+        t.columns.forEach((c, i) => { out[columns.indexOf(c)] = row[i]; });
+        rows.push(out);
+      }
+    }
+    return {columns, rows};
+  }
+
+  function csvCell(v){
+    if(v === null || v === undefined) return '';
+    const s = String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+  function toCsv({columns, rows}){
+    // BOM so Excel reads the file as UTF-8 (names with accents, the ² in the area column)
+    return '\uFEFF' + [columns, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function download(content, fileName, type){
+    const url = URL.createObjectURL(new Blob([content], {type}));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportCsv(data){
+    const base = cmp.reportBaseName(data);
+    download(toCsv(regionTable(data)), `${base}_regions.csv`, 'text/csv;charset=utf-8');
+    download(toCsv(facilityTable(cmp.inventoryItems(data.regions))), `${base}_facilities.csv`, 'text/csv;charset=utf-8');
+  }
+
+  function exportXlsx(data){
+    if(!window.XLSX){
+      alert(t('alert.excelMissing'));
+      return;
+    }
+    const items = cmp.inventoryItems(data.regions);
+    const wb = XLSX.utils.book_new();
+    const addSheet = ({columns, rows}, name) => XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([columns, ...rows]), name);
+    addSheet(regionTable(data), 'Regions');
+    for(const [type, def] of Object.entries(inventory.TYPES)) addSheet(inventory.tableData(type, items), def.label);
+    XLSX.writeFile(wb, `${cmp.reportBaseName(data)}.xlsx`);
+  }
+
+  // region polygons with their own properties plus the computed values (per polygon, not per region)
+  function exportGeoJson(data){
+    const features = data.regions.flatMap(r => r.features.map(f => {
+      const counts = cmp.countFacilitiesInFeature(f);
+      const risk = cmp.riskValueFor(data.level, f);
+      return {
+        type: 'Feature',
+        properties: {
+          ...f.properties,
+          region: r.name,
+          level: data.level,
+          police_count: counts.police,
+          army_count: counts.army,
+          checkpoint_count: counts.checkpoints,
+          risk_score: risk,
+          risk_category: riskConfig.classify(risk).label,
+          area_km2: round(geometry.areaKm2(f), 1),
+          color: r.color
+        },
+        geometry: f.geometry
+      };
+    }));
+    const fc = {type: 'FeatureCollection', name: cmp.reportBaseName(data), features};
+    download(JSON.stringify(fc), `${cmp.reportBaseName(data)}.geojson`, 'application/geo+json');
+  }
+
+  const run = fn => () => {
+    const data = popup.currentData;
+    if(!data) return;
+    try {
+      fn(data);
+    } catch(e){
+      console.error('Export failed', e);
+      alert(t('alert.exportFailed'));
+    }
+  };
+  btnCsv.addEventListener('click', run(exportCsv));
+  btnXlsx.addEventListener('click', run(exportXlsx));
+  btnGeoJson.addEventListener('click', run(exportGeoJson));
+
+  window.APP.dataExport = { regionTable, facilityTable, toCsv };
+
+  // End of dataexport.js
+})();
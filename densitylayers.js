@@ -0,0 +1,231 @@
+// densitylayers.js
+// Alternative renderings of the facility layers, picked in the layer switcher
+// (resources/ol-layerswitcher.js): each facility layer becomes a group ("Police stations", ...)
+// holding three renderings, of which one is shown at a time:
+// - Icons: the qgis2web point layer (lyr_police_4, lyr_army_3, lyr_checkpoints_5), clustered (clusters.js);
+// - Heatmap: kernel density of the same points (ol.layer.Heatmap);
+// - Hexagon bins: facilities counted per hexagon, shaded by count. The hexagons are 2 × HEX_PX
+//   pixels corner to corner at the current zoom and rebuilt when the zoom level changes; all three
+//   types share one grid, so clicking a hexagon lists its count of every facility type.
+// Ticking the group shows or hides the type; ticking a rendering hides its siblings.
+// Titles, the switcher button and the hexagon popup follow the interface language (i18n.js).
+// Exposed as window.APP.densityLayers.
+
+(function(){
+  const map = window.APP.map;
+  const view = window.APP.view;
+  const inventory = window.APP.inventory;
+  const i18n = window.APP.i18n;
+  const {t} = i18n;
+  if(!map) return;
+
+  const HEX_PX = 14;                // hexagon circumradius on screen, px: 28 px corner to corner
+  const SHADES = 5;                 // count classes, from 1 to the busiest hexagon
+  const SQRT3 = Math.sqrt(3);
+  // same colours as the facility bars of the comparison chart
+  const COLORS = {police: [54, 162, 235], army: [75, 192, 192], checkpoints: [255, 159, 64]};
+  const ICON_LAYERS = {police: 'lyr_police_4', army: 'lyr_army_3', checkpoints: 'lyr_checkpoints_5'};
+  const TYPES = Object.keys(ICON_LAYERS).filter(type => window[ICON_LAYERS[type]] instanceof ol.layer.Vector);
+  // the points under an icon layer, which layers.js puts behind a cluster source
+  const pointSource = layer => {
+    const source = layer.getSource();
+    return source instanceof ol.source.Cluster ? source.getSource() : source;
+  };
+
+  // Hexagon grid in map units (EPSG:3857), pointy-top, axial coordinates
+  function hexOf(x, y, size){
+    const q = (SQRT3 / 3 * x - y / 3) / size, r = (2 / 3 * y) / size;
+    // round in cube coordinates
+    let rq = Math.round(q), rr = Math.round(r);
+    const rs = Math.round(-q - r);
+    const dq = Math.abs(rq - q), dr = Math.abs(rr - r), ds = Math.abs(rs + q + r);
+    if(dq > dr && dq > ds) rq = -rr - rs;
+    else if(dr > ds) rr = -rq - rs;
+    return [rq, rr];
+  }
+  function hexRing(q, r, size){
+    const cx = size * SQRT3 * (q + r / 2), cy = size * 1.5 * r;
+    const ring = [];
+    for(let i = 0; i <= 6; i++){
+      const a = Math.PI / 180 * (60 * (i % 6) - 30);
+      ring.push([cx + size * Math.cos(a), cy + size * Math.sin(a)]);
+    }
+    return ring;
+  }
+
+  // facility counts per hexagon at an integer zoom, for every type at once; cached per zoom
+  const binCache = new Map();
+  function binsAt(zoom){
+    if(binCache.has(zoom)) return binCache.get(zoom);
+    const size = HEX_PX * view.getResolutionForZoom(zoom);
+    const bins = new Map();
+    for(const type of TYPES){
+      for(const f of pointSource(window[ICON_LAYERS[type]]).getFeatures()){
+        const geom = f.getGeometry();
+        if(!geom || geom.getType() !== 'Point') continue;
+        const [x, y] = geom.getCoordinates();
+        const [q, r] = hexOf(x, y, size);
+        const key = q + ':' + r;
+        if(!bins.has(key)){
+          const counts = Object.fromEntries(TYPES.map(t => [t, 0]));
+          bins.set(key, {q, r, counts});
+        }
+        bins.get(key).counts[type]++;
+      }
+    }
+    const out = {size, bins: [...bins.values()]};
+    binCache.set(zoom, out);
+    return out;
+  }
+
+  const hexStyles = new Map();
+  function hexStyle(type, shade, count){
+    const key = `${type}:${shade}:${count}`;
+    if(!hexStyles.has(key)){
+      const [r, g, b] = COLORS[type];
+      hexStyles.set(key, new ol.style.Style({
+        fill: new ol.style.Fill({color: `rgba(${r},${g},${b},${(0.15 + 0.7 * shade / SHADES).toFixed(2)})`}),
+        stroke: new ol.style.Stroke({color: `rgba(${r},${g},${b},0.9)`, width: 1}),
+        text: new ol.style.Text({
+          text: String(count), font: '11px Arial, sans-serif',
+          fill: new ol.style.Fill({color: '#111'}), stroke: new ol.style.Stroke({color: '#fff', width: 3})
+        })
+      }));
+    }
+    return hexStyles.get(key);
+  }
+
+  const hexLayers = {};
+  const heatLayers = {};
+  const groups = {};
+
+  function fillHexLayer(type){
+    const layer = hexLayers[type];
+    const zoom = Math.round(view.getZoom());
+    if(!layer.getVisible() || layer.get('zoom') === zoom) return;
+    const {size, bins} = binsAt(zoom);
+    const used = bins.filter(b => b.counts[type] > 0);
+    const max = used.reduce((m, b) => Math.max(m, b.counts[type]), 1);
+    layer.getSource().clear();
+    layer.getSource().addFeatures(used.map(b => new ol.Feature({
+      geometry: new ol.geom.Polygon([hexRing(b.q, b.r, size)]),
+      type, counts: b.counts,
+      // log scale: a few very busy hexagons should not wash out the rest
+      shade: Math.max(1, Math.ceil(SHADES * Math.log1p(b.counts[type]) / Math.log1p(max)))
+    })));
+    layer.set('zoom', zoom);
+  }
+
+  // group and rendering titles in the interface language
+  function setTitles(type){
+    groups[type].set('title', inventory.typeLabel(type));
+    heatLayers[type].set('title', t('density.heatmap'));
+    hexLayers[type].set('title', t('density.hexbin'));
+    hexLayers[type].set('popuplayertitle', t('density.hexbinOf', {type: inventory.typeLabel(type)}));
+  }
+
+  for(const type of TYPES){
+    const icons = window[ICON_LAYERS[type]];
+    heatLayers[type] = new ol.layer.Heatmap({
+      source: pointSource(icons), visible: false,
+      blur: 18, radius: 10, weight: () => 1
+    });
+    hexLayers[type] = new ol.layer.Vector({
+      source: new ol.source.Vector(), visible: false,
+      style: f => hexStyle(type, f.get('shade'), f.get('counts')[type])
+    });
+    const renderings = [icons, heatLayers[type], hexLayers[type]];
+    // the group takes the icon layer's place in the layer stack
+    const layers = map.getLayers();
+    const idx = layers.getArray().indexOf(icons);
+    if(idx >= 0) layers.removeAt(idx);
+    groups[type] = new ol.layer.Group({fold: 'open', visible: icons.getVisible(), layers: renderings});
+    setTitles(type);
+    icons.setVisible(true);
+    if(idx >= 0) layers.insertAt(idx, groups[type]); else layers.push(groups[type]);
+
+    for(const layer of renderings){
+      layer.on('change:visible', ()=>{
+        if(!layer.getVisible()) return;
+        for(const other of renderings) if(other !== layer) other.setVisible(false);
+        if(layer === hexLayers[type]) fillHexLayer(type);
+      });
+    }
+  }
+  map.on('moveend', ()=>{ for(const type of TYPES) fillHexLayer(type); });
+
+  // shows `rendering` ('icons', 'heatmap' or 'hexbin') for a facility type
+  function show(type, rendering){
+    if(!groups[type]) return;
+    const layer = {icons: window[ICON_LAYERS[type]], heatmap: heatLayers[type], hexbin: hexLayers[type]}[rendering];
+    if(!layer) return;
+    groups[type].setVisible(true);
+    layer.setVisible(true);
+    if(switcher) switcher.renderPanel();
+  }
+
+  // Layer switcher: collapsed into a button at the bottom left
+  let switcher = null;
+  if(typeof LayerSwitcher === 'function'){
+    switcher = new LayerSwitcher({activationMode: 'click', tipLabel: t('density.layers'), collapseTipLabel: t('popup.close'), groupSelectStyle: 'group'});
+    map.addControl(switcher);
+  }
+  document.addEventListener('i18n:change', ()=>{
+    for(const type of TYPES) setTitles(type);
+    if(!switcher) return;
+    switcher.tipLabel = t('density.layers');
+    switcher.collapseTipLabel = t('popup.close');
+    switcher.updateButton();
+    switcher.renderPanel();
+  });
+
+  // Hexagon popup: counts of every facility type in the clicked hexagon
+  const popupEl = document.createElement('div');
+  popupEl.className = 'facility-popup';
+  const popup = new ol.Overlay({element: popupEl, positioning: 'bottom-center', offset: [0, -8], stopEvent: true, autoPan: {animation: {duration: 200}}});
+  map.addOverlay(popup);
+
+  function openHexPopup(feature, coordinate){
+    const counts = feature.get('counts');
+    const total = TYPES.reduce((s, type) => s + counts[type], 0);
+    popupEl.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+    const title = document.createElement('strong');
+    title.textContent = i18n.plural('density.hexTotal', total);
+    const close = document.createElement('button');
+    close.className = 'close';
+    close.setAttribute('aria-label', t('popup.close'));
+    close.innerHTML = '&times;';
+    close.addEventListener('click', ()=> popup.setPosition(undefined));
+    header.append(title, close);
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    const tbody = table.createTBody();
+    for(const type of TYPES){
+      const tr = tbody.insertRow();
+      const th = document.createElement('th');
+      th.textContent = inventory.typeLabel(type);
+      th.style.borderLeft = `4px solid rgb(${COLORS[type].join(',')})`;
+      tr.appendChild(th);
+      const td = tr.insertCell();
+      td.textContent = i18n.number(counts[type]);
+      td.className = 'num';
+    }
+    popupEl.append(header, table);
+    popup.setPosition(coordinate);
+  }
+
+  const hexLayerSet = new Set(Object.values(hexLayers));
+  // under the facility clusters, over the regions (onMapClick in index.html)
+  window.APP.onMapClick((evt)=>{
+    const hit = map.forEachFeatureAtPixel(evt.pixel, f => f, {layerFilter: l => hexLayerSet.has(l)});
+    if(!hit) return false;
+    openHexPopup(hit, evt.coordinate);
+    return true;
+  }, {priority: 30, dismiss: ()=> popup.setPosition(undefined)});
+
+  window.APP.densityLayers = { groups, heatLayers, hexLayers, binsAt, show, switcher };
+
+  // End of densitylayers.js
+})();
@@ -0,0 +1,192 @@
+// geocoder.js
+// Offline geocoding for the search box: nothing is fetched, so it works in the field without a
+// connection (the Photon geocoder in resources/ needs its online service and is not used).
+//
+// - Gazetteer: place names gathered from the loaded layers, added to the search suggestions (search.js)
+//   * wards and LGAs named on the police records (wardname, lganame), unless a ward or LGA
+//     polygon layer already has that name;
+//   * towns from the army `State` strings ("Ikoyi, Lagos State" -> Ikoyi, in Lagos);
+//   * states are the state polygons, already searchable by name and alias.
+//   A place sits at the mean of the facilities naming it, and picking it zooms to their extent.
+// - Coordinates typed in the box: decimal degrees ("9.0765, 7.3986", "9.0765N 7.3986E"), degrees,
+//   minutes and seconds ("9°4'35\"N 7°23'55\"E") or MGRS ("32PLR 23998 03697"). Latitude comes
+//   first unless N/S/E/W say otherwise. Picking one zooms to the point.
+// Exposed as window.APP.geocoder.
+
+(function(){
+  const cmp = window.APP.compare;
+  const search = window.APP.search;
+  const spatial = window.APP.spatial;
+  const geometry = window.APP.geometry;
+  const i18n = window.APP.i18n;
+  const t = i18n.t;
+  const view = window.APP.view;
+
+  // Gazetteer: one place per name and parent, from the facility records
+  function buildGazetteer(){
+    const places = new Map();
+    function add(level, name, parent, state, coord){
+      name = String(name || '').trim();
+      if(!name) return;
+      const key = [level, search.normalize(name), search.normalize(parent), search.normalize(state)].join('|');
+      if(!places.has(key)) places.set(key, {level, name, parent: String(parent || '').trim(), state: String(state || '').trim(), coords: []});
+      places.get(key).coords.push(coord);
+    }
+    for(const item of cmp.facilityIndex.police ? cmp.facilityIndex.police.items : []){
+      const p = item.feature.properties || {};
+      add('ward', p.wardname, p.lganame, p.statename, item.coord);
+      add('lga', p.lganame, p.statename, p.statename, item.coord);
+    }
+    for(const item of cmp.facilityIndex.army ? cmp.facilityIndex.army.items : []){
+      // "Town, [Area, ]State" - every part before the state is a town in it
+      const parts = String((item.feature.properties || {}).State || '').split(',').map(s => s.trim()).filter(Boolean);
+      const state = parts.pop();
+      for(const town of parts) add('town', town, state, state, item.coord);
+    }
+
+    // names a polygon layer already covers open that region's report instead
+    const polygonNames = {};
+    for(const level of ['lga', 'ward']){
+      const lv = cmp.levels[level];
+      polygonNames[level] = new Set(lv && lv.available ? lv.geo.features.map(f => search.normalize(cmp.featureName(level, f))) : []);
+    }
+    return [...places.values()].filter(pl => !(polygonNames[pl.level] && polygonNames[pl.level].has(search.normalize(pl.name))));
+  }
+
+  const LEVEL_LABEL = {ward: () => t('level.ward'), lga: () => t('level.lga'), town: () => t('geocoder.town')};
+
+  search.addSource(() => buildGazetteer().map(pl => {
+    const extent = pl.coords.reduce((b, c) => [Math.min(b[0], c[0]), Math.min(b[1], c[1]), Math.max(b[2], c[0]), Math.max(b[3], c[1])],
+      [Infinity, Infinity, -Infinity, -Infinity]);
+    const centre = [pl.coords.reduce((s, c) => s + c[0], 0) / pl.coords.length, pl.coords.reduce((s, c) => s + c[1], 0) / pl.coords.length];
+    return {
+      kind: 'place', isPlace: true, name: pl.name, terms: [search.term(pl.name)], rank: 0.5,
+      label: LEVEL_LABEL[pl.level],
+      place: () => ({state: pl.state, lga: pl.level === 'ward' ? pl.parent : (pl.level === 'lga' ? pl.name : '')}),
+      context: () => pl.parent === pl.state ? pl.state : [pl.parent, pl.state].filter(Boolean).join(', '),
+      select: () => zoomTo(centre, extent)
+    };
+  }));
+
+  function zoomTo(lonLat, extent){
+    search.markPoint(lonLat);
+    if(extent && (extent[2] > extent[0] || extent[3] > extent[1])){
+      const ext = ol.proj.transformExtent(extent, 'EPSG:4326', 'EPSG:3857');
+      view.fit(ext, {padding: [60, 60, 60, 60], maxZoom: 13, duration: 400});
+    } else {
+      view.animate({center: ol.proj.fromLonLat(lonLat), zoom: Math.max(view.getZoom() || 0, 12), duration: 400});
+    }
+  }
+
+  // Coordinates
+
+  // one angle: 1 to 3 numbers (degrees, minutes, seconds) with an optional sign or hemisphere letter
+  function parseAngle(text){
+    const hemi = (text.match(/[NSEW]/) || [])[0] || null;
+    const nums = text.match(/-?\d+(?:\.\d+)?/g);
+    if(!nums || nums.length > 3) return null;
+    const [d, m=0, s=0] = nums.map(Number);
+    if(nums.length > 1 && (m >= 60 || s >= 60 || !Number.isInteger(d))) return null;
+    if(nums.length > 2 && !Number.isInteger(m)) return null;
+    const value = Math.abs(d) + m / 60 + s / 3600;
+    const negative = d < 0 || /^\s*-/.test(text) || hemi === 'S' || hemi === 'W';
+    return {value: negative ? -value : value, axis: hemi ? (hemi === 'N' || hemi === 'S' ? 'lat' : 'lon') : null};
+  }
+
+  // decimal degrees or DMS -> [lon, lat], or null
+  function parseLatLon(input){
+    const s = String(input).toUpperCase().trim();
+    if(!/^[\d\s.,;:°º'′’"″”NSEW+\-]+$/.test(s) || !/\d/.test(s)) return null;
+    let parts;
+    const letters = [...s.matchAll(/[NSEW]/g)];
+    if(letters.length === 2){
+      // letters after the numbers ("9N 7E") or before them ("N9 E7")
+      const cut = /^[NSEW]/.test(s) ? letters[1].index : letters[0].index + 1;
+      parts = [s.slice(0, cut), s.slice(cut)];
+    } else if(letters.length){
+      return null;
+    } else if(/[,;]/.test(s)){
+      parts = s.split(/[,;]/);
+    } else {
+      // no separator: split the numbers in half (2, 4 or 6 of them)
+      const nums = s.match(/-?\d+(?:\.\d+)?/g) || [];
+      if(![2, 4, 6].includes(nums.length)) return null;
+      const half = nums.length / 2;
+      parts = [nums.slice(0, half).join(' '), nums.slice(half).join(' ')];
+    }
+    if(parts.length !== 2) return null;
+    let [a, b] = parts.map(parseAngle);
+    if(!a || !b) return null;
+    if(a.axis === 'lon' || b.axis === 'lat') [a, b] = [b, a];
+    if((a.axis && a.axis !== 'lat') || (b.axis && b.axis !== 'lon')) return null;
+    // no letters and the first number cannot be a latitude: read it as "lon, lat"
+    if(!a.axis && Math.abs(a.value) > 90 && Math.abs(b.value) <= 90) [a, b] = [b, a];
+    if(Math.abs(a.value) > 90 || Math.abs(b.value) > 180) return null;
+    return [b.value, a.value];
+  }
+
+  // MGRS (UTM zones, not the polar UPS areas) -> [lon, lat] of the centre of the square, or null
+  const BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+  const COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+  const ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+  function utmToLonLat(zone, south, easting, northing){
+    return proj4(`+proj=utm +zone=${zone}${south ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`, 'EPSG:4326', [easting, northing]);
+  }
+  function lonLatToUtm(zone, south, lonLat){
+    return proj4('EPSG:4326', `+proj=utm +zone=${zone}${south ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`, lonLat);
+  }
+  function parseMgrs(input){
+    const m = /^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d{0,10})$/.exec(String(input).toUpperCase().replace(/\s+/g, ''));
+    if(!m || m[5].length % 2 || typeof proj4 === 'undefined') return null;
+    const zone = Number(m[1]);
+    if(zone < 1 || zone > 60) return null;
+    const band = m[2], south = band < 'N';
+    const col = COLUMN_SETS[(zone - 1) % 3].indexOf(m[3]);
+    // the row letters start at F in even zones
+    const row = (ROWS.indexOf(m[4]) - (zone % 2 ? 0 : 5) + ROWS.length) % ROWS.length;
+    if(col < 0) return null;
+    const digits = m[5].length / 2;
+    const precision = Math.pow(10, 5 - digits);
+    const e = digits ? Number(m[5].slice(0, digits)) * precision : 0;
+    const n = digits ? Number(m[5].slice(digits)) * precision : 0;
+    const easting = (col + 1) * 100000 + e + precision / 2;
+    // the row letters repeat every 2,000 km: take the first repeat at or above the band's southern edge
+    const bandLat = -80 + 8 * BANDS.indexOf(band);
+    const bandNorthing = lonLatToUtm(zone, south, [zone * 6 - 183, bandLat])[1];
+    let northing = row * 100000 + n + precision / 2;
+    while(northing < bandNorthing - 100000) northing += 2000000;
+    const lonLat = utmToLonLat(zone, south, easting, northing);
+    return lonLat.every(isFinite) ? lonLat : null;
+  }
+
+  function parseCoordinates(input){
+    return parseLatLon(input) || parseMgrs(input);
+  }
+
+  // state polygon holding a point, for the suggestion's context
+  function stateAt(lonLat){
+    const lv = cmp.levels.state;
+    if(!lv || !lv.available) return null;
+    return lv.geo.features.find(f => spatial.bboxContains(spatial.bboxOf(f), lonLat) && geometry.containsPoint(f, lonLat)) || null;
+  }
+
+  const fmtCoord = lonLat => `${lonLat[1].toFixed(5)}, ${lonLat[0].toFixed(5)}`;
+
+  search.addResolver(query => {
+    const lonLat = parseCoordinates(query);
+    if(!lonLat) return null;
+    const state = stateAt(lonLat);
+    const stateName = state ? cmp.featureName('state', state) : '';
+    return [{
+      kind: 'coordinates', name: fmtCoord(lonLat), terms: [], rank: 0,
+      label: () => t('geocoder.coordinates'),
+      place: () => ({state: stateName, lga: ''}),
+      context: () => stateName || t('geocoder.outside'),
+      select: () => zoomTo(lonLat)
+    }];
+  });
+
+  window.APP.geocoder = { buildGazetteer, parseLatLon, parseMgrs, parseCoordinates };
+
+  // End of geocoder.js
+})();
@@ -0,0 +1,154 @@
+// geometry.js
+// Polygon geometry helpers for the GeoJSON layers (lon/lat coordinates).
+//
+// - classifyPoint / containsPoint: point-in-polygon per polygon part, with
+//   exterior and interior rings (holes) respected, and points lying on an
+//   edge reported as BOUNDARY rather than guessed by the ray cast.
+// - assignPoints: gives every facility point exactly one owning polygon in a
+//   layer, so per-region counts add up to the layer-wide total:
+//     1. a polygon whose interior contains the point beats one whose edge it lies on;
+//     2. remaining ties (shared borders, overlapping digitising) go to the
+//        polygon that comes first in the layer;
+//     3. points in a sliver gap between polygons go to the nearest polygon
+//        within `toleranceKm`; anything further out is reported as unassigned.
+// - areaKm2: spherical area of a polygon feature, holes subtracted.
+// Exposed as window.APP.geometry.
+
+(function(){
+  const OUTSIDE = 0, INSIDE = 1, BOUNDARY = 2;
+  const EPS = 1e-9;
+  const KM_PER_DEG = 111.32;
+
+  // [[outerRing, hole, hole, ...], ...] for Polygon and MultiPolygon geometries
+  function polygonParts(geom){
+    if(!geom) return [];
+    if(geom.type === 'Polygon') return [geom.coordinates];
+    if(geom.type === 'MultiPolygon') return geom.coordinates;
+    return [];
+  }
+
+  function onSegment(pt, a, b){
+    const cross = (b[0] - a[0]) * (pt[1] - a[1]) - (b[1] - a[1]) * (pt[0] - a[0]);
+    if(Math.abs(cross) > EPS) return false;
+    return pt[0] >= Math.min(a[0], b[0]) - EPS && pt[0] <= Math.max(a[0], b[0]) + EPS &&
+           pt[1] >= Math.min(a[1], b[1]) - EPS && pt[1] <= Math.max(a[1], b[1]) + EPS;
+  }
+
+  // ray-casting for a single ring, with an explicit on-edge check first
+  function classifyRing(pt, ring){
+    const x = pt[0], y = pt[1];
+    let inside = false;
+    for(let i = 0, j = ring.length - 1; i < ring.length; j = i++){
+      const a = ring[j], b = ring[i];
+      if(onSegment(pt, a, b)) return BOUNDARY;
+      if(((b[1] > y) !== (a[1] > y)) && (x < (a[0] - b[0]) * (y - b[1]) / (a[1] - b[1]) + b[0])) inside = !inside;
+    }
+    return inside ? INSIDE : OUTSIDE;
+  }
+
+  // OUTSIDE, INSIDE or BOUNDARY for a GeoJSON geometry
+  function classifyPoint(geom, pt){
+    let result = OUTSIDE;
+    for(const [outer, ...holes] of polygonParts(geom)){
+      if(!outer) continue;
+      const o = classifyRing(pt, outer);
+      if(o === OUTSIDE) continue;
+      if(o === BOUNDARY){ result = BOUNDARY; continue; }
+      let hole = OUTSIDE;
+      for(const h of holes){
+        hole = classifyRing(pt, h);
+        if(hole !== OUTSIDE) break;
+      }
+      if(hole === OUTSIDE) return INSIDE;
+      if(hole === BOUNDARY) result = BOUNDARY;
+      // inside a hole: another part (an island in the hole) may still contain the point
+    }
+    return result;
+  }
+
+  function containsPoint(feature, pt){
+    return !!(feature && feature.geometry) && classifyPoint(feature.geometry, pt) !== OUTSIDE;
+  }
+
+  // shortest distance in km from a point to the edges of a geometry (local equirectangular approximation)
+  function distanceToEdgesKm(geom, pt){
+    const kx = Math.cos(pt[1] * Math.PI / 180) * KM_PER_DEG, ky = KM_PER_DEG;
+    let best = Infinity;
+    for(const part of polygonParts(geom)){
+      for(const ring of part){
+        for(let i = 0, j = ring.length - 1; i < ring.length; j = i++){
+          const ax = (ring[j][0] - pt[0]) * kx, ay = (ring[j][1] - pt[1]) * ky;
+          const bx = (ring[i][0] - pt[0]) * kx, by = (ring[i][1] - pt[1]) * ky;
+          const dx = bx - ax, dy = by - ay;
+          const len2 = dx*dx + dy*dy;
+          const t = len2 ? Math.max(0, Math.min(1, -(ax*dx + ay*dy) / len2)) : 0;
+          const d = Math.hypot(ax + t*dx, ay + t*dy);
+          if(d < best) best = d;
+        }
+      }
+    }
+    return best;
+  }
+
+  // geodesic area of a ring on a spherical earth (same approximation as ol.sphere.getArea)
+  const EARTH_RADIUS_KM = 6371.0088;
+  function ringAreaKm2(ring){
+    let area = 0;
+    const rad = Math.PI / 180;
+    for(let i = 0, j = ring.length - 1; i < ring.length; j = i++){
+      area += (ring[i][0] - ring[j][0]) * rad * (2 + Math.sin(ring[j][1] * rad) + Math.sin(ring[i][1] * rad));
+    }
+    return Math.abs(area * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+  }
+
+  // area of a Polygon/MultiPolygon feature in km², holes subtracted
+  function areaKm2(feature){
+    let total = 0;
+    for(const [outer, ...holes] of polygonParts(feature && feature.geometry)){
+      if(!outer) continue;
+      total += ringAreaKm2(outer);
+      for(const h of holes) total -= ringAreaKm2(h);
+    }
+    return total;
+  }
+
+  // Assign each item of a point grid (spatialindex.js) to exactly one feature, see header for the rule.
+  // Returns {byFeature: Map(feature -> items[]), unassigned: items[], snapped: count}.
+  function assignPoints(grid, features, {toleranceKm = 2} = {}){
+    const spatial = window.APP.spatial;
+    const claims = new Map();
+    features.forEach((feature, order) => {
+      for(const item of grid.query(spatial.bboxOf(feature))){
+        const c = classifyPoint(feature.geometry, item.coord);
+        if(c === OUTSIDE) continue;
+        const rank = c === INSIDE ? 0 : 1;
+        const prev = claims.get(item);
+        if(!prev || rank < prev.rank || (rank === prev.rank && order < prev.order)) claims.set(item, {feature, rank, order});
+      }
+    });
+
+    let snapped = 0;
+    const unassigned = [];
+    const pad = toleranceKm / KM_PER_DEG;
+    for(const item of grid.items){
+      if(claims.has(item)) continue;
+      let best = null;
+      features.forEach((feature, order) => {
+        const b = spatial.bboxOf(feature);
+        const padX = pad / Math.max(0.1, Math.cos(item.coord[1] * Math.PI / 180));
+        if(!b || item.coord[0] < b[0] - padX || item.coord[0] > b[2] + padX || item.coord[1] < b[1] - pad || item.coord[1] > b[3] + pad) return;
+        const d = distanceToEdgesKm(feature.geometry, item.coord);
+        if(d <= toleranceKm && (!best || d < best.d)) best = {feature, d, order};
+      });
+      if(best){ claims.set(item, best); snapped++; }
+      else unassigned.push(item);
+    }
+
+    const byFeature = new Map(features.map(f => [f, []]));
+    for(const [item, claim] of claims) byFeature.get(claim.feature).push(item);
+    return {byFeature, unassigned, snapped};
+  }
+
+  window.APP = window.APP || {};
+  window.APP.geometry = { OUTSIDE, INSIDE, BOUNDARY, polygonParts, classifyPoint, containsPoint, distanceToEdgesKm, areaKm2, assignPoints };
+})();
@@ -0,0 +1,124 @@
+// i18n.js
+// Interface and report language. Message catalogues are JSON globals in locales/*.js
+// (`json_locale_<code>`, loaded before this file); English is complete and every other
+// language falls back to it key by key, so a missing translation shows in English.
+//
+// - t(key, vars): message for the current language with {placeholders} filled
+// - setLang(code): switch language, re-translate [data-i18n] elements and fire `i18n:change`
+//   on document so the scripted parts (chart, pickers, legend) redraw
+// - plural(key, count, vars): `key.one`, `key.few`, ... picked by the language's plural rules,
+//   `key.other` when the language has no entry for that form; {count} is the formatted count
+// - number(v, opts), date(d), list(names): formatting for the language's locale
+// - narratives(): narrativeconfig.js with the language's `narratives` overrides merged in
+// The choice is kept in localStorage. Exposed as window.APP.i18n.
+
+(function(){
+  const STORAGE_KEY = 'app.lang';
+  const FALLBACK = 'en';
+
+  const catalogues = {};
+  for(const key of Object.keys(window)){
+    const m = /^json_locale_(\w+)$/.exec(key);
+    if(m && window[key] && window[key].messages) catalogues[m[1]] = window[key];
+  }
+  // English first, the others in the order they were loaded
+  const LANGUAGES = Object.keys(catalogues)
+    .sort((a, b) => (a === FALLBACK ? -1 : b === FALLBACK ? 1 : 0))
+    .map(code => ({code, name: catalogues[code].name, locale: catalogues[code].locale || code}));
+
+  function stored(){
+    try { return localStorage.getItem(STORAGE_KEY); } catch(e){ return null; }
+  }
+  let current = catalogues[stored()] ? stored() : FALLBACK;
+
+  function fill(template, vars){
+    if(!vars) return String(template);
+    return String(template).replace(/\{(\w+)\}/g, (m, key) => key in vars ? String(vars[key]) : m);
+  }
+
+  function has(key){
+    return [current, FALLBACK].some(code => catalogues[code] && key in catalogues[code].messages);
+  }
+
+  function t(key, vars){
+    for(const code of [current, FALLBACK]){
+      const msgs = catalogues[code] && catalogues[code].messages;
+      if(msgs && key in msgs) return fill(msgs[key], vars);
+    }
+    return key;
+  }
+
+  const locale = () => (catalogues[current] && catalogues[current].locale) || current;
+
+  function number(v, opts={maximumFractionDigits: 1}){
+    if(v === null || v === undefined || isNaN(v)) return '–';
+    return Number(v).toLocaleString(locale(), opts);
+  }
+
+  // date and time by default; `opts` are Intl.DateTimeFormat options (e.g. a date alone)
+  function date(d=new Date(), opts={dateStyle: 'long', timeStyle: 'short'}){
+    return new Intl.DateTimeFormat(locale(), opts).format(d);
+  }
+
+  function plural(key, count, vars){
+    const form = `${key}.${new Intl.PluralRules(locale()).select(Number(count))}`;
+    return t(has(form) ? form : `${key}.other`, Object.assign({count: number(count, {maximumFractionDigits: 0})}, vars));
+  }
+
+  // "A", "A and B", "A, B and C" with the language's conjunction
+  function list(names){
+    if(names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} ${t('list.and')} ${names[names.length - 1]}`;
+  }
+
+  // risk class label (riskconfig.js) in the current language
+  function category(c){
+    return t(`category.${c.label}`);
+  }
+
+  function merge(base, over){
+    if(!over || typeof over !== 'object' || Array.isArray(over)) return over === undefined ? base : over;
+    const out = Object.assign({}, base);
+    for(const k of Object.keys(over)) out[k] = merge(base ? base[k] : undefined, over[k]);
+    return out;
+  }
+  function narratives(){
+    return merge(window.json_narratives, catalogues[current] && catalogues[current].narratives);
+  }
+
+  // translate static markup: data-i18n (text), data-i18n-placeholder, data-i18n-title, data-i18n-aria-label
+  function apply(root=document){
+    for(const el of root.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+    for(const el of root.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = t(el.dataset.i18nPlaceholder);
+    for(const el of root.querySelectorAll('[data-i18n-title]')) el.title = t(el.dataset.i18nTitle);
+    for(const el of root.querySelectorAll('[data-i18n-aria-label]')) el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    document.documentElement.lang = current;
+  }
+
+  function setLang(code){
+    if(!catalogues[code] || code === current) return;
+    current = code;
+    try { localStorage.setItem(STORAGE_KEY, code); } catch(e){ /* private mode */ }
+    apply();
+    document.dispatchEvent(new CustomEvent('i18n:change', {detail: {lang: code}}));
+  }
+
+  // fill a <select> with the languages and follow it
+  function bindPicker(select){
+    select.innerHTML = '';
+    for(const l of LANGUAGES){
+      const opt = document.createElement('option');
+      opt.value = l.code;
+      opt.textContent = l.name;
+      select.appendChild(opt);
+    }
+    select.value = current;
+    select.addEventListener('change', () => setLang(select.value));
+  }
+
+  window.APP = window.APP || {};
+  window.APP.i18n = {
+    LANGUAGES, t, has, fill, plural, number, date, list, category, narratives, apply, setLang, bindPicker,
+    lang: () => current, locale
+  };
+})();
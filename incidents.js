@@ -0,0 +1,237 @@
+// incidents.js
+// Crime incident layer from the team's incident log, loaded like the other layers: a GeoJSON point
+// FeatureCollection in layers/<name>.js as a `var json_incidents_<n>` global (see README).
+// Each record carries a date, a type, coordinates and, optionally, casualties; the columns are
+// found by name (DATE_FIELDS, TYPE_FIELDS, CASUALTY_FIELDS). Records without a usable date or
+// coordinates are left out; the panel's summary says how many.
+//
+// The "Incidents" panel sets the time window (two sliders, whole days) and the incident types
+// shown. The map layer, the per-region counts in the comparison chart and the PDF reports
+// (compare.js) all follow that filter; a change fires `incidents:change` on document.
+// - available: false when no incident layer is loaded (the button stays hidden)
+// - countIn(level, features): {incidents, casualties} in the window, inside the region's polygons
+// - windowText(): {from, to, types} of the current filter, formatted for the interface language
+// Exposed as window.APP.incidents.
+
+(function(){
+  const cmp = window.APP.compare;
+  const spatial = window.APP.spatial;
+  const geometry = window.APP.geometry;
+  const i18n = window.APP.i18n;
+  const map = window.APP.map;
+
+  const DATE_FIELDS = ['date', 'incident_date', 'event_date', 'Date', 'DATE'];
+  const TYPE_FIELDS = ['type', 'incident_type', 'event_type', 'category', 'Type', 'TYPE'];
+  const CASUALTY_FIELDS = ['casualties', 'fatalities', 'deaths', 'killed', 'Casualties'];
+  const UNSPECIFIED = 'Unspecified';
+  const DAY = 86400000;
+  const PALETTE = ['#e6194b', '#4363d8', '#3cb44b', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324', '#808000', '#000075'];
+
+  // DOM references
+  const panel = document.getElementById('incident-panel');
+  const fromInput = document.getElementById('incident-from');
+  const toInput = document.getElementById('incident-to');
+  const fromOut = document.getElementById('incident-from-label');
+  const toOut = document.getElementById('incident-to-label');
+  const typesEl = document.getElementById('incident-types');
+  const summaryEl = document.getElementById('incident-summary');
+  const btnIncidents = document.getElementById('btnIncidents');
+  const btnClose = document.getElementById('close-incident');
+
+  // the first json_incidents_<n> global holding a FeatureCollection
+  function findIncidentGeoJson(){
+    for(const key in window){
+      if(!window.hasOwnProperty(key) || !/^json_incidents_\d+$/.test(key)) continue;
+      const v = window[key];
+      if(v && Array.isArray(v.features)) return v;
+    }
+    return null;
+  }
+
+  const pick = (p, fields) => {
+    const k = fields.find(f => p[f] !== null && p[f] !== undefined && p[f] !== '');
+    return k === undefined ? null : p[k];
+  };
+
+  // whole days in UTC, so a date-only value ("2024-03-01") never slips a day with the time zone
+  function dayOf(v){
+    const ms = typeof v === 'number' ? v : Date.parse(String(v));
+    return isNaN(ms) ? null : Math.floor(ms / DAY) * DAY;
+  }
+
+  const geo = findIncidentGeoJson();
+  const items = [];
+  let skipped = 0;
+  for(const f of geo ? geo.features : []){
+    const c = f.geometry && f.geometry.type === 'Point' && f.geometry.coordinates;
+    const p = f.properties || {};
+    const day = dayOf(pick(p, DATE_FIELDS));
+    if(!c || isNaN(c[0]) || isNaN(c[1]) || day === null){ skipped++; continue; }
+    const casualties = Number(pick(p, CASUALTY_FIELDS));
+    items.push({
+      coord: c, feature: f, type: 'incident', day,
+      kind: String(pick(p, TYPE_FIELDS) || '').trim() || UNSPECIFIED,
+      casualties: casualties > 0 ? casualties : 0
+    });
+  }
+  const available = items.length > 0;
+  const grid = spatial.createPointGrid(items);
+
+  // types, most frequent first, each with a colour
+  const kinds = [...items.reduce((m, it) => m.set(it.kind, (m.get(it.kind) || 0) + 1), new Map())]
+    .sort((a, b) => b[1] - a[1]).map(([kind], i) => ({kind, color: PALETTE[i % PALETTE.length]}));
+  const colorOf = new Map(kinds.map(k => [k.kind, k.color]));
+
+  const minDay = items.reduce((m, it) => Math.min(m, it.day), available ? Infinity : 0);
+  const maxDay = items.reduce((m, it) => Math.max(m, it.day), available ? -Infinity : 0);
+  const filter = {from: minDay, to: maxDay, kinds: new Set(kinds.map(k => k.kind))};
+  const passes = it => it.day >= filter.from && it.day <= filter.to && filter.kinds.has(it.kind);
+
+  // every incident owned by exactly one polygon per level, like the facilities (built on first use)
+  const assignments = {};
+  function assignment(level){
+    if(!assignments[level]){
+      const lv = cmp.levels[level];
+      assignments[level] = lv && lv.available ? geometry.assignPoints(grid, lv.geo.features).byFeature : new Map();
+    }
+    return assignments[level];
+  }
+
+  function countIn(level, features){
+    const out = {incidents: 0, casualties: 0};
+    const owned = assignment(level);
+    for(const f of features){
+      for(const it of owned.get(f) || []){
+        if(!passes(it)) continue;
+        out.incidents++;
+        out.casualties += it.casualties;
+      }
+    }
+    return out;
+  }
+
+  const fmtDay = day => i18n.date(new Date(day), {dateStyle: 'medium', timeZone: 'UTC'});
+  // the log's own type names, except the stand-in for records without one
+  const kindLabel = kind => kind === UNSPECIFIED ? i18n.t('incidents.unspecified') : kind;
+  function windowText(){
+    return {
+      from: fmtDay(filter.from), to: fmtDay(filter.to),
+      types: i18n.list(kinds.filter(k => filter.kinds.has(k.kind)).map(k => kindLabel(k.kind)))
+    };
+  }
+
+  // Layer: a dot per incident in its type's colour, larger with more casualties; filtered out ones are not drawn
+  const dotStyles = new Map();
+  function dotStyle(it){
+    const radius = Math.min(14, Math.round(4 + 2 * Math.sqrt(it.casualties)));
+    const key = `${it.kind}:${radius}`;
+    if(!dotStyles.has(key)){
+      dotStyles.set(key, new ol.style.Style({image: new ol.style.Circle({
+        radius, fill: new ol.style.Fill({color: colorOf.get(it.kind)}), stroke: new ol.style.Stroke({color: '#fff', width: 1})
+      })}));
+    }
+    return dotStyles.get(key);
+  }
+  const source = new ol.source.Vector({
+    features: items.map(it => new ol.Feature({geometry: new ol.geom.Point(ol.proj.fromLonLat(it.coord)), item: it}))
+  });
+  const layer = new ol.layer.Vector({
+    source, title: i18n.t('compare.incidents'), popuplayertitle: i18n.t('compare.incidents'), visible: false,
+    style: f => passes(f.get('item')) ? dotStyle(f.get('item')) : null
+  });
+  if(map && available){
+    const layers = map.getLayers();
+    const idx = layers.getArray().indexOf(window.APP.highlightLayer);
+    if(idx >= 0) layers.insertAt(idx, layer); else layers.push(layer);
+  }
+
+  // Panel
+  function drawSummary(){
+    const shown = items.filter(passes);
+    const w = windowText();
+    summaryEl.textContent = i18n.t('incidents.summary', {
+      incidents: i18n.plural('incidents.count', shown.length),
+      casualties: i18n.plural('incidents.casualties', shown.reduce((s, it) => s + it.casualties, 0)),
+      from: w.from, to: w.to
+    }) + (skipped ? ' ' + i18n.plural('incidents.skipped', skipped) : '');
+    fromOut.textContent = w.from;
+    toOut.textContent = w.to;
+    const inWindow = new Map();
+    for(const it of items) if(it.day >= filter.from && it.day <= filter.to) inWindow.set(it.kind, (inWindow.get(it.kind) || 0) + 1);
+    for(const count of typesEl.querySelectorAll('[data-kind]')) count.textContent = `(${i18n.number(inWindow.get(count.dataset.kind) || 0)})`;
+  }
+
+  // live while dragging; the comparison popup redraws once the slider is let go
+  function update(final){
+    layer.changed();
+    drawSummary();
+    if(final) document.dispatchEvent(new CustomEvent('incidents:change', {detail: {from: filter.from, to: filter.to, kinds: [...filter.kinds]}}));
+  }
+
+  function readSliders(){
+    let from = minDay + Number(fromInput.value) * DAY, to = minDay + Number(toInput.value) * DAY;
+    // the handles cannot cross: the one being dragged pushes the other
+    if(from > to){
+      if(this === fromInput){ to = from; toInput.value = fromInput.value; }
+      else { from = to; fromInput.value = toInput.value; }
+    }
+    filter.from = from;
+    filter.to = to;
+  }
+
+  if(available){
+    const days = Math.round((maxDay - minDay) / DAY);
+    for(const input of [fromInput, toInput]){
+      input.min = '0';
+      input.max = String(days);
+      input.step = '1';
+      input.addEventListener('input', function(){ readSliders.call(this); update(false); });
+      input.addEventListener('change', function(){ readSliders.call(this); update(true); });
+    }
+    fromInput.value = '0';
+    toInput.value = String(days);
+
+    for(const {kind, color} of kinds){
+      const label = document.createElement('label');
+      label.className = 'checkbox-row';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = true;
+      box.addEventListener('change', ()=>{
+        if(box.checked) filter.kinds.add(kind); else filter.kinds.delete(kind);
+        update(true);
+      });
+      const swatch = document.createElement('span');
+      swatch.className = 'risk-swatch';
+      swatch.style.background = color;
+      const name = document.createElement('span');
+      name.dataset.kindLabel = kind;
+      name.textContent = kindLabel(kind);
+      const count = document.createElement('span');
+      count.dataset.kind = kind;
+      count.style.color = '#777';
+      label.append(box, ' ', swatch, name, ' ', count);
+      typesEl.appendChild(label);
+    }
+    drawSummary();
+
+    btnIncidents.addEventListener('click', ()=>{
+      panel.style.display = 'block';
+      layer.setVisible(true);
+    });
+  } else {
+    btnIncidents.style.display = 'none';
+  }
+  btnClose.addEventListener('click', ()=>{ panel.style.display = 'none'; });
+  document.addEventListener('i18n:change', ()=>{
+    layer.set('title', i18n.t('compare.incidents'));
+    layer.set('popuplayertitle', i18n.t('compare.incidents'));
+    if(!available) return;
+    for(const name of typesEl.querySelectorAll('[data-kind-label]')) name.textContent = kindLabel(name.dataset.kindLabel);
+    drawSummary();
+  });
+
+  window.APP.incidents = { available, items, layer, countIn, windowText, filter };
+
+  // End of incidents.js
+})();
@@ -0,0 +1,192 @@
+// inventory.js
+// Facility inventory: every police station, army installation and checkpoint counted inside the
+// regions of a report, one table per facility type. The same columns and sort order drive the
+// sortable table in the download popup and the appendix of the PDF reports, so a field team
+// gets the PDF in the order they sorted on screen.
+//
+// Items are {type, feature, region}: the facility's GeoJSON feature and the name of the region
+// it was counted in (compare.js builds them from its one-owner assignment).
+// The popup and the PDF show titles in the interface language (`msg` keys, i18n.js); the data
+// exports keep the English `title`s so their columns stay stable.
+// Exposed as window.APP.inventory.
+
+(function(){
+  const {t} = window.APP.i18n;
+  const num = v => (v === null || v === undefined || v === '' || isNaN(Number(v))) ? null : Number(v);
+  const fmt = (v, digits=0) => v === null ? '' : v.toLocaleString(undefined, {minimumFractionDigits: digits, maximumFractionDigits: digits});
+  const str = v => (v === null || v === undefined) ? '' : String(v).trim();
+  const lat = f => f.geometry.coordinates[1];
+  const lon = f => f.geometry.coordinates[0];
+
+  // Columns: `value` feeds sorting, `text` the cell, `width` the PDF column in points (scaled to the page)
+  const coordColumns = [
+    {key:'lat', title:'Latitude', msg:'col.latitude', value: lat, text: f => lat(f).toFixed(5), width: 60, align:'right'},
+    {key:'lon', title:'Longitude', msg:'col.longitude', value: lon, text: f => lon(f).toFixed(5), width: 60, align:'right'}
+  ];
+  const TYPES = {
+    police: {
+      label: 'Police stations', singular: 'Police',
+      // GRID survey records carry plc_st_nam, the OSM records only `name`
+      name: p => str(p.plc_st_nam) || str(p.name) || `Police station ${p.fid}`,
+      columns: [
+        {key:'name', title:'Station', msg:'col.station', value: f => TYPES.police.name(f.properties), width: 170},
+        {key:'lga', title:'LGA', msg:'col.lga', value: f => str(f.properties.lganame), width: 90},
+        {key:'ward', title:'Ward', msg:'col.ward', value: f => str(f.properties.wardname), width: 90},
+        ...coordColumns
+      ]
+    },
+    army: {
+      label: 'Army installations', singular: 'Army',
+      name: p => str(p.Name) || `Army installation ${p.fid}`,
+      columns: [
+        {key:'name', title:'Name', msg:'col.name', value: f => TYPES.army.name(f.properties), width: 170},
+        {key:'branch', title:'Branch', msg:'col.branch', value: f => str(f.properties.Military), width: 70},
+        {key:'state', title:'State', msg:'col.state', value: f => str(f.properties.State), width: 110},
+        ...coordColumns
+      ]
+    },
+    checkpoints: {
+      label: 'Checkpoints', singular: 'Checkpoint',
+      // checkpoints have no name; HubName is the id of the nearest road hub
+      name: p => `Checkpoint ${p.fid}`,
+      columns: [
+        {key:'hub', title:'Hub', msg:'col.hub', value: f => str(f.properties.HubName), width: 90},
+        {key:'road', title:'Road distance (m)', msg:'col.roadDistance', value: f => num(f.properties.road_distance_m), text: f => fmt(num(f.properties.road_distance_m)), width: 100, align:'right'},
+        {key:'risk', title:'Checkpoint risk', msg:'col.checkpointRisk', value: f => num(f.properties.checkpoint_risk), text: f => fmt(num(f.properties.checkpoint_risk), 4), width: 90, align:'right'},
+        ...coordColumns
+      ]
+    }
+  };
+  const regionColumn = {key:'region', title:'Region', msg:'col.region', width: 90};
+
+  // type name in the interface language, plural ('Police stations') or singular ('Police')
+  const typeLabel = (type, one=false) => t(`facility.${type}${one ? '.one' : ''}`);
+  const titleOf = c => t(c.msg);
+
+  // current sort per type; shared by the popup and the PDF
+  const sortState = {
+    police: {key:'name', dir: 1},
+    army: {key:'name', dir: 1},
+    checkpoints: {key:'hub', dir: 1}
+  };
+
+  // columns for a table of `type`, with the region first when the items span several regions
+  function columnsFor(type, withRegion){
+    return withRegion ? [regionColumn, ...TYPES[type].columns] : TYPES[type].columns;
+  }
+  const cellValue = (c, item) => c.key === 'region' ? item.region : c.value(item.feature);
+  const cellText = (c, item) => c.key === 'region' ? item.region : (c.text ? c.text(item.feature) : str(c.value(item.feature)));
+
+  function sortedItems(type, items, withRegion){
+    const {key, dir} = sortState[type];
+    const col = columnsFor(type, withRegion).find(c => c.key === key) || TYPES[type].columns[0];
+    return items.filter(it => it.type === type).sort((a, b) => {
+      const va = cellValue(col, a), vb = cellValue(col, b);
+      // blanks always last, whichever the direction
+      const na = va === null || va === '', nb = vb === null || vb === '';
+      if(na || nb) return na === nb ? 0 : (na ? 1 : -1);
+      return (typeof va === 'string' ? va.localeCompare(vb, undefined, {numeric: true}) : va - vb) * dir;
+    });
+  }
+
+  function setSort(type, key){
+    const s = sortState[type];
+    if(s.key === key) s.dir = -s.dir;
+    else { s.key = key; s.dir = 1; }
+  }
+
+  const spansRegions = items => new Set(items.map(it => it.region)).size > 1;
+
+  // Sortable HTML table into `container`, with a picker for the facility type
+  function render(container, items){
+    const withRegion = spansRegions(items);
+    let type = container.dataset.type || 'police';
+    container.innerHTML = '';
+    const picker = document.createElement('select');
+    picker.setAttribute('aria-label', t('inventory.type'));
+    for(const k of Object.keys(TYPES)){
+      const opt = document.createElement('option');
+      opt.value = k;
+      opt.textContent = `${typeLabel(k)} (${items.filter(it => it.type === k).length})`;
+      picker.appendChild(opt);
+    }
+    picker.value = type;
+    const wrap = document.createElement('div');
+    wrap.className = 'table-wrap';
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    wrap.appendChild(table);
+    container.append(picker, wrap);
+
+    function draw(){
+      const cols = columnsFor(type, withRegion);
+      const rows = sortedItems(type, items, withRegion);
+      const {key, dir} = sortState[type];
+      table.innerHTML = '';
+      const thead = table.createTHead().insertRow();
+      for(const c of cols){
+        const th = document.createElement('th');
+        th.textContent = titleOf(c) + (c.key === key ? (dir > 0 ? ' ▲' : ' ▼') : '');
+        th.className = 'sortable';
+        th.addEventListener('click', ()=>{ setSort(type, c.key); draw(); });
+        thead.appendChild(th);
+      }
+      const tbody = table.createTBody();
+      for(const it of rows){
+        const tr = tbody.insertRow();
+        for(const c of cols){
+          const td = tr.insertCell();
+          td.textContent = cellText(c, it);
+          if(c.align === 'right') td.className = 'num';
+        }
+      }
+      if(!rows.length){
+        const td = tbody.insertRow().insertCell();
+        td.colSpan = cols.length;
+        td.textContent = t(withRegion ? 'inventory.emptyMany' : 'inventory.empty', {type: typeLabel(type).toLocaleLowerCase()});
+      }
+    }
+    picker.addEventListener('change', ()=>{
+      type = picker.value;
+      container.dataset.type = type;
+      draw();
+    });
+    draw();
+  }
+
+  // One table per facility type on the PDF layout (pdflayout.js), sorted as on screen
+  function drawTables(L, items){
+    const withRegion = spansRegions(items);
+    for(const type of Object.keys(TYPES)){
+      const rows = sortedItems(type, items, withRegion);
+      L.heading(`${typeLabel(type)} (${rows.length})`, {level: 2});
+      if(!rows.length){
+        L.paragraph(t(withRegion ? 'inventory.noneMany' : 'inventory.none'), {size: 9, color: 90});
+        continue;
+      }
+      const cols = columnsFor(type, withRegion);
+      const total = cols.reduce((s, c) => s + c.width, 0);
+      const k = Math.min(1, L.width / total);
+      L.table(cols.map(c => ({title: titleOf(c), width: c.width * k, align: c.align})),
+        rows.map(it => cols.map(c => cellText(c, it))), {size: 8});
+    }
+  }
+
+  // [title, text] of every column for one facility, for its details card (search.js)
+  function detailRows(type, feature){
+    return TYPES[type].columns.map(c => [titleOf(c), cellText(c, {feature})]);
+  }
+
+  // Column titles and raw cell values (numbers stay numbers) of one type, for the data exports
+  function tableData(type, items){
+    const withRegion = spansRegions(items);
+    const cols = columnsFor(type, withRegion);
+    return {
+      columns: cols.map(c => c.title),
+      rows: sortedItems(type, items, withRegion).map(it => cols.map(c => cellValue(c, it)))
+    };
+  }
+
+  window.APP = window.APP || {};
+  window.APP.inventory = { TYPES, typeLabel, sortedItems, setSort, render, drawTables, detailRows, tableData };
+})();
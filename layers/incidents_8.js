@@ -0,0 +1,3 @@
+// Sample incident log: 150 synthetic incidents in 2024, placed near police stations (see README, "Incidents").
+// Not real events; replace with the team's incident log exported from QGIS.
+var json_incidents_8 = {"type":"FeatureCollection","name":"incidents_8","crs":{"type":"name","properties":{"name":"urn:ogc:def:crs:OGC:1.3:CRS84"}},"features":[{"type":"Feature","properties":{"fid":"1","incident_date":"2024-01-08","incident_type":"Burglary","casualties":6},"geometry":{"type":"Point","coordinates":[3.26318,6.90886]}},{"type":"Feature","properties":{"fid":"2","incident_date":"2024-01-10","incident_type":"Armed robbery","casualties":1},"geometry":{"type":"Point","coordinates":[8.38732,8.78343]}},{"type":"Feature","properties":{"fid":"3","incident_date":"2024-01-10","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[7.28158,6.46963]}},{"type":"Feature","properties":{"fid":"4","incident_date":"2024-01-17","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[3.34709,8.10481]}},{"type":"Feature","properties":{"fid":"5","incident_date":"2024-01-24","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[9.0117,9.54894]}},{"type":"Feature","properties":{"fid":"6","incident_date":"2024-01-25","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[4.62341,7.49267]}},{"type":"Feature","properties":{"fid":"7","incident_date":"2024-01-26","incident_type":"Armed robbery","casualties":5},"geometry":{"type":"Point","coordinates":[3.73727,6.89152]}},{"type":"Feature","properties":{"fid":"8","incident_date":"2024-01-28","incident_type":"Armed robbery","casualties":2},"geometry":{"type":"Point","coordinates":[3.97278,7.3512]}},{"type":"Feature","properties":{"fid":"9","incident_date":"2024-01-28","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[8.86895,9.97762]}},{"type":"Feature","properties":{"fid":"10","incident_date":"2024-01-31","incident_type":"Kidnapping","casualties":2},"geometry":{"type":"Point","coordinates":[7.00888,4.75078]}},{"type":"Feature","properties":{"fid":"11","incident_date":"2024-01-31","incident_type":"Burglary","casualties":1},"geometry":{"type":"Point","coordinates":[3.36293,7.97512]}},{"type":"Feature","properties":{"fid":"12","incident_date":"2024-02-06","incident_type":"Armed robbery","casualties":5},"geometry":{"type":"Point","coordinates":[11.25095,6.50913]}},{"type":"Feature","properties":{"fid":"13","incident_date":"2024-02-08","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[3.98185,7.39598]}},{"type":"Feature","properties":{"fid":"14","incident_date":"2024-02-09","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[5.49961,8.22349]}},{"type":"Feature","properties":{"fid":"15","incident_date":"2024-02-10","incident_type":"Banditry","casualties":2},"geometry":{"type":"Point","coordinates":[7.65141,6.03858]}},{"type":"Feature","properties":{"fid":"16","incident_date":"2024-02-11","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[3.67697,6.89213]}},{"type":"Feature","properties":{"fid":"17","incident_date":"2024-02-12","incident_type":"Communal clash","casualties":10},"geometry":{"type":"Point","coordinates":[5.2358,7.67703]}},{"type":"Feature","properties":{"fid":"18","incident_date":"2024-02-15","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[11.40493,9.84389]}},{"type":"Feature","properties":{"fid":"19","incident_date":"2024-02-17","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[3.89626,7.40383]}},{"type":"Feature","properties":{"fid":"20","incident_date":"2024-02-19","incident_type":"Burglary","casualties":6},"geometry":{"type":"Point","coordinates":[2.80169,8.99328]}},{"type":"Feature","properties":{"fid":"21","incident_date":"2024-02-19","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[5.08884,7.76213]}},{"type":"Feature","properties":{"fid":"22","incident_date":"2024-02-24","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[10.46865,12.808]}},{"type":"Feature","properties":{"fid":"23","incident_date":"2024-02-27","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[7.49594,10.47194]}},{"type":"Feature","properties":{"fid":"24","incident_date":"2024-02-29","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[3.3631,6.56817]}},{"type":"Feature","properties":{"fid":"25","incident_date":"2024-03-05","incident_type":"Banditry","casualties":17},"geometry":{"type":"Point","coordinates":[3.38419,6.49496]}},{"type":"Feature","properties":{"fid":"26","incident_date":"2024-03-06","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[3.40731,7.99654]}},{"type":"Feature","properties":{"fid":"27","incident_date":"2024-03-13","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[9.2692,7.46965]}},{"type":"Feature","properties":{"fid":"28","incident_date":"2024-03-16","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[4.04908,7.77986]}},{"type":"Feature","properties":{"fid":"29","incident_date":"2024-03-17","incident_type":"Kidnapping","casualties":5},"geometry":{"type":"Point","coordinates":[9.47252,8.93018]}},{"type":"Feature","properties":{"fid":"30","incident_date":"2024-03-28","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[8.89485,9.56349]}},{"type":"Feature","properties":{"fid":"31","incident_date":"2024-03-31","incident_type":"Cult clash","casualties":3},"geometry":{"type":"Point","coordinates":[10.40751,8.51864]}},{"type":"Feature","properties":{"fid":"32","incident_date":"2024-04-04","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[3.28905,6.74133]}},{"type":"Feature","properties":{"fid":"33","incident_date":"2024-04-04","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[5.20777,7.96754]}},{"type":"Feature","properties":{"fid":"34","incident_date":"2024-04-04","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[4.6193,7.63121]}},{"type":"Feature","properties":{"fid":"35","incident_date":"2024-04-06","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[7.58849,5.61987]}},{"type":"Feature","properties":{"fid":"36","incident_date":"2024-04-06","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[8.48068,8.8246]}},{"type":"Feature","properties":{"fid":"37","incident_date":"2024-04-07","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[3.22385,8.67889]}},{"type":"Feature","properties":{"fid":"38","incident_date":"2024-04-09","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[9.79249,10.35007]}},{"type":"Feature","properties":{"fid":"39","incident_date":"2024-04-09","incident_type":"Banditry","casualties":4},"geometry":{"type":"Point","coordinates":[7.07955,4.78295]}},{"type":"Feature","properties":{"fid":"40","incident_date":"2024-04-11","incident_type":"Armed robbery","casualties":2},"geometry":{"type":"Point","coordinates":[7.38847,5.89923]}},{"type":"Feature","properties":{"fid":"41","incident_date":"2024-04-11","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[4.75909,7.52031]}},{"type":"Feature","properties":{"fid":"42","incident_date":"2024-04-13","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[5.81765,10.82455]}},{"type":"Feature","properties":{"fid":"43","incident_date":"2024-04-15","incident_type":"Kidnapping","casualties":12},"geometry":{"type":"Point","coordinates":[7.14437,4.8494]}},{"type":"Feature","properties":{"fid":"44","incident_date":"2024-04-16","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[7.4706,6.88036]}},{"type":"Feature","properties":{"fid":"45","incident_date":"2024-04-19","incident_type":"Armed robbery","casualties":2},"geometry":{"type":"Point","coordinates":[3.74268,9.06577]}},{"type":"Feature","properties":{"fid":"46","incident_date":"2024-04-20","incident_type":"Armed robbery","casualties":5},"geometry":{"type":"Point","coordinates":[9.81694,10.36906]}},{"type":"Feature","properties":{"fid":"47","incident_date":"2024-04-21","incident_type":"Burglary","casualties":3},"geometry":{"type":"Point","coordinates":[3.44102,6.74146]}},{"type":"Feature","properties":{"fid":"48","incident_date":"2024-04-21","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[5.68122,8.17691]}},{"type":"Feature","properties":{"fid":"49","incident_date":"2024-04-26","incident_type":"Armed robbery","casualties":2},"geometry":{"type":"Point","coordinates":[3.52908,6.73731]}},{"type":"Feature","properties":{"fid":"50","incident_date":"2024-04-27","incident_type":"Burglary","casualties":1},"geometry":{"type":"Point","coordinates":[7.55947,5.51805]}},{"type":"Feature","properties":{"fid":"51","incident_date":"2024-05-04","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[3.19265,6.4833]}},{"type":"Feature","properties":{"fid":"52","incident_date":"2024-05-05","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[3.80729,7.37322]}},{"type":"Feature","properties":{"fid":"53","incident_date":"2024-05-06","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[8.33731,4.9666]}},{"type":"Feature","properties":{"fid":"54","incident_date":"2024-05-06","incident_type":"Banditry","casualties":9},"geometry":{"type":"Point","coordinates":[4.7104,7.15751]}},{"type":"Feature","properties":{"fid":"55","incident_date":"2024-05-06","incident_type":"Cult clash","casualties":0},"geometry":{"type":"Point","coordinates":[9.78802,10.24196]}},{"type":"Feature","properties":{"fid":"56","incident_date":"2024-05-17","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[8.20881,5.96235]}},{"type":"Feature","properties":{"fid":"57","incident_date":"2024-05-22","incident_type":"Cult clash","casualties":1},"geometry":{"type":"Point","coordinates":[8.13988,6.5655]}},{"type":"Feature","properties":{"fid":"58","incident_date":"2024-05-24","incident_type":"Burglary","casualties":1},"geometry":{"type":"Point","coordinates":[8.76052,6.79339]}},{"type":"Feature","properties":{"fid":"59","incident_date":"2024-05-25","incident_type":"Communal clash","casualties":9},"geometry":{"type":"Point","coordinates":[8.9078,9.9593]}},{"type":"Feature","properties":{"fid":"60","incident_date":"2024-05-31","incident_type":"Cult clash","casualties":0},"geometry":{"type":"Point","coordinates":[6.91258,5.90769]}},{"type":"Feature","properties":{"fid":"61","incident_date":"2024-06-01","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[11.06731,10.3052]}},{"type":"Feature","properties":{"fid":"62","incident_date":"2024-06-03","incident_type":"Armed robbery","casualties":4},"geometry":{"type":"Point","coordinates":[4.16342,6.66505]}},{"type":"Feature","properties":{"fid":"63","incident_date":"2024-06-06","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[4.58835,8.49513]}},{"type":"Feature","properties":{"fid":"64","incident_date":"2024-06-09","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[7.49141,6.05844]}},{"type":"Feature","properties":{"fid":"65","incident_date":"2024-06-09","incident_type":"Cult clash","casualties":0},"geometry":{"type":"Point","coordinates":[3.4345,6.43818]}},{"type":"Feature","properties":{"fid":"66","incident_date":"2024-06-09","incident_type":"Kidnapping","casualties":1},"geometry":{"type":"Point","coordinates":[3.89205,7.42723]}},{"type":"Feature","properties":{"fid":"67","incident_date":"2024-06-11","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[4.26295,7.86322]}},{"type":"Feature","properties":{"fid":"68","incident_date":"2024-06-17","incident_type":"Communal clash","casualties":7},"geometry":{"type":"Point","coordinates":[5.58089,9.89952]}},{"type":"Feature","properties":{"fid":"69","incident_date":"2024-06-17","incident_type":"Banditry","casualties":5},"geometry":{"type":"Point","coordinates":[8.12986,8.01309]}},{"type":"Feature","properties":{"fid":"70","incident_date":"2024-06-22","incident_type":"Cult clash","casualties":0},"geometry":{"type":"Point","coordinates":[4.04506,6.90805]}},{"type":"Feature","properties":{"fid":"71","incident_date":"2024-06-23","incident_type":"Burglary","casualties":2},"geometry":{"type":"Point","coordinates":[5.62751,6.29163]}},{"type":"Feature","properties":{"fid":"72","incident_date":"2024-06-25","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[4.77924,7.97804]}},{"type":"Feature","properties":{"fid":"73","incident_date":"2024-06-29","incident_type":"Kidnapping","casualties":3},"geometry":{"type":"Point","coordinates":[9.30792,9.16424]}},{"type":"Feature","properties":{"fid":"74","incident_date":"2024-06-30","incident_type":"Armed robbery","casualties":3},"geometry":{"type":"Point","coordinates":[7.43174,10.46793]}},{"type":"Feature","properties":{"fid":"75","incident_date":"2024-07-02","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[8.82294,9.91787]}},{"type":"Feature","properties":{"fid":"76","incident_date":"2024-07-03","incident_type":"Cult clash","casualties":0},"geometry":{"type":"Point","coordinates":[7.76912,11.27332]}},{"type":"Feature","properties":{"fid":"77","incident_date":"2024-07-04","incident_type":"Cult clash","casualties":0},"geometry":{"type":"Point","coordinates":[8.1859,4.74585]}},{"type":"Feature","properties":{"fid":"78","incident_date":"2024-07-07","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[7.43429,6.32433]}},{"type":"Feature","properties":{"fid":"79","incident_date":"2024-07-10","incident_type":"Banditry","casualties":11},"geometry":{"type":"Point","coordinates":[8.34249,5.06307]}},{"type":"Feature","properties":{"fid":"80","incident_date":"2024-07-10","incident_type":"Armed robbery","casualties":1},"geometry":{"type":"Point","coordinates":[8.6736,9.70873]}},{"type":"Feature","properties":{"fid":"81","incident_date":"2024-07-11","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[5.25476,7.47381]}},{"type":"Feature","properties":{"fid":"82","incident_date":"2024-07-11","incident_type":"Banditry","casualties":1},"geometry":{"type":"Point","coordinates":[8.91783,9.92819]}},{"type":"Feature","properties":{"fid":"83","incident_date":"2024-07-14","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[6.92014,5.32334]}},{"type":"Feature","properties":{"fid":"84","incident_date":"2024-07-25","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[7.74666,8.60796]}},{"type":"Feature","properties":{"fid":"85","incident_date":"2024-07-26","incident_type":"Kidnapping","casualties":1},"geometry":{"type":"Point","coordinates":[2.7777,7.5714]}},{"type":"Feature","properties":{"fid":"86","incident_date":"2024-08-03","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[7.21464,9.2289]}},{"type":"Feature","properties":{"fid":"87","incident_date":"2024-08-04","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[7.50143,5.43688]}},{"type":"Feature","properties":{"fid":"88","incident_date":"2024-08-04","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[8.86928,9.79394]}},{"type":"Feature","properties":{"fid":"89","incident_date":"2024-08-04","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[5.03953,7.87569]}},{"type":"Feature","properties":{"fid":"90","incident_date":"2024-08-04","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[4.36295,7.99271]}},{"type":"Feature","properties":{"fid":"91","incident_date":"2024-08-04","incident_type":"Burglary","casualties":8},"geometry":{"type":"Point","coordinates":[7.40444,6.46274]}},{"type":"Feature","properties":{"fid":"92","incident_date":"2024-08-11","incident_type":"Armed robbery","casualties":3},"geometry":{"type":"Point","coordinates":[8.05304,6.25228]}},{"type":"Feature","properties":{"fid":"93","incident_date":"2024-08-12","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[11.07436,9.14432]}},{"type":"Feature","properties":{"fid":"94","incident_date":"2024-08-14","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[11.18574,10.31257]}},{"type":"Feature","properties":{"fid":"95","incident_date":"2024-08-18","incident_type":"Kidnapping","casualties":2},"geometry":{"type":"Point","coordinates":[4.15513,6.49564]}},{"type":"Feature","properties":{"fid":"96","incident_date":"2024-08-24","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[5.71637,11.99083]}},{"type":"Feature","properties":{"fid":"97","incident_date":"2024-08-27","incident_type":"Kidnapping","casualties":3},"geometry":{"type":"Point","coordinates":[8.1367,6.77977]}},{"type":"Feature","properties":{"fid":"98","incident_date":"2024-08-28","incident_type":"Communal clash","casualties":5},"geometry":{"type":"Point","coordinates":[5.11686,13.02782]}},{"type":"Feature","properties":{"fid":"99","incident_date":"2024-08-28","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[6.52187,8.38818]}},{"type":"Feature","properties":{"fid":"100","incident_date":"2024-08-31","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[11.13409,10.25354]}},{"type":"Feature","properties":{"fid":"101","incident_date":"2024-08-31","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[3.25608,7.19501]}},{"type":"Feature","properties":{"fid":"102","incident_date":"2024-09-01","incident_type":"Burglary","casualties":1},"geometry":{"type":"Point","coordinates":[4.65204,8.06146]}},{"type":"Feature","properties":{"fid":"103","incident_date":"2024-09-01","incident_type":"Cult clash","casualties":0},"geometry":{"type":"Point","coordinates":[11.33375,8.95186]}},{"type":"Feature","properties":{"fid":"104","incident_date":"2024-09-03","incident_type":"Cult clash","casualties":0},"geometry":{"type":"Point","coordinates":[5.57904,6.29346]}},{"type":"Feature","properties":{"fid":"105","incident_date":"2024-09-18","incident_type":"Armed robbery","casualties":4},"geometry":{"type":"Point","coordinates":[10.43729,12.86927]}},{"type":"Feature","properties":{"fid":"106","incident_date":"2024-09-22","incident_type":"Cult clash","casualties":2},"geometry":{"type":"Point","coordinates":[3.17091,6.49002]}},{"type":"Feature","properties":{"fid":"107","incident_date":"2024-09-22","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[3.32387,7.41218]}},{"type":"Feature","properties":{"fid":"108","incident_date":"2024-09-23","incident_type":"Kidnapping","casualties":18},"geometry":{"type":"Point","coordinates":[6.98559,4.70967]}},{"type":"Feature","properties":{"fid":"109","incident_date":"2024-09-28","incident_type":"Kidnapping","casualties":10},"geometry":{"type":"Point","coordinates":[8.86899,9.92377]}},{"type":"Feature","properties":{"fid":"110","incident_date":"2024-09-28","incident_type":"Armed robbery","casualties":2},"geometry":{"type":"Point","coordinates":[4.48983,7.50034]}},{"type":"Feature","properties":{"fid":"111","incident_date":"2024-09-29","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[7.60144,6.37815]}},{"type":"Feature","properties":{"fid":"112","incident_date":"2024-09-30","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[8.31378,4.95582]}},{"type":"Feature","properties":{"fid":"113","incident_date":"2024-09-30","incident_type":"Banditry","casualties":3},"geometry":{"type":"Point","coordinates":[5.6468,6.29691]}},{"type":"Feature","properties":{"fid":"114","incident_date":"2024-10-05","incident_type":"Armed robbery","casualties":2},"geometry":{"type":"Point","coordinates":[5.72701,5.55525]}},{"type":"Feature","properties":{"fid":"115","incident_date":"2024-10-11","incident_type":"Kidnapping","casualties":1},"geometry":{"type":"Point","coordinates":[7.53841,6.43919]}},{"type":"Feature","properties":{"fid":"116","incident_date":"2024-10-11","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[8.50432,12.02962]}},{"type":"Feature","properties":{"fid":"117","incident_date":"2024-10-12","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[7.27803,6.51414]}},{"type":"Feature","properties":{"fid":"118","incident_date":"2024-10-14","incident_type":"Kidnapping","casualties":5},"geometry":{"type":"Point","coordinates":[11.86224,10.68335]}},{"type":"Feature","properties":{"fid":"119","incident_date":"2024-10-17","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[5.07386,7.88482]}},{"type":"Feature","properties":{"fid":"120","incident_date":"2024-10-19","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[9.71681,8.82605]}},{"type":"Feature","properties":{"fid":"121","incident_date":"2024-10-19","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[7.60391,5.41942]}},{"type":"Feature","properties":{"fid":"122","incident_date":"2024-10-20","incident_type":"Kidnapping","casualties":2},"geometry":{"type":"Point","coordinates":[6.90008,5.87078]}},{"type":"Feature","properties":{"fid":"123","incident_date":"2024-10-23","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[9.83453,6.84265]}},{"type":"Feature","properties":{"fid":"124","incident_date":"2024-10-24","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[3.89811,7.40083]}},{"type":"Feature","properties":{"fid":"125","incident_date":"2024-10-24","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[10.31919,9.38794]}},{"type":"Feature","properties":{"fid":"126","incident_date":"2024-10-25","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[3.78397,7.4316]}},{"type":"Feature","properties":{"fid":"127","incident_date":"2024-10-29","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[3.47476,9.06251]}},{"type":"Feature","properties":{"fid":"128","incident_date":"2024-10-30","incident_type":"Kidnapping","casualties":3},"geometry":{"type":"Point","coordinates":[11.13736,10.29538]}},{"type":"Feature","properties":{"fid":"129","incident_date":"2024-10-31","incident_type":"Armed robbery","casualties":6},"geometry":{"type":"Point","coordinates":[3.33907,9.39308]}},{"type":"Feature","properties":{"fid":"130","incident_date":"2024-11-01","incident_type":"Communal clash","casualties":0},"geometry":{"type":"Point","coordinates":[3.36167,6.48795]}},{"type":"Feature","properties":{"fid":"131","incident_date":"2024-11-06","incident_type":"Banditry","casualties":1},"geometry":{"type":"Point","coordinates":[3.05994,6.61407]}},{"type":"Feature","properties":{"fid":"132","incident_date":"2024-11-07","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[3.35339,6.46819]}},{"type":"Feature","properties":{"fid":"133","incident_date":"2024-11-12","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[3.29342,6.6516]}},{"type":"Feature","properties":{"fid":"134","incident_date":"2024-11-12","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[11.1818,10.24536]}},{"type":"Feature","properties":{"fid":"135","incident_date":"2024-11-19","incident_type":"Cult clash","casualties":4},"geometry":{"type":"Point","coordinates":[7.52166,6.49699]}},{"type":"Feature","properties":{"fid":"136","incident_date":"2024-11-20","incident_type":"Armed robbery","casualties":1},"geometry":{"type":"Point","coordinates":[3.48156,8.42538]}},{"type":"Feature","properties":{"fid":"137","incident_date":"2024-11-23","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[7.57486,6.39861]}},{"type":"Feature","properties":{"fid":"138","incident_date":"2024-11-23","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[5.18954,13.04677]}},{"type":"Feature","properties":{"fid":"139","incident_date":"2024-11-26","incident_type":"Banditry","casualties":17},"geometry":{"type":"Point","coordinates":[9.06692,6.54875]}},{"type":"Feature","properties":{"fid":"140","incident_date":"2024-12-04","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[8.81634,9.86758]}},{"type":"Feature","properties":{"fid":"141","incident_date":"2024-12-05","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[7.18311,6.17831]}},{"type":"Feature","properties":{"fid":"142","incident_date":"2024-12-06","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[8.03405,5.29336]}},{"type":"Feature","properties":{"fid":"143","incident_date":"2024-12-11","incident_type":"Banditry","casualties":0},"geometry":{"type":"Point","coordinates":[3.31158,6.60449]}},{"type":"Feature","properties":{"fid":"144","incident_date":"2024-12-18","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[7.41183,10.53938]}},{"type":"Feature","properties":{"fid":"145","incident_date":"2024-12-18","incident_type":"Banditry","casualties":2},"geometry":{"type":"Point","coordinates":[8.28238,5.04217]}},{"type":"Feature","properties":{"fid":"146","incident_date":"2024-12-24","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[5.42024,7.45538]}},{"type":"Feature","properties":{"fid":"147","incident_date":"2024-12-26","incident_type":"Burglary","casualties":0},"geometry":{"type":"Point","coordinates":[12.59456,9.78808]}},{"type":"Feature","properties":{"fid":"148","incident_date":"2024-12-29","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[3.34916,6.65361]}},{"type":"Feature","properties":{"fid":"149","incident_date":"2024-12-31","incident_type":"Armed robbery","casualties":0},"geometry":{"type":"Point","coordinates":[8.82016,9.99926]}},{"type":"Feature","properties":{"fid":"150","incident_date":"2024-12-31","incident_type":"Kidnapping","casualties":0},"geometry":{"type":"Point","coordinates":[5.24419,7.72742]}}]};
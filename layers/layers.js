@@ -10,6 +10,7 @@ var wms_layers = [];
             
             source: new ol.source.XYZ({
             attributions: ' ',
+                crossOrigin: 'anonymous',
                 url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'
             })
         });
@@ -26,12 +27,7 @@ var lyr_RiskIndex_1 = new ol.layer.Vector({
                 style: style_RiskIndex_1,
                 popuplayertitle: 'Risk Index',
                 interactive: true,
-    title: 'Risk Index<br />\
-    <img src="styles/legend/RiskIndex_1_0.png" /> 0 - 29<br />\
-    <img src="styles/legend/RiskIndex_1_1.png" /> 29 - 73<br />\
-    <img src="styles/legend/RiskIndex_1_2.png" /> 73 - 85<br />\
-    <img src="styles/legend/RiskIndex_1_3.png" /> 85 - 132<br />\
-    <img src="styles/legend/RiskIndex_1_4.png" /> 132 - 2549<br />' });
+    title: window.APP.riskConfig.legendHtml('Risk Index') });
 var format_boundaries_2 = new ol.format.GeoJSON();
 var features_boundaries_2 = format_boundaries_2.readFeatures(json_boundaries_2, 
             {dataProjection: 'EPSG:4326', featureProjection: 'EPSG:3857'});
@@ -54,9 +50,15 @@ var jsonSource_army_3 = new ol.source.Vector({
     attributions: ' ',
 });
 jsonSource_army_3.addFeatures(features_army_3);
+var cluster_army_3 = new ol.source.Cluster({
+  distance: 40,
+  source: jsonSource_army_3,
+  // records without coordinates stay out of the clusters
+  geometryFunction: function(feature){ return feature.getGeometry(); }
+});
 var lyr_army_3 = new ol.layer.Vector({
                 declutter: false,
-                source:jsonSource_army_3, 
+                source:cluster_army_3, 
                 style: style_army_3,
                 popuplayertitle: 'army',
                 interactive: true,
@@ -69,9 +71,15 @@ var jsonSource_police_4 = new ol.source.Vector({
     attributions: ' ',
 });
 jsonSource_police_4.addFeatures(features_police_4);
+var cluster_police_4 = new ol.source.Cluster({
+  distance: 40,
+  source: jsonSource_police_4,
+  // records without coordinates stay out of the clusters
+  geometryFunction: function(feature){ return feature.getGeometry(); }
+});
 var lyr_police_4 = new ol.layer.Vector({
                 declutter: false,
-                source:jsonSource_police_4, 
+                source:cluster_police_4, 
                 style: style_police_4,
                 popuplayertitle: 'police',
                 interactive: true,
@@ -84,9 +92,15 @@ var jsonSource_checkpoints_5 = new ol.source.Vector({
     attributions: ' ',
 });
 jsonSource_checkpoints_5.addFeatures(features_checkpoints_5);
+var cluster_checkpoints_5 = new ol.source.Cluster({
+  distance: 40,
+  source: jsonSource_checkpoints_5,
+  // records without coordinates stay out of the clusters
+  geometryFunction: function(feature){ return feature.getGeometry(); }
+});
 var lyr_checkpoints_5 = new ol.layer.Vector({
                 declutter: false,
-                source:jsonSource_checkpoints_5, 
+                source:cluster_checkpoints_5, 
                 style: style_checkpoints_5,
                 popuplayertitle: 'checkpoints',
                 interactive: true,
@@ -0,0 +1,3 @@
+// Sample LGA layer: approximate boundaries of the 20 Lagos LGAs (see README, "Sample admin layers").
+// Replace with the full LGA export from QGIS.
+var json_lga_6 = {"type":"FeatureCollection","name":"lga_6","crs":{"type":"name","properties":{"name":"urn:ogc:def:crs:OGC:1.3:CRS84"}},"features":[{"type":"Feature","properties":{"fid":"1","lganame":"Agege","lgacode":"25001","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.348527,6.631465],[3.320751,6.587563],[3.305558,6.587482],[3.239167,6.645733],[3.348527,6.631465]]]}},{"type":"Feature","properties":{"fid":"2","lganame":"Ajeromi/Ifelodun","lgacode":"25002","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.341511,6.47342],[3.346407,6.395648],[3.335209,6.395048],[3.295982,6.495596],[3.341511,6.47342]]]}},{"type":"Feature","properties":{"fid":"3","lganame":"Alimosho","lgacode":"25003","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.187199,6.557445],[3.194255,6.589572],[3.209034,6.610295],[3.224537,6.627038],[3.231108,6.650496],[3.239167,6.645733],[3.305558,6.587482],[3.279767,6.508354],[3.24734,6.502896],[3.187199,6.557445]]]}},{"type":"Feature","properties":{"fid":"4","lganame":"Amuwo Odofin","lgacode":"25004","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.279767,6.508354],[3.284327,6.507349],[3.286736,6.505591],[3.295982,6.495596],[3.335209,6.395048],[3.295052,6.392895],[3.227808,6.396072],[3.24734,6.502896],[3.279767,6.508354]]]}},{"type":"Feature","properties":{"fid":"5","lganame":"Apapa","lgacode":"25005","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.379829,6.47433],[3.37677,6.462107],[3.369802,6.450019],[3.369802,6.450019],[3.369802,6.450019],[3.372563,6.445295],[3.360326,6.396394],[3.346407,6.395648],[3.341511,6.47342],[3.36436,6.48413],[3.379829,6.47433]]]}},{"type":"Feature","properties":{"fid":"6","lganame":"Badagry","lgacode":"25006","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[2.71192,6.474048],[2.71192,6.474048],[2.717798,6.473455],[2.751181,6.470665],[2.784771,6.473791],[2.810713,6.465575],[2.835931,6.466944],[2.862492,6.484617],[2.881613,6.506528],[2.881303,6.520533],[2.892051,6.525726],[3.038527,6.519322],[3.053291,6.382927],[3.025377,6.384301],[2.927745,6.389106],[2.913537,6.387789],[2.703841,6.368352],[2.71192,6.474048]]]}},{"type":"Feature","properties":{"fid":"7","lganame":"Epe","lgacode":"25007","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.761975,6.688508],[4.032137,6.689954],[4.091771,6.674373],[4.081023,6.64807],[4.056631,6.629311],[4.048053,6.604223],[4.058388,6.579909],[4.059215,6.5673],[4.087637,6.54433],[4.11792,6.559393],[4.148409,6.579857],[4.181068,6.58673],[4.209594,6.57686],[4.219825,6.555698],[4.210937,6.534847],[4.153266,6.503066],[4.154817,6.478597],[4.178174,6.46436],[4.206286,6.456712],[4.220032,6.44369],[4.236879,6.433587],[4.260236,6.438987],[4.317184,6.43692],[4.344779,6.427463],[4.346329,6.400747],[4.342402,6.373151],[4.34197,6.370592],[4.34197,6.370592],[4.240589,6.389238],[4.125824,6.410346],[4.073978,6.414664],[3.801474,6.592144],[3.857919,6.602199],[3.857921,6.6022],[3.857921,6.6022],[3.857921,6.6022],[3.857921,6.6022],[3.850271,6.6081],[3.844005,6.610826],[3.837901,6.610989],[3.830577,6.609036],[3.773692,6.622382],[3.761891,6.617924],[3.755938,6.621802],[3.761975,6.688508]]]}},{"type":"Feature","properties":{"fid":"8","lganame":"Eti Osa","lgacode":"25008","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.488951,6.537071],[3.678147,6.475306],[3.679907,6.422131],[3.443614,6.410346],[3.443614,6.410346],[3.434223,6.415816],[3.437357,6.431964],[3.440196,6.423408],[3.440196,6.423407],[3.456281,6.438114],[3.475352,6.455552],[3.475353,6.455552],[3.481212,6.454779],[3.48463,6.446845],[3.492442,6.446479],[3.505382,6.451361],[3.524425,6.451809],[3.541352,6.45482],[3.556814,6.462958],[3.570567,6.478705],[3.570567,6.478705],[3.570567,6.478705],[3.572439,6.489569],[3.570721,6.497947],[3.570811,6.509345],[3.570811,6.509345],[3.570812,6.509345],[3.572973,6.509641],[3.488951,6.537071],[3.47889,6.533003],[3.463459,6.517776],[3.463459,6.517776],[3.47889,6.533003],[3.488951,6.537071]]]}},{"type":"Feature","properties":{"fid":"9","lganame":"Ibeju Lekki","lgacode":"25009","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.755938,6.621802],[4.073978,6.414664],[3.953507,6.424696],[3.870291,6.431627],[3.73134,6.424696],[3.679907,6.422131],[3.678147,6.475306],[3.707086,6.529803],[3.722667,6.535956],[3.742686,6.547797],[3.742686,6.547797],[3.742686,6.547797],[3.756847,6.563788],[3.762218,6.58515],[3.762218,6.58515],[3.801474,6.592144],[3.761891,6.617924],[3.751869,6.614139],[3.755938,6.621802]]]}},{"type":"Feature","properties":{"fid":"10","lganame":"Ifako/Ijaye","lgacode":"25010","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.231108,6.650496],[3.238903,6.678327],[3.245311,6.692589],[3.276731,6.704733],[3.300192,6.697628],[3.345564,6.67396],[3.368921,6.644711],[3.373252,6.644522],[3.378455,6.64727],[3.378455,6.64727],[3.348527,6.631465],[3.239167,6.645733],[3.231108,6.650496]]]}},{"type":"Feature","properties":{"fid":"11","lganame":"Ikeja","lgacode":"25011","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.373252,6.644522],[3.378745,6.644283],[3.385021,6.579549],[3.355032,6.564356],[3.320751,6.587563],[3.348527,6.631465],[3.373252,6.644522]]]}},{"type":"Feature","properties":{"fid":"12","lganame":"Ikorodu","lgacode":"25012","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.47231,6.686957],[3.761975,6.688508],[3.755938,6.621802],[3.678147,6.475306],[3.572973,6.509641],[3.596334,6.512844],[3.621349,6.512844],[3.642751,6.517076],[3.654544,6.520825],[3.700206,6.527086],[3.700206,6.527086],[3.707086,6.529803],[3.751869,6.614139],[3.717459,6.601142],[3.715145,6.599808],[3.597032,6.554267],[3.597016,6.554267],[3.586681,6.552883],[3.56892,6.543427],[3.528331,6.527777],[3.528331,6.527777],[3.528331,6.527777],[3.488778,6.538635],[3.47231,6.686957]]]}},{"type":"Feature","properties":{"fid":"13","lganame":"Kosofe","lgacode":"25013","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.378745,6.644283],[3.404475,6.643161],[3.424215,6.646313],[3.435997,6.66347],[3.439201,6.677706],[3.447986,6.686827],[3.47231,6.686957],[3.488778,6.538635],[3.478526,6.541449],[3.481212,6.6022],[3.481212,6.6022],[3.481212,6.6022],[3.481212,6.6022],[3.481212,6.602199],[3.464041,6.592231],[3.451915,6.581773],[3.429942,6.557807],[3.429942,6.557807],[3.429182,6.557651],[3.385021,6.579549],[3.378745,6.644283]]]}},{"type":"Feature","properties":{"fid":"14","lganame":"Lagos Island","lgacode":"25020","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.44971,6.495608],[3.434223,6.415816],[3.384939,6.444525],[3.384939,6.444525],[3.40311,6.450452],[3.406912,6.449449],[3.412852,6.444525],[3.428477,6.458726],[3.428477,6.458726],[3.437357,6.431964],[3.44971,6.495608],[3.384665,6.475803],[3.37677,6.462107],[3.372563,6.445295],[3.375011,6.441107],[3.377166,6.43879],[3.382663,6.430409],[3.384125,6.424791],[3.389496,6.419989],[3.385371,6.401459],[3.384532,6.397691],[3.384532,6.397691],[3.360326,6.396394],[3.379829,6.47433],[3.44971,6.495608]]]}},{"type":"Feature","properties":{"fid":"15","lganame":"Lagos Mainland","lgacode":"25019","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.405425,6.519192],[3.406016,6.512844],[3.406016,6.512844],[3.384665,6.475803],[3.379829,6.47433],[3.36436,6.48413],[3.360367,6.501988],[3.367337,6.520122],[3.405425,6.519192]]]}},{"type":"Feature","properties":{"fid":"16","lganame":"Mushin","lgacode":"25014","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.349978,6.545135],[3.367337,6.520122],[3.360367,6.501988],[3.286736,6.505591],[3.284327,6.507349],[3.349978,6.545135]]]}},{"type":"Feature","properties":{"fid":"17","lganame":"Ojo","lgacode":"25015","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.038527,6.519322],[3.110126,6.516192],[3.16883,6.52446],[3.18361,6.5411],[3.187199,6.557445],[3.24734,6.502896],[3.227808,6.396072],[3.214203,6.396715],[3.082367,6.381496],[3.053291,6.382927],[3.038527,6.519322]]]}},{"type":"Feature","properties":{"fid":"18","lganame":"Oshodi/Isolo","lgacode":"25016","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.305558,6.587482],[3.320751,6.587563],[3.355032,6.564356],[3.349978,6.545135],[3.284327,6.507349],[3.279767,6.508354],[3.305558,6.587482]]]}},{"type":"Feature","properties":{"fid":"19","lganame":"Shomolu","lgacode":"25017","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.385021,6.579549],[3.429182,6.557651],[3.41348,6.554432],[3.411306,6.554348],[3.402356,6.552151],[3.402354,6.552151],[3.402354,6.552151],[3.402354,6.552151],[3.398611,6.54385],[3.400076,6.536811],[3.405002,6.523735],[3.405425,6.519192],[3.367337,6.520122],[3.349978,6.545135],[3.355032,6.564356],[3.385021,6.579549]]]}},{"type":"Feature","properties":{"fid":"20","lganame":"Surulere","lgacode":"25018","statename":"Lagos","statecode":"LA"},"geometry":{"type":"Polygon","coordinates":[[[3.360367,6.501988],[3.36436,6.48413],[3.341511,6.47342],[3.295982,6.495596],[3.286736,6.505591],[3.360367,6.501988]]]}}]};
@@ -0,0 +1,3 @@
+// Sample ward layer: approximate boundaries of the wards of Ikeja LGA, Lagos (see README, "Sample admin layers").
+// Replace with the full ward export from QGIS.
+var json_wards_7 = {"type":"FeatureCollection","name":"wards_7","crs":{"type":"name","properties":{"name":"urn:ogc:def:crs:OGC:1.3:CRS84"}},"features":[{"type":"Feature","properties":{"fid":"1","wardname":"Alausa","wardcode":"LASIKA04","lganame":"Ikeja","statename":"Lagos"},"geometry":{"type":"Polygon","coordinates":[[[3.380025,6.631079],[3.381812,6.61265],[3.352037,6.608523],[3.343567,6.623625],[3.345348,6.626441],[3.380025,6.631079]]]}},{"type":"Feature","properties":{"fid":"2","wardname":"Anifowoshe","wardcode":"LASIKA05","lganame":"Ikeja","statename":"Lagos"},"geometry":{"type":"Polygon","coordinates":[[[3.346149,6.593549],[3.332375,6.579694],[3.329546,6.581609],[3.334443,6.601729],[3.347298,6.597219],[3.346149,6.593549]]]}},{"type":"Feature","properties":{"fid":"3","wardname":"G R A","wardcode":"LASIKA06","lganame":"Ikeja","statename":"Lagos"},"geometry":{"type":"Polygon","coordinates":[[[3.362636,6.568208],[3.355032,6.564356],[3.332375,6.579694],[3.346149,6.593549],[3.361861,6.576102],[3.362636,6.568208]]]}},{"type":"Feature","properties":{"fid":"4","wardname":"Ojodu","wardcode":"LASIKA08","lganame":"Ikeja","statename":"Lagos"},"geometry":{"type":"Polygon","coordinates":[[[3.373252,6.644522],[3.378745,6.644283],[3.380025,6.631079],[3.345348,6.626441],[3.348527,6.631465],[3.373252,6.644522]]]}},{"type":"Feature","properties":{"fid":"5","wardname":"Olusosun","wardcode":"LASIKA11","lganame":"Ikeja","statename":"Lagos"},"geometry":{"type":"Polygon","coordinates":[[[3.382685,6.603643],[3.385021,6.579549],[3.362636,6.568208],[3.361861,6.576102],[3.365031,6.593087],[3.382685,6.603643]]]}},{"type":"Feature","properties":{"fid":"6","wardname":"Onilekere","wardcode":"LASIKA13","lganame":"Ikeja","statename":"Lagos"},"geometry":{"type":"Polygon","coordinates":[[[3.329546,6.581609],[3.320751,6.587563],[3.331979,6.60531],[3.334443,6.601729],[3.329546,6.581609]]]}},{"type":"Feature","properties":{"fid":"7","wardname":"Opebi","wardcode":"LASIKA14","lganame":"Ikeja","statename":"Lagos"},"geometry":{"type":"Polygon","coordinates":[[[3.365031,6.593087],[3.361861,6.576102],[3.346149,6.593549],[3.347298,6.597219],[3.351583,6.601527],[3.365031,6.593087]]]}},{"type":"Feature","properties":{"fid":"8","wardname":"Oregun","wardcode":"LASIKA15","lganame":"Ikeja","statename":"Lagos"},"geometry":{"type":"Polygon","coordinates":[[[3.381812,6.61265],[3.382685,6.603643],[3.365031,6.593087],[3.351583,6.601527],[3.352037,6.608523],[3.381812,6.61265]]]}},{"type":"Feature","properties":{"fid":"9","wardname":"Seriki-Aro","wardcode":"LASIKA17","lganame":"Ikeja","statename":"Lagos"},"geometry":{"type":"Polygon","coordinates":[[[3.334443,6.601729],[3.331979,6.60531],[3.343567,6.623625],[3.352037,6.608523],[3.351583,6.601527],[3.347298,6.597219],[3.334443,6.601729]]]}}]};
@@ -0,0 +1,295 @@
+// locales/en.js
+// English messages: the reference catalogue. Every key used by the page is here; the other
+// languages fall back to these entries (see i18n.js).
+var json_locale_en = {
+  "name": "English",
+  "locale": "en-NG",
+  "messages": {
+    "app.language": "Language",
+    "list.and": "and",
+    "yes": "Yes",
+    "no": "No",
+
+    "level.state": "State",
+    "level.lga": "LGA",
+    "level.ward": "Ward",
+    "level.state.plural": "States",
+    "level.lga.plural": "LGAs",
+    "level.ward.plural": "Wards",
+    "level.noLayer": "{level} (no layer loaded)",
+
+    "compare.title": "Region comparison",
+    "compare.level": "Comparison level",
+    "compare.zone": "Geopolitical zone (optional)",
+    "compare.zoneNone": "-- pick regions individually --",
+    "compare.addRegion": "+ Add region",
+    "compare.compare": "Compare",
+    "compare.resetView": "Reset view",
+    "compare.ranking": "Ranking table",
+    "compare.riskModel": "Risk model",
+    "compare.nearest": "Nearest facilities",
+    "compare.coverage": "Coverage",
+    "compare.catchments": "Police catchments",
+    "compare.incidents": "Incidents",
+    "picker.region": "Region {letter}",
+    "picker.select": "-- select --",
+    "picker.remove": "Remove region",
+    "drill.into": "Drill into {name} › {level}",
+    "drill.none": "{name}: no lower level loaded",
+
+    "search.label": "Search a state, LGA, ward or facility",
+    "search.placeholder": "Start typing a place, facility or coordinates",
+    "search.button": "Search",
+    "search.suggestions": "Suggestions",
+    "search.noMatch": "No match for “{query}”",
+    "search.filters": "Filters",
+    "search.anyType": "All types",
+    "search.places": "States, LGAs and wards",
+    "search.anyState": "All states",
+    "search.anyLga": "All LGAs",
+    "search.stateRisk": "{state}: risk score {score} ({category})",
+    "search.noRisk": "{state}: no risk score",
+    "search.outside": "Outside every state polygon",
+    "search.stateReport": "State report",
+    "geocoder.coordinates": "Coordinates",
+    "geocoder.town": "Town",
+    "geocoder.outside": "outside the state polygons",
+
+    "popup.comparison": "Comparison",
+    "popup.report": "Report: {name}",
+    "popup.downloadPdf": "Download PDF",
+    "popup.close": "Close",
+
+    "alert.selectTwo": "Select at least two regions.",
+    "alert.missing": "Could not find geometries for {names}. Check naming.",
+    "alert.typeName": "Type a state, LGA or ward name.",
+    "alert.notFound": "No matching place or facility found.",
+    "alert.pdfFailed": "Could not generate the PDF report.",
+
+    "legend.title": "Risk Index",
+    "category.Very Low": "Very Low",
+    "category.Low": "Low",
+    "category.Medium": "Medium",
+    "category.High": "High",
+    "category.Very High": "Very High",
+    "category.Unknown": "Unknown",
+
+    "chart.police": "Police",
+    "chart.army": "Army",
+    "chart.checkpoints": "Checkpoints",
+    "chart.incidents": "Incidents",
+    "chart.risk": "Risk (avg)",
+    "chart.facilityCount": "Facility count",
+    "chart.count": "Facilities and incidents",
+    "chart.riskAxis": "Risk (avg {field})",
+
+    "component.crime": "Crime (recorded incidents)",
+    "component.police": "Distance from police",
+    "component.landuse": "Land use",
+    "component.road": "Road access",
+    "component.spi": "SPI (inverse)",
+    "component.threat": "Manual threat rating",
+
+    "facility.police": "Police stations",
+    "facility.army": "Army installations",
+    "facility.checkpoints": "Checkpoints",
+    "facility.police.one": "Police",
+    "facility.army.one": "Army",
+    "facility.checkpoints.one": "Checkpoint",
+
+    "col.region": "Region",
+    "col.type": "Type",
+    "col.name": "Name",
+    "col.station": "Station",
+    "col.lga": "LGA",
+    "col.ward": "Ward",
+    "col.state": "State",
+    "col.branch": "Branch",
+    "col.hub": "Hub",
+    "col.roadDistance": "Road distance (m)",
+    "col.checkpointRisk": "Checkpoint risk",
+    "col.latitude": "Latitude",
+    "col.longitude": "Longitude",
+    "col.riskAvg": "Risk (avg)",
+    "col.category": "Category",
+    "col.police": "Police",
+    "col.army": "Army",
+    "col.checkpoints": "Checkpoints",
+    "col.incidents": "Incidents",
+    "col.distance": "Distance (km)",
+    "col.inside": "Inside",
+    "col.indicator": "Indicator",
+    "col.value": "Value",
+    "col.figure": "Figure",
+
+    "inventory.type": "Facility type",
+    "inventory.empty": "No {type} inside the selected region.",
+    "inventory.emptyMany": "No {type} inside the selected regions.",
+    "inventory.none": "None counted inside the region.",
+    "inventory.noneMany": "None counted inside the regions.",
+
+    "pdf.title": "Security Infrastructure Report",
+    "pdf.contents": "Contents",
+    "pdf.page": "Page {page} of {pages}",
+    "pdf.date": "Date: {date}",
+    "pdf.riskScores": "Risk scores: {model}",
+    "model.baseline": "Baseline model (stored scores)",
+    "model.custom": "Custom scenario: {weights}",
+    "model.allZero": "all weights 0",
+    "model.overrideOff": "threat override off",
+    "pdf.comparisonSubtitle": "Comparison: {names}",
+    "pdf.vs": "vs",
+    "pdf.regionSubtitle": "{level} report: {name}",
+    "pdf.riskIndexProse": "This report uses a risk-index designed to summarize local security conditions into an easy-to-understand score. The index combines multiple pieces of information about a place. First, the number and proximity of security facilities such as police stations, army installations and checkpoints are examined, because closer and more numerous facilities generally reduce local risk. Second, land-use patterns and how people use different parts of the area are considered, because some land uses attract or repel security incidents. Third, recorded incident counts, where available, provide context about historical problems in the area. Each of these elements is converted into a standard scale so they can be compared and combined. The scaled values are then combined into a single number that reflects relative security: higher numbers indicate higher risk. The final number is accompanied by a simple label—{categories}—using the same categories and colours as the map legend, so the outcome is easy to read. This approach explains relative differences between places rather than predicting exact events. The score is intended to help planners and managers quickly identify areas that need more attention or resources.",
+    "pdf.mapCompared": "Map of the compared regions",
+    "pdf.mapOf": "Map of {name}",
+    "pdf.regional": "Regional Interpretation",
+    "pdf.comparative": "Comparative Interpretation",
+    "pdf.summary": "Summary counts (facility types)",
+    "pdf.riskCategories": "Risk categories ({field})",
+    "pdf.breakdown": "Risk score breakdown",
+    "pdf.breakdownIntro": "Each bar splits a state's risk score into the components of the risk model. {model}.",
+    "pdf.breakdownIn": "{region} (in {state})",
+    "pdf.breakdownPoints": "{parts} points.",
+    "pdf.breakdownOverride": "override {points}",
+    "pdf.breakdownRounding": "rounding {points}",
+    "pdf.profile": "{level} profile",
+    "pdf.profileLevel": "Level",
+    "pdf.profileState": "State",
+    "pdf.profileArea": "Area",
+    "pdf.profileRisk": "Risk score",
+    "pdf.profileCategory": "Risk category",
+    "pdf.profileIncidents": "Incidents ({from} – {to})",
+    "pdf.profileCasualties": "Casualties ({from} – {to})",
+    "pdf.incidentNote": "Incidents are counted from the incident log between {from} and {to}, for: {types}.",
+    "pdf.inherited": "{name} has no risk score of its own; it takes the score of its state.",
+    "pdf.crime": "Crime figures",
+    "pdf.crimeNoState": "No state could be found for {name}, so no crime figures are available.",
+    "pdf.crimeStateOf": "{state} (state of {name})",
+    "pdf.crimeNone": "No recorded incidents are available for {name}; {reported} of {states} states report them.",
+    "pdf.crimeIncidents": "Recorded incidents",
+    "pdf.crimeRank": "Rank among states (1 = most)",
+    "pdf.crimeRankValue": "{rank} of {count}",
+    "pdf.crimeShare": "Share of the national total",
+    "pdf.crimeDensity": "Incidents per 1,000 km²",
+    "pdf.crimeMean": "Mean across states",
+    "pdf.crimeNote": "Incident counts are the cleaned totals ({field}) the risk index is computed from.",
+    "pdf.nearest": "Nearest facilities",
+    "pdf.nearestNoGeometry": "The region has no usable geometry to measure from.",
+    "pdf.nearestIntro": "Distances are straight-line (great-circle) distances from a point inside {name} ({lat}, {lon}).",
+    "pdf.inventory": "Appendix: facility inventory",
+    "pdf.inventoryIntro": "Every facility counted in {names}, in the order of the table on screen.",
+
+    "col.area": "Area km²",
+    "ranking.title": "Region ranking",
+    "ranking.level": "Ranking level",
+    "ranking.within": "Within",
+    "ranking.risk": "Risk score",
+    "ranking.final": "Final risk",
+    "ranking.crime": "Crime (clean)",
+    "ranking.density": "Facilities / 1,000 km²",
+    "ranking.perCrime": "Facilities per crime",
+    "ranking.reach.police": "Police reach",
+    "ranking.reach.army": "Army reach",
+    "ranking.reach.checkpoints": "Checkpoint reach",
+    "ranking.gap": "Coverage gap",
+    "ranking.unnamed": "(unnamed)",
+    "ranking.inherited": "Inherited from the enclosing state",
+    "ranking.total": "All regions",
+
+    "breakdown.title": "{name}: {score} ({category})",
+    "breakdown.overrideBy": "Override ×{factor}",
+    "breakdown.override": "Override",
+    "breakdown.rounding": "Rounding",
+    "breakdown.score": "Score",
+    "breakdown.points": "Points",
+    "breakdown.pointsValue": "{points} points",
+    "breakdown.scoreValue": "Score {score}",
+    "breakdown.axis": "Score points",
+    "breakdown.col.component": "Component",
+    "breakdown.col.input": "Input",
+    "breakdown.col.value": "Value",
+    "breakdown.col.weight": "Weight",
+    "breakdown.col.points": "Points",
+
+    "nearest.title": "Nearest to {lat}, {lon}",
+    "nearest.titleIn": "Nearest to {lat}, {lon} ({state})",
+    "nearest.perType": "Per type",
+    "nearest.hint": "Click anywhere on the map to list the closest police stations, army installations and checkpoints.",
+    "nearest.bearing": "Bearing",
+    "nearest.compass": "N NNE NE ENE E ESE SE SSE S SSW SW WSW W WNW NW NNW",
+    "nearest.zoom": "Zoom to this facility",
+
+    "catchment.show": "Show catchments on the map",
+    "catchment.summary.one": "{count} catchment, median {median} km².",
+    "catchment.summary.other": "{count} catchments, median {median} km².",
+    "catchment.large.one": "{count} is unusually large (over {fence} km²):",
+    "catchment.large.other": "{count} are unusually large (over {fence} km²):",
+    "catchment.none": "No police stations or state boundaries loaded.",
+    "catchment.farthest": "Farthest point (km)",
+
+    "riskmodel.reset": "Reset to baseline",
+    "riskmodel.override": "Apply threat override multiplier",
+    "riskmodel.weight": "{component} weight",
+    "riskmodel.col.rank": "#",
+    "riskmodel.col.baseline": "Baseline",
+    "riskmodel.col.baselineRank": "Baseline rank",
+    "riskmodel.col.scenario": "Scenario",
+    "riskmodel.col.change": "Rank change",
+
+    "export.csv": "CSV",
+    "export.csvTitle": "Download the regions and facilities as CSV files",
+    "export.xlsx": "Excel",
+    "export.xlsxTitle": "Download the regions and facilities as an Excel workbook",
+    "export.geojson": "GeoJSON",
+    "export.geojsonTitle": "Download the region polygons with their counts as GeoJSON",
+    "alert.excelMissing": "The Excel library could not be loaded. Use the CSV export instead.",
+    "alert.exportFailed": "Could not export the data.",
+
+    "coverage.title": "Facility coverage",
+    "coverage.showRadii": "Show service radii",
+    "coverage.showGap": "Show coverage gap, out of reach of",
+    "coverage.gapType": "Coverage gap type",
+    "coverage.radius": "{type} (km)",
+    "coverage.any": "Any",
+    "coverage.gap": "Gap",
+    "coverage.outOfReach.any": "any facility",
+    "coverage.outOfReach.police": "police stations",
+    "coverage.outOfReach.army": "army installations",
+    "coverage.outOfReach.checkpoints": "checkpoints",
+
+    "density.layers": "Layers",
+    "density.heatmap": "Heatmap",
+    "density.hexbin": "Hexagon bins",
+    "density.hexbinOf": "{type} (hexagon bins)",
+    "density.hexTotal.one": "{count} facility in this hexagon",
+    "density.hexTotal.other": "{count} facilities in this hexagon",
+
+    "clusters.count.police.one": "{count} police station",
+    "clusters.count.police.other": "{count} police stations",
+    "clusters.count.army.one": "{count} army installation",
+    "clusters.count.army.other": "{count} army installations",
+    "clusters.count.checkpoints.one": "{count} checkpoint",
+    "clusters.count.checkpoints.other": "{count} checkpoints",
+    "clusters.more.one": "and {count} more",
+    "clusters.more.other": "and {count} more",
+
+    "incidents.from": "From",
+    "incidents.to": "To",
+    "incidents.unspecified": "Unspecified",
+    "incidents.summary": "{incidents}, {casualties} from {from} to {to}.",
+    "incidents.count.one": "{count} incident",
+    "incidents.count.other": "{count} incidents",
+    "incidents.casualties.one": "{count} casualty",
+    "incidents.casualties.other": "{count} casualties",
+    "incidents.skipped.one": "{count} record has no date or coordinates and is left out.",
+    "incidents.skipped.other": "{count} records have no date or coordinates and are left out.",
+
+    "hierarchy.note.one": "{count} of {checked} admin names in the police records does not match the boundaries.",
+    "hierarchy.note.other": "{count} of {checked} admin names in the police records do not match the boundaries.",
+    "hierarchy.outside": "{facility}: outside {name} ({level})",
+    "hierarchy.missing": "{facility}: no boundary named {name} ({level})",
+
+    "compare.unassigned": "Not counted in any region, outside every boundary at this level: {list}."
+  }
+};
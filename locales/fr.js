@@ -0,0 +1,372 @@
+// locales/fr.js
+// French messages and report narratives, for the regional partners.
+var json_locale_fr = {
+  "name": "Français",
+  "locale": "fr-FR",
+  "messages": {
+    "app.language": "Langue",
+    "list.and": "et",
+    "yes": "Oui",
+    "no": "Non",
+
+    "level.state": "État",
+    "level.lga": "LGA",
+    "level.ward": "Circonscription",
+    "level.state.plural": "États",
+    "level.lga.plural": "LGA",
+    "level.ward.plural": "Circonscriptions",
+    "level.noLayer": "{level} (aucune couche chargée)",
+
+    "compare.title": "Comparaison de régions",
+    "compare.level": "Niveau de comparaison",
+    "compare.zone": "Zone géopolitique (facultatif)",
+    "compare.zoneNone": "-- choisir les régions une à une --",
+    "compare.addRegion": "+ Ajouter une région",
+    "compare.compare": "Comparer",
+    "compare.resetView": "Réinitialiser la vue",
+    "compare.ranking": "Classement",
+    "compare.riskModel": "Modèle de risque",
+    "compare.nearest": "Installations les plus proches",
+    "compare.coverage": "Couverture",
+    "compare.catchments": "Secteurs des commissariats",
+    "compare.incidents": "Incidents",
+    "picker.region": "Région {letter}",
+    "picker.select": "-- choisir --",
+    "picker.remove": "Retirer la région",
+    "drill.into": "Détailler {name} › {level}",
+    "drill.none": "{name} : aucun niveau inférieur chargé",
+
+    "search.label": "Rechercher un État, une LGA, une circonscription ou une installation",
+    "search.placeholder": "Saisissez un lieu, une installation ou des coordonnées",
+    "search.button": "Rechercher",
+    "search.suggestions": "Suggestions",
+    "search.noMatch": "Aucun résultat pour « {query} »",
+    "search.filters": "Filtres",
+    "search.anyType": "Tous les types",
+    "search.places": "États, LGA et circonscriptions",
+    "search.anyState": "Tous les États",
+    "search.anyLga": "Toutes les LGA",
+    "search.stateRisk": "{state} : score de risque {score} ({category})",
+    "search.noRisk": "{state} : pas de score de risque",
+    "search.outside": "Hors de tout polygone d'État",
+    "search.stateReport": "Rapport de l'État",
+    "geocoder.coordinates": "Coordonnées",
+    "geocoder.town": "Localité",
+    "geocoder.outside": "hors des polygones d'État",
+
+    "popup.comparison": "Comparaison",
+    "popup.report": "Rapport : {name}",
+    "popup.downloadPdf": "Télécharger le PDF",
+    "popup.close": "Fermer",
+
+    "alert.selectTwo": "Choisissez au moins deux régions.",
+    "alert.missing": "Géométrie introuvable pour {names}. Vérifiez les noms.",
+    "alert.typeName": "Saisissez le nom d'un État, d'une LGA ou d'une circonscription.",
+    "alert.notFound": "Aucun lieu ni aucune installation correspondante.",
+    "alert.pdfFailed": "Le rapport PDF n'a pas pu être généré.",
+
+    "legend.title": "Indice de risque",
+    "category.Very Low": "Très faible",
+    "category.Low": "Faible",
+    "category.Medium": "Moyen",
+    "category.High": "Élevé",
+    "category.Very High": "Très élevé",
+    "category.Unknown": "Inconnu",
+
+    "chart.police": "Police",
+    "chart.army": "Armée",
+    "chart.checkpoints": "Postes de contrôle",
+    "chart.incidents": "Incidents",
+    "chart.risk": "Risque (moy.)",
+    "chart.facilityCount": "Nombre d'installations",
+    "chart.count": "Installations et incidents",
+    "chart.riskAxis": "Risque (moy. {field})",
+
+    "component.crime": "Criminalité (incidents enregistrés)",
+    "component.police": "Distance à la police",
+    "component.landuse": "Occupation du sol",
+    "component.road": "Accès routier",
+    "component.spi": "SPI (inverse)",
+    "component.threat": "Menace évaluée manuellement",
+
+    "facility.police": "Commissariats",
+    "facility.army": "Installations militaires",
+    "facility.checkpoints": "Postes de contrôle",
+    "facility.police.one": "Police",
+    "facility.army.one": "Armée",
+    "facility.checkpoints.one": "Poste de contrôle",
+
+    "col.region": "Région",
+    "col.type": "Type",
+    "col.name": "Nom",
+    "col.station": "Commissariat",
+    "col.lga": "LGA",
+    "col.ward": "Circonscription",
+    "col.state": "État",
+    "col.branch": "Arme",
+    "col.hub": "Nœud",
+    "col.roadDistance": "Distance à la route (m)",
+    "col.checkpointRisk": "Risque du poste",
+    "col.latitude": "Latitude",
+    "col.longitude": "Longitude",
+    "col.riskAvg": "Risque (moy.)",
+    "col.category": "Catégorie",
+    "col.police": "Police",
+    "col.army": "Armée",
+    "col.checkpoints": "Postes",
+    "col.incidents": "Incidents",
+    "col.distance": "Distance (km)",
+    "col.inside": "Dedans",
+    "col.indicator": "Indicateur",
+    "col.value": "Valeur",
+    "col.figure": "Donnée",
+
+    "inventory.type": "Type d'installation",
+    "inventory.empty": "Aucun élément de type « {type} » dans la région choisie.",
+    "inventory.emptyMany": "Aucun élément de type « {type} » dans les régions choisies.",
+    "inventory.none": "Aucun recensé dans la région.",
+    "inventory.noneMany": "Aucun recensé dans les régions.",
+
+    "model.baseline": "Modèle de référence (scores enregistrés)",
+    "model.custom": "Scénario personnalisé : {weights}",
+    "model.allZero": "tous les poids à 0",
+    "model.overrideOff": "correction de menace désactivée",
+
+    "pdf.title": "Rapport sur les infrastructures de sécurité",
+    "pdf.contents": "Sommaire",
+    "pdf.page": "Page {page} sur {pages}",
+    "pdf.date": "Date : {date}",
+    "pdf.riskScores": "Scores de risque : {model}",
+    "pdf.comparisonSubtitle": "Comparaison : {names}",
+    "pdf.vs": "contre",
+    "pdf.regionSubtitle": "Rapport {level} : {name}",
+    "pdf.riskIndexProse": "Ce rapport utilise un indice de risque qui résume les conditions de sécurité locales en un score facile à comprendre. L'indice combine plusieurs informations sur un lieu. D'abord, le nombre et la proximité des installations de sécurité, comme les commissariats, les installations militaires et les postes de contrôle, sont examinés, car des installations plus proches et plus nombreuses réduisent en général le risque local. Ensuite, l'occupation du sol et l'usage des différentes parties de la zone sont pris en compte, car certains usages attirent ou éloignent les incidents de sécurité. Enfin, le nombre d'incidents enregistrés, lorsqu'il est disponible, éclaire les problèmes passés de la zone. Chacun de ces éléments est ramené à une échelle commune afin de pouvoir les comparer et les combiner. Les valeurs ainsi mises à l'échelle sont réunies en un seul nombre qui reflète la sécurité relative : plus le nombre est élevé, plus le risque l'est. Ce nombre est accompagné d'une étiquette simple — {categories} — qui reprend les catégories et les couleurs de la légende de la carte, pour une lecture facile. Cette approche explique les différences relatives entre les lieux ; elle ne prédit pas d'événements précis. Le score doit aider les planificateurs et les gestionnaires à repérer rapidement les zones qui demandent plus d'attention ou de moyens.",
+    "pdf.mapCompared": "Carte des régions comparées",
+    "pdf.mapOf": "Carte de {name}",
+    "pdf.regional": "Interprétation régionale",
+    "pdf.comparative": "Interprétation comparative",
+    "pdf.summary": "Effectifs par type d'installation",
+    "pdf.riskCategories": "Catégories de risque ({field})",
+    "pdf.breakdown": "Décomposition du score de risque",
+    "pdf.breakdownIntro": "Chaque barre répartit le score de risque d'un État entre les composantes du modèle de risque. {model}.",
+    "pdf.breakdownIn": "{region} (dans l'État de {state})",
+    "pdf.breakdownPoints": "{parts} points.",
+    "pdf.breakdownOverride": "correction {points}",
+    "pdf.breakdownRounding": "arrondi {points}",
+    "pdf.profile": "Profil ({level})",
+    "pdf.profileLevel": "Niveau",
+    "pdf.profileState": "État",
+    "pdf.profileArea": "Superficie",
+    "pdf.profileRisk": "Score de risque",
+    "pdf.profileCategory": "Catégorie de risque",
+    "pdf.profileIncidents": "Incidents ({from} – {to})",
+    "pdf.profileCasualties": "Victimes ({from} – {to})",
+    "pdf.incidentNote": "Les incidents sont comptés dans le registre des incidents entre le {from} et le {to}, pour : {types}.",
+    "pdf.inherited": "{name} n'a pas de score de risque propre ; il reprend celui de son État.",
+    "pdf.crime": "Criminalité",
+    "pdf.crimeNoState": "Aucun État n'a été trouvé pour {name} ; les données de criminalité ne sont pas disponibles.",
+    "pdf.crimeStateOf": "{state} (État de {name})",
+    "pdf.crimeNone": "Aucun incident enregistré n'est disponible pour {name} ; {reported} États sur {states} en déclarent.",
+    "pdf.crimeIncidents": "Incidents enregistrés",
+    "pdf.crimeRank": "Rang parmi les États (1 = le plus)",
+    "pdf.crimeRankValue": "{rank} sur {count}",
+    "pdf.crimeShare": "Part du total national",
+    "pdf.crimeDensity": "Incidents pour 1 000 km²",
+    "pdf.crimeMean": "Moyenne des États",
+    "pdf.crimeNote": "Les incidents sont les totaux nettoyés ({field}) à partir desquels l'indice de risque est calculé.",
+    "pdf.nearest": "Installations les plus proches",
+    "pdf.nearestNoGeometry": "La région n'a pas de géométrie exploitable pour mesurer les distances.",
+    "pdf.nearestIntro": "Les distances sont à vol d'oiseau (orthodromiques), depuis un point situé dans {name} ({lat}, {lon}).",
+    "pdf.inventory": "Annexe : inventaire des installations",
+    "pdf.inventoryIntro": "Toutes les installations recensées dans {names}, dans l'ordre du tableau à l'écran.",
+
+    "col.area": "Superficie km²",
+    "ranking.title": "Classement des régions",
+    "ranking.level": "Niveau du classement",
+    "ranking.within": "Dans",
+    "ranking.risk": "Score de risque",
+    "ranking.final": "Risque final",
+    "ranking.crime": "Criminalité (nettoyée)",
+    "ranking.density": "Installations / 1 000 km²",
+    "ranking.perCrime": "Installations par crime",
+    "ranking.reach.police": "Portée police",
+    "ranking.reach.army": "Portée armée",
+    "ranking.reach.checkpoints": "Portée points de contrôle",
+    "ranking.gap": "Zone non couverte",
+    "ranking.unnamed": "(sans nom)",
+    "ranking.inherited": "Hérité de l'État englobant",
+    "ranking.total": "Toutes les régions",
+
+    "breakdown.title": "{name} : {score} ({category})",
+    "breakdown.overrideBy": "Correction ×{factor}",
+    "breakdown.override": "Correction",
+    "breakdown.rounding": "Arrondi",
+    "breakdown.score": "Score",
+    "breakdown.points": "Points",
+    "breakdown.pointsValue": "{points} points",
+    "breakdown.scoreValue": "Score {score}",
+    "breakdown.axis": "Points de score",
+    "breakdown.col.component": "Composante",
+    "breakdown.col.input": "Donnée",
+    "breakdown.col.value": "Valeur",
+    "breakdown.col.weight": "Poids",
+    "breakdown.col.points": "Points",
+
+    "nearest.title": "Au plus près de {lat}, {lon}",
+    "nearest.titleIn": "Au plus près de {lat}, {lon} ({state})",
+    "nearest.perType": "Par type",
+    "nearest.hint": "Cliquez n'importe où sur la carte pour lister les commissariats, installations militaires et points de contrôle les plus proches.",
+    "nearest.bearing": "Cap",
+    "nearest.compass": "N NNE NE ENE E ESE SE SSE S SSO SO OSO O ONO NO NNO",
+    "nearest.zoom": "Zoomer sur cette installation",
+
+    "catchment.show": "Afficher les secteurs sur la carte",
+    "catchment.summary.one": "{count} secteur, médiane {median} km².",
+    "catchment.summary.other": "{count} secteurs, médiane {median} km².",
+    "catchment.large.one": "{count} est anormalement grand (plus de {fence} km²) :",
+    "catchment.large.other": "{count} sont anormalement grands (plus de {fence} km²) :",
+    "catchment.none": "Aucun commissariat ni limite d'État chargé.",
+    "catchment.farthest": "Point le plus éloigné (km)",
+
+    "riskmodel.reset": "Revenir à la référence",
+    "riskmodel.override": "Appliquer le multiplicateur de correction de menace",
+    "riskmodel.weight": "Poids : {component}",
+    "riskmodel.col.rank": "#",
+    "riskmodel.col.baseline": "Référence",
+    "riskmodel.col.baselineRank": "Rang de référence",
+    "riskmodel.col.scenario": "Scénario",
+    "riskmodel.col.change": "Évolution du rang",
+
+    "export.csv": "CSV",
+    "export.csvTitle": "Télécharger les régions et les installations en fichiers CSV",
+    "export.xlsx": "Excel",
+    "export.xlsxTitle": "Télécharger les régions et les installations dans un classeur Excel",
+    "export.geojson": "GeoJSON",
+    "export.geojsonTitle": "Télécharger les polygones des régions avec leurs décomptes en GeoJSON",
+    "alert.excelMissing": "La bibliothèque Excel n'a pas pu être chargée. Utilisez plutôt l'export CSV.",
+    "alert.exportFailed": "Les données n'ont pas pu être exportées.",
+
+    "coverage.title": "Couverture des installations",
+    "coverage.showRadii": "Afficher les rayons de service",
+    "coverage.showGap": "Afficher la zone non couverte, hors de portée des",
+    "coverage.gapType": "Type de zone non couverte",
+    "coverage.radius": "{type} (km)",
+    "coverage.any": "Toutes",
+    "coverage.gap": "Non couvert",
+    "coverage.outOfReach.any": "installations (toutes)",
+    "coverage.outOfReach.police": "commissariats",
+    "coverage.outOfReach.army": "installations militaires",
+    "coverage.outOfReach.checkpoints": "points de contrôle",
+
+    "density.layers": "Couches",
+    "density.heatmap": "Carte de chaleur",
+    "density.hexbin": "Hexagones",
+    "density.hexbinOf": "{type} (hexagones)",
+    "density.hexTotal.one": "{count} installation dans cet hexagone",
+    "density.hexTotal.other": "{count} installations dans cet hexagone",
+
+    "clusters.count.police.one": "{count} commissariat",
+    "clusters.count.police.other": "{count} commissariats",
+    "clusters.count.army.one": "{count} installation militaire",
+    "clusters.count.army.other": "{count} installations militaires",
+    "clusters.count.checkpoints.one": "{count} point de contrôle",
+    "clusters.count.checkpoints.other": "{count} points de contrôle",
+    "clusters.more.one": "et {count} autre",
+    "clusters.more.other": "et {count} autres",
+
+    "incidents.from": "Du",
+    "incidents.to": "Au",
+    "incidents.unspecified": "Non précisé",
+    "incidents.summary": "{incidents}, {casualties} du {from} au {to}.",
+    "incidents.count.one": "{count} incident",
+    "incidents.count.other": "{count} incidents",
+    "incidents.casualties.one": "{count} victime",
+    "incidents.casualties.other": "{count} victimes",
+    "incidents.skipped.one": "{count} enregistrement sans date ni coordonnées est écarté.",
+    "incidents.skipped.other": "{count} enregistrements sans date ni coordonnées sont écartés.",
+
+    "hierarchy.note.one": "{count} nom administratif sur {checked} dans les fiches de police ne correspond pas aux limites.",
+    "hierarchy.note.other": "{count} noms administratifs sur {checked} dans les fiches de police ne correspondent pas aux limites.",
+    "hierarchy.outside": "{facility} : hors de {name} ({level})",
+    "hierarchy.missing": "{facility} : aucune limite nommée {name} ({level})",
+
+    "compare.unassigned": "Non comptés, hors de toutes les limites de ce niveau : {list}."
+  },
+  "narratives": {
+    "normalisation": {
+      "areaUnit": "1 000 km²",
+      "populationUnit": "100 000 habitants",
+      "areaBasis": "au regard de la superficie",
+      "populationBasis": "au regard de la population"
+    },
+    "region": {
+      "intro": "Interprétation régionale pour {name}.",
+      "category": "Cette zone se situe dans la catégorie de risque « {category} ».",
+      "noCategory": "Aucun score de risque n'est enregistré pour cette zone.",
+      "closing": "L'occupation du sol et les activités locales contribuent au profil de risque global et doivent être considérées avec la répartition des installations."
+    },
+    "facilities": {
+      "police": {
+        "bands": [
+          {"minRatio": 1.5, "text": "La couverture policière est relativement forte {basis} : {count} commissariats ({rate} pour {unit}, contre {national} pour l'ensemble des zones) assurent une capacité d'intervention."},
+          {"minRatio": 0.67, "text": "La présence policière est proche du niveau général, avec {count} commissariats ({rate} pour {unit})."},
+          {"minRatio": 0, "text": "Une présence policière existe, mais avec {rate} commissariats pour {unit} contre {national} pour l'ensemble des zones, elle reste faible {basis}."}
+        ],
+        "none": "Les commissariats sont pratiquement absents de la zone, ce qui peut limiter l'intervention immédiate."
+      },
+      "army": {
+        "bands": [
+          {"minRatio": 1.5, "text": "Les installations militaires y sont concentrées ({count}, {rate} pour {unit}) et exercent une influence stabilisatrice supplémentaire."},
+          {"minRatio": 0.67, "text": "La présence militaire est proche du niveau général, avec {count} installations."},
+          {"minRatio": 0, "text": "La présence militaire dans cette région est limitée {basis}, avec {count} installations."}
+        ],
+        "none": "Aucune installation militaire ne se trouve dans la zone."
+      },
+      "checkpoints": {
+        "bands": [
+          {"minRatio": 1.5, "text": "Les postes de contrôle sont fréquents le long des axes principaux ({count}, {rate} pour {unit}), ce qui améliore la surveillance des déplacements."},
+          {"minRatio": 0.67, "text": "La densité de postes de contrôle est proche du niveau général, avec {count} postes."},
+          {"minRatio": 0, "text": "Des postes de contrôle existent mais sont clairsemés sur le réseau interne ({rate} pour {unit} contre {national})."}
+        ],
+        "none": "La région compte peu ou pas de postes de contrôle."
+      }
+    },
+    "risk": {
+      "drivers": "Son score de {score} provient surtout de : {drivers}.",
+      "driver": "{label} à hauteur de {points} points",
+      "override": "Une correction de menace de ×{override} est appliquée au score.",
+      "inherited": "{name} reprend le score de risque de son État, {state}."
+    },
+    "coverage": {
+      "summary": "{police} de la zone se trouve à moins de {policeKm} km d'un commissariat, {army} à moins de {armyKm} km d'une installation militaire et {checkpoints} à moins de {checkpointsKm} km d'un poste de contrôle.",
+      "gap": "{gap} de la zone est hors de portée de tout type d'installation.",
+      "noGap": "Chaque partie de la zone est à portée d'au moins une installation.",
+      "contrast": "La zone non couverte est la plus étendue à {top} ({topGap} de la surface hors de portée) et la plus réduite à {bottom} ({bottomGap}).",
+      "same": "La zone non couverte est comparable dans toutes les régions."
+    },
+    "comparative": {
+      "intro": "Interprétation comparative de {names}.",
+      "sameCategory": "Toutes les régions se situent dans la catégorie « {category} ».",
+      "categoryGroup": "{names} {verb} dans la catégorie « {category} »",
+      "verbs": {"one": "se situe", "many": "se situent"},
+      "facilities": {
+        "police": {
+          "contrast": "La couverture policière est la plus dense à {top} ({topRate} commissariats pour {unit}) et la plus faible à {bottom} ({bottomRate}).",
+          "same": "La couverture policière est comparable dans toutes les régions."
+        },
+        "army": {
+          "contrast": "Les installations militaires sont les plus denses à {top} ({topRate} pour {unit}) et les plus rares à {bottom} ({bottomRate}).",
+          "same": "La présence militaire est comparable dans toutes les régions."
+        },
+        "checkpoints": {
+          "contrast": "Les postes de contrôle sont les plus fréquents {basis} à {top} ({topRate} pour {unit}), ce qui améliore la surveillance, et les moins fréquents à {bottom} ({bottomRate}).",
+          "same": "La présence de postes de contrôle est comparable dans toutes les zones."
+        }
+      },
+      "riskGap": "{high} ({highCategory}, {highScore}) dépasse {low} ({lowCategory}, {lowScore}) de {gap} points ; l'écart provient surtout de : {drivers}.",
+      "gapDriver": "{label} à hauteur de {points} points",
+      "gapRounding": "l'arrondi",
+      "closing": "Ensemble, la répartition des installations et l'occupation du sol expliquent la différence relative entre les régions."
+    }
+  }
+};
@@ -0,0 +1,372 @@
+// locales/ha.js
+// Hausa messages and report narratives.
+var json_locale_ha = {
+  "name": "Hausa",
+  "locale": "ha-NG",
+  "messages": {
+    "app.language": "Harshe",
+    "list.and": "da",
+    "yes": "Ee",
+    "no": "A'a",
+
+    "level.state": "Jiha",
+    "level.lga": "Ƙaramar hukuma",
+    "level.ward": "Mazaɓa",
+    "level.state.plural": "Jihohi",
+    "level.lga.plural": "Ƙananan hukumomi",
+    "level.ward.plural": "Mazaɓu",
+    "level.noLayer": "{level} (ba a loda layer ba)",
+
+    "compare.title": "Kwatanta yankuna",
+    "compare.level": "Matakin kwatantawa",
+    "compare.zone": "Shiyyar siyasa (na zaɓi)",
+    "compare.zoneNone": "-- zaɓi yankuna ɗaya bayan ɗaya --",
+    "compare.addRegion": "+ Ƙara yanki",
+    "compare.compare": "Kwatanta",
+    "compare.resetView": "Maido da taswira",
+    "compare.ranking": "Teburin jeri",
+    "compare.riskModel": "Tsarin haɗari",
+    "compare.nearest": "Cibiyoyi mafi kusa",
+    "compare.coverage": "Isar sabis",
+    "compare.catchments": "Yankunan ofisoshin 'yan sanda",
+    "compare.incidents": "Aukuwa",
+    "picker.region": "Yanki {letter}",
+    "picker.select": "-- zaɓi --",
+    "picker.remove": "Cire yanki",
+    "drill.into": "Shiga cikin {name} › {level}",
+    "drill.none": "{name}: babu ƙaramin mataki da aka loda",
+
+    "search.label": "Nemo jiha, ƙaramar hukuma, mazaɓa ko cibiya",
+    "search.placeholder": "Fara rubuta sunan wuri, cibiya ko wurin taswira",
+    "search.button": "Nema",
+    "search.suggestions": "Shawarwari",
+    "search.noMatch": "Babu abin da ya dace da “{query}”",
+    "search.filters": "Matattara",
+    "search.anyType": "Dukkan iri",
+    "search.places": "Jihohi, ƙananan hukumomi da mazaɓu",
+    "search.anyState": "Dukkan jihohi",
+    "search.anyLga": "Dukkan ƙananan hukumomi",
+    "search.stateRisk": "{state}: makin haɗari {score} ({category})",
+    "search.noRisk": "{state}: babu makin haɗari",
+    "search.outside": "A wajen kowace jiha",
+    "search.stateReport": "Rahoton jiha",
+    "geocoder.coordinates": "Wurin taswira",
+    "geocoder.town": "Gari",
+    "geocoder.outside": "a wajen jihohi",
+
+    "popup.comparison": "Kwatanci",
+    "popup.report": "Rahoto: {name}",
+    "popup.downloadPdf": "Sauke PDF",
+    "popup.close": "Rufe",
+
+    "alert.selectTwo": "Zaɓi aƙalla yankuna biyu.",
+    "alert.missing": "Ba a sami iyakokin {names} ba. Duba sunayen.",
+    "alert.typeName": "Rubuta sunan jiha, ƙaramar hukuma ko mazaɓa.",
+    "alert.notFound": "Ba a sami wuri ko cibiya mai wannan suna ba.",
+    "alert.pdfFailed": "Ba a iya samar da rahoton PDF ba.",
+
+    "legend.title": "Ma'aunin Haɗari",
+    "category.Very Low": "Ƙasa sosai",
+    "category.Low": "Ƙasa",
+    "category.Medium": "Matsakaici",
+    "category.High": "Babba",
+    "category.Very High": "Babba sosai",
+    "category.Unknown": "Ba a sani ba",
+
+    "chart.police": "'Yan sanda",
+    "chart.army": "Soja",
+    "chart.checkpoints": "Shingayen bincike",
+    "chart.incidents": "Aukuwa",
+    "chart.risk": "Haɗari (matsakaici)",
+    "chart.facilityCount": "Yawan cibiyoyi",
+    "chart.count": "Cibiyoyi da aukuwa",
+    "chart.riskAxis": "Haɗari (matsakaicin {field})",
+
+    "component.crime": "Laifuka (abubuwan da aka rubuta)",
+    "component.police": "Nisa daga 'yan sanda",
+    "component.landuse": "Amfanin ƙasa",
+    "component.road": "Samun hanya",
+    "component.spi": "SPI (juyayye)",
+    "component.threat": "Ƙimar barazana ta hannu",
+
+    "facility.police": "Ofisoshin 'yan sanda",
+    "facility.army": "Sansanonin soja",
+    "facility.checkpoints": "Shingayen bincike",
+    "facility.police.one": "'Yan sanda",
+    "facility.army.one": "Soja",
+    "facility.checkpoints.one": "Shingen bincike",
+
+    "col.region": "Yanki",
+    "col.type": "Iri",
+    "col.name": "Suna",
+    "col.station": "Ofishi",
+    "col.lga": "Ƙaramar hukuma",
+    "col.ward": "Mazaɓa",
+    "col.state": "Jiha",
+    "col.branch": "Reshe",
+    "col.hub": "Cibiya",
+    "col.roadDistance": "Nisa daga hanya (m)",
+    "col.checkpointRisk": "Haɗarin shinge",
+    "col.latitude": "Latitude",
+    "col.longitude": "Longitude",
+    "col.riskAvg": "Haɗari (matsakaici)",
+    "col.category": "Rukuni",
+    "col.police": "'Yan sanda",
+    "col.army": "Soja",
+    "col.checkpoints": "Shingaye",
+    "col.incidents": "Aukuwa",
+    "col.distance": "Nisa (km)",
+    "col.inside": "A ciki",
+    "col.indicator": "Ma'auni",
+    "col.value": "Ƙima",
+    "col.figure": "Bayani",
+
+    "inventory.type": "Irin cibiya",
+    "inventory.empty": "Babu {type} a cikin yankin da aka zaɓa.",
+    "inventory.emptyMany": "Babu {type} a cikin yankunan da aka zaɓa.",
+    "inventory.none": "Ba a ƙidaya ko ɗaya a cikin yankin ba.",
+    "inventory.noneMany": "Ba a ƙidaya ko ɗaya a cikin yankunan ba.",
+
+    "model.baseline": "Tsarin asali (makin da aka adana)",
+    "model.custom": "Yanayin da aka tsara: {weights}",
+    "model.allZero": "dukkan nauyi 0",
+    "model.overrideOff": "an kashe gyaran barazana",
+
+    "pdf.title": "Rahoton Kayayyakin Tsaro",
+    "pdf.contents": "Abubuwan ciki",
+    "pdf.page": "Shafi {page} cikin {pages}",
+    "pdf.date": "Kwanan wata: {date}",
+    "pdf.riskScores": "Makin haɗari: {model}",
+    "pdf.comparisonSubtitle": "Kwatanci: {names}",
+    "pdf.vs": "da",
+    "pdf.regionSubtitle": "Rahoton {level}: {name}",
+    "pdf.riskIndexProse": "Wannan rahoto yana amfani da ma'aunin haɗari wanda ke taƙaita yanayin tsaro na wuri zuwa maki mai sauƙin fahimta. Ma'aunin yana haɗa bayanai da dama game da wuri. Na farko, ana duba yawa da kusancin cibiyoyin tsaro kamar ofisoshin 'yan sanda, sansanonin soja da shingayen bincike, domin cibiyoyi mafi kusa da yawa galibi suna rage haɗari a wurin. Na biyu, ana la'akari da yadda ake amfani da ƙasa da sassan yankin, domin wasu amfanin ƙasa suna jawo ko hana aukuwar matsalolin tsaro. Na uku, yawan abubuwan da aka rubuta, inda akwai su, yana ba da labarin matsalolin da suka faru a baya a yankin. Ana mayar da kowane ɗayan waɗannan zuwa ma'auni ɗaya domin a iya kwatanta su kuma a haɗa su. Sannan ana haɗa su zuwa lamba ɗaya da ke nuna tsaro idan aka kwatanta: lamba mafi girma tana nufin haɗari mafi girma. Ana ba wannan lamba suna mai sauƙi — {categories} — da rukunai da launuka iri ɗaya da na bayanin taswira, don sakamakon ya zama mai sauƙin karantawa. Wannan hanya tana bayyana bambance-bambance tsakanin wurare ne, ba ta hasashen takamaiman abubuwan da za su faru. An yi makin ne domin ya taimaka wa masu tsare-tsare da masu gudanarwa su gano yankunan da ke buƙatar ƙarin kulawa ko kayan aiki cikin sauri.",
+    "pdf.mapCompared": "Taswirar yankunan da aka kwatanta",
+    "pdf.mapOf": "Taswirar {name}",
+    "pdf.regional": "Fassarar Yanki",
+    "pdf.comparative": "Fassarar Kwatanci",
+    "pdf.summary": "Jimillar ƙidaya (irin cibiyoyi)",
+    "pdf.riskCategories": "Rukunan haɗari ({field})",
+    "pdf.breakdown": "Rarraba makin haɗari",
+    "pdf.breakdownIntro": "Kowane sanda yana raba makin haɗarin jiha zuwa sassan tsarin haɗari. {model}.",
+    "pdf.breakdownIn": "{region} (a cikin {state})",
+    "pdf.breakdownPoints": "Maki: {parts}.",
+    "pdf.breakdownOverride": "gyara {points}",
+    "pdf.breakdownRounding": "tattarawa {points}",
+    "pdf.profile": "Bayanin {level}",
+    "pdf.profileLevel": "Mataki",
+    "pdf.profileState": "Jiha",
+    "pdf.profileArea": "Faɗin ƙasa",
+    "pdf.profileRisk": "Makin haɗari",
+    "pdf.profileCategory": "Rukunin haɗari",
+    "pdf.profileIncidents": "Aukuwa ({from} – {to})",
+    "pdf.profileCasualties": "Waɗanda abin ya shafa ({from} – {to})",
+    "pdf.incidentNote": "An ƙidaya aukuwa daga rajistar aukuwa tsakanin {from} da {to}, don: {types}.",
+    "pdf.inherited": "{name} ba shi da makin haɗari na kansa; yana ɗaukar makin jiharsa.",
+    "pdf.crime": "Alƙaluman laifuka",
+    "pdf.crimeNoState": "Ba a sami jihar {name} ba, don haka babu alƙaluman laifuka.",
+    "pdf.crimeStateOf": "{state} (jihar {name})",
+    "pdf.crimeNone": "Babu abubuwan da aka rubuta na {name}; jihohi {reported} cikin {states} ne ke bayar da su.",
+    "pdf.crimeIncidents": "Abubuwan da aka rubuta",
+    "pdf.crimeRank": "Matsayi tsakanin jihohi (1 = mafi yawa)",
+    "pdf.crimeRankValue": "{rank} cikin {count}",
+    "pdf.crimeShare": "Kaso daga jimillar ƙasa",
+    "pdf.crimeDensity": "Abubuwa a kowane 1,000 km²",
+    "pdf.crimeMean": "Matsakaicin jihohi",
+    "pdf.crimeNote": "Yawan abubuwan su ne jimillar da aka tace ({field}) wadda ake lissafa ma'aunin haɗari da ita.",
+    "pdf.nearest": "Cibiyoyi mafi kusa",
+    "pdf.nearestNoGeometry": "Yankin ba shi da iyakokin da za a iya auna nisa daga gare su.",
+    "pdf.nearestIntro": "Nisan a miƙe ne (a saman duniya), daga wani wuri a cikin {name} ({lat}, {lon}).",
+    "pdf.inventory": "Ƙari: jerin cibiyoyi",
+    "pdf.inventoryIntro": "Dukkan cibiyoyin da aka ƙidaya a cikin {names}, bisa tsarin teburin da ke kan allo.",
+
+    "col.area": "Faɗi km²",
+    "ranking.title": "Jerin yankuna",
+    "ranking.level": "Matakin jeri",
+    "ranking.within": "A cikin",
+    "ranking.risk": "Makin haɗari",
+    "ranking.final": "Haɗari na ƙarshe",
+    "ranking.crime": "Laifuka (tsaftace)",
+    "ranking.density": "Cibiyoyi / 1,000 km²",
+    "ranking.perCrime": "Cibiyoyi a kowane laifi",
+    "ranking.reach.police": "Isar 'yan sanda",
+    "ranking.reach.army": "Isar soja",
+    "ranking.reach.checkpoints": "Isar shingayen bincike",
+    "ranking.gap": "Gibin isa",
+    "ranking.unnamed": "(babu suna)",
+    "ranking.inherited": "An gada daga jihar da ke kewaye",
+    "ranking.total": "Dukkan yankuna",
+
+    "breakdown.title": "{name}: {score} ({category})",
+    "breakdown.overrideBy": "Gyara ×{factor}",
+    "breakdown.override": "Gyara",
+    "breakdown.rounding": "Tattarawa",
+    "breakdown.score": "Maki",
+    "breakdown.points": "Maki",
+    "breakdown.pointsValue": "maki {points}",
+    "breakdown.scoreValue": "Maki {score}",
+    "breakdown.axis": "Makin haɗari",
+    "breakdown.col.component": "Sashi",
+    "breakdown.col.input": "Bayani",
+    "breakdown.col.value": "Ƙima",
+    "breakdown.col.weight": "Nauyi",
+    "breakdown.col.points": "Maki",
+
+    "nearest.title": "Mafi kusa da {lat}, {lon}",
+    "nearest.titleIn": "Mafi kusa da {lat}, {lon} ({state})",
+    "nearest.perType": "Kowane iri",
+    "nearest.hint": "Danna ko'ina a kan taswira don ganin ofisoshin 'yan sanda, cibiyoyin soja da shingayen bincike mafi kusa.",
+    "nearest.bearing": "Alkibla",
+    "nearest.compass": "A AAG AG GAG G GKD KD KKD K KKY KY YKY Y YAY AY AAY",
+    "nearest.zoom": "Zuƙo zuwa wannan cibiya",
+
+    "catchment.show": "Nuna yankunan a kan taswira",
+    "catchment.summary.one": "Yanki {count}, matsakaici {median} km².",
+    "catchment.summary.other": "Yankuna {count}, matsakaici {median} km².",
+    "catchment.large.one": "{count} ya fi girma fiye da kima (sama da {fence} km²):",
+    "catchment.large.other": "{count} sun fi girma fiye da kima (sama da {fence} km²):",
+    "catchment.none": "Ba a loda ofisoshin 'yan sanda ko iyakokin jihohi ba.",
+    "catchment.farthest": "Wuri mafi nisa (km)",
+
+    "riskmodel.reset": "Koma zuwa asali",
+    "riskmodel.override": "Yi amfani da mai ninka gyaran barazana",
+    "riskmodel.weight": "Nauyin {component}",
+    "riskmodel.col.rank": "#",
+    "riskmodel.col.baseline": "Asali",
+    "riskmodel.col.baselineRank": "Matsayin asali",
+    "riskmodel.col.scenario": "Hasashe",
+    "riskmodel.col.change": "Canjin matsayi",
+
+    "export.csv": "CSV",
+    "export.csvTitle": "Sauke yankuna da cibiyoyi a matsayin fayilolin CSV",
+    "export.xlsx": "Excel",
+    "export.xlsxTitle": "Sauke yankuna da cibiyoyi a matsayin littafin Excel",
+    "export.geojson": "GeoJSON",
+    "export.geojsonTitle": "Sauke siffofin yankuna tare da ƙididdigarsu a matsayin GeoJSON",
+    "alert.excelMissing": "Ba a iya loda ɗakin karatun Excel ba. Yi amfani da fitarwar CSV a maimakon haka.",
+    "alert.exportFailed": "Ba a iya fitar da bayanan ba.",
+
+    "coverage.title": "Isar sabis na cibiyoyi",
+    "coverage.showRadii": "Nuna iyakokin isar sabis",
+    "coverage.showGap": "Nuna gibin isa, wuraren da ba sa kusa da",
+    "coverage.gapType": "Irin gibin isa",
+    "coverage.radius": "{type} (km)",
+    "coverage.any": "Kowace",
+    "coverage.gap": "Gibi",
+    "coverage.outOfReach.any": "kowace cibiya",
+    "coverage.outOfReach.police": "ofisoshin 'yan sanda",
+    "coverage.outOfReach.army": "cibiyoyin soja",
+    "coverage.outOfReach.checkpoints": "shingayen bincike",
+
+    "density.layers": "Layoyi",
+    "density.heatmap": "Taswirar zafi",
+    "density.hexbin": "Akwatunan hexagon",
+    "density.hexbinOf": "{type} (akwatunan hexagon)",
+    "density.hexTotal.one": "Cibiya {count} a cikin wannan hexagon",
+    "density.hexTotal.other": "Cibiyoyi {count} a cikin wannan hexagon",
+
+    "clusters.count.police.one": "Ofishin 'yan sanda {count}",
+    "clusters.count.police.other": "Ofisoshin 'yan sanda {count}",
+    "clusters.count.army.one": "Cibiyar soja {count}",
+    "clusters.count.army.other": "Cibiyoyin soja {count}",
+    "clusters.count.checkpoints.one": "Shingen bincike {count}",
+    "clusters.count.checkpoints.other": "Shingayen bincike {count}",
+    "clusters.more.one": "da ƙarin {count}",
+    "clusters.more.other": "da ƙarin {count}",
+
+    "incidents.from": "Daga",
+    "incidents.to": "Zuwa",
+    "incidents.unspecified": "Ba a bayyana ba",
+    "incidents.summary": "{incidents}, {casualties} daga {from} zuwa {to}.",
+    "incidents.count.one": "Abu {count}",
+    "incidents.count.other": "Abubuwa {count}",
+    "incidents.casualties.one": "wanda abin ya shafa {count}",
+    "incidents.casualties.other": "waɗanda abin ya shafa {count}",
+    "incidents.skipped.one": "Rikodi {count} ba shi da kwanan wata ko wuri, an bar shi.",
+    "incidents.skipped.other": "Rikodi {count} ba su da kwanan wata ko wuri, an bar su.",
+
+    "hierarchy.note.one": "Suna {count} cikin {checked} a bayanan 'yan sanda bai dace da iyakoki ba.",
+    "hierarchy.note.other": "Sunaye {count} cikin {checked} a bayanan 'yan sanda ba su dace da iyakoki ba.",
+    "hierarchy.outside": "{facility}: a wajen {name} ({level})",
+    "hierarchy.missing": "{facility}: babu iyaka mai suna {name} ({level})",
+
+    "compare.unassigned": "Ba a ƙidaya su a kowane yanki ba, suna wajen dukkan iyakokin wannan mataki: {list}."
+  },
+  "narratives": {
+    "normalisation": {
+      "areaUnit": "1,000 km²",
+      "populationUnit": "mutane 100,000",
+      "areaBasis": "idan aka duba girman yankin",
+      "populationBasis": "idan aka duba yawan jama'arsa"
+    },
+    "region": {
+      "intro": "Fassarar yanki ta {name}.",
+      "category": "Wannan yanki yana cikin rukunin haɗari na {category}.",
+      "noCategory": "Babu makin haɗari da aka rubuta na wannan yanki.",
+      "closing": "Yadda ake amfani da ƙasa da ayyukan jama'a a yankin suna ba da gudummawa ga yanayin haɗarinsa, kuma ya kamata a duba su tare da rabon cibiyoyi."
+    },
+    "facilities": {
+      "police": {
+        "bands": [
+          {"minRatio": 1.5, "text": "'Yan sanda suna da ƙarfi sosai {basis}: ofisoshi {count} ({rate} a kowane {unit}, idan aka kwatanta da {national} a dukkan yankuna) suna ba da damar kai ɗauki."},
+          {"minRatio": 0.67, "text": "Kasancewar 'yan sanda ta yi kusa da matsakaicin gaba ɗaya, da ofisoshi {count} ({rate} a kowane {unit})."},
+          {"minRatio": 0, "text": "Akwai 'yan sanda, amma da ofisoshi {rate} a kowane {unit} idan aka kwatanta da {national} a dukkan yankuna, kasancewarsu ba ta da yawa {basis}."}
+        ],
+        "none": "Kusan babu ofisoshin 'yan sanda a cikin yankin, abin da zai iya takaita kai ɗauki cikin gaggawa."
+      },
+      "army": {
+        "bands": [
+          {"minRatio": 1.5, "text": "Sansanonin soja sun taru a nan ({count}, {rate} a kowane {unit}) kuma suna ƙara kwanciyar hankali."},
+          {"minRatio": 0.67, "text": "Kasancewar soja ta yi kusa da matsakaicin gaba ɗaya, da sansanoni {count}."},
+          {"minRatio": 0, "text": "Kasancewar soja a wannan yanki ba ta da yawa {basis}, da sansanoni {count}."}
+        ],
+        "none": "Babu sansanin soja a cikin yankin."
+      },
+      "checkpoints": {
+        "bands": [
+          {"minRatio": 1.5, "text": "Shingayen bincike suna da yawa a kan manyan hanyoyi ({count}, {rate} a kowane {unit}), abin da ke inganta sa ido kan zirga-zirga."},
+          {"minRatio": 0.67, "text": "Yawan shingayen bincike ya yi kusa da matsakaicin gaba ɗaya, da shingaye {count}."},
+          {"minRatio": 0, "text": "Akwai shingayen bincike amma ba su da yawa a kan hanyoyin cikin yankin ({rate} a kowane {unit} idan aka kwatanta da {national})."}
+        ],
+        "none": "Shingayen bincike kaɗan ne ko babu su a cikin yankin."
+      }
+    },
+    "risk": {
+      "drivers": "Makinsa na {score} ya fi samuwa ne daga {drivers}.",
+      "driver": "{label} da maki {points}",
+      "override": "An ƙara gyaran barazana na ×{override} a kan makin.",
+      "inherited": "{name} yana ɗaukar makin haɗarin jiharsa, {state}."
+    },
+    "coverage": {
+      "summary": "{police} na yankin yana cikin kilomita {policeKm} daga ofishin 'yan sanda, {army} cikin kilomita {armyKm} daga sansanin soja, {checkpoints} kuma cikin kilomita {checkpointsKm} daga shingen bincike.",
+      "gap": "{gap} na yankin ba ya cikin isar kowace irin cibiya.",
+      "noGap": "Kowane sashe na yankin yana cikin isar aƙalla cibiya ɗaya.",
+      "contrast": "Giɓin isar sabis ya fi faɗi a {top} ({topGap} na yankin ba a isa ba) kuma ya fi ƙanƙanta a {bottom} ({bottomGap}).",
+      "same": "Giɓin isar sabis iri ɗaya ne a duk yankunan."
+    },
+    "comparative": {
+      "intro": "Fassarar kwatanci ta {names}.",
+      "sameCategory": "Dukkan yankunan suna cikin rukunin {category}.",
+      "categoryGroup": "{names} {verb} cikin rukunin {category}",
+      "verbs": {"one": "yana", "many": "suna"},
+      "facilities": {
+        "police": {
+          "contrast": "'Yan sanda sun fi yawa a {top} (ofisoshi {topRate} a kowane {unit}) kuma sun fi ƙaranci a {bottom} ({bottomRate}).",
+          "same": "Yawan 'yan sanda iri ɗaya ne a dukkan yankunan."
+        },
+        "army": {
+          "contrast": "Sansanonin soja sun fi yawa a {top} ({topRate} a kowane {unit}) kuma sun fi ƙaranci a {bottom} ({bottomRate}).",
+          "same": "Kasancewar soja iri ɗaya ce a dukkan yankunan."
+        },
+        "checkpoints": {
+          "contrast": "Shingayen bincike sun fi yawa {basis} a {top} ({topRate} a kowane {unit}), abin da ke inganta sa ido, kuma sun fi ƙaranci a {bottom} ({bottomRate}).",
+          "same": "Yawan shingayen bincike iri ɗaya ne a dukkan yankunan."
+        }
+      },
+      "riskGap": "{high} ({highCategory}, {highScore}) ya fi {low} ({lowCategory}, {lowScore}) da maki {gap}; bambancin ya fi samuwa ne daga {drivers}.",
+      "gapDriver": "{label} da maki {points}",
+      "gapRounding": "tattara lambobi",
+      "closing": "Gaba ɗaya, rabon cibiyoyi da yadda ake amfani da ƙasa suna bayyana bambancin da ke tsakanin yankunan."
+    }
+  }
+};
@@ -0,0 +1,361 @@
+// locales/ig.js
+// Igbo messages and report narratives.
+var json_locale_ig = {
+  "name": "Igbo",
+  "locale": "ig-NG",
+  "messages": {
+    "app.language": "Asụsụ",
+    "list.and": "na",
+    "yes": "Ee",
+    "no": "Mba",
+
+    "level.state": "Steeti",
+    "level.lga": "Ọchịchị ime obodo",
+    "level.ward": "Wọọdụ",
+    "level.state.plural": "Steeti",
+    "level.lga.plural": "Ọchịchị ime obodo",
+    "level.ward.plural": "Wọọdụ",
+    "level.noLayer": "{level} (ebughị layer ọ bụla)",
+
+    "compare.title": "Ntụnyere mpaghara",
+    "compare.level": "Ọkwa ntụnyere",
+    "compare.zone": "Mpaghara ndọrọ ndọrọ ọchịchị (nhọrọ)",
+    "compare.zoneNone": "-- họrọ mpaghara n'otu n'otu --",
+    "compare.addRegion": "+ Tinye mpaghara",
+    "compare.compare": "Tụnyere",
+    "compare.resetView": "Weghachi maapụ",
+    "compare.ranking": "Tebụl ọkwa",
+    "compare.riskModel": "Usoro ihe egwu",
+    "compare.nearest": "Ụlọ ọrụ kacha nso",
+    "compare.coverage": "Mkpuchi ọrụ",
+    "compare.catchments": "Mpaghara ọdụ ndị uwe ojii",
+    "compare.incidents": "Ihe omume",
+    "picker.region": "Mpaghara {letter}",
+    "picker.select": "-- họrọ --",
+    "picker.remove": "Wepụ mpaghara",
+    "drill.into": "Banye n'ime {name} › {level}",
+    "drill.none": "{name}: enweghị ọkwa dị ala ebugoro",
+
+    "search.label": "Chọọ steeti, ọchịchị ime obodo, wọọdụ ma ọ bụ ụlọ ọrụ",
+    "search.placeholder": "Malite ide aha ebe, ụlọ ọrụ ma ọ bụ nhazi ọnọdụ",
+    "search.button": "Chọọ",
+    "search.suggestions": "Ntụnye",
+    "search.noMatch": "Ọ dịghị ihe dabara “{query}”",
+    "search.filters": "Nzacha",
+    "search.anyType": "Ụdị niile",
+    "search.places": "Steeti, ọchịchị ime obodo na wọọdụ",
+    "search.anyState": "Steeti niile",
+    "search.anyLga": "Ọchịchị ime obodo niile",
+    "search.stateRisk": "{state}: akara ihe ize ndụ {score} ({category})",
+    "search.noRisk": "{state}: enweghị akara ihe ize ndụ",
+    "search.outside": "N'èzí steeti ọ bụla",
+    "search.stateReport": "Akụkọ steeti",
+    "geocoder.coordinates": "Nhazi ọnọdụ",
+    "geocoder.town": "Obodo",
+    "geocoder.outside": "n'èzí steeti niile",
+
+    "popup.comparison": "Ntụnyere",
+    "popup.report": "Akụkọ: {name}",
+    "popup.downloadPdf": "Budata PDF",
+    "popup.close": "Mechie",
+
+    "alert.selectTwo": "Họrọ opekata mpe mpaghara abụọ.",
+    "alert.missing": "Achọtaghị oke ala maka {names}. Lelee aha ndị ahụ.",
+    "alert.typeName": "Dee aha steeti, ọchịchị ime obodo ma ọ bụ wọọdụ.",
+    "alert.notFound": "Achọtaghị ebe ma ọ bụ ụlọ ọrụ dabara.",
+    "alert.pdfFailed": "Enweghị ike ịmepụta akụkọ PDF ahụ.",
+
+    "legend.title": "Ntụaka Ihe Egwu",
+    "category.Very Low": "Dị ala nke ukwuu",
+    "category.Low": "Dị ala",
+    "category.Medium": "Etiti",
+    "category.High": "Dị elu",
+    "category.Very High": "Dị elu nke ukwuu",
+    "category.Unknown": "Amaghị",
+
+    "chart.police": "Ndị uwe ojii",
+    "chart.army": "Ndị agha",
+    "chart.checkpoints": "Ebe nlele",
+    "chart.incidents": "Ihe omume",
+    "chart.risk": "Ihe egwu (nkezi)",
+    "chart.facilityCount": "Ọnụ ọgụgụ ụlọ ọrụ",
+    "chart.count": "Ụlọ ọrụ na ihe omume",
+    "chart.riskAxis": "Ihe egwu (nkezi {field})",
+
+    "component.crime": "Mpụ (ihe ndekọ)",
+    "component.police": "Anya site na ndị uwe ojii",
+    "component.landuse": "Ojiji ala",
+    "component.road": "Ụzọ ịbanye",
+    "component.spi": "SPI (ntụgharị)",
+    "component.threat": "Ọkwa egwu e ji aka tụọ",
+
+    "facility.police": "Ọdụ ndị uwe ojii",
+    "facility.army": "Ogige ndị agha",
+    "facility.checkpoints": "Ebe nlele",
+    "facility.police.one": "Ndị uwe ojii",
+    "facility.army.one": "Ndị agha",
+    "facility.checkpoints.one": "Ebe nlele",
+
+    "col.region": "Mpaghara",
+    "col.type": "Ụdị",
+    "col.name": "Aha",
+    "col.station": "Ọdụ",
+    "col.lga": "Ọchịchị ime obodo",
+    "col.ward": "Wọọdụ",
+    "col.state": "Steeti",
+    "col.branch": "Ngalaba",
+    "col.hub": "Ebe etiti",
+    "col.roadDistance": "Anya site n'ụzọ (m)",
+    "col.checkpointRisk": "Ihe egwu ebe nlele",
+    "col.latitude": "Latitude",
+    "col.longitude": "Longitude",
+    "col.riskAvg": "Ihe egwu (nkezi)",
+    "col.category": "Ọkwa",
+    "col.police": "Ndị uwe ojii",
+    "col.army": "Ndị agha",
+    "col.checkpoints": "Ebe nlele",
+    "col.incidents": "Ihe omume",
+    "col.distance": "Anya (km)",
+    "col.inside": "N'ime",
+    "col.indicator": "Ihe ngosi",
+    "col.value": "Uru",
+    "col.figure": "Ọnụ ọgụgụ",
+
+    "inventory.type": "Ụdị ụlọ ọrụ",
+    "inventory.empty": "Enweghị {type} n'ime mpaghara a họọrọ.",
+    "inventory.emptyMany": "Enweghị {type} n'ime mpaghara ndị a họọrọ.",
+    "inventory.none": "Agụghị nke ọ bụla n'ime mpaghara ahụ.",
+    "inventory.noneMany": "Agụghị nke ọ bụla n'ime mpaghara ndị ahụ.",
+
+    "model.baseline": "Usoro mbụ (akara echekwara)",
+    "model.custom": "Ọnọdụ ahaziri: {weights}",
+    "model.allZero": "ibu niile bụ 0",
+    "model.overrideOff": "agbanyụrụ mgbanwe egwu",
+
+    "pdf.title": "Akụkọ Ngwa Nchekwa",
+    "pdf.contents": "Ihe dị n'ime",
+    "pdf.page": "Peeji {page} n'ime {pages}",
+    "pdf.date": "Ụbọchị: {date}",
+    "pdf.riskScores": "Akara ihe egwu: {model}",
+    "pdf.comparisonSubtitle": "Ntụnyere: {names}",
+    "pdf.vs": "na",
+    "pdf.regionSubtitle": "Akụkọ {level}: {name}",
+    "pdf.riskIndexProse": "Akụkọ a na-eji ntụaka ihe egwu nke na-achịkọta ọnọdụ nchekwa nke ebe n'otu akara dị mfe nghọta. Ntụaka ahụ na-ejikọ ọtụtụ ozi gbasara ebe. Nke mbụ, a na-enyocha ọnụ ọgụgụ na nso nke ụlọ ọrụ nchekwa dịka ọdụ ndị uwe ojii, ogige ndị agha na ebe nlele, n'ihi na ụlọ ọrụ ndị dị nso ma dị ọtụtụ na-ebelatakarị ihe egwu. Nke abụọ, a na-atụle otú e si eji ala na akụkụ dị iche iche nke mpaghara ahụ, n'ihi na ụfọdụ ojiji ala na-adọta ma ọ bụ na-achụpụ ihe ọghọm nchekwa. Nke atọ, ọnụ ọgụgụ ihe ndekọ, ebe ọ dị, na-egosi nsogbu ndị mere na mbụ na mpaghara ahụ. A na-atụgharị nke ọ bụla n'ime ihe ndị a gaa n'otu ọ̀tụ̀tụ̀ ka e wee nwee ike ịtụnyere ha ma jikọta ha. Mgbe ahụ, a na-ejikọta ha n'otu ọnụ ọgụgụ na-egosi nchekwa n'ụzọ ntụnyere: ọnụ ọgụgụ dị elu pụtara ihe egwu dị elu. Otu aha dị mfe — {categories} — na-eso ọnụ ọgụgụ ahụ, na-eji otu ọkwa na agba dịka nkọwa maapụ, ka nsonaazụ ya dị mfe ịgụ. Ụzọ a na-akọwa ọdịiche dị n'etiti ebe dị iche iche, ọ naghị ebu amụma ihe ga-eme kpọmkwem. E mere akara a iji nyere ndị na-eme atụmatụ na ndị njikwa aka ịchọpụta ngwa ngwa mpaghara ndị chọrọ nlebara anya ma ọ bụ akụrụngwa karịa.",
+    "pdf.mapCompared": "Maapụ mpaghara ndị a tụnyere",
+    "pdf.mapOf": "Maapụ {name}",
+    "pdf.regional": "Nkọwa Mpaghara",
+    "pdf.comparative": "Nkọwa Ntụnyere",
+    "pdf.summary": "Nchịkọta ọnụ ọgụgụ (ụdị ụlọ ọrụ)",
+    "pdf.riskCategories": "Ọkwa ihe egwu ({field})",
+    "pdf.breakdown": "Nkewa akara ihe egwu",
+    "pdf.breakdownIntro": "Ogwe ọ bụla na-ekewa akara ihe egwu nke steeti n'akụkụ usoro ihe egwu. {model}.",
+    "pdf.breakdownIn": "{region} (n'ime {state})",
+    "pdf.breakdownPoints": "Akara: {parts}.",
+    "pdf.breakdownOverride": "mgbanwe {points}",
+    "pdf.breakdownRounding": "mgbakọ {points}",
+    "pdf.profile": "Nkọwa {level}",
+    "pdf.profileLevel": "Ọkwa",
+    "pdf.profileState": "Steeti",
+    "pdf.profileArea": "Ọdịdị ala",
+    "pdf.profileRisk": "Akara ihe egwu",
+    "pdf.profileCategory": "Ọkwa ihe egwu",
+    "pdf.profileIncidents": "Ihe omume ({from} – {to})",
+    "pdf.profileCasualties": "Ndị merụrụ ahụ ({from} – {to})",
+    "pdf.incidentNote": "A gụrụ ihe omume site na ndekọ ihe omume n'agbata {from} na {to}, maka: {types}.",
+    "pdf.inherited": "{name} enweghị akara ihe egwu nke ya; ọ na-ewere akara steeti ya.",
+    "pdf.crime": "Ọnụ ọgụgụ mpụ",
+    "pdf.crimeNoState": "Achọtaghị steeti maka {name}, ya mere enweghị ọnụ ọgụgụ mpụ.",
+    "pdf.crimeStateOf": "{state} (steeti {name})",
+    "pdf.crimeNone": "Enweghị ihe ndekọ maka {name}; steeti {reported} n'ime {states} na-akọ ha.",
+    "pdf.crimeIncidents": "Ihe ndekọ",
+    "pdf.crimeRank": "Ọkwa n'etiti steeti (1 = kachasị)",
+    "pdf.crimeRankValue": "{rank} n'ime {count}",
+    "pdf.crimeShare": "Òkè n'ime ngụkọta mba",
+    "pdf.crimeDensity": "Ihe ndekọ kwa 1,000 km²",
+    "pdf.crimeMean": "Nkezi steeti",
+    "pdf.crimeNote": "Ọnụ ọgụgụ ihe ndekọ bụ ngụkọta ehichapụrụ ({field}) e ji agbakọ ntụaka ihe egwu.",
+    "pdf.nearest": "Ụlọ ọrụ kacha nso",
+    "pdf.nearestNoGeometry": "Mpaghara ahụ enweghị oke ala e nwere ike iji tụọ anya.",
+    "pdf.nearestIntro": "Anya ndị a bụ ahịrị kwụ ọtọ (n'elu ụwa), site n'otu ebe n'ime {name} ({lat}, {lon}).",
+    "pdf.inventory": "Mgbakwunye: ndepụta ụlọ ọrụ",
+    "pdf.inventoryIntro": "Ụlọ ọrụ niile a gụrụ n'ime {names}, n'usoro tebụl dị na ihuenyo.",
+
+    "col.area": "Ọdịdị km²",
+    "ranking.title": "Ọkwa mpaghara",
+    "ranking.level": "Ọkwa ndepụta",
+    "ranking.within": "N'ime",
+    "ranking.risk": "Akara ihe egwu",
+    "ranking.final": "Ihe egwu ikpeazụ",
+    "ranking.crime": "Mpụ (ehichara)",
+    "ranking.density": "Ụlọ ọrụ / 1,000 km²",
+    "ranking.perCrime": "Ụlọ ọrụ kwa mpụ",
+    "ranking.reach.police": "Iru ndị uwe ojii",
+    "ranking.reach.army": "Iru ndị agha",
+    "ranking.reach.checkpoints": "Iru ebe nlele",
+    "ranking.gap": "Oghere mkpuchi",
+    "ranking.unnamed": "(enweghị aha)",
+    "ranking.inherited": "Eketara ya site na steeti gbara ya gburugburu",
+    "ranking.total": "Mpaghara niile",
+
+    "breakdown.title": "{name}: {score} ({category})",
+    "breakdown.overrideBy": "Mgbanwe ×{factor}",
+    "breakdown.override": "Mgbanwe",
+    "breakdown.rounding": "Mgbakọ",
+    "breakdown.score": "Akara",
+    "breakdown.points": "Akara",
+    "breakdown.pointsValue": "akara {points}",
+    "breakdown.scoreValue": "Akara {score}",
+    "breakdown.axis": "Akara ihe egwu",
+    "breakdown.col.component": "Akụkụ",
+    "breakdown.col.input": "Ntinye",
+    "breakdown.col.value": "Uru",
+    "breakdown.col.weight": "Ibu",
+    "breakdown.col.points": "Akara",
+
+    "nearest.title": "Nke kacha nso na {lat}, {lon}",
+    "nearest.titleIn": "Nke kacha nso na {lat}, {lon} ({state})",
+    "nearest.perType": "Kwa ụdị",
+    "nearest.hint": "Pịa ebe ọ bụla na maapụ ka ị hụ ọdụ ndị uwe ojii, ogige ndị agha na ebe nlele kacha nso.",
+    "nearest.bearing": "Ụzọ",
+    "nearest.compass": "N NNE NE ENE E ESE SE SSE S SSW SW WSW W WNW NW NNW",
+    "nearest.zoom": "Bubata ụlọ ọrụ a",
+
+    "catchment.show": "Gosi mpaghara na maapụ",
+    "catchment.summary.other": "Mpaghara {count}, etiti {median} km².",
+    "catchment.large.other": "{count} buru ibu karịa ka ọ dị na mbụ (karịa {fence} km²):",
+    "catchment.none": "Enweghị ọdụ ndị uwe ojii ma ọ bụ oke steeti ebugoro.",
+    "catchment.farthest": "Ebe kacha anya (km)",
+
+    "riskmodel.reset": "Laghachi na usoro mbụ",
+    "riskmodel.override": "Tinye mmụba mgbanwe egwu",
+    "riskmodel.weight": "Ibu {component}",
+    "riskmodel.col.rank": "#",
+    "riskmodel.col.baseline": "Usoro mbụ",
+    "riskmodel.col.baselineRank": "Ọkwa mbụ",
+    "riskmodel.col.scenario": "Atụmatụ",
+    "riskmodel.col.change": "Mgbanwe ọkwa",
+
+    "export.csv": "CSV",
+    "export.csvTitle": "Budata mpaghara na ụlọ ọrụ dị ka faịlụ CSV",
+    "export.xlsx": "Excel",
+    "export.xlsxTitle": "Budata mpaghara na ụlọ ọrụ dị ka akwụkwọ Excel",
+    "export.geojson": "GeoJSON",
+    "export.geojsonTitle": "Budata ọdịdị mpaghara na ọnụọgụ ha dị ka GeoJSON",
+    "alert.excelMissing": "Enweghị ike ibugo ọba akwụkwọ Excel. Jiri mbupụ CSV kama.",
+    "alert.exportFailed": "Enweghị ike ibupụ data ahụ.",
+
+    "coverage.title": "Mkpuchi ụlọ ọrụ",
+    "coverage.showRadii": "Gosi okirikiri ọrụ",
+    "coverage.showGap": "Gosi oghere mkpuchi, ebe na-erughị",
+    "coverage.gapType": "Ụdị oghere mkpuchi",
+    "coverage.radius": "{type} (km)",
+    "coverage.any": "Nke ọ bụla",
+    "coverage.gap": "Oghere",
+    "coverage.outOfReach.any": "ụlọ ọrụ ọ bụla",
+    "coverage.outOfReach.police": "ọdụ ndị uwe ojii",
+    "coverage.outOfReach.army": "ogige ndị agha",
+    "coverage.outOfReach.checkpoints": "ebe nlele",
+
+    "density.layers": "Ọkwa maapụ",
+    "density.heatmap": "Maapụ okpomọkụ",
+    "density.hexbin": "Igbe hexagon",
+    "density.hexbinOf": "{type} (igbe hexagon)",
+    "density.hexTotal.other": "Ụlọ ọrụ {count} n'ime hexagon a",
+
+    "clusters.count.police.other": "Ọdụ ndị uwe ojii {count}",
+    "clusters.count.army.other": "Ogige ndị agha {count}",
+    "clusters.count.checkpoints.other": "Ebe nlele {count}",
+    "clusters.more.other": "na {count} ọzọ",
+
+    "incidents.from": "Site",
+    "incidents.to": "Ruo",
+    "incidents.unspecified": "Akọwaghị",
+    "incidents.summary": "{incidents}, {casualties} site {from} ruo {to}.",
+    "incidents.count.other": "Ihe omume {count}",
+    "incidents.casualties.other": "ndị merụrụ ahụ {count}",
+    "incidents.skipped.other": "Ndekọ {count} enweghị ụbọchị ma ọ bụ ebe ọ dị, ya mere a hapụrụ ha.",
+
+    "hierarchy.note.other": "Aha {count} n'ime {checked} dị na ndekọ ndị uwe ojii adabaghị na oke ala.",
+    "hierarchy.outside": "{facility}: na mpụga {name} ({level})",
+    "hierarchy.missing": "{facility}: enweghị oke ala aha ya bụ {name} ({level})",
+
+    "compare.unassigned": "Agụghị ha na mpaghara ọ bụla, ha nọ na mpụga oke ala niile nke ọkwa a: {list}."
+  },
+  "narratives": {
+    "normalisation": {
+      "areaUnit": "1,000 km²",
+      "populationUnit": "mmadụ 100,000",
+      "areaBasis": "ma e lee ogo mpaghara ahụ",
+      "populationBasis": "ma e lee ọnụ ọgụgụ ndị bi na ya"
+    },
+    "region": {
+      "intro": "Nkọwa mpaghara maka {name}.",
+      "category": "Mpaghara a dị n'ọkwa ihe egwu {category}.",
+      "noCategory": "Enweghị akara ihe egwu edere maka mpaghara a.",
+      "closing": "Ojiji ala na ọrụ ndị mmadụ na mpaghara ahụ na-enye aka n'ọnọdụ ihe egwu ya, a ga-atụlekwa ha ya na nkesa ụlọ ọrụ."
+    },
+    "facilities": {
+      "police": {
+        "bands": [
+          {"minRatio": 1.5, "text": "Ndị uwe ojii siri ike {basis}: ọdụ {count} ({rate} kwa {unit}, ma e jiri ya tụnyere {national} na mpaghara niile) na-enye ike ịzaghachi."},
+          {"minRatio": 0.67, "text": "Ọnụnọ ndị uwe ojii dị nso n'ọkwa nkịtị, ya na ọdụ {count} ({rate} kwa {unit})."},
+          {"minRatio": 0, "text": "Ndị uwe ojii dị, mana ya na ọdụ {rate} kwa {unit} ma e jiri ya tụnyere {national} na mpaghara niile, ha adịghị ọtụtụ {basis}."}
+        ],
+        "none": "Ọdụ ndị uwe ojii fọrọ nke nta ka ọ ghara ịdị n'ime mpaghara ahụ, nke nwere ike igbochi nzaghachi ngwa ngwa."
+      },
+      "army": {
+        "bands": [
+          {"minRatio": 1.5, "text": "Ogige ndị agha gbakọrọ ebe a ({count}, {rate} kwa {unit}) ma na-agbakwunye udo."},
+          {"minRatio": 0.67, "text": "Ọnụnọ ndị agha dị nso n'ọkwa nkịtị, ya na ogige {count}."},
+          {"minRatio": 0, "text": "Ọnụnọ ndị agha na mpaghara a pere mpe {basis}, ya na ogige {count}."}
+        ],
+        "none": "Enweghị ogige ndị agha n'ime mpaghara ahụ."
+      },
+      "checkpoints": {
+        "bands": [
+          {"minRatio": 1.5, "text": "Ebe nlele dị ọtụtụ n'okporo ụzọ ndị bụ isi ({count}, {rate} kwa {unit}), nke na-eme ka nlekota njem ka mma."},
+          {"minRatio": 0.67, "text": "Ọnụ ọgụgụ ebe nlele dị nso n'ọkwa nkịtị, ya na ebe nlele {count}."},
+          {"minRatio": 0, "text": "Ebe nlele dị mana ha adịghị ọtụtụ n'ụzọ dị n'ime mpaghara ({rate} kwa {unit} ma e jiri ya tụnyere {national})."}
+        ],
+        "none": "Ebe nlele dị ole na ole ma ọ bụ enweghị ha n'ime mpaghara ahụ."
+      }
+    },
+    "risk": {
+      "drivers": "Akara ya nke {score} si na {drivers} karịa.",
+      "driver": "{label} nwere akara {points}",
+      "override": "E tinyere mgbanwe egwu nke ×{override} n'akara ahụ.",
+      "inherited": "{name} na-ewere akara ihe egwu nke steeti ya, {state}."
+    },
+    "coverage": {
+      "summary": "{police} nke mpaghara ahụ dị n'ime {policeKm} km site n'ọdụ ndị uwe ojii, {army} n'ime {armyKm} km site n'ebe ndị agha, na {checkpoints} n'ime {checkpointsKm} km site n'ebe nlele.",
+      "gap": "{gap} nke mpaghara ahụ anọghị n'ime nso ụdị ụlọ ọrụ ọ bụla.",
+      "noGap": "Akụkụ ọ bụla nke mpaghara ahụ dị n'ime nso opekata mpe otu ụlọ ọrụ.",
+      "contrast": "Oghere mkpuchi kachasị ukwuu na {top} ({topGap} nke mpaghara anọghị na nso) ma kachasị nta na {bottom} ({bottomGap}).",
+      "same": "Oghere mkpuchi yiri otu ihe n'mpaghara niile."
+    },
+    "comparative": {
+      "intro": "Nkọwa ntụnyere nke {names}.",
+      "sameCategory": "Mpaghara niile dị n'ọkwa {category}.",
+      "categoryGroup": "{names} {verb} n'ọkwa {category}",
+      "verbs": {"one": "dị", "many": "dị"},
+      "facilities": {
+        "police": {
+          "contrast": "Ndị uwe ojii kacha dị ọtụtụ na {top} (ọdụ {topRate} kwa {unit}), ma kacha dị ole na ole na {bottom} ({bottomRate}).",
+          "same": "Ọnụnọ ndị uwe ojii yiri otu na mpaghara niile."
+        },
+        "army": {
+          "contrast": "Ogige ndị agha kacha dị ọtụtụ na {top} ({topRate} kwa {unit}), ma kacha dị ole na ole na {bottom} ({bottomRate}).",
+          "same": "Ọnụnọ ndị agha yiri otu na mpaghara niile."
+        },
+        "checkpoints": {
+          "contrast": "Ebe nlele kacha dị ọtụtụ {basis} na {top} ({topRate} kwa {unit}), nke na-eme ka nlekota ka mma, ma kacha dị ole na ole na {bottom} ({bottomRate}).",
+          "same": "Ọnụnọ ebe nlele yiri otu na mpaghara niile."
+        }
+      },
+      "riskGap": "{high} ({highCategory}, {highScore}) karịrị {low} ({lowCategory}, {lowScore}) ji akara {gap}; ọdịiche ahụ si na {drivers} karịa.",
+      "gapDriver": "{label} nwere akara {points}",
+      "gapRounding": "mgbakọ ọnụ ọgụgụ",
+      "closing": "Na mkpokọta, nkesa ụlọ ọrụ na ojiji ala na-akọwa ọdịiche dị n'etiti mpaghara ndị ahụ."
+    }
+  }
+};
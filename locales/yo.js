@@ -0,0 +1,361 @@
+// locales/yo.js
+// Yoruba messages and report narratives.
+var json_locale_yo = {
+  "name": "Yorùbá",
+  "locale": "yo-NG",
+  "messages": {
+    "app.language": "Èdè",
+    "list.and": "àti",
+    "yes": "Bẹ́ẹ̀ ni",
+    "no": "Rárá",
+
+    "level.state": "Ìpínlẹ̀",
+    "level.lga": "Ìjọba ìbílẹ̀",
+    "level.ward": "Wọ́ọ̀dù",
+    "level.state.plural": "Àwọn ìpínlẹ̀",
+    "level.lga.plural": "Àwọn ìjọba ìbílẹ̀",
+    "level.ward.plural": "Àwọn wọ́ọ̀dù",
+    "level.noLayer": "{level} (kò sí layer tí a gbé wọlé)",
+
+    "compare.title": "Ìfiwéra àwọn agbègbè",
+    "compare.level": "Ìpele ìfiwéra",
+    "compare.zone": "Ẹkùn òṣèlú (àṣàyàn)",
+    "compare.zoneNone": "-- yan àwọn agbègbè lọ́kọ̀ọ̀kan --",
+    "compare.addRegion": "+ Fi agbègbè kún un",
+    "compare.compare": "Ṣe ìfiwéra",
+    "compare.resetView": "Dá máàpù padà",
+    "compare.ranking": "Tábìlì ipò",
+    "compare.riskModel": "Àwòṣe ewu",
+    "compare.nearest": "Àwọn ohun èlò tó sún mọ́ jù",
+    "compare.coverage": "Ìbòjú iṣẹ́",
+    "compare.catchments": "Agbègbè àgọ́ ọlọ́pàá",
+    "compare.incidents": "Ìṣẹ̀lẹ̀",
+    "picker.region": "Agbègbè {letter}",
+    "picker.select": "-- yan --",
+    "picker.remove": "Yọ agbègbè kúrò",
+    "drill.into": "Wọ inú {name} › {level}",
+    "drill.none": "{name}: kò sí ìpele tó kéré jù tí a gbé wọlé",
+
+    "search.label": "Wá ìpínlẹ̀, ìjọba ìbílẹ̀, wọ́ọ̀dù tàbí ohun èlò",
+    "search.placeholder": "Bẹ̀rẹ̀ sí í tẹ orúkọ ibì kan, ohun èlò tàbí ipò àtòjọ",
+    "search.button": "Wá",
+    "search.suggestions": "Àbá",
+    "search.noMatch": "Kò sí ohun tó bá “{query}” mu",
+    "search.filters": "Àlẹ̀mọ́",
+    "search.anyType": "Gbogbo irú",
+    "search.places": "Ìpínlẹ̀, ìjọba ìbílẹ̀ àti wọ́ọ̀dù",
+    "search.anyState": "Gbogbo ìpínlẹ̀",
+    "search.anyLga": "Gbogbo ìjọba ìbílẹ̀",
+    "search.stateRisk": "{state}: ìdíwọ̀n ewu {score} ({category})",
+    "search.noRisk": "{state}: kò sí ìdíwọ̀n ewu",
+    "search.outside": "Ní òde gbogbo ìpínlẹ̀",
+    "search.stateReport": "Ìròyìn ìpínlẹ̀",
+    "geocoder.coordinates": "Ipò àtòjọ",
+    "geocoder.town": "Ìlú",
+    "geocoder.outside": "ní òde àwọn ìpínlẹ̀",
+
+    "popup.comparison": "Ìfiwéra",
+    "popup.report": "Ìròyìn: {name}",
+    "popup.downloadPdf": "Ṣe ìgbàsílẹ̀ PDF",
+    "popup.close": "Pa á dé",
+
+    "alert.selectTwo": "Yan ó kéré tán agbègbè méjì.",
+    "alert.missing": "A kò rí ààlà fún {names}. Ṣàyẹ̀wò àwọn orúkọ náà.",
+    "alert.typeName": "Tẹ orúkọ ìpínlẹ̀, ìjọba ìbílẹ̀ tàbí wọ́ọ̀dù.",
+    "alert.notFound": "A kò rí ibì kan tàbí ohun èlò tó bá a mu.",
+    "alert.pdfFailed": "A kò lè ṣe ìròyìn PDF náà.",
+
+    "legend.title": "Atọ́ka Ewu",
+    "category.Very Low": "Kéré púpọ̀",
+    "category.Low": "Kéré",
+    "category.Medium": "Àárín",
+    "category.High": "Ga",
+    "category.Very High": "Ga púpọ̀",
+    "category.Unknown": "A kò mọ̀",
+
+    "chart.police": "Ọlọ́pàá",
+    "chart.army": "Ológun",
+    "chart.checkpoints": "Ibùdó àyẹ̀wò",
+    "chart.incidents": "Ìṣẹ̀lẹ̀",
+    "chart.risk": "Ewu (àròpín)",
+    "chart.facilityCount": "Iye ohun èlò",
+    "chart.count": "Ohun èlò àti ìṣẹ̀lẹ̀",
+    "chart.riskAxis": "Ewu (àròpín {field})",
+
+    "component.crime": "Ìwà ọ̀daràn (ìṣẹ̀lẹ̀ tí a kọ sílẹ̀)",
+    "component.police": "Ìjìnnà sí ọlọ́pàá",
+    "component.landuse": "Ìlò ilẹ̀",
+    "component.road": "Ọ̀nà ìwọlé",
+    "component.spi": "SPI (yíyí padà)",
+    "component.threat": "Ìdíwọ̀n ewu tí a fi ọwọ́ ṣe",
+
+    "facility.police": "Àgọ́ ọlọ́pàá",
+    "facility.army": "Ibùdó ológun",
+    "facility.checkpoints": "Ibùdó àyẹ̀wò",
+    "facility.police.one": "Ọlọ́pàá",
+    "facility.army.one": "Ológun",
+    "facility.checkpoints.one": "Ibùdó àyẹ̀wò",
+
+    "col.region": "Agbègbè",
+    "col.type": "Irú",
+    "col.name": "Orúkọ",
+    "col.station": "Àgọ́",
+    "col.lga": "Ìjọba ìbílẹ̀",
+    "col.ward": "Wọ́ọ̀dù",
+    "col.state": "Ìpínlẹ̀",
+    "col.branch": "Ẹ̀ka",
+    "col.hub": "Ibùdó",
+    "col.roadDistance": "Ìjìnnà sí ọ̀nà (m)",
+    "col.checkpointRisk": "Ewu ibùdó",
+    "col.latitude": "Latitude",
+    "col.longitude": "Longitude",
+    "col.riskAvg": "Ewu (àròpín)",
+    "col.category": "Ẹ̀ka ewu",
+    "col.police": "Ọlọ́pàá",
+    "col.army": "Ológun",
+    "col.checkpoints": "Ibùdó àyẹ̀wò",
+    "col.incidents": "Ìṣẹ̀lẹ̀",
+    "col.distance": "Ìjìnnà (km)",
+    "col.inside": "Nínú",
+    "col.indicator": "Atọ́ka",
+    "col.value": "Iye",
+    "col.figure": "Àkọsílẹ̀",
+
+    "inventory.type": "Irú ohun èlò",
+    "inventory.empty": "Kò sí {type} nínú agbègbè tí a yàn.",
+    "inventory.emptyMany": "Kò sí {type} nínú àwọn agbègbè tí a yàn.",
+    "inventory.none": "A kò ka ẹyọ kan nínú agbègbè náà.",
+    "inventory.noneMany": "A kò ka ẹyọ kan nínú àwọn agbègbè náà.",
+
+    "model.baseline": "Àwòṣe ìpìlẹ̀ (àmì tí a tọ́jú)",
+    "model.custom": "Àpẹẹrẹ àdáni: {weights}",
+    "model.allZero": "gbogbo ìwúwo jẹ́ 0",
+    "model.overrideOff": "àtúnṣe ewu ti wà ní pípa",
+
+    "pdf.title": "Ìròyìn Ohun Èlò Ààbò",
+    "pdf.contents": "Àkóónú",
+    "pdf.page": "Ojú ewé {page} nínú {pages}",
+    "pdf.date": "Ọjọ́: {date}",
+    "pdf.riskScores": "Àmì ewu: {model}",
+    "pdf.comparisonSubtitle": "Ìfiwéra: {names}",
+    "pdf.vs": "àti",
+    "pdf.regionSubtitle": "Ìròyìn {level}: {name}",
+    "pdf.riskIndexProse": "Ìròyìn yìí ń lo atọ́ka ewu tí ó ṣe àkópọ̀ ipò ààbò agbègbè kan sí àmì kan tí ó rọrùn láti yé. Atọ́ka náà da ọ̀pọ̀lọpọ̀ ìsọfúnni nípa ibì kan pọ̀. Àkọ́kọ́, a ṣàyẹ̀wò iye àti bí àwọn ohun èlò ààbò bí àgọ́ ọlọ́pàá, ibùdó ológun àti ibùdó àyẹ̀wò ṣe sún mọ́ tó, nítorí pé ohun èlò tí ó pọ̀ tí ó sì súnmọ́ máa ń dín ewu kù. Èkejì, a wo bí a ṣe ń lo ilẹ̀ àti àwọn apá agbègbè náà, nítorí pé àwọn ìlò ilẹ̀ kan máa ń fa ìṣẹ̀lẹ̀ ààbò mọ́ra tàbí lé e sẹ́yìn. Ẹ̀kẹta, iye ìṣẹ̀lẹ̀ tí a kọ sílẹ̀, níbi tí ó bá wà, ń fi ìṣòro tí ó ti ṣẹlẹ̀ rí ní agbègbè náà hàn. A yí ọ̀kọ̀ọ̀kan àwọn nǹkan wọ̀nyí padà sí òṣùwọ̀n kan náà kí a lè fi wọ́n wéra kí a sì dà wọ́n pọ̀. Lẹ́yìn náà, a da wọ́n pọ̀ sí nọ́ńbà kan tí ó fi ààbò hàn ní ìfiwéra: nọ́ńbà tí ó ga jù túmọ̀ sí ewu tí ó ga jù. Orúkọ tí ó rọrùn — {categories} — ń bá nọ́ńbà náà lọ, pẹ̀lú àwọn ẹ̀ka àti àwọ̀ kan náà bíi ti àlàyé máàpù, kí èsì rẹ̀ lè rọrùn láti kà. Ọ̀nà yìí ń ṣàlàyé ìyàtọ̀ láàárín àwọn ibì kan, kì í ṣe àsọtẹ́lẹ̀ ìṣẹ̀lẹ̀ pàtó. Àmì yìí wà láti ran àwọn olùṣètò àti alákòóso lọ́wọ́ láti tètè dá àwọn agbègbè tí ó nílò àfiyèsí tàbí ohun èlò sí i mọ̀.",
+    "pdf.mapCompared": "Máàpù àwọn agbègbè tí a fi wéra",
+    "pdf.mapOf": "Máàpù {name}",
+    "pdf.regional": "Ìtumọ̀ Agbègbè",
+    "pdf.comparative": "Ìtumọ̀ Ìfiwéra",
+    "pdf.summary": "Àkópọ̀ iye (irú ohun èlò)",
+    "pdf.riskCategories": "Àwọn ẹ̀ka ewu ({field})",
+    "pdf.breakdown": "Ìpínsísọ̀rí àmì ewu",
+    "pdf.breakdownIntro": "Ọ̀pá kọ̀ọ̀kan pín àmì ewu ìpínlẹ̀ kan sí àwọn apá àwòṣe ewu. {model}.",
+    "pdf.breakdownIn": "{region} (nínú {state})",
+    "pdf.breakdownPoints": "Àmì: {parts}.",
+    "pdf.breakdownOverride": "àtúnṣe {points}",
+    "pdf.breakdownRounding": "ìyípo {points}",
+    "pdf.profile": "Àpèjúwe {level}",
+    "pdf.profileLevel": "Ìpele",
+    "pdf.profileState": "Ìpínlẹ̀",
+    "pdf.profileArea": "Ìbú ilẹ̀",
+    "pdf.profileRisk": "Àmì ewu",
+    "pdf.profileCategory": "Ẹ̀ka ewu",
+    "pdf.profileIncidents": "Ìṣẹ̀lẹ̀ ({from} – {to})",
+    "pdf.profileCasualties": "Àwọn tí ó farapa ({from} – {to})",
+    "pdf.incidentNote": "A ka àwọn ìṣẹ̀lẹ̀ láti inú àkọsílẹ̀ ìṣẹ̀lẹ̀ láàrin {from} àti {to}, fún: {types}.",
+    "pdf.inherited": "{name} kò ní àmì ewu tirẹ̀; ó ń lo àmì ìpínlẹ̀ rẹ̀.",
+    "pdf.crime": "Ìṣirò ìwà ọ̀daràn",
+    "pdf.crimeNoState": "A kò rí ìpínlẹ̀ fún {name}, nítorí náà kò sí ìṣirò ìwà ọ̀daràn.",
+    "pdf.crimeStateOf": "{state} (ìpínlẹ̀ {name})",
+    "pdf.crimeNone": "Kò sí ìṣẹ̀lẹ̀ tí a kọ sílẹ̀ fún {name}; ìpínlẹ̀ {reported} nínú {states} ló ń fi wọ́n ránṣẹ́.",
+    "pdf.crimeIncidents": "Ìṣẹ̀lẹ̀ tí a kọ sílẹ̀",
+    "pdf.crimeRank": "Ipò láàárín àwọn ìpínlẹ̀ (1 = èyí tó pọ̀ jù)",
+    "pdf.crimeRankValue": "{rank} nínú {count}",
+    "pdf.crimeShare": "Ìpín nínú àpapọ̀ orílẹ̀-èdè",
+    "pdf.crimeDensity": "Ìṣẹ̀lẹ̀ fún 1,000 km² kọ̀ọ̀kan",
+    "pdf.crimeMean": "Àròpín àwọn ìpínlẹ̀",
+    "pdf.crimeNote": "Iye ìṣẹ̀lẹ̀ ni àpapọ̀ tí a ti fọ̀ mọ́ ({field}) tí a fi ń ṣírò atọ́ka ewu.",
+    "pdf.nearest": "Àwọn ohun èlò tó súnmọ́ jù",
+    "pdf.nearestNoGeometry": "Agbègbè náà kò ní ààlà tí a lè fi wọn ìjìnnà.",
+    "pdf.nearestIntro": "Ìjìnnà tààrà ni (lórí ilẹ̀ ayé), láti ibì kan nínú {name} ({lat}, {lon}).",
+    "pdf.inventory": "Àfikún: àkọsílẹ̀ ohun èlò",
+    "pdf.inventoryIntro": "Gbogbo ohun èlò tí a kà nínú {names}, ní ètò tábìlì tí ó wà lójú ìbòjú.",
+
+    "col.area": "Ìbú km²",
+    "ranking.title": "Ipò àwọn agbègbè",
+    "ranking.level": "Ìpele ipò",
+    "ranking.within": "Nínú",
+    "ranking.risk": "Àmì ewu",
+    "ranking.final": "Ewu ìkẹyìn",
+    "ranking.crime": "Ìwà ọ̀daràn (tí a fọ̀)",
+    "ranking.density": "Ohun èlò / 1,000 km²",
+    "ranking.perCrime": "Ohun èlò fún ìwà ọ̀daràn kọ̀ọ̀kan",
+    "ranking.reach.police": "Ìdé ọlọ́pàá",
+    "ranking.reach.army": "Ìdé ológun",
+    "ranking.reach.checkpoints": "Ìdé ibùdó àyẹ̀wò",
+    "ranking.gap": "Àlàfo ìbòjú",
+    "ranking.unnamed": "(kò ní orúkọ)",
+    "ranking.inherited": "A jogún rẹ̀ láti ìpínlẹ̀ tí ó yí i ká",
+    "ranking.total": "Gbogbo agbègbè",
+
+    "breakdown.title": "{name}: {score} ({category})",
+    "breakdown.overrideBy": "Àtúnṣe ×{factor}",
+    "breakdown.override": "Àtúnṣe",
+    "breakdown.rounding": "Ìyípo",
+    "breakdown.score": "Àmì",
+    "breakdown.points": "Àmì",
+    "breakdown.pointsValue": "àmì {points}",
+    "breakdown.scoreValue": "Àmì {score}",
+    "breakdown.axis": "Àmì ewu",
+    "breakdown.col.component": "Apá",
+    "breakdown.col.input": "Ìwọlé",
+    "breakdown.col.value": "Iye",
+    "breakdown.col.weight": "Ìwúwo",
+    "breakdown.col.points": "Àmì",
+
+    "nearest.title": "Èyí tó súnmọ́ {lat}, {lon} jù",
+    "nearest.titleIn": "Èyí tó súnmọ́ {lat}, {lon} jù ({state})",
+    "nearest.perType": "Fún irú kọ̀ọ̀kan",
+    "nearest.hint": "Tẹ ibikíbi lórí máàpù láti rí àwọn àgọ́ ọlọ́pàá, ibùdó ológun àti ibùdó àyẹ̀wò tó súnmọ́ jù.",
+    "nearest.bearing": "Ìtọ́sọ́nà",
+    "nearest.compass": "N NNE NE ENE E ESE SE SSE S SSW SW WSW W WNW NW NNW",
+    "nearest.zoom": "Sún mọ́ ohun èlò yìí",
+
+    "catchment.show": "Fi àwọn agbègbè hàn lórí máàpù",
+    "catchment.summary.other": "Agbègbè {count}, àárín {median} km².",
+    "catchment.large.other": "{count} tóbi ju bí ó ti yẹ lọ (ju {fence} km² lọ):",
+    "catchment.none": "A kò tíì gbé àgọ́ ọlọ́pàá tàbí ààlà ìpínlẹ̀ kankan sókè.",
+    "catchment.farthest": "Ibi tó jìnnà jù (km)",
+
+    "riskmodel.reset": "Padà sí ìpìlẹ̀",
+    "riskmodel.override": "Lo ìsọdipúpọ̀ àtúnṣe ewu",
+    "riskmodel.weight": "Ìwúwo {component}",
+    "riskmodel.col.rank": "#",
+    "riskmodel.col.baseline": "Ìpìlẹ̀",
+    "riskmodel.col.baselineRank": "Ipò ìpìlẹ̀",
+    "riskmodel.col.scenario": "Àbá",
+    "riskmodel.col.change": "Ìyípadà ipò",
+
+    "export.csv": "CSV",
+    "export.csvTitle": "Ṣe ìgbàsílẹ̀ àwọn agbègbè àti ohun èlò gẹ́gẹ́ bí fáìlì CSV",
+    "export.xlsx": "Excel",
+    "export.xlsxTitle": "Ṣe ìgbàsílẹ̀ àwọn agbègbè àti ohun èlò gẹ́gẹ́ bí ìwé Excel",
+    "export.geojson": "GeoJSON",
+    "export.geojsonTitle": "Ṣe ìgbàsílẹ̀ àwòrán àwọn agbègbè pẹ̀lú iye wọn gẹ́gẹ́ bí GeoJSON",
+    "alert.excelMissing": "A kò lè gbé ìkàwé Excel sókè. Lo ìgbéjáde CSV dípò rẹ̀.",
+    "alert.exportFailed": "A kò lè gbé dátà náà jáde.",
+
+    "coverage.title": "Ìbòjú àwọn ohun èlò",
+    "coverage.showRadii": "Fi ààlà iṣẹ́ hàn",
+    "coverage.showGap": "Fi àlàfo ìbòjú hàn, ibi tí kò dé ọ̀dọ̀",
+    "coverage.gapType": "Irú àlàfo ìbòjú",
+    "coverage.radius": "{type} (km)",
+    "coverage.any": "Èyíkéyìí",
+    "coverage.gap": "Àlàfo",
+    "coverage.outOfReach.any": "ohun èlò kankan",
+    "coverage.outOfReach.police": "àgọ́ ọlọ́pàá",
+    "coverage.outOfReach.army": "ibùdó ológun",
+    "coverage.outOfReach.checkpoints": "ibùdó àyẹ̀wò",
+
+    "density.layers": "Àwọn ìpele",
+    "density.heatmap": "Máàpù ìgbóná",
+    "density.hexbin": "Àpótí onígun mẹ́fà",
+    "density.hexbinOf": "{type} (àpótí onígun mẹ́fà)",
+    "density.hexTotal.other": "Ohun èlò {count} nínú onígun mẹ́fà yìí",
+
+    "clusters.count.police.other": "Àgọ́ ọlọ́pàá {count}",
+    "clusters.count.army.other": "Ibùdó ológun {count}",
+    "clusters.count.checkpoints.other": "Ibùdó àyẹ̀wò {count}",
+    "clusters.more.other": "àti {count} míràn",
+
+    "incidents.from": "Láti",
+    "incidents.to": "Sí",
+    "incidents.unspecified": "Kò ṣe pàtó",
+    "incidents.summary": "{incidents}, {casualties} láti {from} sí {to}.",
+    "incidents.count.other": "Ìṣẹ̀lẹ̀ {count}",
+    "incidents.casualties.other": "ẹni tí ó fara pa {count}",
+    "incidents.skipped.other": "Àkọsílẹ̀ {count} kò ní ọjọ́ tàbí ibi, a fi wọ́n sílẹ̀.",
+
+    "hierarchy.note.other": "Orúkọ {count} nínú {checked} nínú àkọsílẹ̀ ọlọ́pàá kò bá ààlà mu.",
+    "hierarchy.outside": "{facility}: lóde {name} ({level})",
+    "hierarchy.missing": "{facility}: kò sí ààlà tí orúkọ rẹ̀ ń jẹ́ {name} ({level})",
+
+    "compare.unassigned": "A kò kà wọ́n mọ́ agbègbè kankan, wọ́n wà lóde gbogbo ààlà ìpele yìí: {list}."
+  },
+  "narratives": {
+    "normalisation": {
+      "areaUnit": "1,000 km²",
+      "populationUnit": "ènìyàn 100,000",
+      "areaBasis": "ní ìfiwéra pẹ̀lú ìbú agbègbè náà",
+      "populationBasis": "ní ìfiwéra pẹ̀lú iye ènìyàn rẹ̀"
+    },
+    "region": {
+      "intro": "Ìtumọ̀ agbègbè fún {name}.",
+      "category": "Agbègbè yìí wà nínú ẹ̀ka ewu {category}.",
+      "noCategory": "Kò sí àmì ewu tí a kọ sílẹ̀ fún agbègbè yìí.",
+      "closing": "Ìlò ilẹ̀ àti iṣẹ́ àwọn ènìyàn ní agbègbè náà ń kópa nínú ipò ewu rẹ̀, ó sì yẹ kí a wò wọ́n pẹ̀lú bí àwọn ohun èlò ṣe pín sí."
+    },
+    "facilities": {
+      "police": {
+        "bands": [
+          {"minRatio": 1.5, "text": "Ọlọ́pàá lágbára ní ìfiwéra {basis}: àgọ́ {count} ({rate} fún {unit} kọ̀ọ̀kan, ní ìfiwéra pẹ̀lú {national} ní gbogbo agbègbè) ń pèsè agbára ìdáhùn."},
+          {"minRatio": 0.67, "text": "Wíwà ọlọ́pàá súnmọ́ ìpele gbogbogbò, pẹ̀lú àgọ́ {count} ({rate} fún {unit} kọ̀ọ̀kan)."},
+          {"minRatio": 0, "text": "Ọlọ́pàá wà, ṣùgbọ́n pẹ̀lú àgọ́ {rate} fún {unit} kọ̀ọ̀kan ní ìfiwéra pẹ̀lú {national} ní gbogbo agbègbè, wọn kò pọ̀ {basis}."}
+        ],
+        "none": "Àgọ́ ọlọ́pàá fẹ́rẹ̀ẹ́ má sí nínú agbègbè náà, èyí tí ó lè dín ìdáhùn kíákíá kù."
+      },
+      "army": {
+        "bands": [
+          {"minRatio": 1.5, "text": "Ibùdó ológun pọ̀ níbí ({count}, {rate} fún {unit} kọ̀ọ̀kan), wọ́n sì ń fi kún ìdúróṣinṣin."},
+          {"minRatio": 0.67, "text": "Wíwà ológun súnmọ́ ìpele gbogbogbò, pẹ̀lú ibùdó {count}."},
+          {"minRatio": 0, "text": "Wíwà ológun ní agbègbè yìí kò pọ̀ {basis}, pẹ̀lú ibùdó {count}."}
+        ],
+        "none": "Kò sí ibùdó ológun nínú agbègbè náà."
+      },
+      "checkpoints": {
+        "bands": [
+          {"minRatio": 1.5, "text": "Ibùdó àyẹ̀wò pọ̀ lójú àwọn ọ̀nà pàtàkì ({count}, {rate} fún {unit} kọ̀ọ̀kan), èyí tí ó ń mú àbójútó ìrìnàjò dára sí i."},
+          {"minRatio": 0.67, "text": "Iye ibùdó àyẹ̀wò súnmọ́ ìpele gbogbogbò, pẹ̀lú ibùdó {count}."},
+          {"minRatio": 0, "text": "Ibùdó àyẹ̀wò wà ṣùgbọ́n wọn kò pọ̀ lójú àwọn ọ̀nà inú agbègbè ({rate} fún {unit} kọ̀ọ̀kan ní ìfiwéra pẹ̀lú {national})."}
+        ],
+        "none": "Ibùdó àyẹ̀wò kéré tàbí kò sí rárá nínú agbègbè náà."
+      }
+    },
+    "risk": {
+      "drivers": "Àmì rẹ̀ tí ó jẹ́ {score} wá jù lọ láti {drivers}.",
+      "driver": "{label} pẹ̀lú àmì {points}",
+      "override": "A lo àtúnṣe ewu ×{override} lórí àmì náà.",
+      "inherited": "{name} ń lo àmì ewu ìpínlẹ̀ rẹ̀, {state}."
+    },
+    "coverage": {
+      "summary": "{police} agbègbè náà wà láàrin {policeKm} km sí àgọ́ ọlọ́pàá, {army} láàrin {armyKm} km sí ibùdó ológun, {checkpoints} sì wà láàrin {checkpointsKm} km sí ibùdó àyẹ̀wò.",
+      "gap": "{gap} agbègbè náà kò sí ní àrọ́wọ́tó irú ohun èlò kankan.",
+      "noGap": "Gbogbo apá agbègbè náà wà ní àrọ́wọ́tó ó kéré tán ohun èlò kan.",
+      "contrast": "Àlàfo ìbòjú tóbi jù ní {top} ({topGap} agbègbè kò sí ní àrọ́wọ́tó), ó sì kéré jù ní {bottom} ({bottomGap}).",
+      "same": "Àlàfo ìbòjú jọra ní gbogbo agbègbè."
+    },
+    "comparative": {
+      "intro": "Ìtumọ̀ ìfiwéra {names}.",
+      "sameCategory": "Gbogbo àwọn agbègbè wà nínú ẹ̀ka {category}.",
+      "categoryGroup": "{names} {verb} nínú ẹ̀ka {category}",
+      "verbs": {"one": "wà", "many": "wà"},
+      "facilities": {
+        "police": {
+          "contrast": "Ọlọ́pàá pọ̀ jù ní {top} (àgọ́ {topRate} fún {unit} kọ̀ọ̀kan), wọ́n sì kéré jù ní {bottom} ({bottomRate}).",
+          "same": "Wíwà ọlọ́pàá jọra ní gbogbo àwọn agbègbè."
+        },
+        "army": {
+          "contrast": "Ibùdó ológun pọ̀ jù ní {top} ({topRate} fún {unit} kọ̀ọ̀kan), wọ́n sì kéré jù ní {bottom} ({bottomRate}).",
+          "same": "Wíwà ológun jọra ní gbogbo àwọn agbègbè."
+        },
+        "checkpoints": {
+          "contrast": "Ibùdó àyẹ̀wò pọ̀ jù {basis} ní {top} ({topRate} fún {unit} kọ̀ọ̀kan), èyí tí ó ń mú àbójútó dára sí i, wọ́n sì kéré jù ní {bottom} ({bottomRate}).",
+          "same": "Wíwà ibùdó àyẹ̀wò jọra ní gbogbo àwọn agbègbè."
+        }
+      },
+      "riskGap": "{high} ({highCategory}, {highScore}) fi àmì {gap} ga ju {low} ({lowCategory}, {lowScore}) lọ; ìyàtọ̀ náà wá jù lọ láti {drivers}.",
+      "gapDriver": "{label} pẹ̀lú àmì {points}",
+      "gapRounding": "ìyípo nọ́ńbà",
+      "closing": "Lápapọ̀, bí àwọn ohun èlò ṣe pín sí àti ìlò ilẹ̀ ń ṣàlàyé ìyàtọ̀ tí ó wà láàárín àwọn agbègbè náà."
+    }
+  }
+};
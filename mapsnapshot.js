@@ -0,0 +1,223 @@
+// mapsnapshot.js
+// Renders the current map view to an image for the PDF report: the layer canvases OpenLayers
+// has drawn (basemap, risk polygons, highlights, facility symbols) composited in order, plus
+// a north arrow, a scale bar from the view resolution and a legend built from the layer styles.
+//
+// capture({legendExtra}) resolves to {dataUrl, width, height}, or null when the map cannot be
+// exported (no canvas support, or a basemap served without CORS headers taints the canvas).
+// Exposed as window.APP.mapSnapshot.
+
+(function(){
+  const map = window.APP.map;
+  const view = window.APP.view;
+  const riskConfig = window.APP.riskConfig;
+
+  const RENDER_TIMEOUT = 8000;
+
+  // wait for the tiles and vectors of the current view to finish drawing
+  function whenRendered(){
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, RENDER_TIMEOUT);
+      map.once('rendercomplete', () => { clearTimeout(timer); resolve(); });
+      map.render();
+    });
+  }
+
+  // draw each layer canvas with the transform and opacity OpenLayers gave it
+  function composite(ctx){
+    const canvases = map.getViewport().querySelectorAll('.ol-layer canvas, canvas.ol-layer');
+    for(const canvas of canvases){
+      if(!canvas.width) continue;
+      const container = canvas.parentNode;
+      const opacity = container.style.opacity || canvas.style.opacity;
+      ctx.globalAlpha = opacity === '' ? 1 : Number(opacity);
+      const bg = container.style.backgroundColor;
+      if(bg){
+        ctx.fillStyle = bg;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+      }
+      const m = canvas.style.transform.match(/^matrix\(([^(]*)\)$/);
+      if(m) ctx.setTransform(...m[1].split(',').map(Number));
+      else ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.drawImage(canvas, 0, 0);
+    }
+    ctx.globalAlpha = 1;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
+
+  function panel(ctx, x, y, w, h){
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.strokeStyle = 'rgba(0,0,0,0.3)';
+    ctx.lineWidth = 1;
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+  }
+
+  function drawNorthArrow(ctx, x, y, s){
+    panel(ctx, x - s, y - s * 2.1, s * 2, s * 3);
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(view.getRotation());
+    ctx.fillStyle = '#111';
+    ctx.beginPath();
+    ctx.moveTo(0, -s); ctx.lineTo(s * 0.45, s * 0.6); ctx.lineTo(0, s * 0.3); ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = '#fff';
+    ctx.strokeStyle = '#111';
+    ctx.beginPath();
+    ctx.moveTo(0, -s); ctx.lineTo(-s * 0.45, s * 0.6); ctx.lineTo(0, s * 0.3); ctx.closePath();
+    ctx.fill(); ctx.stroke();
+    ctx.fillStyle = '#111';
+    ctx.font = `bold ${Math.round(s * 0.7)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.fillText('N', 0, -s - 4);
+    ctx.restore();
+  }
+
+  // longest 1/2/5 × 10^n metres that fits in maxPx at the centre of the view
+  function scaleBarLength(metresPerPx, maxPx){
+    const maxM = metresPerPx * maxPx;
+    const pow = Math.pow(10, Math.floor(Math.log10(maxM)));
+    const step = [5, 2, 1].find(k => k * pow <= maxM) || 1;
+    const metres = step * pow;
+    return {metres, px: metres / metresPerPx, label: metres >= 1000 ? `${window.APP.i18n.number(metres / 1000)} km` : `${metres} m`};
+  }
+
+  function drawScaleBar(ctx, x, y, pixelRatio){
+    const metresPerCssPx = ol.proj.getPointResolution(view.getProjection(), view.getResolution(), view.getCenter(), 'm');
+    const bar = scaleBarLength(metresPerCssPx / pixelRatio, 160 * pixelRatio);
+    const h = 6 * pixelRatio;
+    panel(ctx, x - 6 * pixelRatio, y - 20 * pixelRatio, bar.px + 12 * pixelRatio, 32 * pixelRatio);
+    ctx.fillStyle = '#111';
+    ctx.fillRect(x, y, bar.px / 2, h);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(x + bar.px / 2, y, bar.px / 2, h);
+    ctx.strokeStyle = '#111';
+    ctx.strokeRect(x, y, bar.px, h);
+    ctx.fillStyle = '#111';
+    ctx.font = `${11 * pixelRatio}px sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.fillText('0', x, y - 4 * pixelRatio);
+    ctx.textAlign = 'right';
+    ctx.fillText(bar.label, x + bar.px, y - 4 * pixelRatio);
+  }
+
+  const plainTitle = layer => layer.get('popuplayertitle') || String(layer.get('title') || '').replace(/<[^>]*>/g, '').trim();
+
+  function firstStyle(layer, feature){
+    const fn = layer.getStyleFunction();
+    const out = fn ? fn(feature, view.getResolution()) : null;
+    return Array.isArray(out) ? out[0] : out;
+  }
+
+  // icons are drawn only once their image has loaded; most already are from the map render
+  function iconReady(style){
+    const image = style && style.getImage && style.getImage();
+    if(!image || !image.getImageState || image.getImageState() === 2) return Promise.resolve();
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, 2000);
+      image.listenImageChange(() => { clearTimeout(timer); resolve(); });
+      image.load();
+    });
+  }
+
+  // the style's symbol image centred in a px × px box, ignoring its map anchor and scale
+  function drawPointSymbol(ctx, style, x, y, px){
+    const image = style.getImage && style.getImage();
+    const img = image && image.getImage(1);
+    const size = image && image.getSize();
+    if(!img || !size || !size[0] || !size[1]) return;
+    const k = px / Math.max(size[0], size[1]);
+    const w = size[0] * k, h = size[1] * k;
+    ctx.drawImage(img, x + (px - w) / 2, y + (px - h) / 2, w, h);
+  }
+
+  // the layers drawn on the map, in order: groups (densitylayers.js) are opened, hidden ones skipped
+  function visibleLayers(layers=map.getLayers().getArray()){
+    return layers.filter(l => l.getVisible()).flatMap(l => l instanceof ol.layer.Group ? visibleLayers(l.getLayers().getArray()) : [l]);
+  }
+
+  // legend entries from the visible vector layers: {label, style, kind: 'point'|'polygon'}
+  async function legendEntries(){
+    const entries = [];
+    for(const layer of visibleLayers()){
+      if(!(layer instanceof ol.layer.Vector) || layer === window.APP.highlightLayer) continue;
+      // clustered facility layers (layers.js): the legend shows a single facility's symbol
+      const source = layer.getSource();
+      const features = (source instanceof ol.source.Cluster ? source.getSource() : source).getFeatures();
+      if(!features.length) continue;
+      const geomType = features[0].getGeometry() && features[0].getGeometry().getType();
+      const kind = /Point/.test(geomType) ? 'point' : 'polygon';
+      if(layer === window.lyr_RiskIndex_1){
+        // graduated: one entry per class, styled by running the layer style on each class
+        for(const c of riskConfig.classes){
+          const style = firstStyle(layer, new ol.Feature({[riskConfig.field]: c.max}));
+          entries.push({label: `${window.APP.i18n.category(c)} (${riskConfig.rangeText(c)})`, style, kind});
+        }
+        continue;
+      }
+      const style = firstStyle(layer, features[0]);
+      await iconReady(style);
+      entries.push({label: plainTitle(layer), style, kind});
+    }
+    return entries;
+  }
+
+  async function drawLegend(ctx, right, bottom, pixelRatio, extra){
+    const entries = await legendEntries();
+    const rowH = 18 * pixelRatio, sym = 12 * pixelRatio, pad = 8 * pixelRatio;
+    ctx.font = `${11 * pixelRatio}px sans-serif`;
+    const rows = [...entries, ...(extra || []).map(e => ({label: e.label, color: e.color}))];
+    if(!rows.length) return;
+    const w = Math.max(...rows.map(r => ctx.measureText(r.label).width)) + sym + pad * 3;
+    const h = rows.length * rowH + pad * 2;
+    const x = right - w, y = bottom - h;
+    panel(ctx, x, y, w, h);
+    const vc = ol.render.toContext(ctx, {pixelRatio: 1});
+    rows.forEach((r, i) => {
+      const cy = y + pad + i * rowH + rowH / 2;
+      const sx = x + pad;
+      if(r.style && r.kind === 'point'){
+        drawPointSymbol(ctx, r.style, sx, cy - sym / 2, sym);
+      } else if(r.style){
+        vc.setStyle(r.style);
+        vc.drawGeometry(new ol.geom.Polygon([[[sx, cy - sym / 2], [sx + sym, cy - sym / 2], [sx + sym, cy + sym / 2], [sx, cy + sym / 2], [sx, cy - sym / 2]]]));
+      } else {
+        ctx.fillStyle = r.color;
+        ctx.fillRect(sx, cy - sym / 2, sym, sym);
+      }
+      ctx.fillStyle = '#111';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(r.label, sx + sym + pad, cy);
+    });
+    ctx.textBaseline = 'alphabetic';
+  }
+
+  // legendExtra: [{label, color}] appended to the legend, e.g. the highlight colour of each region
+  async function capture({legendExtra} = {}){
+    if(!map || !map.getSize()) return null;
+    await whenRendered();
+    const size = map.getSize();
+    const first = map.getViewport().querySelector('.ol-layer canvas, canvas.ol-layer');
+    const pixelRatio = first && first.width ? first.width / size[0] : 1;
+    const out = document.createElement('canvas');
+    out.width = Math.round(size[0] * pixelRatio);
+    out.height = Math.round(size[1] * pixelRatio);
+    const ctx = out.getContext && out.getContext('2d');
+    if(!ctx) return null;
+    try{
+      composite(ctx);
+      drawNorthArrow(ctx, out.width - 30 * pixelRatio, 40 * pixelRatio, 16 * pixelRatio);
+      drawScaleBar(ctx, 16 * pixelRatio, out.height - 16 * pixelRatio, pixelRatio);
+      await drawLegend(ctx, out.width - 10 * pixelRatio, out.height - 10 * pixelRatio, pixelRatio, legendExtra);
+      return {dataUrl: out.toDataURL('image/png'), width: out.width, height: out.height};
+    } catch(e){
+      // a tainted canvas (basemap tiles without CORS) cannot be exported
+      console.warn('Map snapshot failed', e);
+      return null;
+    }
+  }
+
+  window.APP.mapSnapshot = { capture, scaleBarLength };
+})();
@@ -0,0 +1,221 @@
+// narrative.js
+// Report narratives built from the templates and thresholds in narrativeconfig.js.
+//
+// - region(level, region): interpretation of one region: risk category, what drives its score
+//   (riskmodel.js components), and police / army / checkpoint presence judged on facilities per
+//   area or population against the rate over every polygon of the level, then the share of the
+//   area within the service radii (coverage.js).
+// - comparative(level, regions): categories of the regions, the largest risk gap explained by
+//   the components, a density contrast per facility type and the widest coverage gap.
+// Regions are the {name, features, agg, avgRisk} objects compare.js builds.
+// Sentences, numbers and category names follow the interface language: the templates are
+// narrativeconfig.js with the language's overrides merged in (i18n.narratives()).
+// Exposed as window.APP.narrative.
+
+(function(){
+  const cmp = window.APP.compare;
+  const geometry = window.APP.geometry;
+  const riskConfig = window.APP.riskConfig;
+  const i18n = window.APP.i18n;
+  // templates of the current language, swapped when it changes
+  let config = i18n.narratives();
+  document.addEventListener('i18n:change', ()=>{ config = i18n.narratives(); });
+
+  const TYPES = ['police', 'army', 'checkpoints'];
+
+  const fmt = (v, digits=2) => i18n.number(v, {maximumFractionDigits: digits});
+  const pct = v => i18n.number(v, {style: 'percent', maximumFractionDigits: 0});
+
+  // fill {placeholders}; unknown keys are left in place so a typo in the config shows in the text
+  const fill = i18n.fill;
+  const listNames = i18n.list;
+
+  // population of a set of polygons, or null unless every one of them carries a population field
+  function populationOf(features){
+    let total = 0;
+    for(const f of features){
+      const p = f.properties || {};
+      const field = config.normalisation.populationFields.find(k => p[k] !== null && p[k] !== undefined && p[k] !== '' && !isNaN(Number(p[k])));
+      if(!field) return null;
+      total += Number(p[field]);
+    }
+    return total;
+  }
+
+  // what facility counts are divided by: population when known (unless `by` is 'area'), area otherwise
+  function denominator(features, by){
+    const n = config.normalisation;
+    const pop = by === 'area' ? null : populationOf(features);
+    if(pop) return {value: pop / n.perPopulation, unit: n.populationUnit, basis: n.populationBasis, by: 'population'};
+    const area = features.reduce((s, f) => s + geometry.areaKm2(f), 0);
+    return {value: area / n.perArea, unit: n.areaUnit, basis: n.areaBasis, by: 'area'};
+  }
+
+  // facility rates over every polygon of a level (each facility is owned by one polygon), cached
+  const nationalCache = new Map();
+  function nationalRates(level, by){
+    const key = `${level}:${by}`;
+    if(nationalCache.has(key)) return nationalCache.get(key);
+    const features = cmp.levels[level].geo.features;
+    const counts = {police: 0, army: 0, checkpoints: 0};
+    for(const f of features){
+      const c = cmp.countFacilitiesInFeature(f);
+      for(const t of TYPES) counts[t] += c[t];
+    }
+    // population rates only when the whole level has population, otherwise compare by area
+    const d = denominator(features, by);
+    const rates = Object.fromEntries(TYPES.map(t => [t, d.value > 0 ? counts[t] / d.value : 0]));
+    nationalCache.set(key, rates);
+    return rates;
+  }
+
+  // count, rate and ratio to the national rate of each facility type in a region
+  function facilityRates(level, region, by){
+    const d = denominator(region.features, by);
+    const national = nationalRates(level, d.by);
+    return Object.fromEntries(TYPES.map(t => {
+      const count = region.agg[t];
+      const rate = d.value > 0 ? count / d.value : 0;
+      const ratio = national[t] > 0 ? rate / national[t] : (count > 0 ? Infinity : 0);
+      return [t, {count, rate, ratio, national: national[t], unit: d.unit, basis: d.basis}];
+    }));
+  }
+
+  function facilitySentence(type, r){
+    const c = config.facilities[type];
+    const vars = {count: r.count, rate: fmt(r.rate), national: fmt(r.national), unit: r.unit, basis: r.basis};
+    if(!r.count) return fill(c.none, vars);
+    const band = c.bands.find(b => r.ratio >= b.minRatio) || c.bands[c.bands.length - 1];
+    return fill(band.text, vars);
+  }
+
+  // state whose risk components a region's score comes from
+  function stateOf(level, region){
+    const f = region.features[0];
+    if(!f) return null;
+    return level === 'state' ? f : cmp.ancestorAt(level, f, 'state');
+  }
+
+  // the positive parts of a score, largest first, as "label (n points)"
+  function driverText(parts, template, limit=2){
+    const items = parts.filter(p => p.points > 0.05).sort((a, b) => b.points - a.points).slice(0, limit);
+    return listNames(items.map(p => fill(template, {label: i18n.t(`component.${p.key}`).toLocaleLowerCase(i18n.locale()), points: fmt(p.points, 1)})));
+  }
+
+  function riskSentences(level, region){
+    const riskModel = window.APP.riskModel;
+    const state = stateOf(level, region);
+    if(!riskModel || !state) return [];
+    const d = riskModel.decompose(state);
+    if(d.score === null) return [];
+    const out = [];
+    if(level !== 'state') out.push(fill(config.risk.inherited, {name: region.name, state: cmp.featureName('state', state)}));
+    const drivers = driverText(d.parts, config.risk.driver);
+    if(drivers) out.push(fill(config.risk.drivers, {score: fmt(d.score, 0), drivers}));
+    if(d.override !== 1) out.push(fill(config.risk.override, {override: fmt(d.override)}));
+    return out;
+  }
+
+  // share of the region in reach of each facility type, and of none
+  function coverageSentences(region){
+    const coverage = window.APP.coverage;
+    const share = coverage && coverage.coverageOf(region.features);
+    if(!share) return [];
+    const radii = coverage.radii();
+    const c = config.coverage;
+    const vars = {};
+    for(const t of TYPES){
+      vars[t] = pct(share[t]);
+      vars[`${t}Km`] = fmt(radii[t], 1);
+    }
+    const gap = 1 - share.any;
+    return [fill(c.summary, vars), gap > 0.005 ? fill(c.gap, {gap: pct(gap)}) : c.noGap];
+  }
+
+  function region(level, r){
+    const c = config.region;
+    const parts = [fill(c.intro, {name: r.name})];
+    const cat = riskConfig.classify(r.avgRisk);
+    parts.push(cat === riskConfig.unknown ? c.noCategory : fill(c.category, {category: i18n.category(cat)}));
+    parts.push(...riskSentences(level, r));
+    const rates = facilityRates(level, r);
+    for(const t of TYPES) parts.push(facilitySentence(t, rates[t]));
+    parts.push(...coverageSentences(r));
+    parts.push(c.closing);
+    return parts.join(' ');
+  }
+
+  // highest and lowest scoring regions in different categories, and the components behind the gap
+  function riskGap(level, regions){
+    const riskModel = window.APP.riskModel;
+    const scored = regions.filter(r => r.avgRisk !== null).sort((a, b) => b.avgRisk - a.avgRisk);
+    if(!riskModel || scored.length < 2) return null;
+    const high = scored[0], low = scored[scored.length - 1];
+    const highCat = riskConfig.classify(high.avgRisk), lowCat = riskConfig.classify(low.avgRisk);
+    if(highCat === lowCat) return null;
+    const hs = stateOf(level, high), ls = stateOf(level, low);
+    if(!hs || !ls) return null;
+    const hp = riskModel.decompose(hs).parts, lp = riskModel.decompose(ls).parts;
+    const diff = hp.map((p, i) => ({key: p.key, points: p.points - lp[i].points}));
+    return fill(config.comparative.riskGap, {
+      high: high.name, highCategory: i18n.category(highCat), highScore: fmt(high.avgRisk, 0),
+      low: low.name, lowCategory: i18n.category(lowCat), lowScore: fmt(low.avgRisk, 0),
+      gap: fmt(high.avgRisk - low.avgRisk, 0),
+      drivers: driverText(diff, config.comparative.gapDriver) || config.comparative.gapRounding
+    });
+  }
+
+  // densest and sparsest region for a facility type; ties are named together
+  function contrast(type, regions, rates){
+    const c = config.comparative.facilities[type];
+    const values = rates.map(r => r[type].rate);
+    const max = Math.max(...values), min = Math.min(...values);
+    if(max === min || max - min <= config.comparative.similarWithin * max) return c.same;
+    const top = regions.filter((r, i) => values[i] === max).map(r => r.name);
+    const bottom = regions.filter((r, i) => values[i] === min).map(r => r.name);
+    return fill(c.contrast, {top: listNames(top), bottom: listNames(bottom), topRate: fmt(max), bottomRate: fmt(min), unit: rates[0][type].unit, basis: rates[0][type].basis});
+  }
+
+  // regions with the most and the least of their area out of reach
+  function coverageContrast(regions){
+    const coverage = window.APP.coverage;
+    if(!coverage) return null;
+    const c = config.coverage;
+    const measured = regions.map(r => ({name: r.name, share: coverage.coverageOf(r.features)})).filter(r => r.share);
+    if(measured.length < 2) return null;
+    const gaps = measured.map(r => 1 - r.share.any);
+    const max = Math.max(...gaps), min = Math.min(...gaps);
+    if(max - min <= c.similarWithin) return c.same;
+    const top = measured.filter((r, i) => gaps[i] === max).map(r => r.name);
+    const bottom = measured.filter((r, i) => gaps[i] === min).map(r => r.name);
+    return fill(c.contrast, {top: listNames(top), bottom: listNames(bottom), topGap: pct(max), bottomGap: pct(min)});
+  }
+
+  function comparative(level, regions){
+    const c = config.comparative;
+    const parts = [fill(c.intro, {names: listNames(regions.map(r => r.name))})];
+    // group regions by risk category
+    const byCat = new Map();
+    for(const r of regions){
+      const cat = riskConfig.classify(r.avgRisk);
+      if(!byCat.has(cat)) byCat.set(cat, []);
+      byCat.get(cat).push(r.name);
+    }
+    if(byCat.size === 1) parts.push(fill(c.sameCategory, {category: i18n.category(byCat.keys().next().value)}));
+    else parts.push(Array.from(byCat, ([cat, ns]) => fill(c.categoryGroup, {names: listNames(ns), verb: ns.length > 1 ? c.verbs.many : c.verbs.one, category: i18n.category(cat)})).join('; ') + '.');
+    const gap = riskGap(level, regions);
+    if(gap) parts.push(gap);
+    // rates in one unit for every region: population only when all of them have it
+    const byPopulation = regions.every(r => populationOf(r.features));
+    const rates = regions.map(r => facilityRates(level, r, byPopulation ? 'population' : 'area'));
+    for(const t of TYPES) parts.push(contrast(t, regions, rates));
+    const coverageGap = coverageContrast(regions);
+    if(coverageGap) parts.push(coverageGap);
+    parts.push(c.closing);
+    return parts.join(' ');
+  }
+
+  window.APP.narrative = { config: () => config, fill, facilityRates, region, comparative };
+
+  // End of narrative.js
+})();
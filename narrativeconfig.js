@@ -0,0 +1,97 @@
+// narrativeconfig.js
+// Sentences and thresholds of the report narratives (narrative.js). The object below is plain
+// JSON, loaded as a global like the layer data so the page also works from file://.
+//
+// Facility presence is judged on a rate, not a raw count: facilities per 1,000 km², or per
+// 100,000 people when every polygon of a region has one of `populationFields` ({unit} and
+// {basis} in the sentences follow that choice). Bands compare that rate with the rate over
+// all polygons of the same level (`ratio` = region / national); the first band whose
+// `minRatio` the region reaches is used, `none` when it has no facility.
+// Coverage sentences use the share of the area within each type's service radius (coverage.js,
+// radius in km as {policeKm} etc.); `similarWithin` is the gap difference, as a share of the area,
+// below which compared regions count as alike.
+// Placeholders in {braces} are filled by narrative.js; unknown ones are left as they are.
+// This is the English text; the `narratives` object of a locales/*.js catalogue overrides any
+// part of it for that language (see i18n.js).
+var json_narratives = {
+  "normalisation": {
+    "populationFields": ["population", "pop_total", "pop2020", "POP"],
+    "perArea": 1000,
+    "perPopulation": 100000,
+    "areaUnit": "1,000 km²",
+    "populationUnit": "100,000 people",
+    "areaBasis": "for the size of the area",
+    "populationBasis": "for its population"
+  },
+  "region": {
+    "intro": "Regional Interpretation for {name}.",
+    "category": "This area falls within the {category} risk category.",
+    "noCategory": "No risk score is recorded for this area.",
+    "closing": "Land use patterns and local activities in the area contribute to the overall risk profile and should be considered alongside facility distribution."
+  },
+  "facilities": {
+    "police": {
+      "bands": [
+        {"minRatio": 1.5, "text": "Police coverage is comparatively strong {basis}, with {count} stations ({rate} per {unit} against {national} across all areas) providing response capacity."},
+        {"minRatio": 0.67, "text": "Police presence is close to the overall level, with {count} stations ({rate} per {unit})."},
+        {"minRatio": 0, "text": "Some police presence exists, but at {rate} stations per {unit} against {national} across all areas it is thin {basis}."}
+      ],
+      "none": "Police stations are largely absent inside the area, which may limit immediate response."
+    },
+    "army": {
+      "bands": [
+        {"minRatio": 1.5, "text": "Military installations are concentrated here ({count}, {rate} per {unit}) and provide additional stabilizing influence."},
+        {"minRatio": 0.67, "text": "Military presence is about the overall level, with {count} installations."},
+        {"minRatio": 0, "text": "Military presence in this region is limited {basis}, with {count} installations."}
+      ],
+      "none": "There are no military installations inside the area."
+    },
+    "checkpoints": {
+      "bands": [
+        {"minRatio": 1.5, "text": "Checkpoints are frequent along main routes ({count}, {rate} per {unit}), improving movement monitoring."},
+        {"minRatio": 0.67, "text": "Checkpoint density is close to the overall level, with {count} checkpoints."},
+        {"minRatio": 0, "text": "Checkpoints are present but sparse across the internal network ({rate} per {unit} against {national})."}
+      ],
+      "none": "There are few or no checkpoints within the region."
+    }
+  },
+  "risk": {
+    "drivers": "Its score of {score} comes mainly from {drivers}.",
+    "driver": "{label} at {points} points",
+    "override": "A threat override of ×{override} is applied to the score.",
+    "inherited": "{name} takes the risk score of its state, {state}."
+  },
+  "coverage": {
+    "summary": "{police} of the area lies within {policeKm} km of a police station, {army} within {armyKm} km of an army installation and {checkpoints} within {checkpointsKm} km of a checkpoint.",
+    "gap": "{gap} of the area is out of reach of every facility type.",
+    "noGap": "Every part of the area is within reach of at least one facility.",
+    "contrast": "The coverage gap is widest in {top} ({topGap} of the area out of reach) and narrowest in {bottom} ({bottomGap}).",
+    "same": "The coverage gap is similar across all regions.",
+    "similarWithin": 0.05
+  },
+  "comparative": {
+    "intro": "Comparative Interpretation of {names}.",
+    "sameCategory": "All regions fall in the {category} category.",
+    "categoryGroup": "{names} {verb} in the {category} category",
+    "verbs": {"one": "is", "many": "are"},
+    "similarWithin": 0.1,
+    "facilities": {
+      "police": {
+        "contrast": "Police coverage is densest in {top} ({topRate} stations per {unit}) and thinnest in {bottom} ({bottomRate}).",
+        "same": "Police coverage is similar across all regions."
+      },
+      "army": {
+        "contrast": "Military installations are densest in {top} ({topRate} per {unit}) and sparsest in {bottom} ({bottomRate}).",
+        "same": "Military presence is comparable across all regions."
+      },
+      "checkpoints": {
+        "contrast": "Checkpoints are most frequent {basis} in {top} ({topRate} per {unit}), which improves monitoring, and least frequent in {bottom} ({bottomRate}).",
+        "same": "Checkpoint presence is comparable across all areas."
+      }
+    },
+    "riskGap": "{high} ({highCategory}, {highScore}) scores {gap} points above {low} ({lowCategory}, {lowScore}); the difference comes mainly from {drivers}.",
+    "gapDriver": "{label} at {points} points",
+    "gapRounding": "rounding",
+    "closing": "Taken together, facility distribution and land-use patterns explain the relative difference between the regions."
+  }
+};
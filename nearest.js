@@ -0,0 +1,160 @@
+// nearest.js
+// "What's nearest" mode: while it is on, clicking anywhere on the map lists the N closest police
+// stations, army installations and checkpoints to that point, with great-circle distance and
+// initial bearing, and draws a great-circle line to each. Uses the facility grids compare.js
+// built from json_police_4, json_army_3 and json_checkpoints_5.
+// While the mode is on it owns map clicks (window.APP.clickMode), so the breakdown panel and the
+// drill-down button stay closed. Clicking a row zooms to that facility and opens its details.
+
+(function(){
+  const cmp = window.APP.compare;
+  const spatial = window.APP.spatial;
+  const geometry = window.APP.geometry;
+  const inventory = window.APP.inventory;
+  const search = window.APP.search;
+  const map = window.APP.map;
+  const i18n = window.APP.i18n;
+  const {t} = i18n;
+
+  // DOM references
+  const panel = document.getElementById('nearest-panel');
+  const titleEl = document.getElementById('nearest-title');
+  const hintEl = document.getElementById('nearest-hint');
+  const countInput = document.getElementById('nearest-count');
+  const table = document.getElementById('nearest-table');
+  const btnNearest = document.getElementById('btnNearest');
+  const btnClose = document.getElementById('close-nearest');
+
+  const MAX_COUNT = 10;
+  // same colours as the facility bars of the comparison chart
+  const COLORS = {police: 'rgb(54,162,235)', army: 'rgb(75,192,192)', checkpoints: 'rgb(255,159,64)'};
+
+  const fmt = (v, digits=1) => i18n.number(v, {minimumFractionDigits: digits, maximumFractionDigits: digits});
+  // the 16 compass points from north, clockwise, space-separated in the catalogue
+  const compass = deg => t('nearest.compass').split(' ')[Math.round(deg / 22.5) % 16];
+
+  // lines, facility rings and the clicked point, above the highlight layer
+  const source = new ol.source.Vector();
+  const layer = new ol.layer.Vector({source, title: 'Nearest facilities'});
+  if(map) map.addLayer(layer);
+
+  function lineStyle(type, km){
+    return new ol.style.Style({
+      stroke: new ol.style.Stroke({color: COLORS[type], width: 2, lineDash: [6, 4]}),
+      text: new ol.style.Text({
+        text: `${fmt(km)} km`, font: '11px Arial, sans-serif',
+        fill: new ol.style.Fill({color: '#222'}), stroke: new ol.style.Stroke({color: '#fff', width: 3})
+      })
+    });
+  }
+  const ringStyle = type => new ol.style.Style({
+    image: new ol.style.Circle({radius: 8, stroke: new ol.style.Stroke({color: COLORS[type], width: 3})})
+  });
+  const originStyle = new ol.style.Style({
+    image: new ol.style.RegularShape({points: 4, radius: 9, radius2: 0, angle: Math.PI / 4, stroke: new ol.style.Stroke({color: '#111', width: 3})})
+  });
+
+  function count(){
+    const n = Math.round(Number(countInput.value));
+    return Math.min(MAX_COUNT, Math.max(1, isNaN(n) ? 3 : n));
+  }
+
+  // the k nearest of each type to [lon, lat], as rows nearest first within each type
+  function nearestTo(lonLat, k=count()){
+    const rows = [];
+    for(const type of Object.keys(inventory.TYPES)){
+      const grid = cmp.facilityIndex[type];
+      if(!grid) continue;
+      for(const {item, km} of grid.nearest(lonLat, k)){
+        rows.push({type, item, km, bearing: spatial.bearingDeg(lonLat, item.coord)});
+      }
+    }
+    return rows;
+  }
+
+  // state polygon holding the point, to name where the click landed
+  function stateAt(lonLat){
+    const lv = cmp.levels.state;
+    if(!lv || !lv.available) return null;
+    return lv.geo.features.find(f => spatial.bboxContains(spatial.bboxOf(f), lonLat) && geometry.containsPoint(f, lonLat)) || null;
+  }
+
+  let origin = null;
+
+  function show(lonLat){
+    origin = lonLat;
+    const rows = nearestTo(lonLat);
+    source.clear();
+    const toMap = c => ol.proj.fromLonLat(c);
+    for(const r of rows){
+      const line = new ol.Feature({geometry: new ol.geom.LineString(spatial.greatCircle(lonLat, r.item.coord).map(toMap))});
+      line.setStyle(lineStyle(r.type, r.km));
+      const ring = new ol.Feature({geometry: new ol.geom.Point(toMap(r.item.coord))});
+      ring.setStyle(ringStyle(r.type));
+      source.addFeatures([line, ring]);
+    }
+    const point = new ol.Feature({geometry: new ol.geom.Point(toMap(lonLat))});
+    point.setStyle(originStyle);
+    source.addFeature(point);
+
+    const state = stateAt(lonLat);
+    const at = {lat: lonLat[1].toFixed(5), lon: lonLat[0].toFixed(5)};
+    titleEl.textContent = state ? t('nearest.titleIn', {...at, state: cmp.featureName('state', state)}) : t('nearest.title', at);
+    hintEl.style.display = 'none';
+    table.innerHTML = '';
+    const head = table.createTHead().insertRow();
+    for(const key of ['col.type', 'col.name', 'col.distance', 'nearest.bearing']){
+      const th = document.createElement('th');
+      th.textContent = t(key);
+      head.appendChild(th);
+    }
+    const tbody = table.createTBody();
+    for(const r of rows){
+      const tr = tbody.insertRow();
+      const cells = [
+        inventory.typeLabel(r.type, true),
+        inventory.TYPES[r.type].name(r.item.feature.properties),
+        fmt(r.km),
+        `${Math.round(r.bearing)}° ${compass(r.bearing)}`
+      ];
+      cells.forEach((v, i) => {
+        const td = tr.insertCell();
+        td.textContent = v;
+        if(i >= 2) td.className = 'num';
+      });
+      tr.firstChild.style.borderLeft = `4px solid ${COLORS[r.type]}`;
+      tr.title = t('nearest.zoom');
+      tr.addEventListener('click', ()=> search.showFacility(r.item));
+    }
+  }
+
+  function setActive(on){
+    window.APP.clickMode = on ? 'nearest' : null;
+    btnNearest.classList.toggle('active', on);
+    if(map) map.getTargetElement().style.cursor = on ? 'crosshair' : '';
+    panel.style.display = on ? 'block' : 'none';
+    if(!on){
+      source.clear();
+      origin = null;
+      table.innerHTML = '';
+      titleEl.textContent = t('compare.nearest');
+      hintEl.style.display = '';
+    }
+  }
+
+  if(map) window.APP.onMapClick((evt)=>{
+    show(ol.proj.toLonLat(evt.coordinate));
+    return true;
+  }, {mode: 'nearest'});
+  btnNearest.addEventListener('click', ()=> setActive(window.APP.clickMode !== 'nearest'));
+  btnClose.addEventListener('click', ()=> setActive(false));
+  countInput.addEventListener('change', ()=>{
+    countInput.value = count();
+    if(origin) show(origin);
+  });
+  document.addEventListener('i18n:change', ()=>{ if(origin) show(origin); });
+
+  window.APP.nearest = { nearestTo, show, setActive };
+
+  // End of nearest.js
+})();
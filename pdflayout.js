@@ -0,0 +1,318 @@
+// pdflayout.js
+// Layout layer for the jsPDF reports.
+//
+// - createLayout(doc): a cursor over an A4 portrait document. Text flows line by line and
+//   breaks onto a new page before it would reach the footer; headings stay with the text
+//   that follows them; tables repeat their header row on each new page and wrap long cells.
+// - createReport(options): the Geoinfotech report template on top of the layout: logo and
+//   title on the first page, a running header on the pages after it, footer with page
+//   numbers on every page, and a table of contents built from the section headings.
+//   Sections are added (and removed) by id and rendered in order. Sections marked `cover`
+//   go on the first page(s); the others start on a fresh page after the table of contents:
+//
+//     const report = window.APP.pdf.createReport({subtitle: 'Comparison: A vs B'});
+//     report.addSection({id: 'summary', title: 'Summary', render: L => L.paragraph('...')});
+//     const doc = await report.build();
+//     doc.save('report.pdf');
+//
+// jsPDF's built-in fonts only cover WinAnsi (Latin-1 plus a few extras), which lacks the Hausa
+// hooked letters (ɗ, ƙ) and the Yoruba and Igbo dotted letters (ọ, ẹ, ṣ). Reports are set in
+// Noto Sans instead (FONT): resources/fonts/NotoSans.js holds the TrueType files and is loaded
+// the first time a report is built, then embedded in every report, so text is drawn as given.
+// Exposed as window.APP.pdf.
+
+(function(){
+  const MARGIN = 40;
+  const HEADER_HEIGHT = 36;   // running header on pages after the first
+  const FOOTER_HEIGHT = 56;   // footer text and page number
+  const LINE = 12;
+
+  const DEFAULTS = {
+    org: 'GEOINFOTECH',
+    title: 'Security Infrastructure Report',
+    logo: 'images/logo.jpg',
+    footer: 'Geoinfotech - Lagos: Oluwalogbon House, Testing Ground Bus Stop, Obafemi Awolowo Way, Ikeja, Lagos. Phone: 08163222177, 08134101202. Email: contact@geoinfotech.ng',
+    toc: true,
+    contents: 'Contents',
+    pageLabel: 'Page {page} of {pages}'
+  };
+
+  // Unicode font of the reports: file name per style inside the font script's `font_NotoSans`
+  const FONT = {
+    family: 'NotoSans',
+    script: 'resources/fonts/NotoSans.js',
+    files: {normal: 'NotoSans-Regular.ttf', bold: 'NotoSans-Bold.ttf'}
+  };
+
+  function loadScript(src){
+    return new Promise((resolve, reject) => {
+      const el = document.createElement('script');
+      el.src = src;
+      el.onload = resolve;
+      el.onerror = () => reject(new Error(`Could not load ${src}`));
+      document.head.appendChild(el);
+    });
+  }
+
+  // adds FONT to a document's virtual file system, loading its script once per page;
+  // a load that failed is forgotten, so the next report tries again
+  let fontScript = null;
+  async function embedFont(doc){
+    if(!window.font_NotoSans){
+      fontScript = fontScript || loadScript(FONT.script).catch(err => {
+        fontScript = null;
+        throw err;
+      });
+      await fontScript;
+    }
+    for(const [style, file] of Object.entries(FONT.files)){
+      doc.addFileToVFS(file, window.font_NotoSans[file]);
+      doc.addFont(file, FONT.family, style);
+    }
+  }
+
+  // `family` is the font the layout sets text in: FONT once embedFont has run on the document
+  function createLayout(doc, {family = 'helvetica'} = {}){
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const L = {
+      doc, margin: MARGIN, pageWidth, pageHeight,
+      width: pageWidth - MARGIN * 2,
+      top: MARGIN + HEADER_HEIGHT,
+      bottom: pageHeight - FOOTER_HEIGHT,
+      y: MARGIN,
+      headings: []
+    };
+
+    L.page = () => doc.getNumberOfPages();
+
+    L.newPage = function(){
+      doc.addPage();
+      L.y = L.top;
+    };
+
+    // start a new page unless `h` more points fit above the footer
+    L.ensureSpace = function(h){
+      if(L.y + h > L.bottom) L.newPage();
+    };
+
+    L.moveDown = function(h){
+      L.y += h;
+    };
+
+    L.setFont = function({size = 10, style = 'normal', color = 0} = {}){
+      doc.setFontSize(size);
+      doc.setFont(family, style);
+      doc.setTextColor(color);
+    };
+
+    // flowing text: wraps to the content width, continues on the next page when it runs out of room
+    L.paragraph = function(text, {size = 10, style = 'normal', color = 0, gap = 8, indent = 0, lineHeight} = {}){
+      L.setFont({size, style, color});
+      const lh = lineHeight || Math.max(LINE, size * 1.2);
+      for(const line of doc.splitTextToSize(String(text), L.width - indent)){
+        L.ensureSpace(lh);
+        doc.text(line, L.margin + indent, L.y);
+        L.y += lh;
+      }
+      L.y += gap;
+      L.setFont();
+    };
+
+    // heading kept with at least `keep` points of what follows; listed in the table of contents unless toc is false
+    L.heading = function(text, {level = 1, toc = true, keep = 3 * LINE} = {}){
+      const size = level === 1 ? 13 : 11;
+      L.ensureSpace((level === 1 ? 10 : 4) + size + keep);
+      if(level === 1 && L.y > L.top) L.y += 10;
+      L.setFont({size, style: 'bold'});
+      doc.text(String(text), L.margin, L.y);
+      if(toc) L.headings.push({text: String(text), level, page: L.page(), y: L.y});
+      L.y += size + 4;
+      L.setFont();
+    };
+
+    L.image = function(data, format, w, h, {gap = 10} = {}){
+      L.ensureSpace(h);
+      doc.addImage(data, format, L.margin, L.y, w, h);
+      L.y += h + gap;
+    };
+
+    // small coloured square on the current line; color is '#rrggbb' or [r, g, b]
+    L.swatch = function(color, x, y, size = 9){
+      if(Array.isArray(color)) doc.setFillColor(...color);
+      else doc.setFillColor(color);
+      doc.rect(x, y - size + 1, size, size, 'F');
+    };
+
+    // Table with a header row repeated on every page it spans.
+    // columns: [{title, width, align:'left'|'right'}]; cells: strings or {text, color} for a swatch before the text.
+    // Text wider than its column wraps onto further lines and the row grows to hold them.
+    L.table = function(columns, rows, {size = 9, gap = 10} = {}){
+      const rowH = Math.max(LINE, size * 1.4);
+      const lineH = size * 1.15;
+      const xs = [];
+      let x = L.margin;
+      for(const c of columns){ xs.push(x); x += c.width; }
+      // the wrapped lines of each cell in the current font, and the height of the row they make
+      const layoutRow = cells => {
+        const laid = columns.map((c, i) => {
+          const cell = cells[i];
+          const color = cell && typeof cell === 'object' ? cell.color : null;
+          const cx = color ? xs[i] + 13 : xs[i];
+          const w = color ? c.width - 13 : c.width;
+          const t = cell && typeof cell === 'object' ? String(cell.text) : String(cell === null || cell === undefined ? '' : cell);
+          const lines = doc.splitTextToSize(t, Math.max(10, w - 4));
+          return {color, cx, lines: lines.length ? lines : ['']};
+        });
+        return {cells: laid, height: rowH + (Math.max(...laid.map(c => c.lines.length)) - 1) * lineH};
+      };
+      const drawCells = ({cells}) => {
+        columns.forEach((c, i) => {
+          const {color, cx, lines} = cells[i];
+          if(color) L.swatch(color, xs[i], L.y);
+          lines.forEach((line, k) => {
+            if(c.align === 'right') doc.text(line, xs[i] + c.width - 4, L.y + k * lineH, {align: 'right'});
+            else doc.text(line, cx, L.y + k * lineH);
+          });
+        });
+      };
+      const drawHeader = () => {
+        L.setFont({size, style: 'bold'});
+        const header = layoutRow(columns.map(c => c.title));
+        drawCells(header);
+        doc.setDrawColor(180);
+        doc.line(L.margin, L.y + header.height - rowH + 3, x, L.y + header.height - rowH + 3);
+        L.y += header.height;
+        L.setFont({size});
+      };
+      L.ensureSpace(rowH * 2);
+      drawHeader();
+      for(const cells of rows){
+        const row = layoutRow(cells);
+        if(L.y + row.height > L.bottom){ L.newPage(); drawHeader(); }
+        drawCells(row);
+        L.y += row.height;
+      }
+      L.y += gap;
+      L.setFont();
+    };
+
+    return L;
+  }
+
+  function loadImage(src){
+    return new Promise(resolve => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => resolve(null);
+      img.src = src;
+    });
+  }
+
+  function createReport(options = {}){
+    const opts = Object.assign({}, DEFAULTS, options);
+    const sections = [];
+
+    function addSection(section, {before} = {}){
+      removeSection(section.id);
+      const i = before ? sections.findIndex(s => s.id === before) : -1;
+      if(i >= 0) sections.splice(i, 0, section);
+      else sections.push(section);
+      return report;
+    }
+    function removeSection(id){
+      const i = sections.findIndex(s => s.id === id);
+      if(i >= 0) sections.splice(i, 1);
+      return report;
+    }
+
+    // first page: logo, organisation, title, subtitle and meta lines
+    async function drawCover(L){
+      const {doc} = L;
+      const logo = opts.logo ? await loadImage(opts.logo) : null;
+      if(logo){
+        try{ doc.addImage(logo, 'JPEG', L.margin, 20, 60, 60); } catch(e){ /* ignore unreadable logo */ }
+      }
+      L.setFont({size: 18, style: 'bold'});
+      doc.text(opts.org, L.pageWidth / 2, 40, {align: 'center'});
+      L.setFont({size: 14, style: 'bold'});
+      doc.text(opts.title, L.pageWidth / 2, 62, {align: 'center'});
+      L.y = 100;
+      if(opts.subtitle) L.paragraph(opts.subtitle, {size: 10, gap: 2});
+      for(const line of opts.meta || []) L.paragraph(line, {size: 9, gap: 2});
+      L.y += 10;
+    }
+
+    // Table of contents on its own page(s) after the cover pages; entries link to their page
+    function insertToc(L, coverPages){
+      const {doc} = L;
+      const entries = L.headings.filter(e => e.page > coverPages);
+      if(!opts.toc || !entries.length) return 0;
+      const perPage = Math.floor((L.bottom - L.top - 30) / 16);
+      const tocPages = Math.ceil(entries.length / perPage);
+      const first = coverPages + 1;
+      for(let i = 0; i < tocPages; i++) doc.insertPage(first + i);
+      entries.forEach((e, i) => {
+        const tocPage = first + Math.floor(i / perPage);
+        doc.setPage(tocPage);
+        let y = L.top + 30 + (i % perPage) * 16;
+        if(i % perPage === 0){
+          L.setFont({size: 13, style: 'bold'});
+          doc.text(opts.contents, L.margin, L.top);
+        }
+        const target = e.page + tocPages;
+        const indent = e.level === 1 ? 0 : 14;
+        L.setFont({size: e.level === 1 ? 10 : 9, style: e.level === 1 ? 'bold' : 'normal'});
+        const label = doc.splitTextToSize(e.text, L.width - indent - 50)[0];
+        doc.textWithLink(label, L.margin + indent, y, {pageNumber: target});
+        doc.text(String(target), L.margin + L.width, y, {align: 'right'});
+      });
+      L.setFont();
+      return tocPages;
+    }
+
+    function drawHeaderFooter(L){
+      const {doc} = L;
+      const total = doc.getNumberOfPages();
+      for(let i = 1; i <= total; i++){
+        doc.setPage(i);
+        if(i > 1){
+          L.setFont({size: 8, color: 110});
+          doc.text(doc.splitTextToSize(`${opts.org} · ${opts.title}${opts.subtitle ? ' · ' + opts.subtitle : ''}`, L.width)[0], L.margin, MARGIN - 8);
+          doc.setDrawColor(200);
+          doc.line(L.margin, MARGIN - 3, L.margin + L.width, MARGIN - 3);
+        }
+        L.setFont({size: 8, color: 90});
+        doc.text(doc.splitTextToSize(opts.footer, L.width - 60), L.margin, L.pageHeight - 40);
+        doc.text(opts.pageLabel.replace('{page}', i).replace('{pages}', total), L.margin + L.width, L.pageHeight - 40, {align: 'right'});
+      }
+      L.setFont();
+    }
+
+    async function build(){
+      const { jsPDF } = window.jspdf;
+      const doc = new jsPDF({orientation: 'portrait', unit: 'pt', format: 'a4'});
+      await embedFont(doc);
+      const L = createLayout(doc, {family: FONT.family});
+      await drawCover(L);
+      const render = async s => {
+        if(s.title) L.heading(s.title, {toc: s.toc !== false});
+        await s.render(L);
+      };
+      for(const s of sections.filter(s => s.cover)) await render(s);
+      const coverPages = L.page();
+      const body = sections.filter(s => !s.cover);
+      if(body.length) L.newPage();
+      for(const s of body) await render(s);
+      insertToc(L, coverPages);
+      drawHeaderFooter(L);
+      return doc;
+    }
+
+    const report = { options: opts, sections, addSection, removeSection, build };
+    return report;
+  }
+
+  window.APP = window.APP || {};
+  window.APP.pdf = { createLayout, createReport, embedFont, FONT, DEFAULTS };
+})();
@@ -0,0 +1,202 @@
+// ranking.js
+// Sortable ranking of every region at a level (state, LGA, ward) by risk and facility coverage.
+// Uses the counts, risk lookups and map helpers compare.js shares on window.APP.compare, and the
+// share of each region's area within the service radii (coverage.js).
+// Clicking a row highlights that region on the map and zooms to it. Headings, categories and
+// numbers follow the interface language (i18n.js).
+
+(function(){
+  const cmp = window.APP.compare;
+  const geometry = window.APP.geometry;
+  const riskConfig = window.APP.riskConfig;
+  const coverage = window.APP.coverage;
+  const i18n = window.APP.i18n;
+  const {t} = i18n;
+
+  // DOM references
+  const panel = document.getElementById('ranking-panel');
+  const levelSel = document.getElementById('ranking-level');
+  const table = document.getElementById('ranking-table');
+  const btnRanking = document.getElementById('btnRanking');
+  const btnClose = document.getElementById('close-ranking');
+
+  const fmt = (v, digits=0) => i18n.number(v, {minimumFractionDigits: digits, maximumFractionDigits: digits});
+  const pct = v => i18n.number(v, {style: 'percent', maximumFractionDigits: 0});
+  // share of the area in reach, null when the region has no measurable area
+  const reach = (r, type) => r.coverage ? r.coverage[type] : null;
+
+  // Columns: `msg` is the heading's message key, `value` feeds sorting, `text` the cell
+  const COLUMNS = [
+    {key:'name', msg:'col.region', value: r => r.name, text: r => r.name},
+    {key:'parent', msg:'ranking.within', value: r => r.parent || '', text: r => r.parent || '', levels:['lga','ward']},
+    {key:'adjusted', msg:'ranking.risk', value: r => r.adjusted, text: r => fmt(r.adjusted, 1)},
+    {key:'category', msg:'col.category', value: r => r.adjusted === null ? null : riskConfig.classes.indexOf(riskConfig.classify(r.adjusted)), text: r => i18n.category(riskConfig.classify(r.adjusted))},
+    {key:'final', msg:'ranking.final', value: r => r.final, text: r => fmt(r.final, 1)},
+    {key:'crime', msg:'ranking.crime', value: r => r.crime, text: r => fmt(r.crime)},
+    {key:'police', msg:'col.police', value: r => r.counts.police, text: r => fmt(r.counts.police)},
+    {key:'army', msg:'col.army', value: r => r.counts.army, text: r => fmt(r.counts.army)},
+    {key:'checkpoints', msg:'col.checkpoints', value: r => r.counts.checkpoints, text: r => fmt(r.counts.checkpoints)},
+    {key:'area', msg:'col.area', value: r => r.area, text: r => fmt(r.area)},
+    {key:'density', msg:'ranking.density', value: r => r.density, text: r => fmt(r.density, 2)},
+    {key:'perCrime', msg:'ranking.perCrime', value: r => r.perCrime, text: r => fmt(r.perCrime, 3)},
+    {key:'covPolice', msg:'ranking.reach.police', value: r => reach(r, 'police'), text: r => pct(reach(r, 'police'))},
+    {key:'covArmy', msg:'ranking.reach.army', value: r => reach(r, 'army'), text: r => pct(reach(r, 'army'))},
+    {key:'covCheckpoints', msg:'ranking.reach.checkpoints', value: r => reach(r, 'checkpoints'), text: r => pct(reach(r, 'checkpoints'))},
+    {key:'gap', msg:'ranking.gap', value: r => r.coverage ? 1 - r.coverage.any : null, text: r => pct(r.coverage ? 1 - r.coverage.any : null)}
+  ];
+
+  // numeric property of the feature itself, or of its state when the level does not store it
+  function propWithFallback(level, feature, field){
+    const own = feature.properties && feature.properties[field];
+    if(own !== null && own !== undefined && own !== '' && !isNaN(Number(own))) return {value: Number(own), inherited: false};
+    if(level === 'state') return {value: null, inherited: false};
+    const state = cmp.ancestorAt(level, feature, 'state');
+    const v = state && state.properties ? state.properties[field] : null;
+    return (v === null || v === undefined || v === '' || isNaN(Number(v))) ? {value: null, inherited: false} : {value: Number(v), inherited: true};
+  }
+
+  // one row per polygon; the counts come from the cached one-owner assignment so the sweep stays cheap
+  function buildRows(level){
+    const lv = cmp.levels[level];
+    if(!lv || !lv.available) return [];
+    return lv.geo.features.map(f => {
+      const counts = cmp.countFacilitiesInFeature(f);
+      const stored = Number(f.properties && f.properties.area_sqkm);
+      const area = stored > 0 ? stored : geometry.areaKm2(f);
+      const total = counts.police + counts.army + counts.checkpoints;
+      const adjusted = propWithFallback(level, f, riskConfig.field);
+      const final = propWithFallback(level, f, 'final_risk_score');
+      const crime = propWithFallback(level, f, 'crime_total_clean');
+      const parentLevel = lv.parent;
+      const parentFeat = parentLevel ? cmp.ancestorAt(level, f, parentLevel) : null;
+      return {
+        feature: f,
+        name: cmp.featureName(level, f) || t('ranking.unnamed'),
+        parent: parentFeat ? cmp.featureName(parentLevel, parentFeat) : null,
+        adjusted: adjusted.value, final: final.value, crime: crime.value,
+        inherited: {adjusted: adjusted.inherited, category: adjusted.inherited, final: final.inherited, crime: crime.inherited},
+        counts, area,
+        coverage: coverage.coverageOf([f]),
+        density: area > 0 ? total / area * 1000 : null,
+        // facilities per crime only for areas with crime on their own polygon, inherited totals would mislead
+        perCrime: crime.value && !crime.inherited ? total / crime.value : null
+      };
+    });
+  }
+
+  let rows = [];
+  let sortKey = 'adjusted';
+  let sortDir = -1;
+
+  function render(){
+    const level = levelSel.value;
+    const cols = COLUMNS.filter(c => !c.levels || c.levels.includes(level));
+    const col = cols.find(c => c.key === sortKey) || cols[0];
+    const sorted = rows.slice().sort((a, b) => {
+      const va = col.value(a), vb = col.value(b);
+      // blanks always last, whichever the direction
+      const na = va === null || va === undefined || va === '', nb = vb === null || vb === undefined || vb === '';
+      if(na || nb) return na === nb ? 0 : (na ? 1 : -1);
+      return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * sortDir;
+    });
+
+    table.innerHTML = '';
+    const thead = table.createTHead().insertRow();
+    const th0 = document.createElement('th');
+    th0.textContent = '#';
+    thead.appendChild(th0);
+    for(const c of cols){
+      const th = document.createElement('th');
+      th.textContent = t(c.msg) + (c.key === col.key ? (sortDir > 0 ? ' ▲' : ' ▼') : '');
+      th.className = 'sortable';
+      th.addEventListener('click', ()=>{
+        if(sortKey === c.key) sortDir = -sortDir;
+        else { sortKey = c.key; sortDir = (c.key === 'name' || c.key === 'parent') ? 1 : -1; }
+        render();
+      });
+      thead.appendChild(th);
+    }
+    const tbody = table.createTBody();
+    sorted.forEach((r, i) => {
+      const tr = tbody.insertRow();
+      tr.insertCell().textContent = String(i + 1);
+      for(const c of cols){
+        const td = tr.insertCell();
+        td.textContent = c.text(r);
+        if(c.key === 'category'){
+          const swatch = document.createElement('span');
+          swatch.className = 'risk-swatch';
+          swatch.style.background = riskConfig.classify(r.adjusted).color;
+          td.prepend(swatch);
+        }
+        else if(c.key !== 'name' && c.key !== 'parent') td.className = 'num';
+        if(r.inherited[c.key]){
+          td.classList.add('inherited');
+          td.title = t('ranking.inherited');
+        }
+      }
+      tr.addEventListener('click', ()=>{
+        for(const other of tbody.rows) other.classList.remove('selected');
+        tr.classList.add('selected');
+        cmp.highlightGeoJsonFeatures([r.feature], '#ff6600');
+        cmp.fitToFeatures([r.feature]);
+      });
+    });
+
+    // totals row: each facility is owned by one polygon, so these match the layer totals
+    const sum = get => rows.reduce((s, r) => s + (get(r) || 0), 0);
+    const totals = {
+      name: t('ranking.total'),
+      counts: {police: sum(r => r.counts.police), army: sum(r => r.counts.army), checkpoints: sum(r => r.counts.checkpoints)},
+      area: sum(r => r.area),
+      coverage: coverage.coverageOf(rows.map(r => r.feature))
+    };
+    const tfoot = table.createTFoot().insertRow();
+    tfoot.insertCell();
+    for(const c of cols){
+      const td = tfoot.insertCell();
+      if(['name','police','army','checkpoints','area','covPolice','covArmy','covCheckpoints','gap'].includes(c.key)) td.textContent = c.text(totals);
+      if(c.key !== 'name') td.className = 'num';
+    }
+  }
+
+  function refresh(){
+    rows = buildRows(levelSel.value);
+    render();
+  }
+
+  function levelOptions(){
+    const value = levelSel.value;
+    levelSel.innerHTML = '';
+    for(const key of Object.keys(cmp.levels)){
+      const lv = cmp.levels[key];
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = lv.available ? t(`level.${key}`) : t('level.noLayer', {level: t(`level.${key}`)});
+      opt.disabled = !lv.available;
+      levelSel.appendChild(opt);
+    }
+    if(value) levelSel.value = value;
+  }
+  levelOptions();
+  levelSel.addEventListener('change', refresh);
+
+  btnRanking.addEventListener('click', ()=>{
+    // follow the comparison card's level when it has one loaded
+    const cardLevel = document.getElementById('level').value;
+    if(cmp.levels[cardLevel] && cmp.levels[cardLevel].available) levelSel.value = cardLevel;
+    panel.style.display = 'block';
+    refresh();
+  });
+  btnClose.addEventListener('click', ()=>{ panel.style.display = 'none'; });
+  // scores change under a risk-model scenario (riskmodel.js)
+  document.addEventListener('riskmodel:change', ()=>{ if(panel.style.display === 'block') refresh(); });
+  // coverage shares change with the service radii (coverage.js)
+  document.addEventListener('coverage:change', ()=>{ if(panel.style.display === 'block') refresh(); });
+  document.addEventListener('i18n:change', ()=>{
+    levelOptions();
+    if(panel.style.display === 'block') refresh();
+  });
+
+  // End of ranking.js
+})();
@@ -0,0 +1,8 @@
+// Noto Sans Regular and Bold for the PDF reports (pdflayout.js loads this file on the first report).
+// TrueType, base64, subset to Basic Latin, Latin-1, Latin Extended-A/B, IPA and spacing modifiers, combining
+// marks, Latin Extended Additional, punctuation, currency (₦), letterlike symbols, arrows, maths and shapes.
+// Copyright 2022 The Noto Project Authors; SIL Open Font License 1.1, see OFL.txt next to this file.
+var font_NotoSans = {
+  "NotoSans-Regular.ttf": "AAEAAAAQAQAABAAAR0RFRr69wkkAAASwAAACdkdQT1POOLu0AABSIAAAeTxHU1VCc2CmHwAANJgAAB2IT1MvMot2I8EAAAIYAAAAYFNUQVReY0M5AAABuAAAAF5jbWFwpNpYQQAABygAAAQUZ2FzcAAAABAAAAEUAAAACGdseWY2EvuIAADLXAABt15oZWFkKH/bDAAAAYAAAAA2aGhlYQyzD5wAAAFcAAAAJGhtdHiAcMuJAAAZCAAAG5Bsb2NhSN3bnAAACzwAAA3KbWF4cAcHAY4AAAEcAAAAIG5hbWUxK1eQAAACeAAAAjZwb3N0/58AMgAAATwAAAAgcHJlcGgGjIUAAAEMAAAAB7gB/4WwBI0AAAEAAf//AA8AAQAABuQBEQAYAHsABgABAAAAAAAAAAAAAAAAAAQAAQADAAAAAAAA/5wAMgAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAAAQt/tsAAAsY/ZP63QrwA+gAAAAAAAAAAAAAAAAAAAbkAAEAAAACA9fdjuorXw889QADA+gAAAAA3YDT5wAAAADjY8A8/ZP+BArwBCsAAAAGAAIAAAAAAAAAAQABAAgAAwAAABQAAwAAACwAAndnaHQBAAAAd2R0aAEBAAFpdGFsAT8AAgAiABYABgADAAIAAgFAAAAAAAABAAAAAQABAAIBPgBkAAAAAwAAAAIAAgGQAAACvAAAAAAABAI6AZAABQAAAooCWAAAAEsCigJYAAABXgAyAUIAAAILBQIEBQQCAgSgAAB/AAAgCgAAAAAAAAAAR09PRwDAACAlzAQt/tsAAARkAYsAAAGfAAAAAAIYAsoAAAAgAAYAAAAMAJYAAwABBAkAAAC2AOoAAwABBAkAAQASANgAAwABBAkAAgAOAMoAAwABBAkAAwA2AJQAAwABBAkABAAiAHIAAwABBAkABQAaAFgAAwABBAkABgAgADgAAwABBAkBAAAMACwAAwABBAkBAQAKACIAAwABBAkBPgAMABYAAwABBAkBPwAMAAoAAwABBAkBQAAKAAAAUgBvAG0AYQBuAEkAdABhAGwAaQBjAE4AbwByAG0AYQBsAFcAaQBkAHQAaABXAGUAaQBnAGgAdABOAG8AdABvAFMAYQBuAHMALQBSAGUAZwB1AGwAYQByAFYAZQByAHMAaQBvAG4AIAAyAC4AMAAxADUATgBvAHQAbwAgAFMAYQBuAHMAIABSAGUAZwB1AGwAYQByADIALgAwADEANQA7AEcATwBPAEcAOwBOAG8AdABvAFMAYQBuAHMALQBSAGUAZwB1AGwAYQByAFIAZQBnAHUAbABhAHIATgBvAHQAbwAgAFMAYQBuAHMAQwBvAHAAeQByAGkAZwBoAHQAIAAyADAAMgAyACAAVABoAGUAIABOAG8AdABvACAAUAByAG8AagBlAGMAdAAgAEEAdQB0AGgAbwByAHMAIAAoAGgAdAB0AHAAcwA6AC8ALwBnAGkAdABoAHUAYgAuAGMAbwBtAC8AbgBvAHQAbwBmAG8AbgB0AHMALwBsAGEAdABpAG4ALQBnAHIAZQBlAGsALQBjAHkAcgBpAGwAbABpAGMAKQAAAAEAAgA8AAAADgAAAUIADgAFACYAJgAmABgAGAACAAEEIwQnAAAAAgAKAAYAAQJ3AAEBOwABAAQAAQEtAAIAKwAdAB8AAQAiADsAAQBCAFsAAQBqAGoAAQB6AHoAAQCAAJYAAQCYALYAAQC4AUcAAQFYAV8AAQF2AXYAAQF/AX8AAQGBAYIAAwGTAZMAAQGVAZgAAQGaAZ0AAQGjAyEAAQMqAysAAQMuAy4AAQMxAzEAAQMzAzQAAQM5AzsAAQM9A0IAAQNdA10AAwNfA/AAAQQNBA0AAQQdBCEAAQQjBCcAAgQoBRUAAQWiBaMAAQWvBa8AAQWxBbMAAQW1BbUAAQW5BbkAAQW8Bb0AAQXDBcMAAQXIBcgAAQZYBlgAAQZZBnEAAwZzBsEAAwbDBtMAAwbUBtwAAQbiBuIAAwbjBuMAAQABAAYAAADuAAAA3AAAAIoAAAB6AAAAKAAAABwAAQAEBm0Gcwa1BuIAAgANAYEBgQAAA10DXQABBlkGbAACBpQGmQAWBp0GnwAcBqMGpQAfBqoGqgAiBq0GrQAjBq8GsAAkBrIGswAmBrYGwAAoBsMGxQAzBscG0wA2AAEABgaLBowGjQaOBo8GxgACAA0BggGCAAAGbgZxAAEGdAaKAAUGkAaTABwGmgacACAGoAahACMGpgapACUGqwasACkGrgauACsGsQaxACwGtAa0AC0GwQbBAC4GxgbGAC8AAQAHBlkGXgZfBmAGYgZjBmkAAgALA10DXQAABlkGbAABBpQGmQAVBp0GnwAbBqMGpQAeBqoGqgAhBq0GrQAiBq8GsAAjBrIGswAlBsMGwwAnBscG0wAoAAAAAAACAAAAAwAAABQAAwABAAAAFAAEBAAAAACAAIAABgAAAH4BMAExAWEBYwF/AZEBkgGfAaEBrgGwAdwB3QHvAfAB+QH/AhcCGwI2AjcCWQJdArsCvALFAskC1wLeAvIC8wL/AwwDJQMmA0EDRQNXA1gDYgNvHgEePR4/Hn8ehR6bHp8e8R7/IAsgFiAeIGQgaSBvIKwgtSDAIU8iEiXM//8AAAAgAKABMQEyAWIBZAGAAZIBkwGgAaIBrwGxAd0B3gHwAfEB+gIAAhgCHAI3AjgCWgJeArwCvQLGAsoC2ALfAvMC9AMAAw0DJgMnA0IDRgNYA1kDYx4AHgIePh5AHoAehh6cHqAe8iAAIAwgFyAfIGYgaiCgIK0gtiEAIhIlzP///+H/wAMd/78Amv+/AH7/rQB9//oAe//tAHkCbwB4/6MAd/9GAHEAAABtAhgAbAAAAGn+2ABoAAAAZQAAAF7+pgBdAAADWP5cA1cDgQNTA10DUgAA45flXeNX5Vvi2OVVAADjAwAA4YcAAOFMAADlLuOXAADjZAAAAADkz95SAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABaAAAAAAAAAFoAAAAAAAAAWgAAAF4AAAAAAAAAZAAAAAAAAAAAAAAAAAAAAG4AAAAAAAAAAAAAAAAAegAAAH4AAACWAAAAqAAAAAABLgAAAUQBWAAAAAAAAAFGAUcBIQEiBE0CxgRKBEsBSAFJAy4BSgFLAUwBTQFOAU8BUAXKBlsGXAZeBmIGYwZkBmAGWgZZA10GYQZdBl8GxwbKBswGzgbRBsgGyQbLBs0GzwbQBtIG0wRRBFIEKQRJAV4BXwH1AfYB9wH4AfkB+gQoBFAEKgRTBCsEVAPxA/ID8wP0BXoFewP1AWABYQFiA/YD9wFrAWwBbQV1BWcFcgFuBWIFjgWPA/gD+QP6A/sD/AP9AW8FrAFwAXED/gV9BXwFfwVYAXIBcwVqAXQFZAP/BXQFWgVZBVMFYwF1BVYFVwVoBWkFXQVvBWsFVAVVBWYFbAVbBXEFpwVtBWUFXwVuBX4FYQVeBXMFYAVcBXAEAAWNBZgFkAWTBZIFkQQKBAsEDAF3AXgEDQQOAXkEDwQQBZwB+wF6BZkFnQWeBBoEIgWfBZoFmwWgBaEG4wW2BbcE9QW5BboBewW4BP4FxAW8BQ0E7gTpBPYFCQUKBO8E6gTwAXwFvgT3AX0EGwXJBPgE+QTyBOsE+gXBBcMFxQXHAX4FyAT7Bb8BfwWjBOwGWAT/BPQE7QToAYAFCwUABQEE8wUCBQwFpAWmBasFqAW9BbUFuwUIBQcE/QTxBbAFsQWyBa8FswT8BQMFBAUFBQYFwgWlBcAEHAQdBcYAAAAAAAAAHQAzAGMAtAECAV0BawGJAakByAHdAfMB/wIVAiUCWQJ0AqIC5gMOA0MDiwOdA/cEQARlBIwEnwSyBMUFBQV1BZoF0wYEBigGPwZTBocGnga2BtUG8gcBBykHSwd+B6QH3ggKCFAIYQiCCKEI5QkACRYJLQk+CU0JXglxCX4JlgnUCgsKOgpwCqMKygsUCz4LWwuIC6oLtgvxDBUMSAyFDL0M4g0hDUgNbw2NDdEN6g4bDjIOaQ52DqwO1g7WDvMPKg9eD64P0Q/jEEgQbhDLEQcRJRE1ET0RlRGjEc8R6RIUElASaBKVErUSvhLjEv8TJxNFE4QTzRQtFG4UehSGFJIUnhSqFLYU2RTlFPEU/RUJFRUVIRUtFTkVRRVxFX0ViRWVFaEVrRW5FdMWIRYtFjkWRRZRFl0WhRbaFuUW8Rb8FwcXEhceF4QXkBebF6cXshe9F8gX0xfeF+oYOhhFGFEYXRhoGHMYfhiqGPUZARkNGRgZIxkvGW4ZeRmFGZAZnBmnGbMZvxnLGdcZ4xnuGfoaBhoSGh0aKRpyGnoauBrEGs8a2xrmGvIa/hsKG1sbZxtyG34biRuVG6AbrBu4G8QcHxwrHDccXByOHJocpRyxHLwcyBzTHN4c6Rz1HQEdDR0ZHSQdMB08HV4dah12HYIdjh2xHdAd3B3oHgIeGh4mHjIePh5KHlYeYR5sHqEe2B7kHu8e+x8GHxIfHR9cH7UfwR/NH9kf5B/wH/sgByATIB8gKiA2IEEgTSBYIGQgcCB8ILUgziD7IQchEiEeISkhNSFAIUwhWCFkIW8hriG6IcYh0iHeIekh9SIBIg0iGSIlIjEiPCJbIpki6yNaI2YjciN+I4ojliOiI8Mj5CPxJA8kJSRLJG4kliTAJO4lDCUsJWUluCXeJfsmByYTJh8mKyY3JkImTiZZJmUmcSZ5Jowmoia5JsIm2ScAJycnMCdKJ3AnjCecKAooFygjKDUoRyhTKGMohCigKNopHSloKbsp/ypJKnkqgSq4KtIq6SsMKzsrTSubK5srmyubK5srmyubK5srmyubK5srmyubK6Yrriu6K8Yr0ivdLAMsRSyFLLYs6i0kLVotlS3DLfIt/i4KLhYuIi5yLtkvKS+PL+4wZDDGMT8xTzFeMagyCTJTMrQzDDN7M9Y0SDRYNGc0czR/NIs03DToNPM1NTWRNdM2LzaANuw3QDevN783zjgFODA4PDhIOFQ4YDixOQI5Xzm8Ohk6djriO047vTwsPDw8SzxXPGM8bzx7PIc8kzyfPKo8tjzCPM482j0ZPV09aT11PYE9jT3cPi4+Oj5FPlE+XT5pPnU+qT75PwU/ED9VP2E/bD+uP/lAH0BcQIZAukDqQS9BcUF5Qa5B1EISQmZCfEKEQsdC9EM7Q3pDtUPSQ/JEIkRVRGpEtkTyRSZFLkU2RYJFzUYERldGhUbJRwlHEUdKR4FHokfZR/pINEhoSI9I0kjxSQ9JF0lFSXVJuUntSh1KS0qJSrxKyErUSvJK+ksKSxpLKks2S0JLTktaS2ZLckt+S4lLlUugS6xLt0vDS85MFExfTK9NA01eTb5ODk5jTq5PEE9MT59Pq0+3T/JQQ1BPUFpQZlByUH5QilCaUKlQtVDAUMxQ2FDkUPBQ/FEqUV1RaVF1UYFRjVGZUaVRsVG9UclR1VHhUe1R+VIFUhFSHVIpUjVSQVJNUllSZVJxUn1SiVKVUtVTFVMhUy1TVFPFVA5UVlSHVI9Um1SnVLNUv1UXVW9VyVYjVi9WO1aFVs9W21bmVx5XbleuWApYZ1iWWNBZCFkfWTpZlVnGWfJaHVpdWoRajFqsWuhbEFtHW5db31wQXDtcV1yPXMxdDV1OXZhdxV4XXmVerF7gXxNfVV+XX75gHGAkYFhglmD1YR9hV2GgYcJhymHiYhZiR2JkYphi0mMQY1tjkmPIY+hj8GQvZHZksmTWZPllMWVVZYplqWXKZfBmFWZnZpVmzGb6ZzlnYGeHZ7Nn6mggaEBog2i0aMlo82kuaTZpiGm2aeNqEGpDaoZqvGr+a0VrWmuYa7pryGwTbEhsfGzBbR9tiW3dbituj27kbypvRG9zb41vxnAQcDRwZ3CUcLdw2nEOcTJxcnGfcadxr3G3cb9x13HvchNyNnJIcllyanJ8colykXKZcqZyr3K4csFy03Lfcuhy8XL6cwNzDHMZcyJzXHNpc6ZzvnPkc/N0BHQVdCZ0NXREdFR0XXRmdG50f3SQdKF0sXS6dON07HT1dP51DHUadSd1NHVFdVR1aXWNdbd1w3XPddt153Xzdf92D3Yfdit2N3ZDdk92W3Zndql2/ncKdxZ3RXePd754B3gTeB94K3g3eEd4VnhieG54eniFeJF4nXipeLV4wXjNeNh443jvePt5B3kTeVp5lXmhea15uXnFedF53XnpefV6BXoVeiF6LXo5ekV6UXpdeml6dXqBeo16mXqlerF6vXrJetV7OXudfA98gXzLfRV9X32pfbV9wX3Nfdl95X3xff1+CX4Zfih+NH5Afkx+WH5kfnB+2H84f6mAE4AjgDOAP4BKgFaAYoBugHqAhoCSgJ6AqoC2gMKAzoDagSyBg4HJghWCIYIsgjiCRIJQglyCaIJ0goCCjIKYgqOCr4K7gseC0oLeguqC9oMCgw6DGoMmgzGDPYNJg0mDSYNgg3eDhIOPg7iDx4PWg+eD/IQRhBGELoQ2hHuElISrhLuEzITlhPyFIoVkhaaF2IYzhoGGxIcDh2aHn4fBh+eISoibiOWJIIlcibeJ84ohinSK1Yrni+iMIYwpjGKMkoyejKqMtozGjNaM7I0sjWmNpo2yjb6Nyo3WjeGN7Y35jgWOEY4djimONY5Bjk2OiY6VjqGOrY7YjuSO8I77jwaPEo8ejz2PSY9Vj2GPaY+tkAyQFJBgkGyQiZCkkMuQ8JEtkWaRcZF9kdiR5JIokjSSQJJMkliSZJJvknuSh5KTkp6SqpLHktKS9JL/kwqTFZMgkyuTNpNCk02TXJNnk4iTk5PKk/iUA5QOlBqUJZQxlFKUeJSDlIuUoJSrlLaUwZTMlNeU45TulPmVBJUXlUiVU5VelWqVdpWOlbSVv5XVleCV65X2lgKWDZYZliWWMJY7lkaWY5ZuloyWmJaolrSW1pbilu6XCJcxl1eXYpdtl3mXr5e6l+uX9pgBmAyYF5gimC6YOpiImJOYnpjcmP+ZJJlbmYCZi5mWmaKZ5JnvmfqaBZoQmhyaVZpnmoCai5qWmqKawZrMmtea4prtmvibBJsPm0ybWJtjm36bvJvHm9Ob3pvpnAKcGJwjnC6cOZxEnFqcZZxwnHyc5p11nd6elp8Kn92gtaEkobWh1KKioreiw6L4oxujOaNlo7Oj7qQLpDykUaRZpGGk+KWtplSmmabjpxOnWaeTp+eoGahVqKGo96lvqZOps6m/qfWqFapJqoWqqaqxqrmqwarJqtGq2arhqumq8ar5qySrP6tuq7Cr1qwLrFKsZazBrQatOK1SrX+twa3orh2uZa53rtGvGq9Vr16vZ69wr3mvgq+Lr5Svna+mr6+vuK/Br8qv06/cr+Wv7q/3sACwCbASsBuwJLAtsDawP7BIsFGwWrBjsLGwzbDpsQCxF7EpsUCxYLFrscOxz7Insk6ylLLasuOy67Mus02zVrNes2qzdrPXs/e0HrRMtIK0lLTJtNW04bUHtSa1MrU7tUS1XrV4tYC1iLWUtaK1trXGteG1/LYytmi2ebaKtqe2xLcEt0S3ULdit3O3c7dzt3O3c7dzt3O3c7dzt3O3c7dzt3O3qbfXuAa4N7jFuN25Q7l+uc66BrpAune60rrvux67MLs5u0y7erwSvBu8L7w+vGe8m7yrvMG8670lvY2+Cb5WvmK+nr7ivu6+9r8+v3nAWMCKwLXA7MEiwXzCMcJYwoLDA8MkwzjDTMNhw3XDh8Ocw6/DxcPaw/DEAsQWxCvEP8RVxGrEfcSTxKjEv8TUxOvE/sUUxSfFPcVTxWnFesWMxaHFtsXNxePF9sYKxh3GMcZDxlfGbMaAxpbGq8a8xtDG5Mb5xw3HIsc0x0XHWsdvx4THmMepx7vH0Mflx/vIEsgkyDnITMhiyHfIjcigyLTIycjdyPDJBskbyTLJR8leyXDJhcmaya/Jw8nYyerJ/coTyinKQMpXymjKfMqOyqPKt8rMyt/K9MsKyx/LNstNy2HLdMuIy5zLrsvDy9jL7MwBzBbMJ8w6zFDMZsx9zJTMpsy6zM3M4sz4zQ7NIM0zzUjNXM1yzYjNms2vzcLN2M3szgLOFc4ozjzOUM6jzsHOys7SztvO5M7tzvbO/88IzxHPGs8jzzDPPM9Nz3bPoM++z8bPzs/Wz97P58/w0ADQENAf0DXQTdBd0G3QgdCK0KXQwdDX0ODQ6dDx0PnRAtES0TrRQ9FM0VXRXtFn0XDRfdGG0Y/RmNGl0bLRwdHZ0enR/dIl0j/SY9Js0nXSfdKO0pfSoNKu0uPTKNNu04HTkdRq1IvUk9S91NbU99UY1VPVW9V41b3Vz9Xq1fPWAdYK1jTWUNZh1mnWj9aq1sPW3NcG1yjXStdn14/XuNfF1+jX8Nf52AHYCtgS2EzYddip2NXY+dkV2UjZcdmS2bbZ1tnx2gnaFNo72mnahtqS2p7asdrF2u/bCtsr217bXttr23rbrwAAAlgAXgEEAAABDQBIAZgAQQKGABkCPAA+Az8AMQLcADUA4QBBASwAKAEsAB4CJwApAjwAMgEMACkBQgAoAQwASAF0AAoCPAAxAjwAWQI8ADACPAAtAjwAFQI8AD8CPAA3AjwALAI8ADECPAAyAQwASAEMAB8CPAAyAjwAOAI8ADIBsgAMA4MAOgJ/AAACigBhAngAPQLaAGECLABhAgcAYQLYAD0C5QBhAVMAKAER/7ICawBhAgwAYQOLAGEC+ABhAw0APQJdAGEDDQA9Am4AYQIlADMCLAAKAtsAWgJYAAADogAMAkoABAI2AAACPAAmAUkAUAF0AAoBSQAZAjwAJgG8//4BGQAoAjEALgJnAFUB4AA3AmcANwI0ADcBWAAPAmcANwJqAFUBAgBOAQL/yQIWAFUBAgBVA6cAVQJqAFUCXQA3AmcAVQJnADcBnQBVAd8AMwFpABACagBPAfwAAAMSAAsCEQASAf4AAQHWACcBfAAcAicA7wF8ACACPAAyAQQAAAENAEgCPABbAjwAIAI8ADsCPAAOAicA7wIBADsCRACVA0AAMQFlACAB/QAoAjwAMgFCACgDQAAxAfT//QGsADcCPAAyAV4AGAFeABEBGQAoAm8AVQKPADcBDABIAOEADgFeACUBeAAgAf0AJwLpACIDAwAWAw0ADwGyABgCfwAAAn8AAAJ/AAACfwAAAn8AAAJ/AAADcf//AngAPQIsAGECLABhAiwAYQIsAGEBUwAoAVMAKAFTAAEBUwAeAtoAHgL4AGEDDQA9Aw0APQMNAD0DDQA9Aw0APQI8AEADDQA9AtsAWgLbAFoC2wBaAtsAWgI2AAACXQBhAncAVQIxAC4CMQAuAjEALgIxAC4CMQAuAjEALgNgAC4B4AA3AjQANwI0ADcCNAA3AjQANwEC//8BAgBMAQL/2AEC//UCXQA3AmoAVQJdADcCXQA3Al0ANwJdADcCXQA3AjwAMgJdADcCagBPAmoATwJqAE8CagBPAf4AAQJnAFUB/gABAn8AAAIxAC4CfwAAAjEALgJ/AAACMQAuAngAPQHgADcCeAA9AeAANwJ4AD0B4AA3AngAPQHgADcC2gBhAmcANwLaAB4CaQA3AiwAYQI0ADcCLABhAjQANwIsAGECNAA3AiwAYQI0ADcCLABhAjQANwLYAD0CZwA3AtgAPQJnADcC2AA9AmcANwLYAD0CZwA3AuUAYQJq/9kC5QAAAmoACQFT//MBAv/KAVMAFQEC/+wBUwAOAQL/5QFTACgBAgAbAVMAKAJkACgCBABOARH/sgEC/8kCawBhAhYAVQIWAFUCDABXAQIATAIMAGEBAgBBAgwAYQECAFUCDABhAQwAVQIMAA0BAv/3AvgAYQJqAFUC+ABhAmoAVQL4AGECagBVArAAAQL4AGECagBVAw0APQJdADcDDQA9Al0ANwMNAD0CXQA3A6AAPQOyADYCbgBhAZ0AVQJuAGEBnQA+Am4AYQGdAEcCJQAzAd8AMwIlADMB3wAzAiUAMwHfADMCJQAzAd8AMwIsAAoBaQAQAiwACgFpABACLAAKAWkAEALbAFoCagBPAtsAWgJqAE8C2wBaAmoATwLbAFoCagBPAtsAWgJqAE8C2wBaAmoATwOiAAwDEgALAjYAAAH+AAECNgAAAjwAJgHWACcCPAAmAdYAJwI8ACYB1gAnAUYAVQGe//MCgAAAAjEALgNx//8DYAAuAw0APQJdADcCJQAzAd8AMwGiACgBogAoAXkAKAGHACgAtwAoASwAKAD1ACgBvwAoAbcAKAKIAJUCYQAAAjwAJgLNABkCTAAtAmAAVQFMAFIDogAMAxIACwOiAAwDEgALA6IADAMSAAsCNgAAAf4AAQH0ACgD6AAoA+gAKAGb//4ArwAMAK8ADAD6AB8ArwAMAWcADAFnAAwBoAAfAgAAQQIAADwBeABNAxcASASZADEA6AAnAZgAJwE2ACgBNgAnAfMASACC/0EBkgA3AjwALQI8ACEDCABMAjwAFwM1AEECCAA2A/wAXwMFABECzQAZAmsAMgAAAAAAAP/AAV4ACgFeAB4BXgAcAV4AGQH0AAAD6AAAAfQAAAPoAAABTQAAAPoAAACnAAACPAAAAQwAAACmAAAAZAAAAAAAAAEC/8kArwAMA4sAYQOnAFUCfwAAAjEALgFNADgDEAA9AmgANwMMAFoCogBPAw4APQJdADcC4wA7AkgAIwHyAA4CfwAAAjEALgJ/AAACMQAuAn8AAAIxAC4CfwAAAjEAEgJ/AAACMQAuAn8AAAIxAC4CfwAAAjEALgJ/AAACMQAuAn8AAAIxAC4CfwAAAjEALgJ/AAACMQAuAn8AAAIxAC4CLABhAjQANwIsAGECNAA3AiwAYQI0ADcCLABhAjQANwIsACYCNAAfAiwAYQI0ADcCLABhAjQANwIsAGECNAA3AVMAKAECADwBUwAoAQIATgMNAD0CXQA3Aw0APQJdADcDDQA9Al0ANwMNAD0CXQApAw0APQJdADcDDQA9Al0ANwMNAD0CXQA3AxAAPQJoADcDEAA9AmgANwMQAD0CaAA3AxAAPQJoADcDEAA9AmgANwLbAFoCagBPAtsAWgJqAE8DDABaAqIATwMMAFoCogBPAwwAWgKiAE8DDABaAqIATwMMAFoCogBPAjYAAAH+AAECNgAAAf4AAQI2AAAB/gABAmkANwIsAAoBaQAQAmcACQLaAAoCZwBhAmcAVQJ7AFoCZABSAngAHwJ4AD0B9wA3AtoAHgMqAAoCZwAzAmcANwJcAEYCLAA8AuMAOwJMADYCTf/vAtgAPQI6AAADpgBVAVwAWgFTACICawBhAhYAVQECAA8CHv/6BAYAWgL4//UCagBVAw4APQQzAD0DTQA3Aq0ACgJnAFUCbgBhAiUALwHfAC0CPAAmAWX/+AFpABACQAAKAWkAEAIsAAoDDgAlAtsAVwJAAAACHgABAjwAJgHWACcCSAAjAkgANwHyACIB8gAcAjoAMAJIACMB6gAhAc8AJAJLAFUBUACBAisAgQIEAEEBDQBIBQwAYQSwAGEEPQA3Ax0AYQMOAGECBABVBAkAYQP6AGEDbABVAn8AAAIxAC4BUwABAQL/2AMNAD0CXQA3AtsAWgJqAE8C2wBaAmoATwLbAFoCagBPAtsAWgJqAE8C2wBaAmoATwJ/AAACMQAuAn8AAAIxAC4Dcf//A2AALgLYAD0CZwA3AtgAPQJnADcCawBhAhb/2AMNAD0CXQA3Aw0APQJdADcCSAAjAfIADgUMAGEEsABhBD0ANwLYAD0CZwA3A6oAYQKVAGEC+ABhAmoAVQJ/AAACMQAuAn8AAAIxAC4CLABRAjQANwIsAGECNAA3AVP/ygEC/6EBUwAOAQL/5QMNAD0CXQA3Aw0APQJdADcCbgBXAZ0AEAJuAGEBnQBUAtsAWgJqAE8C2wBaAmoATwI/ACYB8AAeAuUAYQJq/9kC5QBhA18ANwKfADoCVAAyAjwAJgHWACcCfwAAAjEALgIsAGECNAA3Aw0APQJdADcDDQA9Al0ANwMNAD0CXQA3Aw0APQJdADcCNgAAAf4AAQF9AAcC6QBVAYQADgPMADcDzAA3An8AAAJ4AD0B4AA3AgwACgIsAAoB3wAzAdYAJwHAAAIBtAAMAooADwLbAAoCYQAAAiwAYQI0ADcBEf+yAQL/yQL/AD0CZwA3Am4ACgGdAAoCNgAAAf4AAQIxAFECZwA3AmcADgJnAFUB4AAhAhMAMAJnADcCZwA3AjQAMwI0ADMB4wArAlgANwEC/8kCZwA2AmcANwI+ADcB/AAAAfz//QJqAFECagBVAmoAVQECAAoBTABSAUAAJAF6AAUBXv/2AQEAVQKRAFUDpwBRA6cAUQOnAFUCav/jAmoAVQJ4AFUCXQA3A2AANwMOADgC1QA2AZ0ADwGdAA8BnQAPAZ0AVQGdAFUBWgBSAVoAEgIvAFUCLwBVAd8AMwEC/+MBAv/jAQL/8gEC/5IBaQAWAWkAEAJqAAoCXQAeAl0AUgH8AAADEgALAf4AAAHaAAAB1gAnAh4AJwHyAA4B8v/sAaoADAGqABoBqgAMAdUANwMNAD0CQABVAlgALQI+ADcCfQBVAQL/oQIWAAkBswBVAmcANwGqAAwBqgAaA8AANwPVADcECAA3AvcAEAH9ABADXgAQA14ADwKWAFUCWwBVAf0AAAJOAFUCc//sAnP/7AGSADcBkgA3AKj/3AEMADcBDAAKAQwACgFrADcB/wAHAUwAAQCvAAwBZwAMAK8ADACvAAwAqQAeAKkAHgEhAAgBIQAUAR0AGQEdABkBHQATAR0ADQCgACgBGQAoARkAKACgACgBeQAoARkAKAEZACgBQgBIAUIASAC9ACgAvQAoAQ4AHgEOAB4BDgAeASAAHgEcACgBSgAAAKgANwE3ACEBWAAMARUAEQGiAE4BogBOAaIATgGiAE4BogBOAaIATgGiAE4BogAoAe8AKAFnAAwBngAoAZ4AKAFLACgBSwAoARkAKAG3ACgBtwAoAb8AKAEMAEgBHgAoAR4AKAEeACgBHgAoAg4AKAIOACgCFgAoAAD+iwHWACcCigBhAmcAVQKKAGECZwBVAooAYQJnAFUCeAA9AeAANwLaAGECZwA3AtoAYQJnADcC2gBhAmcANwLaAGECZwA3AtoAYQJnADcCLABhAjQANwIsAGECNAA3AiwAYQI0ADcCLABhAjQANwIsAGECNAA3AgcAYQFYAA8C2AA9AmcANwLlAGECagBPAuUAYQJqAFUC5QBhAmr/9gLlACUCagAXAuUAYQJqAFUBU//yAQL/ywFTAB0BAv/0AmsAYQIWAEwCawBhAhYAVQJrAGECFgBVAgwAYQECAEwCDP/3AQL/7AIMAGEBAv/tAgwAYQEC/9gDiwBhA6cAVQOLAGEDpwBVAvgAYQJqAFUC+ABhAmoAVQL4AGECagBVAvgAYQJqAFUDDQA9Al0ANwMNAD0CXQA3Aw0APQJdADcDDQA9Al0ANwJdAGECZwBVAl0AYQJnAFUCbgBhAZ0AVQJuAGEBnQBJAm4AYQGdAEkCbgBhAZ3/6gIlADMB3wAzAiUAMwHfADMCJQAzAd8AMwIlADMB3wAzAiUAMwHfADMCLAAKAWkAEAIsAAoBaQAQAiwACgFpABACLAAKAWkAEALbAFoCagBPAtsAWgJqAE8C2wBaAmoATwLbAFoCagBPAtsAWgJqAE8CWAAAAfwAAAJYAAAB/AAAA6IADAMSAAsDogAMAxIACwJKAAQCEQASAkoABAIRABICNgAAAf4AAQI8ACYB1gAnAjwAJgHWACcCPAAmAdYAJwJqAFUBaQAOAxIACwH+AAECNwAuAUYAVQAAAAAAAAAAAAD/7AAA/ysCPAAoAicAgQFnAAwAAP/sAAD/LAAA/4wAAP+MAAD/jACmAAACSAAnAfT//QEMAEgAAP+MAAD/jAAA/4sAAP+LAAD/iwAA/4wBXgATAV4AFAFeABECPAAkAjwAMwI8ADgDpwBVAjwACgNBAFMCngAKAjwADwI8ABMDygAYAjwADAI8AAoC2AA9AmAAAAIlAAsCeAA9AjwATwNAADEC3gAFAbUAHgJSADAC0QBiAvgAYQLGAFsCPAAUArAADwJaAA8CWgAPA7IADwOyAA8C/wBhAsUAWgLdAD0CXAAKAgwAYQL4AGECfwAAAiwAYQFTACgC2wBaAR0AYQK6AGEBHQBaAR3/8wEd/+YBHf/mAR3/rwEdAAMBHf//AR0AXAEdAFoBHQANAR0ARwEd//MBHf/6AR0APAEdADwBHf/YAR3/1wGdABwBnQAcA6kAYQSVAGECXAAtAeoAIQK/ACECNAAzAxAAMwECAFUBAv/JAgQABAFGAAQBRgANAlAANQIF//YBAgAjAmoAVQIxAC4CNAA3AmoATwDtAEoA7QBFAO3/1wDt/80A7f/nAO0AQgDt/8kCUABKAO3/3QDtABYA7f+/AWMAGwFjABsCEAAAAhAAAAIQAAACEAAAAhAAAAIQAAACEAAAAhAAAAIQAAACEAAAAhAAAAK7//4Cu//+Ag0ASgICAC4CAgAuAgIALgICAC4CAgAuAgIALgJGAEoCRgAMAkYASgJGAAwBvwBKAb8ASgG/AEoBvwBIAb8ASgG/AEoBvwBKAb8ARAG/AEoBvwBKAaQASgJQAC8CUAAvAlAALwJQAC8CUAAvAlcASgJXAAUCVwBKASMAJQEjACUBI//2ASP/6wEjAAMBIwAlASP/5QIOACUBI//9ASMAJQEj/9sA6/+7AOv/uwH6AEoB+gBKAbcASgG3AEoBtwBKAbcASgG3AEoBt//zAuAASgJvAEoCbwBKAm8ASgJvAEoCbwBKAm8ASgJ4ADACeAAwAngAMAJ4ADACeAAwAngAMAJ4ADACeAAwAngAMAJ4ADACeAAwAuwAMAHrAEoB6wBKAngAMAH+AEoB/gBKAf4ASgH+AEoBxQApAcUAKQHFACkBxQApAcUAKQHFACkCVwBFAcAACwHAAAsBwAALAcAACwHAAAsCVABFAlQARQJUAEUCVABFAlQARQJUAEUCVABFAlQARQJUAEUCVABFAlQARQH7AAADBQARAwUAEQMFABEDBQARAwUAEQHxAAEB2QAAAdkAAAHZAAAB2QAAAdkAAAHfAB0B3wAdAd8AHQHfAB0CoAA9At4AAQIvACADUQAYAkoACwNGAAIEIv/8Auf//ANBAAsDCQBhA2j//AIHABcCfwAAAngAMgMJAGEDCgBhAo8AYQMNAD0CygBhAnYAJgLaACQCKABhAkwANgJrAGECWwAcAzj//ASD//wCQwAJAfMACQFXACABV/9vAh8ABQMJADECagAZAmcAGAHOABgB4AAYAkT/qwGSADcBWwA3AKgANwJgADcBkgA3AZAANwE3ACEA6wAKAiMAIgIjAEkCIwAvAiMAJwIjAAUCIwAwAiMAKAIjACACIwAlAiMAIgJLADYBjwAXAiIALAIWAB0COAAYAi8AOwI/ADgCCgASAjwAMQI/AC8CSAA3AbkAGQIrACYCPAAtAjwAFQI8AD8CPAA3Af8ACAJNADoCPAAyAjwAMQFeABMBXgAlAV4AGAFeABEBXgAKAV4AHgFeABQBXgAcAV4AGQFeABEBXgATAV4AJQFeABgBXgARAV4ACgFeAB4BXgAUAV4AHAFeABkBXgARAV4AEwFeACUBXgAYAV4AEQFeAAoBXgAeAV4AFAFeABwBXgAZAV4AEQReAA8CfwA2An8AWAFEAE8BRAAYAY8AFAF2ABACYQAXAl0AFwMcACcCqgBIAz0ANQI8AB0CjgA1AzYANAEMAEgBQgAoAbwAFAJdABcCJwApAfQAvANXAAwCpwAMA0UAMgKPAF4A7QAsA+gATwIFADUCPAAkAQwASAInACkCGABIAN0ANQJhABcBcABEAOIAPgDiAAYA4gA+AOIABgFCACgBQgAoAbj/5gDo/+YC5gAnAlr/5gD5AB8A+QAXATgAGAE5ABsBBwA8AQcAFgDTADUA0wA2AXEADQFxABcBmwA1AP8AHwD/AB0A3gAAAlgAAAJYAAACWAAAAlgAAAJYAAACWAAAAAAAAAAAAAAAAAAAAAAAAAJYAAACbQAVAyoAOwJGAAoDHwBVAtYAFgIiABEDDQAOAwMAQQI8AGECPABdAv8AUwJhACUC3AACAhIAIgF0AAcBygACAVIAIwFSACMBeAAIBggALQFSACMBUgAjAgwAGQJsABoC0wBFAgwAGQI2AAACbAAAA6gAKQLKACAClwAgA10AKAPjADcCPQAgBWMAYQNqADcBAgBOA1IABwIZABoCjwAsAmwAYQKvAGMCVABhAnkAHgMqADgEB//yAygAEQJeAAADRAAsAPb/kAIeAE4CHgBOAh4ATgIeAE4BfwAUAh4ADgIeABcCHgALAh4AGgIeABoBfwAiAh4AJgIeACICHgAoAh4AJgIeACYBfwASAh4AEgIeABcCHgASAh4AEwIeABIBfwAWAh4AGgIeACMCHgAaAh4AFgIeACcBfwAUAh4AFwIeAA4CHgAaAh4ACwIeABoCHgBOAh4ATgIeAE4CHgBOAX8AEgIeABcCHgASAh4AEwIeABICHgASAX8AIgIeACICHgAmAh4AJgIeACgCHgAmAX8AFgIeACMCHgAaAh4AFgIeABoCHgAnAX8AJQIeACcCHgAuAh4AJQIeACUCHgAlAX8AGgIeABoCHgAaAh4AGgIeABoCHgAaAh4ATgIeAE4CHgBOAh4ATgF/AB8CHgAXAh4AHwIeABwCHgAfAh4AHwF/ACUCHgAnAh4AJQIeACUCHgAlAh4AIgF/ACICHgAjAh4AIgIeACICHgAiAh4AIgF/ACcCHgAlAh4AJwIeACUCHgAlAh4AJQF/ABwCHgA/Ah4AHAIeAD8CHgAcAh4AHAIeAE4CHgBOAh4ATgIeAE4BfwAlAh4ARwIeAEcCHgBHAh4ARwIeAEcBfwAzAh4AJQIeACUCHgAlAh4AJQIeACUBfwAbAh4AGwIeABsCHgAbAh4AGwIeABsBfwAlAh4AJQIeACUCHgAiAh4AJQIeACUBfwAtAh4AKgIeACoCHgAqAh4AKgIeACsCHgBOAh4ATgIeAE4CHgBOAl8AKQFMABYAAP9zAAD/zQAA/hMAAP67AAD/ggAA/1kAAP9XAAD/ZQAA/5QAAP4VAAD/bAAA/zAAAP/YAAD/iAAA/foAAP9kAAD/ZAAA/7EAAP+0AAD/sQAA/7YAAP+cAAD/nAAA/6gAAP+oATkADwAA/5kAAP/LAAD/lwAA/5cAAP+XAAD/jgAA/08AAAAAAAD+oQAA/3MAAP+UAAD/ngAA/64AAP/YAAD/TgAA/0MAAP9YAAD/VwAA/2QAAP9kAAD/SAAA/2wAAP8gAAD/MQAA/04AAP8wAAD+mAAA/28AAP86AAD/ywAA/04AAP9DAAD/QwAA/5oAAP/AAAD/MAAA/2AAAP/YAAD/JgAA/zAAAP+IAAD/owAA/0gAAP9IAAD/WAAA/1EAAP+lAAD+mwAA/6wAAP/SAAD/ZAAA/6EAAP+sAAD/rAAA/0gAAP/SAAD/lgAA/0AAAP+hAAD+fwAA/n8AAP7UAAD+1AAA/n8AAP5+AAD+kwAAAIMAAACYAAAAUQAAAHQAAADaAAAAnwAAAH4AAAB+AAAAhwAAAKUAAABuAAAAhQAAABEB9P/9AAD/SAAA/7YAAP9pAAD/3QAA/6EAAP+3AAD/mQAA/6QAAP+lAAD/8wAA/14AAP+bAAD/0wAA/8AAAP+jAAD/mAAA/5sBAgAbAQL/yQEC/6EAqP/cAQL/yQECAFABAgAKAVcAIAFX/28A9ABSAQEAKQJLADYCIwAAAjwAMgAA/7IB7QAwAAEAAAAKAjYDmgAGREZMVAH6Y3lybAGGZGV2MgH6ZGV2YQH6Z3JlawFEbGF0bgAmAS4AB0FQUEgB2ENBVCAA7klQUEgB2E1BSCAAvk1PTCAAjk5BViAAXlJPTSAALgAA//8AFQAAAAEAAgADAAQABQAGAAcADQAOAA8AEAARABIAFAAVABYAGAAZABoAGwAA//8AFQAAAAEAAgADAAQABQAGAAcADAAOAA8AEAARABIAFAAVABYAGAAZABoAGwAA//8AFQAAAAEAAgADAAQABQAGAAcACwAOAA8AEAARABIAFAAVABYAGAAZABoAGwAA//8AFQAAAAEAAgADAAQABQAGAAcACQAOAA8AEAARABIAFAAVABYAGAAZABoAGwAA//8AFQAAAAEAAgADAAQABQAGAAcACAAOAA8AEAARABIAFAAVABYAGAAZABoAGwAQAAJBUFBIALpJUFBIALoAAP//ABYAAAABAAIAAwAEAAUABgAHAA4ADwAQABEAEgATABQAFQAWABcAGAAZABoAGwBAAAJNS0QgABBTUkIgABAAAP//ABUAAAABAAIAAwAEAAUABgAHAAoADgAPABAAEQASABQAFQAWABgAGQAaABsAAP//ABcAAAABAAIAAwAEAAUABgAHAAoADgAPABAAEQASABMAFAAVABYAFwAYABkAGgAbAAQAAAAA//8AFAAAAAEAAgADAAQABQAGAAcADgAPABAAEQASABQAFQAWABgAGQAaABsAHGFhbHQBXGMyc2MBVmNhc2UBUGNjbXABRmRub20BQGZyYWMBNmxpZ2EBMGxudW0BKmxvY2wBJGxvY2wBHmxvY2wBGGxvY2wBEmxvY2wBDGxvY2wBBm51bXIBAG9udW0A+m9yZG4A9HBudW0A7nJ0bG0A6HNhbHQA4nNpbmYA3HNtY3AA1nNzMDMAzHNzMDQAwnN1YnMAvHN1cHMAtnRudW0AsHplcm8AqgAAAAEAIwAAAAEAHAAAAAEAEQAAAAEADwAGAAEAJQAAASYABgABACQAAAElAAAAAQAfAAAAAQAQAAAAAQAlAAAAAQAiAAAAAQAbAAAAAQAYAAAAAQAdAAAAAQASAAAAAQAIAAAAAQAGAAAAAQAHAAAAAQAOAAAAAQAJAAAAAQAKAAAAAQAaAAAAAQAhAAAAAwAUABUAFgAAAAEAEwAAAAMAAgAEAAUAAAABACAAAAABAB4AAAACAAAAAQAmFi4SaBHsEcYLMAq4CooKaApoCkYJ7AnMCawJjAl4CQ4JDgjACKgImgiGCKgIPggwB/IH0Ae4B3IHMgbkBGoB2AF+AToBJgEEAPAATgABAAAAAQAIAAIATgAkBDIERQQ9BDQENwQ5BEMEQAQ1BEEEOwQzBEYEPgQ8BEcESAQ2BDgEPwREBDoEQgRaBFsEXARdBF4EXwRgBGEEYgRjBGQEZQRmAAEAJAAqACsAjACNAI4AjwDoAOoA7ADuAPAA8QDzAcsBzQJAAkMCSAJ5AnsDiQOLBDAEkgSTBJQElQSWBJcEmASZBJoEmwScBJ0EngABAAAAAQAIAAEABgRjAAEAAQE/AAEAAAABAAgAAgAOAAQFNAbfBt8FNAABAAQAEQUWBSAFKgABAAAAAQAIAAEABgAEAAEAAQWwAAQACAABAAgAAQA2AAEACAAFACYAHgAYABIADAQjAAIARwQlAAIATQQkAAIASgQmAAMARwBKBCcAAwBHAE0AAQABAEcAAQAAAAEACAACAEIAHgUqBSsFLAUtBS4FLwUwBTEFMgUzBSoFKwUsBS0FLgUvBTAFMQUyBTMFKgUrBSwFLQUuBS8FMAUxBTIFMwACAAIAEQAaAAAFFgUpAAoAAQAAAAEACAACAUYAoAWGBlcFgAWBBYgFhAWFBGcEdAR1BHsEfwSJBIoEjwSSBJ0EnwShBKcEqASuBLoEvAS9BMEEyATNBNgE2QTeBN8E5AWCBYMFhwWJBMcEbARoBGoEcQRrBG8EcgR4BIYEgASDBIQEmASTBJUElgR8BK0EswSvBLEEuASyBLYE0gTOBNAE0QTgBLsE4gRtBGkEbgR2BHkEegR3BH0EfgSHBIEEhQSIBIIEjASLBI4EjQSRBJAEnASaBJQEmwSZBJ4EoASiBKQEowSlBKYEqQSrBKoErAS1BLAEtAS5BL4EwAS/BMIExQTEBMMEzATKBMkE1wTUBM8E1gTTBNUE2wThBOUE5wTmBHAEcwS3BMYE3QTaBNwE4wWLBYwFigTLBJ0EpASrBG4EiATVBrYGtwa4BrkGuga7BrwGvQa+Br8GwAbBAAEAoAACAAcACQAKACAAPAA+AEIAQwBEAEUARgBHAEgASQBKAEsATABNAE4ATwBQAFEAUgBTAFQAVQBWAFcAWABZAFoAWwBcAF4AYQB/AJ8AoAChAKIAowCkAKUApgCnAKgAqQCqAKsArACtAK4ArwCwALEAsgCzALQAtQC2ALgAuQC6ALsAvAC9AL4AvwDBAMMAxQDHAMkAywDNAM8A0QDTANUA1wDZANsA3QDfAOEA4wDlAOcA6QDrAO0A7wDyAPQA9gD5APsA/QD/AQEBAwEFAQcBCgEMAQ4BEAESARQBFgEYARoBHAEeASABIgEkASYBKAEqASwBLgEwATIBNAE2ATkBOwE9AUEBQwFFAUcBWQFbAV0BXwFyAXMBdAH9BE8EVQRWBFcEWARZBlkGWgZbBlwGXQZeBl8GYAZhBmIGYwZ/AAEAAAABAAgAAgE6AJoFhgZXBYAFgQWIBGcEdAR1BHsEfwSJBIoEjwSSBJ0EnwShBKcEqASuBLoEvAS9BMEEyATNBNgE2QTeBN8E5AWEBYUFggWDBYcGwgWJBGwEaARqBHEEawRvBHIEeASGBIAEgwSEBJgEkwSVBJYEfAStBLMErwSxBLgEsgS2BNIEzgTQBNEE4AS7BG0EaQRuBHYEeQR3BH0EfgSHBIEEhQSIBIIEjASLBI0EkQSQBJwEmgSUBJsElwSZBJ4EoASiBKQEowSlBKYEqQSrBKoErAS1BLAEtAS5BL4EwAS/BMIExQTEBMMEzATKBMkE1wTUBM8E1gTTBNUE2wThBOIE5QTnBOYEcARzBLcExgTdBNoE3ATjBYsFjAWKBMsExwa2BrcGuAa5BroGuwa8Br0Gvga/BsAGwQABAJoAAgAHAAkACgAgACIAIwAkACUAJgAnACgAKQAqACsALAAtAC4ALwAwADEAMgAzADQANQA2ADcAOAA5ADoAOwA8AD4AXABeAGEAbwB/AIAAgQCCAIMAhACFAIYAhwCIAIkAigCLAIwAjQCOAI8AkACRAJIAkwCUAJUAlgCYAJkAmgCbAJwAnQCeAMAAwgDEAMYAyADMAM4A0ADSANQA1gDYANoA3ADeAOIA5ADmAOgA6gDsAO4A8ADxAPMA9QD4APoA/AD+AQABAgEEAQYBCQELAQ0BDwERARMBFQEXARkBGwEdAR8BIQEjASUBJwEpASsBLQEvATEBMwE1ATcBOAE6ATwBQAFCAUQBRgFYAVoBXAFeAXIBcwF0AfwEKQZZBloGWwZcBl0GXgZfBmAGYQZiBmMGfwABAAAAAQAIAAIAMAAVBRYFFwUYBRkFGgUbBRwFHQUeBR8G4AUgBSEFIgUjBSQFJQUmBScFKAUpAAIAAwARABoAAAGOAY4ACgUqBTMACwABAAAAAQAIAAIALgAUBRYFFwUYBRkFGgUbBRwFHQUeBR8AEQASABMAFAAVABYAFwAYABkAGgACAAEFIAUzAAAAAQAAAAEACAACAC4AFAUqBSsFLAUtBS4FLwUwBTEFMgUzBSAFIQUiBSMFJAUlBSYFJwUoBSkAAgACABEAGgAABRYFHwAKAAEAAAABAAgAAQAGAAoAAgABBSAFKQAAAAEAAAABAAgAAgAOAAQAagB6AGoAegABAAQAIgAwAEIAUAAGAAAAAgAkAAoAAwABALoAAQASAAAAAQAAABkAAQACADAAUAADAAEAoAABABIAAAABAAAAGQABAAIAIgBCAAEAAAABAAgAAQA+//YABgAAAAIAJgAKAAMAAQASAAEALgAAAAEAAAAXAAIAAQU/BUgAAAADAAEAHAABABIAAAABAAAAFwACAAEFSQVSAAAAAQABAXUAAQAAAAEACAABAAYBZQABAAEAEAABAAAAAQAIAAEAFAUuAAEAAAABAAgAAQAGBTgAAgABABEAGgAAAAEAAAABAAgAAgAkAA8FeAV5Ba4EBwB5AHIAcwGDAYQECAGFAYYECQWqAXYAAQAPAAkACgAMABEAEgATABQAFQAWABcAGAAZABoAHgBPAAEAAAABAAgAAgAyABYFdgV3Ba0FNQU2BTcFOAU5BToFOwU8BT0FPgWpBQ4FDwUQBREFEgUTBRQFFQABABYACQAKAAwAEQASABMAFAAVABYAFwAYABkAGgAeAEkATABNAE4ATwBRAFQAVQABAAAAAQAIAAEABvshAAEAAQZgAAQAAAABAAgAAQASAAEACAABAAQEpQACAHcAAQABBKEABAAAAAEACAABABIAAQAIAAEABAD+AAIAdwABAAEALQAEAAAAAQAIAAEAEgABAAgAAQAEAP8AAgB3AAEAAQBNAAYAAAABAAgAAQAMAAMAPgAqABYAAQADAC0ATQShAAEABAAAAAIAdwABBKEAAQAAAA0AAQAEAAAAAgB3AAEATQABAAAACwABAAQAAAACAHcAAQAtAAEAAAAMAAEAAAABAAgAAgAOAAQELARVBC0EVgABAAQA+gD7AQQBBQABAAAAAQAIAAIADgAEAUYBRwEhASIAAQAEAR0BHgH8Af0AAQAAAAEACAACABQABwQuBFcELwRYBDAEMQRZAAEABwDEAMUA2ADZAO4BMQEyAAIAEAABAAoAAAABABoACgBoAGIAXABWAFAASgBEAD4AOAAyAAEACgGWAbwBzgHQAegCcAOeA6ADvgbZAAIETgZ7AAIAVAZ7AAIATwZaAAIATgZ7AAIATwZbAAIAVgZ7AAIAUAZ7AAIASgZ7AAIARgZ7AAIATgZcAAQAEAABAAoAAAABBl4AFQZUBkoGQAYkBhIGCAX+BfQF2AXGBLQDogKQAX4AbABiAFgATgBEADoAMAABAAQE1QACBsEAAQAEBJsAAgbBAAEABASIAAIGwQABAAQEbgACBsEAAQAEBE0AAgXKAAEABARLAAIFygAcAQoBAgD6APIA6gDiANoA0gDKAMIAugCyAKoAogCaAJIAigCCAHoAcgBqAGIAWgBSAEwARgBAADoF/QACA0UF9wACA0YF8QACA0QF5wACA0MGAgADA0UDRQYBAAMDRQNGBgAAAwNFA0QF/wADA0UDRwX+AAMDRQNDBfwAAwNGA0UF+wADA0YDRgX6AAMDRgNEBfkAAwNGA0cF+AADA0YDQwX2AAMDRANFBfUAAwNEA0YF9AADA0QDRAXzAAMDRANHBfIAAwNEA0MF8AADA0cDRQXvAAMDRwNGBe4AAwNHA0QF7QADA0cDQwXsAAMDQwNFBesAAwNDA0YF6gADA0MDRAXpAAMDQwNHBegAAwNDA0MAHAEKAQIA+gDyAOoA4gDaANIAygDCALoAsgCqAKIAmgCSAIoAggB6AHIAagBiAFoAUgBMAEYAQAA6BjUAAgNFBisAAgNEBiUAAgNHBh8AAgNDBjoAAwNFA0UGOQADA0UDRgY4AAMDRQNEBjcAAwNFA0cGNgADA0UDQwY0AAMDRgNFBjMAAwNGA0QGMgADA0YDRwYxAAMDRgNDBjAAAwNEA0UGLwADA0QDRgYuAAMDRANEBi0AAwNEA0cGLAADA0QDQwYqAAMDRwNFBikAAwNHA0YGKAADA0cDRAYnAAMDRwNHBiYAAwNHA0MGJAADA0MDRQYjAAMDQwNGBiIAAwNDA0QGIQADA0MDRwYgAAMDQwNDABwBCgECAPoA8gDqAOIA2gDSAMoAwgC6ALIAqgCiAJoAkgCKAIIAegByAGoAYgBaAFIATABGAEAAOgZNAAIDRgZHAAIDRAZBAAIDRwY7AAIDQwZWAAMDRQNGBlUAAwNFA0QGVAADA0UDRwZTAAMDRQNDBlIAAwNGA0UGUQADA0YDRgZQAAMDRgNEBk8AAwNGA0cGTgADA0YDQwZMAAMDRANFBksAAwNEA0YGSgADA0QDRAZJAAMDRANHBkgAAwNEA0MGRgADA0cDRQZFAAMDRwNGBkQAAwNHA0QGQwADA0cDRwZCAAMDRwNDBkAAAwNDA0UGPwADA0MDRgY+AAMDQwNEBj0AAwNDA0cGPAADA0MDQwAcAQoBAgD6APIA6gDiANoA0gDKAMIAugCyAKoAogCaAJIAigCCAHoAcgBqAGIAWgBSAEwARgBAADoGGQACA0UGEwACA0YGCQACA0cGAwACA0MGHgADA0UDRQYdAAMDRQNGBhwAAwNFA0QGGwADA0UDRwYaAAMDRQNDBhgAAwNGA0UGFwADA0YDRgYWAAMDRgNEBhUAAwNGA0cGFAADA0YDQwYSAAMDRANFBhEAAwNEA0YGEAADA0QDRwYPAAMDRANDBg4AAwNHA0UGDQADA0cDRgYMAAMDRwNEBgsAAwNHA0cGCgADA0cDQwYIAAMDQwNFBgcAAwNDA0YGBgADA0MDRAYFAAMDQwNHBgQAAwNDA0MAHAEKAQIA+gDyAOoA4gDaANIAygDCALoAsgCqAKIAmgCSAIoAggB6AHIAagBiAFoAUgBMAEYAQAA6BeEAAgNFBdsAAgNGBdUAAgNEBc8AAgNHBeYAAwNFA0UF5QADA0UDRgXkAAMDRQNEBeMAAwNFA0cF4gADA0UDQwXgAAMDRgNFBd8AAwNGA0YF3gADA0YDRAXdAAMDRgNHBdwAAwNGA0MF2gADA0QDRQXZAAMDRANGBdgAAwNEA0QF1wADA0QDRwXWAAMDRANDBdQAAwNHA0UF0wADA0cDRgXSAAMDRwNEBdEAAwNHA0cF0AADA0cDQwXOAAMDQwNFBc0AAwNDA0YFzAADA0MDRAXLAAMDQwNHAAIADAAGATIAAgZ/AZ0AAgZzAAMAFAAOAAgCYwACBn8BmwACBnMCZQADBn8BSgABAAQA7wACBn8AAQAEANkAAgZ/AAEABADFAAIGfwACAAwABgExAAIGfwGcAAIGcwADABQADgAIAmIAAgZ/AZoAAgZzAmQAAwZ/AUoAAQAEAO4AAgZ/AAEABADYAAIGfwABAAQAxAACBn8AAQAVACIAJgAqADAANgBCAEYASgBQAFYDQwNEA0UDRgNHBEoETARnBH8EkgTNAAEAEAABAAoAAAACAH4ACwROBE8G1AbZBtUG2gbWBtcG2AbbBtwABgAQAAEACgAAAAMAAAABAFgAAQASAAEAAAADAAIACwNdA10AAAZZBmwAAQaUBpkAFQadBp8AGwajBqUAHgaqBqoAIQatBq0AIgavBrAAIwayBrMAJQbDBsMAJwbHBtMAKAABAAsASgBLAO8BzgK1AtEDBgMbA4oFBQUGAAMAAAABAAgAAQC2AFgDtgOuA6gDmAOKA3wDbgNgA1IDRAM2AygDGgMUAw4DCAMCAvwDDgL2AvAC6gLkAt4C2ALQAvwCygLEAr4CuAKyAqwCpgKgApoClAKOAogCggJ8AnQCbgJoAmICXAJWAlACSgJEAjoCNAIuAigCIgIcAhYCDgIIAgIB/AH2AfAB6gHkAd4B2AHQAcoBxAG+AbgBsgGsAaYBoAGaAZIBjAGGAYABegF0AW4BaAFiAVwBVgACABoACQAKAAAADAAMAAIAEQAaAAMAHgAeAA0AIgAiAA4AKgArAA8AMAAwABEAQgBCABIASQBRABMAVABVABwAjACPAB4AxADFACIA2ADZACQA6ADoACYA6gDqACcA7ADsACgA7gDxACkA8wDzAC0A+gD7AC4BBAEFADABCQEJADIBHQEeADMBMQEyADUB/AH9ADcFFgUzADkGYAZgAFcAAgGBBr0AAgAaBSkAAgAZBSgAAgAYBScAAgAXBSYAAgAWBSUAAgAVBSQAAgAUBSMAAgATBSIAAgASBSEAAwARBSAFNAACBTMFHwACBTIFHgACBTEFHQACBTAFHAACBS8FGwACBS4FGgACBS0FGQACBSwFGAACBSsFFwADBSoFFgbfAAIFKQUzAAIFKAUyAAIFJwUxAAIFJgUwAAIFJQUvAAIFJAUuAAIFIwUtAAIFIgUsAAIFIQUrAAMFIAUqBt8AAgEiBMsAAgEhBMsAAgRZBNUAAgQxBNUAAgFHBMQAAgFGBMQABAQfBCAEIQSsAAIEVgSrAAIELQSrAAIEVQSkAAIELASkAAIEngRGAAIEmQQzAAIElwQ7AAIG1ASbAAMEMASbBEEAAgSUBDUAAgSaBEAAAgScBEMAAgRYBIgAAgQvBIgAAgRXBG4AAgQuBG4AAgSWBDkAAgSVBDcAAgSTBDQAAgSYBD0AAgUVBMgAAgUUBMEAAgUTBLoAAwUSAXYEqAACBREEpwACBRAEoQACBQ8EnwACBE8EnQACBE4EkgACBQ4EjwACAHoErgACBJ0ERQACBJIEMgACAGoEZwACBakFqgAGBT4ECQVSBUgFMwUfAAYFPQGGBVEFRwUyBR4ABgU8AYUFUAVGBTEFHQAGBTsECAVPBUUFMAUcAAYFOgGEBU4FRAUvBRsABgU5AYMFTQVDBS4FGgAGBTgAcwVMBUIFLQUZAAYFNwByBUsFQQUsBRgABgU2AHkFSgVABSsFFwAHBTUEBwVJBT8FKgUWBTQAAgWtBa4AAwV3BXkFgQADBXYFeAWAAAEAAAABAAgAAgJGASAFhgZXAXUFiAR0BHUEewR/BIkEigSPBJ8EoQSnBKgEugS8BL0EwQTIBM0E2ATZBN4E3wTkBYQFhQR0BHUEewR/BIkEigS8BL0EzQTYBNkE3gTfBOQFggWDBYcGwgWJBGwEaARqBHEEawRvBHIEeASGBIAEgwSEBHwErQSzBK8EsQS4BLIEtgTSBM4E0ATRBOAEuwTHBGwEaARqBHEEawRvBHIEeASGBIAEgwSEBJgEkwSVBJYEfAStBLMErwSxBLgEsgS2BNIEzgTQBNEE4AS7BOIEbQRtBGkEaQR2BHYEeQR5BHoEdwR3BH0EfQR+BH4EhwSHBIEEgQSFBIUEggSCBIwEjASLBIsEjgSNBI0EkQSRBJAEkAScBJoElASZBJ4EoASgBKIEogSjBKMEpQSlBKYEpgSpBKkEqgSqBKwEtQS1BLAEsAS0BLQEuQS5BL4EvgTABMAEvwS/BMIEwgTFBMUEwwTDBMwEzATKBMoEyQTJBNcE1wTUBNQEzwTPBNYE1gTTBNME2wTbBOEE4QTiBOUE5QTnBOcE5gTmBaIEcARwBHMEcwS3BLcExgTGBN0E3QTaBNoE3ATcBOME4wWLBYwFigbgBD4EPAbZBEcESAQ2BDgEPwbVBtoG1gbXBEQG2AQ6BMcEQgSdBKQEqwRuBIgE1QRaBFsEXARdBF4EXwRgBGEEYgRjBGQEZQRmBtsG3AU/BUAFQQVCBUMFRAVFBUYFRwVIBbQGtga3BrgGuQa6BrsGvAa+Br8GwAbiBsEAAgA9AAIAAgAAAAcABwABABAAEAACACAAIAADACMAKQAEACwALwALADEAPAAPAD4APgAbAEMASAAcAFIAUwAiAFYAXAAkAF4AXgArAGEAYQAsAG8AbwAtAH8AiwAuAJAAlgA7AJgAtgBCALgAwwBhAMYAyQBtAMsA1wBxANoA3wB+AOEA5wCEAOkA6QCLAOsA6wCMAO0A7QCNAPIA8gCOAPQA9gCPAPgA+QCSAPwBAwCUAQYBBwCcAQoBHACeAR8BMACxATMBPQDDAT8BRwDOAVgBXwDXAXIBdADfAY4BjgDiAcsBywDjAc0BzgDkAkACQADmAkMCQwDnAkgCSADoAnkCeQDpAnsCewDqArUCtQDrAtEC0QDsAwYDBgDtAxsDGwDuA4kDiwDvBCkEKQDyBDAEMADzBE8ETwD0BFUEWQD1BJIEngD6BQUFBgEHBUkFUgEJBbAFsAETBlkGXwEUBmEGYwEbBnIGcgEeBn8GfwEfAAEAAAAKAFIAqAAGREZMVAA4Y3lybAA4ZGV2MgAmZGV2YQAmZ3JlawA4bGF0bgA4AAQAAAAA//8ABAAAAAIAAwAEAAQAAAAA//8AAwABAAMABAAFZGlzdABOa2VybgBEa2VybgA+bWFyawAqbWttawAgAAAAAwAMAA0ADgAAAAgABAAFAAYABwAIAAkACgALAAAAAQAAAAAAAwAAAAMAAgAAAAIAAwACAA94VHhCT7ZPJju+KZ4QnAU4BM4EbgQQA7ACJAH+ACAABgAQAAEACgAEAAEpIgGOAAEnTgAMADMBfAF2AXABagFkAV4BWAFSAUwBRgFAAToBNAEuAS4BKAEiARwBFgEQAQoBBAD+APgA8gDsAOYA4ADaANQAzgDIAMIAyAC8ALYAsACqAKQAngCYAJIAjACGGaYZpgCAAHoAdABuAGgAAQAAAtsAAQEfAr8AAQEpAvgAAQEbAzcAAQEpAv0AAQFiAxUAAQFBAxIAAQDrAxUAAQCHAvMAAQEpAu0AAQACA08AAQADAuAAAQACAqQAAQADAwcAAQACAw8AAQACA0gAAQACAyYAAQAAAxYAAQACA1wAAQACA5wAAQACAwQAAQACAvoAAQA/Av4AAf/GAv4AAQACA8AAAQACA2IAAQACAwcAAf//AsoAAQAAAsoAAf/+AsoAAQACAuQAAQACA0wAAf7aAv4AAQACAvgAAQABA0oAAQABAqcAAf7MAtsAAQAEAzEAAQABAuEAAQACAv4AAQACAv0AAQA2Av4AAf7wAv0AAf6VAv0AAQAAAuEAAf//AtUAAf7dAzUAAgALA10DXQAABlkGbAABBpQGmQAVBp0GnwAbBqMGpQAeBqoGqgAhBq0GrQAiBq8GsAAjBrIGswAlBrYGwAAnBsMGwwAyAAYAEAABAAoAAwABOawAFgABOXgADAABAAQAAQAj/18AAQABBsYABgAQAAEACgACAAFMpgE8AAFLkAAMAC4BKgEkASQBHgEeARgBEgESAQwBBgEAAPoA9ADuAOgA4gDcANYBHgDQAMoAxAC+ALgAsgCsAKYAoAEYAJoAlADQAI4A1gCIAIIA4gB8AHYAdgBwAIgAiABqAGQAXgABABf/JQABAAL/bwABAAP/GgABAAj/EAABAAD/EAABAAL/IQABAAL/JQABAAL/EAABAAL/IgABAAP/HAABAAD/JgABAAP/IgABAAL/ZgABAAP/bQABAAL/SAABAAL/RgABAAL/RwABAAL/OAABAAP/OQABAAP/TwABAAL/NAABAAD/JAABAAP/EAABAAT/HQABAAL/UQAB/tf/UAABAFn/EgAB/6f/EgABAAD/KgABAAL/HAABAAL/MAABAAT/HwABAAL/JgABAAP/NAABAAL/IwACAAsBggGCAAAGbgZxAAEGdAaKAAUGkAaTABwGmgacACAGoAahACMGpgapACUGqwasACkGrgauACsGsQaxACwGtAa0AC0ABQAAAAEACAABDNgBKgABDK4ADAAFAEAANAAoABoADAADCaoAOgAIAAEDegL4AAMJnAAsAAgAAQOeAuEAAgmOAAYAAQIiAvgAAgmCAAYAAQJGAuEAAgl2AAYAAQLUAv0ABQAAAAEACAABJTQAygABI2AADAAFADgALAAgAAwADAADIb4ADgAIAAEDMQL9AAECVAL9AAIAJAAGAAEB2AL9AAIAGAAGAAEB2gL9AAIADAAGAAECcwL9AAEBGwL9AAUAAAABAAgAATc+AGwAATcKAAwABQBAADQAKAAaAAwAAzVEADoACAABAzEBDAADNTYALAAIAAEDMQFwAAI1KAAGAAEB2QEMAAI1HAAGAAEB2QFwAAI1EAAGAAECIQF+AAUAAAABAAgAAUn+AAwAAUjoABYAAgABBCMEJwAAAAUAOgA0ADoAGgAMAAMAIgAcAAgAAQMxAAAAAwAUAA4ACAABAzMAAAABAdwAAAABAIQAAAACABJF6AACAAwABgABAdgAAAABAJcAAAAEAAAAAQAIAAELUAjuAAELJgAMAvAI3AjWCNAIygjECL4IuAiyCKwIpgigCJoIlAiOCIgIggiICHwIdgjECHAIaghkCF4IWAhSCEwIRghACDoINAguCCgIIggcCBwIFggQCAoIBAf+B/gIKCBUH6YH8ggEB+wH5gfgB9oH1AjcCNwI3AjcCNwI3AjQCMQIxAjECMQIrAisCKwIrAiOCIgIiAiICIgIiAhwCHAIcAhwCFgITAhMCEwITAhMCEwIQAg0CDQINAg0CAQH/gf+B/4H/gf+CAQIBAgECAQH2gfaCNwITAjcCEwI3AhMCNAIQAjQCEAI0AhACNAIQAjKCDoIxAg0CMQINAjECDQIxAg0CMQINAi4CCgIuAgoCLgIKAi4CCgIsggiCKwIrAisCKwIHAisB84HyAimCKAIFgiaCBAImggQCJoIEAiaCBAIjggECI4IBAiOCAQHwggECIgH/giIB/4IiAf+CHwgVAh8IFQIfCBUCHYfpgh2H6YIdh+mCHYfpgjEB/IIxAfyB/IIcAgECHAIBAhwCAQIcAgECHAIBAhwCAQIZAfmCFgH2ghYCFIH1AhSB9QIUgfUB7wIdh+mCGQH5ghkB+YIZAfmCFgH2ge2CJQICgjcCEwI3AhMCNwITAjcCEwI3AhMCNwITAjcCEwI3AhMCNwITAjcCEwI3AhMCNwITAjcCEwIxAg0CMQINAjECDQIxAg0CMQINAjECDQIxAg0CMQINAisCKwIHAiIB/4IiAf+CIgH/giIB/4IiAf+CIgH/giIB/4IcAgECHAIBAhYB9oIWAfaCFgH2gjEB/IIvgewCHAHqgekB54HmAeSB8gHjAeGB4AI3AhMCKwIiAf+CHAIBAhwCAQIcAgECHAIBAhwCAQI3AhMCNwITAi4CCgIoAgWCIgH/giIB/4HqgekB54IuAgoCI4IBAjcCEwI3AhMCMQINAjECDQIrAisCIgH/giIB/4IfCBUCHwgVAhwCAQIcAgECLIIIghSCNwITAjECDQIiAf+CIgH/giIB/4IiAf+CFgH2gjcCNAIQAiaCMQIcAjECHwgVAhYB9oHegg6B3QIKAduB2gIHAdiCAoIBAgEB1wHVgdQB0oIBAdEBz4HOAcyCIgHLAcyByYHIBi2BxoHFAcOBwgHAgb8CNYIRgjWCEYI1ghGCNAIQAjKCDoIygg6CMoIOgjKCDoIygg6CMQINAjECDQIxAg0CMQINAjECDQIvgguCLgIKAiyCCIIsggiCLIIIgiyCCIIsggiCKwIHAisCKAIFgigCBYIoAgWCJoIEAiaCBAImggQCJoIEAiUCAoIlAgKCI4IBAiOCAQIjggECI4IBAiIB/4IiAf+CIgH/giIB/4Iggf4CIIH+Ah8IFQIfCBUCHwgVAh8IFQIdh+mCHYfpgh2H6YIdh+mCHYfpgjEB/IIxAfyCMQH8gjEB/IIcAgECHAIBAhwCAQIcAgECHAIBAhqB+wIagfsCGQH5ghkB+YIXgfgCF4H4AhYB9oIUgfUCFIH1AhSB9QIIgfyB+YH2ghMCAoG9giaCI4I3AjECKwIcAbwBuoG8AbwBvAG8AbwBvAG8AbwBvAG8AbwBvAG8AbwBvAG8AbwBuQG5AbeBtgG0ggQCAQITAg0CAQGzAbMBswGzAbMBswGzAbGBswGzAbMBsAGwAa6BroGuga6BroGuga6BroGuga6BroGtAauBq4GrgauBq4GrgaoBqgGogaiBqIGogaiBqIGogaiBqIGogacBsYGxgbGBsYGxgaWBpYGkAaQBpAGkAaQBpAGkAaKBpAGkAaQBoQGhAZ+Bn4GeAZ4BngGeAZ4BnIGbAZsBmwGbAZsBmYGZgZmBmYGZgZmBmYGZgZmBmAGZgZaBloGWgZaBlQGVAZUBlQGVAZUBk4GTgZOBk4GSAZIBkgGSAZIBkgGSAZIBkgGSAZIBkIGPAY8BjwGPAY8BjYGMAYwBjAGMAYwBioGKgYqBioI3AigBiQGHgYYBhIGDAYGBgAF+gX0Be4F6AgcCHwIagXiAAEBxQIYAAEDVgLKAAED1gLKAAEANALaAAEAkgGYAAEBHQDiAAEBfADiAAEBbQDiAAECPwDiAAEAgwFoAAEA8AGYAAEBXAFoAAEBywI8AAEBxQI8AAEB3QI8AAEC8QI8AAEB5wI8AAECQAI8AAEBrAI8AAEBsQI8AAEB6gI8AAEB1wI8AAECZAI8AAECWwI8AAECzAI8AAEA6wI8AAEB5gI8AAEA1wI8AAEB+gI8AAEBDwI8AAECQwI8AAEBkAI8AAEBqwI8AAECMgI8AAEB7gI8AAEB+QI8AAEB/AI8AAEBTwI8AAECPAI8AAEA2AI8AAEBzAL4AAEEgQLKAAEDlQLKAAEBiQLKAAECpgLKAAEA2wLKAAECPgIYAAEBSwJhAAEBHQJhAAEAgwLnAAEBPwJhAAEB8gJhAAEA1QJhAAEAmwLZAAEBXALnAAEBwQIYAAEBjAMAAAEB/QMIAAEDBwIXAAEB/AIYAAEBTwKTAAEBWQIiAAEBSAIYAAECQgIYAAEDUgIYAAECFQIYAAECBwIYAAEAywIYAAECAwIiAAEDWALhAAED5gLhAAED9QLKAAEC+gLhAAEDCQLKAAEEFQIYAAEEiAIYAAEE+ALKAAECTQLKAAEBbQJhAAEBwgL9AAECeAIYAAEB8ALhAAECUALKAAEBrgIYAAEB6gIYAAEB/QIYAAEC/gIYAAEB6AIYAAEA4QNIAAECSQIYAAECPwIYAAECMgIYAAEDdQIYAAEAygL4AAEBcQNIAAEA7gLhAAECFwL4AAECKwIYAAEBfAL9AAECIAIYAAECKQL4AAEBzAIYAAECAwL4AAEB/wIYAAECKALKAAECIgLKAAECNgLKAAEDjgLKAAECRALKAAECxwLKAAECEQLKAAECWgLKAAECSQLKAAEC+QLKAAEC5ALKAAEDdwLKAAEBbALKAAECVwLKAAEA/QLKAAEBPwLKAAEC0QLKAAECxALKAAEB8wLKAAECGALKAAECxgLKAAECZALKAAECdgLKAAECBwLKAAIAXgAiADsAAABCAFsAGgCAAIUANACHAI8AOgCRAJYAQwCZAJ0ASQCgAKUATgCnAKsAVACxALYAWQC5AL0AXwC/AM8AZADSAOUAdQDoAOgAiQDqAOoAigDsAOwAiwDuAPMAjAD1APYAkgD4AP8AlAECAQgAnAEKARAAowETASQAqgEmAT0AvAE/AT8A1AFGAUcA1QFYAV8A1wF2AXYA3wGVAZgA4AGjAcsA5AHNAdwBDQHnAeoBHQH1AfoBIQH8Af0BJwIMAgwBKQIPAg8BKgIrAisBKwI9AkgBLAJKAlkBOAJeAmUBSAJoAmwBUAJvAnkBVQJ7AnsBYAJ9AogBYQKLAowBbQKRApEBbwKTAqABcAKmAqoBfgKwArABgwKyArIBhAK4ArwBhQLCAsIBigLIAsgBiwLKAssBjALOAs4BjgLRAtEBjwLYAtgBkALaAt0BkQLiAuIBlQLwAvIBlgL1AvcBmQL9Av0BnAMBAwEBnQMHAwcBngMKAwoBnwMZAxkBoAMbAx0BoQMgAyEBpAM/A0EBpgNfA4sBqQONA+8B1gQNBA0COQQeBB4COgQsBEgCOwRQBFACWARVBHECWQR0BHsCdgR9BH0CfgR/BI8CfwSRBKUCkASnBKsCpQStBLUCqgS4BLgCswS6BLoCtAS8BMYCtQTIBMgCwATKBOcCwQT0BPQC3wT/BP8C4AUOBRUC4QW1BbUC6QW5BbkC6gW8Bb0C6wXDBcMC7QXIBcgC7gbjBuMC7wAEAAAAJAAAAB4AAAAYAAAAEgABAKwCdgABALcCGAAB/+8CaQAB/5gCygABAAQGbQZzBrUG4gAJAAAAAQAIAAEABAAAAAgAARigFfYAARbMAAwEEBXkFd4V2BXSFcwVxhXAFboVtBWuFagVohWcFdgVlhWQFZYVihWEFX4VeBVyFWwVZhVgFVoVVBVOFUgVQhU8FTYVMBUqFSQVJBUeFR4VGBUSFQwVBhUAFPoU+hT0FRIU7hToFOIU3BTWFNAUyhTEFMQUxBS+FLgUshSsFdgUphSmFKYUoBSaFJoUmhSUFI4UiBSCFIIUghR8FHYUcBRqFGoUahRkFF4VchRYFFIUUhRSFEwURhRAFDoVSBQ0FDQUNBQuFCgUKBQoFCIUHBQWFBAUEBQQFAoUBBUME/4T/hP+E/gT8hPsE+YT4BPaE9QTzhPIFVQTwhO8E8ITvBO2E7ATwhO8E6oVQhSOE6QTnhOYE5ITjBOGE4AVzBU8FKYUNBN6E3QTbhNoE2ITXBXAE3QTVhNQFboVKhNKE0QTPhM4EzITLBW0FSQTJhMgExoTFBQoFagVHhMOEwgTAhWiFR4VohUeFaIVHhWiFR4TwhP+FdgVEhPCE/4S/BXYFRIS9hLwEuoS5BSCFBAS3hLYEtISzBWKFPoS0hLMEsYSzBLGEswVhBT6EsYSzBV+FPQSwBK6FX4U9BK0FBYSrhKoEqISnBKWEpAUahP+FXgVEhKKEoQUXhPyEn4SeBJyEmwSZhJ4EnISYBJaElQSThJIEkIUghQQFYQU+hKKEoQSihKEEjwSNhReE/ISMBIqFCgSJBIeFeQVVBWWFQwVeBUSFeQVVBIYEhISDBIGEgwSBhIAEfoR9BHuFMQUUhHoEeIR6BHiEdwR1hHQEcoT1BPOFcwVPBHEEb4RuBGyEawRphGsEaYRoBGaEZQRjhSmFDQRiBGCFbQVJBWWFQwRfBF2EXARahFwEWoRZBFeEVgRUhSCFBARTBFGEUwRRhFAEToRNBEuFHAVABV4FRIRKBEiERwRFhEcERYREBEKEQQQ/hD4EPIVYBTcEOwQ5hDgENoTpBV+FPQT7BSOENQT7BXkEM4QyBDCELwUjhXAENQT7BC2ELAQqhCkEJ4QmBWEEJIQjBW0EIYQgBUeEHoQdBXYEG4VlhBoEGIQXBBWFYoQUBT6FYQQShBEED4QOBV+FZYQMhVgECwQJhTWFWYVZhAgECAQGhVmEBQQDhAIEAIP/A/2D/AP6g/kD94P2A/SD8wPxg/AD7oUxBRSFJoUKBSCFBAUahP+D7QPrg+oD6IPnA+WD6gPog+QD4oPhA9+D3gPcg9sFQATehN0D2YTAhWWFQwS9hLwD2APWg9UD04PSBN6E3QPQg88E8IT/hTEFFIT1BPOFKYUNBOSE4wUmhQoEzITLBSCFBAS6hLkEtISzA82DzAUahP+EqISnA8qDyQTVhNQFboPHg8YDxIVWhTWDwwPBhXMFTwPAA76DwAO+g70Du4O6A7iDtwO1g7QDsoOxA6+DrgV5BXYDrIVohV+FPoU1g6sDqYOoBV4DpoVzA6UFa4VJA6OFQAVihT6FWAU3A6IFQAVABBWDoIOfBPsEFYOdg5wDmoOZA5eEFYVMA5YDlIOUhUSDkwOTBUkDkYOQA46DjQVHg4uDigOKA4oFRIVEg4iFQwOHA4WDhAOCg4EDgoOCg4KDf4N/g34DfgU+g3yDfIOXg3yDewN5hUSFQwN4A5SDdoN1A3OFNYQLBAgECASYBJgDcgU1g3CDeAOZA28DbYVJBMODqYQVhJgEmANsA2qDbANpA2eDZgNkg2MDYYNgA16DXQNdA1uDWgNYg1cDVYNVg1QDUoNRA0+DTgNMg0sDSYNXA0gDRoNFBVOFd4VThXeFU4TwhO8DQ4VQhXSFUIV0hVCFdIVQhXSFUINCA0CDPwM9hXMFTwVzBU8E5ITjAzwDOoM5AzeDNgM0hW6FSoMzAzGFboVKhW6FSoVtBUkDMAMug9mEwIVqBUeFagVHhWiFR4MtAyuFaIVHhWiFR4MqAyiFZwVGBO2DJwV2BUSFdgVEhXYFRIMlgyQDIoMhAx+DHgMcgxsDGYMYAxaDFQMTgxIFYoU+gxCDDwVihT6DDYMSBWEFPoSxhLMDDAMKgw2DEgMJAweFX4U9BV+FPQVfhT0FXgVEhK0FBYVeBUSD5wPlgwYDBIMDAwGDAAU7gv6C/QVbBToC+4L6AviC9wL1gvQEngSchVaFNYVWhTWFSoLygvEC74LuAuyFRgLrBXSFdgLpg6OC6YLoAuaFaIV2BXkFcwVtBV4C5QLjguIC4ILfAuIC3YLcAuUC4ILlAuIC5QLagtkC5QLlAteC5QLWAtSC0wLRgtAEBQLOg52CzQOXg5eD/YLLgsuCygLIhUeFRIVVBU8FRILHAsWCxALCgsECv4K+AryCuwLHArmCuAK2grUCs4KyArCCrwKtgqwCqoKpAqeCpgKkgqMCoYKgAp6CnQKgAp0Cm4KaApoCmIKaApcCtoKVgpQClAKSgpECj4KOApcCjIKLAomCiAKGgoUCg4KDgoICgIJ/An2CfAJ6gnkCd4KhgnYCgIJ0gscCcwJxgnGCxwJwAscCxwLHAm6CbQKgAp6CnQKgAqACa4JqAmiCZwJlgmQCYoJlgmECX4JeAlyCWwJZglmCagJYAlaCVQJYAlOCUgJQglOCUIJTgoOCTwJNgkwCTYJNgkqCSQJHgkYCRIJDAkYCQYJAAj6CPQI7gjoCOII3AjWCNAIygjECL4IuAiyCKwIpgigCJoIlAiOFLIQpBWoCIgIggiCCHwIdghwCGoIZAheCFgOjghSDqwVYAhMCEYIQBUkFYoVcgg6Dl4OXg5eCDQOXg5eDl4ILggoCCIAAQEVAhgAAQDpAhkAAQDjAhsAAQBUAmEAAQCGAhMAAQKNAsoAAQLuAsoAAQA0AWgAAQFBAssAAQGhAsoAAQFuAtQAAQBkASsAAQCcAOIAAQDYAOIAAQDJAOIAAQE3AOIAAQBUAWgAAQBVAWgAAQEDAsoAAQDwAwUAAQDwAyIAAQDwAxIAAQDwAjwAAQDtAxUAAQDtAu0AAQDtAyIAAQDtAxIAAQDtAjwAAQD5AjwAAQGDAxUAAQGDAu0AAQGDAyIAAQGDAxIAAQGDAjwAAQD+AjwAAQEqAwMAAQEqA1UAAQEqAjwAAQEqAskAAQEqAxUAAQEqAu0AAQEqAyIAAQEqAwgAAQEqAxIAAQErAjwAAQDgAyIAAQDgAjwAAQDfAjwAAQDjAyIAAQDjAxIAAQDjAjwAAQD/AyIAAQD/AxIAAQD/AjwAAQD2AjwAAQF2AjwAAQE8AwMAAQE8AxMAAQE+Aj0AAQE8AskAAQE8AxUAAQE8Au0AAQE8AyIAAQE8AwgAAQE8AxIAAQE8AjwAAQE4AwMAAQFwAjwAAQDcAjwAAQB2AxIAAQERAjwAAQB2AyIAAQCSAwMAAQCSAskAAQCSAxUAAQCSAwUAAQCSAu0AAQCSAyIAAQCSAwgAAQCSAxIAAQCSAjwAAQEsAyIAAQEsAjwAAQFBAvMAAQFBAkMAAQFBAyIAAQFBAwgAAQFBAjwAAQDsAjwAAQDxAskAAQDxAxUAAQDxAwUAAQDxAu0AAQDxAyIAAQDxAwgAAQDxAjwAAQEjAyIAAQEjAjwAAQE4AvMAAQE4AyIAAQE4AxIAAQE4AjwAAQEHAjwAAQFeAxIAAQFoAjwAAQEIAwMAAQEIA6gAAQEIA1UAAQEIAjwAAQEIAskAAQEIAxUAAQEIAu0AAQEIAyIAAQEIAwgAAQEIAxIAAQEKAjwAAQDxAxIAAQDuAjwAAQB6AvgAAQB3Ar8AAQHbAjwAAQBAAxUAAQB4AvMAAQB4Au0AAQB5AxIAAQB5Av0AAQCsAxIAAQB2AjwAAQEDAhgAAQEoAv0AAQCjAv0AAQEGAhgAAQDhAhgAAQEuAvgAAQQNAsoAAQMhAsoAAQEVA68AAQEVAsoAAQCPA40AAQCPA1kAAQCRA5YAAQCPA4cAAQCPA7AAAQCRA7AAAQCPA5MAAQCPA68AAQIyAsoAAQCPAsoAAQEuAsoAAQFvAsoAAQFjAsoAAQEpAhwAAQDVA5oAAQHPAxIAAQD/AzEAAQGJAzEAAQCaA1IAAQD/AuEAAQEbA5MAAQEHAtoAAQEkA4wAAQEHAuEAAQEkA5MAAQGJAuEAAQHRA5MAAQEsAsoAAQD8At8AAQEsA5EAAQE1A1IAAQFuBAQAAQCaA1kAAQEWA5MAAQDwA1IAAQEdBAQAAQEdA5MAAQDwAqUAAQE3A1cAAQDwAuEAAQE3A5MAAQFMAuEAAQE9A5MAAQFMAv4AAQE9A7AAAQEvAugAAQGHA5oAAQEvAt4AAQGHA5AAAQEvA1IAAQGHBAQAAQEvA3EAAQGHBCMAAQE1AuEAAQHfAuEAAQHGA5MAAQCBA4UAAQCMA1cAAQCBA2cAAQCqBBkAAQCCA7oAAQFzA4wAAQCCA8EAAQFzA5MAAQEpAqUAAQGVA1cAAQD8A5oAAQEqA5MAAQEdAugAAQExA5oAAQEdAt4AAQExA5AAAQFpA5MAAQFCA5MAAQCKAuoAAQCrAmEAAQBUAucAAQClAmEAAQCQAwcAAQBSADwAAQBSAvgAAQCmAmEAAQD/AmEAAQC2AmEAAQCHAmEAAQCcAmEAAQBUAtkAAQDJAuoAAQBVAucAAQE6AhgAAQEnAsoAAQD/AsoAAQFuAvgAAQGVAvgAAQI/Av0AAQKEApMAAQG2Av0AAQIUApMAAQLXAvgAAQK8AvgAAQE/AhgAAQEfAv0AAQGHAtUAAQDVAvgAAQDtAhgAAQD/AwgAAQGJAhcAAQEgAhgAAQCdApMAAQC1AiIAAQCBAv0AAQEYAhgAAQCtAhgAAQDPAvgAAQDPAhgAAQFrAvgAAQGHAhgAAQGwAhgAAQE8AhgAAQHUAhgAAQFJAvgAAQCvAvgAAQC9AvgAAQCgAhgAAQCGAhgAAQE1Av0AAQD+AhgAAQEfAhgAAQCBAhgAAQEsAhgAAQEMAhgAAQESAhgAAQEaAhgAAQEKAhgAAQC+AhgAAQEZAiIAAQGAAsoAAQEdAvgAAQEwAsoAAQFFAsoAAQDaAhgAAQDgAsoAAQEcAvgAAQHmAhgAAQHmAvgAAQDCApMAAQF1AhgAAQCDAvgAAQD/AqUAAQEbA1cAAQEvA0UAAQGHA+kAAQEvAuEAAQGHA5MAAQEvA0QAAQGHA/YAAQEZAuEAAQE+A5MAAQEqAvgAAQFQAsoAAQGwAvgAAQDpAhgAAQERAsoAAQDwAuQAAQE3A5YAAQFLAsoAAQHVAsoAAQNSAvgAAQPFAhgAAQPyAsoAAQD5Av4AAQEkA7AAAQFUA7AAAQGyAsoAAQGwAqUAAQG5A1cAAQEZA0UAAQE+A+kAAQEZA0QAAQE+A/YAAQE1A3EAAQFuBCMAAQE1A2cAAQFuBBkAAQE1A0QAAQFuA/YAAQLrAuEAAQN5AuEAAQOBAsoAAQGDAvgAAQKNAuEAAQKVAsoAAQNSAv4AAQPFAv4AAQPyA7AAAQCHAsoAAQECAvgAAQFwAvgAAQCoAvgAAQEmAhgAAQDoApMAAQD1AhgAAQEdAv0AAQD5AhgAAQEeAsoAAQEPAhgAAQFKAsoAAQC1Av0AAQEgAsoAAQC1ApMAAQCzAv0AAQETAsoAAQE0Av0AAQFXAsoAAQGnAhgAAQIaAsoAAQFGAhgAAQIDAsoAAQEPAv4AAQELAv0AAQE2AsoAAQCKAsoAAQHTAhgAAQGwAwYAAQF7AsoAAQEmAsoAAQFyAsoAAQEMAsoAAQEuAhgAAQEcAv0AAQF8A0wAAQD2AsoAAQEyAvgAAQE0AsoAAQD/At8AAQEbA5EAAQD/AzUAAQEbA9oAAQFRAhgAAQGGAsoAAQFRAt8AAQGGA5EAAQFRAzUAAQGGA9oAAQFRAv4AAQGGA7AAAQE1AzUAAQFuA9oAAQE0At8AAQGIA5EAAQE0AzUAAQGIA9oAAQE0Av4AAQGIA7AAAQEvA3MAAQGHBBgAAQEvA2cAAQGHBAwAAQEvAywAAQGHA9EAAQEvAzUAAQGHA9oAAQCBAzUAAQCqA9oAAQEdA3MAAQExBBgAAQEdA2cAAQExBAwAAQEdAywAAQExA9EAAQEdAt8AAQExA5EAAQEdAzUAAQExA9oAAQEZA3EAAQE+BBYAAQEZA24AAQE+BBMAAQEZA0wAAQE+A/EAAQEZA3MAAQE+BBgAAQEZA2cAAQE+BAwAAQEZAywAAQE+A9EAAQEZAzUAAQE+A9oAAQHfAv4AAQHGA7AAAQFmAsoAAQDJAmEAAQGJAtoAAQHRA4wAAQGwAv4AAQG5A7AAAQEZA74AAQFAA74AAQFCAv0AAQDVAv0AAQDrAuEAAQEiA5MAAQDrAv4AAQEiA7AAAQEbA4wAAQGJAv4AAQHRA7AAAQE1AzEAAQFuA+MAAQE1AuQAAQFuA5YAAQE1AqUAAQFuA1cAAQFuA5EAAQCaAvgAAQEWA7AAAQEdA7AAAQDwAv4AAQE3A7AAAQHZAhgAAQHQAsoAAQEvAuQAAQGHA5YAAQEvAqUAAQGHA1cAAQF7AhgAAQCBA94AAQCMA7AAAQELAhgAAQCJA7AAAQGDAuEAAQEyAsoAAQCqA5MAAQCBAuQAAQCqA5YAAQCBAqUAAQCqA1cAAQCBAt8AAQCqA5EAAQCCA94AAQFzA7AAAQEpAuEAAQGVA5MAAQEpAuQAAQGVA5YAAQEpAv4AAQGVA7AAAQEdAuEAAQExA5MAAQEdAuQAAQExA5YAAQEdAqUAAQExA1cAAQE1AvgAAQFpA7AAAQEcAuEAAQF8A5MAAQEcAv4AAQF8A7AAAQE+As0AAQEZAuQAAQE+A5YAAQEZAqUAAQE+A1cAAQD/AtoAAQE0AvgAAQD/Av4AAQE1AtoAAQE1Av4AAQEvAtoAAQEvAt8AAQEvAv4AAQE1At8AAQEvAv0AAQCBAtoAAQCBAv4AAQEdAtoAAQEdAv4AAQG3AhgAAQEZAzEAAQEZAtoAAQEZAt8AAQEZAv4AAQE8Av0AAQEbA7AAAQFuA4wAAQFuA7AAAQGIAsoAAQGHA4wAAQGHA5EAAQGHA7AAAQF8A5EAAQFtAsoAAQCqA4wAAQCqA7AAAQExA4wAAQExA7AAAQHtAsoAAQE+A24AAQE+A4wAAQE+A5EAAQE+A7AAAQC+AtUAAQCsAtUAAQDrAhgAAQD/AhgAAQEHAhgAAQGJAhgAAQD8AhgAAQCaApMAAQDwAhgAAQE0AhgAAQFMAhgAAQEvAhgAAQE1AhgAAQHfAhgAAQCBAvgAAQCBAuEAAQCCAvgAAQEpAhgAAQD8Av0AAQEdAhgAAQETAvgAAQEcAhgAAQFSAvgAAQEZAhgAAQEiAsoAAQEbAsoAAQEkAsoAAQHRAsoAAQEvAsoAAQFuAsoAAQEWAsoAAQEdAsoAAQE3AsoAAQE9AsoAAQGHAsoAAQHGAsoAAQCMAsoAAQFUAsoAAQCJAsoAAQCqAsoAAQFzAsoAAQGVAsoAAQEqAsoAAQExAsoAAQFpAsoAAQF8AsoAAQFCAsoAAQE+AsoAAgAjACIAOwAAAEIAWwAaAGoAagA0AHoAegA1AIAAlgA2AJgAtgBNALgBRwBsAVgBXwD8AXYBdgEEAX8BfwEFAZMBkwEGAZUBmAEHAZoBnQELAaMDIQEPAy4DLgKOAzEDMQKPAz0DQgKQA18D8AKWBA0EDQMoBB4EIQMpBCgE5wMtBPME9APtBP4E/wPvBQ4FFQPxBaIFowP5Ba8FrwP7BbEFswP8BbUFtQP/BbkFuQQABbwFvQQBBcMFwwQDBcgFyAQEBlgGWAQFBtQG3AQGBuMG4wQPAEMAAAHOAAAByAAAAcIAAAG8AAABtgAAAbAAAAGqAAABpAAAAbwAAAGeAAABpAAAAZgAAAGeAAABkgAAAbwAAAG8AAABjAAAAcIAAAG8AAABhgAAAYAAAAF6AAABvAAAAbwAAAHCAAABdAAAAW4AAAG8AAABwgAAAcIAAAG8AAABaAAAAcIAAAHCAAABwgAAAbwAAAFiAAABXAAAAVYAAAFQAAABSgAAAUQAAAE+AAABOAAAATIAAAFKAAABSgAAASwAAAEmAAABIAAAARoAAAG8AAABFAAAAQ4AAAG8AAABvAAAAbwAAAG8AAABvAAAAbwAAAG8AAABvAAAAbwAAAG8AAABvAAAAbwAAAG8AAH/8wIYAAH/+gIYAAEBHgI8AAEBJQI8AAEBGQI8AAEBJgI8AAEBGwI8AAEBCwI8AAEBIQI8AAEAhQI8AAEBJwI8AAH+rgJgAAH+1AIYAAH/OAIYAAH+1QIYAAH//gIYAAEAPQIYAAH/xAIYAAH//QGQAAEAAAGQAAH//AGQAAH+2gIYAAEAAQJ8AAH+zAIYAAEAAQIYAAEAAgIYAAEANgIYAAH+8AIYAAH+lQIYAAEAAAIYAAH//wIYAAH+2wIYAAEAmgIYAAIADQGBAYEAAANdA10AAQZZBmwAAgaUBpkAFgadBp8AHAajBqUAHwaqBqoAIgatBq0AIwavBrAAJAayBrMAJga2BsAAKAbDBsUAMwbHBtMANgAJAAAAAQAIAAEABAAAAAgAARIGEOoAARHSAAwEKhDYENIQ2BDMEMYQwBC6ELQQtBCuEKgQohCcEJYQkBCKEIQQfhB4EHIQbBBmEGAQWhBUEE4QSBBCEDwQNhAwECoQJBAeEBgQEhAMEAYQAA/6D/QP7g/oD+IP3BASD9YP0A/KD8QPvg+4D7IPrA+mD6APmhDMEMwQzBDMEMwQzA+UEMAQtBC0ELQQtBCiEKIQohCiD44QhBB+EH4QfhB+EH4PiBBaEFoQWhBaEEIQeA+CEDYQNhA2EDYQNhA2D3wQKhAeEB4QHhAeD/QP9A/0D/QPdg/oD+IP4g/iD+IP4g9wD8QPxA/ED8QPrA9qD6wQzBA2EMwQNhDMEDYQwBAqEMAQKhDAECoQwBAqELoQJA+OD2QQtBAeELQQHhC0EB4QtBAeELQQHhCuEBIQrhASEK4QEhCuEBIQqBAMD14PWBCiD/QQog/0EKIP9BCiEAYQog9SD0wQnA9GEJYP+g9AEJAP9BCQD/QQkA/0EJAP9A86DzQQhA/oEIQP6BCED+gPLg8oDyIQfg/iEH4P4hB+D+IQTg8cEGwP1hBsD9YQbA/WEGYP0BBmD9AQZg/QEGYP0BBgD8oQYA/KDxYPyhBaD8QQWg/EEFoPxBBaD8QQWg/EEFoPxBBOD7gQQg+sEEIQPA+mEDwPphA8D6YPEA8KDwQPlA98D4gPcBBmD9AQTg+4EE4PuBBOD7gQQg+sDv4O+A9GEIoP7hDMEDYO8g7sDuYO4BDMEDYQzBA2EMwQNhDMEDYQzBA2EMwQNhDMEDYQzBA2EMwQNhDMEDYQzBA2EMwQNhC0EB4QtBAeELQQHhC0EB4QtBAeELQQHhC0EB4QtBAeEKIP9BCiEAYQfg/iEH4P4hB+D+IQfg/iEH4P4hB+D+IQfg/iDvIO7A7yDuwO8g7sDvIO7A7yDuwQWg/EEFoPxA7mDuAO5g7gDuYO4A7mDuAO5g7gEEIPrBBCD6wQQg+sD2QQYA/KDtoO1BAwDs4OyA7CDrwOtg+ODrAOqg6kDp4OmA6SDowOhg6ADnoOdA5uEKIOaA5iDzQOXA5WDlAOSg+IDkQOPg44DjIOLA4mDiAQPA4aDhQODg4IDgIN/A32DfAN6hA8D6YN5A3eDdgN0g3MDeQNxg3ADboNtA2uDagNog2cDZYNkA2KD0wNhA1+DXgQzBA2EKIP9BB+D+IQWg/EEFoPxBBaD8QQWg/EEFoPxBDMEDYQzBA2D5QPfA1yDWwQrhASEJYP+hB+D+IQfg/iDeQNZg2iDZwNlhCuEBINYA1aEIQP6BDMEDYQzBA2ELQQHhC0EB4Qog/0EKIP9BB+D+IQfg/iEGwP1hBsD9YQWg/EEFoPxA1UDU4QqBAMDUgNQg08DTYQPA0wEMwQNhC0EB4Qfg/iEH4P4hB+D+IQfg/iEEIPrA0qDSQNHg0YDRIQzBDAECoQkBBgDQwNBg0ADPoM9BBaDO4QtAzoDOIM3AzWDNAQbA/WEEIPrAzKDMQMvgy4DLIMrAymDKAMmgyaDJQPQAyODIgQEgyCDHwMdhAMDHAMahAGDGQMXgxYDFIMTAxGDEAMOgw0DC4MKAwiD+IMHAwWDBAMCgwEC/4L+Av4C/IL7AvmC+YL4AvaC9oL1AvOC8gOFA/EC8ILvA++C7YLsAuqC6QLng1mC5gLkguMC4YLgBB+EAwLegt0C24LaAtiECoLXAuSC4wLVgtQC0oLRAs+CzgLMgssCyYLIAsaCxQLDgsICwIK/Ar2CvAK6grkCt4K2ArSCtIKzArGCsAKugq0EMYQMBDGEDAQxhAwEMAQKhC6ECQQuhAkELoQJBC6ECQQuhAkELQQHhC0EB4QtBAeELQQHhC0EB4QtBAYEK4QEhCoEAwQqBAMEKgQDBCoEAwQqBAMEKIQBhCiD/QQlg/6EJYP+hCWD/oQkA/0EJAP9BCQD/QQkA/0EIoP7hCKD+4QhA/oEIQP6BCED+gQhA/oEH4P4hB+D+IQfg/iEH4P4hB4D9wQeA/cEGwP1hBsD9YQbA/WEGwP1hBmD9AQZg/QEGYP0BBmD9AQZg/QEGAPyhBgD8oQYA/KEGAPyhBaD8QQWg/EEFoPxBBaD8QQWg/EEFQPvhBUD74QTg+4EE4PuBBID7IQSA+yEEIPrBA8D6YQPA+mEDwPphAMD8oPuA+sEDYPEA/uCq4KqA8oEK4KogqcCpYKkBCQEIQQzBC0EKIQWgqKCoQKigqKCooKigqKCooKigqKCooKigqKCooKigqKCooKigqKCn4Kfgp4CnIKbAyaCmYP9A9GCmAPEA8QCloKVA/0D+gQNhAeD8QKTgpOCk4KTgpOCk4KTgpICk4KTgpOCkIKQgo8CjwKPAo8CjwKPAo8CjwKPAo8CjwKNgo2CjAKKgoqCioKKgoqCioKJAoeCiQKHgoYChgKGAoYChgKGAoYChgKGAoYChIKDAoMCgwKDAoMCgYKBgoGCgAKAAoACgAKAAoACgAJ+goACgAKAAn0CfQJ7gnuCegJ6AnoCegJ6AniCdwJ1gnWCdYJ1gnQCdYJygnKCcoJygnKCcoJygnKCcQJxAnKCb4JuAm4CbIJrAmsCawJrAmmCaYJpgmmCaYJpgmgCZoJmgmaCZoJmgmUCZQJlAmUCZQJlAmUCZQJlAmUCZQJjgmICYgJiAmICYgJggl8CXwJfAl8CXwJdgl2CXYJdglwCWoJZAleCVgJUglMCUYJQAk6CTQJLhDMCSgJOg1yCSIJHAkWCRAJCgkEDowQlgj+CPgI8gjsD74I5gjgCNoI1AjOCMgIwgi8CLYIsAiqCKQIngiYCJIIjAiGCIAQkAh6EJAQQgh0CG4IaBAGEGwQVAhiD/QIXA/0D/QP9AhWAAEA9AEMAAEAJgF4AAEAiAEMAAECiwFlAAECvQFlAAEB6QFnAAEBbgFmAAEBoQFgAAEAdgBBAAEAnQBBAAEA0f/8AAEAygBEAAEBMQBEAAEAVABBAAEAxgCEAAEAyQBBAAEA/gAEAAEA+QDDAAEA6ADDAAEBHwF8AAEBGAF8AAEBlwEHAAEBBACUAAEAYgEIAAEAuwGAAAEBRQF3AAECPwFlAAEBpgFnAAEBQAFoAAEBPQFlAAEBdwFlAAEBOgFlAAEBjgFlAAEBngEVAAEBXgFlAAEBPAFlAAEA3wFlAAEBrQFlAAEBhAFlAAEBmAFlAAEBgAFlAAECGwFuAAEBogFlAAEBEgFIAAEBsQFmAAEBHgFkAAEBVgEpAAEBWwFmAAEA8AEeAAEA7AEeAAEA+AEeAAEBggEeAAEA/QEeAAEBKgEaAAEA4AEeAAEBOAEeAAEA5QEeAAEBHwEeAAEBPADeAAEBBwEeAAEBdwEeAAEBPAEfAAEBPAEeAAEBNwDPAAEBNwEeAAEBbwEeAAEAygEeAAEA3AEeAAEBIgEeAAEALwDPAAEBUgDPAAEAkgEeAAEBLAEeAAEBIQEdAAEA7QEeAAEA7gEeAAEBEQEeAAEBIwEeAAEBCgEeAAEBFQEeAAEBRgEeAAEBCAEfAAEAmwEZAAEBiAEZAAEAdgEeAAEA/QCUAAEBKwF5AAEBgwEMAAEBoQEMAAEBIQF5AAEDpwFfAAECuwFfAAEArwFfAAEBzAFfAAEAjgFlAAEBMwFgAAEBbgFjAAEBfgFlAAEBowFlAAEBbAELAAEAvgEMAAEAjwIEAAEArAHAAAEAnQHAAAEAVAHAAAEApQF4AAEAjwKXAAEApgF4AAEA/wHAAAEAzAHAAAEAlAF4AAEAcAG9AAEAnQHDAAEAKQG0AAEAygIEAAEAyQHAAAEBNgCZAAEBBQCZAAEBJwFlAAEA/gFlAAEBRAF8AAEBXwF3AAEBjgEGAAEBogFEAAEBFQEGAAEBbQFJAAECGgFQAAEB9QEEAAEB6AF3AAEBXQEGAAEA5QCcAAEATAD4AAEBPgEMAAEBRAF5AAEBJwEMAAEA+wCZAAEAzgF3AAEA3AF+AAEAzgF+AAEA9wCUAAEBHQDgAAEBJACUAAEA7QEMAAEA/wGEAAEBiQELAAEBIQEMAAEBLgEHAAEAtAEMAAEAWAEGAAEAiACZAAEAgQEGAAEA8gCtAAEBOgEMAAEAjQCZAAEAzQERAAEA8QCZAAEA5ACUAAEAqwF3AAEArAEHAAEBagEEAAEBhwEMAAEBsQEMAAEBPAEMAAEBcACZAAEA/gCZAAEB1QCZAAEB0QCUAAEB0gEHAAEBYgEEAAEAyQEEAAEApQF8AAEAvQF8AAEAoAEMAAEAxAEHAAEBNwEGAAEBNwF+AAEA/QEMAAEA/gCVAAEBFgEMAAEBVQEGAAEAYACUAAEA9gEMAAEBGAEMAAEBVgF5AAEBXQEEAAEBDAD4AAEA5QEMAAEBQgF5AAEBHwEMAAEBSAEMAAEBKgENAAEBVgCZAAEBowDyAAEAYAD4AAEAXAEGAAEBIQEKAAEBMAFmAAEBMQFlAAEAzgERAAEAzwFqAAEA+QCUAAEA9gCZAAEB5gCZAAEB5gF3AAEAxAE6AAEBmgECAAEAvQFtAAEA6wCpAAEBKgF3AAEBTwFgAAEBxgFHAAEBdQDyAAEA7gCZAAEBFwEQAAEBXwDyAAEB2AFgAAEA7wCUAAEBQACZAAEBhQFlAAECqQD4AAEDNwD4AAEDLAEGAAECSwD4AAECQAEGAAEDUgEMAAEDxQEMAAED7QFlAAEBAgF8AAEBgwF8AAEAqAF8AAEBOACZAAEA4wFEAAEA7wEHAAEBHAF+AAEA7gCUAAEBAwCUAAEBLgFgAAEBGgFgAAEBDwCZAAEBHQFqAAEBTwFlAAEBhgFfAAEBFQDtAAEAsQF5AAEBHwFlAAEAsQDRAAEAxwEGAAEA7AEMAAEBEQFlAAEBYAEzAAEBQgEGAAEBQgFlAAEBmQCZAAECCwFlAAEBMgCZAAEBRgDtAAEB/wFgAAEBDAF6AAEBMQF+AAEBZgFoAAEA1gFgAAEB1QF3AAEBHQDtAAEBkgGoAAEBEgDsAAEBLgFlAAEBcAFlAAEBAwFlAAEBOwCfAAEBJAF3AAEBHAFlAAEBewFlAAEBLAF5AAEBegGoAAEBLQFlAAEBPwF3AAEBUQFgAAEBVwFlAAEBHAF3AAEBiQEwAAEBxgF3AAEBXgEwAAEBsQF3AAEBZgFqAAEAygHDAAEBBwHaAAEBQAHfAAEA3wF+AAEBFQFlAAEB2gELAAEBNwCZAAEBfAEGAAEBfQERAAEAgQF8AAEBAAFlAAEBMQEMAAEAOwCUAAEBQQD4AAEBhwEGAAEBEQF8AAEBcgFlAAEBSgF3AAEBQgEEAAEBLwEKAAEBLwF5AAEBrQEMAAEBTwF5AAEBhgFlAAEBXQFlAAEBmgFlAAEAvAIoAAEAqgIoAAEA6wEMAAEA/wCUAAEBCAEMAAEBiQENAAEA/gEMAAEBMgEHAAEAtQEMAAEA8gEMAAEA8QERAAEBQgCZAAEBLwEMAAEBNwERAAEB1QERAAEAgQEMAAEBMQF8AAEAPwD4AAEAgQFwAAEBNQEMAAEBJACZAAEAyQF+AAEBHAEMAAEBNAEMAAEA+wEMAAEBQgF3AAEBBwELAAEBHQFlAAEBGwFlAAEBJQFlAAEB0AFlAAEBLAFlAAEBbQFgAAEBFgFlAAEBFAFlAAEBYAFlAAEBhgEVAAEBRQFlAAEBhwFlAAEBfAFlAAEBxQFlAAEBBgFlAAEBZgFlAAEANAEGAAEAqQFlAAEBcwFlAAEBZQFlAAEBKAFlAAEBbQFlAAEBSwFlAAEBWgFlAAEBPwFmAAEBHgFgAAEBHgFqAAIAJgAdAB8AAAAiADsAAwBCAFsAHQBqAGoANwB6AHoAOACAAJYAOQCYALYAUAC4AT4AbwFAAUcA9gFYAV8A/gF2AXYBBgF/AX8BBwGTAZMBCAGVAZgBCQGaAZ0BDQGjAf8BEQIBAjsBbgI9AyEBqQMqAysCjgM+A0ICkANfA/AClQQNBA0DJwQdBB0DKAQfBCEDKQQoBEkDLARMBRUDTgWjBaMEGAWvBa8EGQWxBbMEGgW1BbUEHQW5BbkEHgW8Bb0EHwXDBcMEIQXIBcgEIgZYBlgEIwbUBtQEJAbXBtoEJQbjBuMEKQAFAAAALgAAACgAAAAiAAAAHAAAABYAAQAAAV4AAQABASIAAQAAAR0AAQABASYAAQAGARAAAgABBosGjwAAAAkAAAABAAgAAQAEAAAACAABEwYRGgABEfAADAQSEQgRAhD8EPYQ8BDqEOQQ3hDYENIQzBDwEMYQwBC6ELQQrhCoEKIQnBCWEJAQihCEEH4QeBByEGwQchBmEGAQWhBUEE4QSBBCEDwQNhAwECoQYBAkEB4QGBASEAwQBhAAD/oP9A/uD+gP4g/cEQgRCBEIEQgRCBEID9YP0BDwEPAQ8BDwENgQ2BDYENgPyhDAELoQuhC6ELoQug/6EJYQlhCWEJYQfhC0D8QQchByEHIQchByEHIPvg+4EGAQYBBgEGAPsg+yD7IPshC0ECoQYBBgEGAQYBBgELQQBhAGEAYQBg/uD6wP7hEIEHIRCBByD6YPoBD8EHIQ/BByEPwQchD8EHIQ9hBmD8oQKhDwEGAQ8BBgEPAQYA+aD5QQ8BBgEOQQVBDkEFQQ5BBUD44QVBDeEE4PiBAqENgPshDYD7IQ2A+yD4IPfBDYD3YPcBDSEEIPag9kEDwQ8BA2D14PWBDwEDYQ8BA2EPAQNhDAECoPUg9MEMAQKg9GD0APOhC6EGAQuhBgELoQYA80Dy4QqBAYDygPIhCoEBgQohASEKIQEg8cDxYQohASDxAPChCcEAwQnBAMEJYQBhCWEAYQlhAGEJYQBhCWEAYPBA7+EIoP+hB+D+4QfhB4D+gQeA/oEHgP6A74DvIO7BByD9YPvg/6ELQO5g7gEIoP+hCKD/oQig/6EH4P7g7aDtQQQhDGEDAOzg7ID/oQYA7CEIQOvA62EQgQchEIEHIRCBByEQgQchEIEHIOvA62EQgQchEIEHIRCBByEQgQcg68DrYOsA6qEPAQYBDwEGAQ8BBgEPAQYBDwEGAQ8BBgDrAOqhDYD7IOpA6eDpgOqhC6EGAQuhBgELoQYBC6EGAQuhBgDpgOqhC6DpIQug6SELoOkhC6DpIOmA6MDoYOgBCWEAYOeg50DnoOdA56DnQOeg50Dm4OaA5iD+4Qfg/uEH4P7hAqDlwOVg6SD8oOkg6SDlAOSg5EEPwQcg/KDj4Okg6SDjgOMg7CEAYQSA4sDiYOIA4aENgQThA8EDYOFA4ODggPOg/6DgIN/A32D6wN8A3qEBIN5A3eDdgN0g3MDlwP+hDwEH4Nxg3ADboQZhBmDbQNtA3kEGYNrg2oDaINnBDeDZYNkA2KDYQNfg14DXIPcA1sDWYNYBEIEHIQ2A+yELoQYBCWEAYQlhAGEJYQBhCWEAYQlhAGEQgQchEIEHIP1g++DVoPrBDkEFQQzBA8DVQPlA1UD5QQZg20DYoNhA1+EOQQVA1ODUgQwBAqEQgQchEIEHIQ8BBgEPAQYBDYD7IQ2A+yELoQYBC6EGAQqBAYEKgQGBCWEAYQlhAGDUINPBDeEE4NNg0wDSoNJA0eDRgRCBByDRINDBC6EGAQuhBgELoQYBC6EGAQfg/uDQYNAAz6DPQQHhEIEPwM7hDwEJwPFgzoDOIM3AzWEJYM0BDwDMoMxBAkDL4PrBCoEBgQfg/uDLgOkg6SDpIMsgysD6wOkgymDKYP6BDwECQPrBBUDKAMmgyUDI4QKg86EEgMiAyCDHwMdhAkDHAMagxkDGQPOg86D8QQtA++D/oMXgxYDFIMTAxMDEwMRgxADDoMOg8WECQQJBAkECQMNAwuEAYQtA3SDJQMKAwiDBwM6AwWDbQNtBDYDBAMEAwKELoN0hDwDKAMBBAkC/4M3A+sDcwMEAv4C/IL7AvmC+AL2gvUC84LyAwiC8ILvAu8C7YO2guwC6oLpAueC5gLkguMC4YLhguAC4ALegt0C24LaAtiC1wRAhBsC1YLUAtKC0QP0A+4EPYQZgs+CzgLMgssCyYLIAsaCxQQ8BBgEPAQYAsOCwgLAgr8DRINDBDqEFoQ5BBUEN4QTgr2CvAQ3hBOCuoK5AreCtgK0grMENgPshDMEDwKxgrACroKtA6wCq4OsAquCqgKogsOCpwQxhAwCpYKkBDAECoKigqECn4KeApyCmwQuhBgELoQYBC6EGAQuhBgELQQJBC0ECQQqBAYCmYKYApmCmAKWgpUEKIQEgpOCkgQohASEKIQEgpOCkgQnBAMCkIKPAo2CjAKKgokCh4KGBCWEAYKEgoMEJYQBhCWEAYQ8BAADrAKBhCKD/oKAAn6EIQP9BCED/QQfg/uEHgP6An0Ce4QeA/oEE4QDA/6D+4Qcg74EDAJ6AniD0AJ3AnWCdwJ0AnKC7wJxBEIEPAPghCWCb4JuAm+Cb4Jvgm+Cb4Jvgm+Cb4Jsgm+Cb4Jvgm+CawJrAm+CaYJoAmgC/gJmgnKDa4JlAymCY4PshBCCYgO+A74CYIJfAl2CXAPoA+UDv4JaglqCWoJaglqCWoJaglkCWoJaglqCV4JXglYCVgJWAlYCVgJWAlYCVIJWAlYCVgJTAlMDjIQKhAqECoPOhAqECoJRglGCUYJRg5EDkQORA5EDkQORA5EDkQORAlACToJNAk0CTQJLgk0EPAQ8BDwCSgJKAkoCSgJKAkoCSgJIgkoCRwJKAkWCRYMrAkQCQoJCgkKCQQJCgj+EN4I+Aj4CPgI8gjsCPgPxA/ED8QPxA/ED8QPxA/ED8QPxA/ECOYORA5ECOAMIgwiDCII2gjUCNQI1AjOCNQIyBDwDOIM4gziCMIIvA0kDSQNJA0kDSQNJA0kDSQItg0kDSQMlAiwCLAIsAiwCLAIqgwcDBwMHAwcDBwQEhASEBIQEgikEQgQBhDMCJ4ImAiSCIwIhgiACHoIdAhuCGgM4ghiCdYQfghcCFYIUBBIEKgQkAhKCEQQQhBCC7AIPgg4EEgIMggsCCYAAQD3/20AAQBA/xAAAQB7AAAAAQCF/1AAAQCF/0gAAQCF/yQAAQDG//sAAQJnAAAAAQLmAAAAAQOoAWgAAQE+AAEAAQGhAAAAAQEe/xAAAQCL/6AAAQCc/6AAAQBU/xAAAQDJ/6AAAQEy/6AAAQBU/6AAAQCu/6AAAQDK/6AAAQDdAAAAAQD5AAAAAQGDAAAAAQEq/yQAAQDg/yMAAQDg/xAAAQDj/yMAAQDj/xAAAQDjAAAAAQD//yMAAQE8/3gAAQF2AAAAAQE4/2IAAQE4/yMAAQE4AAAAAQDcAAAAAQDz/yMAAQDzAAAAAQEK/yMAAQB2/2IAAQCS/yQAAQEH/2IAAQCSAAAAAQFH/yMAAQFHAAAAAQDSAAAAAQD2/yQAAQEjAAAAAQFeAAAAAQEI/yQAAQEIAAAAAQChAAAAAQGOAAAAAQB2AAAAAQE//xAAAQCI/xAAAQED/xAAAQEoAAAAAQECAAAAAQEGAAAAAQDhAAAAAQOoAAAAAQCwAAAAAQCR/0gAAQCO/yQAAQCQ/1AAAQHNAAAAAQCPAAAAAQGH/xAAAQEuAAAAAQFvAAAAAQGAAAAAAQFjAAAAAQFp/0IAAQEpACoAAQDy/1AAAQEp/1AAAQGH/1AAAQHK/1AAAQD8/1AAAQEm/zUAAQFs/zgAAQE0/1EAAQFv/1EAAQDW/zMAAQEW/zgAAQDW/20AAQEW/3EAAQDW/1AAAQEW/1AAAQDw/1AAAQEB/1AAAQB+/28AAQFI/2cAAQB+/1AAAQFI/1AAAQE1/zgAAQF8/zgAAQE1/2EAAQF8/2UAAQE1/1AAAQF8/1AAAQHX/1AAAQHA/1AAAQCB/zwAAQCB/3AAAQEs/3MAAQCB/1AAAQEL/2UAAQFK/20AAQEL/1AAAQFK/1AAAQCD/0gAAQCq/0gAAQE2/0cAAQFw/0cAAQE2/xAAAQFw/xAAAQE2/1AAAQFw/1AAAQEt/0cAAQEs/0MAAQEt/zgAAQEs/zgAAQEk/zgAAQFW/zgAAQEk/xAAAQFW/xAAAQEk/20AAQFW/20AAQEk/1AAAQFW/1AAAQFC/2wAAQE7/20AAQFC/1AAAQE7/1AAAQCKAR8AAQCsAR8AAQCcAR8AAQBUAR8AAQClAJAAAQCJAMoAAQCJAOgAAQCP/zQAAQA9AI8AAQD+AR8AAQC2AR8AAQCHAI8AAQCHARkAAQBSAR8AAQAOAI8AAQDKAR8AAQE6/xAAAQEnAAAAAQFuAAAAAQGlAAAAAQI2/xAAAQKE//YAAQFF/xAAAQIUAAAAAQK8/6kAAQKz/xAAAQK8AAAAAQEL/yAAAQE/AAAAAQDr/xEAAQDVAAAAAQEP/6kAAQDtAAAAAQD/AAAAAQGJ//8AAQDO/xAAAQC1/4UAAQEYAAAAAQCt/xAAAQCtAAAAAQDP/xAAAQDPAAAAAQDP//YAAQFr/xAAAQHU/xAAAQHU//YAAQFJ/xAAAQCvAAAAAQC9AAAAAQCgAAAAAQDGAAAAAQE1/yAAAQD+AAAAAQD+/xIAAQEfAAAAAQEaAAAAAQEKAAAAAQC+AAAAAQEZ//cAAQGA/xAAAQCJ/0IAAQEt/zAAAQEwAAAAAQFFAAAAAQDaAAAAAQDgAAAAAQDr/xAAAQEZ/zAAAQHmAAAAAQDCAAAAAQF1AAAAAQC/AAAAAQEt/xAAAQEs/xAAAQDr/zoAAQEp/zoAAQEqAAAAAQFQAAAAAQGw/5cAAQFz/xAAAQDw/1MAAQEa/4cAAQFL/xAAAQHVAAAAAQGI/yQAAQGeAAAAAQKA/xAAAQMO/xAAAQL0/0IAAQIi/xAAAQII/0IAAQNZAAAAAQPMAAAAAQP5AAAAAQCHAAAAAQEC//8AAQCoAAAAAQEm/xAAAQDoAAAAAQD1AAAAAQD5/xAAAQDrAAAAAQEeAAAAAQEP/xAAAQC1AAAAAQEgAAAAAQC1/xAAAQCz/xAAAQEdAAAAAQETAAAAAQE3/5wAAQFXAAAAAQGn/xAAAQIaAAAAAQF8/xAAAQIDAAAAAQEPAAAAAQDMAAAAAQHTAAAAAQEd/xAAAQGUAAAAAQEHAAAAAQEu/yAAAQGVAAAAAQD2AAAAAQEyAAAAAQE+AAAAAQDW/xAAAQEW/xAAAQEb/1AAAQFR/1AAAQGG/1AAAQFRAAAAAQGGAAAAAQEm/1AAAQFs/1AAAQE0/1AAAQE0AAAAAQGI/1AAAQCD/1AAAQCq/1AAAQEt/1AAAQEs/1AAAQEZ/1AAAQFE/1AAAQFyAAAAAQEZ/u8AAQFE/u8AAQFmAAAAAQDJAR8AAQDw/yMAAQEB/yMAAQFAAAAAAQB4AAAAAQCjAAAAAQEm/yQAAQFs/yQAAQDW/yMAAQEW/yMAAQDw/xAAAQEB/xAAAQB+/yMAAQFI/yMAAQHZAAAAAQHQAAAAAQE1/xAAAQF8/0IAAQF7AAAAAQE1/yMAAQF8/yMAAQCB/yMAAQEs/yMAAQEL/yMAAQFK/yMAAQEY/xAAAQEy/0IAAQCD/yQAAQCq/yQAAQFzAAAAAQGS/yMAAQEt/yQAAQEs/yQAAQEZ/yQAAQFE/yQAAQE0/xAAAQCFAAAAAQEZ/xAAAQGwAAAAAQE8AAAAAQFtAAAAAQF0/xAAAQG5AAAAAQC4AXwAAQCsAYAAAQDyAAAAAQBe/xAAAQEJAAAAAQGHAAAAAQD8AAAAAQEmAAAAAQDWAAAAAQDwAAAAAQB+AAAAAQHm/xAAAQCB/xAAAQE1AAAAAQHXAAAAAQCBAAAAAQELAAAAAQAW/xAAAQCDAAAAAQE2AAAAAQEq/xAAAQCZAAAAAQEtAAAAAQEkAAAAAQFCAAAAAQEZAAAAAQEpAAAAAQEbAAAAAQElAAAAAQHKAAAAAQErAAAAAQFsAAAAAQEWAAAAAQEBAAAAAQFIAAAAAQGH/1YAAQEvAAAAAQGIAAAAAQF8AAAAAQHAAAAAAQFKAAAAAf/8/1YAAQCqAAAAAQFwAAAAAQGSAAAAAQEEAAAAAQEsAAAAAQFWAAAAAQF0AAAAAQE7AAAAAQFEAAAAAgAjACIAOwAAAEIAWwAaAGoAagA0AHoAegA1AIAAlgA2AJgAtgBNALgBRwBsAVgBXwD8AXYBdgEEAX8BfwEFAZMBkwEGAZUBmAEHAZoBnQELAaMDIQEPAzMDNAKOAzkDOwKQAz4DQgKTA18D8AKYBA0EDQMqBB4EIQMrBCgE5wMvBPME9APvBP4E/wPxBQ4FFQPzBaIFowP7Ba8FrwP9BbEFswP+BbUFtQQBBbkFuQQCBbwFvQQDBcMFwwQFBcgFyAQGBlgGWAQHBtQG3AQIBuMG4wQRADAAAAEQAAABCgAAAQoAAAEQAAABEAAAAQQAAAEQAAABEAAAARAAAAEQAAAA/gAAAPgAAADyAAAA7AAAAQQAAAEKAAABCgAAARAAAAEQAAABCgAAARAAAAEQAAABEAAAARAAAAEQAAABEAAAARAAAAEKAAABBAAAARAAAAEKAAABCgAAAOwAAAEQAAABEAAAARAAAAEKAAABEAAAAOYAAADmAAAA4AAAARAAAADsAAAA2gAAANQAAADOAAAAyAAAAMIAAQAEAAAAAQBkAAAAAf7pAAAAAf84AAAAAf8GAAAAAQAGAAAAAf/+AAAAAf//AAAAAf7WAAAAAQBZAAAAAf+nAAAAAQACAAAAAQABAAAAAQAAAAAAAgANAYIBggAABm4GcQABBnQGigAFBpAGkwAcBpoGnAAgBqAGoQAjBqYGqQAlBqsGrAApBq4GrgArBrEGsQAsBrQGtAAtBsEGwQAuBsYGxgAvAAIACAACAG4ACgACABYABAAAAGAAJgABAAMAAAAAAAAAAQAGAAMACAFkAWUBaAFpAAIACQADAAMAAgAIAAgAAgANAA0AAQAPAA8AAQFlAWUAAgFmAWYAAQFpAWkAAgFqAWoAAQFuAW4AAQACAAAAAQAOAAQAAAACABwAFgABAAIFdgV4AAEFeQAAAAEFdwAAAAkACAAEJiobTARKAA4AAQACAAAACAACA4AABAAAA7gQMAALACgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEYAAAAAAAAAAAAAAAAAAAAAAAD/9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7P/OAAAAAP+6/84AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/OAAAAAAAA/8QAAAAAAAAAAAAAAAAAAP9+AAAAAAAAAAAAAP/2AAAAAAAAAAAAAP+SAAD/4v+wAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAeAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAyAAAAAAAAAAAAWgAAAAAAAAAAAAAAAAAAAEYAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7AAAAAAAAAAAAAAAAAAAADwAAAAAAAAAAAAoAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/+L/9gAAAAD/4gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/sP/iAAAAAP/EAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/+wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAGgAJADEAPABHAFkAXABrAHsAngDPAPcA/QFyAXMEIwSfBKAEoQSiBKMEpASlBKYFgAWCBYQAAgAUADEAMQAEAEcARwAGAFkAWQAKAGsAawAHAHsAewAIAJ4AngAEAM8AzwAFAPcA9wAKAP0A/QAFAXIBcgAHAXMBcwAIBCMEIwAGBJ8EoAAJBKEEogACBKMEowADBKQEpAACBKUEpgADBYAFgAABBYIFggABBYQFhAABAAEAAgAAAAgAAgoQAAQAABI0C/QAIAAoAAAAAAAAAAAAAAAAAAAAAAAA/+wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2AAD/9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/sAAAAAAAAAAAAAAAAAAAAAAAA/8T/2AAAAAD/ugAAAAAAAAAA//b/4gAAAAD/uv/YAAAAAAAAAAAAAAAAAAAAAAAAACgAAAAAAAAAAAAAAAAAAAAA/+wAAAAAAAD/9gAAAAD/9v/2AAAAAP/i/9gAAAAAAAAAAAAA//YAAAAAAAAAAAAA/+IAAAAA/+wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2/+wAAAAAAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAAAAAAAAAAAAAAAP/2AAAAAAAAAAD/9gAAAAAAAP/2AAAAAAAAAAAAAP/2AAAAAAAAAAD/2AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/9gAAAAAAAAAAAAAAAAAAAAoAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/9gAAAAAAAP/2AAAAAAAAAAAAAAAAAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/+z/2AAAAAD/zv/nAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/O/+z/7P/i/87/xP/EAAAAAP/OAAD/4gAAAAAAAP/iAAD/xP/O/9gAAAAAAAAAAAAAAAD/9v/s/+z/nAAAAAD/ugAA/7D/4gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADIAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/+wAAAAAAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7P/sAAAAAAAA/+wAAAAAAAAAAAAAAAAAAP/sAAAAAAAAAAAAAAAAAAD/7AAAAAAAAAAA//YAAAAAAAAAAP/i/+wAAAAA/+wAAAAAAAAAAP/i/8QAAAAA/7D/xAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/sAAAAAAAAAAAAAAAAADwARgAAAAAAPAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7AAA//YAAP/i/+IAAAAAAAAAAAAAAAAAPABGAAAAAABGAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/sAAD/9v/2/+z/2P/2AAAAAP/YAAAAAAAAAAAAAP/2AAD/zv/2//YAAAAAAAAAAAAAAAAAAAAAAAD/zgAAAAD/xAAA/+L/9gAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADIAAAAUAAAAAAAAACgAAAAAAAAAAAAAACgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/EAAAAAP/i/9j/uv/2AAAAAP/OAAAAAAAKABQAAAAAABQAAP/i/+IAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/7D/sAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAyAAAAFAAAAAAAAAAyAAAAAAAAAAAAAAAyAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/uv/s/+z/zv+w/7r/xAAA/+z/ugAA/+IAAAAAAAD/2AAU/8T/uv/EAAD/4v/sAAD/2AAA/+z/2P/s/5wAAAAA/6YAAP/E/+IAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/+wAAAAAAAAAAAAAAAAAAP/sAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/iAAAAAAAAAAD/2AAAAAAAAAAAAAAAAAAAAAD/9gAAAAD/2AAAAAAAAAAAAAAAAAAA/9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/9gAAAAAAAAAAP+wAAAAAAAAAAD/9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2//YAAAAAAAD/9gAAAAAAAAAAAAAAAAAA/+wAAAAAAAAAAAAAAAAAAP/OAAAAAAAA//b/7AAAAAAAAP/2/8T/xAAAAAD/ugAAAAAAAAAA/+z/2AAAAAAAAP/OAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/YAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/sAAAAAAAA/+wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/YP/2AAAAAAAAAAAAAAAAACgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAA/+cAAAAAAAAAAAAAAAAAAP/OAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/iAAAAAAAAAAD/xAAAAAAAAAAAAAAAAAAAAAD/9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7AAAAAAAAP/2AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2/+wAAAAAAAD/7AAAAAAAAAAAAAAAAAAA/+wAAAAAAAAAAAACAFAAAwADAAAACAAIAAEADQAPAAIAIgAiAAUAJAAmAAYALAAtAAkAMAAwAAsAMgAyAAwANQA7AA0AQgBDABQARgBGABYASQBJABcATgBRABgAUwBTABwAVQBVAB0AVwBYAB4AWgBaACAAgACLACEAkACQAC0AkgCWAC4AmACdADMAoACmADkAqACrAEAArgCwAEQAsgC2AEcAuAC4AEwAvQDGAE0AyADIAFcAygDKAFgAzADMAFkAzgDOAFoA0ADQAFsA0gDbAFwA5QDlAGYA6QDpAGcA6wDrAGgA9QD1AGkA+AD4AGoA+gD6AGsA/AD8AGwA/gD+AG0BAAEAAG4BAwEDAG8BBQEFAHABCAEIAHEBCgESAHIBFAEUAHsBFgEWAHwBGAEYAH0BIQEnAH4BKQEpAIUBKwErAIYBLQEtAIcBLwEvAIgBMQExAIkBMwE4AIoBOgE6AJABPAE8AJEBQAFEAJIBWAFiAJcBZAFmAKIBaAFqAKUBlgGYAKgBmgGdAKsBowHKAK8BzwHnANcB6QHpAPAB6wH6APEB/AH9AQECfAJ8AQMDjAOMAQQEZwRxAQUEdQR+ARAErgS4ARoEvAS8ASUEyATIASYEygTXAScE2QTdATUE3wTnAToG2AbYAUMAAgEKAAMAAwAaAAgACAAaAAoACgAfAA0ADQASAA4ADgAZAA8ADwASABsAHAAiACIAIgAGACQAJAADACgAKAADADAAMAADADIAMgADADUANQARADYANgAIADcAOAAOADoAOgANADsAOwAYAD4APgAfAEIAQgAFAEMAQwALAEQARgABAEcARwAPAEgASAATAEkASQALAEwATQALAE4ATwAEAFAAUAABAFEAUQAEAFIAUgABAFMAUwAEAFQAVAAUAFUAVQAVAFYAVgAEAFcAWgAJAFsAWwAcAF4AXgAfAGsAawAjAHsAewAkAIAAhQAGAIYAhgAgAIcAhwADAJIAlgADAJgAmAADAJkAnAAIAJ0AnQANAKAAoAABAKEApgAFAKcAqwABALIAtgABALgAuAABALkAvAAEAL0AvQAJAL4AvgALAL8AvwAJAMAAwAAGAMEAwQAFAMIAwgAGAMMAwwAFAMQAxAAGAMUAxQAFAMYAxgADAMcAxwABAMgAyAADAMkAyQABAMoAygADAMsAywABAMwAzAADAM0AzQABAM8AzwABANEA0QABANMA0wABANUA1QABANcA1wABANkA2QABANsA2wABANwA3AADAN0A3QATAN4A3gADAN8A3wATAOAA4AADAOEA4QATAOIA4gADAOMA4wATAOUA5QALAPYA9gALAPcA9wAEAPkA+QALAPsA+wALAP0A/QALAP8A/wALAQMBAwAEAQUBBQAEAQoBCgAEAQsBCwADAQwBDAABAQ0BDQADAQ4BDgABAQ8BDwADARABEAABAREBEQADARIBEgABARQBFAAEARYBFgAEARoBGgAUAR4BHgAUASEBIQARASIBIgAVASMBIwARASQBJAAVASUBJQARASYBJgAVAScBJwAIASgBKAAEASkBKQAIASoBKgAEASsBKwAIASwBLAAEAS0BLQAIAS4BLgAEAS8BLwAIATABMAAEATEBMQAIATIBMgAEATMBMwAOATQBNAAJATUBNQANATYBNgAJATcBNwANATgBOAAYATkBOQAcAToBOgAYATsBOwAcATwBPAAYAT0BPQAcAUABQAAGAUEBQQAFAUIBQgAgAUMBQwAFAUQBRAADAUUBRQABAUcBRwAUAVgBWAAOAVkBWQAJAVoBWgAOAVsBWwAJAVwBXAAOAV0BXQAJAV4BXgANAWABYgAZAWQBZAAnAWUBZQAaAWYBZgASAWgBaAAnAWkBaQAaAWoBagASAW4BbgASAXIBcgAjAXMBcwAkAZYBlgAEAZcBlwAGAZgBmAAFAZoBmgADAZsBmwABAZwBnAAIAZ0BnQAEAaMBowAGAaQBpAAFAaUBpQAGAaYBpgAFAacBpwAGAagBqAAFAakBqQAGAaoBqgAFAasBqwAGAawBrAAFAa0BrQAGAa4BrgAFAa8BrwAGAbABsAAFAbEBsQAGAbIBsgAFAbMBswAGAbQBtAAFAbUBtQAGAbYBtgAFAbcBtwAGAbgBuAAFAbkBuQAGAboBugAFAbwBvAABAb4BvgABAcABwAABAcIBwgABAcQBxAABAcYBxgABAcgByAABAcoBygABAc8BzwADAdAB0AABAdEB0QADAdIB0gABAdMB0wADAdQB1AABAdUB1QADAdYB1gABAdcB1wADAdgB2AABAdkB2QADAdoB2gABAdsB2wADAdwB3AABAd0B3QADAd4B3gABAd8B3wADAeAB4AABAeEB4QADAeIB4gABAeMB4wADAeQB5AABAeUB5QADAeYB5gABAecB5wAIAegB6AAEAekB6QAIAeoB6gAEAesB6wAIAewB7AAEAe0B7QAIAe4B7gAEAe8B7wAIAfAB8AAEAfEB8QAIAfIB8gAEAfMB8wAIAfQB9AAEAfUB9QANAfYB9gAJAfcB9wANAfgB+AAJAfkB+QANAfoB+gAJAfwB/AARAf0B/QAVBCMEJwAPBEUERgAeBGUEZgAmBGcEcQAKBHIEcwAhBHQEdAACBHUEegAHBHsEiQACBIoEjgAHBI8EkQACBJ0EngAlBJ8ErQACBK4EuQAHBLoEuwACBLwEvAAHBL0EwAACBMEExgAQBMgEyAAbBMoEzAAbBM0E1wAMBNkE3QAWBN8E4wAXBOQE5wAdAAIAywADAAMAEwAIAAgAEwANAA0AGgAOAA4AGwAPAA8AGgAiACIAAgAkACQADAAlACUAAwAmACYABAAsACwAHwAtAC0ADQAwADAAAwAyADIAAwA1ADUAFQA2ADYABwA3ADgAEAA5ADkAHwA6ADoACgA7ADsAGQBCAEIAAQBJAEkAAQBOAE8AAQBTAFMAHABVAFUAFgBXAFgABgBaAFoABgCAAIUAAgCGAIYABACHAIcADACIAIsABACQAJAAAwCSAJYAAwCYAJgAAwCZAJwABwCdAJ0ACgCgAKUAAQCuAK8ACwC9AL0ABgC/AL8ABgDAAMAAAgDBAMEAAQDCAMIAAgDDAMMAAQDEAMQAAgDFAMUAAQDGAMYADADIAMgADADKAMoADADMAMwADADOAM4AAwDQANAAAwDSANIABADUANQABADWANYABADYANgABADaANoABADlAOUAAQDpAOkACwDrAOsACwD1APUAHwD4APgADQD6APoADQD8APwADQD+AP4ADQEAAQAADQEDAQMAAQEFAQUAAQEIAQgAAQEKAQoAAQELAQsAAwENAQ0AAwEPAQ8AAwERAREABAEUARQAHAEWARYAHAEYARgAHAEhASEAFQEiASIAFgEjASMAFQEkASQAFgElASUAFQEmASYAFgEnAScABwEpASkABwErASsABwEtAS0ABwEvAS8ABwExATEABwEzATMAEAE0ATQABgE1ATUACgE2ATYABgE3ATcACgE4ATgAGQE6AToAGQE8ATwAGQFAAUAAAgFBAUEAAQFCAUIABAFEAUQAAwFYAVgAEAFZAVkABgFaAVoAEAFbAVsABgFcAVwAEAFdAV0ABgFeAV4ACgFfAV8ABgFgAWIAGwFkAWUAEwFmAWYAGgFoAWkAEwFqAWoAGgGWAZYAAQGXAZcAAgGYAZgAAQGaAZoADgGbAZsAEgGcAZwADwGdAZ0AFAGjAaMAAgGkAaQAAQGlAaUAAgGmAaYAAQGnAacAAgGoAagAAQGpAakAAgGqAaoAAQGrAasAAgGsAawAAQGtAa0AAgGuAa4AAQGvAa8AAgGwAbAAAQGxAbEAAgGyAbIAAQGzAbMAAgG0AbQAAQG1AbUAAgG2AbYAAQG3AbcAAgG4AbgAAQG5AbkAAgG6AboAAQG7AbsABAG9Ab0ABAG/Ab8ABAHBAcEABAHDAcMABAHFAcUABAHHAccABAHJAckABAHPAc8AAwHRAdEAAwHTAdMAAwHVAdUAAwHXAdcAAwHZAdkAAwHbAdsAAwHdAd0ADgHeAd4AEgHfAd8ADgHgAeAAEgHhAeEADgHiAeIAEgHjAeMADgHkAeQAEgHlAeUADgHmAeYAEgHnAecABwHpAekABwHrAesADwHsAewAFAHtAe0ADwHuAe4AFAHvAe8ADwHwAfAAFAHxAfEADwHyAfIAFAHzAfMADwH0AfQAFAH1AfUACgH2AfYABgH3AfcACgH4AfgABgH5AfkACgH6AfoABgH8AfwAFQH9Af0AFgJ8AnwACwOMA4wACwRnBHEACAR1BHoAEQR7BH4ABQSuBLgABQS8BLwABQTIBMgAHQTKBMwAHQTNBNcACQTZBN0AFwTfBOMAGATkBOcAHgbYBtgACwABAAIAAAAIAAEBxAAEAAAA3QrQCoIK0Ap4CnIKcgpoCl4KVAlmCTwNDAkyCl4JJApeCO4I3AjSCNINDAjECLoKeAi0CKIInAicCJwKeAhKCEQH8gpoCmgKaApoCmgKaApUClQKVApUClQKXgpeCl4KXgpeCl4KXgjECSQInAicCmgKaAfgCl4H0gpeClQKVApUClQKVAfMB8YNDAkyCTIJMgfSCTIJMgpeCl4KXgpUCNwI3AeYCNwI0gicCMQInAjECLoIugi6CmgKVApeCNIInAjSCJwI0gicCMQInArQCtAKcgrQCtAKcghECtAKaAeOB44KaApoCmgKaApoCmgKaApoCmgKaApoCmgKVApUClQKVApUClQKVApUCl4KXgpeCl4KXgpeCl4HjgeOB44HjgeOB44HjgeOB44HjgjECJwIxAicCMQInAjcDQwNDA0MDQwNDA0MDQwNDA0MDQwNDAd4B3IHcgdyB3IHcgdyB2wHbAdsB2wHGgcQBxAHEAdsB2wHbAdsB2wHbAdsB2wHbAdsB2wGzgZMB2wGBgX4BboF+AX4BfgFYAVWBVYFVgVWBVYE8ATiBOIE4gTiBOIE2ATOBLAECgPEA4IAAQDdAAMABwAIAAkADQAPACIAJQAmACcAKAAsAC0AMAAxADIAMwA1ADcAOAA5ADoAOwA8AEAARABXAFgAWgBcAGEAewB/AIAAgQCCAIMAhACFAIYAiACJAIoAiwCQAJIAkwCUAJUAlgCYAJ0AngC9AL8AwADCAMQAzgDPANAA0gDUANYA2ADaAOkA7gD1APgA+gD8AP0A/gEAAQsBDQEPAREBIQEjASQBJQEzATQBNQE2ATcBOAE6ATwBQAFCAUQBWAFZAVoBWwFcAV0BXgFfAWQBZQFmAWgBaQFqAXMBlAGXAZoBnAGjAaUBpwGpAasBrQGvAbEBswG1AbcBuQG7Ab0BvwHBAcMBxQHHAckBzwHRAdMB1QHXAdkB2wHdAd8B4QHjAeUB6wHtAe8B8QHzAfUB9gH3AfgB+QH6AfwEZwRoBGkEagRrBGwEbQRuBG8EcARxBHQEdQR2BHcEeAR5BHoEewR8BH0EfgSJBKEEogSkBK4ErwSwBLEEsgSzBLQEtQS2BLcEuAS6BLsEvATHBMgEyQTKBMsEzATYBNkE2gTbBNwE3QTeBN8E4AThBOIE4wWBBYUFhwWJBYwGVwAQBMj/0wTJ/+IEyv/TBMv/0wTM/9ME2P/iBNn/7ATa/+wE2//sBNz/7ATd/+wE3//iBOD/4gTh/+IE4v/iBOP/4gARBMj/4gTJ//YEyv/iBMv/4gTM/+IE2P/sBNn/7ATa/+wE2//sBNz/7ATd/+wE3v/2BN//4gTg/+IE4f/iBOL/4gTj/+IAKQR1//YEdv/2BHf/9gR4//YEef/2BHr/9gSK//YEi//2BIz/9gSN//YEjv/2BJ0AWgSeAFoErv/2BK//9gSw//YEsf/2BLL/9gSz//YEtP/2BLX/9gS2//YEt//2BLj/9gS5//YEvP/2BMj/2ATK/9gEy//YBMz/2ATY/+IE2f/iBNr/4gTb/+IE3P/iBN3/4gTf/9gE4P/YBOH/2ATi/9gE4//YAAcEnQA8BJ4APATf/+wE4P/sBOH/7ATi/+wE4//sAAIEnQA8BJ4APAACBJ0AHgSeAB4AAwTH//YFi//iBlf/7AAZBHX/9gR2//YEd//2BHj/9gR5//YEev/2BIr/9gSL//YEjP/2BI3/9gSO//YErv/2BK//9gSw//YEsf/2BLL/9gSz//YEtP/2BLX/9gS2//YEt//2BLj/9gS5//YEvP/2BYv/9gACBYv/7AZX/+wAFgAN/9gAD//YAWb/2AFq/9gBbv/YBGX/2ARm/9gEZ//sBGj/7ARp/+wEav/sBGv/7ARs/+wEbf/sBG7/7ARv/+wEcP/sBHH/7ARy/+wEc//sBYv/7AZX//YADwRn/+wEaP/sBGn/7ARq/+wEa//sBGz/7ARt/+wEbv/sBG//7ARw/+wEcf/sBHL/7ARz/+wFi//2Blf/9gADBMf/9gWL/+IGV//xABEEyP/sBMn/8QTK/+wEy//sBMz/7ATY//YE2f/2BNr/9gTb//YE3P/2BN3/9gTf/+wE4P/sBOH/7ATi/+wE4//sBYj/7AAgAA3/7AAP/+wBZv/sAWr/7AFu/+wEZ//2BGj/9gRp//YEav/2BGv/9gRs//YEbf/2BG7/9gRv//YEcP/2BHH/9gRy//YEc//2BMj/9gTK//YEy//2BMz/9gTZ//YE2v/2BNv/9gTc//YE3f/2BN//9gTg//YE4f/2BOL/9gTj//YAEARl/7AEZv+wBGf/4gRo/+IEaf/iBGr/4gRr/+IEbP/iBG3/4gRu/+IEb//iBHD/4gRx/+IEcv/TBHP/0wZX//YAAgTJ/+IE2P/YABQADf/iAA//4gFm/+IBav/iAW7/4gRl/9gEZv/YBGf/9gRo//YEaf/2BGr/9gRr//YEbP/2BG3/9gRu//YEb//2BHD/9gRx//YEcv/sBHP/7AABBN7/9gABBYv/9gAFBN//9gTg//YE4f/2BOL/9gTj//YAAgAqABQAOQAyAAsAAgBGAAMAWgAIAFoACgB4ACAAbgA+AHgAXgB4AWQARgFlAFoBaABGAWkAWgABACsAMgABAOkAggADAAIAMgAgAFoA5wBGAAQAKwBuBJ0AUASeAFAEyf/iABQAKwBkADX/2AA3/+IAOP/iADr/2ACd/9gBIf/YASP/2AEl/9gBM//iATX/2AE3/9gBWP/iAVr/4gFc/+IBXv/YAfX/2AH3/9gB+f/YAfz/2AABADn/7AAUACsAMgA1/+wAN//2ADj/9gA6/+IAnf/iASH/7AEj/+wBJf/sATP/9gE1/+IBN//iAVj/9gFa//YBXP/2AV7/4gH1/+IB9//iAfn/4gH8/+wAAQAgABQABAADABQACAAUAWUAFAFpABQAAQArAF8AAgTJ//YE2P/2AAMAB//iACAAFATH/84AAgAgABQEx//iAAQAB//sACAAFATH/9gE3v/iAA0Aa//2AXL/9gTNAAAEzgAABM8AAATQAAAE0QAABNIAAATTAAAE1AAABNUAAATWAAAE1wAAAAMAB//2ADn/7ATH/+wAAgTJ/8QE2P/EAAoE2QAABNoAAATbAAAE3AAABN0AAATf//YE4P/2BOH/9gTi//YE4//2ADsACgAUAA3/xAAP/8QAIAAUACL/7AA+ABQAXgAUAID/7ACB/+wAgv/sAIP/7ACE/+wAhf/sAMD/7ADC/+wAxP/sAUD/7AFm/8QBav/EAW7/xAGX/+wBo//sAaX/7AGn/+wBqf/sAav/7AGt/+wBr//sAbH/7AGz/+wBtf/sAbf/7AG5/+wERf+6BEb/ugRn/+IEaP/iBGn/4gRq/+IEa//iBGz/4gRt/+IEbv/iBG//4gRw/+IEcf/iBHL/zgRz/84ExwAABN4AAATfAAAE4AAABOEAAATiAAAE4wAABOQAAATlAAAE5gAABOcAAAACACsAPATJ/+wAAgA5/+wE3gAAAAIAKwAyBMn/4gABBNj/2AACACsAWgBLACgAEwA1/8QAN//sADj/7AA6/+IAnf/iASH/xAEj/8QBJf/EATP/7AE1/+IBN//iAVj/7AFa/+wBXP/sAV7/4gH1/+IB9//iAfn/4gH8/8QAAQDpAEYAAQACAAAACAABAKAABAAAAEsCVAJUAk4COAIuAigCDgGsAX4CLgF4Ak4CTgJOAk4CTgJOAigCLgIoAigCKAIoAXgCTgJOAk4CLgIuAi4CLgIoAigCKAIoAigCKAIuAi4CLgF4AXgCTgIoAXgCVAJUAk4CTgJOAk4CTgJOAk4CTgJOAk4CTgJOAk4CKAIoAigCKAIoAigCKAIoAXgBeAF4Ai4BYgFQAToAAQBLAA0ADwAiACMAJAAmACgAMwA0ADUAOgCAAIEAggCDAIQAhQCGAIcAiACJAIoAiwCdAMAAwgDEAMYAyADKAMwA0gDUANYA2ADaAREBIQEjASUBNQE3AUABQgFeAWYBagGXAaMBpQGnAakBqwGtAa8BsQGzAbUBtwG5AbsBvQG/AcEBwwHFAccByQH1AfcB+QH8BLoExwTJAAUADf/sAA//7AFm/+wBav/sAW7/7AAEAAP/7AAI/+wBZf/sAWn/7AAFAA3/sAAP/7ABZv+wAWr/sAFu/7AAAQTJ//YACwTI/+wEyf/2BMr/7ATL/+wEzP/sBNj/9gTf/+wE4P/sBOH/7ATi/+wE4//sABgEdf/2BHb/9gR3//YEeP/2BHn/9gR6//YEiv/2BIv/9gSM//YEjf/2BI7/9gSu//YEr//2BLD/9gSx//YEsv/2BLP/9gS0//YEtf/2BLb/9gS3//YEuP/2BLn/9gS8//YABgTI/+wEyf/2BMr/7ATL/+wEzP/sBNj/9gABBNj/9gACBMn/7ATY/+wABQAN//YAD//2AWb/9gFq//YBbv/2AAEE2P/sAAEEyf/sAAEAEAABAAoAAQABADAABAAyAAgAEAABAAoAAQADAAEAMAABAB4AAQAUAAEAAAABAAEAAwAKAD4AXgABAAcGWQZeBl8GYAZiBmMGaQABAAEETgACAEj/8gDEAsoAAwAPAAB3IwMzAzQ2MzIWFRQGIyImozkZa3QkGhklJRkaJMkCAf1sJR4eJSQgIAAAAgBBAcgBVwLKAAMABwAAUwMjAyEDIwOgFDcUARYUNxQCyv7+AQL+/gECAAACABkAAAJsAsoAGwAfAABBBzMVIwcjNyMHIzcjNTM3IzUzNzMHMzczBzMVBTM3IwHgH4mWKUcpjydGJn6LIIaSKEgokChFKH/+f48fjwG0oEPR0dHRQ6BC1NTU1EKgoAADAD7/xgIEAvcAJAAsADUAAHcmJic1FhYXNS4CNTQ2Njc1MxUWFhcHJiYnFR4CFRQGBxUjNzY2NTQmJicDDgIVFBYWF/03aCAiajNCVCkvVjpANVckGyBNKEJYLWhfQEA7NhQxLEAkLhcTLigxAREPVRAYAcoSL0QvMUYpA1hXARUPSg0TA8kTKz8yRlcKb70GKyIZIRgLAR8CFSIWGiUZCgAFADH/9gMOAtQACwAXABsAJwAzAABTMhYVFAYjIiY1NDYXIgYVFBYzMjY1NCYlASMBEzIWFRQGIyImNTQ2FyIGFRQWMzI2NTQmw0pMSU1HS0ZMJiMjJicmJgGi/nRNAYw5SU1JTUdLRkwmIyMmJyYmAtR1amp3d2pqdT5RUFBSUVFQUTT9NgLK/ux1amp3d2pqdT9QUFFRUFJQUAADADX/9gLaAtUAJQAwADwAAEEyFhYVFAYHFzY2NzMGBgcXIycOAiMiJiY1NDY2Ny4CNTQ2NhMOAhUUFjMyNjcDIgYVFBYXNjY1NCYBMDZNKlE+wRohC1kQMCaSd1cfSFc4RWU3JUYvFSgaLFMNJDMcSj5AXB+nKjUmJDszMALVJUQxP1gkuh9RL0BuKY5UHCoYLVg/M0o6Gxg0PSQxRiX+gBUrNCQ3QiodAgIsJyQ9JSI9KCQuAAEAQQHIAKACygADAABTAyMDoBQ3FALK/v4BAgABACj/YgEOAsoAEAAAUzQ2NjczBgYVFBYWFyMuAigfQjJTRkcgPi5SMkIfARJSnI48XuJ3TZiNPzuLmgABAB7/YgEEAsoAEQAAQRQGBgcjPgI1NCYmJzMeAgEEH0EzUi4+ICA+L1MzQR8BElCaizs/jZhNT5qQPjyOnAAAAQApATYB/AL4AA4AAEEHNxcHFwcnByc3JzcXJwFCFMAOuHdWVU1ZdbYOvhUC+MA2XA+eL6+vL54PXDbAAAABADIAbwIIAlMACwAAQTMVIxUjNSM1MzUzAUHHx0jHx0gBhEfOzkfPAAABACn/fwDAAHQACgAAdw4CByM+AjczwAkcIRBBChMQBV5pI1JRJCZXVSMAAAEAKADlARoBMwADAAB3NTMVKPLlTk4AAAEASP/yAMQAeQALAAB3NDYzMhYVFAYjIiZIJBkaJSUaGSQ2JR4eJSQgIAAAAQAKAAABagLKAAMAAEEBIwEBav72VgEKAsr9NgLKAAACADH/9gILAtUAEAAgAABBFA4CIyImJjU0NjYzMhYWBRQWFjMyNjY1NCYmIyIGBgILGjlbQFBpMy9oVVBqNP5+HUE2NkEeHkE2NkEdAWZXiF8yWKVzdKRXV6R0YoJBQINiYoFBQYEAAAEAWQAAAWMCygANAABhIxE0NjY3BgYHByc3MwFjVgECARAaFEwuwUkB8x0oIxMQFhE+O5YAAAEAMAAAAggC1AAdAABhITU3PgI1NCYjIgYHJz4CMzIWFhUUBgYHBxUhAgj+KLs2SiZGODRPKS8cQ08tQ2A1LlI3lQFpSb02VFEwOz0kIDsYJhYuVTs4Yl82kwQAAQAt//YCAwLUAC4AAEEUBgYHFRYWFRQGBiMiJic1FhYzMjY1NCYmIyM1MzI2NjU0JiMiBgYHJzY2MzIWAe0kQy1WVDp5XzhgLC1oMGBVL1o/RUY7TylGPCY+NRssJnFIcG0CIzBGLAkEClhHPmE2ERZSFhlLQi03GksiPSg0OQ8bEjweLGQAAAIAFQAAAigCzgAKABYAAGUjFSM1ITUBMxEzJzQ+AjcjBgYHAyECKGhV/qoBUFtovQECAQEECBgL1gEAoqKiSwHh/iPhGismIxATLA/+zwAAAQA///YCAwLKACEAAEEyFhYVFAYGIyImJzUWFjMyNjY1NCYjIgYHJxMhFSEHNjYBE0lsO0B3VDdhISRnLzVPLFZdHEgWLBsBZv7lERE6AbYyXUNKazkUE1MWGSFFNEZLCgUcAVFQzwMIAAIAN//2Ag0C1AAjADIAAFM0PgMzMhYXFSYmIyIOAgczPgIzMhYWFRQGBiMiLgIXMjY1NCYjIgYGFRQeAjcRKkpxURUzEBItF0VcNRgDBg8uQSs+XTQ4ZUYzWEMl8j9ORUUvRicTJzkBMT54a1MvBAVLBgYuUGg7GCYWM2FFSmw6Jk53oVFVRFAnPCAhQDYgAAEALAAAAgsCygAGAABzASE1IRUBiAEl/n8B3/7eAnpQRP16AAMAMf/2AgoC1AAfAC4APAAAQTIWFhUUBgYHHgIVFAYGIyImJjU0NjY3LgI1NDY2AxQWMzI2NTQmJicnDgITIgYVFBYWFz4CNTQmAR0/YDclPiUsSCs6aUdNazcpRCcjOSE4YFlKTUlNJUMuECw8H5U3RyM8JCM3IUYC1CdMOCtAMRMVNUYxPFcwLlU9MUg0EhQzQiw3Syj94TRFRTcjNSoRBhMsOAGzNTIlMiMQDyQzJDI1AAIAMv/2AggC1AAjADIAAEEUDgMjIiYnNRYWMzI+AjcjDgIjIiYmNTQ2NjMyHgInIgYVFBYzMjY2NTQuAgIIESpKclEUNRESMBZGWzYYAgYPLkEsPV0zOWZFM1hCJfI+T0NGMEYnEyY6AZk9eWtTLwUFSwYHLk9pOhcmFjNgRUtsOidOdqFSVEVPJzwgIEE2IAAAAgBI//IAxAImAAsAFwAAdzQ2MzIWFRQGIyImETQ2MzIWFRQGIyImSCQZGiUlGhkkJBkaJSUaGSQ2JR4eJSQgIAHQJh4eJiQgIAACAB//fwDCAiYACwAXAAB3DgIHIz4DNzMDNDYzMhYVFAYjIia3CRwhEEIHDw4LBF5qJBkaJSUaGSRpI1JRJBxAQT4aAW4mHh4mJCAgAAABADIAdAIJAmAABgAAZSU1JRUFBQIJ/ikB1/6HAXl0zzLrTrKeAAIAOADZAgIB5wADAAcAAFM1IRUFNSEVOAHK/jYBygGgR0fHR0cAAQAyAHQCCQJgAAYAAHclJTUFFQUyAXn+hwHX/inCnbNO6zLPAAACAAz/8gGYAtQAHwArAAB3NDY2Nz4CNTQmIyIGByc2NjMyFhUUBgYHDgIVFSMHNDYzMhYVFAYjIiaMDyUgJysSPjsxTCMfKGE8X2gdNSQhIwxGFyMbGSQkGRsj5CY3MhshLCoeMDQZEUYVHF5RLT81HhwqKR0RkyUeHiUkICAAAAIAOv+nA0kCygBCAFAAAEEUDgIjIiYnIwYGIyImNTQ2NjMyFhcHBhQVFBYzMjY2NTQmJiMiDgIVFBYWMzI2NxUGBiMiJiY1ND4CMzIeAgUUFjMyNjc3JiYjIgYGA0kVLEAsLjUGBRJGNUxTNF9BLFUYCgElGR8rF0uDU1WEWS5Gh2I9bysra0F2qFk6bp1jToNhNf4HMys4MQQGDSgVMTwaAWUuWEcrNSIlMmZUQmU6DwnLEg8DNCIzVTNdgUQ2YoVQYolHGxBEEhdYpXRdn3VBMV2Ek0A6VEN9BAYwSwAAAgAAAAACfgLNAAcAEgAAYSchByMBMwEBLgInDgIHBzMCIVb+5VVbARdRARb+4gMODQQFCwsEUeLd3QLN/TMCBQgqLQwUKSIM2AADAGEAAAJUAsoAEgAbACUAAEEyFhUUBgYHFR4CFRQGBiMjERMyNjU0JiMjFRURMzI2NTQmJiMBLYaJHz0sLUkqPG9N+95cRFNbdpBfSiFNQgLKT2IqQSsIBQcmRjhBWy8Cyv7QOzo7M+NL/v1KPCY4HwABAD3/9gJZAtQAHwAAQSIOAhUUFhYzMjY3FQYGIyImJjU0PgIzMhYXByYmAZM5XEAiN21SL1QoKFU7bZJJLVeAUzdmKCQhUQKFJ0trQ1iCRhAMTg8OWqZwUYZiNRYUTA8YAAIAYQAAAp0CygAKABQAAEEUBgYjIxEzMhYWBzQmJiMjETMyNgKdWaZ2x9xsnlZfP3lWdWGRkQFseKJSAspQm3Zfejv90I8AAAEAYQAAAfACygALAABhIREhFSEVIRUhFSEB8P5xAY/+ywEj/t0BNQLKT99O/wABAGEAAAHwAsoACQAAcyMRIRUhFSEVIbtaAY/+ywEi/t4Cyk/9TwAAAQA9//YCjgLUACEAAEEzEQYGIyImJjU0NjYzMhYXByYmIyIGBhUUFhYzMjY3NSMBl/c6dktvmE9YpXU8ay4iJl8zVXpAN3ZgL0IbnQF5/qITElmlcXCkWxYUThEYRoFZVYNJCgfUAAABAGEAAAKDAsoACwAAYSMRIREjETMRIREzAoNa/pJaWgFuWgFN/rMCyv7SAS4AAQAoAAABKgLKAAsAAGEhNTcRJzUhFQcRFwEq/v5UVAECVFQ0EwI7FDQ0FP3FEwAAAf+y/0IAtgLKABEAAEciJic1FhYzMjY2NREzERQGBgQYJA4QJBQZLRxaLlS+BwZMBAYUMi0Cxv1BRVkrAAABAGEAAAJrAsoADgAAYSMDBxEjETMRNjY3NzMBAmtq/UlaWh4+H8Fp/uUBVUD+6wLK/qAiRCLY/skAAQBhAAAB8wLKAAUAAHMRMxEhFWFaATgCyv2GUAAAAQBhAAADKgLKABcAAGEDIx4CFREjETMTMxMzESMRNDY2NyMDAZzrBAIDAlOF3ATghFkCBAEE7gJyFD5JJv5PAsr9twJJ/TYBtyNFPRX9jwABAGEAAAKXAsoAEwAAYSMBIx4CFREjETMBMy4CNREzApdp/oIEAgMDU2gBfQQBAwNUAlEXP0cl/nECyv2xEEBMIAGTAAIAPf/2AtAC1QARACAAAEEUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYC0CpTe1FUfFIoSJNwa5JL/cwyaVBRZzJweVFpMgFmU4diNDVhiFNupFxbpW9agkZGglqHmUWBAAIAYQAAAioCygAMABYAAEEyFhUUDgIjIxEjERcjETMyNjY1NCYBHoyAHUJuUFJatVtIRFosWALKbmQsUUAl/uoCyk3+5h1ANEVEAAACAD3/VgLQAtUAFgAlAABBFAYGBxcjJyIGIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYjIgYGAtAvXEWrgYoGDQZUfFIoSJNwa5JL/cwyaVBRZzJweVFpMgFmV45iF7KhATVhiFNupFxbpW9agkZGglqHmUWBAAIAYQAAAl8CygAPABkAAEEyFhYVFAYGBxMjAyMRIxEXIxEzMjY1NCYmASZZczgqQSTEaa2OWsBma1dQJUwCyi1aRDlMLQ3+wAEn/tkCyk7+90VDLzgaAAABADP/9gH2AtQALwAAZRQGBiMiJiYnNRYWMzI2NjU0JiYnLgM1NDY2MzIWFwcmJiMiBgYVFBYWFx4CAfY+c04oSTwXJGs5NUgkHklBLkUuFzpnQztiKBwlVy8tPB4eRDo/Vy2/QFkwCA8LVhAaHDQjIzApFxEnMkAqOVEsFhJNEBYaLx8kMCYWFzVKAAEACgAAAiECygAHAABhIxEjNSEVIwFDWt8CF94Ce09PAAABAFr/9gKAAsoAEwAAZRQGBiMiJjURMxEUFjMyNjY1ETMCgDx7X4WLWl1eQVEmWfxKd0WRdwHM/jFXYC9TNgHOAAABAAAAAAJYAsoADgAAQQMjAzMTHgIXPgI3EwJY/1r/XqELEA0FBQ0RCqACyv02Asr+Nh02MRgYMjYeAcgAAAEADAAAA5UCygApAABBAyMDLgMnDgMHAyMDMxMeAxc+AzcTMxMeAxc+AjcTA5W+W4sGDAoHAQEFCgsHh1u9Xm8GCgkGAwMHCgwGfl2DBwwKBwMDCg4IbgLK/TYB1BUsKB0HBx0oLRf+LwLK/kwXLSsoExQqLS4WAa/+ThcvLCkRGTc8HwGzAAABAAQAAAJGAsoACwAAYSMDAyMTAzMTEzMDAkZmvcBf7d5kr7Bf3QE2/soBdAFW/ugBGP6sAAABAAAAAAI2AsoACAAAQRMzAxEjEQMzARu6Ye5a7mIBawFf/kv+6wERAbkAAAEAJgAAAhUCygAJAABhITUBITUhFQEhAhX+EQF4/pQB2f6IAYJEAjZQRP3KAAABAFD/YgEwAsoABwAARSMRMxUjETMBMODgioqeA2hI/SgAAQAKAAABawLKAAMAAFMBIwFgAQtX/vYCyv02AsoAAQAZ/2IA+QLKAAcAAFczESM1MxEjGYqK4OBWAthI/JgAAAEAJgELAhYCzwAGAABTEzMTIwMDJtQy6k60oAELAcT+PAFn/pkAAf/+/2YBvv+mAAMAAEUhNSEBvv5AAcCaQAABACgCXgDxAv4ADAAAUx4CFxUjLgMnNZELISUPOxEqKSEJAv4WNzQTDA4nKygOCgACAC7/9gHgAiEAHQAoAABBMhYVESMnIw4CIyImJjU0Njc3NTQmIyIGByc2NhMGBhUUFjMyNjU1ASBiXkARBBcxPy0wTSx+g1s6NSpMIRsjYE5kTTcrRFoCIVZe/pNMHScSIkc2UFcEAyBDNBkQQhMb/uIEODMtKktOMAAAAgBV//YCMAL4ABYAJAAAUxQGBzM2NjMyFhUUBgYjIiYnIwcjETMTIgYGFRUUFjMyNjU0Jq0DAgUXUD9keTdkQj9QFwcSP1iXOUIcQVhIR0cCPyI7ESIui4pcfD4uIEQC+P7gK1lFBGNpamRlZgABADf/9gG/AiIAHQAARSImJjU0NjYzMhYXByYmIyIGBhUUFhYzMjY3FQYGASxHbz9CcUgpTBgbGEAcNkYiIkQzLEMcG0EKOnpfY3w6EQxJCRAuWkNAWi4SDU4ODwAAAgA3//YCEgL4ABcAJAAARSImNTQ2MzIWFhczJiY1NTMRIycjDgInMjY1NTQmIyIGFRQWARNkeHlkKj4uEAYBBVhHDQQQLj8cVUVCWUdHRwqLioqNFSQWDTMP1v0ISBclFkldXhBka3FfYGoAAgA3//YCAQIiABcAHwAAQTIWFhUVIRYWMzI2NxUGBiMiJiY1NDY2FyIGByE0JiYBJEVjNf6RAllQM08qKVA3THVBO2tGP0kHAREcOQIiPG1JNVtfExJNEhE+e1lYfkRIUUguRCcAAQAPAAABgwL9ABgAAEEjESMRIzU3NTQ2NjMyFhcHJiYjIgYVFTMBTIdYXl4pTjcgNRMXECoWLCuHAdT+LAHUKR4fRVYoCwdFBQo7PyMAAgA3/xACEgIiACIAMwAAQTIWFzM3MxEUBgYjIiYnNRYWMzI2NTU0NjcjBgYjIiY1NDYXIgYGFRQWMzI+AjU1NCYmARM1VR4FDEY0alI6YSYmZjpFTwIBBBxTN2h1dXMtPyFJRik6JhIhRgIiKClH/d9MZzQREVEUFlFGFQwtCSkokoOAl0owXEJjaRUtRjAVSVoqAAEAVQAAAhkC+AAaAABTFAYHMz4CMzIWFhURIxE0JiMiBgYVESMRM60DAgYRNEAiQVcsVzo+PEQdWFgCGRMoEBwkEylWRf6jAVdBQC1XP/7rAvgAAAIATgAAALUC4QADAA8AAFMRIxE3MhYVFAYjIiY1NDatWC0UHx8UFh4eAhj96AIYyRsdHBwcHB0bAAAC/8n/EAC1AuEAEAAcAABXIiYnNRYWMzI2NREzERQGBhM0NjMyFhUUBiMiJhYZJg4PIBMgKlggQgMeFhQfHxQWHvAHBUcEBiMxAmv9mDJIJgOZHRsbHRwcHAABAFUAAAINAvgAEwAAUxQGBzM+Ajc3MwcTIycHFSMRM6wDAQQGGBkJq2fZ6Gq6PVdXAWsQNBMIHh8KteX+zfo1xQL4AAEAVQAAAK0C+AADAABzIxEzrVhYAvgAAAEAVQAAA1YCIgAnAABBMhYVESMRNCYjIgYVESMRNCYmIyIGBhURIxEzFzM+AjMyFhczNjYCoVtaVzU4TkNXGDAmNj4bWEcNBRExPCA+UxMFG10CIl1o/qMBWT9AWlb+2AFZKjkcLVY//uoCGEkcJRIsLi4sAAABAFUAAAIZAiIAFQAAQTIWFREjETQmIyIGFREjETMXMz4CAVdgYlc6PllEWEcNBRI1QAIiXWj+owFXQUBkXv7qAhhJHCUSAAACADf/9gInAiIAEQAgAABBFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYmIyIGAicjQV05NVpCJTxwTUlvP/5rIUY2NkYhIkU3UkoBDUNnSCUlSGdDWXtBQXtZP10yMl0/QFoxbAACAFX/EAIwAiIAGAAoAABBMhYVFAYGIyImJicjFhYVFSMRMxczPgIXIgYGBxUUFhYzMjY2NTQmAVRjeTdjQylALRAGAgRYSAwEEC0/GzZCHgEcQzoxPx9HAiKKi1t9PxYjFRE0E9wDCEkXJhZKKVI/EUJcMDZdPFxuAAIAN/8QAhICIgAWACQAAEU0NjcjBgYjIiY1NDY2MzIWFzM3MxEjAzI2Njc1NCYjIgYVFBYBugIDBhdRQGF5OGRBP1AYBA1GWJg3Qx4BRFdIRkcLEjARIjCLilx8PzAjSfz4AS8oUz4SZmlxX19rAAABAFUAAAGOAiIAFQAAQTIWFwcmJiMiDgIVESMRMxczPgIBTw8jDQsNHw4fOCwZWEgKBBEwPgIiAwNRAwQaL0Ip/uICGGIeMR0AAAEAM//2AbICIgAqAABlFAYGIyImJzUWFjMyNjU0JiYnLgI1NDYzMhYXByYmIyIGFRQWFhceAgGyNGBCOFEfIFsvQzwWOTU0SihvWjFVJR4iSic2ORo9MzNIJpQ0RiQSEFAQGyskFCAgFBQoOCxEShMRRg4UIx4WHx0UEyg5AAEAEP/2AVMCkwAYAABlMjY3FQYGIyImJjURIzU3NzMVMxUjERQWAQgUKg0ONBgqRyxMTSM0m5svPgcEQwcJHUhBATgqI3J7RP7KMS8AAAEAT//2AhUCGAAXAABBESMnIw4CIyImJjURMxEUFjMyNjY1EQIVSA0EETZAI0BXLFk6PTxFHQIY/ehHHCQRKVZEAV/+p0BALVc+ARcAAAEAAAAAAfwCGAAPAABzAzMTHgIXMz4CNxMzA8vLXnIIEg4DBAQPEwdyXswCGP7EFjYxEREyNhUBPP3oAAEACwABAwcCGQAqAABBLgMnIw4DBwMjAzMTHgIXMz4DNxMzEx4CFzM+AjcTMwMjAa8GDAkIAgQCBwkLB2Bkk1tKCA4LAgQDCAkLBV9gXAcPDAIEAgsPCEtalWcBLxUpJSALCyAmKRX+0wIY/uIdOzUTDCQoKBABLv7SFzQxExEzPR4BHv3oAAABABIAAAH/AhgACwAAUwMzFzczAxMjJwcj1LlkioljucNkkpRjARIBBsrK/vr+7tbWAAEAAf8QAf4CGAAdAABTMxMeAhczNjY3EzMDDgIjIiYnNRYWMzI2Njc3AV50ChEOBAQGGg5tX+cTM0k0GCQNCx8RHy0gCxwCGP7PGzIvFhlRKQEw/Z4ySykFA0YCBBcrHUcAAQAnAAABrwIYAAkAAGEhNQEhNSEVASEBr/54ASD+8QFw/uQBIzoBmkRC/m4AAAEAHP9iAVwCygAlAABFLgI1NTQmJiM1PgI1NTQ2NjMVDgIVFRQGBxUWFhUVFBYWFwFcPVkwHDYoKDYcMlo6IjIbNjc4NRoyI54BIkc1kyIpE0kBEikhlDVGI0gBFCghkDM9CgYKPTOTICkTAQAAAQDv/w8BOAL4AAMAAFMzESPvSUkC+PwXAAABACD/YgFgAsoAJQAAVz4CNTU0Njc1JiY1NTQmJiM1MhYWFRUUFhYzFSIGBhUVFAYGIyAjMRs2Nzc2GjEkPlgwHDcnJzccMlk7VgEUKSCRMz0KBgo9M5IhKBRII0Y2kiIpE0kTKCKVNUYjAAABADIBHwIJAaIAGQAAQSYmIyIGBzU2NjMyFhcWFjMyNjcVBgYjIiYBDSQvFhw+GBg8JB05LiQvFR0+GBg8JBw7AT8QCyIZThobDBQQCyIZTRocDQACAEj/SgDEAiIAAwAPAABTMxMjExQGIyImNTQ2MzIWaDoZbHUkGhklJRkaJAFK/gAClCUeHiUkICAAAQBb//YB5QLUACMAAEEWFhcHJiYjIgYGFRQWFjMyNjcVBgYHFSM1LgI1NDY2NzUzAWEmRRkaGkIbNkciI0UzLEEfGzonQztXMDBYOkQChAERC0kKEC1bRUVYKhENTQ0PAmFkCTxyWVt0PglUAAABACAAAAIXAtMAIwAAQTIWFwcmJiMiBhUVMxUjFRQGBgchFSE1PgI1NSM1MzU0NjYBTjdYIh8eSSk5PMzMEx8SAYD+CR0sGmBgMlwC0xgRRg4YO0KLQmgoNSALUEoHITksaUKUPFQtAAIAOwCAAf8CQgAjADMAAFM0NjcnNxc2NjMyFhc3FwcWFhUUBgcXBycGBiMiJicHJzcmJjcUFhYzMjY2NTQmJiMiBgZaExBCMUIXOh8fNxhDMEAPFBIRPy9DFzgfHzoXQjBBEBNDIjskJTojIzolJDsiAWEeORdEL0AREhIRQC9DFzkfHzoXQi9AEBITEEAvQhc5HyQ6IyM6JCU7IyM7AAABAA4AAAIsAsoAFgAAQRMzAzMVIxUzFSMVIzUjNTM1IzUzAzMBHbNcyXyXl5dWl5eXesddAW0BXf6JQFJAgYFAUkABdwAAAgDv/w8BOAL4AAMABwAAUzMRIxUzESPvSUlJSQL4/oPv/oMAAgA7//sBvwL9ADYARQAAUzQ2NyYmNTQ2MzIWFwcmJiMiBhUUFhYXHgIVFAYHFhYVFAYjIiYnNR4CMzI2NTQmJicuAjcUFhYXFzY2NTQmJicGBkMwHyQoZl84TiUbIkQwPDEYOTM0SCcuHSMnc2c3UiAWOEAfSjgTNzc0SydLGz81FhcpG0Q+HCwBizI9DxQ3KDxFEw9DDhMfHBIdHRMTLDkoM0EREzUmRUwREEsKEwwrHBMcHxQUKjo2GCcjFAgOKyIZKCUTBy4AAAIAlQJ3Aa4C2gALABcAAFM0NjMyFhUUBiMiJjc0NjMyFhUUBiMiJpUcExMcHBMTHLwbExMcHBMTGwKpGhcXGhkZGRkaFxcaGRkZAAADADH/9gMPAtQAGgAuAEIAAGUiJjU0NjYzMhYXByYmIyIGFRQWMzI2NxUGBgciLgI1ND4CMzIeAhUUDgInMj4CNTQuAiMiDgIVFB4CAa9jYi5aQR9AHB0ZLxU7QTlCFzkZGDIyUIZjNjZjhlBMhWU5NmOGUEBwVjAuU3FERHJTLi5TcoV7ZUFlORAOPQ0NVEpMUw0KQAoOjzZjhlBQhmM2NmOGUFCGYzY1LlVyRUFyVjEuVXJFQXJWMQACACABfwE0AtIAHAAnAABTMhYVFSMnBgYjIiYmNTQ2Njc3NTQmIyIGByc2NhcGBhUUFjMyNjU1sUFCLwwUOCYfLxkiRzU4Kh0cMhcWGkE3PCodGTMtAtI2O9wqFRsWLCEiLRgCAhYhGg8LMQ0QtAIfGxkXLygXAAACACgAOAHWAdcABgANAABTNxcHFwcnNzcXBxcHJyioP4yMP6jGqj6MjD6qAQ7JJKurJckNySSrqyXJAAABADIAgAIIAYQABQAAQREjNSE1AghH/nEBhP78vUcA//8AKADlARoBMwYGAA4AAAAEADH/9gMPAtQADQAWACoAPgAAZREzMhYVFAYHFyMnIxU3MjY1NCYjIxUTIi4CNTQ+AjMyHgIVFA4CJzI+AjU0LgIjIg4CFRQeAgEXgFJMMB50VmQ+MicsKCwxPVCGYzY2Y4ZQTIVlOTZjhlBAcFYwLlNxRERyUy4uU3KKAbVAQS83DMKtresoHyMgiv6BNmOGUFCGYzY2Y4ZQUIZjNjUuVXJFQXJWMS5VckVBclYxAAH//QL4AfcDOgADAABBITUhAff+BgH6AvhCAAACADcBoQF1AtQADwAbAABTIiYmNTQ2NjMyFhYVFAYGJzI2NTQmIyIGFRQW1jBHKCdHMS9IKChILjAtLy4xLi4BoSdFLS5FJydFLi1FJzs0Kiw0NCwqNAAAAgAyAAACCQJWAAMADwAAczUhFQMzFSMVIzUjNTM1MzIB18jHx0jHx0hHRwGHR87OR88AAAEAGAGgATMDVQAaAABBITU3PgI1NCYjIgYHJzY2MzIWFRQGBgcHMwEy/uZzKSkPJR4eMRojHUUrQEkbMyVRwwGgNnAnMScWICAXFC4ZHj83ITc5I00AAQARAZgBQQNVACkAAFMyFhUUBgcVFhYVFAYjIiYnNRYWMzI2NTQmIyM1MzI2NTQmIyIGByc2NqVHSCseJy9UWSVAHiJEHjQwOjQ5OTIvKR0fNRskH0UDVT4wKDQKAwczKTpJDQ8/EBIpIyQhNycfIB0VES4XGgAAAQAoAl4A8QL+AAwAAFMOAwcjNT4CNzPxCSIpKRI6DyMiC2oC9A4oKycODBM0NxYAAQBV/xACGgIYABwAAEERIycjDgIjIiYnIxYWFRUjETMRFBYzMjY2NRECGkcOBREuPCYnOBQEAgNYWDw8PEQdAhj96EgaJRMZFBI8KZwDCP6mPkEtVz4BFwAAAQA3/4ECJQL4ABIAAEUjESMRIxEGBiMiJiY1NDY2MyECJTpmOg8nET5cMzdkQQESfwM//MEBkAQFLmxbYG0u//8ASAEdAMQBpAYHAA8AAAErAAEADv8QANQAAAAWAABXFAYjIiYnNRYWMzI2NTQmJzczBx4C1EpKDxsICR4OJCY1Jis6GhgoF4swNQMCNwIDExkaGAVWNQUVIgAAAQAlAaAA8ANMAA0AAFMRIxE0NjY3BgYHByc38EcBAgEKGA02I4IDTP5UARQRHhwOCRUJJzFcAAACACABfwFZAtIADAAYAABBFAYjIiY1NDYzMhYWBxQWMzI2NTQmIyIGAVlWSENYVEkvRif6LDExLCwxMSwCKVFZV1NSVydLNzo7Ozo7OTkAAAIAJwA4AdUB1wAGAA0AAEEHJzcnNxcHByc3JzcXAdWqPoyMPqrHqT6MjD6pAQHJJaurJMkNySWrqyTJAAQAIgAAAuACygADABEAHAAlAABzATMBAzQ2NjcGBgcHJzczESMBNSM1EzMRMxUjFSczNTQ2NwYGB34BtEv+TCMBAgEKGA02I4JJRwGyw8VJPT3IfQIBBSALAsr9NgIyER4cDgkVCScxXP5U/uJgNAEb/u08YJxdFTgYCzERAAMAFgAAAtgCygADABIALQAAcwEzAQM0PgI3BgYHByc3MxEjATU3PgI1NCYjIgYHJzY2MzIWFRQGBgcHMxVgAbRL/kwRAQEBAQoYDTYjgklHASNzKSkPJR4eMRojHUUrQEkbMyVRwwLK/TYCMg0XFhUKCRUJJzFc/lT+4jZwJzEnFiAgFxQuGR4/NyE3OSNNPgAABAAPAAADBALTAAMALQA4AEEAAHMBMwEDIiYnNRYWMzI2NTQmIyM1MzI2NTQmIyIGByc2NjMyFhUUBgcVFhYVFAYBNSM1EzMRMxUjFSczNTQ2NwYGB6oBtEv+TGMlQB4iRB40MDo0OTkyLykdHzUbJB9FLkdIKx4nL1QBkcPFST09yH0CAQUgCwLK/TYBFg0PPxASKSMkITcnHyAdFREuFxo+MCg0CgMHMyk6Sf7qYDQBG/7tPGCcXRU4GAsxEQAAAgAY/0ABpAIiAB8AKwAAQRQGBgcOAhUUFjMyNjcXBgYjIiY1NDY2Nz4CNTUzNxQGIyImNTQ2MzIWASQPJCEmLBI/OjJMIh8oYTxfaB01JCIiDEYXIxsZJCQZGyMBMCU4MRwgLSoeMDQaEEYVHF5RLT81Hh0pKhwRkyUeHiUkICAA//8AAAAAAn4DsAYmACIAAAAHAEEAlACy//8AAAAAAn4DsAYmACIAAAAHAHQA4QCy//8AAAAAAn4DsAYmACIAAAAHAUgAbQCy//8AAAAAAn4DkQYmACIAAAAHAU8AXwCy//8AAAAAAn4DjAYmACIAAAAHAGgAHQCy//8AAAAAAn4DbgYmACIAAAAHAU0AqAA9AAL//wAAAzUCygAPABMAAGEhNSMHIwEhFSEVIRUhFSElMxEjAzX+jPprXQFTAeP+5gEH/vkBGv211zrd3QLKT99O/94BTf//AD3/EAJZAtQGJgAkAAAABwB4AQUAAP//AGEAAAHwA7AGJgAmAAAABwBBAIcAsv//AGEAAAHwA7AGJgAmAAAABwB0ANQAsv//AGEAAAHwA7AGJgAmAAAABwFIAGAAsv//AGEAAAHwA4wGJgAmAAAABwBoABAAsv//ACgAAAEqA7AGJgAqAAAABwBBAAAAsv//ACgAAAE+A7AGJgAqAAAABwB0AE0Asv//AAEAAAFTA7AGJgAqAAAABwFI/9kAsv//AB4AAAE3A4wGJgAqAAAABwBo/4kAsgACAB4AAAKdAsoADgAcAABBMhYWFRQGBiMjESM1MxEXIxUzFSMVMzI2NTQmJgE9a55XWad2v0pKyG6yslqSkEB4AspQm3N4olIBOk4BQk31Tu2PjV96OwD//wBhAAAClwORBiYALwAAAAcBTwCdALL//wA9//YC0AOwBiYAMAAAAAcAQQDdALL//wA9//YC0AOwBiYAMAAAAAcAdAEqALL//wA9//YC0AOwBiYAMAAAAAcBSAC2ALL//wA9//YC0AORBiYAMAAAAAcBTwCoALL//wA9//YC0AOMBiYAMAAAAAcAaABmALIAAQBAAIQB+gI+AAsAAEEXBxcHJwcnNyc3FwHIMqqpMqunNKmqNKkCPjOqqjOpqTOqqTSrAAMAPf/hAtAC6gAaACQALwAAQRQOAiMiJicHJzcmJjU0NjYzMhYXNxcHFhYHNCcBFhYzMjY2JRQWFwEmJiMiBgYC0CpTe1E4XSQwPTQsLEiTcDRZJS49My4wXzP+wBpFKlFnMv4rFxgBPxlBKFFpMgFmU4diNBgXRChKMYxXbqRcGBVCKUcwjFiBSf46EhRGglo9ZCUBwxESRYEA//8AWv/2AoADsAYmADYAAAAHAEEAxACy//8AWv/2AoADsAYmADYAAAAHAHQBEQCy//8AWv/2AoADsAYmADYAAAAHAUgAnQCy//8AWv/2AoADjAYmADYAAAAHAGgATQCy//8AAAAAAjYDsAYmADoAAAAHAHQAvgCyAAIAYQAAAioCygAOABgAAEEUDgIjIxUjETMVMzIWBTI2NjU0JiMjEQIqHEJuUlFaWmCRfv7ZRlkrV2JZAX4tUj8lmwLKfG75HUE0RUP+5gAAAQBV//YCSgL9ADwAAEEUDgMVFBYWFx4CFRQGBiMiJic1HgIzMjY1NCYmJy4CNTQ+AzU0JiMiBgYVESMRNDY2MzIWFgIKHCoqHA0mJSQ0HC9UNy9IGhEuNRo3MBEpJCovFBspKRtHOCM9JVg6ZD9BYTYCaSIzJyAfEg0WHRkYMDooOUgiEhBPChQMLigYJSQXGyssGh8sISAmGyomEy4r/bgCSENPIyFBAP//AC7/9gHgAv4GJgBCAAAABgBBbwD//wAu//YB4AL+BiYAQgAAAAcAdAC8AAD//wAu//YB4AL+BiYAQgAAAAYBSEgA//8ALv/2AeAC3wYmAEIAAAAGAU86AP//AC7/9gHgAtoGJgBCAAAABgBo+AD//wAu//YB4AMxBiYAQgAAAAcBTQCDAAAAAwAu//YDLQIiADEAPQBFAABBMhYWFRUhFhYzMjY3FQYGIyImJicOAiMiJiY1NDY2Nzc1NCYjIgYHJzY2MzIWFzY2AwYGFRQWMzI2NjU1NyIGBzM0JiYCW0FeM/6pAk9KMkwmKE0yLk07FRc3STQwTS01bVJaPTMoTSEbI2QxPlEVGlT2XkgzKipDJ+A6QwX4GTQCIjxsSDZgWxMSTRIRGTMlIjMcIkc2NkopAgMiQTQYEUIUGiktKS7+4QQ4My0qIUQ0MNRPSi5FJgD//wA3/xABvwIiBiYARAAAAAcAeACqAAD//wA3//YCAQL+BiYARgAAAAYAQXMA//8AN//2AgEC/gYmAEYAAAAHAHQAwAAA//8AN//2AgEC/gYmAEYAAAAGAUhMAP//ADf/9gIBAtoGJgBGAAAABgBo/AD/////AAAAyAL+BiYETgAAAAYAQdcA//8ATAAAARUC/gYmBE4AAAAGAHQkAP///9gAAAEqAv4GJgROAAAABgFIsAD////1AAABDgLaBiYETgAAAAcAaP9gAAAAAgA3//YCJwL9ACQANAAAUxYWFzcXBx4CFRQGBiMiJiY1NDY2MzIWFhc3JiYnByc3JiYnEyIGBhUUFhYzMjY1NC4C2CBBHXMmYy5FKDxwTkhvPzppSCM7LhAEEEIqgiZwFS4XezhGISFHN1NMEyg7Av0PJBVDNjkqcYpRX38/O21LS2s6DBoUAjlgJks3QA4bDP7RKEw4MUwrYVwfNykY//8AVQAAAhkC3wYmAE8AAAAGAU9WAP//ADf/9gInAv4GJgBQAAAABwBBAIUAAP//ADf/9gInAv4GJgBQAAAABwB0ANIAAP//ADf/9gInAv4GJgBQAAAABgFIXgD//wA3//YCJwLfBiYAUAAAAAYBT1AA//8AN//2AicC2gYmAFAAAAAGAGgOAAADADIAeQIJAkcAAwAPABsAAFM1IRUHIiY1NDYzMhYVFAYDIiY1NDYzMhYVFAYyAdfsFyEhFxcgIBcXISEXFyAgAT1HR8QdICIaGiIgHQFVHSAiGhoiIB0AAwA3/98CJwI2ABgAIgAtAABBFAYGIyImJwcnNyYmNTQ2MzIWFzcXBxYWBRQWFxMmJiMiBgU0JicDFhYzMjY2Aic9cE0lQBwoOi0fIYZzJUIcJzstHSL+awsN3BEtGlJKAToMC9wRLBk2RiEBDVl9QREQOCc+JGVAhZATETgmPyNjPiZBGQEyDA1sXyU+GP7OCwwyXQD//wBP//YCFQL+BiYAVgAAAAcAQQCLAAD//wBP//YCFQL+BiYAVgAAAAcAdADYAAD//wBP//YCFQL+BiYAVgAAAAYBSGQA//8AT//2AhUC2gYmAFYAAAAGAGgUAP//AAH/EAH+Av4GJgBaAAAABwB0AKIAAAACAFX/EAIwAvgAHAAqAABBFAYGIyImJicjHgIVFSMRMxUUBgczPgIzMhYHNCYjIgYHFRQWMzI2NgIwN2NCKj8uEAYBAwJYWAIBBBAtPitjeVtGSlJEAkFYMT8fAQ1bfT8VJBUHICIL4APo4A4tDRclFoyIZWVcXBNjazBdAP//AAH/EAH+AtoGJgBaAAAABgBo3gD//wAAAAACfgNXBiYAIgAAAAcBSgCBALL//wAu//YB4AKlBiYAQgAAAAYBSlwA//8AAAAAAn4DlgYmACIAAAAHAUsAegCy//8ALv/2AeAC5AYmAEIAAAAGAUtVAP//AAD/JAJ+As0GJgAiAAAABwFOAbEAAP//AC7/JAH5AiEGJgBCAAAABwFOASwAAP//AD3/9gJZA7AGJgAkAAAABwB0AR8Asv//ADf/9gG/Av4GJgBEAAAABwB0AL8AAP//AD3/9gJZA7AGJgAkAAAABwFIAKsAsv//ADf/9gHFAv4GJgBEAAAABgFISwD//wA9//YCWQOTBiYAJAAAAAcBTAEhALL//wA3//YBvwLhBiYARAAAAAcBTADBAAD//wA9//YCWQOwBiYAJAAAAAcBSQCrALL//wA3//YBxQL+BiYARAAAAAYBSUsA//8AYQAAAp0DsAYmACUAAAAHAUkAmACyAAMAN//2ArAC+AAMACQAMQAAQQ4CByM1PgM3MwEiJjU0NjMyFhYXMyYmNTUzESMnIw4CJzI2NTU0JiMiBhUUFgKwBBceDzAFCgkHAlf+Y2R4eWQqPi4QBgEFWEcNBBAuPxxVRUJZR0dHAu8SNjkWDA4mKScQ/P6LioqNFSQWDTMP1v0ISBclFkldXhBka3FfYGr//wAeAAACnQLKBgYAkAAAAAIAN//2Al4C+AAfACwAAEUiJjU0NjMyFhYXMyYmNTUjNTM1MxUzFSMRIycjDgInMjY1NTQmIyIGFRQWARNkeHljKj8uEAYCBNXVWExMSA0EEC4+G1RFQllHRkYKi4iMihUkFg0zED1CWVlC/aNIFyUWSVxdEWVobmBgaf//AGEAAAHwA1cGJgAmAAAABwFKAHQAsv//ADf/9gIBAqUGJgBGAAAABgFKYAD//wBhAAAB8AOWBiYAJgAAAAcBSwBtALL//wA3//YCAQLkBiYARgAAAAYBS1kA//8AYQAAAfADkwYmACYAAAAHAUwA1gCy//8AN//2AgEC4QYmAEYAAAAHAUwAwgAA//8AYf8kAfACygYmACYAAAAHAU4BHgAAAAMAN/8kAgECIgAVAC0ANQAARRQWMzI2NxUGBiMiJjU0NjY3Nw4CAzIWFhUVIRYWMzI2NxUGBiMiJiY1NDY2FyIGByE0JiYBhRgVERcIDhwUNTIdKxRQKCwQYUVjNf6RAllQM08qKVA3THVBO2tGP0kHAREcOXQWFwUBOAQFMiwdNiwOCiAwKAKBPG1JNVtfExJNEhE+e1lYfkRIUUguRCcA//8AYQAAAfADsAYmACYAAAAHAUkAYACy//8AN//2AgEC/gYmAEYAAAAGAUlMAP//AD3/9gKOA7AGJgAoAAAABwFIAMQAsv//ADf/EAISAv4GJgBIAAAABgFIWAD//wA9//YCjgOWBiYAKAAAAAcBSwDRALL//wA3/xACEgLkBiYASAAAAAYBS2UA//8APf/2Ao4DkwYmACgAAAAHAUwBOgCy//8AN/8QAhIC4QYmAEgAAAAHAUwAzgAA//8APf8jAo4C1AYmACgAAAAHAYIBkgAAAAMAN/8QAhIC/gALAC4APwAAQQ4CByM1PgI3MwcyFhczNzMRFAYGIyImJzUWFjMyNjU1NDY3IwYGIyImNTQ2FyIGBhUUFjMyPgI1NTQmJgFrCBEOA1cFGCESMVg1VR4FDEY0alI6YSYmZjpFTwIBBBxTN2h1dXMtPyFJRik6JhIhRgLyETU4FgkSNjkW3CgpR/3fTGc0ERFRFBZRRhUMLQkpKJKDgJdKMFxCY2kVLUYwFUlaKgD//wBhAAACgwOwBiYAKQAAAAcBSACiALL////ZAAACGQPeBiYASQAAAAcBSP+xAOAAAgAAAAAC5ALKABMAFwAAcxEjNTM1MxUhNTMVMxUjESMRIRERITUhYWFhWgFuWmFhWv6SAW7+kgILSHd3d3dI/fUBTf6zAZxvAAABAAkAAAIZAvgAIgAAUxUzFSMVFAYHMz4CMzIWFhURIxE0JiMiBgYVESMRIzUzNa3U1AMCBhE0QCNBVixXOj48RB1YTEwC+FpCVxMnEBwkEylXRf63AUNBQC1WP/7+AlxCWgD////zAAABYgORBiYAKgAAAAcBT//LALL////KAAABOQLfBiYETgAAAAYBT6IA//8AFQAAAT4DVwYmACoAAAAHAUr/7QCy////7AAAARUCpQYmBE4AAAAGAUrEAP//AA4AAAFFA5YGJgAqAAAABwFL/+YAsv///+UAAAEcAuQGJgROAAAABgFLvQD//wAo/yQBKgLKBiYAKgAAAAYBTlwA//8AG/8kAMAC4QYmAEoAAAAGAU7zAP//ACgAAAEqA5MGJgAqAAAABwFMAE8Asv//ACj/QgIJAsoEJgAqAAAABwArAVMAAP//AE7/EAG3AuEEJgBKAAAABwBLAQIAAP///7L/QgEyA7AGJgArAAAABwFI/7gAsv///8n/EAEqAv4GJgRPAAAABgFIsAD//wBh/yMCawLKBiYALAAAAAcBggFKAAD//wBV/yMCDQL4BiYATAAAAAcBggELAAAAAQBVAAACDQIYABIAAEEHEyMnBxUjETMVFAYHMzY2NzcB/cvbabBCXV0EAgIJFQm+Ahjt/tXyNrwCGIsoTBQNGwvgAP//AFcAAAHzA7AGJgAtAAAABwB0AC8Asv//AEwAAAEVA94GJgBNAAAABwB0ACQA4P//AGH/IwHzAsoGJgAtAAAABwGCASwAAP//AEH/IwDBAvgGJgBNAAAABwGCAIEAAAACAGEAAAHzAsoADAASAABBDgIHIzU+AzczAREzESEVAfMEFx4PMAUKCQcCV/5uWgE4AsESNjkWDA4mKScQ/TYCyv2GUAAAAgBVAAABUQL4AAwAEAAAQQ4CByM1PgM3MwMjETMBUQQXHg8wBQoJBwJXpFhYAu8SNjkWDA4mKScQ/QgC+P//AGEAAAHzAsoGJgAtAAAABwFMASP+vP//AFUAAAE6AvgEJgBNAAAABwFMAKv+0gABAA0AAAHzAsoADQAAczUHJzcRMxE3FwcVIRVhMSNUWokkrQE49xw8MgGB/rRRP2TcUAAAAf/3AAABCwL4AAsAAHMRByc3ETMRNxcHEU4zJFdYQCVlAR0gOzgBiP6xLDtE/qr//wBhAAAClwOwBiYALwAAAAcAdAEfALL//wBVAAACGQL+BiYATwAAAAcAdADYAAD//wBh/yMClwLKBiYALwAAAAcBggF8AAD//wBV/yMCGQIiBiYATwAAAAcBggE1AAD//wBhAAAClwOwBiYALwAAAAcBSQCrALL//wBVAAACGQL+BiYATwAAAAYBSWQA//8AAQAAAl8CygQmAE9GAAAGAWX1AAABAGH/QgKXAsoAIQAARSImJzUWFjMyNjY1ASMeAhURIxEzATMuAjURMxEUBgYB2xklDhAmFhovH/5tBAIDA1NoAX0EAgMCVC5UvgcGTAQGEzErAlETRlAl/n0Cyv3EFkFMJQF0/TxDVyoAAQBV/xACGgIiACQAAEUiJic1FhYzMjY1ETQmIyIGBhURIxEzFzM+AjMyFhYVERQGBgGKGCINDhwSHSY6PTtGHVhHDgUSM0AiQlcrHz/wBwVHBAYjMQGrQT8sVj/+6QIYSRwlEilWRf5SMkgmAP//AD3/9gLQA1cGJgAwAAAABwFKAMoAsv//ADf/9gInAqUGJgBQAAAABgFKcgD//wA9//YC0AOWBiYAMAAAAAcBSwDDALL//wA3//YCJwLkBiYAUAAAAAYBS2sA//8APf/2AtADsAYmADAAAAAHAVAAqwCy//8AN//2AicC/gYmAFAAAAAGAVBTAAACAD3/9gNkAtUAGAAoAABBMhYXIRUhFSEVIRUhFSEGBiMiJiY1NDY2FyIOAhUUFhYzMjY3ESYmAYIaMBYBgv7hAQz+9AEf/oQWMRpvk0hHkXU9WzodM2pRHDMUFTEC1QYFT99O/08EBlymb2+kW08nS2pEWoJGCQgCIQgIAAADADb/9gN+AiEAJAAzADsAAEEyFhYVFSEWFjMyNjcVBgYjIiYnBgYjIiYmNTQ2NjMyFhc+AgUiBhUUFhYzMjY2NTQmJiUiBgchNCYmAqVEYTT+nAJTTTVNKChONURoIB9mQkZtPztuTD9kHhQ3Rf6rT0YfQzU0QiAgQwFIPEYGAQUaNwIhPGxJNWBaExJNEhE4Nzc4QX1ZWHtBODYkMRlJZmVDXC8uWkJGWy4BTkouRCb//wBhAAACXwOwBiYAMwAAAAcAdADaALL//wBVAAABjgL+BiYAUwAAAAcAdACTAAD//wBh/yMCXwLKBiYAMwAAAAcBggFIAAD//wA+/yMBjgIiBiYAUwAAAAYBgn4A//8AYQAAAl8DsAYmADMAAAAHAUkAZgCy//8ARwAAAZkC/gYmAFMAAAAGAUkfAP//ADP/9gH2A7AGJgA0AAAABwB0AMAAsv//ADP/9gGyAv4GJgBUAAAABwB0AJMAAP//ADP/9gH2A7AGJgA0AAAABwFIAEwAsv//ADP/9gGyAv4GJgBUAAAABgFIHwD//wAz/xAB9gLUBiYANAAAAAcAeACQAAD//wAz/xABsgIiBiYAVAAAAAYAeH8A//8AM//2AfYDsAYmADQAAAAHAUkATACy//8AM//2AbIC/gYmAFQAAAAGAUkfAP//AAr/IwIhAsoGJgA1AAAABwGCARYAAP//ABD/IwFTApMGJgBVAAAABwGCANYAAP//AAoAAAIhA7AGJgA1AAAABwFJAEUAsgACABD/9gHWAvgADAAlAABBDgIHIzU+AzczAzI2NxUGBiMiJiY1ESM1NzczFTMVIxEUFgHWBBceDzAFCgkHAlfOFCoNDjQYKkcsTE0jNJubLwLvEjY5FgwOJiknEP1GBwRDBwkdSEEBOCojcntE/soxLwABAAoAAAIhAsoADwAAcxEjNTM1IzUhFSMVMxUjEeiVld4CF9+UlAFFSutQUOtK/rsAAAIAEP/2AVMCkwADABwAAFM1IRUHMjY3FQYGIyImJjURIzU3NzMVMxUjERQWGAEuPhQqDQ40GCpHLExNIzSbmy8BGEJC2gcEQwcJHUhBATgqI3J7RP7KMS8A//8AWv/2AoADkQYmADYAAAAHAU8AjwCy//8AT//2AhUC3wYmAFYAAAAGAU9WAP//AFr/9gKAA1cGJgA2AAAABwFKALEAsv//AE//9gIVAqUGJgBWAAAABgFKeAD//wBa//YCgAOWBiYANgAAAAcBSwCqALL//wBP//YCFQLkBiYAVgAAAAYBS3EA//8AWv/2AoAD4wYmADYAAAAHAU0A2ACy//8AT//2AhUDMQYmAFYAAAAHAU0AnwAA//8AWv/2AoADsAYmADYAAAAHAVAAkgCy//8AT//2AhUC/gYmAFYAAAAGAVBZAAACAFr/JAKAAsoAFQApAABFFBYzMjY3FQYGIyImNTQ2Njc3DgITFAYGIyImNREzERQWMzI2NjURMwHSGBURFwgOHBQ1MiAuFD8eKBOuPHtfhYtaXV5BUSZZax0ZBQE4BAU0MyA9Mg4LIjYuAU9Kd0WRdwHM/jFXYC9TNgHOAP//AE//JAIdAhgGJgBWAAAABwFOAVAAAP//AAwAAAOVA7AGJgA4AAAABwFIAQAAsv//AAsAAQMHAv4GJgBYAAAABwFIALgAAP//AAAAAAI2A7AGJgA6AAAABwFIAEoAsv//AAH/EAH+Av4GJgBaAAAABgFILgD//wAAAAACNgOMBiYAOgAAAAcAaP/6ALL//wAmAAACFQOwBiYAOwAAAAcAdADFALL//wAnAAABrwL+BiYAWwAAAAcAdACOAAD//wAmAAACFQOTBiYAOwAAAAcBTADHALL//wAnAAABrwLhBiYAWwAAAAcBTACQAAD//wAmAAACFQOwBiYAOwAAAAcBSQBRALL//wAnAAABrwL+BiYAWwAAAAYBSRoAAAEAVQAAAWoC/QAQAABBIgYVESMRNDY2MzIWFwcmJgEFKS9YLFA1HzITFxAqArQ0P/2/AkFFUiULCEUFCgAAAf/z/w4ByQL9ACsAAFciJjU0NjcXBgYVFBYzMjY1ESM1NzU0NjYzMhYXByYmIyIGFRUzFSMRFAYGgkBPAgNLAQEhFhwfXl4pTjcgNRMXECoWLCuHhx488kY7ChYLEAQLBh8fJjECJikeH0VWKAsHRQUKOz8jRP3dM0knAAQAAAAAAoADvgASABwAKAA1AABBJiY1NDYzMhYVFAYHASMnIQcjEzMnLgInBgYHNzI2NTQmIyIGFRQWJz4CNzMVDgMHIwECFxo9MC9BGhYBAl1S/tlOXMnuVAUNDAYIFAciGR8fGRggHRQOHx4KaggeJicROwJgDS4fMjg3Mh8uDf2fwMABEM8MIiUSGzsRpR0bGx0dGxoexBAqLBIICyAjIAsABQAu//YB4AO+AB0AKAA0AEEATQAAQTIWFREjJyMOAiMiJiY1NDY3NzU0JiMiBgcnNjYTBgYVFBYzMjY1NQMiBhUUFjMyNjU0JicyFhYVFAYjIiY1NDY3DgIHIzU+AjczASBiXkARBBcxPy0wTSx+g1s6NSpMIRsjYE5kTTcrRFpsGCAdGxkfIBggMh0/MDE8PNIKOEAXPw4fHgqDAiFWXv6TTB0nEiJHNlBXBAMgQzQZEEITG/7iBDgzLSpLTjAB+h4aGh4eGhoeMRkuITM4ODIyN4cLJSQMCA0gIw7/////AAADNQOwBiYAhgAAAAcAdAGQALL//wAu//YDLQL+BiYApgAAAAcAdAFaAAD//wA9/+EC0AOwBiYAmAAAAAcAdAErALL//wA3/98CJwL+BiYAuAAAAAcAdADSAAD//wAz/yMB9gLUBiYANAAAAAcBggEBAAD//wAz/yMBsgIiBiYAVAAAAAcBggDwAAAAAQAoAl4BegL+ABIAAFMeAhcVIyYmJwYGByM1PgI3/QwtMRM+GjgbGzYaPBMvLA0C/hY3NRMLEC8bGy4RCxQ0NxYAAQAoAl4BegL+ABIAAFMuAic1MxYWFzY2NzMVDgIHow0sMBI8GjgZGzgaPhMxLQwCXhc1NBMNETAbGzARDRM0NRcAAQAoAl4BUQKlAAMAAEEVITUBUf7XAqVHRwABACgCXgFfAuQAEAAAQQ4CIyImJzMeAjMyNjY3AV8DJ0QwSksENgMZKx4aKx0DAuQoPCJJPRsbCQobGgABACgCcQCPAuEACwAAUzIWFRQGIyImNTQ2XBQfHxQWHh4C4RsdHBwcHB0bAAIAKAJeAQQDMQALABcAAFMiJjU0NjMyFhUUBicyNjU0JiMiBhUUFpUxPDwxL0A/MBkfIBgYIB0CXjgyMjc3MTM4Mh4aGh4eGhoeAAABACj/JADNAA8AFAAAVxQWMzI2NxUGBiMiJjU0NjY3FwYGcBgVERcIDhwUNTIdKxQwIiJ0FhcFATgEBTIsHTYsDg8gNQAAAQAoAl4BlwLfABkAAFM+AzMyHgIzMjY3MwYGIyIuAiMiBgcoAxEcJhgWKSYjEBcZBzIGOC8VKCcjERgYBwJeHi8hEhEXER0dOkYRFxEdHQACACgCXgGPAv4ADAAZAABBDgMHIzU+AjczBw4DByM1PgI3MwGPCB4nJxEyDiAfCmCwCB4nJxEyDiAeC2AC9A0oLCcODBM0NxYKDSgsJw4MEzQ3FgADAJUCXgHyAwgABQARAB0AAEE1NzMVByciJjU0NjMyFhUUBjMiJjU0NjMyFhUUBgEGJmpVfRMcHBMTHBzsExsbExMcHAJeDJ4KoBkZGRoXFxoZGRkZGhcXGhkZAAEAAAAAAmACzQAOAABxATMBIwMuAicOAgcDAQhRAQddsgMODQQFCwsEtQLN/TMCBQgqLQwUKSIM/fsAAAEAJgAAAhUCygASAABzNRMDNSEVISIiJxcVAzI2MzMVJuziAdn+/xY/EM3jJkco80oBJwEOS1AB8xv+4wFRAAABABkAAAK0AtUAJwAAczUzLgI1NDY2MzIWFhUUBgYHMxUhNT4CNTQmJiMiBgYVFBYWFxUZniVGLUySaWqSTCxFJp3+9D5KIDJnUVBnMSBJPk8cVXZKYppZWJpiS3ZVHE9ILFxrQkx4RUV4TEJrWy1IAAACAC3/9gIWAv0AJwA4AABFIiYmNTQ2NjcuAjU0NjYzMhYWFwcmJiMiBgYVFBYWFx4CFRQGBicyNjY1NCYmJw4DFRQWFgEjR3A/K1E5FywcKFZEMkozDCYfSywqLxIQMTFZVhxEbz4yRSQkQy0mPSsXJ0cKOmpHQF9DFg8kNSYkRS0WHQtFGCMYIxARIicaL1tXKlVsNEgsTjExTDoVDSQxQSkzTSsAAQBV/xACDwIiABcAAEURNCYjIgYGFREjETMXMz4CMzIWFhURAbg4OzhDHVhHDQUSMj4iPlQr8AJHQEEtVj/+6gIYSRwlEilXRf2zAAEAUv/2ATYCGAAQAABXIiYmNREzERQWMzI2NxUGBuk0QyBYKiAUHw8NJgomSDIBgv57MSMGBEcFB///AAwAAAOVA7AGJgA4AAAABwBBAScAsv//AAsAAQMHAv4GJgBYAAAABwBBAN8AAP//AAwAAAOVA7AGJgA4AAAABwB0AXQAsv//AAsAAQMHAv4GJgBYAAAABwB0ASwAAP//AAwAAAOVA4wGJgA4AAAABwBoALAAsv//AAsAAQMHAtoGJgBYAAAABgBoaAD//wAAAAACNgOwBiYAOgAAAAcAQQBxALL//wAB/xAB/gL+BiYAWgAAAAYAQVUAAAEAKADlAcwBMwADAAB3NSEVKAGk5U5OAAEAKADlA8ABMwADAAB3NSEVKAOY5U5O//8AKADlA8ABMwYGAWEAAAAC//7/IgGd/+YAAwAHAABFITUhNSE1IQGd/mEBn/5hAZ/eQERAAAEADAHVAKMCygAKAABTPgI3Mw4CByMMCRwhEEEJFBAFXwHgI1JSIyZXVSMAAQAMAdUAowLKAAsAAFMOAgcjPgM3M6MJHCEQQQcPDQsEXgK/I1JRJBxAQT4a//8AH/9/ALYAdAQHAWUAE/2qAAEADAHVAKQCygAKAABTHgIXIy4CJzdyBRAUCUEQIhwJBwLKI1VXJiRRUiMLAAACAAwB1QFbAsoACgAVAABBDgIHIyc+AjcjDgIHIyc+AjcBWwkUEAVfBwkcIhB4CRQQBV4GCRwhEALKJlhUIwsjUVIkJlhUIwsjUVIkAAACAAwB1QFbAsoACgAWAABBDgIHIz4CNzMHDgIHIz4DNzMBWwkcIRBCChMRBV6yCRwhEEAHDg0LBF4CvyNSUSQmV1UjCyNSUSQcQEE+Gv//AB//fwFuAHQEBwFpABP9qgABAEEAAAHAAvgACwAAQScTIxMHNRcnMwc3AcCrGWQYoaEYZBmrAeQP/g0B8w9XD8zMDwAAAQA8AAABxAL4ABUAAGU3FScXIzcHNRcnNwc1FyczBzcVJxcBGaurGGUYqKgVFaioGGUYq6sV8Q9VDrm5DlUPj4cPVQ+6ug9VD4cAAAEATQDxASsB6QAPAABTNDY2MzIWFhUUBgYjIiYmTR0zHx8yHh4yHx8zHQFtLTcYGDctLDcZGTf//wBI//ICzwB5BCYADwAAACcADwEGAAAABwAPAgsAAAAHADH/9gRoAtQACwAXABsAJwAzAD8ASwAAUzIWFRQGIyImNTQ2FyIGFRQWMzI2NTQmJQEjARMyFhUUBiMiJjU0NhciBhUUFjMyNjU0JiUyFhUUBiMiJjU0NhciBhUUFjMyNjU0JsNKTElNR0tGTCYjIyYnJiYBov50TQGMOUlNSU1HS0ZMJiMjJicmJgEzSU1JTUdLRkwmIyMmJyYmAtR1amp3d2pqdT5RUFBSUVFQUTT9NgLK/ux1amp3d2pqdT9QUFFRUFJQUD91amp3d2pqdT9QUFFRUFJQUAAAAQAnAcgBAgLKAAMAAFMzAyOoWqE6Asr+/v//ACcByAGyAsoEJwFwALAAAAAGAXAAAAABACgAOAEPAdcABgAAUzcXBxcHJyioP4yMP6gBDskkq6slyQABACcAOAEOAdcABgAAUxcVByc3J2WpqT6MjAHXyQ3JJaurAP//AEj/8gGqAsoEJgACAAAABwACAOYAAAAB/0EAAAFAAsoAAwAAQQEjAQFA/kxLAbQCyv02AsoAAAEANwEfAV0CZwAUAABTMhYVFSM1NCYjIgYVFSMRMxczNjbfPkA4Jyc7LDkuCQMRPAJnOD/RziYnPDinAUIsGRkAAAEALQAAAgUCygARAABzNSM1MxEhFSEVIRUhFTMVIxWCVVUBg/7UARn+55eXgkECB0/7T25BggAAAQAhAAACGALTACkAAEEyFhcHJiYjIgYVFTMVIxUzFSMUBgYHIRUhNT4CNSM1MzUjNTM1NDY2AVA4VyIfH0kpNT/KysrLER8UAYD+CR8tGGFhYWEqWQLTFhFFDhQ6QlhBTkIrOiQLUEoHJEAvQk5BQkViNQADAEz/9gLlAsoADAAVAC4AAFMyFhUUDgIjIxEjERcjETMyNjU0JgUVMxUjFRQWMzI2NxUGBiMiJiY1NSM1NzfShXYaPmZNH1eAKRpcW1IBSG5uGh8PKQoMKyAkNh1NTh8Cym5kLVFAJP7qAspN/uZDTkVEeGhD0CUoBgRBBgoePS7bKCRfAAEAF//2Ai8C0wA2AABBMhYXByYmIyIOAgczFSMGFBUUFBczFSMeAjMyNjcVBgYjIiYmJyM1MyY0NTQ2NSM1Mz4CAXwyWCklHEsnJT4vIgn0+wEB3dUMMlA2J08fH0swUXJGD1BIAQFITw1GdALTFhhIDxoXMEgwQQoSCgkVC0E4UCoTDU4NEz5zT0EMEA0LFQZBUnhCAAQAQf/7AvQCzwADAA8AGwA2AABBASMBExQGIyImNTQ2MzIWBxQWMzI2NTQmIyIGJSImNTQ2NjMyFhcHJiYjIgYVFBYzMjY3FQYGAoD+dE0BjMFVR0FXVUZBWO8nLi0nJy0uJ/7nSWIvUDAbMhIRESsTNTQzNBowExMzAsr9NgLK/dlRV1dRUlZWUjJAQDI0Pj6oT1c+SiIKCDQGCTk5ODkKBzQJCgACADb/9gHGAtQAIwAtAABlMjY3Mw4CIyImJjU1BgYHNTY2NzU0NjYzMhYVFAYGBxUUFhM0JiMiBhUVNjYBNyM1BDMCJEExKUYrFjAYGi4WHT80OkUxVjYnUx4eJhg8PjotOjZNKCFMQXEIDgY7Bw8H7ylDKE1GQWtQF4cyOwIELi4zKdAgaAAABABfAAADzALKABMAFwAlADEAAHMRMwEzLgI1ETMRIwEjHgIVESE1IRUnIiYmNTQ2MzIWFhUUBicyNjU0JiMiBhUUFl9lAUUEAQQCT2L+twQCAwMCBgEBgStDJlFGK0MnUkQsJiYsKygnAsr9tBpERRkBkP02Ak4aR0Yb/nRFRYYnTDdSVydLN1JYOjk3ODU1ODc5AAIAEQFqAr0CygAUABwAAEERMxMTMxEjNTQ2NyMDIwMjFhYVFSERIzUhFSMRAUVeXmFbQAIBBGU1YAQBAv71ZQEKZgFqAWD+8QEP/qDMCC8M/vEBDxAoBtEBKjY2/tYA//8AGQAAArQC1QYGAVQAAAACADL/7wI4AhcAGQAiAABFIiYmNTQ+AjMyFhYVIRUWFjMyNjcXDgITJiYjIgYHFSEBNVR0Oy5LXC5KdUT+bBZOLUlWIiMXO1RUE0w0MUgXASMRTn5ISGhEIEN8Va4XJTw2FCU+JQHFFCYiF4gAAAEAAAJeATQC5AANAABTIiYnMxYWMzI2NzMGBppDTwhOBScgISYFTgdPAl5GQCUnJyVARgAB/8D/IwBA/8MACwAAVw4CByM1PgI3M0AEGSESMAgRDgJXRhI3OBYMETU5FQAAAgAKAaABVQNPAAoAEwAAQSMVIzUjNRMzETMnNDY3BgYHBzMBVT1Lw8VJPYgCAQUgC1B9AgBgYDQBG/7tXRU4GAsxEXUAAAEAHgGXAUADTAAeAABBFSMHNjYzMhYVFAYjIiYnNRYWMzI2NTQmIyIGByc3ASu5CQwdEUNaVFIgRhYbRRotNTUwGiUPHxADTDdtAgREQEZNDQ1DEBMoKyYqCAQU0AABABwBoAFDA0wABgAAUxMjNSEVA0+q3QEnqgGgAXA8Mf6FAAADABkBmAFFA1QAGgAoADQAAFMyFhUUBgcWFhUUBiMiJiY1NDY2NyYmNTQ2NhcOAhUUFjMyNjU0Jic3IgYVFBYXNjY1NCawN1AqHicvU0IxQyMVIxUfISY/FRYeDygpKigtJgIgJCgeHSUkA1Q1NyUwEBA3KThDHTYlHCkgCxQrJiQxGu8KGR8THCQkHB0mDb0dGhoiDAshHBodAP///8n/EAEqAv4GJgRPAAAABgFJsAD//wAMAdUAowLKBgYBZQAA//8AYQAAAyoDsAYmAC4AAAAHAHQBYgCy//8AVQAAA1YC/gYmAE4AAAAHAHQBewAA//8AAP7vAn4CzQYmACIAAAAHAZkAmgAA//8ALv7vAeACIQYmAEIAAAAGAZljAAACADj+7wEV/8MACwAXAABTIiY1NDYzMhYVFAYnMjY1NCYjIgYVFBalMTw8MS9BQDAZHyAYGR8c/u84MjI4ODEzODIeGhsdHRsaHgAAAgA9//YDJQL4ABwAKwAAQRQOAiMiLgI1NDY2MzIWFz4CNTMXBgYHFhYFFBYWMzI2NjU0JiMiBgYCzypTelFUfFIoSJNwUnwpHBsJXwcLOT8XFv3NMmhRUmYxbnpSaDIBZlOHYjQ1YYhTbqRcNzEIJzoiCztkFytpPVqCRkaCWoaaRYEAAgA3//YChgJqABoAKQAAQRQGBiMiJiY1NDYzMhYXPgI1MxcOAgcWFgUUFhYzMjY2NTQmJiMiBgInPXBNR29AhnM1WSAeHQheBwkfMicQEv5rIUU3N0UhIUY3UkoBDVl9QUF9WYWQJCEJKTohCy5IMw4fTi5DXC8vXENDWi5mAAABAFr/9gMyAvgAHwAAQT4CNTMXDgMHERQGBiMiJjURMxEUFjMyNjY1ETMCgCEhDF0HBhgoPi44d2CIj1pfYEFPJFkCaQUmPScLJD8zJAj+0Up3RZF3Acz+MFZgL1M1Ac8AAAEAT//2AsQCawAiAABBDgMHESMnIw4CIyImJjURMxEUFjMyNjURMxU+AjUzAsQGFyc+LUgNBBE1QCJBWCxZOj1ZRVggIAtdAmAjQjUjBf5iRxwkESlWRAFe/qhAQGReARY7BiY9JgAAAwA9//YC0ALVABEAGgAiAABBFA4CIyIuAjU0NjYzMhYWATI2NjchHgITIgYGByEmJgLQKlN7UVR8UihIk3Brkkv+t0xkNQT+LQQ1ZU1LZDYGAdIJbwFmU4diNDVhiFNupFxbpf5vPXNRUXM9AkI6bUxygQADADf/9gInAiIADgAXAB8AAEEUBgYjIiYmNTQ2MzIWFgMyNjY3IR4CEyIGByEuAgInPXBNR29AhnNJbz/4M0MjA/7HAyRDMkpKBwE4BSVCAQ1ZfUFBfVmFkEF7/tkoTzk5TygBmVFPNUckAAACADv/9gKlAtUAHAAlAABBIgYGBzU+AjMyHgIVFA4CIyImJjU1IS4CAzI2NjchFBYWAUwtUEcgHkJSNFSBViwqUXlOaoM7AgsFOWs6QmI6Bf5VJlgChgsTC1ILEQo0YodUU4dgNFulbyJRcjz9vzhtTkttOwAAAQAj//YCEQLKAB0AAEEVBxYWFRQGBiMiJic1FhYzMjY2NTQmJiMjNTchNQHz9YCTP39iOmctL24yQVUrM2FGQ+v+tgLKR+wEZGM+YTcRFlIWGSE/LS05G0njUAABAA7/EAHQAhgAHgAAQRUHHgIVFAYGIyImJzUWFjMyNjY1NCYmIyM1NyE1AbXbRHBCQXdRO14gIWI6NE0sM1o9O9v+zgIYQPQENWFJR209ExBQEBooSzM4RiE980r//wAA/1ACfgLNBiYAIgAAAAcGewJuAAD//wAu/1AB4AIhBiYAQgAAAAcGewJDAAD//wAAAAACfgPnBiYAIgAAAAcDXQJjALL//wAu//YB4AM1BiYAQgAAAAcDXQI+AAAABAAAAAACfgPRABIAHAAkAC8AAEEmJicGBgcjNT4CNzMeAhcVJzY2NzMVBgYHIxMnIQcjATMBAS4CJw4CBwczAaUZNBoaNBkxESUlD1wQJCURJxQaEFgWNBoyclb+5VVbARdRARb+4gMODQQFCwsEUeIDAxEpFxcpEQwTKi0WFi0qEwxrGSogCh0zFfye3d0Czf0zAgUIKi0MFCkiDNgAAAQALv/2Ah0DLAASABwAOgBFAABBJiYnBgYHIzU+AjczHgIXFSc2NjczFQYGByMHMhYVESMnIw4CIyImJjU0Njc3NTQmIyIGByc2NhMGBhUUFjMyNjU1AX0ZNBoaNBkxESUlD1wQJCURJxQaEFgWNBoyZ2JeQBEEFzE/LTBNLH6DWzo1KkwhGyNgTmRNNytEWgJeESkXFykRDBMqLRYWLSoTDGsZKiAKHTMVnFZe/pNMHScSIkc2UFcEAyBDNBkQQhMb/uIEODMtKktOMAAABAAAAAACfgPRABIAHAAkAC8AAFM+AjczHgIXFSMmJicGBgcjJyYmJzUzFhYXFQEnIQcjATMBAS4CJw4CBwczpRElJQ9dECQlETIZNBoZNRkxCRwzFlcQGxMBVVb+5VVbARdRARb+4gMODQQFCwsEUeIDDhMqLRYWLSoTCxEpFxcpEV8VMx0KICsZC/ye3d0Czf0zAgUIKi0MFCkiDNgAAAQAEv/2AeADLAASABwAOgBFAABTPgI3Mx4CFxUjJiYnBgYHIycmJic1MxYWFxUXMhYVESMnIw4CIyImJjU0Njc3NTQmIyIGByc2NhMGBhUUFjMyNjU1gBElJQ9dECQlETIZNBoZNRkxCRwzFlcQGxN5Yl5AEQQXMT8tME0sfoNbOjUqTCEbI2BOZE03K0RaAmkTKi0WFi0qEwsRKRcXKRFfFTMdCiArGQucVl7+k0wdJxIiRzZQVwQDIEM0GRBCExv+4gQ4My0qS04wAAQAAAAAAn4EDAASACgAMAA7AABBHgIXFSMmJicGBgcjNT4CNzcyFhUUBgcHIyc2NjU0JiMiBgc1NjYTJyEHIwEzAQEuAicOAgcHMwFnECQlETEZNBoaNBkxESUlD7ouMiQaAykFHR4bFQoTBgYUaVb+5VVbARdRARb+4gMODQQFCwsEUeIDjxYtKhMMESkXFykRDBMqLRZ9IiMdHQYnPwUPEhENAQIpAgH79N3dAs39MwIFCCotDBQpIgzYAAAEAC7/9gIGA2cAEgAoAEYAUQAAQR4CFxUjJiYnBgYHIzU+Ajc3MhYVFAYHByMnNjY1NCYjIgYHNTY2AzIWFREjJyMOAiMiJiY1NDY3NzU0JiMiBgcnNjYTBgYVFBYzMjY1NQFIECQlETEZNBoaNBkxESUlD7ouMiQaAykFHR4bFQoTBgYUeWJeQBEEFzE/LTBNLH6DWzo1KkwhGyNgTmRNNytEWgLqFi0qEwwRKRcXKREMEyotFn0iIx0dBic/BQ8SEQ0BAikCAf66Vl7+k0wdJxIiRzZQVwQDIEM0GRBCExv+4gQ4My0qS04wAAQAAAAAAn4EGAASACsAMwA+AABBHgIXFSMmJicGBgcjNT4CNzcOAiMiLgIjIgYHIzY2MzIeAjMyNjcTJyEHIwEzAQEuAicOAgcHMwFtECQmETAZNRoZNhkwESUmD8sDFycbEiIhHw4TFQctBS8oEiQhHw0UFAZwVv7lVVsBF1EBFv7iAw4NBAULCwRR4gONFiwqEwsRKBcXKBELEyosFosfMRwOEg4XGC89DhIOFxj76N3dAs39MwIFCCotDBQpIgzYAAAEAC7/9gHgA3MAEgArAEkAVAAAQR4CFxUjJiYnBgYHIzU+Ajc3DgIjIi4CIyIGByM2NjMyHgIzMjY3AzIWFREjJyMOAiMiJiY1NDY3NzU0JiMiBgcnNjYTBgYVFBYzMjY1NQFEECQmETAZNRoZNhkwESUmD8sDFycbEiIhHw4TFQctBS8oEiQhHw0UFAZoYl5AEQQXMT8tME0sfoNbOjUqTCEbI2BOZE03K0RaAugWLCoTCxEoFxcoEQsTKiwWix8xHA4SDhcYLz0OEg4XGP6uVl7+k0wdJxIiRzZQVwQDIEM0GRBCExv+4gQ4My0qS04w//8AAP9QAn4DsAYmACIAAAAnBnsCbgAAAAcBSABvALL//wAu/1AB4AL+BiYAQgAAACYBSEoAAAcGewI9AAAABAAAAAACfgPxAA0AGAAgACsAAEEGBiMiJiczFhYzMjY3Nw4CByM1NjY3MxMnIQcjATMBAS4CJw4CBwczAdQFSkZHRwQ1BS4rJjQFFQ4hIxIxExwPV21W/uVVWwEXUQEW/uIDDg0EBQsLBFHiA4Y8R0Y9KRgaJ2ETJCAOCxksH/wP3d0Czf0zAgUIKi0MFCkiDNgAAAQALv/2AeADTAANABgANgBBAABBBgYjIiYnMxYWMzI2NzcOAgcjNTY2NzMDMhYVESMnIw4CIyImJjU0Njc3NTQmIyIGByc2NhMGBhUUFjMyNjU1AasFSkZHRwQ1BS4rJjQFFQ4hIxIxExwPV2tiXkARBBcxPy0wTSx+g1s6NSpMIRsjYE5kTTcrRFoC4TxHRj0pGBonYRMkIA4LGSwf/tVWXv6TTB0nEiJHNlBXBAMgQzQZEEITG/7iBDgzLSpLTjAABAAAAAACfgPxAA0AGAAgACsAAEEGBiMiJiczFhYzMjY3JxYWFxUjLgInNQEnIQcjATMBAS4CJw4CBwczAdMFSUdHRgU1BS4rJjQFgQ8bEzARIyEPAVtW/uVVWwEXUQEW/uIDDg0EBQsLBFHiA4Y8R0Y9KRgZKGsfLBkLDiAkEwr8D93dAs39MwIFCCotDBQpIgzYAAQALv/2AeADTAANABgANgBBAABBBgYjIiYnMxYWMzI2NycWFhcVIy4CJzUTMhYVESMnIw4CIyImJjU0Njc3NTQmIyIGByc2NhMGBhUUFjMyNjU1AaoFSUdHRgU1BS4rJjQFgQ8bEzARIyEPg2JeQBEEFzE/LTBNLH6DWzo1KkwhGyNgTmRNNytEWgLhPEdGPSkYGShrHywZCw4gJBMK/tVWXv6TTB0nEiJHNlBXBAMgQzQZEEITG/7iBDgzLSpLTjAABAAAAAACfgQTAA0AIwArADYAAEEGBiMiJiczFhYzMjY3JzIWFRQGBwcjJzY2NTQmIyIGBzU2NgEnIQcjATMBAS4CJw4CBwczAdMFSUdHRgU1BS4rJjQFdS0xJBkDKQUcHhsUCxMGBxQBBlb+5VVbARdRARb+4gMODQQFCwsEUeIDhjxHRj0pGBkojSIjHB0GFC0FDxERDQIBJwIC++3d3QLN/TMCBQgqLQwUKSIM2AAEAC7/9gHgA24ADQAjAEEATAAAQQYGIyImJzMWFjMyNjcnMhYVFAYHByMnNjY1NCYjIgYHNTY2EzIWFREjJyMOAiMiJiY1NDY3NzU0JiMiBgcnNjYTBgYVFBYzMjY1NQGuBUlHR0YFNQUuKyY0BXUtMSQZAykFHB4bFAsTBgcUKmJeQBEEFzE/LTBNLH6DWzo1KkwhGyNgTmRNNytEWgLhPEdGPSkYGSiNIiMcHQYULQUPERENAgEnAgL+s1Ze/pNMHScSIkc2UFcEAyBDNBkQQhMb/uIEODMtKktOMAAEAAAAAAJ+BBYADQAmAC4AOQAAQQYGIyImJzMWFjMyNjc3DgIjIi4CIyIGByM2NjMyHgIzMjY3EychByMBMwEBLgInDgIHBzMB0AVJR0dGBTUFLismNAVDAxcnGxIiIR8OExUHLQUvKBIkIR8NFBQGcFb+5VVbARdRARb+4gMODQQFCwsEUeIDhDtGRD0oFxgnkh4wHA4SDhcYLzsOEg4XGPvq3d0Czf0zAgUIKi0MFCkiDNgAAAQALv/2AeADcQANACYARABPAABBBgYjIiYnMxYWMzI2NzcOAiMiLgIjIgYHIzY2MzIeAjMyNjcDMhYVESMnIw4CIyImJjU0Njc3NTQmIyIGByc2NhMGBhUUFjMyNjU1AaoFSUdHRgU1BS4rJjQFQwMXJxsSIiEfDhMVBy0FLygSJCEfDRQUBmtiXkARBBcxPy0wTSx+g1s6NSpMIRsjYE5kTTcrRFoC3ztGRD0oFxgnkh4wHA4SDhcYLzsOEg4XGP6wVl7+k0wdJxIiRzZQVwQDIEM0GRBCExv+4gQ4My0qS04w//8AAP9QAn4DlgYmACIAAAAnAUsAfwCyAAcGewJuAAD//wAu/1AB4ALkBiYAQgAAACYBS1oAAAcGewIyAAD//wBh/1AB8ALKBiYAJgAAAAcGewJWAAD//wA3/1ACAQIiBiYARgAAAAcGewJXAAD//wBhAAAB8APnBiYAJgAAAAcDXQJWALIAAwA3//YCAQM1ABUALQA1AABBFAYHByMnNjY1NCYjIgYHNTY2MzIWBzIWFhUVIRYWMzI2NxUGBiMiJiY1NDY2FyIGByE0JiYBli4jBTYHJCslHA0bCAkbEzxCckVjNf6RAllQM08qKVA3THVBO2tGP0kHAREcOQLaJikINVUGFxcYEAICNAMDLOc8bUk1W18TEk0SET57WVh+REhRSC5EJwD//wBhAAAB8AORBiYAJgAAAAcBTwBRALL//wA3//YCAQLfBiYARgAAAAYBTz0AAAMAYQAAAjAD0QASABwAKAAAQSYmJwYGByM1PgI3Mx4CFxUnNjY3MxUGBgcjEyERIRUhFSEVIRUhAZAZNBoaNBkxESUlD1wQJCURJxQaEFgWNBoyVv5xAY/+ywEj/t0BNQMDESkXFykRDBMqLRYWLSoTDGsZKiAKHTMV/J4Cyk/fTv8AAAQAN//2AikDLAASABwANAA8AABBJiYnBgYHIzU+AjczHgIXFSc2NjczFQYGByMHMhYWFRUhFhYzMjY3FQYGIyImJjU0NjYXIgYHITQmJgGJGTQaGjQZMRElJQ9cECQlEScUGhBYFjQaMm9FYzX+kQJZUDNPKilQN0x1QTtrRj9JBwERHDkCXhEpFxcpEQwTKi0WFi0qEwxrGSogCh0zFZs8bUk1W18TEk0SET57WVh+REhRSC5EJwADACYAAAHwA9EAEgAcACgAAFM+AjczHgIXFSMmJicGBgcjJyYmJzUzFhYXFQEhESEVIRUhFSEVIZQRJSUPXRAkJREyGTQaGTUZMQkcMxZXEBsTATX+cQGP/ssBI/7dATUDDhMqLRYWLSoTCxEpFxcpEV8VMx0KICsZC/yeAspP307/AAAEAB//9gIBAywAEgAcADQAPAAAUz4CNzMeAhcVIyYmJwYGByMnJiYnNTMWFhcVFzIWFhUVIRYWMzI2NxUGBiMiJiY1NDY2FyIGByE0JiaNESUlD10QJCURMhk0Ghk1GTEJHDMWVxAbE3BFYzX+kQJZUDNPKilQN0x1QTtrRj9JBwERHDkCaRMqLRYWLSoTCxEpFxcpEV8VMx0KICsZC5s8bUk1W18TEk0SET57WVh+REhRSC5EJwAAAwBhAAACFAQMABIAKAA0AABBHgIXFSMmJicGBgcjNT4CNzcyFhUUBgcHIyc2NjU0JiMiBgc1NjYTIREhFSEVIRUhFSEBVhAkJRExGTQaGjQZMRElJQ+6LjIkGgMpBR0eGxUKEwYGFEn+cQGP/ssBI/7dATUDjxYtKhMMESkXFykRDBMqLRZ9IiMdHQYnPwUPEhENAQIpAgH79ALKT99O/wAABAA3//YCCQNnABIAKABAAEgAAEEeAhcVIyYmJwYGByM1PgI3NzIWFRQGBwcjJzY2NTQmIyIGBzU2NgMyFhYVFSEWFjMyNjcVBgYjIiYmNTQ2NhciBgchNCYmAUsQJCURMRk0Gho0GTERJSUPui4yJBoDKQUdHhsVChMGBhR4RWM1/pECWVAzTyopUDdMdUE7a0Y/SQcBERw5AuoWLSoTDBEpFxcpEQwTKi0WfSIjHR0GJz8FDxIRDQECKQIB/rs8bUk1W18TEk0SET57WVh+REhRSC5EJwAAAwBhAAAB8AQYABIAKwA3AABBHgIXFSMmJicGBgcjNT4CNzcOAiMiLgIjIgYHIzY2MzIeAjMyNjcTIREhFSEVIRUhFSEBVRAkJhEwGTUaGTYZMBElJg/LAxcnGxIiIR8OExUHLQUvKBIkIR8NFBQGV/5xAY/+ywEj/t0BNQONFiwqEwsRKBcXKBELEyosFosfMRwOEg4XGC89DhIOFxj76ALKT99O/wAABAA3//YCAQNzABIAKwBDAEsAAEEeAhcVIyYmJwYGByM1PgI3Nw4CIyIuAiMiBgcjNjYzMh4CMzI2NwMyFhYVFSEWFjMyNjcVBgYjIiYmNTQ2NhciBgchNCYmAUwQJCYRMBk1Ghk2GTARJSYPywMXJxsSIiEfDhMVBy0FLygSJCEfDRQUBmxFYzX+kQJZUDNPKilQN0x1QTtrRj9JBwERHDkC6BYsKhMLESgXFygRCxMqLBaLHzEcDhIOFxgvPQ4SDhcY/q88bUk1W18TEk0SET57WVh+REhRSC5EJwD//wBh/1AB8AOwBiYAJgAAACcGewJWAAAABwFIAGIAsv//ADf/UAIBAv4GJgBGAAAAJgFITgAABwZ7AlcAAAACACgAAAEqA9oAFQAhAABBFAYHByMnNjY1NCYjIgYHNTY2MzIWEyE1NxEnNSEVBxEXARouIwU2ByQrJRwNGwgJGxM8QhD+/lRUAQJUVAN/JikINVUGFxcYEAICNAMDLPxSNBMCOxQ0NBT9xRMAAAIAPAAAAPEDNQAVABkAAFMUBgcHIyc2NjU0JiMiBgc1NjYzMhYDIxEz8S4jBTYHJCslHA0bCAkbEzxCRFhYAtomKQg1VQYXFxgQAgI0AwMs/PcCGAD//wAo/1ABKgLKBiYAKgAAAAcGewHTAAD//wBO/1AAtgLhBiYASgAAAAcGewGtAAD//wA9/1AC0ALVBiYAMAAAAAcGewKyAAD//wA3/1ACJwIiBiYAUAAAAAcGewJXAAAAAwA9//YC0APaABUAJwA2AABBFAYHByMnNjY1NCYjIgYHNTY2MzIWExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmIyIGBgH3LiMFNgckKyUcDRsICRsTPELZKlN7UVR8UihIk3Brkkv9zDJpUFFnMnB5UWkyA38mKQg1VQYXFxgQAgI0AwMs/bhTh2I0NWGIU26kXFulb1qCRkaCWoeZRYEAAwA3//YCJwM1ABUAJwA2AABBFAYHByMnNjY1NCYjIgYHNTY2MzIWExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmJiMiBgGeLiMFNgckKyUcDRsICRsTPEKJI0FdOTVaQiU8cE1Jbz/+ayFGNjZGISJFN1JKAtomKQg1VQYXFxgQAgI0AwMs/gRDZ0glJUhnQ1l7QUF7WT9dMjJdP0BaMWwABAA9//YC0APRABIAHAAuAD0AAEEmJicGBgcjNT4CNzMeAhcVJzY2NzMVBgYHIxMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYB7Rk0Gho0GTERJSUPXBAkJREnFBoQWBY0GjLZKlN7UVR8UihIk3Brkkv9zDJpUFFnMnB5UWkyAwMRKRcXKREMEyotFhYtKhMMaxkqIAodMxX+BFOHYjQ1YYhTbqRcW6VvWoJGRoJah5lFgQAABAA3//YCNAMsABIAHAAuAD0AAEEmJicGBgcjNT4CNzMeAhcVJzY2NzMVBgYHIxMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgYBlBk0Gho0GTERJSUPXBAkJREnFBoQWBY0GjKJI0FdOTVaQiU8cE1Jbz/+ayFGNjZGISJFN1JKAl4RKRcXKREMEyotFhYtKhMMaxkqIAodMxX+UENnSCUlSGdDWXtBQXtZP10yMl0/QFoxbAAABAA9//YC0APRABIAHAAuAD0AAFM+AjczHgIXFSMmJicGBgcjJyYmJzUzFhYXFQEUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgbwESUlD10QJCURMhk0Ghk1GTEJHDMWVxAbEwG5KlN7UVR8UihIk3Brkkv9zDJpUFFnMnB5UWkyAw4TKi0WFi0qEwsRKRcXKRFfFTMdCiArGQv+BFOHYjQ1YYhTbqRcW6VvWoJGRoJah5lFgQAABAAp//YCJwMsABIAHAAuAD0AAFM+AjczHgIXFSMmJicGBgcjJyYmJzUzFhYXFQEUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgaXESUlD10QJCURMhk0Ghk1GTEJHDMWVxAbEwFpI0FdOTVaQiU8cE1Jbz/+ayFGNjZGISJFN1JKAmkTKi0WFi0qEwsRKRcXKRFfFTMdCiArGQv+UENnSCUlSGdDWXtBQXtZP10yMl0/QFoxbAAABAA9//YC0AQMABIAKAA6AEkAAEEeAhcVIyYmJwYGByM1PgI3NzIWFRQGBwcjJzY2NTQmIyIGBzU2NhMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYBsxAkJRExGTQaGjQZMRElJQ+6LjIkGgMpBR0eGxUKEwYGFMwqU3tRVHxSKEiTcGuSS/3MMmlQUWcycHlRaTIDjxYtKhMMESkXFykRDBMqLRZ9IiMdHQYnPwUPEhENAQIpAgH9WlOHYjQ1YYhTbqRcW6VvWoJGRoJah5lFgQAABAA3//YCJwNnABIAKAA6AEkAAEEeAhcVIyYmJwYGByM1PgI3NzIWFRQGBwcjJzY2NTQmIyIGBzU2NhMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgYBWxAkJRExGTQaGjQZMRElJQ+6LjIkGgMpBR0eGxUKEwYGFHsjQV05NVpCJTxwTUlvP/5rIUY2NkYhIkU3UkoC6hYtKhMMESkXFykRDBMqLRZ9IiMdHQYnPwUPEhENAQIpAgH9pkNnSCUlSGdDWXtBQXtZP10yMl0/QFoxbAAABAA9//YC0AQYABIAKwA9AEwAAEEeAhcVIyYmJwYGByM1PgI3Nw4CIyIuAiMiBgcjNjYzMh4CMzI2NxMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYBsxAkJhEwGTUaGTYZMBElJg/LAxcnGxIiIR8OExUHLQUvKBIkIR8NFBQG2SpTe1FUfFIoSJNwa5JL/cwyaVBRZzJweVFpMgONFiwqEwsRKBcXKBELEyosFosfMRwOEg4XGC89DhIOFxj9TlOHYjQ1YYhTbqRcW6VvWoJGRoJah5lFgQAABAA3//YCJwNzABIAKwA9AEwAAEEeAhcVIyYmJwYGByM1PgI3Nw4CIyIuAiMiBgcjNjYzMh4CMzI2NxMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgYBWxAkJhEwGTUaGTYZMBElJg/LAxcnGxIiIR8OExUHLQUvKBIkIR8NFBQGiCNBXTk1WkIlPHBNSW8//mshRjY2RiEiRTdSSgLoFiwqEwsRKBcXKBELEyosFosfMRwOEg4XGC89DhIOFxj9mkNnSCUlSGdDWXtBQXtZP10yMl0/QFoxbAD//wA9/1AC0AOwBiYAMAAAACcGewKyAAAABwFIALgAsv//ADf/UAInAv4GJgBQAAAAJwZ7AlcAAAAGAUhgAP//AD3/9gMlA7AGJgGaAAAABwB0ASMAsv//ADf/9gKGAv4GJgGbAAAABwB0AMsAAP//AD3/9gMlA7AGJgGaAAAABwBBANwAsv//ADf/9gKGAv4GJgGbAAAABwBBAIQAAP//AD3/9gMlA+cGJgGaAAAABwNdAqwAsv//ADf/9gKGAzUGJgGbAAAABwNdAlQAAP//AD3/9gMlA5EGJgGaAAAABwFPAKcAsv//ADf/9gKGAt8GJgGbAAAABgFPTwD//wA9/1ADJQL4BiYBmgAAAAcGewKvAAD//wA3/1AChgJqBiYBmwAAAAcGewJYAAD//wBa/1ACgALKBiYANgAAAAcGewKWAAD//wBP/1ACFQIYBiYAVgAAAAcGewJQAAAAAgBa//YCgAPaABUAKQAAQRQGBwcjJzY2NTQmIyIGBzU2NjMyFhMUBgYjIiY1ETMRFBYzMjY2NREzAdouIwU2ByQrJRwNGwgJGxM8QqY8e1+Fi1pdXkFRJlkDfyYpCDVVBhcXGBACAjQDAyz9Tkp3RZF3Acz+MVdgL1M2Ac4AAgBP//YCFQM1ABUALQAAQRQGBwcjJzY2NTQmIyIGBzU2NjMyFhcRIycjDgIjIiYmNREzERQWMzI2NjURAZ0uIwU2ByQrJRwNGwgJGxM8QnhIDQQRNkAjQFcsWTo9PEUdAtomKQg1VQYXFxgQAgI0AwMs8f3oRxwkESlWRAFf/qdAQC1XPgEX//8AWv/2AzIDsAYmAZwAAAAHAHQBCgCy//8AT//2AsQC/gYmAZ0AAAAHAHQA0QAA//8AWv/2AzIDsAYmAZwAAAAHAEEAwwCy//8AT//2AsQC/gYmAZ0AAAAHAEEAigAAAAIAWv/2AzID2gAVADUAAEEUBgcHIyc2NjU0JiMiBgc1NjYzMhYTPgI1MxcOAwcRFAYGIyImNREzERQWMzI2NjURMwHgLiMFNgckKyUcDRsICRsTPEKgISEMXQcGGCg+Ljh3YIiPWl9gQU8kWQN/JikINVUGFxcYEAICNAMDLP67BSY9JwskPzMkCP7RSndFkXcBzP4wVmAvUzUBzwAAAgBP//YCxAM1ABUAOAAAQRQGBwcjJzY2NTQmIyIGBzU2NjMyFgUOAwcRIycjDgIjIiYmNREzERQWMzI2NREzFT4CNTMBoC4jBTYHJCslHA0bCAkbEzxCASQGFyc+LUgNBBE1QCJBWCxZOj1ZRVggIAtdAtomKQg1VQYXFxgQAgI0AwMsqSNCNSMF/mJHHCQRKVZEAV7+qEBAZF4BFjsGJj0mAP//AFr/9gMyA5EGJgGcAAAABwFPAI4Asv//AE//9gLEAt8GJgGdAAAABgFPVQD//wBa/1ADMgL4BiYBnAAAAAcGewKcAAD//wBP/1ACxAJrBiYBnQAAAAcGewJPAAD//wAA/1ACNgLKBiYAOgAAAAcGewJEAAD//wAB/xAB/gIYBiYAWgAAAAcGewKt//QAAgAAAAACNgPaABUAHgAAQRQGBwcjJzY2NTQmIyIGBzU2NjMyFgMTMwMRIxEDMwGJLiMFNgckKyUcDRsICRsTPEJuumHuWu5iA38mKQg1VQYXFxgQAgI0AwMs/b0BX/5L/usBEQG5AAACAAH/EAH+AzUAFQAzAABBFAYHByMnNjY1NCYjIgYHNTY2MzIWBTMTHgIXMzY2NxMzAw4CIyImJzUWFjMyNjY3NwFqLiMFNgckKyUcDRsICRsTPEL+l150ChEOBAQGGg5tX+cTM0k0GCQNCx8RHy0gCxwC2iYpCDVVBhcXGBACAjQDAyzx/s8bMi8WGVEpATD9njJLKQUDRgIEFysdRwD//wAAAAACNgORBiYAOgAAAAcBTwA7ALL//wAB/xAB/gLfBiYAWgAAAAYBTx8AAAMAN/9mAl4C+AAfACwAMAAARSImNTQ2MzIWFhczJiY1NSM1MzUzFTMVIxEjJyMOAicyNjU1NCYjIgYVFBYFITUhARNkeHljKj8uEAYCBNXVWExMSA0EEC4+G1RFQllHRkYBWv5AAcAKi4iMihUkFg0zED1CWVlC/aNIFyUWSVxdEWVobmBgadlA//8ACv8QAiECygYmADUAAAAHAHgApwAA//8AEP8QAVMCkwYmAFUAAAAGAHhnAAACAAn/9gIwAvgAIAAuAABFIiYmJyMHIxEjNTM1MxUzFSMVFAYHMzY2MzIWFhUUBgYnMjY1NCYjIgYGFRUUFgFTKj8uDwcSP0xMWNXVAwIFF1A/Q2M3N2RPSEdHSjlCHEEKFSQVRAJdQllZQh4iOxEiLj57XFx8PklqZGVmK1lFBGNpAAADAAoAAAKkAsoAIQArADQAAHMRIyIGFRQWFyMmJjU0NjYzMzIWFhUUBgcVHgIVFAYGIycyNjU0JiYjIxETMjY1NCYjIxWxGh8eBwNPBAcfPjDmWXk9RkItSSo8b00RX0ohTUKJhFxEU1t2An0bFxAfBwsgDCs4GyJOQT9TDAUHJkY4QVsvTEo8Jjgf/v0BTjs6OzPjAAACAGEAAAI0AsoADQAXAABzESEVIRUzMhYWFRQGIycyNjU0JiYjIxFhAaj+smprdi52jAlgTiVTRV8Cyk/fNVs7Ym9NQUMuNxj+/wAAAgBV//YCMAL4ABoAKAAARSImJicjByMRIRUhFRQGBzM2NjMyFhYVFAYGJzI2NTQmIyIGBhUVFBYBUyo/Lg8HEj8Bpf6zAwIFF1A/Q2M3N2RPSEdHSjlCHEEKFSQVRAL4Sm8iOxEiLj57XFx8PklqZGVmK1lFBGNpAAACAFr/9gJIAsoADgAaAABFIiYmNREzETMyFhYVFAYnMjY1NCYmIyMVFBYBVV1uMFqGZHY0eHxQRytTPntLCjhjQQH4/tI4XjleeU1HQy45GnxOQQACAFL/9gItAvgAFQAiAABFIiYmNREzFRQGBzM2NjMyFhYVFAYGJzI2NTQmIyIGFRUUFgFCSWw7WAMCBRdQP0NjNzlpSEhHR0pVQlEKPntcAe25IjsRIi4+e1xcfD5JamRlZmJnBmBqAAEAH//2AjsC1AAfAABXIiYnNRYWMzI2NjU0LgIjIgYHJzY2MzIeAhUUBgbzO1UoKVMuTW48Hz5cPjBRISQpakFSe1IpTpIKDg9ODBBFgllCa0soGA9MFBYzYYhUbKVdAAEAPf/2ArgDWgAvAABBMhYXFSYmIyIGFRUHJiYjIg4CFRQWFjMyNjcVBgYjIiYmNTQ+AjMyFhc1NDY2AnwTHwoHHBEWGSQhTTA5XEAiN21SL1QoKFU7bZJJLVeAUx47HBczA1oIBUgDBxgYM04PGCdLa0NYgkYQDE4PDlqmcFGGYjUHBw4rPB8AAAEAN//2AiIC/QAtAABFIiYmNTQ2NjMyFhc1NDY2MzIWFxUmJiMiBhUVByYmIyIGBhUUFhYzMjY3FQYGASxHbz9CcUgRIBAXMykTHwoHHBEWGRsYQBw2RiIiRDMsQxwbQQo6el9jfDoEAlsrPB8IBUkDBxgYfEkJEC5aQ0BaLhINTg4P//8AHgAAAp0CygYGAJAAAAACAAoAAALtAsoAGQAjAABzESMiBhUUFhcjJiY1NDY2MzMyFhYVFAYGIycyNjU0JiYjIxGxGh8eBwNPBAcfPjD2bJ5WWaZ2DJGRP3lWdQJ9GxcQHwcLIAwrOBtQm3N4olJNj41fejv90AAAAgAzAAACBgLKAA0AFwAAYSImNTQ2NjMzNSE1IREnMxEjIgYGFRQWAT+MgDV9a1z+sgGov2VSRFosWWheOGI830/9Nk0BAho7MD8+AAIAN//2AhIC+AAdACoAAEUiJiY1NDY2MzIWFhczLgM1NSE1IREjJyMOAicyNjU1NCYjIgYVFBYBE0JjNzdkQio+LhAGAQICAf6zAaVHDQQQLj8cVUVCWUdHRwo+e1xcfD8VJBYGFRcWB4xK/QhIFyUWSV1eEGRrcV9gagACAEb/GwIvAiIAJwA4AABBMhYWFRQGBgceAhUUBgYjIiYmJzcWFjMyNjY1NCYmJy4CNTQ2NhciBgYVFBYWFz4DNTQmJgE5SG8/K1A6GCscKFVFMUsyDSYgSiwqLxIQMTFYVxxEbz4xRiQlQi0mPSsXJ0cCIjppSEBfQhcOJTQnI0YtFh4KRRgjGCMQEiEnGi9bVypVbDRILE0yMUw5Fg0kMUEpNEwrAAABADwAAAHLAsoACwAAczUhNSE1ITUhNSERPAE1/t0BI/7LAY9P/07fT/02//8AO//2AqUC1QYGAaAAAAABADb/9gImAtQALgAAQTIWFwcmJiMiBhUUFhYzMxUjIgYVFBYzMjY2NxUGBiMiJiY1NDY3NS4CNTQ2NgE6SncoKyhTQTxMK1ZAYWZndWFbJUtHHy1sQmR6N15aLkQlNGUC1CsfPRsiOjYoOyBLPkRCSA0YD1IWFjVdO0xaDAQIK0YxNE8uAAH/7/8OAjYCygAcAABXIiY1NDY3FwYGFRQWMzI2NREhFSEVIRUhERQGBnlDRwUFTwECHBgbJwF7/t8BDv7yKUbyST0OHRAYBw4IHCEvPAMCT95P/nE+TyQAAAEAPf/2AucDWgAxAABBMhYXFSYmIyIGFRUHJiYjIgYGFRQWFjMyNjc1IzUzEQYGIyImJjU0NjYzMhYXNTQ2NgKrEx8KBxwRFhkiJl8zVXpAN3ZgL0Ibnfc6dktvmE9YpXUlRR8XMwNaCAVIAwcYGDVOERhGgVlVg0kKB9RQ/qITElmlcXCkWwkIESs8HwACAAD/EAI6AsoAGwAnAABFIiY1NDY2NwMzEx4CFz4CNxMzAx4CFRQGJzI2NTQmJwYGFRQWAR02PhMeEuxejQsTDwUFDxMLjF/sFh4PPjYQEhASEw8T8Ew5HkhMJAJf/osdNjEYGDI3HQFz/aIrUEMZOE1OGx4XSSIlRRYfHAABAFX/9gNVAvgAKQAARSImJjU1NCYjIgYGFREjETMVFAYHMz4CMzIWFhUVFBYzMjY1ETMRFAYCf0ZgMDU4Nj8aWFgDAgYQMTsgPVEpPkBBPVhrCilXRJ1BQC1XP/7rAvjfEygQHCQTKVZFnUBBRk8BRP65eGMAAQBa//YBUgLKABAAAFciJiY1ETMRFBYzMjY3FQYG8yxFKFklKBYvDQ43Ch1JQQIt/dswMAcESgcJAAEAIgAAATACygATAABBFQcVMxUjERcVITU3ESM1MzUnNQEqVFpaVP7+VFpaVALKNBTtTv8AEzQ0EwEATu0UNAABAGEAAAJrAtAAGwAAQTIWFxUmJiMiBgcHASMDBxEjETMRNjY3Nz4CAikRGAkHHAkNHRqkASRq909aWhpEHXoZJiQC0AQERgIBDx/C/msBVk3+9wLK/pghTiSWHx0JAAABAFUAAAINAv0AIAAAUzIWFxUmJiMiBhURFAYHMz4CNzczBxMjJwcVIxE0NjbOEyQKBxwRFhkCAgQGGBkJq2fZ6Gq6PVcaNgL9CAVJAwcaIP70EDQTCR0fCrXl/s36NcUCcS4+IAABAA8AAADzAvgACwAAcxEjNTMRMxEzFSMRVUZGWEZGAWJCAVT+rEL+ngAB//r/9gIeAv4AMQAAYxMnByc3JiYjIgYHNT4CMzIWFhc3FwcTFhYzMjY3FQYGIyImJicnLgMnIwYGBwMG5xdqE2MOIhsSGwsJFhcMJjUnEG0TZrMKFxEIEQULHREYJBkLSQYPDwsDBAkdEXoCDkAgPx4YEgQCRwIEAhQnHyE/IP4OHBoEAUEFBxAkHc0SKywnDyNQJ/7nAAEAWv/2A6QCygAoAABFIiYmNREzERQWMzI2NjURMxEUFjMyNjY1ETMRIycjDgIjIiYnIwYGAR9DVytaOj88SCFaO0A+Rx5aRw8FEjpFJENWFgUeaQotYUwB+v4GRkYtVj8BxP4GRkYxYEUBsP02Uh8pFDEzMzEAAAH/9f8QApcCygAhAABXIiYnNRYWMzI2NREzATMuAzURMxEjASMeAhURFAYGLRIbCwoWDR8gaAF9BAECAgJUaf6CBAIDAx488AcGTAQGIy8DGf2xDCs1OBgBk/02AlEXP0cl/h43RSH//wBV/xACDwIiBAYBVgAA//8APf/2AtAC1QYGAZ4AAAACAD3/9gPZAtUAIwAzAABBFA4CIyIuAjU0NjYzMhYXNjYzMhYWFREjETQmIyIGBxYWBRQWFjMyNjY1NCYmIyIGBgKwKE91TU93TSdFjGpJcCcfZjdDVytaOj80RBMaG/3sL2FLTGAuLmBLS2IvAWZTh2I0NWGIU26kXC8sLywtYE3+BQH7RkYeHy5yRFqCRkaCWlqBRUWBAAIAN/8QAvwCIgAjADIAAEEUDgIjIi4CNTQ2NjMyFhc2NjMyFhYVESMRNCYjIgYHFhYFFBYWMzI2NjU0JiYjIgYCDiE+WDYzVT8jOWpJNFYfGkwqNkcjVy0vIC8PERL+hB5AMjJAHx9AMkxEAQ1DZ0glJUhnQ1l7QSUjJSMpV0X9swJJP0AWFh9RLz9dMjJdP0BaMWwAAAIACgAAAnoCygAbACUAAHMRIyIGFRQWFyMmJjU0NjYzMzIWFRQOAiMjERMyNjY1NCYjIxGxGh8eBwNPBAcfPjDXjIAdQm5QUkhEWixYX1sCfRsXEB8HCyAMKzgbbmQsUUAl/uoBYx1ANEVE/uYAAgBV/xACMAL9ACkAOQAAUzIWFxUmJiMiBhUVFAYHMz4CMzIWFhUUBgYjIiYmJyMWFhUVIxE0NjYTIgYGBxUUFhYzMjY2NTQmzxMkCgccERYZBAIGEC0/K0JjNzdjQylALRAGAgRYGzaeNkIeARxDOjE/H0cC/QgFSQMHGiBQEzQRFyYWPXtdW30/FiMVETQT3ANhLj4g/tspUj8RQlwwNl08XG4AAAIAYf+cAl8CygARABsAAEUDIxUjETMVMzIWFhUUBgYHEwEyNjU0JiYjIxEB9q2OWlprWXM4KkEkxP7HV1AlTDtmZAEnwwLKZC1aRDlMLQ3+wAFzRUMvOBr+9wAAAQAv//YB8wLUAC0AAEEyFhYVFA4CBw4CFRQWFjMyNjcVBgYjIiYmNTQ2Njc+AjU0JiMiBgcnNjYBD0RmOhcuRS5ATyMkSDU5ayQiZjxOcj8yXD86RB5EQypOIhwmWgLULFE5KkAyJxEXKTAjIzQcHxBWEBcwWUA4SjUXFiYwJC85FhBNEhYAAAEALf/2AawCIgArAABTMhYWFRQGBgcOAxUUFjMyNjcVBgYjIiY1NDY2Nz4CNTQmIyIGByc2NuNBWi4oSjQnNB0MPEMvXB8fUThqbCZIMzQ8Gjk2H0MiHiZNAiIhPy4sOCgUDxkYGQ8kKxsQUBASUE4rOSgTFB0fFh4jFA5GERP//wAmAAACFQLKBgYBUwAAAAL/+P8QAZYC/QAbACYAAFMyFhYVERQWMzI2NxUGBiMiJiY1ESMiJjU0NjYXIgYVFBYzMzU0JnUpOh8lKBYvDQ42GixFJy1BOhc3KRYRHBUnFAL9Hz4w/UgwMAcEQwcJHUlBAmc/MRwzIEgYDxYSDR0lAAEAEP8QAVMCkwAnAABXIiYnNRYWMzI2NTUiIiMiLgI1ESM1NzczFTMVIxEUFjMyNjcVFAbeEx8KCBoQFxkEDAUcNCoZTE0jNJubLCgUKg058AgESQMGGRtmECVAMQE4KiNye0T+yjEvBwS0QEUAAQAKAAACNQLKABQAAHMRIyIGFRQWFyMmJjU0NjYzIRUjEf1mHx4HA08EBx8+MAGe3gJ7GRcQHwcLIAwrOBtP/YUAAQAQ//YBUwL9ACUAAFMyFhcVJiYjIgYVFTMVIxEUFjMyNjcVBgYjIiYmNREjNTc1NDY28BcpDQktFx8dm5svJRQqDQ40GCpHLExNIEIC/QgFSQMHIiJVRP7KMS8HBEMHCR1IQQE4KiNCMkQkAAABAAr/EAIhAsoAEwAARSImNREjNSEVIxEUFjMyNjcVBgYBcENE3wIX3iAfDRYKCiPwS1ICzk9P/TYvIwYETAYHAAABACX/9QLoAsoAJwAAZTI2NjU0JiYnNSEVIx4CFRQGBiMiJiY1NDY2NyM1IRUOAhUUFhYBh1BnMSBJPgEgsitEKUySaWqSTChFKrEBID5KIDJoRDtuTEN0ZixITyBgektikE9OkGJLe2AgT0gsZnVCTG47AAEAV//2AoMC1AAjAABFIiYmNREzERQWFjMyPgM1NCYjIgYHNTY2MzIWFRQOAwELSU4dWhAsKixRRTQcJhwVIw0OMB9ARCNCXXMKP3tYAcL+RU5ZJDRefpZSKSELBksIDEY+YLKXcj8AAQAAAAACOwLVABUAAHMRAzMTEzY2MzIWFxUmJiMiBgYHAxHu7mK5gBQwIBQeCggUCwgPDQaiAREBuf6hAR8tHgcESQQEBxAM/q/+6wAAAQAB/xACHgIiACkAAEEyFhcVJiYjIgYGBwMGBiMiJic1FhYzMjY2NzcDMxMWFhczNjY3Nz4CAeURHQsFEQgLEg4HtxxZThgkDQsfER8uIQsa2F50DxgGBAYcDkwNHCQCIgcFQQIDDBcT/hJMWgUDRgIEFysdRwIa/s8oSSEZUSnZJioRAAABACYAAAIVAsoAEQAAUzM3ITUhFQczFSMDIRUhNRMjT7iX/pQB2Z96qaoBgv4RsokBl+NQRO9H/wBQRAEMAAEAJwAAAa8CGAARAABBFQczFSMHIRUhNTcjNTM3ITUBqG9ll3sBI/54gnChbf7xAhhCnUavRDq5RptE//8AI//2AhECygYGAaEAAAABADf/9gIlAsoAHQAARSImJjU0NjY3JzUhFSEXFSMiBgYVFBYzMjY3FQYGAUthejlDbT7QAbz+ts1OMVEvYGEyby4tago9ZTtMZDMCy0dQykEgQzdFUBkWUhYRAAEAIv8QAeQCGAAeAABFIiYmNTQ2NjcnNSEVIRcVIyIGBhUUFhYzMjY3FQYGASBPcj1CcETbAZn+zts7PFszLE4zO2EhIGDwPGhBT2Y2BPRASvM9Ikk8L0gnGhBQEBMAAAEAHP8QAcECGAAwAABXIiYmNTQ2NjMyPgI1NCYmIyM1NyE1IRUHHgMVFA4CIyIGBhUUFjMyNjcVBgbXNlQxH1BJKjkiECtTPTu3/vIBirs0TzccGjhZQCssEDU0M1EcHFHwGTUpITchDh4uICsyFz2jSkCkAhovQiwqSDUdDBUPFRkXDVANEAABADAAAAIIAv0AIQAAQTIWFhUUBgczFSMDFSEVITUTIzUzNjY1NCYjIgYHJz4CAQQ+WjEVGWSQ4QF2/ijewPEdFj4yL0clLxo+SgL9K1E5Kk8sRv7tBEZJARRGLksqNTUiIDsYJhYAAAEAI//2AhECygAgAABXIiYnNR4CMzI2NjU0JiYjIxEjNSEVIRUzMhYWFRQGBvE6Zy0fRkkhQVUrL1AyfF4By/7tKkt3RT9/ChEWUg8VCyVHMjJAHwELUFDBM2JHQ2k7AAEAIf/2Ab0CGAAfAABXIiYnNR4CMzI2NjU0JiMjNSM1IRUjFTMyFhYVFAYG2DpeHxc4QyQoQSZMTVpIAXHaHlRgKTFlChMQTwoUDBYwJzUxvUpKdStMMTFVNQAAAQAk//YBogKTACsAAFciJiYnNR4CMzI2NjU0JiYnLgI1NSM1NzczFTMVIxUUFhYXHgIVFAYGzCU9MRUVNz8fLTgaEzItHSURW1wjNJubCRQSLkIjNGAKCA8LUAoUDRMkGBMeHhIMIjYpWiojcntEXBccEQYRKDgpNEYkAAIAVf8QAhsCIgASACAAAEEyFhYVFA4CBxUjETMXMz4CFyIGBhUVPgM1NCYmAUs8XjY2YoZQWEgMBA8qPBcyPhxBZUglIDwCIjJjSkd2VzQF5gMISRcmFkopUj/gCCtDWDUuQyYAAAEAgQAAAM8C+AADAABzETMRgU4C+P0I//8AgQAAAaoC+AQmAjkAAAAHAjkA2wAAAAEAQQAAAcMC+AATAABBFTMVIxUzFSMRIxEjNTM1IzUzNQEpmpqamk6ampqaAvj9SGBI/vUBC0hgSP0A//8ASP/yAMQCygYGAAIAAP//AGEAAATlA7AEJgAlAAAAJwA7AtAAAAAHAUkDIQCy//8AYQAABIkC/gQmACUAAAAnAFsC2gAAAAcBSQL0AAD//wA3//YEFgL+BCYARQAAACcAWwJnAAAABwFJAoEAAP//AGH/QgLCAsoEJgAtAAAABwArAgwAAP//AGH/EALBAuEEJgAtAAAABwBLAgwAAP//AFX/EAG3AvgEJgBNAAAABwBLAQIAAP//AGH/QgOuAsoEJgAvAAAABwArAvgAAP//AGH/EAOtAuEEJgAvAAAABwBLAvgAAP//AFX/EAMfAuEEJgBPAAAABwBLAmoAAP//AAAAAAJ+A7AGJgAiAAAABwFJAG0Asv//AC7/9gHgAv4GJgBCAAAABgFJSAD//wABAAABUwOwBiYAKgAAAAcBSf/ZALL////YAAABKgL+BiYETgAAAAYBSbAA//8APf/2AtADsAYmADAAAAAHAUkAtgCy//8AN//2AicC/gYmAFAAAAAGAUleAP//AFr/9gKAA7AGJgA2AAAABwFJAJ0Asv//AE//9gIVAv4GJgBWAAAABgFJZAAABABa//YCgAP2AAMADwAbAC8AAEEVITUXMhYVFAYjIiY1NDYzMhYVFAYjIiY1NDYTFAYGIyImNREzERQWMzI2NjURMwIC/tc3ExsbExMcHM4UGxsUExwcyDx7X4WLWl1eQVEmWQP2R0eIGBoaFxcaGhgYGhoXFxoaGP2OSndFkXcBzP4xV2AvUzYBzgAEAE//9gIVA0QAAwAPABsAMwAAQRUhNRcyFhUUBiMiJjU0NjMyFhUUBiMiJjU0NhcRIycjDgIjIiYmNREzERQWMzI2NjURAcn+1zcTGxsTExwczhQbGxQTHByWSA0EETZAI0BXLFk6PTxFHQNER0eIGBoaFxcaGhgYGhoXFxoaGKT96EccJBEpVkQBX/6nQEAtVz4BFwAEAFr/9gKABBkACgAWACIANgAAQTY2NzMVDgIHIwciJjU0NjMyFhUUBjMiJjU0NjMyFhUUBhMUBgYjIiY1ETMRFBYzMjY2NREzATgXORBpCzI6FzsoExwcExMbG6gTHBwTFBsboTx7X4WLWl1eQVEmWQOUHEciChIyMRJ9FxoaGBgaGhcXGhoYGBoaF/3xSndFkXcBzP4xV2AvUzYBzgAABABP//YCFQNnAAoAFgAiADoAAFM2NjczFQ4CByMHIiY1NDYzMhYVFAYzIiY1NDYzMhYVFAYXESMnIw4CIyImJjURMxEUFjMyNjY1Ef8XORBpCzI6FzsoExwcExMbG6gTHBwTFBsbb0gNBBE2QCNAVyxZOj08RR0C4hxHIgoSMjESfRcaGhgYGhoXFxoaGBgaGhdB/ehHHCQRKVZEAV/+p0BALVc+ARcABABa//YCgAQjABIAHgAqAD4AAEEuAic1MxYWFzY2NzMVDgIHByImNTQ2MzIWFRQGMyImNTQ2MzIWFRQGExQGBiMiJjURMxEUFjMyNjY1ETMBQA0sMBI8GjgZGzgaPhMxLQyKExwcExMbG6gTHBwTFBsboTx7X4WLWl1eQVEmWQONFzAvEw0RJhsbJhENEy8wF4IXGhoYGBoaFxcaGhgYGhoX/fFKd0WRdwHM/jFXYC9TNgHOAAAEAE//9gIVA3EAEgAeACoAQgAAQS4CJzUzFhYXNjY3MxUOAgcHIiY1NDYzMhYVFAYzIiY1NDYzMhYVFAYXESMnIw4CIyImJjURMxEUFjMyNjY1EQEHDSwwEjwaOBkbOBo+EzEtDIoTHBwTExsbqBMcHBMUGxtvSA0EETZAI0BXLFk6PTxFHQLbFzAvEw0RJhsbJhENEy8wF4IXGhoYGBoaFxcaGhgYGhoXQf3oRxwkESlWRAFf/qdAQC1XPgEXAAAEAFr/9gKABBkACgAWACIANgAAQRYWFxUjLgInNRcyFhUUBiMiJjU0NjMyFhUUBiMiJjU0NhMUBgYjIiY1ETMRFBYzMjY2NREzAUQROBc7FzoxDDUTGxsTExwczhQbGxQTHBzIPHtfhYtaXV5BUSZZBBkiRxwMEjEyEgqrGBoaFxcaGhgYGhoXFxoaGP2OSndFkXcBzP4xV2AvUzYBzgAABABP//YCFQNnAAoAFgAiADoAAEEWFhcVIy4CJzUXMhYVFAYjIiY1NDYzMhYVFAYjIiY1NDYXESMnIw4CIyImJjURMxEUFjMyNjY1EQELETgXOxc6MQw1ExsbExMcHM4UGxsUExwclkgNBBE2QCNAVyxZOj08RR0DZyJHHAwSMTISCqsYGhoXFxoaGBgaGhcXGhoYpP3oRxwkESlWRAFf/qdAQC1XPgEXAAAFAAAAAAJ+A/YAAwAPABsAIwAuAABBFSE1FzIWFRQGIyImNTQ2MzIWFRQGIyImNTQ2EychByMBMwEBLgInDgIHBzMB0v7XNxMbGxMTHBzOFBsbFBMcHJlW/uVVWwEXUQEW/uIDDg0EBQsLBFHiA/ZHR4gYGhoXFxoaGBgaGhcXGhoY/JLd3QLN/TMCBQgqLQwUKSIM2AAFAC7/9gHgA0QAAwAPABsAOQBEAABBFSE1FzIWFRQGIyImNTQ2MzIWFRQGIyImNTQ2BzIWFREjJyMOAiMiJiY1NDY3NzU0JiMiBgcnNjYTBgYVFBYzMjY1NQGt/tc3ExsbExMcHM4UGxsUExwcQ2JeQBEEFzE/LTBNLH6DWzo1KkwhGyNgTmRNNytEWgNER0eIGBoaFxcaGhgYGhoXFxoaGJtWXv6TTB0nEiJHNlBXBAMgQzQZEEITG/7iBDgzLSpLTjAABAAAAAACfgPpAAMADwAXACIAAEEVITUXMhYVFAYjIiY1NDYTJyEHIwEzAQEuAicOAgcHMwHS/teWFB8fFBYeHvhW/uVVWwEXUQEW/uIDDg0EBQsLBFHiA+lHR3cbHRwcHBwdG/yO3d0Czf0zAgUIKi0MFCkiDNgABAAu//YB4ANFAAMADwAtADgAAEEVITUXMhYVFAYjIiY1NDYXMhYVESMnIw4CIyImJjU0Njc3NTQmIyIGByc2NhMGBhUUFjMyNjU1Aa3+15QUHx8UFh4eHmJeQBEEFzE/LTBNLH6DWzo1KkwhGyNgTmRNNytEWgNFR0d3Gx0cHBwcHRutVl7+k0wdJxIiRzZQVwQDIEM0GRBCExv+4gQ4My0qS04w/////wAAAzUDVwYmAIYAAAAHAUoBMACy//8ALv/2Ay0CpQYmAKYAAAAHAUoA+gAAAAEAPf/2As4C1AApAABFIiYmNTQ2NjMyFhcHJiYjIgYGFRQWFjMyNjc1IzUzNSM1MxUzFSMVBgYBnXmcS1ildTxrLiImYjNVeD83dmAvQhuTk533QEA0bgpao29wplwWFE4RGEOAXVmCRgoHSUdOUJ5HgBEXAAACADf/EAJJAiIAKAA5AABBMhYXMzczETMVIwYGIyImJzUWFjMyNjcjNTM1NDY3IwYGIyImJjU0NhciBgYVFBYzMj4CNTU0JiYBEzVVHgUMRjc/DnJoOmEmJmY6OEMMp7QCAQQcUzdFYzV1cy0/IUlGKTomEiFGAiIoKUf9yEc9TBERURQWIR9HQREmCykoPndTeY9KLVU9XWIUKUEtEERWKf//AD3/9gKOA7AGJgAoAAAABwFJAMQAsv//ADf/EAISAv4GJgBIAAAABgFJWAD//wBhAAACawOwBiYALAAAAAcBSQCDALL////YAAACDQPeBiYATAAAAAcBSf+wAOD//wA9/yQC0ALVBiYAMAAAAAcBTgEUAAD//wA3/yQCJwIiBiYAUAAAAAcBTgC+AAD//wA9/yQC0ANXBiYAMAAAACcBSgDKALIABwFOASAAAP//ADf/JAInAqUGJgBQAAAAJgFKcgAABwFOAL4AAP//ACP/9gIRA7AGJgGhAAAABwFJAEIAsv//AA7/EAHQAv4GJgGiAAAABgFJGgD//wBhAAAE5QLKBCYAJQAAAAcAOwLQAAD//wBhAAAEiQLKBCYAJQAAAAcAWwLaAAD//wA3//YEFgL4BCYARQAAAAcAWwJnAAD//wA9//YCjgOwBiYAKAAAAAcAdAE4ALL//wA3/xACEgL+BiYASAAAAAcAdADMAAAAAQBh//cDUALKAB0AAHMRMxEhETMRFBYWMzI2NjURMxEUBgYjIiYmNTUhEWFaAShaFSkfICkTWihSPztQKf7YAsr+0gEu/doeKxYZKxwBc/6NMU8uK081p/6zAAACAGH/EAJeAtUAEgAgAABBMhYWFRQOAgcVIxEzFzM+AhciBgYVET4DNTQmJgGFP2I4Kl+ieFpHDwUUN0wiRlEjVHxRKCJAAtU0bFNDhYBzMeYDu2EeMRxOOWdF/qgjWWh0PzhJJf//AGEAAAKXA7AGJgAvAAAABwBBANIAsv//AFUAAAIZAv4GJgBPAAAABwBBAIsAAP//AAAAAAJ+A7AGJgAiAAAABwZnAmQAsv//AC7/9gHgAv4GJgBCAAAABwZnAj8AAP//AAAAAAJ+A5YGJgAiAAAABwZpAT4Asv//AC7/9gHgAuQGJgBCAAAABwZpARkAAP//AFEAAAHwA7AGJgAmAAAABwZnAlcAsv//ADf/9gIBAv4GJgBGAAAABwZnAkMAAP//AGEAAAHwA5YGJgAmAAAABwZpATEAsv//ADf/9gIBAuQGJgBGAAAABwZpAR0AAP///8oAAAExA7AGJgAqAAAABwZnAdAAsv///6EAAAEIAv4GJgROAAAABwZnAacAAP//AA4AAAFFA5YGJgAqAAAABwZpAKoAsv///+UAAAEcAuQGJgROAAAABwZpAIEAAP//AD3/9gLQA7AGJgAwAAAABwZnAq0Asv//ADf/9gInAv4GJgBQAAAABwZnAlUAAP//AD3/9gLQA5YGJgAwAAAABwZpAYcAsv//ADf/9gInAuQGJgBQAAAABwZpAS8AAP//AFcAAAJfA7AGJgAzAAAABwZnAl0Asv//ABAAAAGOAv4GJgBTAAAABwZnAhYAAP//AGEAAAJfA5YGJgAzAAAABwZpATcAsv//AFQAAAGOAuQGJgBTAAAABwZpAPAAAP//AFr/9gKAA7AGJgA2AAAABwZnApQAsv//AE//9gIVAv4GJgBWAAAABwZnAlsAAP//AFr/9gKAA5YGJgA2AAAABwZpAW4Asv//AE//9gIVAuQGJgBWAAAABwZpATUAAAABACb/TAIJAtQAKgAAVz4DNTQmJwYGByc+AjU0JiYjIgYHJzY2MzIWFhUUBgceAhUUBgYHJ3GWVyY9NSNMKBFfdjcfOyo7YC0rOXlCOWZBPzQiOyVj1apeHTxCTC08RhoNFQpGGS49LSIxGh8ePSgiI05DOlMdEDJJNV2DYCoAAAEAHv8QAb8CIgAqAABXPgI1NCYnBgYHJz4CNTQmJiMiBgcnNjYzMhYWFRQGBx4CFRQOAgcea5FKLSgdQyURWF8kGi8iLE0lHi5eMTdYNS8rHjAdO26ZX6EXPlY5MzsUDBQJQhcvNiIfKhYUFEAaFSFJPC9JGw4rPy5BYkk0EwD//wBhAAACgwOwBiYAKQAAAAcBSQCiALL////ZAAACGQPeBiYASQAAAAcBSf+xAOAAAQBh/xACigLVABcAAEEyFhYVESMRNCYjIgYGFREjETMXMz4CAZNNbztaTlpJWylaRw8FF0ZSAtU3dF39QwK9XV02ZUX+WQLLXB8uGQAAAwA3/5cDVQL4ADUAQgBPAABFNjY3LgInIw4CIyImNTQ2NjMyFhYXMy4DNTUzERQWFz4DMxYWFRQGBiMiJicGBgclMjY1NTQmIyIGFRQWJTI2NTQmIyIGBgcWFgHiBQ0JCxAIAwUSMEc1ZHk3ZEIqPi4QBgECAgFYBwcSKy8yGT1BJ1VGGCcRBggC/u5VRUJZR0dHAcI4LhsbGiohDA4gZClHHQkTEQciLheLilx8PxUkFgYVFxYH1v3WGSkQHyoYCgE7LSI6IgQEGTkfqF1eEGRrcV9gagYdGA4YFCUaBAQAAAIAOv/2AmUCygAnADMAAEUiLgI1NDY2Ny4CNTUzFRQWFjMyNjY1NTMVFAYGBx4CFRQOAicyNjU0JiMiBhUUFgFNOmVKKiNDLyYzGFogQzQ1QyBaGTIoLkMmKEpnPV9YWV9eV1gKID5aOjdQNQ4QN0suWFgtRygoRy1YWC5MNhEONVA2Olo+IE5XTU1UVE1NVwAAAgAy//YCIgL4ACYAMgAARSImJjU0NjY3LgI1NTMVFBYWMzI2NjU1MxUUBgYHHgIVFA4CJzI2NTQmIyIGFRQWAShHb0AeOykgKxVYGzgrLDcbWBYrICg7ICNBXTdRTExSUkpLCjpwTzhTNw8MLUk1gX41Qh4eQjV+gTZJLQwPN1I4PFxAIUleUlFcXFFSXgAAAgAm/zoCFQLKABMAHQAARSImJzUWFjMyNjY1NSM1MxUUBgY3ITUBITUhFQEhAaATHwoIGhAPFgsKWRk0Tf4RAXj+lAHZ/ogBgsYIBEkDBgsXEkZQkSs7H8ZEAjZQRP3KAP//ACf/OgGvAhgGBgNeAAD//wAAAAACfgOTBiYAIgAAAAcBTADjALL//wAu//YB4ALhBiYAQgAAAAcBTAC+AAD//wBh/xAB8ALKBiYAJgAAAAcAeAC9AAD//wA3/xACAQIiBiYARgAAAAcAeAC+AAAABQA9//YC0AP2AAMADwAbAC0APAAAQRUhNRcyFhUUBiMiJjU0NjMyFhUUBiMiJjU0NhMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYCG/7XNxMbGxMTHBzOFBsbFBMcHP8qU3tRVHxSKEiTcGuSS/3MMmlQUWcycHlRaTID9kdHiBgaGhcXGhoYGBoaFxcaGhj9+FOHYjQ1YYhTbqRcW6VvWoJGRoJah5lFgQAFADf/9gInA0QAAwAPABsALQA8AABBFSE1FzIWFRQGIyImNTQ2MzIWFRQGIyImNTQ2ExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmJiMiBgHD/tc3ExsbExMcHM4UGxsUExwcriNBXTk1WkIlPHBNSW8//mshRjY2RiEiRTdSSgNER0eIGBoaFxcaGhgYGhoXFxoaGP5RQ2dIJSVIZ0NZe0FBe1k/XTIyXT9AWjFsAAQAPf/2AtAD9gAYABwALgA9AABTNjYzMh4CMzI2NzMOAiMiLgIjIgYHJzUhFRMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgbfBTErFSYlIA8VEgcyAxgoHhMmJCIPFhIGIAEptSpTe1FUfFIoSJNwa5JL/cwyaVBRZzJweVFpMgMPNT0OEw8bFiI0HA8TDhoXoEdH/bdTh2I0NWGIU26kXFulb1qCRkaCWoeZRYEAAAQAN//2AicDRAAYABwALgA9AABTNjYzMh4CMzI2NzMOAiMiLgIjIgYHJzUhFRMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgaHBTErFSYlIA8VEgcyAxgoHhMmJCIPFhIGIAEpZCNBXTk1WkIlPHBNSW8//mshRjY2RiEiRTdSSgJdNT0OEw8bFiI0HA8TDhoXoEdH/hBDZ0glJUhnQ1l7QUF7WT9dMjJdP0BaMWwA//8APf/2AtADkwYmADAAAAAHAUwBLACy//8AN//2AicC4QYmAFAAAAAHAUwA1AAAAAQAPf/2AtAD6QADAA8AIQAwAABBFSE1FzIWFRQGIyImNTQ2ARQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmIyIGBgIb/teWFB8fFBYeHgFeKlN7UVR8UihIk3Brkkv9zDJpUFFnMnB5UWkyA+lHR3cbHRwcHBwdG/30U4diNDVhiFNupFxbpW9agkZGglqHmUWBAAAEADf/9gInA0UAAwAPACEAMAAAQRUhNRcyFhUUBiMiJjU0NgEUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgYBw/7XlBQfHxQWHh4BDyNBXTk1WkIlPHBNSW8//mshRjY2RiEiRTdSSgNFR0d3Gx0cHBwcHRv+P0NnSCUlSGdDWXtBQXtZP10yMl0/QFoxbAD//wAAAAACNgNXBiYAOgAAAAcBSgBeALL//wAB/xAB/gKlBiYAWgAAAAYBSkIAAAIAB//iAXMC+AAYACQAAHM2Njc0NDURMxE2NjMyFhUUBiMiJicGBgc3MjY1NCYjIgYHFhYHEiYWWBAhE0FBREEvQREJEgijGxsfGhAeDwIcMUocDiIQAiH94gYGQTM0SCQdESwYWB4WGhoMDCQsAAACAFX/4gLfAiIALAA4AABhNjY3NDQ1NTQmIyIGBhURIxEzFzM+AjMyFhYVFTY2MzIWFRQGIyImJwYGBzcyNjU0JiMiBgcWFgF0EiYWOj47RR1YRw0FEjVAIkBWLBAhE0FBREEuQBMJEQiiHRkfGhAeDwIcMUocDhsNikFALVY//uoCGEkcJRIpV0WDBgZGMjdBIx0RKxhYHhYaGgwMJCwAAgAO/+IBegKTACAALAAAczY2NzQ0NTUjNTc3MxUzFSMVNjYzMhYVFAYjIiYnBgYHNzI2NTQmIyIGBxYWDhImFkxNIzSbmxAhE0FBREEuQRMJEQijHRkfGhAeDwIcMUocESIR+SojcntE+gYGRjI3QSMdESsYWB4WGhoMDCQsAAADADf/9gOVAvgAKAA0AEEAAEUiLgI1NDY2MzIWFzMmJjU1MxUUBgczNjYzMhYWFRQOAiMiJicGBicyNjU0JiMiBhUUFiEyNjU0JiMiBgYVFBYBJDhYPSA3ZEI+TxkGAQVYAwIFF1A/Q2M3IT5YOENiHBxkPklLQllHR0kBzExHR0o5QhxJCiNFaEVcfD8uIQ06Iry5IjsRIi4+e1xFaEYjPz5APUlxX2RmcV9gampkZWYrWUVlawAAAwA3/xADlQIiACgANQBBAABBMh4CFRQGBiMiJicjFhYVFSM1NDY3IwYGIyImJjU0PgIzMhYXNjYFIgYVFBYzMjY2NTQmISIGFRQWMzI2NTQmAqg4WD0gN2NDPk8ZBgIEWAQBBRZRP0JkNyE+WDhEYRwdZP69TEdISTlCHEgBM0lLQllHR0gCIiNFaEVcfD8uIQ05I8zJIjwQIi4+e1xFaEYjPz5BPElqZGVmK1pEZWtxX2RmcV9gagAAAwAA/7UCfgL4AAMACwAWAABBASMBEychByMBMwEBLgInDgIHBzMB8/7eQwEicVb+5VVbARdRARb+4gMODQQFCwsEUeIC+Py9A0P9CN3dAs39MwIFCCotDBQpIgzYAAIAPf+1AlkC+AADACMAAEEBIwEHIg4CFRQWFjMyNjcVBgYjIiYmNTQ+AjMyFhcHJiYCL/7eQwEiWTlcQCI3bVIvVCgoVTttkkktV4BTN2YoJCFRAvj8vQNDcydLa0NYgkYQDE4PDlqmcFGGYjUWFEwPGAAAAgA3/zAB3wL4AAMAIQAAQQEjAQMiJiY1NDY2MzIWFwcmJiMiBgYVFBYWMzI2NxUGBgHf/qdDAVlwR28/QnFIKUwYGxhAHDZGIiJEMyxDHBtBAvj8OAPI/P46el9jfDoRDEkJEC5aQ0BaLhINTg4PAAIACgAAAfMCygADAAkAAFM1IRUBETMRIRUKAVv+/FoBOAFMR0f+tALK/YZQAAACAAr/tQIhAvgAAwALAABBASMBAyMRIzUhFSMCCP58RgGEf1rfAhfeAvj8vQND/QgCe09PAAABADP/EAG5AiIAPgAARSImJicmJicmJic1FhYzMjY1NCYmJy4CNTQ2MzIWFwcmJiMiBhUUFhYXHgIVFAYHFhYXHgIzMjY3FQYGAWg2RyoOCSQfEBcMIFsvQzwWOTU0SihvWjFVJR4iSic2ORo9MzNIJmtfCw8GCRwpGxEqDQsv8CJFNiQqCAUJB1AQGyskFCAgFBQoOCxEShMRRg4UIx4WHx0UEyg5K0tQAhAlFR0mEQgFSAUJAAEAJ/8QAcsCGAAdAABFIiYmJyYmIyM1ASE1IRUBHgIXHgIzMjY3FQYGAYM8TC0ODDE5IwEg/vEBcP7kJzUiCwgdLyAUHw8NIfAjRjQsJzoBmkRC/m4HJj8rHSYRBgVIBQcAAQACAAABnALUABsAAFMyFhYVFA4CBxEjET4DNTQmIyIGBgcnNja/RWM1FzBLNFosRzMbPkQXNzYUISNmAtQuVTwlSUQ8GP7xAUIOKjVAIzQ/DBYPSBoeAAEADAAAAZACIgAbAABTMhYWFRQOAgcVIzU+AzU0JiMiBgYHJzY2v0VdLxQsSDRYLEUwGTw/FzIxFCEjXAIiLlU8IkZEPRhikA4qNUAjOz4MFg9CGh4AAwAPAAACVALKABYAJAAtAABzNSM1MxEzMhYVFAYGBxUeAhUUBgYjJzI2NTQmJiMjFTMVIxUTMjY1NCYjIxVhUlLMhokfPSwtSSo8b00RX0ohTUKJlJSEXERTW3arTgHRT2IqQSsIBQcmRjhBWy9MSjwmOB9WTl8BTjs6OzPjAAACAAr/9gLRAsoAAwAXAABTNSEVBxQGBiMiJjURMxEUFjMyNjY1ETMKAsdRPHtfhYtaXV5BUSZZAWJOTmZKd0WRdwHM/jFXYC9TNgHOAP//AAAAAAJgAs0GBgFSAAAAAgBh/7UB8AL4AAMADwAAQQMjExMhESEVIRUhFSEVIQHL1EHUZv5xAY/+ywEj/t0BNQL4/L0DQ/0IAspP307/AAMAN//eAgwCNgAXAB8AIwAAQTIWFhUVIRYWMzI2NxUGBiMiJiY1NDY2FyIGByE0JiYDJwEXASRFYzX+kQJZUDNPKilQN0x1QTtrRj9JBwERHDneOgGaOgIiPG1JNVtfExJNEhE+e1lYfkRIUUguRCf+BCgCMCgAAAH/sv9CAQcCygAZAABHIiYnNRYWMzI2NjURIzUzETMRMxUjERQGBgQYJA4QJBQZLRxSUlpRUS5UvgcGTAQGFDItATZOAUL+vk7+0UVZKwAAAv/J/xAA+ALhABkAJQAAVyImJzUWFjMyNjY1ESM1MzUzFTMVIxEUBgYTNDYzMhYVFAYjIiYWGSYODyATFiETS0tYS0sgQgMeFhQfHxQWHvAHBUcEBg8lIAFLR9nZR/64MkgmA5kdGxsdHBwcAAACAD3/EAMJAtQAJgA3AABBMhYWFzM3MxEUFjMyNjcVBgYjIiY1NTQ2NjcjDgIjIiYmNTQ2NhciBgYVFBYWMzI2NjU1NCYmAWsxVEASBQ9HIB8NFgoKHBJDSwECAQUSP1U2X4VFRYdgQV0wMVxCWF0kJF4C1BkuH1z85y8jBgRMBgdLUmcNGBgLHy4ZXKVvb6RbTkWCWlqBRjZfP5o/YDUAAgA3/xACdQIiACMAMQAAQTIWFzM3MxEUFjMyNjcVBgYjIiYmNTU0NjcjBgYjIiY1NDY2FyIGFRQWMzI2Njc1NCYBFD9QGAQNRhgZERoHCSQZHzYgAgMGF1FAYXk4ZE1IRkdJN0MeAUQCIjAjSf2gOyUHBEMHCR1JQT4SMBEiMIuKXHw/SXFfX2soUz4SZmkAAwAKAAACXwLKAAMAEwAdAABTIzUzEzIWFhUUBgYHEyMDIxEjERcjETMyNjU0JiZ/dXWnWXM4KkEkxGmtjlrAZmtXUCVMASdMAVctWkQ5TC0N/sABJ/7ZAspO/vdFQy84GgACAAoAAAGOAiIAAwAZAABBFSE1JTIWFwcmJiMiDgIVESMRMxczPgIBK/7fAUUPIw0LDR8OHzgsGVhICgQRMD4BP0dH4wMDUQMEGi9CKf7iAhhiHjEdAAIAAAAAAjYCygADAAwAAEEVITUFEzMDESMRAzMCLP3eARG6Ye5a7mICSk5O3wFf/kv+6wERAbkAAgAB/xAB/gIYAAMAIQAAQRUhNSczEx4CFzM2NjcTMwMOAiMiJic1FhYzMjY2NzcB9P4WCV50ChEOBAQGGg5tX+cTM0k0GCQNCx8RHy0gCxwBZ0dHsf7PGzIvFhlRKQEw/Z4ySykFA0YCBBcrHUcAAAIAUf/3AgMCIgAdACgAAEUiJjURMxczPgIzMhYWFRQGBwcVFBYzMjY3FwYGAzY2NTQmIyIGFRUBEWFfQBEEGDA/LTFMLH6DWzs0KkwhGyNfT2VMNixDWwlWXgFtTB4mEiJGN1BXBAMgQzQZEEITGwEeBDgzLSpLTjAAAgA3//YCWQIiAB4ALAAARSImNTQ2MzIWFzM3MxEUFjMyNjcVDgIjIiYnIwYGJzI2NjU1NCYjIgYVFBYBE2R4eWQ+TxkEDkYYEQgSBAUSFgsmMgsEGFAxOUMeQllHR0cKi4qKjS4hRf5eHxkEAUADBgQkLiIwSSlUPhBka3FfYGoAAAIADv/2AjACIgAeACwAAEEyFhUUBiMiJicjByMRNCYjIgYHNT4CMzIWFzM2NhciBgYVFRQWMzI2NTQmAVRkeHlkPk8ZBA5GGBEHEgUFEhYLJjILBBhQMThEHkJZR0dHAiKLioqNLiFFAaIfGQMCQAMGBCMvIy9JKVM/EGRrcV9gagACAFX/9gIwAv0AJQAyAABTMhYXFSYmIyIGFRUUBgczNjYzMhYWFRQGBiMiJiYnIwcjETQ2NhMiBgYVFBYzMjY1NCbOEyUKBxwRFhkDAgUXUD9DYzc3ZEIqPy4PBxI/GjafOUIcQVhIR0cC/QgFSQMHGiA4IjsRIi4+e1xcfD4VJBVEAnEuPiD+2ytZRWZqamRlZgAAAQAh//YBqQIiABwAAFMyFhYVFAYGIyImJzUWFjMyNjY1NCYjIgYHJzY2vEdqPENxRytBGxxCKjZGI0tQHEMYGxhVAiI3dl9jgD0PDk4NEjBdQ2RgDgxJDBEAAgAw/88B6QIiACgANQAAQTIWFwcmJiMiBgYVFBYXNjYzMhYVFAYGIyImJwYGByc2NjcmJjU0NjYTIgYHFhYzMjY2NTQmATkpTBgbGEAcNUciBQUmWC9IUTVRKjBRIAoTCEMLGg8TE0FyWSFDIBQ5JRsrGCICIhEMSQkQLlpDGSwUJShENjI/HRcZEysZHyA6GSBUNGN8Ov6TIScWGBAfFBMgAAACADf/EAKEAvgAKQA2AABFIiYmNTU0NjcjDgIjIiYmNTQ2NjMyFhYXMyYmNTUzERQWMzI2NxUGBgEyNjU1NCYjIgYVFBYCOCI5IwUBBhAuPipCZDc3ZEIqPi4QBgEFWB0cEx8HCif+zlVFQllHR0fwHUlBPw8zDRYkFT57XFx8PxUkFg0zD9b8wDslBwRDBwkBL11eEGRrcV9gagACADf/9gJ1Av0AJAAxAABFIiY1NDYzMhYWFzMmJjU1NDY2MzIWFxUmJiMiBhURIycjDgInMjY1NTQmIyIGFRQWARNkeHlkKj4uEAYBBRo2KRMlCgccERYZRw0EEC4/HFVFQllHR0cKi4qKjRUkFg0zD08uPiAIBUkDBxog/YlIFyUWSV1eEGRrcV9gagAAAgAz//YB/QIiABcAHwAAQTIWFhUUBgYjIiYnNRYWMzI2NyE1NDY2FyIGBgchJiYBEEdrO0F0TTdQKSpPM1BZAv6RNWRFLDobAQERB0kCIkR+WFl7PhESTRITX1s1SW08SCdELkhRAAACADP/9gH9AiIAFwAfAABTMhYWFRQGBiMiJiY1NSEmJiMiBgc1NjYDHgIzMjY3+010QTtrR0RkNQFvAllQM08qKVA1ARs6LD9JBwIiPnpaWH5EPG1JNVtfExJNEhH+tS1FJ1FIAAABACv/9gHBAiIALQAAQRUjIgYGFRQWFjMyNjcVBgYjIiY1NDY2NzUmJjU0NjYzMhYXByYmIyIGFRQWMwFjSTNDISZAKDhVIR9WPnNuITYgLTc1XTw6UyghIUUvPD1TRgE7SBUoHyEnERoQTRAVWUMoMx8JBQ47MS1AIRQSRg8UJiYsJgACADf/9gIrAiIAFgAtAABBMhYVFAYHFR4CFRQGBiMiJiY1NDY2FyIGBhUUFhYzMjY1NCYjIzUzMjY1NCYBTWRoNi8dNyMyaFBYdztAfFg/UigpUz0+S0xNKhxFUzYCIlFBNDUNBAQcNCksSyxEfFVXfUNKLltERVssLzAsJUghMCIuAAAB/8n/EAD4AhgAGQAAVyImJzUWFjMyNjY1ESM1MzUzFTMVIxEUBgYWGSYODyATFiETS0tYS0sgQvAHBUcEBg8lIAFLR9nZR/64MkgmAAACADb/EAJ1Av0AMgBDAABBMhYXFSYmIyIGFREUBgYjIiYnNRYWMzI2NTU0NjY1IwYGIyImNTQ2MzIWFzMmJjU1NDYDIgYGFRQWMzI+AjU1NCYmAjQTJAoHHBEWGjRqUjphJiZmOkVPAgEEHFM3aHV1ZzVVHgYBBT3ZLT8hSUYpOiYSIUYC/QgFSQMHGiD9gExnNBERURQWUUYVCB8aASkokoOAlygpETQTSEVH/tswXEJjaRUtRjAVSVoq//8AN/8QAhICIgYGAEgAAAABADf/9gH2AiIAIQAAQTIWFwcmJiMiBgYVFBYWMzI2NzUjNTMRBgYjIiYmNTQ2NgFDNlYfIB9HID1RKCJEMyQzHHPLMV47R28/SHkCIhISTBATLlpDQFouBweTR/7yEhQ6el9jfDoAAAIAAP8SAfwCGAAbACcAAFciJjU0NjY3AzMXHgIXMz4CNzczAxYWFRQGJzI2NTQmJwYGFRQW/TQ/Eh0Sy15mCRYTBQQGFBYJZl7NHyI/NA8WEhMTEhbuRzUhPz8iAcnxFTU1FhQ2NhXx/jc7XCo0SEkZHBRCHx9BFBwaAAAC//3/9wH+AiIAMwA/AABBMhYXFSYmIyIGBgcHFhYVFAYjIiY1NDY2NycmJicmBgc1NjYzMhYXFxYWFzM2Njc3PgIDBgYVFBYzMjY1NCYB1A0UCQURCAgQFA95JCA/NDQ/Dx4XfxAZDgkNBQkVDh4qHD0OGgkEChwNPQ8dIsAQFRYPDxYXAiIEBEUCAwcUFKYxQiszPT00HTAyHqwWEgEBBAJDBAYeJlQTKRIRKxJWFh0P/qcXKxgYFxgYGi0AAQBR/yACFQIYABoAAEU0NjcjDgIjIiYmNREzERQWMzI2NjURMxEjAb0DAgYRND8jQVcsVzs9PEQdWFgBFCcQGyUTKVdEAV3+qUBBLVg+ARX9CAAAAQBVAAACGQL9ACYAAFM0NjMyFhcVJiYjIgYVFRQGBzM+AjMyFhYVESMRNCYjIgYGFREjVT09EyQKBxwRFhkDAgYRNEAiQVcsVzo+PEQdWAJxRUcIBUkDBxogXhMoEBwkEylWRf6jAVdBQC1XP/7rAAEAVf8QAhkC/QAzAABTMhYXFSYmIyIGFRUUBgczPgIzMhYWFREUBgYjIiYnNRYWMzI2NRE0JiMiBgYVESMRNDbPEyQKBxwRFhkDAgYRNEAiQVcsGjYpEyMLBx0QFxg6PjxEHVg9Av0IBUkDBxogXhMoEBwkEylWRf4/Lj4gCQRJAwcbHwHBQUAtVz/+6wJxRUcAAwAKAAAA+ALhAAMABwATAABTFSM1NxEjETcyFhUUBiMiJjU0Nvjuo1gtFB8fFBYeHgE/R0fZ/egCGMkbHRwcHBwdG///AFL/9gE2AhgGBgFXAAAAAQAkAAABHAIYAAsAAEEVBxEXFSM1NxEnNQEcUFD4UFACGDQS/nMRNDQRAY0SNAAAAQAFAAABdQL4ACEAAFMmJiMiBgcjPgIzMhYXETMRFhYzMjY3Mw4CIyImJxEjkQkRCBgYBzMEHC8fCA8HWAkSCBcZBzIEHC0gCA8IWAFyBAUdHSg5HwMCATz+mQQFHR0nOSADAv65AAAC//YAAAFUAvgAFAAgAABzESMiJiY1NDY2MzIWFxEzETMVIxEDMzU0JiYjIgYVFBaUKikzGBUvJw4bClhoaHsjCBIRExAZASkbMB4aMB4JCQEQ/nlI/tcBcQsQGA4UDBIPAAEAVf8QAT0C+AAQAABXIiYmNREzERQWMzI2NxUGBu0sRSdXJSgRJg0OKPAdSUEDQfzAMDAHBEMHCQABAFX/EAJvAvgAIgAARSImJzUWFjMyNjY1NCYmIyM1NyERIxEzFSEVBx4CFRQGBgFmO14gIWI6NE0sM1o9O9v+wFhYAafbS249QXfwExBQEBooSzM4RiE98/4yAvjgQPQENWFJR209AAEAUf/2A1ICGAAnAABFIiY1ETMRFBYzMjY1ETMRFBYWMzI2NjURMxEjJyMOAiMiJicjBgYBBltaVzY3TkNXGDElNj8aWEcNBRAyPCA9UxQFG1wKXmcBXf6nP0BbVQEo/qcqOB0tVz4BFv3oSRwlEiwuLiwAAQBR/xADUgIYACoAAEU0NjcjDgIjIiYnIwYGIyImNREzERQWMzI2NREzERQWFjMyNjY1ETMRIwL6BQEHEDI8ID1TFAUbXDVbWlc2N05DVxgxJTY/GlhYBg8zDRwlEiwuLixeZwFd/qc/QFtVASj+pyo4HS1XPgEW/PgAAAEAVf8QA1YCIgA0AABBMhYVERQGBiMiJic1FhYzMjY1ETQmIyIGFREjETQmJiMiBgYVESMRMxczPgIzMhYXMzY2AqFbWho2KRMjCwcdEBcYNThOQ1cYMCY2PhtYRw0FETE8ID5TEwUbXQIiXWj+Py4+IAkESQMHGx8Bwz9AWlb+2AFZKjkcLVY//uoCGEkcJRIsLi4sAAH/4/8QAhkCIgAkAABBMhYWFREjETQmIyIGBhURFAYGIyImJzUWFjMyNjURMxczPgIBV0BWLFc6PjtFHSQ8JBYlCwgfDR8fRw0FEjVAAiIpV0X+owFXQUAtVj/+oUFJHQkHQwQHJTsCYEkcJRIAAQBV/xACiwIiACQAAEUUFjMyNjcVBgYjIiYmNRE0JiMiBgYVESMRMxczPgIzMhYWFQIZHx4OHwgKJxUjPCQ6PjtFHVhHDQUSNUAiQFYsSDslBwRDBwkdSUEBoEFALVY//uoCGEkcJRIpV0UAAQBVAAACIwIYABEAAHMRMwEuAjURMxEjAR4CFRFVbAEVAQMCU23+7gECAQIY/lAOMDAMATb96AGvDTM0EP7V//8AN//2AicCIgYGAZ8AAAACADf/9gMsAiIAGwAqAABBMhYXNSEVIRUzFSMVIRUhNQYGIyIuAjU0NjYXIgYGFRQWFjMyNjY1NCYBMC9PHgFg/vP9/QEN/qAeUDE1WkIlPHBLLkYoIUY2NkYhTAIiISA3SZNJqkk2HyElSGdDWXtBSjFaQD9dMjJdP19sAAACADj/9gLWAiIAGQAxAABBMhYWFRQOAiMiJiYnIw4CIyImJjU0NjYXIgYGFRQWMzI2NTUzFRQWFjMyNjU0JiYBiWuVTRkwRy8lOCYLBQomOCU+VSxLlnBRbzk8MTIuVBcqHjI8N20CIk6PYjVXPyIUKR0dKRQ7a0dhj09JO21MUlRKOIODKTseVFJMbTsAAwA2/xACngL4ABUAHgAmAABBHgIVFAYGBxUjNS4CNTQ2Njc1MwMOAhUUFhYXMz4CNTQmJwGVUHdCQHZTVk94QkB4VFNTPU4lJU49UzxNJVVZAiAHRnZRUXdFB+joB0V3UVJ3RQbY/t8GMlY9PFczBgcyVzxaZgoAAQAP//YBSAIYABUAAFciJic3FhYzMj4CNREzESMnIw4CTg8iDgsNIA0fOCwZWEgKBBEwPQoDA1EDBBovQygBHv3oYh0yHQAAAQAP//YBSAL4ABQAAFciJic3FhYzMjY2NREzESMnIw4CTg8iDgsNIA0qRytYSAoEETA9CgMDUQMELVE2Af79CGIdMh0AAAEAD/8QAboCGAAlAABFIiYmNTU0NjcjDgIjIiYnNxYWMzI+AjURMxEUFjMyNjcVBgYBbSE5IwUBBBEwPSYPIg4LDSANHzgsGVgdHBMfBwoo8B1JQVwPMw0dMh0DA1EDBBovQygBHv2gOyUHBEMHCQABAFX/EAGOAiIAFAAAQTIWFwcmJiMiBgYVESMRMxczPgIBTw8jDQsNHw4pSCtYSAoEETA+AiIDA1EDBC1RNv3yAwhiHjEdAAABAFX/EAGOAiIAIgAAQTIWFwcmJiMiDgIVERQWMzI2NxUGBiMiJiY1ETMXMz4CAU8PIw0LDR8OHzgsGSQoER8NDiEaLEUnSAoEETA+AiIDA1EDBBovQin+mjAwBwRDBwkdSUECYWIeMR0AAQBSAAABSAIiABEAAFMyFhcHJiYjIgYVESMRND4C8hQwEgsNJhsjI1cXKjsCIgoGSwQLLDD+hgF7MUElEAABABL/EAEIAiIAEgAAUzIeAhURIxE0JiYjIgYHJzY2aCQ7KhdXDx8YGyYNCxIwAiIQJUEx/ZUCaiApEwsESwYKAAACAFUAAAIfAhgADgAXAABzETMyFhUUBgYHFyMnIxUTMjY1NCYjIxVV8FZoJDkgmWaKgn4+RTQ+jwIYUU0vPyMI4dXVAR4tLiYwsQAAAgBVAAACHwIYAA4AFwAAUzMVMzczBx4CFRQGIyM3IxUzMjY1NCZVWIKKZpkgOSRoVvDWfo8+NEUCGNXV4QckPjBMUvqxMSUvLAABADP/OQGyAiIAOQAAZRQGBiMiJicVFBYzMjY3FQYGIyImJjU1FhYzMjY1NCYmJy4CNTQ2MzIWFwcmJiMiBhUUFhYXHgIBsjRgQhYpESQoER8NDiEaLEUnIFsvQzwWOTU0SihvWjFVJR4iSic2ORo9MzNIJpQ0RiQDAxswMAcEQwcJHUlBiBAbKyQUICAUFCg4LERKExFGDhQjHhYfHRQTKDkAAAH/4/8QAR8C/QAdAABTMhYXFSYmIyIGFREUBgYjIiYnNRYWMzI2NRE0NjbZFiYKCB4OHx8kPCQWJQsIHw0fHyQ9Av0JB0MEByU7/WJBSR0JB0MEByU7Ap5CSB0AAf/j/xABHwL9ACUAAFciJic1FhYzMjY1ESM1MxE0NjYzMhYXFSYmIyIGFREzFSMRFAYGKRYlCwgfDR8fS0skPSMWJgoIHg4fH0tLJDzwCQdDBAclOwFARwEXQkgdCQdDBAclO/7qR/6/QUkdAAAB//L/EAEfAiIAHQAAVyImJjURNCYjIgYHNTY2MzIWFhURFBYzMjY3FQYG2SM9JBsbCxoICiMUITghHx8OHggKJvAdSUEByjEoBwRDBwkcRD3+MzslBwRDBwkAAAL/kv8QAR8C/QAfACsAAFciJiY1NDY2MzMRNDY2MzIWFxUmJiMiBhURMxUjDgInMjY2NTUjIgYVFBYhKkEkHkAzMiQ9IxYmCggeDh8fS0sBJz4tEhsOLBwoFvAeNSMlNh8CVkJIHQkHQwQHJTv9q0hCSR1IECQdDxQcEx0AAAEAFv+FAVkCIgAYAABTIgYHNTY2MzIWFhURMxUHByM1IzUzETQmYRMrDQ40GCpIK0xNIzSbmy8B2gYFQwcJHUhB/sgqI3J7RAE2MS8AAAEAEP8QAVMCkwAYAABFMjY3FQYGIyImJjURIzU3NzMVMxUjERQWAQgUKg0ONBgqRyxMTSM0m5svqAcEQwcJHUhBAh4qI3J7RP3kMS8AAAIACv/2AmACGAADABsAAHc1IRUDESMnIw4CIyImJjURMxEUFjMyNjY1EQoCVktIDQQRNkAjQFcsWTo9PEUd/UdHARv96EccJBEpVkQBX/6nQEAtVz4BFwABAB7/9gI/AhgAJQAARSImJjU0NjY3IzUzFQYGFRQWMzI2NjU0JiYnNTMVIx4CFRQGBgEtR29AGC8iguwwSEtSNkYhIjcg7IIjLxg9cAo9cU4yUEEaSUUWdVZPZC1SNTNcRA1FSRxETy1PcT0AAAEAUv/2AhgCIgAkAABBMhYWFRQOAiMiLgI1ETMRFBYzMj4CNTQuAiMiBgc1NjYBgS9DJShIZDwuRC0XWC8yJkIxHAgQGhMNHg4OJQIiIF1bS31aMh48Wz0BMP7TWlIoSWA3LzgeCgQFSwUFAAEAAAAAAfwCGAAPAABBEyMDLgInIw4CBwMjEwExy15yCBIOAwQDEBIIcl7MAhj96AE8FjYyEBAzNRb+xAIYAAABAAv//wMHAhcAKgAAZR4DFzM+AzcTMxMjAy4CJyMOAwcDIwMuAicjDgIHAyMTMwFjBgwJCAIEAgcJCwdgZJNbSgcPCgMEAwgJCwVfYFwHDwsDBAILDwhLWpVn6RUpJSALCyAmKRUBLf3oAR4dOzUTDCQoJxH+0gEuFzQxExA0PB/+4gIYAAEAAAAAAf0DCAAdAABhIwMuAicjBgYHAyMTPgIzMhYXFSYmIyIGBgcHAf1edAoRDgQEBhoObV/nEzNJNBgkDQogER4uIAscATEbMi8WGVEp/tACYjNKKQUDRgIEFysdRwAAAQAAAAAB2gIYAAgAAEEDFSM1AzMXNwHawFjCZIqJAhj+xd3dATvy8gAAAQAn/xACIQIYABgAAEUiJiY1NSE1ASE1IRUBIRUUFjMyNjcVBgYB2yM6Iv7LASD+8QFw/uQBIx8eDh8ICifwHUlBSToBmkRC/m6MOyUHBEMHCQAAAgAn/6kCFAIYABsAJQAAVzY2NyM1ASE1IRUBMz4CMzIWFRQGBiMjBgYHNzI2NTQmIyIGB6cGDAaYASD+8QFw/uRTHDhCKTVBIEg9YQkSCYotIBUWGzIaOxAeDToBmkRC/m42RyI+KiU3HxMrGZsfFg4YLC8A//8ADv8QAdACGAYGAaIAAAAC/+z/EAIDAhgAKwA3AABXIiYmNTQ2MzIWFzY2NTQmJiMjNTchNSEVBx4CFRQGBgcWFhcHJiYnDgInMjY3JiYjIgYVFBatLlk6WE47bzUDBDNaPTvb/s4BmdtEcEIGCwgTJhM5EiIRGUJPLjBPGy5YLS8mPvAdPzI2RCUkCxgNOEYhPfNKQPQENWFJEyUiEBIoFzYUJBAWIRFJGxkjHyATHyQAAAEADAAAAZAC/QAcAABTMhYWFRQOAgcRIxE+AzU0JiYjIgYGByc2Nr9FXS8ULEg0WCxFMBkaNyoXMjEUISNcAv0uVTwiRkQ9GP7DAWsOKjVAIyg1HAwWD0IaHgAAAQAaAAABngL9ABwAAFMyFhcHLgIjIgYGFRQeAhcRIxEuAzU0NjbrNVsjIRQwMxcqNhsZMEUsWDRILBQvXgL9HhpCDxYMHDUoI0A1Kg7+lQE9GD1ERiI8VS4AAQAM//YBkAL4ABwAAFciJic3HgIzMjY2NTQuAicRMxEeAxUUBga/NFwjIRQxMhcqNxoZMEUsWDRILBQvXQofGUIPFgwcNicjQDUqDgFw/r4YPURGIjtWLgAAAQA3/xEBvwIiACEAAEUiLgI1ND4CMzIWFwcmJiMiDgIVFB4CMzI2NxUGBgEsPlw9HidFWzQpTBgbGEAcJTspFRQnOSUsQxwbQe8vX5JkcplbJxEMSQkQI0t5V1h4SSESDU4ODwAAAwA9//YC0ALVABEAIAAsAABBFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYjIgYGFzQ2MzIWFRQGIyImAtAqU3tRVHxSKEiTcGuSS/3MMmlQUWcycHlRaTKtJBkaJSUaGSQBZlOHYjQ1YYhTbqRcW6VvWoJGRoJah5lFgV8lHh4lJCAgAAADAFUAAAIVAhgAEgAbACQAAHMRMzIWFhUUBgYHFR4CFRQGIycyNjU0JiMjFTcyNjU0JiMjFVXmOVs1GzAgITkiZXQKQkZGRIN5QUQ3PokCGBk7MyEvHQcEBBw0KERZRycvLiis9SQmJiOTAAACAC3/9gIhAiIAFgAtAABBMhYWFRQGBiMiJjU0NjY3NSYmNTQ2NhciBhUUFjMzFSMiBhUUFjMyNjY1NCYmARRXeD47dll4ciE2IC43NGBDQENTRRwqTUxTPj5OJSZOAiJCfFdVfUVbQyk0IAkEDTkxLT8hSiUmLSVILC4yKC1cRURaLQABADf/9gJRAv0AMQAAQTIWFxUmJiMiBhUVByYmIyIGBhUUFhYzMjY3NSM1MxEGBiMiJiY1NDY2MzIWFzU0NjYCFRMfCgccERYZIB9HID1RKCJEMyQzHHPLMV47R28/SHlLGjAVFzMC/QgFSQMHGBiDTBATLlpDQFouBweTR/7yEhQ6el9jfDoEBV4rPB8AAQBVAAACKAIYAAsAAHMRMxUhNTMRIzUhFVVYASNYWP7dAhjf3/3o7+8AA/+h/xAA+ALhABIAHgAqAABXIiYmNTQ2NjMzETMRMxUjDgInMjY2NTUjIgYVFBYTIiY1NDYzMhYVFAYoKD0iHD0wK1hLSwElOyoQFg0mGCMTexYeHhYUHx/wHjUjJTYfAhj96EhCSR1IDyMdERQcEx0DGRwcHRsbHRwcAAEACf8gAcECGAATAABlNDY3Iw4CBwcjNwMzFzc1MxEjAWoDAQQGFxoJq2fZ6Gq6PVdXrRA0EwgeHwq15QEz+jXF/QgAAQBVAAABoQIYAAUAAHMRMxEzFVVY9AIY/jFJAAIAN/8QAoQC/QAmADQAAEU0NjcjDgIjIiY1NDYzMhYXMyYmNTU0NjYzMhYXFSYmIyIGFREjAzI2NjU1NCYjIgYVFBYBugUBBhAuPipkeXlkPk8ZBgEFIzkiGycKBx8THB1YmTlDHkJZR0dHCg8zDRYkFYuKio0uIQ0zDzRCSB0JB0MEByU7/LsBLylUPhBka3FfYGoAAAEADAAAAZAC/QAkAABTMhYWFRQOAgcVMxUjFSM1IzUzNT4DNTQmJiMiBgYHJzY2v0VdLxQqRDBsbFhbWylALxgaNyoXMjEUISNcAv0uVTwiRkQ9GFBJpKRJfg4qNUAjKDUcDBYPQhoeAAABABoAAAGeAv0AJAAAUzIWFwcuAiMiBgYVFB4CFxUzFSMVIzUjNTM1LgM1NDY26zVbIyEUMDMXKjYbGC9BKFtbWGxsMEQqFC9eAv0eGkIPFgwcNSgjQDUqDn5JpKRJUBg9REYiPFUuAAMAN//2A5kC+AAcACkALAAARSImNTQ2MzIWFhczJiY1NTMVIRUBIRUhJyMOAicyNjU1NCYjIgYVFBYFASEBE2R4eWQqPi4QBgEFWAGA/uQBI/4yDQQQLj8cVUVCWUdHRwE5AR/+4QqLioqNFSQWDTMP1uBC/m5ESBclFkldXhBka3FfYGoEAZkAAAIAN/8QA7MC+AA2AEMAAEUiJic1FhYzMjY2NTQmJiMjNTchESMnIw4CIyImNTQ2MzIWFhczJiY1NTMVIRUHHgIVFAYGATI2NTU0JiMiBhUUFgKqO14gIWI6NE0sM1o9O9v+4UcNBBAuPypkeHlkKj4uEAYBBVgBhttEcEJBd/4mVUVCWUdHR/ATEFAQGihLMzhGIT3z/jJIFyUWi4qKjRUkFg0zD9bgQPQENWFJR209AS9dXhBka3FfYGoABAA3/6kD/gL4AC4AOwA+AEgAAEU2NjcjJyMOAiMiJjU0NjMyFhYXMyYmNTUzFSEVATM+AjMyFhUUBgYjIwYGByUyNjU1NCYjIgYVFBYFASEBMjY1NCYjIgYHApEGDAbeDQQQLj8qZHh5ZCo+LhAGAQVYAYD+5FMcOEIpNUEgSD1hCRIJ/k1VRUJZR0dHATkBH/7hAUwtIBUWGzIaOxAeDUgXJRaLioqNFSQWDTMP1uBC/m42RyI+KiU3HxMrGZZdXhBka3FfYGoEAZn+cB8WDhgsLwACABAAAALKApMAJQA6AABzIiYmNREjNTc3MxUhNjYzMhYXByYmIyIGFRQWFhceAhUUBgYjNzI2NjU0JiYnLgI1NDY3IxEUFjP5KkcsTE0jNAEMEyoXMVUlHiJKJzY5Gjw0M0gmNGBCAi04GhY5NTRKKAkHpy8lHUhBAS4qI3J7BQUTEUYOFCMeFh8dFBMoOSs0QR9IDh4YFCAgFBQoOCwSIA7+1DEvAAACABD/EAIaAv0ALQA2AABFFAYGIyImJzUWFjMyNjU1BgYjIiYmNREjNTc3MxUzNTQ2NjMyFhcVJiYjIgYVAzI2NxEjERQWAagkPCQWJQsIHw0fHw8xFypHLExNIzScJD0jFiYKCB4OHx+gEikNnC9JQUkdCQdDBAclO0wGCB1IQQE4KiNyez5CSB0JB0MEByU7/ekGBAGM/soxLwACABD/9gM0ApMAOQBGAABXIiYmNREjNTc3MxUzFSMRFBYzMjY3JiY1NDY2MzIWFwcmJiMiBgYVFBYXNjYzMhYVFAYGIyImJwYGJTI2NjU0JiMiBgcWFvkqRyxMTSM0m5stHDFNJAsLQnFIKUwYGxhAHDVHIgQDJFU3SFE1USo9ZCEqYQFMGysYIiooRiEUPgodSEEBOCojcntE/soxLykcHEIoY3w6EQxJCRAuWkMVJREaJUQ2Mj8dJykfMUkQHxQTICIYHR8AAAEAD/8QAw0C/QA8AABFIiYnNRYWMzI2NjURNCYjIgYGFREjESMRIxEjNTc1NDY2MzIWFwcmJiMiBhUVMxczPgIzMhYWFREUBgYCfRgiDQ4cEhMeEjo9O0UdWIRYXl4pTjcgNRMXECoWLCvLDgUSMz8iQlcrHz/wBwVHBAYPJSABq0E/LFY//ukB1P4sAdQpHh9FVigLB0UFCjs/I0kcJRIpVkX+UjJIJgAAAQBV//YCaQL4ADAAAEUiJiYnFSMRMxEeAjMyNjU0LgInLgI1NDYzMhYXByYmIyIGFRQWFhceAhUUBgFzJ0U9HVhYIEVFIVZGDB00JzRKKG9aMVUlHiJKJzY5Gj0zM0gmgAoJEw4gAvj9ehEYDCskDxkYGQ8UKDgsREoTEUYOFCMeFh8dFBMoOStOUAACAFUAAAI0AvgACAALAABzETMVIRUBIRUlASFVWAGA/uQBI/55AR/+4QL44EL+bkQ7AZkAAgAAAAAB/QLKAAwAGQAAQQMjJwcjAzMXNzMXNxMDIycHIwMzFzczFzcB/WNLUVNJYkZCVEZQRkVjS1FTSWJGQlRGUEYCyv6w+/sBUP39/v7+hv6w+/sBUP39/v4AAAIAVQAAAfkCygAHAA8AAHchFSM1IxUjESEVIzUjFSNVAaRY9FgBpFj0WOnpl5cCyumXlwAB/+z/EAIeAiIAJwAAUzIWFhUVFBYzMjY2NREzESM1NDY3Iw4CIyImJjU1NCYjIgYHNTY2MCM7Izs9PEQdWFgDAgYRND8jQVcsHR0NHwgLJgIiGjsy2kBBLVg+ARX8+O8UJxAbJRMpV0TfIx0GA0UGBgAB/+z/EAKBAiIANAAAUzIWFhUVFBYzMjY2NREzERQWMzI2NxUGBiMiJiY1NTQ2NyMOAiMiJiY1NTQmIyIGBzU2NjAjOyM7PTxEHVgYGREaBwkkGR82IAMCBhE0PyNBVywdHQ0fCAsmAiIaOzLaQEEtWD4BFf2gOyUHBEMHCR1JQUgUJxAbJRMpV0TfIx0GA0UGBgAAAQA3AR8BXQLnABcAAFMUBgczNjYzMhYVFSM1NCYjIgYVFSMRM3ABAgQROiI/QDgnJzssOTkCYQsYChkZOD7RziYnPTimAcgAAQA3AR8BXQLqACMAAFM0NjMyFhcVJiYjIgYVFRQGBzM2NjMyFhUVIzU0JiMiBhUVIzcoKAwXBwUSCw8QAQIEEToiP0A4Jyc7LDkClikrBQMsAgQPEzkLGAoZGTg+0c4mJz04pgAAAv/cAI8AdgLZABAAHAAAdyImJzUWFjMyNjURMxEUBgYTNDYzMhYVFAYjIiYOEBkJChQNFRs5FCwDEw8NFBQNDxOPBAMrAwMVHQF0/o4eKxcCKREQEBEREREAAQA3AR8BAwJnABQAAFMyFhcHJiYjIgYGFRUjETMXMz4C2goWCQcJFAkbLh05LwcCCx8oAmcCAjECAxsxIKwBQjsSHRIAAAEACgEZANUCYQAUAABTIiYnNxYWMzI2NjU1MxEjJyMOAjMKFgkHCBUJGy4cOS8GAwsfKAEZAgIwAgIbMSCs/r47Eh0SAAABAAoAjwEfAmEAIgAAdyImNTU0NjcjBgYjIiYnNxYWMzI2NjU1MxEUFjMyNjcVBgbtIDEDAQMQNiQKFgkHCBUJGy4cORMSDBQFBhqPKTs3CR8IGyYCAjACAhsxIKz+kyQWBQIoBAYAAAIANwEfAWECYQANABYAAFMzFTM3MwcWFhUUBiMjNyMVMzI2NTQmNzlVWkJjHjNEOJyLUl0oIy0CYYCAhwcqKy4xlmodFhwbAAEABwEgAfgCYQApAABBLgMnIw4DBwcjAzMXHgIXMz4CNzczFx4CFzM+Ajc3MwMjARgEBwcEAgICBAYIBD5BYDswBQkIAQMCCAkEPj48BQkIAgIBCAkGMDthQwHVDBkWEwcHExYZDbQBQasSIyALCh4hDbW1Dh8dDAofJBOr/r8AAQABAI8BTAJhABoAAFMzFxYWFzM2Njc3MwMGBiMiJic1FhYzMjY3NwE9SwoQAwMEEQlHPpcSOjIQGAgHFAwdJQsSAmG3GSsUDzAZt/6SLjYDAioCAh8aKwD//wAMAdUAowLKBgYBZQAA//8ADAHVAVsCygYGAWkAAP//AAwB1QCjAsoGBgFkAAD//wAMAdUApALKBgYBZwAAAAEAHgI/AIsDEgANAABTMhYVFAYjNTI2NTQmIx4xPDwxGCAdGwMSODIxODIdGhodAAEAHgI/AIsDEgANAABTIiY1NDYzFSIGFRQWM4sxPDwxGCAdGwI/ODIyNzIdGhodAAEACAHQAQ0C/gAVAABTNjY1NCYjIgYHJzY2MzIWFRQGBxUjUDw9JSYXNRQWFzwlRUg6QkECJA4zIhonEQ40DhNEMitFFDQAAAEAFAHQARkC/gAVAABTFSM1JiY1NDYzMhYXByYmIyIGFRQW0UFCOkhFJjwWFhQ1FyYlPQIkVDQURSsyRBMONA4RJxoiMwABABkCHAEFAxIABgAAQSc1NxUHFwEF7Oy9vQIcaBl1J1lPAAABABkCHAEFAxIABgAAUzcnNRcVBxm9vezsAkNPWSd1GWgAAQATAiIBCQMNAAYAAFM3MxcjJwcTbRxtJ1RUAiLr67y8AAEADQIiAQMDDQAGAABBByMnMxc3AQNtHG0nVFQDDevrvLwAAAEAKAHwAHgC+AADAABTESMReFAC+P74AQj//wAoAl4A8QL+BgYAdAAA//8AKAJeAPEC/gYGAEEAAAABACj/NAB4ADwAAwAAdxEjEXhQPP74AQgA//8AKP9tAVH/tAYHAUoAAP0P//8AKP80APH/1AYHAEEAAPzW//8AKP80APH/1AYHAHQAAPzWAAIASAAAAPoCGAACAAUAAFMnMwM3F6FZsrJZWQGNi/3oi4sAAAEASAGNAPoCGAACAABTJzOhWbIBjYsA//8AKADDAJUBlgQHAyYACv6E//8AKADDAJUBlgQHAycACv6E//8AHgDoAPABiAQHBnUAhwG4//8AHgDoAPABiAQHBnYAhwG4//8AHgDKAPABkgQHBncAhwGuAAEAHgEPAQIBSwADAABBIzUzAQLk5AEPPAD//wAoAjsA9AMHBAcGlACOAAAAAgAAAJABSgJhABgAJAAAdyImNTQ2NwMzFxYWFzM2Njc3MwMWFhUUBicyNjU0JicGBhUUFqQhKRgShD1CCRYFAwYWCUI9hRQWKSIKDwwNDAwPkCsgHTgeAROREzMTEjQTkf7tIzcZICssDxEMKBISJw0RDwABADcBHwBwAucAAwAAUyMRM3A5OQEfAcgAAAEAIQEZARoCZwAoAABBFAYjIiYnNRYWMzI2NTQmJy4CNTQ2MzIWFwcmJiMiBhUUFhYXHgIBGktAJTQUFDweLCcjMyIwGkg7HzgYFBUxGSMlESchIi4ZAXgvMAoKMAkQGRYSGhIMGCIaKS0MCioJCxUSDRMRDAsYIgAAAQAMAR8BTAJhAAsAAFMnMxc3MwcXIycHI4p4QVlZQXl/QV9gQAHDnnp6nqSAgAAAAQARAR8BDQLqABcAAFMyFhcHJiYjIgYVFBYWFxUjNS4CNTQ2mSI7FxUUMhcpJx02JjktNhdFAuoSECcNECUjHTAlC9q+FDM4GzY9AAEATgAAAVQCsAAFAABhESM1IREBEsQBBgJuQv1QAAEATgAAAVQCsAAHAABhESM1MzUzEQESxMRCAclCpf1QAAABAE4AAAFUArAABwAAYREjNTMRMxEBEsTEQgFGQgEo/VAAAQBOAAABVAKwAAcAAGE1IzUzETMRARLExEKnQgHH/VAAAAEATgAAAVQCsAAFAABhITUzETMBVP76xEJCAm4AAAEATgCmAVQCEAAFAABTMxEzFSFOQsT++gIQ/thCAAEATgCmAVQCEAAHAABTMxUzFSMVI05CxMRCAhCUQpT//wAo/zkBev/ZBgcBSQAA/Nv//wAoAlcBxwMbBAcBYwAqAzX//wAMAdUBWwLKBgYBaQAAAAEAKP8QAXb/7gAGAABXJzMXNzMHt49PWFlOjvDehobeAAABACj/EAF2/+wABgAAVzczFyMnByiOMY9PWFnw3NyEhAAAAQAo/xABIwAXAAYAAEUnNTcVBxcBI/v7o6PwazFrRT4/AAEAKP8QASMAFwAGAABXNTcnNRcVKKOj+/BFPj9FazH//wAoARkA8QG5BgcAQQAA/rsAAgAoARkBjwG5AAwAGQAAUzUzHgIXFSMuAzc1Mx4CFxUjLgMoYAseIA4yEScnHqhgCx4gDjIRJyceAa8KFjc0EwwOJywoDQoWNzQTDA4nLCgA//8AKAEZAY8BuQYHAVAAAP67//8AKP9DAZf/xAYHAU8AAPzl//8ASADEAMQC+AYHABsAAADSAAEAKAHHAPYCqQAFAABTMxUjFSMozpk1Aqk1rQABACgBxwD2AqkABQAAUxUjNSM19jWZAqnirTUAAQAoAAAA9gDiAAUAAHM1MxUzFSg1meKtNQABACgAAAD2AOIABQAAcyM1MzUz9s6ZNTWtAAEAKP8wAeb/1QAHAABFITUzFSE1MwHm/kI4AU050KVjYwABACj/MAHm/9UABQAARSE1MxUhAeb+QjgBhtClYwABACj/EAHuAEsACQAARSc1NxUHIRUhFwEj+/uEAU/+sYTwhTGFO0Q8RQAB/osCTv9AAzUAFQAAQxQGBwcjJzY2NTQmIyIGBzU2NjMyFsAuIwU2ByQrJRwNGwgJGxM8QgLaJikINVUGFxcYEAICNAMDLAABACf/OgGvAhgAGAAAQRUBIRUUBgYjIiYnNRYWMzI2NTUhNQEhNQGo/uQBIxk0KBMfCggaEBcZ/scBIP7xAhhC/m6FKzsfCARJAwYZG0Y6AZpEAP//AGEAAAJUA5MGJgAjAAAABwFMAOcAsv//AFX/9gIwA8EGJgBDAAAABwFMAPcA4P//AGH/UAJUAsoGJgAjAAAABwZ7AmUAAP//AFX/UAIwAvgGJgBDAAAABwZ7AmwAAP//AGH/bQJUAsoGJgAjAAAABwFKAH/9D///AFX/bQIwAvgGJgBDAAAABwFKAIb9D///AD3/EAJZA7AGJgAkAAAAJwB4AQUAAAAHAHQBGACy//8AN/8QAb8C/gYmAEQAAAAnAHgAqgAAAAcAdAC4AAD//wBhAAACnQOTBiYAJQAAAAcBTAEOALL//wA3//YCEgPBBiYARQAAAAcBTAC4AOD//wBh/1ACnQLKBiYAJQAAAAcGewKAAAD//wA3/1ACEgL4BiYARQAAAAcGewJOAAD//wBh/20CnQLKBiYAJQAAAAcBSgCa/Q///wA3/20CEgL4BiYARQAAAAcBSgBo/Q8AAwBh/xACnQLKABYAIQArAABFFAYjIiYnNRYWMzI2NTQmJzczBx4CExQGBiMjETMyFhYHNCYmIyMRMzI2AbpKSg8bCAkeDiQmNSYwOh8YKBfjWaZ2x9xsnlZfP3lWdWGRkYswNQMCNwIDExkaGAVmRQUVIgHdeKJSAspQm3Zfejv90I8AAwA3/xACEgL4ABYALgA7AABFFAYjIiYnNRYWMzI2NTQmJzczBx4CJyImNTQ2MzIWFhczJiY1NTMRIycjDgInMjY1NTQmIyIGFRQWAZVKSg8bCAkeDiQmNSYrOhoYKBeCZHh5ZCo+LhAGAQVYRw0EEC4/HFVFQllHR0eLMDUDAjcCAxMZGhgFVjUFFSJni4qKjRUkFg0zD9b9CEgXJRZJXV4QZGtxX2BqAP//AGH/OAKdAsoGJgAlAAAABwFIAIX82v//ADf/OAISAvgGJgBFAAAABwFIAFP82gADAGEAAAHwBCsACwAPABsAAEEuAic1Mx4CFxUHNSEVEyERIRUhFSEVIRUhAT4XOjEMaQshJQ/WASkk/nEBj/7LASP+3QE1A5oSMTISChYwLBMMc0dH/NkCyk/fTv8ABAA3//YCAQNxAAsADwAnAC8AAEEuAic1Mx4CFxUHNSEVBzIWFhUVIRYWMzI2NxUGBiMiJiY1NDY2FyIGByE0JiYBIxc6MQxpCyElD9YBKY1FYzX+kQJZUDNPKilQN0x1QTtrRj9JBwERHDkC4BIxMhIKFjAsEwxzR0dLPG1JNVtfExJNEhE+e1lYfkRIUUguRCcAAAMAYQAAAfAEKwALAA8AGwAAUz4CNzMVDgIHIwc1IRUTIREhFSEVIRUhFSH0DyMiC2oMMjkYOlMBKSb+cQGP/ssBI/7dATUDphMsMBYKEjIxEnNHR/zZAspP307/AAAEADf/9gIBA3EACwAPACcALwAAUz4CNzMVDgIHIwc1IRUHMhYWFRUhFhYzMjY3FQYGIyImJjU0NjYXIgYHITQmJtwPIyILagwyORg6UwEpjkVjNf6RAllQM08qKVA3THVBO2tGP0kHAREcOQLsEywwFgoSMjESc0dHSzxtSTVbXxMSTRIRPntZWH5ESFFILkQn//8AYf84AfACygYmACYAAAAHAUgAW/za//8AN/84AgECIgYmAEYAAAAHAUgAXPza//8AYf9IAfACygYmACYAAAAHAU8ATPzq//8AN/9IAgECIgYmAEYAAAAHAU8ATfzq//8AYf8QAfADlgYmACYAAAAnAHgAvQAAAAcBSwByALL//wA3/xACAQLkBiYARgAAACYBS14AAAcAeAC+AAD//wBhAAAB8AOTBiYAJwAAAAcBTADPALL//wAPAAABgwPGBiYARwAAAAcBTAChAOX//wA9//YCjgNXBiYAKAAAAAcBSgDYALL//wA3/xACEgKlBiYASAAAAAYBSmwA//8AYQAAAoMDkwYmACkAAAAHAUwBGACy//8ATwAAAhkDwQYmAEkAAAAHAUwAJwDg//8AYf9QAoMCygYmACkAAAAHBnsCmgAA//8AVf9QAhkC+AYmAEkAAAAHBnsCYAAA//8AYQAAAoMDjAYmACkAAAAHAGgAUgCy////9gAAAhkDugYmAEkAAAAHAGj/YQDg//8AJf8QAoMCygYmACkAAAAGAHgXAP//ABf/EAIZAvgGJgBJAAAABgB4CQD//wBh/0cCgwLKBiYAKQAAAAcBSwCv/On//wBV/0cCGQL4BiYASQAAAAcBSwBx/On////y/0gBYQLKBiYAKgAAAAcBT//K/Or////L/0gBOgLhBiYASgAAAAcBT/+j/OoABAAdAAABPQQZAAoAFgAiAC4AAFM2NjczFQ4CByMHIiY1NDYzMhYVFAYzIiY1NDYzMhYVFAYTITU3ESc1IRUHERd0FzkQaQsyOhc7KBMcHBMTGxuoExwcExQbGw/+/lRUAQJUVAOUHEciChIyMRJ9FxoaGBgaGhcXGhoYGBoaF/z1NBMCOxQ0NBT9xRMAAAT/9AAAARQDZwAKABYAIgAmAABTNjY3MxUOAgcjByImNTQ2MzIWFRQGMyImNTQ2MzIWFRQGAyMRM0sXORBpCzI6FzsoExwcExMbG6gTHBwTFBsbRVhYAuIcRyIKEjIxEn0XGhoYGBoaFxcaGhgYGhoX/acCGP//AGEAAAJrA7AGJgAsAAAABwB0APcAsv//AEwAAAINA94GJgBMAAAABwB0ACQA4P//AGH/UAJrAsoGJgAsAAAABwZ7AnQAAP//AFX/UAINAvgGJgBMAAAABwZ7AjUAAP//AGH/bQJrAsoGJgAsAAAABwFKAI79D///AFX/bQINAvgGJgBMAAAABwFKAE/9D///AGH/UAHzAsoGJgAtAAAABwZ7AlYAAP//AEz/UAC0AvgGJgBNAAAABwZ7AasAAP////f/UAHzA1cGJgAtAAAAJwZ7AlYAAAAHAUr/zwCy////7P9QARUDhQYmAE0AAAAnBnsBqwAAAAcBSv/EAOD//wBh/20B8wLKBiYALQAAAAcBSgBw/Q/////t/20BFgL4BiYATQAAAAcBSv/F/Q///wBh/zgB8wLKBiYALQAAAAcBSABb/Nr////Y/zgBKgL4BiYATQAAAAcBSP+w/Nr//wBhAAADKgOTBiYALgAAAAcBTAFrALL//wBVAAADVgLhBiYATgAAAAcBTAGEAAD//wBh/1ADKgLKBiYALgAAAAcGewLqAAD//wBV/1ADVgIiBiYATgAAAAcGewMBAAD//wBhAAAClwOTBiYALwAAAAcBTAEhALL//wBVAAACGQLhBiYATwAAAAcBTADaAAD//wBh/1AClwLKBiYALwAAAAcGewKmAAD//wBV/1ACGQIiBiYATwAAAAcGewJfAAD//wBh/20ClwLKBiYALwAAAAcBSgDA/Q///wBV/20CGQIiBiYATwAAAAcBSgB5/Q///wBh/zgClwLKBiYALwAAAAcBSACr/Nr//wBV/zgCGQIiBiYATwAAAAcBSABk/NoABAA9//YC0AQjABgAIwA1AEQAAFM2NjMyHgIzMjY3Mw4CIyIuAiMiBgc3NjY3MxUOAgcjARQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmIyIGBt8FMSsVJiUgDxUSBzIDGCgeEyYkIg8WEgY0FjgRagwyORg6AYoqU3tRVHxSKEiTcGuSS/3MMmlQUWcycHlRaTIDDzU9DhMPGxYiNBwPEw4aF5gcPiIKEi0tEv3LU4diNDVhiFNupFxbpW9agkZGglqHmUWBAAAEADf/9gInA3EAGAAjADUARAAAUzY2MzIeAjMyNjczDgIjIi4CIyIGBzc2NjczFQ4CByMBFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYmIyIGhwUxKxUmJSAPFRIHMgMYKB4TJiQiDxYSBjQWOBFqDDI5GDoBOSNBXTk1WkIlPHBNSW8//mshRjY2RiEiRTdSSgJdNT0OEw8bFiI0HA8TDhoXmBw+IgoSLS0S/iRDZ0glJUhnQ1l7QUF7WT9dMjJdP0BaMWwAAAUAPf/2AtAEBAAYACQAMABCAFEAAFM2NjMyHgIzMjY3Mw4CIyIuAiMiBgc3IiY1NDYzMhYVFAYzIiY1NDYzMhYVFAYTFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYjIgYG1QY0LxYpJiMQFxkHLQQZKyAVKCcjERgYByYTHBwTExwcqBMbGxMTHBzZKlN7UVR8UihIk3Brkkv9zDJpUFFnMnB5UWkyAw81PQ4TDxsWIjQcDxMOGheSGRkaFxcaGRkZGRoXFxoZGf3FU4diNDVhiFNupFxbpW9agkZGglqHmUWBAAUAN//2AicDUgAYACQAMABCAFEAAFM2NjMyHgIzMjY3Mw4CIyIuAiMiBgc3IiY1NDYzMhYVFAYzIiY1NDYzMhYVFAYTFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYmIyIGfQY0LxYpJiMQFxkHLQQZKyAVKCcjERgYByYTHBwTExwcqBMbGxMTHByII0FdOTVaQiU8cE1Jbz/+ayFGNjZGISJFN1JKAl01PQ4TDxsWIjQcDxMOGheSGRkaFxcaGRkZGRoXFxoZGf4eQ2dIJSVIZ0NZe0FBe1k/XTIyXT9AWjFsAAQAPf/2AtAEKwALAA8AIQAwAABBLgInNTMeAhcVBzUhFRMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYBgxc6MQxpCyElD9YBKb8qU3tRVHxSKEiTcGuSS/3MMmlQUWcycHlRaTIDmhIxMhIKFjAsEwxzR0f+P1OHYjQ1YYhTbqRcW6VvWoJGRoJah5lFgQAEADf/9gInA3EACwAPACEAMAAAQS4CJzUzHgIXFQc1IRUTFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYmIyIGATIXOjEMaQshJQ/WASlnI0FdOTVaQiU8cE1Jbz/+ayFGNjZGISJFN1JKAuASMTISChYwLBMMc0dH/qBDZ0glJUhnQ1l7QUF7WT9dMjJdP0BaMWwABAA9//YC0AQrAAsADwAhADAAAEE+AjczFQ4CByMHNSEVExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmIyIGBgFADyMiC2oNMTkYOlMBKboqU3tRVHxSKEiTcGuSS/3MMmlQUWcycHlRaTIDphMsMBYKEjIxEnNHR/4/U4diNDVhiFNupFxbpW9agkZGglqHmUWBAAQAN//2AicDcQALAA8AIQAwAABTPgI3MxUOAgcjBzUhFRMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgbnDyMiC2oMMjkYOlMBKWojQV05NVpCJTxwTUlvP/5rIUY2NkYhIkU3UkoC7BMsMBYKEjIxEnNHR/6gQ2dIJSVIZ0NZe0FBe1k/XTIyXT9AWjFsAP//AGEAAAIqA7AGJgAxAAAABwB0AOAAsv//AFX/EAIwAv4GJgBRAAAABwB0AO8AAP//AGEAAAIqA5MGJgAxAAAABwFMAOIAsv//AFX/EAIwAuEGJgBRAAAABwFMAPEAAP//AGEAAAJfA5MGJgAzAAAABwFMANwAsv//AFUAAAGOAuEGJgBTAAAABwFMAJUAAP//AGH/UAJfAsoGJgAzAAAABwZ7AnIAAP//AEn/UAGOAiIGJgBTAAAABwZ7AagAAP//AGH/UAJfA1cGJgAzAAAAJwZ7AnIAAAAHAUoAegCy//8ASf9QAY4CpQYmAFMAAAAnBnsBqAAAAAYBSjMA//8AYf9tAl8CygYmADMAAAAHAUoAjP0P////6v9tAY4CIgYmAFMAAAAHAUr/wv0P//8AM//2AfYDkwYmADQAAAAHAUwAwgCy//8AM//2AbIC4QYmAFQAAAAHAUwAlQAA//8AM/9QAfYC1AYmADQAAAAHBnsCKwAA//8AM/9QAbICIgYmAFQAAAAHBnsCGgAAAAMAM//2AfYDsAALABcARwAAQT4CNzMVDgIHIyciJjU0NjMyFhUUBgEUBgYjIiYmJzUWFjMyNjY1NCYmJy4DNTQ2NjMyFhcHJiYjIgYGFRQWFhceAgEEDyMiC2oMMjkYOjsTHBwTExwcARo+c04oSTwXJGs5NUgkHklBLkUuFzpnQztiKBwlVy8tPB4eRDo/Vy0DHBM0NxYKEjk5EhkZGRoXFxoZGf2WQFkwCA8LVhAaHDQjIzApFxEnMkAqOVEsFhJNEBYaLx8kMCYWFzVKAAADADP/9gGyAv4ACwAXAEIAAFM+AjczFQ4CByMnIiY1NDYzMhYVFAYBFAYGIyImJzUWFjMyNjU0JiYnLgI1NDYzMhYXByYmIyIGFRQWFhceAtcPIyILagwyORg6OxMcHBMTHBwBAzRgQjhRHyBbL0M8Fjk1NEoob1oxVSUeIkonNjkaPTMzSCYCahM0NxYKEjk5EhkZGRoXFxoZGf4dNEYkEhBQEBsrJBQgIBQUKDgsREoTEUYOFCMeFh8dFBMoOQADADP/9gH2BAQAEgAeAE4AAFMuAic1MxYWFzY2NzMVDgIHJyImNTQ2MzIWFRQGExQGBiMiJiYnNRYWMzI2NjU0JiYnLgM1NDY2MzIWFwcmJiMiBgYVFBYWFx4C7w0sMBI8GjgZGzgaPhMxLQwsExwcExMcHMY+c04oSTwXJGs5NUgkHklBLkUuFzpnQztiKBwlVy8tPB4eRDo/Vy0DEBc1NBMNETAbGzARDRM0NReRGRkaFxcaGRn9HkBZMAgPC1YQGhw0IyMwKRcRJzJAKjlRLBYSTRAWGi8fJDAmFhc1SgAAAwAz//YBsgNSABIAHgBJAABTLgInNTMWFhc2NjczFQ4CByciJjU0NjMyFhUUBhMUBgYjIiYnNRYWMzI2NTQmJicuAjU0NjMyFhcHJiYjIgYVFBYWFx4Cwg0sMBI8GjgZGzgaPhMxLQwsExwcExMcHK80YEI4UR8gWy9DPBY5NTRKKG9aMVUlHiJKJzY5Gj0zM0gmAl4XNTQTDREwGxswEQ0TNDUXkRkZGhcXGhkZ/aU0RiQSEFAQGyskFCAgFBQoOCxEShMRRg4UIx4WHx0UEyg5AP//ADP/UAH2A5MGJgA0AAAAJwZ7AisAAAAHAUwAwgCy//8AM/9QAbIC4QYmAFQAAAAnBnsCGgAAAAcBTACVAAD//wAKAAACIQOTBiYANQAAAAcBTAC7ALL//wAQ//YBUwNcBiYAVQAAAAYBTD97//8ACv9QAiECygYmADUAAAAHBnsCQAAA//8AEP9QAVMCkwYmAFUAAAAHBnsCAAAA//8ACv9tAiECygYmADUAAAAHAUoAWv0P//8AEP9tAWsCkwYmAFUAAAAHAUoAGv0P//8ACv84AiECygYmADUAAAAHAUgARfza//8AEP84AX8CkwYmAFUAAAAHAUgABfza//8AWv9RAoACygYmADYAAAAHAGgAS/za//8AT/9RAhUCGAYmAFYAAAAHAGgAEPza//8AWv9IAoACygYmADYAAAAHAU8AjPzq//8AT/9IAhUCGAYmAFYAAAAHAU8ARvzq//8AWv84AoACygYmADYAAAAHAUgAm/za//8AT/84AhUCGAYmAFYAAAAHAUgAVfzaAAMAWv/2AoAEIwAYACMANwAAUzY2MzIeAjMyNjczDgIjIi4CIyIGBzc2NjczFQ4CByMBFAYGIyImNREzERQWMzI2NjURM8YFMSsVJiUgDxUSBzIDGCgeEyYkIg8WEgY0FjgRagwyORg6AVM8e1+Fi1pdXkFRJlkDDzU9DhMPGxYiNBwPEw4aF5gcPiIKEi0tEv1hSndFkXcBzP4xV2AvUzYBzgAAAwBP//YCFQNxABgAIwA7AABTNjYzMh4CMzI2NzMOAiMiLgIjIgYHNzY2NzMVDgIHIwURIycjDgIjIiYmNREzERQWMzI2NjURjQUxKxUmJSAPFRIHMgMYKB4TJiQiDxYSBjQWOBFqDDI5GDoBIUgNBBE2QCNAVyxZOj08RR0CXTU9DhMPGxYiNBwPEw4aF5gcPiIKEi0tEtH96EccJBEpVkQBX/6nQEAtVz4BFwAABABa//YCgAQEAAMADwAbAC8AAEEVITU3MhYVFAYjIiY1NDYzMhYVFAYjIiY1NDYTFAYGIyImNREzERQWMzI2NjURMwID/tc2ExwcExMcHM4THBwTExsbyDx7X4WLWl1eQVEmWQNmR0eeFxoZGRkZGhcXGhkZGRkaF/z4SndFkXcBzP4xV2AvUzYBzgAEAE//9gIVA1IAAwAPABsAMwAAQRUhNTcyFhUUBiMiJjU0NjMyFhUUBiMiJjU0NhMRIycjDgIjIiYmNREzERQWMzI2NjURAcr+1zYTHBwTExwczhMcHBMTGxuWSA0EETZAI0BXLFk6PTxFHQK0R0eeFxoZGRkZGhcXGhkZGRkaF/7G/ehHHCQRKVZEAV/+p0BALVc+ARcA//8AAAAAAlgDkQYmADcAAAAHAU8AUACy//8AAAAAAfwC3wYmAFcAAAAGAU8dAP//AAD/UAJYAsoGJgA3AAAABwZ7AlUAAP//AAD/UAH8AhgGJgBXAAAABwZ7AiYAAP//AAwAAAOVA5MGJgA4AAAABwFMAXYAsv//AAsAAQMHAuEGJgBYAAAABwFMAS4AAP//AAz/UAOVAsoGJgA4AAAABwZ7AvQAAP//AAv/UAMHAhkGJgBYAAAABwZ7ArEAAP//AAQAAAJGA5MGJgA5AAAABwFMAMkAsv//ABIAAAH/AuEGJgBZAAAABwFMAKwAAP//AAQAAAJGA4wGJgA5AAAABwBoAAMAsv//ABIAAAH/AtoGJgBZAAAABgBo5gD//wAAAAACNgOTBiYAOgAAAAcBTADAALL//wAB/xAB/gLhBiYAWgAAAAcBTACkAAD//wAmAAACFQOwBiYAOwAAAAcBSABRALL//wAnAAABrwL+BiYAWwAAAAYBSBoA//8AJv9QAhUCygYmADsAAAAHBnsCUwAA//8AJ/9QAa8CGAYmAFsAAAAHBnsCHAAA//8AJv9tAhUCygYmADsAAAAHAUoAYv0P//8AJ/9tAa8CGAYmAFsAAAAHAUoAL/0P//8AVf9tAhkC+AYmAEkAAAAHAUoAef0P//8ADv/2AVMDVQYmAFUAAAAHAGj/eQB7//8ACwABAwcDMQYmAFgAAAAHAU0A8wAA//8AAf8QAf4DMQYmAFoAAAAGAU1pAP//AC7/9gI3AxIEJgBCAAAABwMmAawAAP//AFUAAAFqA5oGJgE+AAAABwFMAJAAuQAB/+z/ewDUArIACgAARxEzJzcXByc3IxEUoUAbbGwbQHmFAt89G2trGj39SAAAAf8r/3sAFAKyAAoAAEcRIxcHJzcXBzMRFXlBG21tG0GihQK4PRpraxs9/SEAAAEAKAFBAhQBigADAABTNSEVKAHsAUFJSQD//wCB/w8BpgL4BCYAXZIAAAYAXW4AAAIADAHVAVsCygALABcAAEEeAxcjLgInNyMeAxcjLgInNwEpBAsNDwdBECIcCQdaBAsNDwdAECEcCQYCyho9QUAdJFJRIwsaPUFAHSRSUSMLAAAB/+z/ewDUAloABQAARxEzFSMRFOi/hQLfJ/1IAAAB/yz/ewAUAloABQAARxEjNTMRFb/ohQK4J/0hAAAB/4z/ewB0ArEABwAARxEjNTMVIxEVX+hfhQJi1NT9ngAAAf+M/3sAdAKxAAsAAEcRIzUzFSMVMxUjERVf6MHBX4UCYtQnhyb9ngAAAf+M/3sAdAKxAAsAAEcRIzUzNSM1MxUjERVfwcHoX4UCYiaHJ9T9ngAAAwAnAcgCYgLKAAMABwALAABBEzMDIRMzAzMTMwMBh4Faof5mgVqhdoFaoQHIAQL+/gEC/v4BAv7+/////QL4AfcDOgYGAG8AAAAEAEj/8gDEAtUACwAXACMALwAAUyImNTQ2MzIWFRQGAyImNTQ2MzIWFRQGJyImNTQ2MzIWFRQGJyImNTQ2MzIWFRQGhhokJBoaJCQaGiQkGhokJBoaJCQaGiQkGhokJBoaJCQCTSAkJh4eJiQg/aUgJCYeHiYkIMkgJCYeHiYkIMkgJCYeHiYkIAAB/4z/ewB0ArEADwAARxEjNTM1IzUzFSMVMxUjERVfX1/oX19fhQJiJocnJ4cm/Z4AAAL/jP97AHQCsQAHAAsAAEcRIzUzFSMRAzM1IxVf6F9impqFAmLU1P2eAoiHAAAB/4v/ewB1ArEABQAARxEnMwcRFWDqYIUCg7Oz/X0AAAH/i/97AHUCtAAGAABHESM3FyMRFWB1dWCFAmLX1/2eAAAC/4v/ewB1ArIABgAKAABHESc3FwcRAzcnBxVgdXVgFT4+PoUCc1lra1n9jQKVNzc3AAH/jP97AHQCsQANAABHESM1MzUjNTMVMxUjERVfX1+JX1+FAmImhyeuJv2eAAACABMBmAFKA1QACwAXAABTIiY1NDYzMhYVFAYnMjY1NCYjIgYVFBauTU5KUU1PSVMsKCgsKycnAZhzbGpzcmtqdT9PUVBPT1FPUAAAAgAUAZgBTANUAB4ALAAAUzIWFxUmJiMiBgYHMzY2MzIWFRQGBiMiJiY1ND4CFyIGBhUUFhYzMjY1NCbsDiMLCyITNj4bAwQONik7SiVELi1JKxIvVA0dKhYUKB4mLykDVAQDOwQFKUYqFR1GQC5EJCpVQS9aSCvXFSERGC8eLS4mKwAAAgARAZgBSQNWAB4ALAAAUzIWFhUUDgIjIiYnNRYWMzI2NjcjBgYjIiY1NDY2FyIGFRQWMzI2NjU0JiaoLUkrEi1UQhAkCwsgGDc8GwIFDTMoQEolRC4kLycqHSoXFCgDVilUQi9bSSwEAzwEBixHKBMfSEAsQiY5LCwmLhUhERwuGwAAAQAkAAACFgLUACIAAFMyFhcHJiYjIgYVFBYWMzUhFSMVMxUjFTMVITUiJiY1NDY29yRHICAXNRw7RB5CNQEGtKentP76UGkzMV8C1A4RQAwQZFg8TifNQotCn0PiNGxUS3NAAAMAM//GAikC9wAnAC8AOQAAZSYmJwcjNyYmNTQ2Njc3MwcyFhc3MwcWFhcHJiYnAzI2NxUGBiMHIwMOAhUUFhcTJiYjIgYHAxYXASkWJxEXPx03ODVmShM/ERYqERI/FBEhECMLFw1hKUokJE01Ej8QJzcdFhbkChQLChUKXSIqIQMLB3CPKYpaUYFYEFtTAgJXYgUNCEgFCwT+IhAMSg8OWAJ9EkFYNzFSIAGZAgECAv41FgcAAgA4//YCGQLUACAANQAARSImJjU0PgIzMhYXByYmIyIOAhUUHgIzMjY3FQYGJxEzFzM+AjMyFhcHJiYjIgYGFRUBWGN/PiZKbkg2XickHEowL0w3HR0zRCc+USMkTHtHBwMLISwZDCAPCg8eCBwxHgpapnBRhmI1FhRIDxgpTGxDRm1LJg8NSg8ORgF4OBMcEAMDSwQEHzcmxQAAAgBV/5IDVgKaAAMAKwAAQQEjARcyFhURIxE0JiMiBhURIxE0JiYjIgYGFREjETMXMz4CMzIWFzM2NgKL/pdGAWlcW1pXNThOQ1cYMCY2PhtYRw0FETE8ID5TEwUbXQKa/PgDCHhdaP6jAVk/QFpW/tgBWSo5HC1WP/7qAhhJHCUSLC4uLAAFAAoAAAIyAsoAGwAfACMAJwArAABzESM1MzUjNTM1MxczNTMVMxUjFTMVIxEjAyMRETMnIxMzJyMnMycjEzMnI1hOTk5OaF92T05OTk5pX3ZeHkLxBAMqyCoqBLRDAl8BAUBSQPf39/dAUkD+/wEB/v8BQVL++nTSfP7yUgADAFP/9gMZAsoADwAZAEMAAFMyFhYVFAYGBxMjAyMRIxEXIxEzMjY1NCYmBTIWFwcmJiMiBhUUFhYXHgIVFAYjIiYnNRYWMzI2NTQmJicuAjU0NuVJXy8fMBuNX31bVZVAQkI4GzYBfitAHCAcMRwiJxAnJCM2H1JbJUMYF0ofMCgPJiQjNx9ZAsotWkQ4TC4N/sABJ/7ZAspM/vVFQy85G1wVEUMQESQdEx8eFBMqOSxGVxAQURAaLCMUHx4UFCo5LEJMAAAEAAoAAAKUAsoAFwAaAB0AIAAAcwMjNTMDMxMzEzMTMxMzAzMVIwMjAyMDJzcjBTcjJzMnjztKPzdQM1M6XDxSMU81PUg2WjxdOywgPAFHHD2YRiQBS0ABP/7BAT/+wQE//sFA/rUBS/61bN/j40DhAAABAA8AAAI8AsoAEwAAcxEjNTMRMxEzEzMDMxUjEyMDBxFmV1dVGvpi/s6y7WXkOAFOQgE6/sYBOv7GQv6yAU4+/vAAAAEAEwAAAioCygAXAABzNQcnNzUHJzc1IzUhFSMVNxcHFTcXBxXydSSZdSSZ3wIX3nUkmXUkmaRQNWlkUDVp109PpFE1aWVRNWnYAAADABj/EAOmAtQAHgA2AEQAAHMTMwMzMj4CNTQmJiMiBgcnPgIzMhYWFRQOAiMlPgIzMhYWFRQOAiMiJicjDgIHByMTMjY2NTQmIyIGBwcWFi57VmsJTHRPKDprSitgJB4YQkwmZZRRO2uRVwGrCzFNNjZFIRcxTDQaMQ0EAgYHBx9U5x4zHyQiKDQNCwsoAkL+CjRcfklGZjkSEUcMEgpMil5gmm05mTZQLSVBKiJGOyMVDQ8iKx6OASwfOScjKDM4NBkSAAACAAz/EAIEAtUAKQA2AABFIiYnNRYWMzI2NTQmJicHJwcjExc3JiY1NDY2MzIWFRQGBgceAhUUBgM2NjU0JiMiBhUUFhYBbhEmFBQmER4nDSMiclM+UpBQVSwlIz8pPkkYMSUtMRJSPigVHhkYIQwX8AUFSwgILCoRQ25PyIZ6AQmSk1uYMTlKJExFKGRwO2aHVx5KUQJLTHceLCgqNhdJUgAEAAoAAAIyAsoAHwAlAC4ANAAAUzIWFzMVIxYWFRQGBzMVIw4CIyMVIxEjNTM1IzUzNQEjFTMyNjcjFTM2NjU0JicjFTMmJv1kchRLQQEBAgJDUQ8+YkY4U1dXV1cBI9AzO04o5OMCAgGgRtMSRgLKSkQ2CRIJDRsNNilAJekBdzZZNo7+rUQgs1kLGQ0LE4REIiIAAgA9/7ACjgL3ACIAJgAARSImJjU0NjYzMhYXByYmIyIGBhUUFhYzMjY2NzUjNTMRBgYHETMRAZNvmE9YpXU8ay4iJl8zVXpAN3ZgIDEpEp33OnZpQApZpXFwpFsWFE4RGEaBWVWDSQUIBNRQ/qITEkYDR/y5AAMAAAAAAl8CygAXABsAJgAAQRMzFSMXMxUjFyMnIwcjNyM1MzcjNTMTEyMHMwMOAgczLgQBXmCYgR5jTFVfU/xSX1VLYh1/lmB5lRzOaAUQEwxpBwwMCggCyv71QFJA7e3t7UBSQAEL/rVSATsYNjsgFCQjIR8AAAEAC//2AhwC1ABAAABFIiYmNTQ2NyM1Mz4DNyE1ITY2NTQmJiMiBgYHJzY2MzIWFhUUBgczFSMOAwchFSEGBhUUFhYzMjY3FQYGASJObDkGBS9UFENJOAj+zAF+CAccOi4hPTUXGSZuNERhNQYIN1cQREo8CQE6/nsIBiRINTlrJCJyCipTQBMjD0AUIRoTBEAOHhcfLRgMEwtPEhglSjkVKRBAECEcFAVADxoXJzMaHRBREBoAAgA9/7ACWQL3ABwAJQAAQRYWFwcmJicRNjY3FQYGBxUjNS4CNTQ2Njc1MwcOAhUUFhYXAaYyXCUkHkcqKUokIkcuQGOEQkWEYEBAP1oxLVpDAtQCFRNMDhYC/cECDwtODQ0CR0cHXaBrZJ1hCSZ1Ckp5UFB6SgkAAQBPAAAB7QLKAB0AAGEDNTMyNjY3IzUzLgIjIzUhFSMWFhczFSMGBgcTAQy9FjVJKgTCwQcqRzMWAZ69Fx4EhIIHYVC/AUosFC4oQCUvFkBAEzQjQElRC/7FAAAEADH/9gMPAtQAEwAnADIAOwAARSIuAjU0PgIzMh4CFRQOAicyPgI1NC4CIyIOAhUUHgInETMyFhUUBiMjFTUzMjY1NCYjIwGgUIZjNjZjhlBMhWU5NmOGUEBwVjAuU3FERHJTLi5Tcj6UUkxWPlJGJywoLEUKNmOGUFCGYzY2Y4ZQUIZjNjUuVXJFQXJWMS5VckVBclYxXwG1RURDTJ3bJSooIwAABAAF//wCugLKAAcAEgAWAEAAAEEjJyMHIxMzBy4CJw4CBwczEyMBMwMyFhcHJiYjIgYVFBYXHgIVFAYjIiYnNRYWMzI2NTQmJicuAzU0NgFORSN5JESFPxYBAwMDAQQDASJXFEkBiEksHTsVERM1FBwaICgnKxFORBw8ERQ+GSIqCB8kHCUWCTsBcmJiAVhjBAgMCQgNCQRe/fgCyv6SDQo1CAwPFBcUDg0dJxsrNQoJPQoOEBYLEhMMChUZHRIpNgABAB4AAAFfAhgACQAAczUzNSM1MzUzER7o2dlZSKtI3f3oAAAQADAAKgIiAhwACwAXACMALwA7AEcAUwBfAGsAdwCDAI8AmwCnALMAvwAAUzIWFRQGIyImNTQ2MzIWFRQGIyImNTQ2AzIWFRQGIyImNTQ2MzIWFRQGIyImNTQ2AzIWFRQGIyImNTQ2EzIWFRQGIyImNTQ2JzQ2MzIWFRQGIyImJTQ2MzIWFRQGIyImBTQ2MzIWFRQGIyImETQ2MzIWFRQGIyImATQ2MzIWFRQGIyImETQ2MzIWFRQGIyImBTQ2MzIWFRQGIyImNTQ2MzIWFRQGIyImBTQ2MzIWFRQGIyImNTQ2MzIWFRQGIyIm1QsPDwsKEBCyCw8PCwoQEJ4LDw8LChAQsgsPDwsKEBBKCw8PCwoQEAoLDw8LChAQ7xAKCw8PCwoQAb4QCgsPDwsKEP6DEAoLDw8LChAQCgsPDwsKEAE8EAoLDw8LChAQCgsPDwsKEP6VEAoLDw8LChAQCgsPDwsKEAGaEAoLDw8LChAQCgsPDwsKEAIKDwsKEBAKCw8PCwoQEAoLD/5mDwsKEBAKCw8PCwoQEAoLDwGsDwsKEBAKCw/+Qg8LChAQCgsPxQsPDwsKEBAKCw8PCwoQEJQLDw8LChAQAUYLDw8LChAQ/s4LDw8LChAQAUYLDw8LChAQ6AsPDwsKEBCyCw8PCwoQEJ4LDw8LChAQsgsPDwsKEBAAAQBi/0ICdgLUACYAAEUiJic1FhYzMjY2NRE0JiMiBgYVESMRMxczPgIzMhYWFREUDgIBtBklDhAmFhovH0xaSFEhWkcPBRM/SyVLbz0cNEe+BwZMBAYTMSsB21tQNWA//k4CylwfLhkzalH+IDJKMBj//wBh/0IClwLKBgYBCQAAAAEAW//2Am8C1AAoAABFIiYmNTUzFRQWFjMyNjU1NCYjIgYGFRUjETMXMz4CMzIWFhUVFAYGAWJWdTxaJ1A7XFJMWkhRIVpHDwUTP0slS289OncKQndPCg06UitnUd9bUDVgP0oBYlwfLhkzalHqSndFAAEAFP/7Ah4CygAfAABXIiYnEQc1NzUHNTc1MxU3FQcVNxUHETI2NjUzFA4C0hoqD2tra2tWzs7OzltqLlYjT34FAwIBRiVBJE8kQSS0lkdBR09HQEj+5Et+TkWAZDoA//8ADwAAAtsC/QQmAEcAAAAHAEcBWAAA//8ADwAAAg0C/QQmAEcAAAAHAEoBWAAA//8ADwAAAgUC/QQmAEcAAAAHAE0BWAAA//8ADwAAA2UC/QQmAEcAAAAnAEcBWAAAAAcASgKwAAD//wAPAAADXQL9BCYARwAAACcARwFYAAAABwBNArAAAAACAGEAAALmAsoABQAJAABhETMRIRUhETMRAVRaATj9e1oCyv2GUALK/TYAAAEAWv/2AqIC1AArAABBMhYWFwceAhUUBgYjIiYnNRYWMzI2NTQmIyM1Ny4CIyIGBhURIxE0NjYBaEJfPhCOP2I4NG1YNF0pKWEsVUpWVj6cDCg4Jz1OJVk6eALUJ0kylwIxWkA/YTgRFlIWGUtEQENBpBojEi9TNv4yAc5Kd0UAAQA9//YCoALQACkAAEEOAxUUFhYzMjY2NTQmIyIGBzU2NjMyFhYVFAYGIyIuAjU0PgI3AZA6Wj4hL2BJRVotXksZLQwRLiNMbz1ChmZIclArKkpjOQKgGD5VcEpEcEIzWzpcYAUGRgYJP3VQTYBMMFZ2RVaHZUUSAAABAAr/9gJcAsoAJgAAVyImNTQ2NjcXDgIVFBYzMjY2NwEzEx4CFzM+AjcTMwMOA4o3O0d6TAQ5WjUYFhQmMSP+7WGmCxMRBgQGEhMHgl7pHzc1Ogo+MTlRMQhEBh4zJhMaGUtJAeP+2hMlIxESKykPAR3+EkBYNhgA//8AYf8QAfMCygYmAC0AAAAHAHgAxwAA//8AYf8QApcCygYmAC8AAAAHAHgBFAAA//8AAP8kAn4CzQYmACIAAAAHAU4AyQAA//8AYf8kAfACygYmACYAAAAHAU4AsQAA//8AKP8kASoCygYmACoAAAAGAU4vAP//AFr/JAKAAsoGJgA2AAAABwFOAPEAAAABAGEAAAC7AsoAAwAAcxEzEWFaAsr9Nv//AGH/9QJfAsoEJgQyAAAABwRFAR0AAP//AFoAAAEjA7AGJgQyAAAABwB0ADIAsv////MAAAEqA5YGJgQyAAAABwFL/8sAsv///+YAAAE4A7AGJgQyAAAABwFJ/74Asv///+YAAAE4A7AGJgQyAAAABwFI/74Asv///68AAAEWA7AGJgQyAAAABwZnAbUAsv//AAMAAAEcA4wGJgQyAAAABwBo/24AsgAE//8AAAEfBBkACgAWACIAJgAAUzY2NzMVDgIHIwciJjU0NjMyFhUUBjMiJjU0NjMyFhUUBgMRMxFWFzkQaQsyOhc7KBMcHBMTGxuoExwcExQbG5xaA5QcRyIKEjIxEn0XGhoYGBoaFxcaGhgYGhoX/PUCyv02AP//AFwAAADDA5MGJgQyAAAABwFMADQAsv//AFr/UADCAsoGJgQyAAAABwZ7AbkAAP//AA0AAADWA7AGJgQyAAAABwBB/+UAsgACAEcAAAD8A9oAFQAZAABTFAYHByMnNjY1NCYjIgYHNTY2MzIWAxEzEfwuIwU2ByQrJRwNGwgJGxM8QptaA38mKQg1VQYXFxgQAgI0AwMs/FICyv02////8wAAASoDlgYmBDIAAAAHBmkAjwCy////+gAAASMDVwYmBDIAAAAHAUr/0gCy//8APP8kAOECygYmBDIAAAAGAU4UAP//ADz/JADhAsoGJgQyAAAABgFOFAD////YAAABRwORBiYEMgAAAAcBT/+wALL////X/0gBRgLKBiYEMgAAAAcBT/+v/OoAAQAc//UBQgLKABEAAFciJic1FhYzMjY2NREzERQGBogjNRQXNR4ZLRxaLlQLDgtMCgwUMi0CE/30RVkrAP//ABz/9QG+A7AGJgRFAAAABwFIAEQAsv//AGH/9QNOAsoEJgAtAAAABwRFAgwAAP//AGH/9QQ6AsoEJgAvAAAABwRFAvgAAP//AC3/9gIWAv0EBgFVAAAAAQAh//YBvQIiAC8AAFciJiYnNRYWMzI2NjU0JiYjIzUzMjY1NCYjIgYHJzY2MzIWFhUUBgcVHgIVFAYG2CZFNxUiXTcoQSYiQzRIOkVTPzssQygfK14yPVoyNi8gNiExZQoIEAtPEBoSJyIfJxRIJS0mJhERRhMSIT8tMTkNBAkgNCksSCoAAAIAIf/2Ar8CIgAvAEEAAFciJiYnNRYWMzI2NjU0JiYjIzUzMjY1NCYjIgYHJzY2MzIWFhUUBgcVHgIVFAYGASImJicHJzcXFhYzMjY3FwYG2CZFNxUiXTcoQSYiQzRIOkVTPzssQygfK14yPVoyNi8gNiExZQEkGy8mDmISshENHhUUKhMSGDwKCBALTxAaEiciHycUSCUtJiYREUYTEiE/LTE5DQQJIDQpLEgqAQ4YNy8ZRC48LCIPDEIQFv//ADP/9gH9AiIGBgLFAAAAAgAz//YDEAIiACYAMQAARSImNSUuAiMiBgc1NjYzMhYXNxcWFjMyNjcXBgYjIiYmJwcUBgYnMj4CNQUeAwEQaHUBaQkrRC0zTyopUDdegxZqEQ0eFRQqExIYPCAbLyYOIjJpUC86Hgr+7gMSHy4KhXViKzsfExJNEhFeWhw8LCIPDEIQFhg3LwhciUpIJj1JIkoeMCMTAAABAFUAAACtAhgAAwAAcyMRM61YWAIYAAAB/8n/EACtAhgAEAAAVyImJzUWFjMyNjURMxEUBgYWGSYODyATICpYIELwBwVHBAYjMQJr/ZgySCYAAwAEAAAB/wL4AAMABwALAABTNSEVASMRMwEjETMEAfv+rlhYAQJYWAJISUn9uAL4/QgC+AAAAgAEAAABagL9AAMAFAAAUyUXBRMiBhURIxE0NjYzMhYXByYmBAETIP7s4ikvWCxQNR8yExcQKgGSmDiYAVo0P/2/AkFFUiULCEUFCgAAAgANAAABagL9AAMAFAAAUyEVITciBhURIxE0NjYzMhYXByYmDQEy/s74KS9YLFA1HzITFxAqAkNIuTQ//b8CQUVSJQsIRQUKAAABADX/9gIiAv0AKQAAQQ4EFRQWFjMyNjY1NCYjIgYHNTY2MzIWFhUUBgYjIiYmNTQ+AjcBmTxZPSYRI0Y2M0MiR0IWIAsOJhpBYTU7bUxMcD0qUnpPAsYgUVxfXipAYDYrTjZQXwcFRgUHOmxLTHA9RX9WTZKCaCQAAAH/9v8QAgUCGQAjAABXIiY1NDY2NxcOAhUUFjMyNjY3AzMTFhYXMzY2NxMzAw4CYjA8PnNPBDdULhgQFiQnGtZfewsRBAMIEAl7XtgbOUfwOjM5TS0IPwcbMCUVFx1IQQId/qwdNxoeOBkBU/3LSF4u//8AI/8QAOkC+AYmAE0AAAAGAHgVAP//AFX/EAIZAiIGJgBPAAAABwB4AMwAAAADAC7/JAHgAiEAFQAzAD4AAEUiJjU0NjY3Fw4CFRQWMzI2NxUGBgMyFhURIycjDgIjIiYmNTQ2Nzc1NCYjIgYHJzY2EwYGFRQWMzI2NTUBLTUyJTUZMB4oFRgVERcIDhwhYl5AEQQXMT8tME0sfoNbOjUqTCEbI2BOZE03K0Ra3DIsJUQ5Eg8cMjEcFhcEAjgEBQL9Vl7+k0wdJxIiRzZQVwQDIEM0GRBCExv+4gQ4My0qS04w//8AN/8kAgECIgYmAEYAAAAHAU4AsgAAAAIAT/8kAhUCGAAVAC0AAEUiJjU0NjY3Fw4CFRQWMzI2NxUGBhMRIycjDgIjIiYmNREzERQWMzI2NjURAUQ1MhwtGkQfKxUYFREXCA4cvUgNBBE2QCNAVyxZOj08RR3cMiwdNjASBRgtKxYWFwQCOAQFAvT96EccJBEpVkQBX/6nQEAtVz4BFwABAEoAAACiAjwAAwAAcxEzEUpYAjz9xP//AEUAAAEOAxIGJgRaAAAABwa5/2sAAP///9cAAAEXAv0GJgRaAAAABwa9/1AAAP///80AAAEgAxIGJgRaAAAABwa7/08AAP///+cAAAEEAu0GJgRaAAAABwa2/08AAP//AEIAAACpAvMGJgRaAAAABga38QD////JAAAAswMVBiYEWgAAAAcGuP9VAAD//wBK//cCCAI8BCYEWgAAAAcEZQDtAAD////dAAABDQK/BiYEWgAAAAcGwP9YAAD//wAW/yQAuwI8BiYEWgAAAAYGwQUA////vwAAATAC+AYmBFoAAAAHBr//UQAAAAEAG//3ARsCPAAQAABXIiYnNRYWMzI2NREzERQGBnccLBQVKRQuKVcnSQkHCUkKCTM0AZj+cEBPJv//ABv/9wGYAxIGJgRlAAAABga7xwAAAgAAAAACEAI+AAcAEgAAcRMzEyMnIwcTLgInDgIHBzPYY9VgOds8xgULCQQECQoGOKkCPv3Co6MBjA4fIBAQHx8Qn///AAAAAAIQAxIGJgRnAAAABga5/wD//wAAAAACEAMIBiYEZwAAAAYBS0Yk//8AAAAAAhADIgYmBGcAAAAGAUg7JP//AAAAAAIQAu0GJgRnAAAABga24wD//wAAAAACEAMVBiYEZwAAAAYGuOkA//8AAAAAAhACyQYmBGcAAAAGAUpNJP//AAD/JAIQAj4GJgRnAAAABwFOATgAAP//AAAAAAIQA1UGJgRnAAAABgFNdiT//wAAAAACEAOoBiYEZwAAACYGvvK0AAcGuQAUAJb//wAAAAACEAMDBiYEZwAAAAYBTyskAAL//gAAAo4CPAAPABMAAGUjByMTIRUjFTMVIxUzFSERIwMzAVu3RWH/AZHczs7c/s0ncpmjowI8R6lGv0cB9P75/////gAAAo4DEgYmBHIAAAAGBrldAAADAEoAAAHhAjwAEgAbACQAAFMyFhYVFAYGBxUeAhUUBiMjERcyNjU0JiMjFRMyNjU0JiMjFfpNYC4bMSElNh5zX8W4QThAQVlqQD1ARGMCPCFAMCI0IQYDBh83KlJTAjz0LSwsKq/+/TQxLDLDAAEALv/4AecCRAAcAABBIgYGFRQWMzI2NxUGBiMiJiY1NDY2MzIWFwcmJgFGPFQsXV4lRSEgTCxZdjtDfVYrUyUdH0IB+jZjQ2d1Dw1NDQxKhVhWhEsSEkcPEgD//wAu//gB5wMSBiYEdQAAAAYGuS0A//8ALv/4AecDIgYmBHUAAAAGAUlnJP//AC7/EAHnAkQGJgR1AAAABwB4AMYAAP//AC7/+AHnAyIGJgR1AAAABgFIaST//wAu//gB5wLzBiYEdQAAAAcGtwCzAAAAAgBKAAACFwI8AAkAEgAAQRQGBiMjETMyFgc0JiMjETMyNgIXR4dgn66Mk1tmYlNIa2gBJWGCQgI8j4toaf5WbAAAAgAMAAACFwI8AA0AGgAAczUjNTMRMzIWFRQGBiM1MjY1NCYjIxUzFSMVSj4+royTR4dga2hmYlNoaPtBAQCPiGGCQklsbWhpt0Gy//8ASgAAAhcDIgYmBHsAAAAGAUlQJP//AAwAAAIXAjwGBgR8AAAAAQBKAAABkgI8AAsAAFMhFSMVMxUjFTMVIUoBSPHi4vH+uAI8R6lGv0f//wBKAAABkgMSBiYEfwAAAAYGueYA//8ASgAAAZIDCAYmBH8AAAAGAUstJP//AEgAAAGaAyIGJgR/AAAABgFJICT//wBKAAABnAMiBiYEfwAAAAYBSCIk//8ASgAAAZIC7QYmBH8AAAAGBrbKAP//AEoAAAGSAwUGJgR/AAAABwFMAJgAJP//AEQAAAGSAxUGJgR/AAAABga40AD//wBKAAABkgLJBiYEfwAAAAYBSjQk//8ASv8kAZICPAYmBH8AAAAGAU57AAABAEoAAAGRAjwACQAAUyEVIxUzFSMVI0oBR/Dh4VcCPEfAR+4AAAEAL//4AhQCQwAgAABlBgYjIiYmNTQ2NjMyFhcHJiYjIgYGFRQWMzI2NzUjNTMCFCtnOVl+Q0SGYTJaJR4jSShDXS9oZB04FZDkGxATQ4NfVoRMEhFHERA4Y0FtcAkHmkf//wAv//gCFAMIBiYEigAAAAYBS30k//8AL//4AhQDIgYmBIoAAAAGAUhyJP//AC//IwIUAkMGJgSKAAAABwGCAUcAAP//AC//+AIUAvMGJgSKAAAABwa3ALwAAAABAEoAAAIMAjwACwAAQREjESERIxEzFSE1AgxX/uxXVwEUAjz9xAEF/vsCPO7uAAACAAUAAAJTAjwAEwAXAABBIxEjESERIxEjNTM1MxUhNTMVMwc1IRUCU0ZX/uxXRkZXARRXRp3+7AGl/lsBAP8AAaU/WFhYWJ5fXwD//wBKAAACDAMiBiYEjwAAAAYBSF0kAAEAJQAAAP8CPAALAABzNTcRJzUzFQcRFxUlQUHaQUEyEAG3DzQ0D/5JEDL//wAlAAABKgMSBiYEkgAAAAYGuYcA////9gAAAS0DCAYmBJIAAAAGAUvOJP///+sAAAE9AyIGJgSSAAAABgFIwyT//wADAAABIALtBiYEkgAAAAcGtv9rAAD//wAlAAAA/wMFBiYEkgAAAAYBTDkk////5QAAAP8DFQYmBJIAAAAHBrj/cQAA//8AJf9iAcYCPAQmBJIAAAAHBJ0BIwAA/////QAAASYCyQYmBJIAAAAGAUrVJP//ACX/JAD/AjwGJgSSAAAABgFOFwD////bAAABSgMDBiYEkgAAAAYBT7MkAAH/u/9iAKMCPAAQAABHIiYnNRYWMzI2NREzERQGBgEVIg0PHQ4uKVcnSZ4FBUQDBTM0Ai392z9QJv///7v/YgEjAyIGJgSdAAAABgFIqSQAAQBKAAAB+gI8AA8AAFMzET4CNzczBxMjAwcVI0pYCRMUCblk19lls0BYAjz+6gsWFwvT+P68AQwz2QD//wBK/yMB+gI8BiYEnwAAAAcBggEKAAAAAQBKAAABoAI8AAUAAFMRMxUhEaH//qoCPP4NSQI8AP//AEoAAAGgAxIGJgShAAAABwa5/3EAAAACAEoAAAGjAjwADAASAABBDgIHIzU+AzczJREzFSERAaMEFx4PMAUKCQcCV/7+//6qAjISNjkWDA4mKScQAf4NSQI8//8ASv8jAaACPAYmBKEAAAAHAYIA8wAA//8ASgAAAaACPAYmBKEAAAAHAUwA8P6YAAH/8wAAAaECPAANAABlFSE1Byc3ETMVNxcHFQGh/qozJVhXdiacSUnhIjs3AQvdTTpjxgABAEoAAAKVAjwAFwAAQREjETQ2NjcjAyMDIxQWFhURIxEzEzMTApVSAQIBA7BMsAMCAk95rAKrAjz9xAFnFDEqCv4gAeEKKzIX/p0CPP4wAdAAAQBKAAACJAI8ABUAAEERIwEjHgMVESMRMwEzLgI0NRECJGv+3gQBAgIBT2sBIQMBAgECPP3EAdANJCYlEP68Ajz+MgsfJCYSAUgA//8ASgAAAiQDEgYmBKgAAAAGBrktAP//AEoAAAIkAyIGJgSoAAAABgFJcCT//wBK/yMCJAI8BiYEqAAAAAcBggE4AAAAAQBK/2ICJAI8ACIAAGUUBgYjIiYnNRYWMzI2NwEjHgMVESMRMwEzLgI0NREzAiQnSTQWIg0PHQ4oKgT+zAQBAgIBT2kBIwMBAgFPFz9QJgUFRAMFKSwB0w0kJiUQ/rwCPP5ICx8lJhIBMQD//wBKAAACJAMDBiYEqAAAAAYBT1kkAAIAMP/4AkgCRQAPAB4AAEEUBgYjIiYmNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYCSDp2W1p4Ozt4Wlt2Ov5EJU49Pk0lWFg8TiYBH1iFSkqGWFeESkqFV0JjNzZjQ2hzNmL//wAw//gCSAMSBiYErgAAAAYGuTEA//8AMP/4AkgDCAYmBK4AAAAGAUt4JP//ADD/+AJIAyIGJgSuAAAABgFIbiT//wAw//gCSALtBiYErgAAAAYGthUA//8AMP/4AkgDFQYmBK4AAAAGBrgbAP//ADD/+AJIAyIGJgSuAAAABwFQAJkAJP//ADD/+AJIAskGJgSuAAAABwFKAIAAJAADADD/6gJIAlQAGQAkAC8AAEEUBgYjIiYnByc3JiY1NDY2MzIWFzcXBxYWBRQWFxMmJiMiBgYFNCYnAxYWMzI2NgJIOnZbK0cdIjAjKCc7eFosSR0mLycmJf5EExPxFDMePE8nAWIUE+0TMB8+TyUBH1iFShIRMSIxJ3NJV4RKFBE0HzgmcUcuTB0BVQ4PNmNCL0ga/q0ODjdkAP//ADD/6gJIAxMGJgS2AAAABga5MwH//wAw//gCSAMDBiYErgAAAAYBT10kAAIAMP/5Ar8CQwAaACkAAEEyFhYXIRUjFTMVIxUzFSEOAiMiJiY1NDY2FyIGBhUUFhYzMjY3ESYmATcMHB4NATXm19fm/sgLGx0OVnU7O3VaO00mJU07FyUODSUCQwIDAkeoR79HAgQBSoVYV4NJSTViREVjNQUHAaAFBwACAEoAAAHEAjwADAAVAABTMhYVFA4CIyMVIxETMjY1NCYjIxXva2ocOFI2R1eVQUs+QUsCPFhUKkQwGdkCPP7kLj01NdUAAgBKAAABxAI8AA4AFwAAQRQOAiMjFSMRMxUzMhYHMjY1NCYjIxUBxBw4UjZHV1dOa2rlQUs+QUsBIipEMBlrAjxuWMQuPTU11QACADD/eAJIAkUAFAAjAABBFAYHFyMnIiIjIiYmNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYCSE1ViHZsBAYFWng7O3haW3Y6/kYlTT0+TiRXWD1OJQEfZJQdkoBKhlhXhEpKhVdCZDc2ZENoczZjAAIASgAAAfQCPAANABYAAFMyFhUUBgcXIycjFSMREzI2NTQmIyMV6XBtNjufY4lnV6Y7QkRBRwI8U1A3UBT+6OgCPP7yMDQ3Lcj//wBKAAAB9AMSBiYEvQAAAAYGufQA//8ASgAAAfQDIgYmBL0AAAAGAUkyJP//AEr/IwH0AjwGJgS9AAAABwGCAP8AAAABACn/+AGiAkQALAAAZRQGBiMiJiYnNRYWMzI2NTQmJicuAjU0NjYzMhYXByYmIyIGFRQWFhceAgGiMl1BJTwxFyVXLTVCHjsrMEMjNFk4L1MjHCRHIDE7HjspLUYnnjFLKgYNCVAREy0qHSQdDxIpPC4yRSQUD0UQESonHSQaEBEoO///ACn/+AGiAxIGJgTBAAAABga52AD//wAp//gBogMiBiYEwQAAAAYBSR4k//8AKf8QAaICRAYmBMEAAAAGAHhwAP//ACn/+AGiAyIGJgTBAAAABgFIICT//wAp/yMBogJEBiYEwQAAAAcBggDjAAAAAQBF//kCLAJEACYAAEEWFhUUBgYjIiYnNRYWMzI2NTQmIyM1NyYmIyIGFREjETQ2MzIWFwF9XlExXUEqRRscQiU3Rj9ZHm4NNio+Q1hyZldiEwE9BFRHMUspCQlMDAswLTI0OH4gJE1K/psBaGhzS0YAAQALAAABtgI8AAcAAEEVIxEjESM1AbaqV6oCPEv+DwHxSwAAAQALAAABtgI8AA8AAEEVIxUzFSMVIzUjNTM1IzUBtqpzc1dzc6oCPEu2Q/j4Q7ZLAP//AAsAAAG2AyIGJgTIAAAABgFJDiT//wAL/xABtgI8BiYEyAAAAAYAeHEA//8AC/8jAbYCPAYmBMgAAAAHAYIA4AAAAAEARf/4Ag8CPAASAABlFAYGIyImNREzERQWMzI2NREzAg82Z0ttdVhJRkRHWNRFYjVzaAFp/ptJTU1HAWf//wBF//gCDwMSBiYEzQAAAAYGuSAA//8ARf/4Ag8DCAYmBM0AAAAGAUtnJP//AEX/+AIPAyIGJgTNAAAABgFIXCT//wBF//gCDwLtBiYEzQAAAAYGtgQA//8ARf/4Ag8DFQYmBM0AAAAGBrgKAP//AEX/+AIWAyIGJgTNAAAABwFQAIcAJP//AEX/+AIPAskGJgTNAAAABgFKbiQAAgBF/yQCDwI8ABUAKAAARRQWMzI2NxUGBiMiJjU0NjY3Nw4CExQGBiMiJjURMxEUFjMyNjURMwFwGBURFwgOHBQ1Mh0rFFIjLRafNmdLbXVYSUZER1h0FhcFATgEBTIsHTYsDistPi4BM0ViNXNoAWn+m0lNTUcBZ///AEX/+AIPA1UGJgTNAAAABwFNAJcAJP//AEX/+AIPAwMGJgTNAAAABgFPTCQAAQAAAAAB+wI8AAwAAHMDMxMWFhc2NjcTMwPNzWB8DA8GBRIKfGHOAjz+iiMyFxc4HQF2/cQAAQARAAAC8wI8ACQAAEEuAicOAgcDIwMzEx4CFz4CNxMzEx4CFz4CNxMzAyMBmQUKBwICBwkFYl+YVlYGDAoDBAkLB1tVXQYMCgMCCgsDXVWZXwFrFSklDxAlJhP+kQI8/rAXNTETEyowGgFZ/qQWMC0SECwqDQFu/cQA//8AEQAAAvMDEgYmBNkAAAAGBrl4AP//ABEAAALzAyIGJgTZAAAABwFIALEAJP//ABEAAALzAu0GJgTZAAAABga2XAD//wARAAAC8wMVBiYE2QAAAAYGuGIAAAEAAQAAAfACPAALAAB3ByMTAzMXNzMDEyP4lWLBsWCIiGG1w2Tn5wEnARXa2v7o/twAAQAAAAAB2QI8AAgAAEEDFSM1AzMTEwHZwFnAYI2OAjz+ot7aAWL+7wERAP//AAAAAAHZAxIGJgTfAAAABga54gD//wAAAAAB2QMiBiYE3wAAAAYBSB4k//8AAAAAAdkC7QYmBN8AAAAGBrbGAP//AAAAAAHZAxUGJgTfAAAABga4zAAAAQAdAAABwwI8AAkAAHM1ASE1IRUBIRUdAS/+3AGT/tEBNzgBu0k5/kZJAP//AB0AAAHDAxIGJgTkAAAABga55QD//wAdAAABwwMiBiYE5AAAAAYBSSEk//8AHQAAAcMDBQYmBOQAAAAHAUwAmQAkAAEAPf/4AnoC1QBLAABFIi4CNTQ2Nz4CNxc+AzceAzMyNxcOAiMiJiYnDgIVFBYWFRQGBgcnMj4CNTQmJjU0NyIOAhUUFhYzMjY2NxcHBgYBfzhyXzkbGRs9OxYZETxEOA0CDhMXCw4WCA8vKgoJIR8IBhoVDw43Vi8EBB0jGRESDA4vMCFUlWMELTsZCKISKQgqUXVLUWw0EiUgCRMMHh8XBAcmKh8LFggTDCMwEgEMGxgbPT4fKkAmBRgKFSYdK0EzFRgODi5cTmKKSBQeDRVtBAMAAQAB/4QCrALOAGUAAEUiJic3FhYzMjYnLgIHBgYHFhYXFgYHBy4CIyIGBgcnPgMzMhYXNzY2NTQuAjU0PgM3HgIzMjY2NxcGBiMiJiYnDgIVFBYXPgQzMh4CFx4CBwYGBw4DAdYTKRQ0DxoTIzgCAR89LzdGIA4RAgECAo8EHiQPDSIcBQ8GIisqDxYoFQcHEiYyJiU4PC8JEzY0DxMhGgkQPVMFEz05DwsdFBwXCikyMCIFByo6PhsKDQUBARcPOkUiDHwOEEUTFYGMXmYpAQE8OB46GgkgB60GHRkTGAcRCCUoHB8VCAglHRpLVloqH0A7MiEEDBsTExgID0A1FRoJCyczHRZGLgkiKSYYAwwXFBxUUhhDeiwwNBcFAAIAIP/4AhwC0AAsAEkAAFciJiYnByc3NjYzMh4CMzI2NjU0JiY1ND4CNxcGBhUUHgIVFAYGBw4CAz4EMzIeAjMyNjY3FwYGIyIuAiMiBgYH0RAuKQkxEGgECgMDCxYlHjI0EgoLJDMwDAwiIggJCBY6NiQuH8ACEx8qMx0aPDw2ExIpIgkNSE4OCSo2NhUkPCkICBUbCCsQfAUMIi4iM1MvLV1RGgsmKiMIERonEQk8T08cJkRCJRgXBgICCTE9OSYWHRYXGwYSNzcQFRAtPRgAAAIAGP/3A0sC1QByAIYAAFcuAiMiBgcnPgIzMhYWFzY3PgM1NC4CIyIGBhUUHgIVFA4CByc+AjU0LgI1NDY2Nz4CMzIWFhc+AjMyHgIVFRQWMzI2NxcGBgceAhUUFjMyNjcXByc2NjU0JiYjIgYHDgIHDgITNjY3NyImJjU1NCYjIg4CFxYGyAYcIA8YIBcQFjQwEA8fHAgXFgoYFg4hNDkYFS0eHiYeGyclCxAKGhMcJRwaIQoNLD0mKUk0CxM4TDEjJhEECw0LIwoJNVoyESwhGSUPIAcOjkQCBx4vGiU8BgMRGxQYPjzaE0MfiRscChUdFC4qGgECBgkIGxYYGA8cNiUYHQoOEwkhPmZOS2dAHBgoGRUoKCsYESgnHwgSBxgdDRklJCkcFC8oCg0nICtFKR1FMhklJg4eEBkLBBgYLSYBEBQJgpMVBxF0egg5K0M8EA0CGUxQIBg3MQF0ChoHRRgjDhcdKhssMxctUAAAAQAL/48CGQMBAFYAAFciJic0JiMiBgcnPgIzMhYVFBYXFhYzMj4DNTQmIyIGByc3PgM1NCYjIgYGIyImJjU3FwYGFRQWMzI2MzIWFRQOAwc+AjMyHgIVFA4CzxY1FwgXDhoPDA8sNx0SGwEBAx0WMEMpFwhWRiIyCwwvFzYyICY6DDAwDSQhCEsTBAomLyYwITEwHy4wIwQGGh0IMD4kDjhednEHCjswDQkTChwVDhYPHhIeDyZAS0sfRUsQBg1BARosOiEcIQUEDRMJbAwFEQgKDgcqMidBMyUUAgEDAx8vMhRvklQjAAEAAv/3A0MC1ACdAABXIi4CNTQ2MxYWFRQGBw4CFRQeAjMyNjY3PgI3PgI3JiYjIgYGBw4DFRQWMzI+AjUzFhYVFA4CIyImNTQ+Ajc2NjMyFhc2NxcGBgcWFhUUBgYHHgMVFA4CIyImJjU0NjY3Fw4CFRQWMzI2NzY2NTQmJicGBiMiJjU0NjMyFhc+AjU0JicOAwcGBgcOApkzPB4KMSIkGyAWCxoSBhQrJD5ZTCkWKjkpBB80IhU2Iz1xWxwPNTknJBsjS0ApDwUIHzlPMDQ6Jzo5EzicWyhDHBoaCAgPCC8nN1EoCiUmGixIUicdIAwLLTEMFC0eGw0aNxsSFwwQBQ0hBggUIQgQFwUUMSMJFDE8KCEWBQ8IHlt/CR4uMhQoNwEmDyAcAwEBCxAEGRwUUYtYLVNZMgYlLhMIBhgjEQkkNUYqKSguUm0/EDEcJVBGKzQ0K0k6KAshLgsJDAYRAgYDFEEpL0g0EgMUJDkpJ1FFKhkkEAosPSERDCozGxwZOTUkUTceHgwCBwYFCQ8HBAIJOlYyFTMSGk5jdUEQKRFAaD4AAv/8//YEOgLmAI4AoAAAVyIuAjU0NjMyFhUUBgcOAhUUHgIzMjY2NwYGByc+Ajc3NjY3DgMjIiY1ND4CNTQmIyIGBgcnPgMzMhYWFRQGBwYGFRQzMj4DNxcOAwc2Njc+AzMyFhUUBgYHBgYHDgMVBhYzMj4DNzMOBCMiJjU0NjcHBgYHDgMBNjY3PgM1NCYjIgYGBwYGmTlBHAcxIiQbIBYLGhIHFzErOEo+JD9QGQ4QOEcoCyBPPxg7OzMQFRkWHBYECRRCTCUOFjg9OhgZFAQFERAaCgoxQ0tIHgogLSIgFCUuICVcZGIrIiU0bVgTLxocLSARAQsODyswLCEHFAcjLzQzFSE6KyRtAQICDzxZeQILDh0cI05FLBcPCi9HLhcqCic2LwkoNycPIBwDAQEKEAQaHRZDd00XQRwOEy4sDQRDjk0WMCoaGxQNKCsgBQIFLk8zCx5ANyIVFwQKHhcXIAgKHjI8PxwNIkRQY0ELDwpEg2tAIyEbXGIlCBEJPXdjRAsGDRsoLCQICigxLR07Qil7RSIECAUza105AaIFCwwPQE1JGREQE0NHJFAAAv/8//YDBQLVAD4ATwAAVyIuAjU0NjMyFhUUBiMiBhUUFhYzMjY2Ny4CNTQ2Njc2NjMVDgMHBgYHPgI1NCc3FhUUDgIHDgI3PgM3BgYHDgMVFBYWmTU/HwoxIiQbIxccFxEyMitEPR4tOhw7hm9BgDczQTAwIAUSByI/KQUSBQwhQTUdYIN8HkNQYT0ZOhc9cFgzGycKITIyECg3Jw8gHw0PDCYfNV07CjVDHzhsZCkXFw8DPGqRWQ8nDworRzUgEQERHhY5OjEOOWlC7zuCgHIrBA8IFU1jaTAkJhIAAwAL//YDJgLUAEwAWQBnAABXIiYmNTQ2MzIWFzY2NzY2Ny4DNTQ+AjMyFwcmIyIOAhUUHgIXPgQzMhYVFA4CBwcGBgcWFjMyNjY3Fw4CIyImJwYGJzI2NyYmIyIGFRQWFgE2Nz4CNTQmIyIOAo0iOyU9JSZUKREfEwQJBEJSKw80W3VALS0ELSk6Y0koIDI3Fxs9RExULSsmL1VxQxMZRyghPBghSEIYERJBVTImRSArVy0sORUkSSkbNCQzAYNCPB8/LBkTJTwyMAoTJRojICAVGkgrChMKAyo7Phk1YEsrCRIJLk5iNSw4IA0CPH1xWjQqHyRnbFwZM0NZHREYJkQtByNNNBkSGBMSHRwWIhYbFhwOATAcNRtXZTAXG0RxjQADAGEAAAKoAsoABwALAA8AAHMRIREjESMRJzMRIwEzESNhAket7XhDQwGaQ0MCyv02ApX9azUCYP2gAmAAAAH//P/2A14C1ACaAABFIiYmNTQ+AjU0JiciBiMiJjU0NjMyFhc+AzU0Jw4DBwYGBw4CIyIuAjU0NjMWFhUUBgcOAhUUHgIzMjY2NzY2Nz4CNyYmIyIGBgcOAxUUFjMyPgI1MxYWFRQOAiMiJjU0PgI3NjYzMhYXNjcXBgYHFhYVFAYHHgIVFAYGFRQWMzI+AzcXDgMCcB8lDxghGAYCARELCBoWBwsYCwwuMCIwMTwoIRYFDwgeW39VOUEcBzEiJBsgFgsaEggWLSQ+UEIpIFc+BB80IhU2Iz1xWxwPO0AtJBsjS0ApDwUIHzlPMDQ6LUE/EzicWyhDHBoaCAgPCDk4b20aFQMZGQsKDCEjIBYCEAckMz4KGCMRG0VGPRUOEAQECw0OBgsIAxguQy1eIBpOY3VBECkRQGg+JjUuCSg3ASYPIBwDAQELEAQZHBRDfVhDmEwGJS4TCAYYIxEJLEFOKikoLlJtPxAxHCVQRis0NCtRRTELIS4LCQwGEQIGAxlOKUBoGhQrIggdSkQWDRUaKCkgBAkKNT0sAAABABcAAAGmAsoACQAAQTMRITUhNSE1IQFMWv5xATX+3gEiAsr9Nk/9T///AAAAAAJ+A24GJgAiAAAABwFNAKgAPQACADL/9gJGAtUAGgAgAABFIiYmNTQ2NjMyFhcHJiMiBgcRFjMyNjcVBgYDBhUUFhcBfm+USU+abjBdMBpQVStLHz5XKVgqL1bwUykqClqmcGymXQwTOCITEf3OHw0LOwoIAl5Tnk97KQAAAwBhAAACqALKAAsADwATAABzETMRMxEzESMRIxEnMxEjATMRI2Gt7a2t7XhDQwGaQ0MCyv7GATr9NgFb/qU1AmD9oAJgAAIAYQAAAqkCygAJAA0AAHMRMwERMxEjARElNQEVYUwBxzVN/joB3v4iAsr+FgHq/TYB6/4VNWIB/mMAAAQAYQAAAlwCygALAA8AEwAZAABzESEyFhUUBgYjIxEnMxEjEzMRIxM2NjU0J2EBA4B4Qms+Y3hDQ3iLi8EkL1MCym1bPl82/tE1AmD+zwEx/uARQDxrHAAFAD3/VgMAAtUAEAAWAB0AKAAvAABFJiY1NDY2MzIWFhUUBgcXITczJwYGBwMGBhUUFhcXMjcRJiYjIgcRFiU2NjU0JicBdZudS5Nta5JLW0nU/uAjfIgNKA/mLi0tLrpNNxxBJk44NwEHLS4tLgoIw6ZupFxcpW6DoybEMH4EBwECbCmCU1SDKUAbAkgODh39uhw/KYNVVYIpAAAFAGEAAAK7AsoADQARABYAGgAhAABzESEyFhUUBgcTIwMjESczESMBMwMGByczESMTNjY1NCYnYQEDgHhDPd/Dvyt4Q0MBfUqvHh9ji4vBJC8qKQLKY1tCXRf+qgE9/sM1AmD9nwETBgIzASP+7hE8PDc5DQAAAgAmAAACTwLKAAkADQAAczUBITUhFQEhFSUzASMmAW7+sgIJ/pkBXf4dSQFqRzUCYDU1/aA1NQJgAAQAJAAAAssCygAJAA0AFQAbAABzEzMyFhUUBgYjJzMTIxMyNxMmIyMDJTY2NTQnJJf9gZJhu4fEQ4FDS1tHcTFLaoEBMkFCJQLKjJF8wm81AmD9oCICGyP9oEgzoF5gOAAAAgBhAAACGQLKAAUACQAAcxEhFSERJzMRI2EBuP71eENDAso1/Ws1AmD//wA2//YCJgLUBgYCDgAA//8AYQAAAmsCygYGACwAAAACABz/+QJlAtgAZABwAABXIiYmNTQ2NjcmJjU0NjYzMh4CFRQGBiMiJjU0NjcXBgYVFBYzMjY1NCYmIyIGBhUUFx4CFRQGIyImJw4DFRQWFjMyPgI1NCYjIgYGFRQWFwcmJjU0NjYzMhYWFRQOAhMyNTQmJiMiIgcWFuI9WTBFcUMNHTtlPzA8Ig0YMCUiJCMtBRMnGhMiMSEuFC9LKwYbNSMcERM5FSNBMx4gMxwoTT8mJBsbOCUBARIEAiU/KCUjCyhFWHsgGSIOBAcDECAHNFw7PWhGCQ40Ki1SNR4uMhQXOikpHR08EgoQMCAcGTczLDMWNmFDFxEBCRIPEAoUFQo3TlovNTUSHzZIKCUnLk4vBg0GBBIkEihCKCMtDi1POiEBjQoHCgcBEw4AAAL//P/2A1AC2QBNAIUAAFciLgM1NDYzFhYVFAYHDgIVFB4CMzI2Njc3BgYHJz4CNz4CNxcOAgc3NjY3PgMzMhYVFAcWFRQGBgcHPgI3IgcHDgIDIi4CNTQ+AzMyHgIzMjY3Fw4CIyIuAiMiDgIVFBYWMzI+AzU0Jic3FhYVFA4CmS47IQ8EMSIkGyAWCxoSBxctJyxHPR0gOFIWDwwzSi4cN1JBDSUmFxEdBREFAg0VHBEOCUcDCwwDTgsZEwITIAMeYIolIScRBRw6XIBTM0AuLiIlIw0RCSUxHiZEQ0YoNm1ZNhkgCBgyLCMUAgUOEQ4ZM0oKGykrIwcoNwEmDyAcAwEBCxAEGx8WNl08QQcxHQwSJx8DOmVfLwokWmU1BAEHBAUfJBoRCR44BAsPLCYHFhMwLQ4DClSFTAE/GiUkCiFSU0YrDhEOEg4KFCseGCEYLk9lNiYlCyM3QTwWChgXBx08IR1EPicAAf/8//YEggLVAHsAAFciJjU0NjMyFhUUBgcGBhUUFhYzMj4CNz4CNxcOBQcOBAc+Azc2Njc2NjcXDgMHDgQVFDMyNjY3Fw4CIyImNTQ+Azc+BDcOAgcGBgcGBiMiJiY1NDY2Nz4DNw4DBw4Dgj1JMyghFykuDQgSKiQ3X1ZXLz98aSMQBBggIx8WAwQXHx8XBRg5Pz4cLD0iOGYeEREwNjISDCIkHxQIEjg/GgwZQEAaIigZJiwnDA8vNDAjBhBVeUc9WSMeMxQWFAYYR0YSMDAkBiFTWVAeKFFXZwpKOio7IxQXKAYBCwkGIh49ZX5AVpRrGAoKNUhORzIICjhOVU8dGFVmZCc8TyQ8UxIQGFNjYCYZSlRQQBEOLkYiCiNJMjdIHUtQSzwQFTk+OCgGC0WAZFaXNS09JjQTFl2YbBxGQzIIGFpraSc2d2hBAAQACf/3AoIC+AASABoAJwArAABXIiY1ND4CMzIWFxMzAyM3BgYDDgIVFBYXFzI+AjU0JiYjIgYHEzMTI5pAUSJCY0A0RAtCraKtFidSDSI9JhgUMy9RPCETMC0ECQV6Q4xCCVxbQoNtQTcoATb9CGU0OgHlFVZ5TC47DQs+Ym8yIDsmAQH+RgKSAAQACf/2AfQCIgAXAB4AKQAvAABXIiY1ND4CMzIWFRQGBwcWMzI2NwcGBgMGBhUUFhc3NjY3NyYiIyIGBxc2NjU0J+htcipTeE5IYI+eJx8uLV4tBStaXjlBFhhhHDQXJQQJBRcrFHskKS8KbV1AfWc+PD5CZA6+ChoWPxMUAccph0gnPBTcAgkFsQEICI8QLR8nEgAEACAAAAFWAwEAAwAHABIAHQAAcxMzAyczEyM3IiY1NDYzMhUUBicyNjU0IyIGFRQWIHGucm5DXEM9Ii0yL0w7Hw8ZIBQVEwIY/egxAbJtJiUqPEczNzIYFh8bERARAAAE/2//EAFWAwEAEQAXACIALQAARyImJzcWFjMyNjcTMwMOAzc2NjcTIzciJjU0NjMyFRQGJzI2NTQjIgYVFBZBFCgUCw4dERsuCoiueQclP100HjcNaUI9Ii0yL0w7Hw8ZIBQVE/AHCTUGCCMvAn/9zyBKQypNFEE8AfVtJiUqPEczNzIYFh8bERARAAIABf8QAgMCGAAVACEAAFc0NjY3ATMTFhYXPgI3EzMDDgIVEzY2NwMjFx4DF9MNFw/+/7d+BxECAQcJA2I5yA8WDBMCEgqhRG8JGhsUAvAcVF0pAhL++A4lCwMYGwcBCf31KFxXIgEsDDQeAU3oEzc7MQ0AAwAx//YC/QIYAB0AIQA0AABFIiY1NDY3EyMDIxMjNzchByMDBgYVFBYzMjcHBgYlMxMjATI2NzcjIiY1NDcTIwMGBhUUFgIdPFEKBDuIZq1mcwRPAnkLbDsEBRgRGhcaEzz+SkNcQwFLDh4KBwQxHwk6QTwECDMKRTsUNRYBDv4dAeMSIzX+8hUdCxIPCnwHCDsBsv5FAwElKhwXJwEO/ukUKxcmKAAAAQAZAAACGAL4AB4AAHMTMwcGBgczNjYzMhYWFRQGBwMjEzY2NTQmIyIGBwMZeFgjAwgFBhxYMDtSKwICN1c2AgEzOFZTDiwC+N8TJBAoJyJDMgoXDP6jAVcJEQguMWVe/usAAAEAGAAAAiYC+AAmAABzEyM3MzczBzMHIwcGBgczNjYzMhYWFRQGBwMjEzY2NTQmIyIGBwMYeUgJShJYEsgJyhEECgUFJF5BMEUkAwRDWEADAzAvV1oUNgJfPltbPlMRKBMrKx48Lw0eEf6vAT8OHQ0sKWFh/vYAAAIAGP/2AbkBkQAoADQAAFciLgI1NDY3Byc+Ajc2NjMyFhYVFA4CBwYGFRQWMzI2NjczDgInPgM1NCMiDgK9JjEcCwsJLA8IISEGN4dDJSEKFzpmTwcKDhEdTlIjFh5SXC07TCsRGhkyLSUKGyksEBwkFTUNCigmB0FOGiALFzo6Mg8PKBMTGytMLylWOZ8TPEA0DBsyS08AAgAY//YB2wGRACMAOwAAVyIuAjU0NjcHJzc+AjMyFhYVFAYGBz4CNzMUDgIHBgYnMjY3JiY1NDYzMhc2NjU0JiMiBgcGFRS7JTAcCwsJLA9QHkxTJisuEx0zIhAvMRMTFipAKhs7HhMpFAYIIhINByArGg4dTTcrChspLBAcJBU1DV8kQikdKxUdVVolBBcuJgInMScDGR8SFhMDDAoUGwMxbyslEl1rUy4nAAP/q/57AlEBjQAyAEEAVAAAUyImJjU0PgM3Nw4CIyImJjU0NjcHJzY2NzY2MzIWFTczAz4CNzMOAgcHDgMnMjY2NzcOBRUUFhMyNjY3NjY1NCMiDgQVFBYJISoTNVNfVxwiCCQzHiQlDhUNQQ0jOx0jXjopJy52zidCLgoUBTNUNk4SO0tYMCI1MRlPBy9CRj0mH78hQjsVER8iFTAxLSMVEv57IiwQIURBOSsNRwkfGCk4Fhs4EEANJkQiKTohKED+mBc6NQ0MP0kckydUSS0SLU8xmgMaKDM7QCEfFAF+N1QsIkogKCtFUE47DQ0IAAEAN/+gAV0BaAAXAAB3FAYHMzY2MzIWFRUjNTQmIyIGFRUjETNwAQIEEToiP0A4Jyc7LDk54gwXChkZOD7RziYnPTimAcgAAAEAN/+gAVUBaAASAAB3FAYHMzY2NzczBxcjJwcVIxEzcAIBAwYbCHBDjpdFeSc5OXoKHwsHHwltiriWIHYByAABADf/oABwAWgAAwAAVyMRM3A5OWAByAABADf/oAIrAOgAJgAAZTIWFRUjNTQmIyIGFRUjNTQmIyIGBhUVIxEzFzM+AjMyFhczNjYBtTs7OCMkMyw4IyUjKBI5LgkDCyAnFSg2DAQRPOg4P9HPJiY2M7LPJiYbNCWnAUIsERYLGxsbGwABADf/oAFdAOgAFAAAdzIWFRUjNTQmIyIGFRUjETMXMzY23z5AOCcnOyw5LgkDETzoOD/RziYnPDinAUIsGRkAAgA3/xABbADoABUAIgAAdzIWFRQGIyImJyMWFhUVIxEzFzM2NhciBgcVFBYzMjY1NCbdQE9PQSg0EAMBAjkvCAIQMyA2LAErOS8uLuhTVFJVHBMLHwuEAdIsFR0tNzgLO0BGNjdCAAABACH/mgEaAOgAKAAARRQGIyImJzUWFjMyNjU0JicuAjU0NjMyFhcHJiYjIgYVFBYWFx4CARpLQCU0FBQ8HiwnIzMiMBpIOx84GBQVMRkjJREnISIuGQcvMAsJMAkQGRYSGhIMGCIaKS0MCioJCxUSDRMRDAsYIgABAAr/mgDcASsAFwAAVzI2NxUGBiMiJjU1IzU3NzMVMxUjFRQWrAwcCAkiDyk9MjIXImVlHzsEAygEBik7uxkVREkpuh0dAP//ACL/9gIBAiMEBgUg7AD//wBJAAABaAIjBAYFITIA//8ALwAAAfkCIwQGBSIDAP//ACf/UwHmAiMEBgUjCgD//wAF/1gCFQIjBAYFJO0A//8AMP9TAfYCGAQGBSX1AP//ACj/9gIAAtUEBgUm8AD//wAg/10B/QIYBAYFJw4A//8AJf/2Af4C1AQGBSj0AP//ACL/VAH7AiMEBgUp8wAAAgA2//YCFQIjAA8AGwAARSImJjU0NjYzMh4CFRQGJzI2NTQmIyIGFRQWASRQajQ3bE48WTseeXdMSUtLSkpKCkd+U1R8RShJZj5/mUpnZ2ZlZWZkagABABcAAAE2AiMADQAAYSMRNDY2NwYGBwcnNzMBNlkBAwEJIBRjK9VKAT4aMy4RChwOSTubAAABACwAAAH2AiMAHQAAYSE1Nz4CNTQmJiMiBgcnNjYzMhYWFRQGBgcHFyEB9v42xDQ/HBo2KSlUKS4zb0E9Vy8jQzGLAQE/R4slMS8gHisXICI9LCUnRjEtRDwiZQMAAQAd/1MB3AIjAC0AAEEUBgYHFRYWFRQGBiMiJic1FhYzMjY1NCYmIyM1MzI2NjU0JiMiBgcnNjYzMhYBxiA9LlNOP3JPP1knJF40U1kvVj09PjBPMEg1M0krKCtpQFx1AXctRCwLAwpSSkJfMhYTTxMcSkQqNRlKGTkwNDgbHTwjIlsAAgAY/1gCKAIjAAoAFQAAZSMVIzUhNQEzETMnNDY2NyMGBgcDMwIobVb+swFJWm3DAQICBAcdFrv0Ebm5OgHY/jXMHTU1Gw0xIP7wAAEAO/9TAgECGAAhAABBMhYWFRQGBiMiJic1FhYzMjY2NTQmIyIGBycTIRUhBzY2ARFHbD1BeFQ3XyMvXS82TytcUh1EISgbAWr+5RIgNQEFLlxFS2UzFhNQFxkgQjJHRwkJFwFVTtEGBgACADj/9gIQAtUAIQAwAABTND4CMzIWFxUmJiMiBgYHMz4CMzIWFhUUBgYjIi4CFzI2NTQmIyYGBhUUHgI4LFZ6ThcsFhQuGkxqOQUGFjY/IkNdMjZmSD1cPR7yQ0tHQihILBUnOAEva59pMwUFSQYFQoNiHykVNGNFSWw8LlRyqlVSRk8BJj0jIUE1IAAAAQAS/10B7wIYAAYAAFcBITUhFQFzARn+hgHd/uWjAm5NOP19AAADADH/9gIKAtQAHwAvAD0AAEEyFhYVFAYGBx4CFRQGBiMiJiY1NDY2Ny4CNTQ2NgMUFhYzMjY2NTQmJicOAhMiBhUUFhYXPgI1NCYBHT9gNyU+JSxIKzppR01rNylEJyM5IThgWSFDMzFCIyNJOiw8H5U3RyM8JCM3IUYC1CdMOCtAMRMVNUYxPFcwLlU9MUg0EhQzQiw3Syj94SI3ICA4JCI1LBYTLDgBszUyJTIjEA8kMyQyNQAAAgAv/1QCCAIjACAALwAAZRQOAiMiJic1FhYzMjY2NyMOAiMiJjU0NjYzMh4CJyIGFRQWMzI2NjU0LgICCCpUfVIbMBUVMxVObT4FBBQzQythbTdnRjhbQCLzREpHQyhGLRMmOehpmWIwBgVJBgc/gWEhKxRxZ0hrPCdOdqFWTEhNITwoIj8zHgAAAgA3//YCEQLVABEAHwAAQRQOAiMiLgI1NDY2MzIWFgUUFjMyNjU0JiYjIgYGAhEaOVtAPFk6HS9oVVBqNP5+Q1FQRR5BNjZBHQFmV4hfMjJfiFd0pFdXpHSTkpGUYoFBQYEAAAEAGQAAASMCygAMAABTNDY3BgYHByc3MxEjzQICEBoUTC7BSVYB8ys0HBAWET47lv02AAABACYAAAH+AtQAHQAAczU3PgI1NCYjIgYHJz4CMzIWFhUUBgYHBxUhFSa7NkomRjg0TykvHENPLUNgNS5SN5UBaUm9NlRRMDs9JCA7GCYWLlU7OGJfNpMEUAABAC3/9gIDAtQALQAAQRQGBxUWFhUUBgYjIiYnNRYWMzI2NjU0JiYjIzUzMjY2NTQmIyIGByc2NjMyFgHtUERWVDp5XzhgLC1oMEBQJS9aP0VGO08pRjw6UigsJnFIcG0CI0hVDgQKWEc+YTYRFlIWGSI/LC03GksiPSg0OSIaPB4sZAACABUAAAIoAs4ACgAVAABhNSE1ATMRMxUjFQM0NjY3IwYGBwMhAWv+qgFQW2hoVQECAQQKIAvLAQCiSwHh/iNPogHSIzktERMyD/7ZAAABAD//9gIDAsoAIQAAQTIWFhUUBgYjIiYnNRYWMzI2NjU0JiMiBgcnEyEVIQc2NgETSWw7QHdUN2EhJGcvNU8sVl0cSBYsGwFm/uUREToBtjJdQ0prORQTUxYZIUU0RksKBRwBUVDPAwgAAgA3//YCDQLUACMAMgAAUzQ+AzMyFhcVJiYjIg4CBzM+AjMyFhYVFAYGIyIuAhcyNjU0JiMiBgYVFB4CNxEqSnFRFTMQEi0XRVw1GAMGDy5BKz5dNDhlRjNYQyXyP05FRS9GJxMnOQExPnhrUy8EBUsGBi5QaDsYJhYzYUVKbDomTnehUVVEUCc8ICFANiAAAQAIAAAB5wLKAAYAAHMBITUhFQFkASX+fwHf/t4CelBE/XoAAwA6//YCEwLUAB4ALwA9AABFIiYmNTQ2NjcuAjU0NjYzMhYVFAYGBx4CFRQGBicyNjY1NCYmJycOAhUUFhYTPgI1NCYjIgYVFBYWASlNazcpRCcjOSE4YD1eeCU+JSxIKzppSTFCIyVDLhAsPB8hQzYjNyFGOjdHIzwKLlU9MUg0EhQzQiw3SyhYUytAMRMVNUYxPFcwRiA4JCM1KhEGEyw4JSI3IAFgDyQzJDI1NTIlMiMAAgAy//YCCALUACMAMgAAQRQOAyMiJic1FhYzMj4CNyMOAiMiJiY1NDY2MzIeAiciBhUUFjMyNjY1NC4CAggRKkpyURQ1ERIwFkZbNhgCBg8uQSw9XTM5ZkUzWEIl8j5PQ0YwRicTJjoBmT15a1MvBQVLBgcuT2k6FyYWM2BFS2w6J052oVJURE8mPCAgQTYgAAADADH/9gILAtUAAwAUACQAAHcnARcXFA4CIyImJjU0NjYzMhYWBRQWFjMyNjY1NCYmIyIGBpA4AUo4MRo5W0BQaTMvaFVQajT+fh1BNjZBHh5BNjZBHao4AUo4jleIXzJYpXN0pFdXpHRigkFAg2JigUFBgQD//wAT/3YBSgEyBgcEBwAA/d7//wAl/34A8AEqBgcAeQAA/d7//wAY/34BMwEzBgcAcgAA/d7//wAR/3YBQQEzBgcAcwAA/d7//wAK/34BVQEtBgcBgwAA/d7//wAe/3UBQAEqBgcBhAAA/d7//wAU/3YBTAEyBgcECAAA/d7//wAc/34BQwEqBgcBhQAA/d7//wAZ/3YBRQEyBgcBhgAA/d7//wAR/3YBSQE0BgcECQAA/d7//wAT//gBSgG0BgcEBwAA/mD//wAlAAAA8AGsBgcAeQAA/mD//wAYAAABMwG1BgcAcgAA/mD//wAR//gBQQG1BgcAcwAA/mD//wAKAAABVQGvBgcBgwAA/mD//wAe//cBQAGsBgcBhAAA/mD//wAU//gBTAG0BgcECAAA/mD//wAcAAABQwGsBgcBhQAA/mD//wAZ//gBRQG0BgcBhgAA/mD//wAR//gBSQG2BgcECQAA/mD//wATARYBSgLSBgcEBwAA/37//wAlAR4A8ALKBgcAeQAA/37//wAYAR4BMwLTBgcAcgAA/37//wARARYBQQLTBgcAcwAA/37//wAKAR4BVQLNBgcBgwAA/37//wAeARUBQALKBgcBhAAA/37//wAUARYBTALSBgcECAAA/37//wAcAR4BQwLKBgcBhQAA/37//wAZARYBRQLSBgcBhgAA/37//wARARYBSQLUBgcECQAA/34AAwAP/3METQL4AA4AHQAsAABBBzcXBxcHJwcnNyc3FycDBzcXBxcHJwcnNyc3FychBzcXBxcHJwcnNyc3FycCXxTADrh3VlVNWXW2Dr4V1RTADrh3VlVNWXW2Dr4VAs0UwA64d1ZVTVl1tg6+FQL4wDZcD54vr68vng9cNsD+PcA2XA+eL6+vL54PXDbAwDZcD54vr68vng9cNsAAAgA2ACYCJwIYAAoADgAAZSImJjU0NjYzIREnMxEjAQlEXzAyY0cBFaBjYyYzbVdZbzP+DkMBbQACAFgAJgJJAhgACgAOAAB3ESEyFhYVFAYGIyczESNYARVIYjIwXkXhY2MmAfIzb1lXbTNDAW0AAAIAT/9iASsCygADAAsAAFMzFSMTIxEzFSMRM1zPz8/c3I2NATlE/m0DaEX9IgACABj/YgD6AsoABwALAABXNTMRIzUzEQM1MxUaiorg4s6eSALYSPyYAZJGRgAAAQAU/xABewBRAAYAAFcTMxMjJwcUoCifPHZ58AFB/r/09AAAAgAQ/xABZwGSAAMACAAAVwEzATMnJzcTEAEZPv7nxWQQK4XwAoL9fvQwEP7MAAEAFwJGAkoDGAARAABTPgIzMhYWFwcuAiMiBgYHFyFTZz4/Z1QgKRlMWzEwW0oaAlw/VCkpVD8WNkYiIkY2AP//ABf/EAJKAxgEJgV0AAAABgVaAAAABQAn/+sC9gLeAAsAFwAjAC8AOwAARREhNSERMxEhFSERJSImNTQ2MzIWFRQGISImNTQ2MzIWFRQGASImNTQ2MzIWFRQGISImNTQ2MzIWFRQGAWj+vwFBTAFC/r7++hogIBoaHx8BnRogIBoaHx/+LxogIBoaHx8BphogIBoaHx8VAVRMAVP+rUz+rFYfHyEdHSEfHx8fIR0dIR8fAcweICEdHSEgHh4gIR0dISAeAP//AEj/8gKQAtQEJgACAAAABwAgAPgAAAAFADX/8AMIAtgACwAXACMALwA7AABBNDYzMhYVFAYjIiYBNDYzMhYVFAYjIiYlNDYzMhYVFAYjIiYBNDYzMhYVFAYjIiYlNDYzMhYVFAYjIiYBXh4bHB4eHBse/tceGxweHhwbHgJXHhscHh4cGx79qR4bHB4eHBseAmAeGxweHhwbHgFrHx0dHx4eHv7fHx0dHx4eHh4fHR0fHh4eAo4eHh4eHh0dHh4eHh4eHR0AAAEAHf/8AhoB+QAXAABlIxcHJxUnNQcnNyM1Myc3FzUzFTcXBzMCGrJ+LX4/fix+s7N+LH4/fyx+stt+LH6zAbJ/LX4/fyx/s7N/LH8AAAQANf/1AlkC7QALABcAIwAvAABBIiY1NDYzMhYVFAYDIiY1NDYzMhYVFAYDIiY1NDYzMhYVFAYhIiY1NDYzMhYVFAYBQxogIBoaHx8aGiAgGhofH+4aICAaGh8fAZcaICAaGh8fAnEeICAeHiAgHv2EHiAhHR0hIB4BPB4gIR0dISAeHiAhHR0hIB4ABAA0//ADAQLYAAsAFwAjAC8AAGU0NjMyFhUUBiMiJhE0NjMyFhUUBiMiJgE0NjMyFhUUBiMiJiU0NjMyFhUUBiMiJgFcHhscHh4cGx4eGxweHhwbHv7YHhscHh4cGx4CWh4bHB4eHBseLB8dHR8eHh4Cjh8dHR8dHh7+4x8dHR8eHR0eHx0dHx4dHf//AEgAswDEAToGBwAPAAAAwf//ACgA5QEaATMGBgAOAAAAAwAU//UBnQLUABQAIAArAABTBgYHJzY2MzIWFRQGBgcOAhUVIxciJjU0NjMyFhUUBgM2Njc+AjU0JieAEyYVHjBaNF9sGjUoFiESSiQaHx8aGh8fAQcUDSglC0M1AokEDgs5FxhbUy1BNx0QIzIoDNYeHyAdHSAfHgFxCxULHy8tGjU4AwABABf/GgJK/+wAEQAAVyc+AjMyFhYXBy4CIyIGBkApIVRnPj9nUyAqGUxaMDFbS+YWP1QpKVQ/FjZGIiJG//8AKf85AfwA+wYHAAsAAP4D//8AvP/yATgAeQQGAA90AP//AAz/8gM9AtQEJwAgAaUAAAAGACAAAP//AAz/8gJeAtQEJgAgAAAABwACAZoAAAAFADL/8QMTAtUACwAXACMALwA7AABzJwEBNwEBFwEBBwEFIiY1NDYzMhYVFAYBIiY1NDYzMhYVFAYDIiY1NDYzMhYVFAYBIiY1NDYzMhYVFAZvLgEy/s0uATQBNS7+zAEyLv7N/sYYHh4YGR4eAR0cGRkcHRoaHRwZGRwdGhoBIRgeHhgZHh4uATYBNS/+ywE0Lv7L/skuATYOGx8fHBwfHxv+yiAcGyAgGxwgAm0gHBsgIBscIP7JGx8fHBwfHxsAAAEAXv+BAkwC+AASAABXESEyFhYVFAYGIyImJxEjESMRXgESQmM3M1w+EScPOmZ/A3cubWBbbC4FBP5wAz/8wQACACz/fwDPAiYACwAXAAB3NzMeAxcjLgITFAYjIiY1NDYzMhY3B14ECw4PB0IQIRxoIxoaJSUaGiNpCxo+QUAcJFFSAZwkICAkJh4eAAABAE8A1gOcAXUAHQAAQTI2NjczDgIjIi4DIyIGBgcjPgIzMh4DAuUlNSEINAc3VDIuYGJfWykkNSEINAc3VDIvYWBeWgEZFygZM0UjExsbExgoGTRFIxMbGxMAAAMANf/wAdAC2AALABcAIwAAZTQ2MzIWFRQGIyImETQ2MzIWFRQGIyImATQ2MzIWFRQGIyImAV0eGxweHhwbHh4bHB4eHBse/tgeGxweHhwbHiwfHR0fHh4eAo4fHR0fHR4e/uMfHR0fHh0dAAEAJAAAAgMCGQAGAABzASE1IRUBggEl/n0B3/7eAdZDN/4eAAMASP/yAMQCugALABcAIwAAUzQ2MzIWFRQGIyImFTQ2MzIWFRQGIyImETQ2MzIWFRQGIyImSCQZGiUlGhkkJBkaJSUaGSQkGRolJRoZJAFVJR4eJSQgIPslHh4lJCAgAmUlHh4lJCAgAP//ACn/OAH8AvgGJwALAAD+AgAGAAsAAP//AEj/8gHQAHkEJwAPAQwAAAAGAA8AAAACADX/9QCoAtUACwAXAABTNDYzMhYVFAYjIiYRNDYzMhYVFAYjIiY1IBoaHx8aGiAgGhofHxoaIAKXIB4eICAeHv28IR0dISAeHgAAAQAX/xACSv/iABEAAFceAjMyNjY3Fw4CIyImJidAGktbMTBaTBkqIFNnPz5nVCEeNUciIkc1Fj9TKipTPwABAEQA4gFIAgcAAgAAdxEFRAEE4gElkv//AD7/SwDcAWMGBwV4AAD92P//AAb/SwCkAWMGBwV5AAD92AABAD4BcwDcA4sADQAAUzQ2NzMGBhUUFhcjJiY+Ly1CLzEwMEIrMQJ/U4U0NotLSYw3MIkAAQAGAXMApAOLAA0AAFMUBgcjNjY1NCYnMxYWpDAsQjEvMS9CLS8CgVSGNDeNSUuKNjSJ//8AKADlARoBMwYGAA4AAP//ACgA5QEaATMGBgAOAAD////mAcgBZALKBCcFfQCjAAAABgV9AAAAAf/mAcgAwQLKAAMAAFMTIwNAgTqhAsr+/gEC//8AJwHIAwACygQmAXAAAAAnAXAAqgAAACcBcAFUAAAABwFwAf4AAP///+YByAIGAsoEJwV9AUUAAAAnBX0AowAAAAYFfQAAAAEAH/+CAOMCQgAOAAB3NDY3MwYGFRQWFhcjJiYfPDpOOzkZMydNOzvfZbhGSrlgPnpyM0S1AAEAF/+CANsCQgAOAAB3FAYHIz4CNTQmJzMWFts8O0wnMhg3O00+Od9ktkMzcno+YLlKSbkAAAEAGP9/AR0CPgAlAAB3MjY2NTU0NjYzFSIGBhUVFAYHFRYWFRUUFhYXFSImJjU1NCYmIxgdKhcfSj4cKhYnLCopFikdPkofGCoc/xAgGXopNxxBDR0Ycy4yCAMHMS92FxwNAUAZNyx2GiERAAEAG/9/ASACPgAlAABlIgYGFRUUBgYjNT4CNTU0Njc1JiY1NTQmJiM1MhYWFRUUFhYzASAbKhggSj4dKRYqKSkqFikdPUohFiodvREhGnYsNxlAAQ0cF3YvMQcDCC8xcxgcDkEbNyp6GSEPAAEAPP9/APECQgAHAABTMxUjETMVIzy1a2u1AkI+/bg9AAABABb/fwDLAkIABwAAUyM1MxEjNTOBa7W1awIEPv09PQAAAgA1//cAngI8AAMADwAAUzMDIwc0NjMyFhUUBiMiJjlhD0MTHRgXHR0XGB0CPP5tfR0ZGR0bGhoAAAIANv91AJ8BuAALAA8AAFMUBiMiJjU0NjMyFgMjEzOfHxYWHh0XGB0FYQ9DAYMeGBgeGxoa/dcBkQACAA3/9wFaAkQAHwArAAB3NDY2Nz4CNTQmIyIGByc2NjMyFhUUBgYHDgIVFSMHNDYzMhYVFAYjIiZ0Cx8dIyEJNCkePiMfKUwuUFoWLCEUHA9EDh0YFx0dFxgdvx4tJxMYJCESJicREj0UFkpDIzUsFg0bJB0LfR0ZGR0bGhoAAAIAF/9sAWQBuQAfACsAAHcUBgYHDgIVFBYzMjY3FwYGIyImNTQ2Njc+AjU1MzcUBiMiJjU0NjMyFv0LHx0jIQk0KR4+Ix8oTS5PWxYtIBQcD0QOHRgWHh4WGB3xHS4nExclIRImJxESPRQWSkMjNSwWDholHAt9HBoaHBsaGgD//wA1//cBZgI8BCcFhgDIAAAABgWGAAAAAQAfACoA4QGDAAYAAFMHFwcnNTfhZmY7h4cBYYuLIaYLqAAAAQAdACoA3wGDAAYAAHc3JzcXFQcdaGg7h4dLi4siqAqnAAIAFf/2AkwClAALACQAAHMRIzU3NzMVMxUjESUyNjcVBgYjIiYmNREjNTc3MxUzFSMRFBZhTFAgNLS0AT0YKhQUNR8vRCNYXCA1mpooAdMqHHt7Rv4tPwcFRAcKIUk8ATcqHHt7Rv7NMTAAAAEAOwAAAukCygAfAAB3ND4CNzUzFR4DFRUjNTQuAicRIxEOAxUVIzshSHFRWEtwSyVZGzRPNFg5UDIXWZNbglQsBdXVBSpTgVyWlEpnQCAE/vsBBQQhQGZJlQAABAAKAAACHwLKAAsADwATAB0AAHMRMzIWFRQGBiMjESc1IRUlNTMVNzI2NjU0JiMjEWG8g38+eVlUsQFW/qrlEz1VLlRZWgLKamVEYTT+3ohBQZpMTEwaPDREQv7wAAIAVQAAAs4CygAPAB8AAHMRMzIWFhURIxE0JiYjIxETMxEzMjY2NREzERQGBiMjVedJXy5RIj8ujGVRiDNEIlEuZFHgAso5ZUP+zQEyNEYj/XsCFP4xJEczAef+GUFnOwAAAgAW/7ECpwLUAEQAaQAAQR4CFRQOAiMiJiYnJiY1NDYzMhYHIzQmIyIGFRQWFx4CMzI+AjU0JiYnLgM1NDY2MzIWFwcmJiMiBgYVFBYWAREXFzM2NjMyFhczNjYzMhYVFSM1NCYjIgYVFSM1NCYjIgYVFQHmOFcyJElqRyZaVyQ2QiAiKSUBNAwRCggpJSRTVic0TjQaKk82JkMzHD1pQjRhMR8uUikpQCMoSP66GwoKES4aISsKAhExFi4wNhgdHCk2GholIQGMFjNLOi9KNBsHEQ8WQiwaKzZEKSUOCxYqDg0QBxIhMB4qNScUDiMuQSw8VS0WFUgTFBoxJCgwIv4SARgDER0VGRocFzE8ycMoHi8qsMAlJDk3mQACABEAAAIRAsoABwALAABhIxEjNSEVIyUhFSEBPlrTAgDT/tMCAP4AAeBOTupOAAACAA7/9wL5AtEACgBIAABTNCYjIgYVFBYzMwMnJRc3FxYWMzI2NSYmIyEVFBYWMzI2NxUGBiMiJiY1NSMiJiY1NDY2MzIWFhUhMh4DFRQGIyImJycHJ88mHRkiJSsuKSUBBkZQLxEhFBoRAUFO/u0qWEUgPiUdPyNkezcSNE8sITslKT4kAQgvSDIfDzEwIjIWEVVKAjExNx4dIyn+TC/fT0szEx8xJDBAcGZ5NQkLTgoJU59xbhw/MiU4HyZTRhQjLzgdPk8jFxJQUgADAEEAAALHAwIAHgAiACYAAHM1NzUuAjU0NjYzMhYWFSM0JiYjIgYGFRQWFjMhFQERMxEzETMRcWUzQiBLkWhlkE1dL2VRT2YyPHFNAQL+gkBSQEAKAx9Zbj5jllVWn25XgEZDeVNUgUlMAV0Bpf5bAaX+WwAABwBh/54CGAMvAAMABwALAA8AIwAsADYAAEE1MxUjNTMVEzUzFSM1MxUnETMyFhYVFAYGBxUeAhUUBgYjAzI2NTQmIyMVFREzMjY1NCYmIwFDQMZARkDGQJykVHE5GzUnKD8lN2ZHHVI9S1JOaFNCHUQ7ApmWlpaW/QWWlpaWYgLKIk5BKkErCAUHJkY4QVsvAZo7Ojsz40v+/Uo8JjgfAAEAXf8QAf4C1AAlAABBMhYXByYmIyIGFRUzFSMRFAYGIyImJzUWFjMyNjURIzU3NTQ2NgGXIDQTFhApFSsph4UnSjYTIw4PIBAqKGlpKEsC1A4HRAULLj5FRP4qQU0iBQRJBAUsOwHWKR5BRU8iAAABAFP/9QLuAsoAJwAAQRUjHgIVFAYGIyImJjU0NjY3IzUhFQ4CFRQWFjMyNjY1NCYmJzUC7p4mRS1MkmlqkkwsRiWdAQw+SiAyaFBQZzEgST4Cyk8bVnVLYppZWJpiS3ZWG09ILFxrQkx4RUV4TENqXCxIAAEAJf/mAkACWQAiAABFLgMnDgIHIz4CNyYmJzceAhc+AjUzDgIHFhYXAgsdREtQKSszFwNJAh5BNCZJIDYrXmAtJzEZTgQkQC4vUCEaJ1xjZTA7e3Y2P4mLQitJHTQoZnE6LmpnKDd8eDE8bS4AAwAC//UCpwLUACUAMAA8AABFIiYmNTQ2NycGBgcjNjY3JzMXPgIzMhYWFRQGBgceAhUUBgYDPgI1NCYjIgYHEzI2NTQmJwYGFRQWAaw1TipSPcEaIQtZEDElkndXIEdYN0VlNyVFMBYnGi1SDSQ0G0o+QFsgpyo1JiQ7MzELJUUwP1gkuh9RL0FtKY5UHCoYLVg/M0o6Gxg0PCUxRiUBgBYqNCQ3Qiod/f4sJyQ9JSI8KSQuAAABACIAAAHqAkUAEQAAczUhETQmJiMjNTMyFhYVETMVIgE2HUY8gYFUZCxNPQEpO0cgPStmWf7iPQAAAwAH//UBbQLVAAsADwAbAAB3NDYzMhYVFAYjIiYTASMBBTQ2MzIWFRQGIyIm+iAaGh8fGhogc/7nTQEZ/uggGhofHxoaIDMgHh4gIB4eArf9NgLKMyAeHiAgHh4AAAEAAgAAAbQCRQAHAABhESE1IRUjEQEi/uABsk0CCD09/fgA//8AI//tAS8AkAYHBaoAAP3sAAIAIwIBAS8CpAADAAcAAFM1IRUFNSEVIwEM/vQBDAJxMzNwNDQAAQAI/+kBRQJQAB0AAHc+AzU1NCYmJyc1Fx4CFRUUFhcXIycUBgYHBwg3RCUNCRYUVH8hIQsKBjtHKBEcEo8xITArNSecFhwTBhxEKQonOytqFCsU07QXKyMLWwAJAC3/9gXaAtQADAAYABwAKgA2AEQAUABeAGoAAFMyFhYVFAYjIiY1NDYXIgYVFBYzMjY1NCYlASMBATIWFhUUBiMiJiY1NDYXIgYVFBYzMjY1NCYlMhYWFRQGIyImJjU0NhciBhUUFjMyNjU0JiUyFhYVFAYjIiYmNTQ2FyIGFRQWMzI2NTQmwzZEIE1NSE5KTSYjIyYmJiYBp/50SwGMAvs1RCBMTTVDH0tMJiMjJiYmJv0eNkQgTU00Qx9LSyYjIyYmJiYBODZEIE1NNEMfS0smIyMmJiYmAtQ6ZEFtdHdqa3RCTk9PUE9QT044/TYCyv7sOmVAbXQ7ZkBsc0NNUE9PT09PTkM6ZUBtdDtmQGxzQ01QT09PT09OQzplQG10O2ZAbHNDTVBPT09PT07//wAj/7YBLwDIBgcFrgAA/ewAAQAjAcoBLwLcAAsAAFM1IzUzNTMVMxUjFY9sbDRsbAHKbzRvbzRvAAEAGQAAAasCygAFAABhITUhETMBq/5uAThaUAJ6AAMAGv8QAmwCygALAA8AEwAAVzUBATUhFSETASEVJSE1IRM3AyMaAT3+zwI2/pP7/tUBrf3rAeT+Vest+EvwPwFiAeI3N/5x/rKmND4BVzEBiQABAEX/9wKWAtUAIQAAQSMRNjYzMhYWFRQGBiMiJic3FhYzMjY2NTQmJiMiBgcVMwE89zp2S2+ZTlemdTxrLiImXzNWeUA2d2AvQhudAVIBXhMSWaVxb6VbFxNOEBlGgVlWgkkKB9QAAAEAGQAAAasCygAFAABBESMRITUBq1r+yALK/TYCelAAAQAAAAACNgLKAAgAAEEDIxMRMxETIwEbumHuWu5iAV/+oQG1ARX+7/5HAAADAAD/EAJSAsoACwAPABMAAFU1IQETITUhFQEBFSUhJyETASMDAa3+1fv+kwI2/s8BPf3fAeQ5/lXAARZL+PCmAU4Bjzc3/h7+nj80PgFXAbr+dwACACkAHgOoArEAFgAlAABBMhYWFzcVBxQWFRQOAiMiJiY1NDY2EzI2NjU0JiYjIgYVFBYWAZhYjWIXsqEBNWGIU22lXFulb1qCRkaCWoeZRYECsS9cRauBigYNBlR8UihIk3Brkkv9zDJpUFFnMnB5UWgzAAQAIP/3AqQC0gAcACcAQQBFAABTMhYVFSMnBgYjIiYmNTQ2Njc3NTQmIyIGByc2NhcGBhUUFjMyNjU1ASImNTQ2MzIWFwcmJiMiBhUUFjMyNjcVBgYTASMBsUFCLwwUOCYfLxkiRzU4Kh0cMhcWGkE3PCodGTMtAUpFWl1GGjQSFBErES0sKyoaLxYTLST+TEsBtALSNjvcKhUbFiwhIi0YAgIWIRoPCzENELQCHxsZFy8oF/3XU1hcUgwJNwYLOjk3Og0KPAoLAtP9NgLKAAAEACD/9wJ3AtIAHAAnACsAVQAAUzIWFRUjJwYGIyImJjU0NjY3NzU0JiMiBgcnNjYXBgYVFBYzMjY1NSUBIwETFAYjIiYnNRYWMzI2NTQmJicuAjU0NjMyFhcHJiYjIgYVFBYWFx4CsUFCLwwUOCYfLxkiRzU4Kh0cMhcWGkE3PCodGTMtAW3+TEsBtF9IRiI4Fxs+HCYlECQeIS8ZSTkeORwUFjQcHx0RJR0eLxsC0jY73CoVGxYsISItGAICFiEaDwsxDRC0Ah8bGRcvKBeq/TYCyv2TMTULCjgMDxkUEBQRCw0ZJh0vKwsMMgoNFREPEw8LChklAAMAKP/6AvUCygAZAB0AMgAAUyImNTQ2MzIWFwcmJiMiBhUUFjMyNjcVBgYBASMBExEjJyMGBiMiJjU1MxUUFjMyNjU1x0VaXUYaNBIUESsRLSwrKhovFhMtAZX+TEsBtMY9BAQTMh1AQUggIDInAW1TWFxSDAk3Bgs6OTc6DQo8CgsBXf02Asr+g/6zKxgZOkDZ1CQjOTWtAP//ADf/9gPLAtQEJgBwAAAABwAkAXIAAAACACAAAAImAsoAHQAkAABhITUmJjU0Njc1MxUWFhcHJiYnETY2NxUOAgcVIQEUFhcRBgYCJv6SSU9SRkIgORcRFi8aFzYZECMjEAEs/jgsLi4stw5sW1prDWxoAQwLMwsLAf66AQsKNAcKBQF3AVJAUg4BOw1QAAAEAGEAAAViAs0ACwAPABkAJgAAYSMDAyMTAzMTEzMDBTMXIQUjESEVIxEzFSMlJiYnBgYHAyMTMxMjBWJnfX9hqZlkcnNho/1l/BT+5P6sWQFL8tfXAfYEDwgHDgaCYNRY0GMBIP7gAXIBWP7zAQ3+qVpNzALKTf8ATbsTQx8dQxf+FwLN/TP//wA3AAADUwLUBCYAcAAAAAcAJwFjAAD//wBOAAAAtQLhBgYASgAAAAIAB//2AxwC+AAmADQAAEUiJicjByMRIxEjESM1MzUzFTM1MxUzFSMVFAYHMzY2MzIWFRQGBicyNjU0JiMiBgYVFRYWAkA3VBoHEj6aV0xMV5pYqakDAgQdUDlpcjNiWEdLSkc3QRwBQgotJkkCWP2oAlg/YWFhYT8gHUIdLC6Jh1J7Q0lmYWVgLldAClxhAAIAGv8PAeMC0wAeACUAAEEVBxYWFRYGBiciJic1HgIzMjY2NTQmJiMjNTchNRcnNyE1IRUByuyGfgE/eFM3YCgfPz4ePU8oLF9LQtz+37Rg0P7cAZ8BzTzZA2dgQWU5ARERUA4SCCZELSs7HkHMSx4Jz0w8AAAGACz/9gJ2AtUAYAByAHsAiACOAKAAAEUiJiY1NDY3JiY1NDY2NzcuAiMiBhUUFjMyNxcGBiMiJjU0NjYzMhYWMzI2NjMyFhYVFAYHBzYzMjIXJiY1NDYzMh4CFRQGBxYWFRQGBgcjPgI1NCcGBgcWFhUUBgYnMjY1NCYnBiIjIiYnBgYVFBYDDgIVFBYWFxcyMjcnIiYjIgYHBxY3NjcmJicXNjY1NC4CIyIGBhcUFhcWFgEaKzMWBwUwSCtAIREJIiQMDw8LDwkKAQQLBiIpGCAMGh0TCgkDCxMODAMTCwMjFAgRCgEBMkMsRjIbEhEODxgfCiQKIBsPImU9BwoWMiwdHwUDCBIIECYUAQMfOTQwDA0pKncJEQgIChIJEBsMBiB4dCQhWzCzBQYJFy0kJyYKAQQDLGEKJDohFFk1CCooICkYBZAFDgoRCggTAhIBASkeHh8LFxcUEw4QAw0gEYoDAR0vEEdVJ0JPKRw0Fw4kFRYqHwcHHyoXGxUlMgs3WBEhOiQeNCsNVjkBAQIyVRcrNAGxCSIgBgcbHQoLAaoBAQGnAwcYXxMUBBUTKRccQTolKT4gEjIdAxIAAAIAYQAAAl8CygAVAB8AAHMRMzIWFRQGBxc3MwcXIycHIzcnIxETMjY1NCYmIyMRYbmKhExFOThVZmhbQUZUc06TZlRWKlI7WQLKZmZFYxddWpama2upf/7YAXNEQzI5Gf71AAACAGMAAAKQAxAAEwAaAABhESMRIxEzNTMVMhYVFAYGBxUhFQE2NjU0JiMBDWhCqkKSiDx8YgFB/r9vZmJzAor+FgIkTExebUJhNQHkPAFZAkZUS0oAAAMAYf9vAl8DaQAFABUAHwAAQSc3BQMjEzIWFhUUBgYHEyMDIxEjERcjETMyNjU0JiYBitwOAQ/hN3NZczgqQSTEaa2OWsBma1dQJUwDATQ0RPxKA1stWkQ5TC0N/sABJ/7ZAspO/vdFQy84GgAAAQAe//YCOwLUACMAAFciJic1FhYzMj4CNyE1IS4DIyIGByc2NjMyHgIVFAYG4j5WKipWMEFhQiIC/qUBWgUmP1U0MlIhJSlqOFZ/VClMmQoOD04LESNDY0BPN1Y8HxcPSxQWNWCBTXWqXAAAAgA4AWMC4gLTABQAPAAAQREzExMzESM1NDY3IwMjAyMWFhUVBSImJzUWFjMyNjU0JicuAjU0NjMyFhcHJiYjIgYVFBYXFhYVFAYGAWpeXmFbQAIBBGU1YAQBAv75HDUREzcdJygoKBgxIkc7HjMVDxMtGSEkKSg0NyNAAWoBYP7xAQ/+oMwILwz+8QEPECgG0QcJCDUHDhsXGRoOCRcqIjAwCwkxCQ0aGBkYDhIrLCIuFwAABP/y//cEFQIfAFkAZwB1AIMAAEUiJicGBiMiJicGBiMiJicGBiMjNTMyNjY3LgI1NDYzMhYVFAYGBx4CMzI2NjcuAjU0NjMyFhUUBgYHHgIzMjY2Ny4CNTQ2MzIWFRQGBgceAjMzFQMUFhYXPgI1NCYjIgYFFBYWFz4CNTQmIyIGBRQWFhc+AjU0JiMiBgQHN1UgIVY2N1UgIVc2NlYgIVI1Dg4XLyoPHyMOPz5APg8kIQ8rMRgXLyoPHyIOPz4/Pg8jIA8rMBgXLioOHyINPkA+Pw4kIQ8oLxcO+gkeHh4dCR8lJSD9TQkeHR4eCiElJR8BWgkdHh4dCSAkJCAJFRMTFRUTExUVExIWMwcMBiJYWydzbW9xJllWJQcMCAcMBiJXXCdxb29xJltXIgcMCAcMBiRYWSdxb29xJltXIgcMCDMBTSNSTx8fT1IjVFJSVCNSTx8fT1IjVFJSVCNSTx8fT1IjVFJSAAADABEBagMeAsoABwATABkAAFMRIzUhFSMRMxEzFSMVMxUjFTMVMxEzETMVdmUBCmaG05SIiJRCP48BagEqNjb+1gFgNlo2ZDYBYP7WNgACAAD/bwJYA2kABQAUAABBJzcFAyMBAyMDMxMeAhc+AjcTAV/aEAEM/DcB6v9a/16hCxANBQUNEQqgAvw6M0z8UgNb/TYCyv42HTYxGBgyNh4ByAACACz/DwMOAocATwBdAABTDgIVFBYXNjY3NjYzMhYWFRQOAiMiJjU0NjMyFhUUBgcGFRQWMzI+AzU0LgIjIgYHBgYHHgMVFAYjIiYmNTQ2NyYmNTQ+AjcTNCYmJwYGFRQWFjMyNv4pMxYNDChaKFKLJz9TKSRGaEVSXSslGB4qGgNAKDNCKBMGBhYuJy5pNTBaJRY1MB9DNjFPLiQbGSEpPUAXCyQ2HBYYJjYXFxoCcSZQYUEcNRo2XSJGPENuQjdwXThTQzI2GxcgGwMJCykpNFBTQgsONzsqNiwoZDYmSUhJJ0BSMFQ1MmswK100PGVQNw788ylPUSsrUyMvQiMiAAAB/5AAqgD2AYEAEQAAdyImJicHJzcXFhYzMjY3FwYGghsvJg5iErIRDR4VFCoTEhg8qhg3LxlELjwsIg8MQhAWAAABAE4AAAHQArAACAAAYQMjNTMTETMRAY68hLONQgJuQv4tAdP9UAAAAQBOAAAB0AKwAAkAAGERJyM1Mxc1MxEBjqqWrpJCAcSqQpKS/VAAAAEATgAAAdACsAAJAABhNQMjNTMTETMRAY65h7ONQssBo0L+tQFL/VAAAAEATgAAAdACsAAJAABhEQMjNTMXNTMRAY60jK6SQgFiAQxC2Nj9UAABABQAAAExArAABgAAcwM3ExEzEe7aP5tDApoW/iAB4P1QAAABAA4AAAHQArAACAAAcwM3ExMzESMR7uA9o6BCQgKZF/4gAeD9UAHgAAABABcAAAHQArAABwAAcwM3EzMRMxHr1D/Fc0ICmhb9kgJu/VAAAAEACwAAAdACsAAJAABzAzcTEzUzESMR7uM+qJ1CQgKYF/4XAas//VABsAAAAQAaAAAB0AKwAAkAAHMDNxM3ETMRIzXu1D62gEJCApoV/cx6Abv9UJgAAQAaAAAB0AKwAAkAAHMDNxMTNTMRIxHu1D6jk0JCApoV/f4BMNP9UAFAAAABACIAAAExArAABwAAcxEnNxc1MxHuzCygQwHEuzGRkf1QAAABACYAAAHQArAACAAAYREHJzcXNzMRAY6gyC2boEICVZa+L5KW/VAAAQAiAAAB0AKwAAgAAGEDJzcXExEzEQGOqcMs0m5CAca4Msb+1QHx/VAAAQAoAAAB0AKwAAkAAGERIyc3FzM1MxEBjrK0MKCWQgHJsy+gpf1QAAEAJgAAAdACsAAJAABhNQMnNxcXETMRAY6gyCjVa0JzAUu+NMfjAar9UAAAAQAmAAAB0AKwAAcAAGERATcBETMRAY7+mC4BOkIBHgFeLv7UATL9UAAAAQASAAABMQKwAAcAAHM1AzcTETMR7tw8oEN3AiEY/ngBiP1QAAABABIAAAHQArAACAAAYREDAzcTEzMRAY6g3DygoEICAP54AiAY/ngBiP1QAAEAFwAAAdACsAAIAABhJwM3ExcRMxEBjqDXPtFoQqAB9Rv+FmkCU/1QAAEAEgAAAdACsAAJAABhEQMDNxMTNTMRAY6b4T6olkIBxf7KAgca/n0BLFf9UAABABMAAAHQArAACQAAYTUjAzcTMxEzEQGOsco7vYNCpQHzGP43Acn9UAABABIAAAHQArAACQAAYREHAzcTNxEzEQGOo9k8tYtCASSkAhgY/kmGATH9UAAAAQAWAAABMQKwAAcAAHMRAzcTETMR7tg4oEMBJAFpI/72AQr9UAABABoAAAHQArAACAAAYREDAzcTEzMRAY6i0jSgoEICL/7yAWkm/vYBCv1QAAEAIwAAAdACsAAGAABhATcBETMRAY7+lToBMUICjyH92gIm/VAAAQAaAAAB0AKwAAkAAGERBwM3Ezc1MxEBjqLSNKyUQgHGpAFpJf7gk439UAABABYAAAHQArAACQAAYTUnAzcTFxEzEQGOrcs6xXlChK0BXSL+q3kBzv1QAAEAJwAAAdACsAAJAABhESMDNxMzETMRAY6ovziugUIBRgFHI/7YASj9UAAAAQAUAAABMQKwAAYAAHMnEzMRIxFTP9pDQxYCmv1QAeAAAAEAFwAAAdACsAAHAABzJxMzESMRI1Y/1OVCcxYCmv1QAm4AAAEADgAAAdACsAAIAABzJxMTETMRIwNLPeCgQkKgFwKZ/iAB4P1QAeAAAAEAGgAAAdACsAAJAABzJxMXNTMRIxEnWD7UoEJCgBYCmpiY/VABu3oAAAEACwAAAdACsAAJAABhNQMDJxMTETMRAY6bqj7joEJyAX/+EBcCmP53AYn9UAABABoAAAHQArAACQAAcycTExEzESMRJ1g+1KBCQo8WApr+8QEP/VABHvEAAAEATgAAAdACsAAIAABzNTMTMxEjEQNOhLxCQo1CAm79UAHT/i0AAQBOAAAB0AKwAAkAAHM1MxM1MxEjEQNOhbtCQo1CAghm/VABiv52AAEATgAAAdACsAAJAABzNTM3ETMRIzUHTpaqQkKSQqoBxP1QkpIAAQBOAAAB0AKwAAkAAHM1MxM1MxEjEQNOi7VCQoxCAXH9/VABG/7lAAEAEgAAATECsAAHAABzJxM1MxEjEU483ENDGAJSRv1QAbIAAAEAFwAAAdACsAAIAABzJxM3MxEjEQdVPtegQkJoGwH1oP1QAlNpAAABABIAAAHQArAACAAAcycTExEzESMDTjzcoEJCoBgCIP54AgD9UAGIAAABABMAAAHQArAACQAAcycTMzUzESMRI0471aZCQncYAhCI/VAB5gAAAQASAAAB0AKwAAkAAHMnExMRMxEjNQNQPuaWQkKRGgIT/sgBu/1QYQEtAAABABIAAAHQArAACQAAcycTFxEzESMRJ0482aNCQosYAhikAST9UAExhgABACIAAAExArAABwAAcyc3ETMRIzVOLMxDQzG7AcT9UJEAAQAiAAAB0AKwAAgAAHMnNxMzESMRA04sw6lCQm4yuAHG/VAB8f7VAAEAJgAAAdACsAAIAABhJwcnNxcRMxEBjqCbLcigQpaSL76WAlX9UAABACYAAAHQArAACQAAcyc3EzUzESMRB04oyKBCQms0vgFLc/1QAarjAAABACgAAAHQArAACQAAYTUjByc3MxEzEQGOlqAwtLJCp6IvtQHH/VAAAQAmAAAB0AKwAAcAAGERAScBETMRAY7+xi4BaEIBMv7ULgFeAR79UAAAAQAWAAABMQKwAAcAAHMnExEzESMRTjjYQ0MjAWkBJP1QAQoAAQAjAAAB0AKwAAYAAHMnATMRIxFdOgFrQkIhAo/9UAImAAEAGgAAAdACsAAIAABzJxMTETMRIwNONNKiQkKgJgFp/vICL/1QAQoAAAEAFgAAAdACsAAJAABzJxM3NTMRIxEHUDrLrUJCeSIBXa2E/VABznkAAAEAGgAAAdACsAAJAABzJxMXETMRIzUnTjTSokJClCUBaaQBxv1QjZMAAAEAJwAAAdACsAAJAABzJxMzETMRIxEjXzi/qEJCgSMBZQEo/VABRgABACUAAAExArAABgAAcxEHJzczEe6bLslDAlOOM7j9UAAAAQAnAAAB0AKwAAcAAGERIwcnNzMRAY6Woi+19AJuoTCz/VAAAQAuAAAB0AKwAAgAAGEDByc3ExEzEQGOtYQnyZdCAjdxMrj+KgHW/VAAAQAlAAAB0AKwAAkAAGERJwcnNxc1MxEBjqGbLcmgQgG+l48yuJaW/VAAAQAlAAAB0AKwAAkAAGE1AwcnNxMRMxEBjrqGKcmgQnIBy3gzuP5zAY39UAABACUAAAHQArAACQAAYREDByc3ExEzEQGOsI8qyaBCAQ4BOYIzuP7nARn9UAAAAQAaAAABMQKwAAYAAHMDNxMRMxHu1D6WQwJ2Fv5HAd39UAAAAQAaAAAB0AKwAAgAAHMDNxMTMxEjEe7UPZegQkICdRj+QwHg/VAB4AAAAQAaAAAB0AKwAAcAAHMDNxMzETMR7tQ+yW1CAnYW/bYCbv1QAAABABoAAAHQArAACQAAcwM3ExM1MxEjEe7UPZqdQkICdRj+OQGrP/1QAbAAAAEAGgAAAdACsAAJAABzAzcTNxEzESM17tQ+toBCQgJ2Fv3vegG7/VCYAAEAGgAAAdACsAAJAABzAzcTEzUzESMR7tQ+o5NCQgJ2Fv4hATDT/VABQAAAAQBOAAAB0AKwAAgAAGERByM1MzczEQGOfcOmmkICVG5CiP1QAAABAE4AAAHQArAACAAAYQMjNTMTETMRAY6mmsp2QgHmQv6oAeD9UAAAAQBOAAAB0AKwAAkAAGE1AyM1MxMRMxEBjq2Tu4VClwFPQv7/AYn9UAAAAQBOAAAB0AKwAAkAAGERJyM1MxcRMxEBjq6SrJRCAS25QpsBI/1QAAEAHwAAATECsAAHAABzNQM3ExEzEe7POpVDkwGXHv7cAYz9UAAAAQAXAAAB0AKwAAgAAGERAwM3ExMzEQGOoNc5mKZCAgL+fAGmI/7TAZb9UAABAB8AAAHQArAACAAAYScDNxMXETMRAY6izTrIbUKXAZMe/nhjAlP9UAABABwAAAHQArAACQAAYREDAzcTEzUzEQGOoNI5maBCAcT+wAGaIv7YAUBY/VAAAQAfAAAB0AKwAAkAAGE1IwM3EzMRMxEBjqrFOrOCQqcBgx7+oQHH/VAAAQAfAAAB0AKwAAkAAGERBwM3EzcRMxEBjpvUOqqLQgEyqgGiHv6ymQEd/VAAAAEAJQAAATECsAAHAABzESc3FxEzEe7JLptDASvJMZsBJv1QAAEAJwAAAdACsAAIAABhEQMnNxcTMxEBjqDHL4ysQgIv/vHLMI8BJP1QAAEAJQAAAdACsAAIAABhAyc3FxcRMxEBjqDJLdJqQgEyyDHSyQIg/VAAAAEAJQAAAdACsAAJAABhEQcnNxc3NTMRAY6gyS+aoEIBzaDJL5mfhf1QAAEAJQAAAdACsAAHAABhNQE3AREzEQGO/pcuATtCkAFpMf7FAcH9UAABACIAAAHQArAACQAAYREjJzcXMxEzEQGOyKQwkqpCAUa2LaEBKP1QAAABACIAAAExArAABgAAcxEDJxMzEe6QPMxDAgL+pRgB8f1QAAABACMAAAHQArAABwAAYREjAycTMxEBjnS8O8jlAm7+ORgB8f1QAAEAIgAAAdACsAAIAABhAwMnExMRMxEBjqaKPMygQgHz/rQYAfH+IAHg/VAAAQAiAAAB0AKwAAkAAGERJwMnExc1MxEBjoulPMmjQgGyhf5wGAHxpKT9UAABACIAAAHQArEACQAAYTUDAycTExEzEQGOoo48zKBCTQGw/qoYAfL+WwGk/VAAAQAiAAAB0AKwAAkAAGERJwMnExMRMxEBjpWbPMygQgEq8/6KGAHx/voBBv1QAAEAJwAAATECsAAGAABzJzcXETMR7sctmkO3M40CU/1QAAABACUAAAHQArAACAAAcyc3FxMzESMR7sktfb9CQrgycwI5/VAB3gAAAQAnAAAB0AKwAAcAAHMnNxczETMR7sctuIJCtzOoAm79UAAAAQAlAAAB0AKwAAkAAHMnNxcTNTMRIxHuyS2CukJCuDJ5AeFe/VABoQAAAQAlAAAB0AKwAAkAAHMnNxc3ETMRIzXuyS2boUJCuDKPlwG+/VCWAAEAJQAAAdACsAAJAABzJzcXExEzESMR7skti7FCQrgygAE4AQ79UAEZAAEAHAAAATECsAAHAABzEQMnEzUzEe6YOtJDAdH+1x4BnE79UAAAAQA/AAAB0AKwAAgAAGERBwMnEzczEQGObag6raJCAlNj/rceAVSX/VAAAQAcAAAB0AKwAAgAAGEDAycTExEzEQGOqJE50qBCAb/+6CMBmv5VAff9UAABAD8AAAHQArAACQAAYREjAycTMzUzEQGOcqM6tZpCAeb+wR4BY4j9UAABABwAAAHQArAACQAAYTUDAycTExEzEQGOpJU50qBCWAFv/uAjAZr+mAG0/VAAAQAcAAAB0AKwAAkAAGERJwMnExcRMxEBjpSlOdKgQgElwv7AIwGZ0QEe/VAAAAEATgAAAdACsAAIAABhEQMjNTMTMxEBjmvVpZtCAeD+x0IBx/1QAAABAE4AAAHQArAACAAAYScjNTMXETMRAY60jK6SQqdChwJO/VAAAAEATgAAAdACsAAJAABhEQcjNTMTNTMRAY51y6OdQgGJ4kIBMJf9UAABAE4AAAHQArAACQAAYREHIzUzNxEzEQGOkq6MtEIBQptCvwEI/VAAAQAlAAABMQKwAAcAAHMRByc3ETMR7psuyUMBQpsxyQEP/VAAAQBHAAAB0AKwAAgAAGERBwcnNxMzEQGOarEsp6BCAiDJsDCnATL9UAAAAQBHAAAB0AKwAAgAAGEDByc3ExEzEQGOrWwup6BCAR95Mbj+8AIx/VAAAQBHAAAB0AKwAAcAAGERAScBNTMRAY7+5SwBR0IB4v7FMAFpcP1QAAEARwAAAdACsAAJAABhNScHJzcXETMRAY6efSynoEKdlYswuJYBt/1QAAEARwAAAdACsAAJAABhESMHJzczETMRAY6Njiygp0IBRp8wsQEo/VAAAAEAMwAAATECsAAGAABzEQcnEzMR7oU2u0MCMt0lATb9UAABACUAAAHQArAABwAAYREjAycTMxEBjoynNrf0Am7+6CQBNv1QAAEAJQAAAdACsAAIAABhAwcnExMRMxEBjq2GNtKXQgIcxiQBNv4qAdb9UAAAAQAlAAAB0AKwAAkAAGERJwcnExc1MxEBjpSfNsmgQgG+jPQkATaWlv1QAAABACUAAAHQArAACQAAYTUDBycTExEzEQGOroU2yaBCcgGwzCQBNv5zAY39UAAAAQAlAAAB0AKwAAkAAGERAwcnExMRMxEBjqSPNsmgQgEOASPbJAE2/ucBGf1QAAEAGwAAATECsAAGAABzAzcTETMR7tM3nEMBZCX+9wIw/VAAAAEAGwAAAdACsAAIAABzAzcXEzMRIxH33DeSqkJCAWQl7gIV/VAB1gABABsAAAHQArAABwAAcwM3EzMRMxHu0zfBe0IBZCX+uQJu/VAAAAEAGwAAAdACsAAJAABzAzcXEzUzESMR7tM2kqtCQgFkJfUBqnL9UAGNAAEAG///AdACsAAJAABXAzcTNxEzESM17tM3qJRCQgEBZSX+450Bp/1QqAAAAQAbAAAB0AKwAAkAAHMDNxMTETMRIxHu0zacoUJCAWQl/voBHwEO/VABGQABACUAAAExArAABwAAcxEHJzc1MxHumy7JQwHZnDLJeP1QAAABACUAAAHQArAABgAAYREBJwEzEQGO/r0mAWlCAln+7zIBNv1QAAEAJQAAAdACsAAIAABhAwcnNxMRMxEBjsdwMrW0QgHQii3b/lwCBv1QAAEAIgAAAdACsAAJAABhESMHJzczNTMRAY6dnzCxu0IB5rAtxYj9UAABACUAAAHQArAACQAAYTUDByc3ExEzEQGOsI8qyaBCiQE5gjO4/ucBnv1QAAEAJQAAAdACsAAJAABhEScHJzcXETMRAY6hmy3JoEIBOZePMriXARz9UAAAAQAtAAABMQKwAAcAAHM1JzcXETMR7sEtlEOWwTKUAbv9UAAAAQAqAAAB0AKwAAgAAGERAyc3FxMzEQGOnMgugrRCAgb+kcEufAGm/VAAAQAqAAAB0AKwAAYAAGEBNwERMxEBjv6cLgE2QgFYLv7WAlT9UAABACoAAAHQArAACQAAYREDJzcXEzUzEQGOoMQuhrBCAbX+5r0ugQE1dv1QAAEAKgAAAdACsAAJAABhNSMnNxczETMRAY6wtDCikkKnsi2dAcf9UAABACsAAAHQArAACQAAYREHJzcXNxEzEQGOoMMtlqBCAS+XvTKSlQEm/VAAAAEATgAAAdACsAAIAABhEQcjNTMTMxEBjnHPp5lCAiDaQgEo/VAAAQBOAAAB0AKwAAgAAGEDIzUzFxEzEQGOqJjAgEIBRkL4AiD9UAABAE4AAAHQArAACQAAYREHIzUzNzUzEQGOdsqvkUIBwnxCmY/9UAAAAQBOAAAB0AKwAAkAAGE1JyM1MxcRMxEBjq2TrZNCj7dCmgHC/VAAAAMAKf/4AlcCQwAhACsANwAAVyImJjU0NjcmJjU0NjMyFhUUBgcXNjY3Mw4CBxcjJwYGJzI2NycGBhUUFhM2NjU0JiMiBhUUFug7Vi5BPSMjVUlFUUE3kBQcClUIGyETcm0/JlZAKUMcoCc0PzMpMCkhJCkhCCdHMDtLISE+KDtEQT0xRh2NGj4nIkI5F28/IiVCGxqeFi8sLjQBIxYwIh8jJCAdMAABABb/+wD6Ah0AEAAAUzIWFhURIxE0JiMiBgc1NjZjNUIgWCogEyAPDiYCHSZIMv5+AYUxIwUFRwUHAP///3MCdwCMAtoEBwBo/t4AAP///80CcQA0AuEEBgFMpQD///4TAl7+3AL+BAcAQf3rAAD///67Al7/hAL+BAcAdP6TAAD///+CAl4A6QL+BAcBUP9aAAD///9ZAl4AqwL+BAcBSP8xAAD///9XAl4AqQL+BAcBSf8vAAD///9lAl4AnALkBAcBS/89AAD///+UAl4AcAMxBAcBTf9sAAD///4VAl7/hALfBAcBT/3tAAD///9sAl4AlQKlBAcBSv9EAAAAAf8wAwMA0QNKAAMAAEMhFSHQAaH+XwNKRwAB/9gCVAAoAvgAAwAAUxUjNShQAvikpAAC/4gCVAB4AvgAAwAHAABDFSM1MxUjNShQ8FAC+KSkpKQAAv36Al7/YQL+AAwAGQAAQx4CFxUjLgMnNSMeAhcVIy4DJzX1Cx0gDjIRJyceCE8LHSAOMhEnJx4IAv4WNzQTDA4nLCgNChY3NBMMDicsKA0KAAL/ZAJeAJsDTAANABkAAFMGBiMiJiczFhYzMjY3JzIWFRQGIyImNTQ2mwVRSEpLBDYFMi4nOQVjFB8fFBYeHgLkPEpJPSkWGCdoGx0cHBwcHRsAAAH/ZAJeAJsC5AAQAABTMhYXIy4CIyIGBgcjPgICSksENgMZKh8aKxwENwQmRALkSD4cGgkKGxooPCIA////sQHVAEgCygQGAWSlAP///7QB1QBLAsoEBgFlqAD///+xAdUASQLKBAYBZ6UA////tgHVAE0CygQGAWWqAP///5z/NABl/9QEBwBB/3T81v///5z/NABl/9QEBwB0/3T81gAB/6j/JgBY/+QABwAARzM1MxUjNSNYbkJCbl1BvkEAAAH/qP8mAFj/5AAHAABXIxUjNTMVM1huQkJumUG+QQAAAQAPAggBDwL4AAUAAFMhFSM1Iw8BAEK+AvjwtAAAAf+ZAisAbAL4AAoAAEM+AjUzFw4CB2ciMhtdBwkvVkUCaQUiPCwLNVIzCAAB/8v/HwA4//IADQAAVyImNTQ2MxUiBhUUFjM4MTw8MRggHRvhODIyNzIdGhodAAAB/5f/MABp/9AABwAAVxUzFSM1MzUhSNJIMGQ8PGQAAAH/l/8wAGn/0AAHAABHNSM1MxUjFSFI0kjQZDw8ZAAAAf+X/xwAaf/kAAsAAEc1MzUzFTMVIxUjNWlIQkhIQp48RkY8RkYA////jv9iAHL/ngQHAzz/cP5TAAH/T/8SAAAAKgAPAABHIiYnNRYWMzI2NTUzFRQGdRMfCggaEBcZTznuCARJAwYZG5iTQEUAAAEAAP8SALEAKgAQAABXIiYmNTUzFRQWMzI2NxUGBnUoNBlPGhYQGggKH+4fOyuTmBsZBgNJBAgAAf6h/1D/Cf/AAAsAAEUiJjU0NjMyFhUUBv7VFR8fFRUfH7AcHB0bGx0cHP///3P/UQCM/7QEBwBo/t782v///5T/HQBw//AEBwFN/2z8v////57/EABkAAAEBgB4kAD///+u/yQAUwAPBAYBToYA////2P80ACj/2AYHBmUAAPzgAAH/Tv8mALL/0AAHAABHIRUjNSMVI7IBZELgQjCqbm4AAf9D/08Avv/DABoAAFcUBiMiJicGBiMiJjUzFBYzMjY1MxQWMzI2Nb4+MBwnDQ0oGzE8NhwbGR8wHRsZHz06OhIRERI6OiIgICIiICAiAP///1j/OQCq/9kEBwFJ/zD82////1f/OACp/9gEBwFI/y/82v///2T/RwCb/80EBwFL/zz86f///2T/RgCb/8wGBwZpAAD86P///0j/SAC3/8kEBwFP/yD86v///2z/bQCV/7QEBwFK/0T9DwAB/yD/ZgDg/6YAAwAAVyE1IeD+QAHAmkAA////Mf8iAND/5gQHAWP/MwAA////TgDPAL0BUAQHAU//Jv5x////MAECANEBSQYHBmQAAP3/AAH+mAD5AWgBQAADAABlNSEV/pgC0PlHRwAAAf9vALcAkgGMAAMAAGc3FweR/iX/85k9mAAB/zr/xgDGAvYAAwAAUwEjAcb+wEwBQAL2/NADMAAB/8v/HwA4//IADQAARzIWFRQGIzUyNjU0JiM1MTw8MRggHRsOODIxODIdGhodAAAB/07/JgCy/9AABwAAVyE1MxUzNTOy/pxC4ELaqm5uAAL/Q/8cAL3/5AADAAcAAFchNSEFITUhvf6GAXr+vgEK/vbkyJNeAAAB/0P/TwC+/8MAGgAARzQ2MzIWFzY2MzIWFSM0JiMiBhUjNCYjIgYVvT4wHCcNDSgbMTw2HBsZHzAdGxkfsTs5EhEREjo6IiAgIiIgICIAAAH/mgI7AGYDBwALAABDNxc3FwcXBycHJzdmKjw7Kzw8Kzs8KjsC3Cs8PCs7PCo7Oyo8AAAB/8ACQABAA2IAFwAAQzQ2MxUiBhUUHgIVFAYjNTI2NTQuAj9FOh0dERcRRDsdHREXEQMQIy8yFg4KGh8iFCMwMxYNDBweIv///zAC/ADPA8AEBwFj/zID2v///2ACXgApAv4EBwBB/zgAAP///9gCXgChAv4EBgB0sAAAAf8mAlAA2gL6AAcAAEMhFSM1IRUj2gG0Qv7QQgL6qm5u////MP8iAM//5gQHAWP/MgAA////iP80AHj/2AYHBmYAAPzgAAH/o/8QAF3/xAAFAABHMxUjNSNdukJ4PLR4AAAB/0gCOQC3AwQAIQAAUyImJwcnNyYmIyIGByM+AjMyFhc3FwcWFjMyNjczDgJKEyQRJS0kCREIGBgHMwQcLx8RIQ8iLSELFAoXGQcyBBwtAl8OCT0bOwQFHR0oOR8LCDkbOAUHHR0nOSAAA/9IAkEAtwOcABcAIwAvAABTBgYjIi4CIyIGByM2NjMyHgIzMjY3BzIWFRQGIyImNTQ2NzIWFRQGIyImNTQ2twY4LxUoJyMRGBgHMwY5LxYpJiMQFxkHhRMcHBMTHBwTExwcExMbGwMvOkYRFxEdHTtFERcRHR2LFxoZGRkZGhf4FxoZGRkZGhcAAv9YAl0AqANcABcALwAAUyIuAiMiBgcjNjYzMh4CMzI2NzMGBgciLgIjIgYHIzY2MzIeAjMyNjczBgZHEyYkIg8WEgYzBTErFSYlIA8VEgcyBTAsEyYkIg8WEgYzBTErFSYlIA8VEgcyBTAC6g8TDhoXNT0OEw8bFjQ+jA8TDhoXNT0OEw8bFjQ+AAAB/1H/JQCv/90ACQAARzcVMzUXBzUjFa99ZH19ZH9cPj5cXD4+AAH/pf8QAF3/5wAGAABHNSM3FyMVIDtcXDvweF9feAAAGP6bAAABZQLKAAUACwAPABMAGwAjACsAMwA7AEMASwBTAFkAYQBpAHEAeQCBAIkAkQCZAJ0AoQCnAABzNTM1MxUhNTMVMxUzNTMVATUzFRciNTQzMhUUFyI1NDMyFRQnIjU0MzIVFBciNTQzMhUUJyI1NDMyFRQFIjU0MzIVFAEiNTQzMhUUNyI1NDMyFRQnNTMVIxUBIjU0MzIVFAEiNTQzMhUUASI1NDMyFRQDIjU0MzIVFBciNTQzMhUUJyI1NDMyFRQXIjU0MzIVFCciNTQzMhUUJTUzFRM1MxUDNSM1MxXJZzX9NjZmep7+TDaSGxsbLBsbG40bGxutGxsb9RsbGwEVGxsb/scbGxsQGxsb45xmAcwbGxv+8hsbGwEHGxsb5xsbG8QbGxukGxsbWxsbG0obGxv++Z7hNTVnnDZnnZ1nNjY2ARednWkbGxsbLhsbGxt0GxsbG4QbGxsb2hsbGxvKGxsbGwEgGxsbG0YbGxsbSJw2Zv6AGxsbGwFmGxsbG/7gGxsbGwEwGxsbG9obGxsbyhsbGxt0GxsbG0YbGxsbrjY2/oOdnQEXZjacAAAB/6wCTgBQAxYAEgAAQx4CFxUOAgcjNTY2NyYmJzVJFDU4GBg4NRQLEi4cHCwUAxYKGhgHRAYXGQszDBgNDhcNMv///9ICUwA/AyYEBgMntBQAAv9kAl4AmwNIAA0AGQAAQzY2MzIWFyMmJiMiBgcXIiY1NDYzMhYVFAacBVFISksENgQzLic5BWUWHh4WFB8fAsI8Skg+KRYYJ2QcHB0bGx0cHAAAAf+h/yEAX//fAAsAAEc3FzcXBxcHJwcnN18qMzEvMTIqMzEvMUsqMjEvMTMqMjEvMQAB/6z/EABQ/9gAEgAAVy4CJzU+AjczFQYGBxYWFxVFEzY4GBg4NhMLEi4cHCwU8AoaGAdEBhcaCjMMFw4NGA0yAAAB/6z/EABQ/9gAEgAARx4CFxUOAgcjNTY2NyYmJzVJFDU4GBg4NRQLEi4cHCwUKAoaGAdEBhcZCzMMGA0OFw0yAAAC/0j/EADD/9gAEgAlAABHPgI3Mx4CFxUjJiYnBgYHIyceAhcVDgIHIzU2NjcmJic1BgoaGQdEBhYaCzMNGwoLGQ0zpxQ1ORcXOTUUCxIuHBwsFOETQEIXF0JAEwwSQhwcQBTFChoYB0QGFxkLMwwYDQ4XDTL////SAlMAPwMmBAYDJrQUAAH/lv8QAGr/2gAOAABHMwc3FwcXBycHJzcnNxcjRg0+FkYzOB8fODNGFj4mRiJCCjAqQEAqMApCIgAD/0D/EAC//+MAFwAjAC8AAEcyFhc2NjMyFhUUBiMiJicGBiMiJjU0NhcUFjMyNjU0JiMiBgc0JiMiBhUUFjMyNlMcKg0MKhwxPDwxGyoNDSsbMTw8nh8ZGx0gGBggNSAYGCAdGxkfHRQTExQ3MjI4FRMTFTgyMjdpGh4eGhoeHhoaHh4aGh4eAAAB/6ECVABfAw8ABwAAUwcjNyM3MwdfIjMSeyIzEgLMeEN4QwAB/n//GgGC/9YADgAAVyImJzMWFjMyNjY3MwYGBJHKKkYjnH9Hel0bRjPJ5l9dNj4YNChkWP///n8CSwGCAwcGBwauAAADMQAB/tQCcQEsAqQAAwAAQSE1IQEs/agCWAJxMwD///7U/4MBLP+2BgcGsAAA/RIAAf5/Al8BggLgABoAAEEOAiMiLgIjIgYGByM+AjMyHgIzMjY3AYIIL0kwOWdkZzkoNBsFMwgvSjA4ZmRoOTw5BwLgLTgbEhgSDxsTLTkaEhgSIRwAAf5+ApMBgQNPAA4AAEMyFhcjJiYjIgYGByM2NgSSySpGI5uAR3pcHEYzyQNPX102PhgzKWRYAAAB/pP/JQGW/90ABgAARSE1Fwc1If6TAoZ9ff16YT5cXD7//wCDAnEA6gLhBAYBTFsAAAIAmAKHAbUC7QALABcAAFM0NjMyFhUUBiMiJjc0NjMyFhUUBiMiJpgaFBQaGhQUGsAaFRQaGhQVGgK6GxgZGhkaGhkbGBkaGRoaAAABAFECgwC4AvMADgAAUyImNTQ2NjMyFhYVFAYGhRYeDhgODhcODhcCgxwcFBgMDBgUExkMAAABAHQCdQFeAxUADAAAQS4DJzUzHgIXFQEbEy4vKQ5xDisuEgJ1DycrKA8IFDc3EwsAAAEA2gJyAaMDEgAMAABBDgMHIzU+AjczAaMJIikpEjoPIyILagMIDigrJw4MEzQ3FgAAAgCfAnUCIQMVAAwAGQAAUz4CNzMVDgMHIzc+AjczFQ4DByOfDiMlD2cNJiopEDa2DiMlD2cNJiooETYCgBEvOB0IFCsoIw4LES84HQgUKygjDgAAAQB+AnIB0QMSABIAAEEeAhcVIyYmJwYGByM1PgI3AVwMJS0XOh04Ghs5GzsSLCsNAxIUMjUaCxc2HB02FgsTNTgVAAABAH4CcgHRAxIAEgAAQQ4CByMuAic1MxYWFzY2NzMB0REtKg1oDCYsGDsdOBkaOhw6AwgSNjcXFTI2GQoXNB0dNhUAAAEAhwJwAccC/QAPAABBBgYjIiYnMx4CMzI2NjcBxwdTR0lRBTgEGywdGysdBAL9QktKQx4gDA0gHQACAKUCWQGMAzcADAAYAABBFAYjIiY1NDYzMhYWBzQmIyIGFRQWMzI2AYxBMjRAQDQhNB43IhoaIiEbGiICyTQ8PDMzPBsxIxsgIBscICAAAAEAbgJ0Ad8C+AAZAABBDgIjIi4CIyIGByM+AjMyHgIzMjY3Ad8EIC8eFSckIhITHwY0BB4xHhUnJCMREx4HAvgsOx0VGhUhIyw6HhUaFSIiAAABAIUCegG1Ar8AAwAAUyEVIYUBMP7QAr9FAAEAEf8kALYADwAUAABXFBYzMjY3FQYGIyImNTQ2NjcXBgZZGBURFwgOHBQ1Mh0rFDAiInQWFwUBOAQFMiwdNiwODyA1AP////0C+AH3AzoGBgBvAAD///9IAl4AtwLfBAcBT/8gAAD///+2AlsAQgMLBAYG3o0A////aQJeAMYDCAQHAVH+1AAA////3f8QAGn/rgQGBt2LAAAC/6ECaABkA0YAGwAmAABTMhYVFSMnIwYGIyImNTQ2Nzc1NCYjIgYHJzY2FwYGFRQWMzI2NTUOKysdBwIQIx4hKzg7KRoYEyIPDBArIy0iGBQeKQNGIiaSHhERHyEgIwEBDRsVCgcbBwtyAhYVEhEeIBMAAAH/twJoAGcDRgAZAABTIiY1NDYzMhYXByYmIyIGFRQWMzI2NxUGBiUwPkAxEiILDAsdDCQjIiMTHwwMHQJoNTk7NQYFHQMHKSkmKggFHwYGAAAC/5kCaABvA5wAFQAiAABDIiY1NDYzMhYXMyYmNTUzESMnIwYGJzI2NTU0JiMiBhUUFgQtNjYtHCQLAwECKCAGAgskFiYfHSggICACaDg3NzgSDQUUBlb+0B0OEx0mJQYoKy0mJisAAAL/pAJoAHIDRgAUABsAAFMyFhUVIxYWMzI2NxUGBiMiJjU0NhciBgczNCYOLzWlASgkFyMTEyQYNEA6MBwhA3ocA0Y1KxYkJggHHwcHODY0PBwhHRwiAAAB/6UCbABxA5wAFwAAQxQGBzM2NjMyFhUVIzU0JiMiBhUVIxEzMwEBAgwoFywtJxsbKR4oKANDCBAGEBElKYyJGhopJW8BMAAC//MCbAAhA5MAAwAPAABTFSM1NzIWFRQGIyImNTQ2HigVCQ0NCQoODgNC1tZRCwwLCwsLDAsAAAH/XgJsALgDRgAkAABTMhYVFSM1NCYjIgYVFSM1NCYjIgYVFSM1MxczNjYzMhYXMzY2ZykoJxgZIx4nGBokHCggBgILJxUcJQkCDSkDRiUpjIoZGiQjdooZGigmb9YdERARExMRAAL/mwJoAHoDRgANABkAAFMUBgYjIiYmNTQ2MzIWBxQWMzI2NTQmIyIGehwyIx8zHDw0MT62IiQlIiIlJSEC2CQyGhoyJDU5OTUmLS0mJisrAAAB/9MCbABgA0YAEwAAUzIWFwcmJiMiBgYVFSM1MxczNjZEBw8GBQYOBhMgEyghBAILJQNGAQEgAQESIBZy1icSGQAB/8ACaABSA3QAFwAAUzI2NxUGBiMiJjU1IzU3NzMVMxUjFRQWMAkTBgcXCxwrIiMQF0ZGFQKFAgIbAgQbJ30RDi4yG3wTEwAB/6MCaABvA0IAFAAAUxUjJyMGBiMiJjU1MxUUFjMyNjU1byEFAgwpGCssKBobKB8DQtYcEBAlKYyKGRooJm8AAf+YAmwAfQNCAA0AAEMnMxcWFhczNjY3NzMHDVsqNAUMAgICDQUzK1wCbNZ+DSIKCiINftYAAf+bAmwAeQNCAAsAAEMnMxc3MwcXIycHIw5TLT4+LFNYLUJCLQLaaFBQaG5WVgD//wAb/yQAwAIYBiYETgAAAAYBTvMAAAH/yf8QAPgCGAAZAABXIiYnNRYWMzI2NjURIzUzNTMVMxUjERQGBhYZJg4PIBMWIRNLS1hLSyBC8AcFRwQGDyUgAUtH2dlH/rgySCYAAAL/of8QAPgCGAASAB4AAFciJiY1NDY2MzMRMxEzFSMOAicyNjY1NSMiBhUUFigoPSIcPTArWEtLASU7KhAWDSYYIxPwHjUjJTYfAhj96EhCSR1IDyMdERQcEx0AAf/cAI8AcAJhABAAAHciJic1FhYzMjY1ETMRFAYGDhAZCQoUDRUbORQsjwQDKwMDFR0BdP6OHisX////yf9IATgCGAYmBE4AAAAHAU//ofzq//8AUP9QALgCGAYmBE4AAAAHBnsBrwAAAAIACgAAAPgCGAADAAcAAFMVIzUTIxEz+O6jWFgBP0dH/sECGAAAAgAgAAABPwIYAAMABwAAcxMzAyczEyMgca5ybkNcQwIY/egxAbIAAAL/b/8QAT8CGAARABcAAEciJic3FhYzMjY3EzMDDgM3NjY3EyNBFCgUCw4dERsuCoiueQclP100HjcNaULwBwk1BggjLwJ//c8gSkMqTRRBPAH1AAEAUv8QAN7/rgAPAABXIiY1NTMVFBYzMjY3FQYGpygtTg4QCBIGCB/wKSJTQA4SBAE6AwYAAAEAKQJbALUDCwATAABTJzY2NTQmIyIGBzU2NjMyFhUUBm0oERcaDgoOBAUXESwzKwJbFgsfERYOBAI4AgcjKSMwAAMANv/2AhUCIwADABMAHwAAdycBFwMiJiY1NDY2MzIeAhUUBicyNjU0JiMiBhUUFpw4AUo4wlBqNDdsTjxZOx55d0xJS0tKSkpLOAFKOP5hR35TVHxFKElmPn+ZSmdnZmVlZmRqAAEAMgE9AggBhAADAABBFSE1Agj+KgGER0cAAf+yAr4AsgOuAAUAAEMhFSM1I04BAEK+A67wtAAAAgAw/20BuAIiAB0AIQAARSImJjU0NjYzMhYXByYmIyIGBhUUFhYzMjY3FQYGFxUhNQElR28/QnFIKUwYGxhAHDZGIiJEMyxDHBtBYP6CCjp6X2N8OhEMSQkQLlpDQFouEg1ODg9CR0cAAAA=",
+  "NotoSans-Bold.ttf": "AAEAAAAQAQAABAAAR0RFRsYDwcgAAASgAAACjEdQT1PkQ+ffAABSJAAAfFxHU1VCc2CmHwAANJwAAB2IT1MvMoyoI9UAAAIUAAAAYFNUQVRflkGlAAABuAAAAFpjbWFwpNpYQQAABywAAAQUZ2FzcAAAABAAAAEUAAAACGdseWYJE+QSAADOgAABtsxoZWFkKGrbCgAAAYAAAAA2aGhlYQydD0IAAAFcAAAAJGhtdHhF0qg2AAAZDAAAG5Bsb2Nhm2UuTAAAC0AAAA3KbWF4cAcHAY4AAAEcAAAAIG5hbWUwa1ipAAACdAAAAipwb3N0/58AMgAAATwAAAAgcHJlcGgGjIUAAAEMAAAAB7gB/4WwBI0AAAEAAf//AA8AAQAABuQBEQAYAHsABgABAAAAAAAAAAAAAAAAAAQAAQADAAAAAAAA/5wAMgAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAAAQt/tsAAAsX/Xz6hArxA+gAAAAAAAAAAAAAAAAAAAbkAAEAAAACA9fKJF7bXw889QADA+gAAAAA3YDT5wAAAADjY8A8/Xz+AArxBC0AAQAGAAIAAAAAAAAAAQABAAgAAwAAABQAAwAAACwAAndnaHQBAAAAd2R0aAEBAAFpdGFsAT8AAgAiABYABgADAAIAAgFAAAAAAAABAAAAAQABAAIBPgBkAAAAAQAAAAABNQK8AAAAAAAEAmQCvAAFAAACigJYAAAASwKKAlgAAAFeADIBSAAAAgsFAgQFBAICBKAAAH8AACAKAAAAAAAAAABHT09HAKAAICXMBC3+2wAABGQBiwAAAZ8AAAAAAiICygAAACAABgAAAA0AogADAAEECQAAALYA0gADAAEECQABABIAwAADAAEECQACAAgAuAADAAEECQADADAAiAADAAEECQAEABwAbAADAAEECQAFABoAUgADAAEECQAGABoAOAADAAEECQEAAAwALAADAAEECQEBAAoAIgADAAEECQE1AAgAuAADAAEECQE+AAwAFgADAAEECQE/AAwACgADAAEECQFAAAoAAABSAG8AbQBhAG4ASQB0AGEAbABpAGMATgBvAHIAbQBhAGwAVwBpAGQAdABoAFcAZQBpAGcAaAB0AE4AbwB0AG8AUwBhAG4AcwAtAEIAbwBsAGQAVgBlAHIAcwBpAG8AbgAgADIALgAwADEANQBOAG8AdABvACAAUwBhAG4AcwAgAEIAbwBsAGQAMgAuADAAMQA1ADsARwBPAE8ARwA7AE4AbwB0AG8AUwBhAG4AcwAtAEIAbwBsAGQAQgBvAGwAZABOAG8AdABvACAAUwBhAG4AcwBDAG8AcAB5AHIAaQBnAGgAdAAgADIAMAAyADIAIABUAGgAZQAgAE4AbwB0AG8AIABQAHIAbwBqAGUAYwB0ACAAQQB1AHQAaABvAHIAcwAgACgAaAB0AHQAcABzADoALwAvAGcAaQB0AGgAdQBiAC4AYwBvAG0ALwBuAG8AdABvAGYAbwBuAHQAcwAvAGwAYQB0AGkAbgAtAGcAcgBlAGUAawAtAGMAeQByAGkAbABsAGkAYwApAAAAAQACAFIAAAAOAAABWAAOAAUAPAA8ADQAJgAYAAIAAQQjBCcAAAACAAoABgABAs8AAQFoAAIACgAGAAECygABAWUAAQAEAAEBWgABAAQAAQFWAAIAKwAdAB8AAQAiADsAAQBCAFsAAQBqAGoAAQB6AHoAAQCAAJYAAQCYALYAAQC4AUcAAQFYAV8AAQF2AXYAAQF/AX8AAQGBAYIAAwGTAZMAAQGVAZgAAQGaAZ0AAQGjAyEAAQMqAysAAQMuAy4AAQMxAzEAAQMzAzQAAQM5AzsAAQM9A0IAAQNdA10AAwNfA/AAAQQNBA0AAQQdBCEAAQQjBCcAAgQoBRUAAQWiBaMAAQWvBa8AAQWxBbMAAQW1BbUAAQW5BbkAAQW8Bb0AAQXDBcMAAQXIBcgAAQZYBlgAAQZZBnEAAwZzBsEAAwbDBtMAAwbUBtwAAQbiBuIAAwbjBuMAAQABAAYAAADuAAAA3AAAAIoAAAB6AAAAKAAAABwAAQAEBm0Gcwa1BuIAAgANAYEBgQAAA10DXQABBlkGbAACBpQGmQAWBp0GnwAcBqMGpQAfBqoGqgAiBq0GrQAjBq8GsAAkBrIGswAmBrYGwAAoBsMGxQAzBscG0wA2AAEABgaLBowGjQaOBo8GxgACAA0BggGCAAAGbgZxAAEGdAaKAAUGkAaTABwGmgacACAGoAahACMGpgapACUGqwasACkGrgauACsGsQaxACwGtAa0AC0GwQbBAC4GxgbGAC8AAQAHBlkGXgZfBmAGYgZjBmkAAgALA10DXQAABlkGbAABBpQGmQAVBp0GnwAbBqMGpQAeBqoGqgAhBq0GrQAiBq8GsAAjBrIGswAlBsMGwwAnBscG0wAoAAAAAgAAAAMAAAAUAAMAAQAAABQABAQAAAAAgACAAAYAAAB+ATABMQFhAWMBfwGRAZIBnwGhAa4BsAHcAd0B7wHwAfkB/wIXAhsCNgI3AlkCXQK7ArwCxQLJAtcC3gLyAvMC/wMMAyUDJgNBA0UDVwNYA2IDbx4BHj0ePx5/HoUemx6fHvEe/yALIBYgHiBkIGkgbyCsILUgwCFPIhIlzP//AAAAIACgATEBMgFiAWQBgAGSAZMBoAGiAa8BsQHdAd4B8AHxAfoCAAIYAhwCNwI4AloCXgK8Ar0CxgLKAtgC3wLzAvQDAAMNAyYDJwNCA0YDWANZA2MeAB4CHj4eQB6AHoYenB6gHvIgACAMIBcgHyBmIGogoCCtILYhACISJcz////h/8ADHf+/AJr/vwB+/60Aff/6AHv/7QB5Am8AeP+jAHf/RgBxAAAAbQIYAGwAAABp/tgAaAAAAGUAAABe/qYAXQAAA1j+XANXA4EDUwNdA1IAAOOX5V3jV+Vb4tjlVQAA4wMAAOGHAADhTAAA5S7jlwAA42QAAAAA5M/eUgABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWgAAAAAAAABaAAAAAAAAAFoAAABeAAAAAAAAAGQAAAAAAAAAAAAAAAAAAABuAAAAAAAAAAAAAAAAAHoAAAB+AAAAlgAAAKgAAAAAAS4AAAFEAVgAAAAAAAABRgFHASEBIgRNAsYESgRLAUgBSQMuAUoBSwFMAU0BTgFPAVAFygZbBlwGXgZiBmMGZAZgBloGWQNdBmEGXQZfBscGygbMBs4G0QbIBskGywbNBs8G0AbSBtMEUQRSBCkESQFeAV8B9QH2AfcB+AH5AfoEKARQBCoEUwQrBFQD8QPyA/MD9AV6BXsD9QFgAWEBYgP2A/cBawFsAW0FdQVnBXIBbgViBY4FjwP4A/kD+gP7A/wD/QFvBawBcAFxA/4FfQV8BX8FWAFyAXMFagF0BWQD/wV0BVoFWQVTBWMBdQVWBVcFaAVpBV0FbwVrBVQFVQVmBWwFWwVxBacFbQVlBV8FbgV+BWEFXgVzBWAFXAVwBAAFjQWYBZAFkwWSBZEECgQLBAwBdwF4BA0EDgF5BA8EEAWcAfsBegWZBZ0FngQaBCIFnwWaBZsFoAWhBuMFtgW3BPUFuQW6AXsFuAT+BcQFvAUNBO4E6QT2BQkFCgTvBOoE8AF8Bb4E9wF9BBsFyQT4BPkE8gTrBPoFwQXDBcUFxwF+BcgE+wW/AX8FowTsBlgE/wT0BO0E6AGABQsFAAUBBPMFAgUMBaQFpgWrBagFvQW1BbsFCAUHBP0E8QWwBbEFsgWvBbME/AUDBQQFBQUGBcIFpQXABBwEHQXGAAAAAAAAAB0AMwBjALQBAgFdAWsBiQGpAcgB3QHzAf8CFQIlAlkCdAKiAuYDDQNCA4sDnQP3BEAEZQSMBJ8EsgTFBQUFdQWZBdIGAwYnBj0GUAaEBpsGswbSBu4G/QclB0gHewegB9oIBQhLCFwIfQicCOAI+gkQCScJOAlHCVgJawl4CZAJzgoFCjQKagqdCsQLDgs4C1ULggukC7AL6wwPDEIMfwy2DNsNGg1BDWgNhg3HDeAOEQ4mDl0Oag6gDsoOyg7nDx4PUg+iD8UP1xA8EGIQvxD7ERkRKRExEYkRlxHDEd0SCBJEEl0SihKqErMS2BL0ExwTOhN5E8IUIhRjFG8UexSHFJMUnxSrFM4U2hTmFPIU/hUKFRYVIhUuFToVZhVyFX4VihWWFaIVrhXIFhUWIRYtFjkWRRZRFngWzRbYFuQW7xb6FwUXERd4F4QXjxebF6YXsRe8F8cX0hfeGC4YORhFGFEYXBhnGHIYnhjnGPMY/xkKGRUZIRlgGWsZdxmCGY4ZmRmlGbEZvRnJGdUZ4BnsGfgaBBoPGhsaZRptGqsatxrCGs4a2RrlGvEa/RtNG1kbZBtwG3sbhxuSG54bqhu2HBEcHRwpHE4cfxyLHJYcohytHLkcxBzPHNoc5hzyHP4dCh0VHSEdLR1PHVsdZx1zHX8doh3BHc0d2R3yHgoeFh4iHi4eOh5GHlEeXB6RHsge1B7fHuse9h8CHw0fTB+lH7EfvR/JH9Uf4R/sH/ggBCAQIBsgJyAyID4gSSBVIGEgbSCnIMAg7CD4IQMhDyEaISYhMSE9IUkhVSFgIZ8hqyG3IcMhzyHaIeYh8iH+IgoiFiIiIi0iTCKKItsjSiNWI2IjbiN6I4YjkiO0I9Uj4iQAJBYkPCRfJIcksSTgJP0lHCVVJaglziXsJfgmBCYQJhwmKCY0JkAmSyZXJmMmayZ+JpQmqya0Jssm8icZJyInPCdiJ34njif8KAkoFSgnKDkoRShVKHYokijMKQ4pWimtKfEqOipqKnIqqSrDKtoq/SssKz4rjCuMK4wrjCuMK4wrjCuMK4wrjCuMK4wrjCuXK58rqyu3K8Mrziv0LDYsdiynLNstFS1KLYUtsy3iLe4t+i4GLhIuYC7HLxUvey/ZMFAwsDEpMTkxSDGQMfEyOjKbMvEzYDO5NCs0OzRKNFY0YjRuNL40yjTVNRY1cjWzNg42XjbKNx03izebN6o34TgMOBg4JDgwODw4jTjeOTs5mDn1OlI6vjsqO5k8CDwYPCc8Mzw/PEs8VzxjPG88ezyGPJI8njyqPLY89T05PUU9UT1dPWk9uD4KPhY+IT4tPjk+RT5RPoU+1T7hPuw/Mj8+P0o/jD/WP/tAOEBiQJZAxkELQU1BVUGKQbBB70JDQlhCYEKjQs5DFkNWQ5FDr0POQ/1EMERFRJFEzUUBRQlFEUVdRahF3kYxRl5GokbiRupHI0daR3tHskfTSA1IQUhnSKpIyEjlSO1JG0lLSZBJw0nzSiFKX0qSSp5KqkrHSs9K30rvSv9LC0sXSyNLL0s7S0dLU0teS2pLdUuBS4xLmEujS+lMNEyETNlNNE2UTeROOU6DTuVPIE9zT39Pi0/GUBdQI1AuUDpQRlBSUF5QblB9UIlQlFCgUKxQuFDEUNBQ/VEwUTxRSFFUUWBRbFF4UYRRkFGcUahRtFHAUcxR2FHkUfBR/FIIUhRSIFIsUjhSRFJQUlxSaFKoUuhS9FMAUydTmFPhVClUWlRiVG5UelSGVJJU61VDVZ1V91YDVg9WWVajVq9WulbzV0RXhVfhWD5YbFimWN5Y9VkQWWtZm1nHWfJaMlpYWmBaf1q6WuFbGFtnW69b4FwLXCdcX1ycXN1dHl1pXZZd6F42Xnxer17iXyRfZl+NX+tf82AnYGVgxGDuYSZhb2GSYZphsmHlYhZiM2JnYqFi32MqY2Fjl2O2Y75j/GRDZH9ko2TGZP5lImVXZXdlmGW+ZeNmNWZjZplmx2cGZy1nVGeAZ7hn7mgOaFBogWiWaL5o92j/aVFpf2mtadpqDWpQaoZqyGsPayNrYWuDa5Fr3GwRbEZsiGzmbVBto23xblVuqm7wbwhvN29Rb4pv1G/4cCtwWHB7cJ5w0nD2cTZxYnFqcXJxenGCcZpxsnHWcflyC3Icci1yP3JMclRyXHJpcnJye3KEcpZyonKrcrRyvXLGcs9y23Lkcx5zK3Noc4BzpnO1c8Zz13Poc/d0BnQWdB90KHQwdEF0UnRjdHN0fHSldK50t3TAdM503HTpdPZ1B3UWdSt1T3V3dYN1j3Wbdad1s3W/dc9133Xrdfd2A3YPdht2J3Zpdr52ynbWdwV3T3d9d8Z30nfed+p39ngGeBV4IXgteDl4RHhQeFx4aHh0eIB4jHiXeKJ4rni6eMZ40nkZeVR5YHlseXh5hHmQeZx5qHm0ecR51Hngeex5+HoEehB6HHooejR6QHpMelh6ZHpwenx6iHqUevh7XHvOfEB8i3zWfSB9an12fYJ9jn2afaZ9sn2+fcp92n3pffV+AX4Nfhl+JX4xfph++H9pf9N/43/zf/+ACoAWgCKALoA6gEaAUoBegGqAdoCCgI6AmoDsgUOBiYHVgeGB7IH4ggSCEIIcgiiCNIJAgkyCWIJjgm+Ce4KHgpKCnoKqgraCwoLOgtqC5oLxgv2DCYMJgwmDIIM3g0SDUYN6g4mDmIOpg76D04PTg/CD+IQ9hFaEbYR9hI6Ep4S+hOSFJoVohZuF+IZGhomGxYcoh2GHg4epiAyIXYimiOKJHol4ibSJ4Yo0ipWKp4uoi+GL6YwijFGMXYxpjHWMhYyVjKuM640ojWONb417jYeNk42ejaqNto3Cjc6N2o3mjfKN/o4KjkaOUo5ejmqOlo6ijq6OuY7EjtCO3I77jwePE48fjyePa4/Kj9KQHZApkEaQYZCIkK2Q6pEikS2ROZGUkaCR5JHwkfySCJIUkiCSK5I3kkOST5JakmaSg5KOkrCSu5LGktGS3JLnkvKS/pMKkxmTJJNFk1GTiJO2k8GTzJPYk+OT75QQlDaUQZRJlF6UaZR0lH+UipSVlKGUrJS3lMKU1ZUGlRGVHJUolTSVSpVtlXiVj5WalaWVsJW8lceV05XfleqV9ZYAlh2WKJZGllKWYpZulpCWnJaolsKW65cQlxuXJpcyl2aXcZeil62XuJfDl86X2Zfll/GYP5hKmFWYk5i3mNyZE5k4mUOZTplamZyZp5mymb2ZyJnUmg2aH5o4mkOaTppamnmahJqPmpqapZqwmryax5sEmxCbG5s2m3SbgJuMm5ebopu8m9Gb3Jvnm/Kb/ZwTnB6cKZw1nJ+dLp2Xnk+ew5+WoG6g3aFuoY2iW6JvonuisKLTovGjHaNro6ajw6P0pAmkEaQZpLClZaYMplGmm6bLpxGnS6efp9CoC6hXqK2pJalJqWmpdamrqcup/6o7ql+qZ6pvqneqf6qHqo+ql6qfqqeqr6raqvWrJKtmq4yrwawIrBusd6y8rO6tCK01rXetna3SrhuuLa6HrtCvC68Urx2vJq8vrzivQa9Kr1OvXK9lr26vd6+Ar4mvkq+br6Svra+2r7+vyK/Rr9qv46/sr/Wv/rAHsBCwGbBnsIOwn7C2sM2w37D2sRaxIbF5sYWx3bIEskqykLKZsqGy5LMDswyzFLMgsyyzjbOts9S0ArQ4tEq0gLSMtJi0vrTdtOm08rT7tRW1L7U3tT+1S7VZtW21fbWYtbO16rYhtjK2Q7Zgtn22vbb9twm3G7cstyy3LLcstyy3LLcstyy3LLcstyy3LLcst2K3j7e+t/C4f7iXuP25OLmHub+5+bowuou6p7rWuui68bsEuzK7yrvTu+e79rwfvFO8Y7x5vKO83b1FvcG+Dr4avla+mL6kvqy+9L8uwA3APsBpwJ/A1cEuwePCCsI1wrbC18Lrwv/DFMMowzrDT8Niw3jDjcOjw7XDycPew/LECMQdxDDERsRbxHLEh8SexLHEx8TaxPDFBsUcxS3FP8VUxWnFgMWWxanFvcXQxeTF9sYKxh/GM8ZJxl7Gb8aDxpfGrMbAxtXG58b4xw3HIsc3x0vHXMdux4PHmMeux8XH18fsx//IFcgqyEDIU8hnyHzIkMijyLnIzsjlyPrJEckjyTjJTcliyXbJi8mdybDJxsncyfPKCsobyi/KQcpWymrKf8qSyqfKvcrSyunLAMsUyyfLO8tPy2HLdsuLy5/LtMvJy9rL7cwDzBnMMMxHzFnMbcyAzJXMq8zBzNPM5sz7zQ/NJc07zU3NYs11zYvNn821zcjN283vzgPOVs50zn3Ohc6OzpfOoM6pzrLOu87Ezs3O1s7jzu/PAc8qz1TPcs96z4LPis+Sz5vPpM+0z8TP0s/o0ADQENAg0DTQPdBY0HTQitCT0JzQpdCu0LfQx9Dv0PjRAdEK0RPRHNEl0TLRO9FE0U3RWtFo0XfRj9Gf0bPR29H10hnSItIr0jPSRNJN0lbSZNKZ0t/TJdM400jUIdRC1ErUdNSN1K7Uz9UK1RLVL9V01YbVodWq1bjVwdXr1gfWGNYg1kbWYdZ61pPWvdbf1wHXHtdG12/XfNef16fXsNe418HXydgD2CzYYNiM2LDYzNj/2SjZSdlt2Y3ZqNnA2cvZ8tog2j3aSdpV2mnafdqn2sLa49sW2xbbI9sx22YAAAJNAFkBBAAAARoANgHfAD0ChgAWAjwAKwOGAB4C7gAoAQoAPQFTACgBUwAeAh4AHQI8ACsBHQAfAUAAHAEZADYBnwAHAjwAJAI8ADsCPAAmAjwAJgI8ABECPAAxAjwAIwI8ABsCPAAjAjwAIAEZADYBHQAfAjwAKwI8ACsCPAArAd0ABQOCAC8CtAAAApkAVQKCADcC3ABVAjAAWgIlAFoC1AA6Av0AWgGFACABS/+2ApgAWgIvAFUDrwBaAy0AWgMXADcCbQBVAxcANwKQAFUCJwAuAkEAEwL0AFUCigAAA8cAAAKeAAMCcgAAAkMAGAFLAEYBnwAGAUsAGQI8ABcBm//+AW0AKAJXACgCeABJAgQALwJ4AC8CVQAvAYMAFAJ4AC8CigBJASsARAEq/8sCbABOASoASQPPAEkCigBJAnEALwJ4AEkCeAAvAb8ASQH2AC4BsgAXAooARgI7AAADWAAKAkIABQI7AAAB7QAeAYoADwInAN4BigAoAjwAKwEEAAABHgA5AjwARgI8ACgCOAA0AjwAAwInAN4B5gA0AlEAfQNAADEBfQAbAmYAJgI8ACsBQAAcA0AAMQH0//0BqAAoAjwAKwF7ABcBfAAaAW0AKAKNAEkCiAA0ARkANgEHABMBfAAgAYIAGwJmACYDPgAWA2oAFgNNACwB3QAUArQAAAK0AAACtAAAArQAAAK0AAACtAAAA7gAAAKCADcCMABaAjAAWgIwAFoCMABaAYUACwGFACABhf/2AYUAEALcABUDJQBaAxcANwMXADcDFwA3AxcANwMXADcCPAA/AxcANwL0AFUC9ABVAvQAVQL0AFUCcgAAAnQAWgLAAEkCVwAoAlcAKAJXACgCVwAoAlcAKAJXACgDlQAqAgQALwJVAC8CVQAvAlUALwJVAC8BK//8ASsARQEr/80BK//lAnMAMAKKAEkCcQAvAnEALwJxAC8CcQAvAnEALwI8ACsCawAtAooARgKKAEYCigBGAooARgI7AAACeABJAjsAAAK0AAACVwAoArQAAAJXACgCtAAAAlcAKAKCADcCBAAvAoIANwIEAC8CggA3AgQALwKCADcCBAAvAtwAVQJ4AC8C3AAVAoUALwIwAFoCVQAvAjAAWgJVAC8CMABaAlUALwIwAFoCTwAvAjAAWgJVAC8C1AA6AngALwLUADoCeAAvAtQAOgJ4AC8C1AA6AngALwL9AFoCiv/OAv4AAAKRAAIBhf/eASv/0QGFABwBK//wAYUACwEr/+ABhQAgASsAKQGFACAC0gAgAmIARAFL/7YBKv/LApQAWgJsAE4CbABOAi8ATQEqAEQCLwBVASoAQAIvAFUBKgBJAi8AVQFxAEkCNQABATH/9AMlAFoCigBJAyUAWgKKAEkDJQBaAooASQMH//0DLQBaAooASQMXADcCcQAvAxcANwJxAC8DFwA3AnEALwPNADoD0gAtApAAVQG/AEkCkABVAb8AQQKQAFUBvwAuAicALgH2AC4CJwAuAfYALgInAC4B9gAuAicALgH2AC4CQQATAbIAFwJBABMBsgAXAkEAEwGyABcC9ABVAooARgL0AFUCigBGAvQAVQKKAEYC9ABVAooARgL0AFUCigBGAvQAVQKKAEYDxwAAA14ACgJyAAACOwAAAnIAAAJDABgB7QAeAkMAGAHtAB4CQwAYAe0AHgF/AE4CBQAGArMAAAJXACgDuAAAA5UAKgMXADcCawAtAicALgH2AC4B4gAoAfgAKAGcACgB0AAoAPQAKAFGACgBFwAoAeUAKAIEACgDFgCIApwAAAJDABgC9QAgAmEAIwKDAEkBkQBOA8cAAANeAAoDxwAAA14ACgPHAAADXgAKAnIAAAI7AAAB9AAmA+gAJgPoACYBm//+ANkADADZAAwBHgAaANkADAG9AAwBvQAMAgEAHwIBADoCBwA4AXgAMANXADYFAAAeAS8ALgIMAC4BbQAmAW0AJgI6ADYAgv9AAacAMAI8ABECPAAoA3oATQI8ACADGwAfAggAFAQEAEIDBQARAvUAIAJrADIAAAAAAAD/rgF8AAwBfAAoAXwAHQF8ABYB9AAAA+gAAAH0AAAD6AAAAU0AAAD6AAAApwAAAjwAAAEZAAAApgAAAGQAAAAAAAABKv/LAN0ADAOwAFoDzwBJArQAAAJXACgBSQApAzUANwKpAC8DdQBVAvUARgMXADcCawAtAzEAUAJPABwCRQAcArQAAAJXACgCtAAAAlcAKAK0AAACVwAoArQAAAJX/+cCtAAAAlcAKAK0AAACVwAoArQAAAJXACgCtAAAAlcAKAK0AAACVwAoArQAAAJXACgCtAAAAlcAKAK0AAACVwAoAjAAWgJVAC8CMABaAlUALwIwAFoCVQAvAjAAUwJVAC8CMP+9AlX/7AIwAFMCVQAvAjAAWgJVAC8CMABaAlUALwGFACABKwA3AYUAIAErAEQDFwA3AnEALwMXADcCcQAvAxcANwJxAC8DFwA3AnH/8QMXADcCcQAvAxcANwJxAC8DFwA3AnEALwM1ADcCqQAvAzUANwKpAC8DNQA3AqkALwM1ADcCqQAvAzUANwKpAC8C9ABVAooARgL0AFUCigBGA3UAVQL1AEYDdQBVAvUARgN1AFUC9QBGA3UAVQL1AEYDdQBVAvUARgJyAAACOwAAAnIAAAI7AAACcgAAAjsAAAKFAC8CQQATAbIAFwJ8AAIDFwAGAn4AWgJ8AE4CmwBTAnwASgKCACECfwA6AgkALQLcABUDXQAGAn4ALQJ8AC0CcAA8AjAAOwMxAFACiAArAqf/7wLWADoCigAAA9sATgGVAFYBiQAbApgAWgJwAE4BSgAKAmcABAQLAFUDLf/uAooASQMXADcEZwA6A6EALQLrAAYCfABOApcAWgIoACoB8wApAkMAGAGi//gBsQAXAmoABQGxABcCQwAUAxMAGwL0AE8CeQAAAmsACQJBABkB7QAeAk8AHAJPACcCRgAmAkUAMAI6ABsCQgAYAisAJgHxACQCcQBOASMAXAInAFwCBAAyARoANgUdAFUEyQBVBGUALwOAAFUDZgBVAmIASQR4AFoEXgBaA8IASQK0AAACVwAoAYX/8QEr/84DFwA3AnEALwL0AFUCigBGAvQAVQKKAEYC9ABVAooARgL0AFUCigBGAvQAVQKKAEYCtAAAAlcAKAK0AAACVwAoA7gAAAOVACoC1AA6AnwALQLUADoCeAAvApQAWgJs/80DFwA3AnEALwMXADcCcQAvAk8AHAJFABwFHQBVBMkAVQRlAC8C1AA6AngALwQYAFoCpABaAyUAWgKKAEkCtAAAAlcAIwK0AAACVwAoAjAAJAJVACMCMABaAlUALwGF/7oBK/+NAYUAAwEr/9YDFwA3AnEALwMXADcCcQAvApAAPwG//+4CkABVAb8ANwL0AFUCigA8AvQAVQKKAEYCdQAmAfoAFAL9AFoCiv/OAvkAWgNmAC0C+QA1AnEAKgJDABgB6AAcArQAAAJXACgCMABaAlUALwMXADcCcQAvAxcANwJxAC8DFwA3AnEALwMXADcCcQAvAnIAAAI7AAABswAmAwQATgHDABcDxQAtA8UALQK3AAACfwA3AgAALwI1ABcCSQATAfEALQHoABwB5gAAAeoABAKZAAsC9AAAApwAAAIxAFoCUAAvAUz/uQE1/78DDAA5AnwALQKXAAoBvwAAAnQAAAJAAAACVwBHAnwALwJ8AAgCfABOAgAAHwIqACwCfAAvAnwALwJVAC4CVQAuAisAJgJ1AC0BNf+/AnwALQJ4AC8CZgA5AjkAAAIy//8CigBHAooASQKRAE4BKwABAZEATgFbACUBswAAAZX/9gE0AE4C+ABOA88ARwPWAEsD1gBOApT/6AKUAE4CtABYAnEALQNsAC0DOQAtAysALwG/AA0BvwANAcgAEwG/AEkByABOAYsASwGLABYCMgBRAmQAUQHxAC0BNf/oATX/6AE1/+sBNf+eAbIAIAGxABcCigAEAo0AHQKUAE4COwAAA14AEAI7AAACHAAMAegAHAI/ABsCRQAcAkUAAAHeAAQB3gAXAd4ABAH7AC0DFwA3AjYATgJ6ACYCVAAuAoYAUAEy/6UCbAAAAdsAUgJ8AC8B3gAEAd4AFwP1AC8ELAAvBEUALQMtABcCcwAXA50AFwO/ABQC0wBOAqoASQIY//0CXgBOApH/7AKR/+wBpwAwAacAMADC/94BIwAwASMACAEoAAwBjgA1AjAABwF0AAAA3AAMAcMADADcAAwA3AAMALYAHgC2AB4BOgAIAToAEAEdABYBHQAWARwACgEcAAQAtAAoAW0AKAFtACgAtAAoAZwAKAFtACgBbQAoAR4ANgEeADYAygAoAMoAKAEOAB4BDgAeAQ4AHgEMAB4BHAAoAXYAAADCADABRgAdAXgAAwE3AA8BogBOAaIATgGiAE4BogBOAaIATgGiAE4BogBOAfgAKAHvACgBvgAMAZ4AKAGeACgBSwAoAUsAKAFtACgCBAAoAgQAKAHlACgBGQA2AR4AKAEeACgBHgAoAR4AKAIOACgCDgAoAhYAKAAA/l0B7QAcApkAVQJ4AEkCmQBVAngASQKZAFUCeABJAoIANwIEAC8C3ABVAngALwLcAFUCeAAvAtwAVQJ4AC8C5ABVAnkALwLcAFUCeAAvAjAAWgJVAC8CMABaAlUALwIwAFoCVQAvAjAAWgJVAC8CMABaAlUALwIlAFoBggAUAtQAOgJ4AC8C/QBaAooARQL9AFoCigBJAv0AWgKK/+YC/QBaAooAKwL9AFoCigBJAYX/+QEr/9QBhQAgASv/8wKUAFoCbAA1ApQAWgJsAE4ClABaAmwATgIvAFUBKgBCAi//+AEq/+8CLwBVASr/7wIvAFUBKv/KA7AAWgPPAEkDsABaA88ASQMlAFoCigBJAyUAWgKKAEkDJQBaAooASQMlAFoCigBJAxcANwJxAC8DFwA3AnEALwMXADcCcQAvAxcANwJxAC8CbQBVAngASQJtAFUCeABJApAAVQG/AEkCkABVAb8AQgKQAFUBvwBCApAAVQG//+8CJwAuAfYALgInAC4B9gAuAicALgH2AC4CJwAuAfYALgInAC4B9gAuAkEAEwGyABcCQQATAbIAFwJBABMBsgAXAkEAEwGyABcC9ABVAooARgL0AFUCigBGAvQAVQKKAEYC9ABVAooARgL0AFUCigBGApEAAAI7AAACkQAAAjsAAAPHAAADXgAKA8cAAANeAAoCngADAkIABQKeAAMCQgAFAnIAAAI7AAACQwAYAe0AHgJDABgB7QAeAkMAGAHtAB4CigBJAbIAEwNeAAoCOwAAAnIAKAF/AE4AAAAAAAAAAAAA/+wAAP8rAkEAKAInAFwBvQAMAAD/7AAA/ywAAP+MAAD/jAAA/4wApgAAAukALgH0//0BHQA5AAD/jAAA/4wAAP+LAAD/iwAA/4sAAP+MAXsAFAF8ABYBfAAVAjwAFQJhACICPAAkA88ASQI8AAoDlQBLAuIACgI8AAgCPAAUA/IAFAJiAAACPAAGAt4AOgKKAAACPAAKAn0AOgI8AEEDQAAxAw4ABQHpAB4CUgAwAvkAWgMlAFoC9ABVAjwABQMEABQCrQAUArQAFAQvABQENwAUA1oAVQL7AFUC7AA6ApcACgIvAFUDJQBaArQAAAIwAFoBhQAgAvQAVQFDAFUDEwBVAUMAUQFD/+wBQ//ZAUP/2QFD/5kBQ//xAUP//AFDAFABQwBOAUMACAFDAD4BQ//iAUP//AFDAD4BQwA+AUP/3QFD/90BzAAhAcwAIQP9AFUE9QBaAnAAIwIrACYDFgAmAlUALgNFAC0BKwBKASr/ywJYAAQBf//3AX8ABgJYAC0COP//ASoAKgKKAEkCVwAoAlUALwKRAEYBGgBBARoAQQEa/9YBGv/CARr/6QEaADgBGv/KAqgAQQEa/+YBGgAkARr/yAGOACABjgAgAlIAAAJQAAACUAAAAlAAAAJQAAACUAAAAlAAAAJQAAACUAAAAlAAAAJQAAADN//+Azf//gIwAEECFwAqAhcAKgIXACoCFwAqAhcAKgIXACoCYwBBAmMACwJjAEECYwALAdMARgHTAEYB0wA/AdMAJQHTACQB0wBGAdMARgHTACcB0wBGAdMARgHKAEYCYwArAmMAKwJjACsCYwArAmMAKwKEAEYCdwALAoQARgFiAB4BYgAeAWL//AFi/+oBYgANAWIAHgFi/+8CfgAeAWIADAFiAB4BYv/tARz/vgEc/74CMQBBAjEAPQHdAEEB3QBBAd0AQQHdABMB3QBBAd3/4gMjAEYCtABGArQARgK0AEYCtABGArQARgK0AEYCngAvAp4ALwKeAC8CngAvAp4ALwKeAC8CngAvAp4ALwKeAC8CngAvAp4ALwNFADACDQBBAhsASAKeAC8CMgBGAisARgIrAEYCKwA0AdwAJgHcACYB3AAmAdwAJgHcACYB3AAEAnkAPgHlABQB6wASAeUAFAHlABQB5QAJAnwAQwJ8AEMCfABDAnwAQwJ8AEMCfABDAnwAQwJ8AEMCfABDAnwAQwJ8AEMCMwAAA0gABgNIAAYDSAAGA0gABgNIAAYCSQACAhwAAAIcAAACHAAAAhwAAAIcAAAB9wAZAfcAGQH3ABkB9wAZAqAAPQLeAAECLwAgA1EAGAJKAAsDRgACBCL//ALn//wDQQALAwkAYQNo//wCJQAyArQAAAJ4ADIDCQBhAwoAYQKPAGEDDQA9AsoAYQJ2ACYC2gAkAigAYQKIACsClABaAlsAHAM4//wEg//8AkMACQHzAAkBVwAgAVf/bwIfAAUDCQAxApEALQKRAC0BzgAYAeAAGAJE/6sBpwAwAYwAMwDCADACegAwAacAMAGbADABRgAdARIADwJHABsCRwAyAkcAIAJHACcCRwAPAkcAMgJHACMCRwAvAkcAHQJHABwCYgAvAdkADQI7AB8CNQAeAkgAFgI/ADMCRgArAjcAIgI8ACMCRgAjAlwANAIFAAwCLwAhAjwAJgJFABECQgA1AloANQIWAAsCUwAuAloALQI8ACQBfAAUAXwAIAF8ABcBfAAaAXwADAF8ACgBfAAWAXwAHQF8ABYBfAAVAXwAFAF8ACABfAAXAXwAGgF8AAwBfAAoAXwAFgF8AB0BfAAWAXwAFQF8ABQBfAAgAXwAFwF8ABoBfAAMAXwAKAF8ABYBfAAdAXwAFgF8ABUEXwADAo8ANQKPAFcBSwBGAUsAGQGYABMBqAAWAmEAFAJYABQDVQAlAvsANgNpADkCMAAeArUAOQNpADkBGQA2AUAAMwHdAAMCWAAUAh4AHQH0AKQDtQAFAvsABQNSADICiABMAR0AOQPoACgCQwA5AkwAKwEZADkCHgAdAj8ANgEdADkCYQAUAXgANwDyAD8A8gACAPIAPwDyAAIBQAAcAUAAHAKDADMBpgAzA6cALgNgADMBIwAeASMAFgFgABkBYQAaAREAMQERABgA7QAkAO0AJAGcAAEBnAAQAdUAJAFBAB4BQQAeAN4AAAJYAAACWAAAAlgAAAJYAAACWAAAAlgAAAAAAAAAAAAAAAAAAAAAAAACWAAAArgAFwNqADMCWAAKA5cAVQLbABQCPQAWAywADAMVADkCPABaAjwAYAL3ADMCWAAjAu4AAAIdACABpgADAekAAgFnACMBZwAjAZAABQaDAB0BZwAjAWcAIwIvACACbAAaAtQAUAIvACACcgAAAmwAAAOoACkDJQAXAzAAFwODAC0D7QAoAlkAHwWhAFoDnwAoASsARAOq//4CTwAcAo8ALAKcAFoCxQBhAlYAVQKXACMDBwAbBAf/8gMFABECigAAA0QALAD8/2UCHgBOAh4ATgIeAE4CHgBOAX8AFAIeAA4CHgAXAh4ACwIeABoCHgAaAX8AIgIeACYCHgAiAh4AKAIeACYCHgAmAX8AEgIeABICHgAXAh4AEgIeABMCHgASAX8AFgIeABoCHgAjAh4AGgIeABYCHgAnAX8AFAIeABcCHgAOAh4AGgIeAAsCHgAaAh4ATgIeAE4CHgBOAh4ATgF/ABICHgAXAh4AEgIeABMCHgASAh4AEgF/ACICHgAiAh4AJgIeACYCHgAoAh4AJgF/ABYCHgAjAh4AGgIeABYCHgAaAh4AJwF/ACUCHgAnAh4ALgIeACUCHgAlAh4AJQF/ABoCHgAaAh4AGgIeABoCHgAaAh4AGgIeAE4CHgBOAh4ATgIeAE4BfwAfAh4AFwIeAB8CHgAcAh4AHwIeAB8BfwAlAh4AJwIeACUCHgAlAh4AJQIeACIBfwAiAh4AIwIeACICHgAiAh4AIgIeACIBfwAnAh4AJQIeACcCHgAlAh4AJQIeACUBfwAcAh4APwIeABwCHgA/Ah4AHAIeABwCHgBOAh4ATgIeAE4CHgBOAX8AJQIeAEcCHgBHAh4ARwIeAEcCHgBHAX8AMwIeACUCHgAlAh4AJQIeACUCHgAlAX8AGwIeABsCHgAbAh4AGwIeABsCHgAbAX8AJQIeACUCHgAlAh4AIgIeACUCHgAlAX8ALQIeACoCHgAqAh4AKgIeACoCHgArAh4ATgIeAE4CHgBOAh4ATgKPACIBkQAgAAD/TgAA/64AAP3rAAD+lAAA/2AAAP80AAD/NAAA/0sAAP99AAD94QAA/1oAAP8wAAD/zgAA/3kAAP3GAAD/TwAA/0AAAP+gAAD/oAAA/6AAAP+gAAD/XgAA/3QAAP+oAAD/qAEsAA8AAP+lAAD/wwAA/5cAAP+XAAD/lwAA/5QAAP8iAAAAAAAA/lsAAP9OAAD/fQAA/5AAAP+dAAD/zgAA/04AAP9DAAD/OAAA/zUAAP9CAAD/QAAA/zYAAP9aAAD/FgAA/xYAAP8+AAD/MAAA/pIAAP9QAAD/MAAA/8QAAP9OAAD/QwAA/0MAAP+aAAD/wAAA/xUAAP8lAAD/xgAA/yYAAP8VAAD/eQAA/6MAAP9IAAD/RAAA/1MAAP9RAAD/pQAA/psAAP+sAAD/ywAA/08AAP+hAAD/rAAA/6wAAP9IAAD/zgAA/5YAAP9AAAD/oQAA/nUAAP51AAD+1AAA/tQAAP51AAD+dAAA/okAAABfAAAAiAAAAEcAAABmAAAA1wAAAJ0AAABiAAAAYgAAAHIAAACvAAAAZQAAAIAAAAAFAfT//QAA/zsAAP+jAAD/MAAA/9gAAP+VAAD/qwAA/5EAAP+ZAAD/mQAA/+YAAP9QAAD/kwAA/8YAAP+1AAD/lwAA/4oAAP+HASsAKQE1/78BMv+lAML/3gEr/9ABKwBDASsAAQFXACABV/9vASAATgEGACECYgAvAkcAAAJFAC8AAP+uAgwAKgABAAAACgI2A5oABkRGTFQB+mN5cmwBhmRldjIB+mRldmEB+mdyZWsBRGxhdG4AJgEuAAdBUFBIAdhDQVQgAO5JUFBIAdhNQUggAL5NT0wgAI5OQVYgAF5ST00gAC4AAP//ABUAAAABAAIAAwAEAAUABgAHAA0ADgAPABAAEQASABQAFQAWABgAGQAaABsAAP//ABUAAAABAAIAAwAEAAUABgAHAAwADgAPABAAEQASABQAFQAWABgAGQAaABsAAP//ABUAAAABAAIAAwAEAAUABgAHAAsADgAPABAAEQASABQAFQAWABgAGQAaABsAAP//ABUAAAABAAIAAwAEAAUABgAHAAkADgAPABAAEQASABQAFQAWABgAGQAaABsAAP//ABUAAAABAAIAAwAEAAUABgAHAAgADgAPABAAEQASABQAFQAWABgAGQAaABsAEAACQVBQSAC6SVBQSAC6AAD//wAWAAAAAQACAAMABAAFAAYABwAOAA8AEAARABIAEwAUABUAFgAXABgAGQAaABsAQAACTUtEIAAQU1JCIAAQAAD//wAVAAAAAQACAAMABAAFAAYABwAKAA4ADwAQABEAEgAUABUAFgAYABkAGgAbAAD//wAXAAAAAQACAAMABAAFAAYABwAKAA4ADwAQABEAEgATABQAFQAWABcAGAAZABoAGwAEAAAAAP//ABQAAAABAAIAAwAEAAUABgAHAA4ADwAQABEAEgAUABUAFgAYABkAGgAbABxhYWx0AVxjMnNjAVZjYXNlAVBjY21wAUZkbm9tAUBmcmFjATZsaWdhATBsbnVtASpsb2NsASRsb2NsAR5sb2NsARhsb2NsARJsb2NsAQxsb2NsAQZudW1yAQBvbnVtAPpvcmRuAPRwbnVtAO5ydGxtAOhzYWx0AOJzaW5mANxzbWNwANZzczAzAMxzczA0AMJzdWJzALxzdXBzALZ0bnVtALB6ZXJvAKoAAAABACMAAAABABwAAAABABEAAAABAA8ABgABACUAAAEmAAYAAQAkAAABJQAAAAEAHwAAAAEAEAAAAAEAJQAAAAEAIgAAAAEAGwAAAAEAGAAAAAEAHQAAAAEAEgAAAAEACAAAAAEABgAAAAEABwAAAAEADgAAAAEACQAAAAEACgAAAAEAGgAAAAEAIQAAAAMAFAAVABYAAAABABMAAAADAAIABAAFAAAAAQAgAAAAAQAeAAAAAgAAAAEAJhYuEmgR7BHGCzAKuAqKCmgKaApGCewJzAmsCYwJeAkOCQ4IwAioCJoIhgioCD4IMAfyB9AHuAdyBzIG5ARqAdgBfgE6ASYBBADwAE4AAQAAAAEACAACAE4AJAQyBEUEPQQ0BDcEOQRDBEAENQRBBDsEMwRGBD4EPARHBEgENgQ4BD8ERAQ6BEIEWgRbBFwEXQReBF8EYARhBGIEYwRkBGUEZgABACQAKgArAIwAjQCOAI8A6ADqAOwA7gDwAPEA8wHLAc0CQAJDAkgCeQJ7A4kDiwQwBJIEkwSUBJUElgSXBJgEmQSaBJsEnASdBJ4AAQAAAAEACAABAAYEYwABAAEBPwABAAAAAQAIAAIADgAEBTQG3wbfBTQAAQAEABEFFgUgBSoAAQAAAAEACAABAAYABAABAAEFsAAEAAgAAQAIAAEANgABAAgABQAmAB4AGAASAAwEIwACAEcEJQACAE0EJAACAEoEJgADAEcASgQnAAMARwBNAAEAAQBHAAEAAAABAAgAAgBCAB4FKgUrBSwFLQUuBS8FMAUxBTIFMwUqBSsFLAUtBS4FLwUwBTEFMgUzBSoFKwUsBS0FLgUvBTAFMQUyBTMAAgACABEAGgAABRYFKQAKAAEAAAABAAgAAgFGAKAFhgZXBYAFgQWIBYQFhQRnBHQEdQR7BH8EiQSKBI8EkgSdBJ8EoQSnBKgErgS6BLwEvQTBBMgEzQTYBNkE3gTfBOQFggWDBYcFiQTHBGwEaARqBHEEawRvBHIEeASGBIAEgwSEBJgEkwSVBJYEfAStBLMErwSxBLgEsgS2BNIEzgTQBNEE4AS7BOIEbQRpBG4EdgR5BHoEdwR9BH4EhwSBBIUEiASCBIwEiwSOBI0EkQSQBJwEmgSUBJsEmQSeBKAEogSkBKMEpQSmBKkEqwSqBKwEtQSwBLQEuQS+BMAEvwTCBMUExATDBMwEygTJBNcE1ATPBNYE0wTVBNsE4QTlBOcE5gRwBHMEtwTGBN0E2gTcBOMFiwWMBYoEywSdBKQEqwRuBIgE1Qa2BrcGuAa5BroGuwa8Br0Gvga/BsAGwQABAKAAAgAHAAkACgAgADwAPgBCAEMARABFAEYARwBIAEkASgBLAEwATQBOAE8AUABRAFIAUwBUAFUAVgBXAFgAWQBaAFsAXABeAGEAfwCfAKAAoQCiAKMApAClAKYApwCoAKkAqgCrAKwArQCuAK8AsACxALIAswC0ALUAtgC4ALkAugC7ALwAvQC+AL8AwQDDAMUAxwDJAMsAzQDPANEA0wDVANcA2QDbAN0A3wDhAOMA5QDnAOkA6wDtAO8A8gD0APYA+QD7AP0A/wEBAQMBBQEHAQoBDAEOARABEgEUARYBGAEaARwBHgEgASIBJAEmASgBKgEsAS4BMAEyATQBNgE5ATsBPQFBAUMBRQFHAVkBWwFdAV8BcgFzAXQB/QRPBFUEVgRXBFgEWQZZBloGWwZcBl0GXgZfBmAGYQZiBmMGfwABAAAAAQAIAAIBOgCaBYYGVwWABYEFiARnBHQEdQR7BH8EiQSKBI8EkgSdBJ8EoQSnBKgErgS6BLwEvQTBBMgEzQTYBNkE3gTfBOQFhAWFBYIFgwWHBsIFiQRsBGgEagRxBGsEbwRyBHgEhgSABIMEhASYBJMElQSWBHwErQSzBK8EsQS4BLIEtgTSBM4E0ATRBOAEuwRtBGkEbgR2BHkEdwR9BH4EhwSBBIUEiASCBIwEiwSNBJEEkAScBJoElASbBJcEmQSeBKAEogSkBKMEpQSmBKkEqwSqBKwEtQSwBLQEuQS+BMAEvwTCBMUExATDBMwEygTJBNcE1ATPBNYE0wTVBNsE4QTiBOUE5wTmBHAEcwS3BMYE3QTaBNwE4wWLBYwFigTLBMcGtga3BrgGuQa6BrsGvAa9Br4GvwbABsEAAQCaAAIABwAJAAoAIAAiACMAJAAlACYAJwAoACkAKgArACwALQAuAC8AMAAxADIAMwA0ADUANgA3ADgAOQA6ADsAPAA+AFwAXgBhAG8AfwCAAIEAggCDAIQAhQCGAIcAiACJAIoAiwCMAI0AjgCPAJAAkQCSAJMAlACVAJYAmACZAJoAmwCcAJ0AngDAAMIAxADGAMgAzADOANAA0gDUANYA2ADaANwA3gDiAOQA5gDoAOoA7ADuAPAA8QDzAPUA+AD6APwA/gEAAQIBBAEGAQkBCwENAQ8BEQETARUBFwEZARsBHQEfASEBIwElAScBKQErAS0BLwExATMBNQE3ATgBOgE8AUABQgFEAUYBWAFaAVwBXgFyAXMBdAH8BCkGWQZaBlsGXAZdBl4GXwZgBmEGYgZjBn8AAQAAAAEACAACADAAFQUWBRcFGAUZBRoFGwUcBR0FHgUfBuAFIAUhBSIFIwUkBSUFJgUnBSgFKQACAAMAEQAaAAABjgGOAAoFKgUzAAsAAQAAAAEACAACAC4AFAUWBRcFGAUZBRoFGwUcBR0FHgUfABEAEgATABQAFQAWABcAGAAZABoAAgABBSAFMwAAAAEAAAABAAgAAgAuABQFKgUrBSwFLQUuBS8FMAUxBTIFMwUgBSEFIgUjBSQFJQUmBScFKAUpAAIAAgARABoAAAUWBR8ACgABAAAAAQAIAAEABgAKAAIAAQUgBSkAAAABAAAAAQAIAAIADgAEAGoAegBqAHoAAQAEACIAMABCAFAABgAAAAIAJAAKAAMAAQC6AAEAEgAAAAEAAAAZAAEAAgAwAFAAAwABAKAAAQASAAAAAQAAABkAAQACACIAQgABAAAAAQAIAAEAPv/2AAYAAAACACYACgADAAEAEgABAC4AAAABAAAAFwACAAEFPwVIAAAAAwABABwAAQASAAAAAQAAABcAAgABBUkFUgAAAAEAAQF1AAEAAAABAAgAAQAGAWUAAQABABAAAQAAAAEACAABABQFLgABAAAAAQAIAAEABgU4AAIAAQARABoAAAABAAAAAQAIAAIAJAAPBXgFeQWuBAcAeQByAHMBgwGEBAgBhQGGBAkFqgF2AAEADwAJAAoADAARABIAEwAUABUAFgAXABgAGQAaAB4ATwABAAAAAQAIAAIAMgAWBXYFdwWtBTUFNgU3BTgFOQU6BTsFPAU9BT4FqQUOBQ8FEAURBRIFEwUUBRUAAQAWAAkACgAMABEAEgATABQAFQAWABcAGAAZABoAHgBJAEwATQBOAE8AUQBUAFUAAQAAAAEACAABAAb7IQABAAEGYAAEAAAAAQAIAAEAEgABAAgAAQAEBKUAAgB3AAEAAQShAAQAAAABAAgAAQASAAEACAABAAQA/gACAHcAAQABAC0ABAAAAAEACAABABIAAQAIAAEABAD/AAIAdwABAAEATQAGAAAAAQAIAAEADAADAD4AKgAWAAEAAwAtAE0EoQABAAQAAAACAHcAAQShAAEAAAANAAEABAAAAAIAdwABAE0AAQAAAAsAAQAEAAAAAgB3AAEALQABAAAADAABAAAAAQAIAAIADgAEBCwEVQQtBFYAAQAEAPoA+wEEAQUAAQAAAAEACAACAA4ABAFGAUcBIQEiAAEABAEdAR4B/AH9AAEAAAABAAgAAgAUAAcELgRXBC8EWAQwBDEEWQABAAcAxADFANgA2QDuATEBMgACABAAAQAKAAAAAQAaAAoAaABiAFwAVgBQAEoARAA+ADgAMgABAAoBlgG8Ac4B0AHoAnADngOgA74G2QACBE4GewACAFQGewACAE8GWgACAE4GewACAE8GWwACAFYGewACAFAGewACAEoGewACAEYGewACAE4GXAAEABAAAQAKAAAAAQZeABUGVAZKBkAGJAYSBggF/gX0BdgFxgS0A6ICkAF+AGwAYgBYAE4ARAA6ADAAAQAEBNUAAgbBAAEABASbAAIGwQABAAQEiAACBsEAAQAEBG4AAgbBAAEABARNAAIFygABAAQESwACBcoAHAEKAQIA+gDyAOoA4gDaANIAygDCALoAsgCqAKIAmgCSAIoAggB6AHIAagBiAFoAUgBMAEYAQAA6Bf0AAgNFBfcAAgNGBfEAAgNEBecAAgNDBgIAAwNFA0UGAQADA0UDRgYAAAMDRQNEBf8AAwNFA0cF/gADA0UDQwX8AAMDRgNFBfsAAwNGA0YF+gADA0YDRAX5AAMDRgNHBfgAAwNGA0MF9gADA0QDRQX1AAMDRANGBfQAAwNEA0QF8wADA0QDRwXyAAMDRANDBfAAAwNHA0UF7wADA0cDRgXuAAMDRwNEBe0AAwNHA0MF7AADA0MDRQXrAAMDQwNGBeoAAwNDA0QF6QADA0MDRwXoAAMDQwNDABwBCgECAPoA8gDqAOIA2gDSAMoAwgC6ALIAqgCiAJoAkgCKAIIAegByAGoAYgBaAFIATABGAEAAOgY1AAIDRQYrAAIDRAYlAAIDRwYfAAIDQwY6AAMDRQNFBjkAAwNFA0YGOAADA0UDRAY3AAMDRQNHBjYAAwNFA0MGNAADA0YDRQYzAAMDRgNEBjIAAwNGA0cGMQADA0YDQwYwAAMDRANFBi8AAwNEA0YGLgADA0QDRAYtAAMDRANHBiwAAwNEA0MGKgADA0cDRQYpAAMDRwNGBigAAwNHA0QGJwADA0cDRwYmAAMDRwNDBiQAAwNDA0UGIwADA0MDRgYiAAMDQwNEBiEAAwNDA0cGIAADA0MDQwAcAQoBAgD6APIA6gDiANoA0gDKAMIAugCyAKoAogCaAJIAigCCAHoAcgBqAGIAWgBSAEwARgBAADoGTQACA0YGRwACA0QGQQACA0cGOwACA0MGVgADA0UDRgZVAAMDRQNEBlQAAwNFA0cGUwADA0UDQwZSAAMDRgNFBlEAAwNGA0YGUAADA0YDRAZPAAMDRgNHBk4AAwNGA0MGTAADA0QDRQZLAAMDRANGBkoAAwNEA0QGSQADA0QDRwZIAAMDRANDBkYAAwNHA0UGRQADA0cDRgZEAAMDRwNEBkMAAwNHA0cGQgADA0cDQwZAAAMDQwNFBj8AAwNDA0YGPgADA0MDRAY9AAMDQwNHBjwAAwNDA0MAHAEKAQIA+gDyAOoA4gDaANIAygDCALoAsgCqAKIAmgCSAIoAggB6AHIAagBiAFoAUgBMAEYAQAA6BhkAAgNFBhMAAgNGBgkAAgNHBgMAAgNDBh4AAwNFA0UGHQADA0UDRgYcAAMDRQNEBhsAAwNFA0cGGgADA0UDQwYYAAMDRgNFBhcAAwNGA0YGFgADA0YDRAYVAAMDRgNHBhQAAwNGA0MGEgADA0QDRQYRAAMDRANGBhAAAwNEA0cGDwADA0QDQwYOAAMDRwNFBg0AAwNHA0YGDAADA0cDRAYLAAMDRwNHBgoAAwNHA0MGCAADA0MDRQYHAAMDQwNGBgYAAwNDA0QGBQADA0MDRwYEAAMDQwNDABwBCgECAPoA8gDqAOIA2gDSAMoAwgC6ALIAqgCiAJoAkgCKAIIAegByAGoAYgBaAFIATABGAEAAOgXhAAIDRQXbAAIDRgXVAAIDRAXPAAIDRwXmAAMDRQNFBeUAAwNFA0YF5AADA0UDRAXjAAMDRQNHBeIAAwNFA0MF4AADA0YDRQXfAAMDRgNGBd4AAwNGA0QF3QADA0YDRwXcAAMDRgNDBdoAAwNEA0UF2QADA0QDRgXYAAMDRANEBdcAAwNEA0cF1gADA0QDQwXUAAMDRwNFBdMAAwNHA0YF0gADA0cDRAXRAAMDRwNHBdAAAwNHA0MFzgADA0MDRQXNAAMDQwNGBcwAAwNDA0QFywADA0MDRwACAAwABgEyAAIGfwGdAAIGcwADABQADgAIAmMAAgZ/AZsAAgZzAmUAAwZ/AUoAAQAEAO8AAgZ/AAEABADZAAIGfwABAAQAxQACBn8AAgAMAAYBMQACBn8BnAACBnMAAwAUAA4ACAJiAAIGfwGaAAIGcwJkAAMGfwFKAAEABADuAAIGfwABAAQA2AACBn8AAQAEAMQAAgZ/AAEAFQAiACYAKgAwADYAQgBGAEoAUABWA0MDRANFA0YDRwRKBEwEZwR/BJIEzQABABAAAQAKAAAAAgB+AAsETgRPBtQG2QbVBtoG1gbXBtgG2wbcAAYAEAABAAoAAAADAAAAAQBYAAEAEgABAAAAAwACAAsDXQNdAAAGWQZsAAEGlAaZABUGnQafABsGowalAB4GqgaqACEGrQatACIGrwawACMGsgazACUGwwbDACcGxwbTACgAAQALAEoASwDvAc4CtQLRAwYDGwOKBQUFBgADAAAAAQAIAAEAtgBYA7YDrgOoA5gDigN8A24DYANSA0QDNgMoAxoDFAMOAwgDAgL8Aw4C9gLwAuoC5ALeAtgC0AL8AsoCxAK+ArgCsgKsAqYCoAKaApQCjgKIAoICfAJ0Am4CaAJiAlwCVgJQAkoCRAI6AjQCLgIoAiICHAIWAg4CCAICAfwB9gHwAeoB5AHeAdgB0AHKAcQBvgG4AbIBrAGmAaABmgGSAYwBhgGAAXoBdAFuAWgBYgFcAVYAAgAaAAkACgAAAAwADAACABEAGgADAB4AHgANACIAIgAOACoAKwAPADAAMAARAEIAQgASAEkAUQATAFQAVQAcAIwAjwAeAMQAxQAiANgA2QAkAOgA6AAmAOoA6gAnAOwA7AAoAO4A8QApAPMA8wAtAPoA+wAuAQQBBQAwAQkBCQAyAR0BHgAzATEBMgA1AfwB/QA3BRYFMwA5BmAGYABXAAIBgQa9AAIAGgUpAAIAGQUoAAIAGAUnAAIAFwUmAAIAFgUlAAIAFQUkAAIAFAUjAAIAEwUiAAIAEgUhAAMAEQUgBTQAAgUzBR8AAgUyBR4AAgUxBR0AAgUwBRwAAgUvBRsAAgUuBRoAAgUtBRkAAgUsBRgAAgUrBRcAAwUqBRYG3wACBSkFMwACBSgFMgACBScFMQACBSYFMAACBSUFLwACBSQFLgACBSMFLQACBSIFLAACBSEFKwADBSAFKgbfAAIBIgTLAAIBIQTLAAIEWQTVAAIEMQTVAAIBRwTEAAIBRgTEAAQEHwQgBCEErAACBFYEqwACBC0EqwACBFUEpAACBCwEpAACBJ4ERgACBJkEMwACBJcEOwACBtQEmwADBDAEmwRBAAIElAQ1AAIEmgRAAAIEnARDAAIEWASIAAIELwSIAAIEVwRuAAIELgRuAAIElgQ5AAIElQQ3AAIEkwQ0AAIEmAQ9AAIFFQTIAAIFFATBAAIFEwS6AAMFEgF2BKgAAgURBKcAAgUQBKEAAgUPBJ8AAgRPBJ0AAgROBJIAAgUOBI8AAgB6BK4AAgSdBEUAAgSSBDIAAgBqBGcAAgWpBaoABgU+BAkFUgVIBTMFHwAGBT0BhgVRBUcFMgUeAAYFPAGFBVAFRgUxBR0ABgU7BAgFTwVFBTAFHAAGBToBhAVOBUQFLwUbAAYFOQGDBU0FQwUuBRoABgU4AHMFTAVCBS0FGQAGBTcAcgVLBUEFLAUYAAYFNgB5BUoFQAUrBRcABwU1BAcFSQU/BSoFFgU0AAIFrQWuAAMFdwV5BYEAAwV2BXgFgAABAAAAAQAIAAICRgEgBYYGVwF1BYgEdAR1BHsEfwSJBIoEjwSfBKEEpwSoBLoEvAS9BMEEyATNBNgE2QTeBN8E5AWEBYUEdAR1BHsEfwSJBIoEvAS9BM0E2ATZBN4E3wTkBYIFgwWHBsIFiQRsBGgEagRxBGsEbwRyBHgEhgSABIMEhAR8BK0EswSvBLEEuASyBLYE0gTOBNAE0QTgBLsExwRsBGgEagRxBGsEbwRyBHgEhgSABIMEhASYBJMElQSWBHwErQSzBK8EsQS4BLIEtgTSBM4E0ATRBOAEuwTiBG0EbQRpBGkEdgR2BHkEeQR6BHcEdwR9BH0EfgR+BIcEhwSBBIEEhQSFBIIEggSMBIwEiwSLBI4EjQSNBJEEkQSQBJAEnASaBJQEmQSeBKAEoASiBKIEowSjBKUEpQSmBKYEqQSpBKoEqgSsBLUEtQSwBLAEtAS0BLkEuQS+BL4EwATABL8EvwTCBMIExQTFBMMEwwTMBMwEygTKBMkEyQTXBNcE1ATUBM8EzwTWBNYE0wTTBNsE2wThBOEE4gTlBOUE5wTnBOYE5gWiBHAEcARzBHMEtwS3BMYExgTdBN0E2gTaBNwE3ATjBOMFiwWMBYoG4AQ+BDwG2QRHBEgENgQ4BD8G1QbaBtYG1wREBtgEOgTHBEIEnQSkBKsEbgSIBNUEWgRbBFwEXQReBF8EYARhBGIEYwRkBGUEZgbbBtwFPwVABUEFQgVDBUQFRQVGBUcFSAW0BrYGtwa4BrkGuga7BrwGvga/BsAG4gbBAAIAPQACAAIAAAAHAAcAAQAQABAAAgAgACAAAwAjACkABAAsAC8ACwAxADwADwA+AD4AGwBDAEgAHABSAFMAIgBWAFwAJABeAF4AKwBhAGEALABvAG8ALQB/AIsALgCQAJYAOwCYALYAQgC4AMMAYQDGAMkAbQDLANcAcQDaAN8AfgDhAOcAhADpAOkAiwDrAOsAjADtAO0AjQDyAPIAjgD0APYAjwD4APkAkgD8AQMAlAEGAQcAnAEKARwAngEfATAAsQEzAT0AwwE/AUcAzgFYAV8A1wFyAXQA3wGOAY4A4gHLAcsA4wHNAc4A5AJAAkAA5gJDAkMA5wJIAkgA6AJ5AnkA6QJ7AnsA6gK1ArUA6wLRAtEA7AMGAwYA7QMbAxsA7gOJA4sA7wQpBCkA8gQwBDAA8wRPBE8A9ARVBFkA9QSSBJ4A+gUFBQYBBwVJBVIBCQWwBbABEwZZBl8BFAZhBmMBGwZyBnIBHgZ/Bn8BHwABAAAACgBSAKgABkRGTFQAOGN5cmwAOGRldjIAJmRldmEAJmdyZWsAOGxhdG4AOAAEAAAAAP//AAQAAAACAAMABAAEAAAAAP//AAMAAQADAAQABWRpc3QATmtlcm4ARGtlcm4APm1hcmsAKm1rbWsAIAAAAAMADAANAA4AAAAIAAQABQAGAAcACAAJAAoACwAAAAEAAAAAAAMAAAADAAIAAAACAAMAAgAPe3R7YlLWUkY+bCtoEYgFggT0BJQEEAOwAioCBAAgAAYAEAABAAoABAABKuwBlAABKRgADAAzAYIBfAF2AXABagFkAV4BWAFSAUwBRgFAAToBNAE0AS4BKAEiARwBFgEcARABCgEEAP4A+ADyAOwA5gDgANoA1ADOAMgAwgC8ALYAsACqAKQAngCYAJIAjACGAIYAgAB6AHQAbgBoAAEAAALyAAEBKALpAAEBMgMTAAEBLANKAAEBNAMZAAEBMwMZAAEBeQMcAAEBZgMYAAEA9QMcAAEAoAMgAAEBMgMEAAEAAgNpAAEAAgL4AAEAAgKkAAEAAgMNAAEAAgMPAAEABAMyAAEAAgNUAAEAAgMuAAEAAAMWAAEAAwNdAAH//wOxAAEAAgMEAAEAAgL6AAEAVgL+AAH/tQL+AAEAAgPCAAEAAgNiAAEAAgMHAAEABgLJAAEAAgLJAAEAAwMDAAEAAgNVAAH+zgL+AAEAAgMCAAEAAQNKAAEAAALCAAH+pgLyAAH/+gNGAAEAAQL9AAH//gL+AAH//QL9AAEAQgL+AAH+5QL9AAH+hQL9AAEAAAL5AAH//wLqAAH+ywM+AAIACwNdA10AAAZZBmwAAQaUBpkAFQadBp8AGwajBqUAHgaqBqoAIQatBq0AIgavBrAAIwayBrMAJQa2BsAAJwbDBsMAMgAGABAAAQAKAAMAATxUABYAATwgAAwAAQAEAAEAJf9oAAEAAQbGAAYAEAABAAoAAgABT8ABNgABTowADAAuASQBHgEYARIBEgEMAQYBBgEAAPoA9ADuAOgA4gDcAQwA1gDQARIAygDEAL4AuACyAKwApgCgAJoAlACOAIgAygCaAIIBDAB8AJQAdgBwAHAAagEMAQwBDABkAF4AAQAW/xcAAQAC/28AAQAI/xAAAQAA/xAAAQAC/yEAAQAC/yUAAQAC/y4AAQAD/xwAAQAA/yYAAQAD/xAAAQAC/yAAAQAC/2IAAQAC/00AAf/9/zQAAQAD/ygAAf/5/ywAAQAA/zgAAQAD/zkAAQAD/08AAQAC/yoAAQAA/xgAAf/6/xwAAQAB/z0AAf6v/y0AAQBw/xAAAf+Q/xAAAQAA/yoAAQAC/xwAAQAC/zAAAQAC/xAAAQAC/yYAAQAF/zQAAf/u/zQAAQAE/yMAAgALAYIBggAABm4GcQABBnQGigAFBpAGkwAcBpoGnAAgBqAGoQAjBqYGqQAlBqsGrAApBq4GrgArBrEGsQAsBrQGtAAtAAUAAAABAAgAAQ3EAVAAAQ2aAAwABQBAADQAKAAaAAwAAwjyADoACAABA/0C+AADCOQALAAIAAEEGwL5AAII1gAGAAECegL4AAIIygAGAAECmQL5AAIIvgAGAAEDHgL9AAUAAAABAAgAASb+APAAASUqAAwABQBeAEwAOgAgAAwAAyOIAA4ACAABA58C/QABApAC/QADABQADgAIAAEDmgMEAAECjQMEAAEBCwMEAAIADAAGAAECHAL9AAEBJwL9AAIADAAGAAECGAMEAAEBHQMEAAIADAAGAAECoAL9AAEBHQL9AAUAAAABAAgAATnGAGwAATmSAAwABQBAADQAKAAaAAwAAzHAADoACAABA5kBEQADMbIALAAIAAEDmgF8AAIxpAAGAAECFwERAAIxmAAGAAECGAF8AAIxjAAGAAECXQF+AAUAAAABAAgAAUz4AAwAAUvEABYAAgABBCMEJwAAAAUAXgBMADoAJgAMAAMAFAAOAAgAAQOfAAAAAQIxAAAAAQCuAAAAAwAyAA4ACAABA50AAAABAi4AAAACAAwABgABAhwAAAABAK0AAAACAAwABgABAhoAAAABAKwAAAACAAwABgABAhkAAAABAKsAAAAEAAAAAQAIAAEL8gmQAAELyAAMAvAJfgl4CXIJbAlmCWAJWglUCU4JSAlCCTwJNgkwCSoJJAkqCR4JGAkSCQwJBgkACPoI9AjuCOgI4gjcCNYI0AjKCMQIvgi4CLgIshkoCKwIpgigCJoIlAiOCIgIggimCHwIdghwCHwIagl+CX4Jfgl+CX4JfglyCGQIZAhkCGQbjBuMG4wbjAheCSoJKgkqCSoJKghYCFgIWAhYCPQI6AjoCOgI6AjoCOgI3AjQCNAI0AjQCKYIoAigCKAIoAigCKYIpgimCKYIfAh8CX4I6Al+COgJfgjoCXII3AlyCNwJcgjcCXII3AlsCNYIZAjQCGQI0AhkCNAIZAjQCGQI0AhSCMQIUgjECFIIxAhSCMQJDAi+G4wbjBuMG4wIuBuMCEwIRiK4CEAIOgk8GSgJPBkoCTwZKAk8GSgIXgimCF4IpgheCKYINAimCSoIoAkqCKAJKgigCR4IjgkeCI4JHgiOCC4IiAguCIgILgiICC4IiAkSCCgJEggoCCgIWAimCFgIpghYCKYIWAimCFgIpghYCKYIIggcCPQIfAj0CBYIaggWCGoIFghqCBAILgiICCIIHAgiCBwIIggcCPQIfAgKCAQIrAl+COgJfgjoCX4I6Al+COgJfgjoCX4I6Al+COgJfgjoCX4I6Al+COgJfgjoCX4I6Al+COgIZAjQCGQI0AhkCNAIZAjQCGQI0AhkCNAIZAjQCGQI0BuMG4wIuAkqCKAJKgigCSoIoAkqCKAJKgigCSoIoAkqCKAIWAimCFgIpgj0CHwI9Ah8CPQIfAkSCCgH/gf4CQwH8gfsB+YH4AfaB9QXbAfOB8gJfgjoG4wJKgigCFgIpghYCKYIWAimCFgIpghYCKYJfgjoCX4I6AhSCMQIQAg6CSoIoAkqCKAH8gfsB+YIUgjECF4Ipgl+COgJfgjoCGQI0AhkCNAbjBuMCSoIoAkqCKAJHgiOCR4IjghYCKYIWAimCQwIvggWCX4I6AhkCNAJKgigCSoIoAkqCKAJKgigCPQIfAl+CXII3Ak8CRIIWAhkCR4Ijgj0CHwHwgjWB7wIxAe2B7AIuAeqB6QIpgimB54HmAeSB4wIpgeGB4AHegd0CSoHbgd0B2gHYgdcB1YHUAdKB0QHPgc4CXgI4gl4COIJeAjiCXII3AlsCNYJbAjWCWwI1glsCNYJbAjWCGQI0AhkCNAIZAjQCGQI0AhkCNAHMgcsCFIIxAkMCL4JDAi+CQwIvgkMCL4JDAi+G4wIuBuMCEAIOghACDoIQAg6CTwZKAk8GSgJPBkoCTwZKAgECKwIBAisCF4IpgheCKYIXgimCF4IpgkqCKAJKgigCSoIoAkqCKAJJAiaCSQImgkeCI4JHgiOCR4IjgkeCI4ILgiICC4IiAguCIgILgiICC4IiAkSCCgJEggoCRIIKAkSCCgJDAimCFgIpghYCKYIWAimCFgIpgcmCHwHJgh8CCIIHAgiCBwI+geGCPoHhgj0CHwIFghqCBYIaggWCGoIvggoCBwIfAjoCKwHIAk8CF4JfghkG4wIWAcaBxQHGgcaBxoHGgcaBxoHGgcaBxoHGgcaBxoHGgcaBxoHGgcaBw4HDgcIBwIG/BkoCKYI6AjQCKYG9gb2BvYG9gb2BvYG9gbwBvYG9gb2BuoG6gbkBt4G3gbeBt4G3gbeBt4G3gbeBt4G2AbSBtIG0gbSBtIG0gbMBswGxgbABsAGwAbABsAGwAbABsAGwAa6BswGzAbMBswGzAa0Bq4GqAaoBqgGqAaoBqgGqAaiBqgGqAaoBpwGnAaWBpYGkAaQBpAGkAaQBooGhAZ+Bn4GfgZ+BngGcgZyBnIGcgZyBnIGcgZyBmwGeAZmBmAGYAZgBloGWgZaBloGWgZaBlQGVAZUBlQGTgZIBkgGSAZIBkgGSAZIBkgGSAZIBkIGPAY2BjYGNgY2BjAGKgYqBioGKgYqBiQGJAYkBiQJfghABh4GGAYSBgwGBgYABfoF9AXuBegF4gi4CR4HJhqKAAEDcALKAAED4wLKAAEANALfAAEAuAGqAAEBNADoAAEBiwDoAAEBigDoAAECXwDoAAEAoQFoAAEBEAGqAAEBdwFoAAEB4wJIAAECCAJIAAECNQJIAAEDPgJIAAEDNAJGAAECHwJGAAECWwJIAAECaAJGAAEB0QJIAAEByAJIAAECFwJIAAECHgJGAAEB+QJIAAECfwJIAAECigJGAAEClwJIAAECoAJGAAEDDwJGAAEBCwJIAAECHQJIAAEBCAJIAAECagJIAAEBTgJIAAECYwJIAAECcAJGAAEBtgJGAAEBsgJIAAEBvwJGAAECTwJIAAECAwJIAAECHAJIAAECPAJIAAECPgJGAAEBegJIAAEClAJIAAEBAAJIAAECIgL4AAEE3gLKAAED6QLKAAEBuQLKAAEC/QLKAAEBHQLKAAECPgIiAAECfQLKAAEBnAL9AAEB/wLKAAEBcwJnAAEBNAJnAAEAoQLnAAEBZwJnAAECIwJnAAEA8wJnAAEBFgJnAAEAtQLoAAEBdwLnAAECHgIiAAEBvQL+AAECOwMSAAEDUgIiAAECOwIiAAEBgwKWAAEBmwIsAAEBdgIiAAECdAIiAAEDpAIiAAEDhQIiAAECQAIiAAECMwIiAAEBBAIiAAECLwIsAAEDoQL5AAEEPAL5AAECQQL5AAEDRgL5AAEDXQLKAAEEQwIiAAEEpwIiAAEFEgLKAAECnQLKAAEB/QLKAAEDnALKAAEBigJnAAECIgL9AAECQALKAAEDSgIiAAED0ALKAAEBHANmAAECIgLKAAEC3AIiAAEBogNmAAECgALKAAECQgL5AAECvgLKAAECywLKAAEC1wLKAAEDEQLKAAECFALKAAEBywIiAAECLgIiAAEDRAIiAAECJwIiAAEBKANcAAEB2gIiAAEBqwIiAAECSgIiAAECYAIiAAECWQIiAAECXwIiAAEDpgIiAAEBtgNcAAEBFwL5AAECQAL4AAECSAIiAAEBoAL9AAECQQIiAAECRwL4AAEB7QIiAAECLAL4AAECLwIiAAECLwLKAAECXgLKAAECigLKAAEDswLKAAECdgLKAAEC4ALKAAECLQLKAAECEwLKAAECfALKAAECWQLKAAEDAwLKAAEDGQLKAAEDmwLKAAEBbALKAAEChALKAAEBNwLKAAEBcQLKAAEC6QLKAAECwALKAAECEQLKAAECHALKAAECyALKAAECbgLKAAEChQLKAAECTgLKAAIAXgAiADsAAABCAFsAGgCAAIUANACHAI8AOgCRAJYAQwCZAJ0ASQCgAKUATgCnAKsAVACxALYAWQC5AL0AXwC/AM8AZADSAOUAdQDoAOgAiQDqAOoAigDsAOwAiwDuAPMAjAD1APYAkgD4AP8AlAECAQgAnAEKARAAowETASQAqgEmAT0AvAE/AT8A1AFGAUcA1QFYAV8A1wF2AXYA3wGVAZgA4AGjAcsA5AHNAdwBDQHnAeoBHQH1AfoBIQH8Af0BJwIMAgwBKQIPAg8BKgIrAisBKwI9AkgBLAJKAlkBOAJeAmUBSAJoAmwBUAJvAnkBVQJ7AnsBYAJ9AogBYQKLAowBbQKRApEBbwKTAqABcAKmAqoBfgKwArABgwKyArIBhAK4ArwBhQLCAsIBigLIAsgBiwLKAssBjALOAs4BjgLRAtEBjwLYAtgBkALaAt0BkQLiAuIBlQLwAvIBlgL1AvcBmQL9Av0BnAMBAwEBnQMHAwcBngMKAwoBnwMZAxkBoAMbAx0BoQMgAyEBpAM/A0EBpgNfA4sBqQONA+8B1gQNBA0COQQeBB4COgQsBEgCOwRQBFACWARVBHECWQR0BHsCdgR9BH0CfgR/BI8CfwSRBKUCkASnBKsCpQStBLUCqgS4BLgCswS6BLoCtAS8BMYCtQTIBMgCwATKBOcCwQT0BPQC3wT/BP8C4AUOBRUC4QW1BbUC6QW5BbkC6gW8Bb0C6wXDBcMC7QXIBcgC7gbjBuMC7wAEAAAAJAAAAB4AAAAYAAAAEgABAKICigABALICIgABAAoCdQAB/4QCygABAAQGbQZzBrUG4gAJAAAAAQAIAAEABAAAAAgAARl+FtQAAReqAAwEEBbCFrwWthawFqoWpBaeFpgWkhaMFoYWgBZ6FnQWbhZoFm4WYhZcFlYWUBZKFkQWPhY4FjIWLBYmFiAWGhYsFhQWDhYIFgIV/BX2FfAV6hXkFd4V2BXSFcwVzBXGFeQVwBW6FbQVrhXMFagVohWcFZwVnBWWFZAVihWEFrYVfhV+FX4VeBVyFXIVchVsFWYVYBVaFVoVWhVUFU4VSBVCFUIVQhU8FTYVMBUqFSQVJBUkFR4VGBUSFQwWIBUkFSQVJBUYFQYVBhUGFQAU+hT0FO4U7hTuFOgU4hTcFNYU1hTWFNAUyhTEFL4UuBSyFKwUphSgFiwUmhSUFJoUlBSOFIgUmhSUFIIWGhVmFHwUdhSyFHAUphRqFGQWqhReFX4VJBRYFFIUTBRGFEAUOhaeFFIUNBQuFpgUKBQiFBwUFhQQFAoUBBaSFgIT/hP4E/IT7BPmE+AV9hPaE9QTzhaAFfAWgBXwFoAV8BPIE8ITvBTWE7YV5BO8FNYTsBZ0FeQTqhOkE54TmBVaFO4TkhOME4YTgBZiFcwThhOAE3oTgBN6E4AWXBXME3oTgBZWFcYTdBNuFlYTaBNiFPQTXBNWE1ATShNEEz4VQhTWFlAV5BM4EzIVNhTKEywTJhOAEyATGhMmE4ATFBMOEwgTAhL8EvYVWhLwFlwVzBM4EzITOBMyEuoS5BU2FMoS3hZQE+YS2BLSFsIWLBVIEswWUBLGFsIWLBLAEroStBKuErQSrhKoEqISnBKWFZwVJBKQEooSkBKKEoQSfhJ4EnIUrBSmFqoWLBJsEroSZhUeEmASrhJgEq4SWhKiElQSlhV+FSQSThJIFpIWAhZuFd4SQhI8EjYSMBI2EjASKhIkEh4SGBVaFO4SEhIMEhISDBIGEgAR+hH0Ee4R6BZQFeQR4hHcEdYR0BHWEdARyhHEEb4RuBGyEawWOBWuEaYRoBGaEZQUfBZWFcYRjhGIEYIRjhF8EY4RdhFwEWoVZhFkEYIRjhFeEVgRUhFMEUYRQBE6ETQRLhEoFrwRIhEcERYREBZ0EQoWbhEEEP4Q+BDyFrwQ7BDmEOAQ2hDUEM4QyBDCELwQthCwE9oQqhXMEKQQpBCeEJ4QmBZWEJIQjBXeEIYQgBB6EHQQbhBoEGIQXBBWE/IQUBBKEEQVnBUkFXIVBhVaFO4VQhTWED4QOBAyECwQJhAgEDIQLBAaEBQQDhAIEAIP/A/2D/AUWBRSD+oP5BZuFd4TqhOkD94P2A/SD8wPxhRYFFIPwA+6E7wU1hWcFSQPtA+uFX4VJBRwD64VchUGFAoPqBVaFO4Pog+cE4YTgA+WD5AVQhTWE1APihDOD4QUNBQuD34PeA9+D3IWMg9sD2YUZBaqFiwPYA9aD1QPTg9ID0IPPA82EiQPMA8qDyQPHg8YDxIWwha2DwwTyBZWDwYPbA8ADvoWvBZQDvQWMg7uFowO6A7iD/AWYhXMFjgVrg7cD/AP8A7WDtAQkhGODsoOxA6+EswOuA6yDsoWDhYsFa4OrBXkDqYOoBYCDpoOlA6ODogUKA6CDnwOdg52DnAOcA5qFd4OZA5eDlgOUg5MDkYOUg5GDkAOQA46DjQPBg4uDi4Osg4uDigOIhXkDhwOFg4QDgoOBA3+D2wVtBCeEJ4N+A34DfIN7A3mDrgV0g3gDhYTwhPaD4QOyg34DfgN2g3UDc4NyA3CDbwNtg2wD3gNqg2kDZ4Nng2YDZINjA2GDYANeg10DW4NaA1iDVwNVg1QDUoNhg1EDT4NOA0yFrwWJha8FiYUmhSUDSwNJhawFhoWsBYaDSANGhawFhoNFA0OFXgNCBaqFiwWqhYsFHAUpg0CDPwM9gzwDOoM5BaYFggM3gzYFpgWCBaYFggWkhYCDNIMzA/qD+QT4BX2E+AV9haAFfAMxgzAFoAV8BaAFfAMugy0DK4V6gyoDKITthXkE7YV5BO2FeQMnAyWDJAMigyEDH4VTgx4DHIMbAxmDGAMWhMaFmIVzAxUDE4WYhXMDEgTGhZcFcwTehOADEIMPAxIExoMNgwwFlYVxhZWFcYWVhXGFlAV5BNiFPQWUBXkEDIQLAwqDCQMHgwYDBIVwAwMDAYWRA4KDAAL+gv0C+4L6AviEyYTgBYyFcwWMhXMFggL3AvWC9ALygvEFeoLvg9+E7YWUAu4C7ILrBa8FoATthbCFqoWkhZQC6YLoAuaC5oLlAuaC44LiAumC4ILpguaC6YLfAt2C6YLpgtwC6YWqgtqC2QLXgtYEJILUg7EDqwLTAtGDu4LQAtACzoVwBXwFeQWLBYsDZ4LNAsuCygLIgscCxYLEAsKCwQLNAr+CvgK8grsCuYK4AraCtQKzgrICsIKvAq2CtQKsAqqCqQKngqYCpIKngqSCowKhgqGCoAKhgp6CnQKbgpoCmgKYgpcClwKVgp6CnoKUApKCkQKPgo4CjIKLAomCiAKGgoUCg4KCAoCCfwJ9gnwCiAKCAnqCeQJ3gneCzQJ2As0CzQLNAnSCcwJxgnACboJxgnGCbQJrgmoCaIJnAmWCZAJnAmKCYQJqAl+CXgJcglsCa4JZglgCVoJVAlOCUgJQglOCUIJTgosCTwJNgkwCSoJKgkkCR4JGAkSCQwJBgkSCQAI+gj0CO4I6AjiCNwI1gjQCMoIxAi+CLgIsgisCKYIoAiaCJQIjgiIFYoQzhPgCIIIfAh8CHYIcAhqCGQIXghYEYgIUhbCCEwWOAhGCEAIOhYCFmIO9Ag0C0wLRgtGCC4LTAtMC0wIKAgiFcAAAQDpAhkAAQDjAhsAAQBhAmcAAQCYAiAAAQKVAsoAAQLoAsoAAQA0AWkAAQD+AsoAAQGRAsoAAQFtAtQAAQB+AS0AAQCgAOgAAQDXAOgAAQDTAOgAAQFHAOgAAQBhAWgAAQBiAWgAAQEJAsoAAQD8Ax4AAQD8AyMAAQD8Ax8AAQD8AkgAAQEPAyEAAQEPAxsAAQEPAyMAAQEPAx8AAQEPAkgAAQElAkgAAQGkAxwAAQGkAwQAAQGkAyIAAQGkAxgAAQGkAkYAAQEaAkYAAQE+AxkAAQE+A2kAAQE+AkYAAQE+AukAAQE+AxwAAQE+AwQAAQE+AyIAAQE+AycAAQE+AxgAAQE/AkYAAQDzAkgAAQDzAyMAAQD2AkYAAQDyAkgAAQDuAyMAAQDuAx8AAQDuAkgAAQEWAkgAAQEWAyMAAQEWAx8AAQEZAkYAAQEOAkYAAQEGAkgAAQGjAkYAAQFPAyUAAQFRAkYAAQFPAvUAAQFPAxwAAQFPAwQAAQFPAy4AAQFPAzMAAQFPAxgAAQFPAkYAAQFaAxkAAQFaAyIAAQFaAxgAAQFaAkYAAQGSAkYAAQDvAkgAAQCNAx8AAQEsAkgAAQCOAyMAAQCOAkgAAQCyAuUAAQE/AkgAAQCyAyEAAQCyAx4AAQCyAxsAAQCyAyMAAQCyAyYAAQCyAx8AAQCyAkgAAQFCAyIAAQE8AkgAAQFCAkYAAQFMAyAAAQFMAk8AAQFMAyMAAQFMAyYAAQFMAkgAAQD3AukAAQD3AxwAAQD3AwQAAQD3AyIAAQD3AycAAQD3AxgAAQD3AkYAAQEyAyMAAQEyAkgAAQE+AyAAAQE+AyMAAQE+Ax8AAQE+AkgAAQEZAkgAAQGcAxgAAQGyAkYAAQEoA64AAQEoA2sAAQEoAkgAAQEoAuUAAQEoAyEAAQEoAxsAAQEoAyMAAQEoAyYAAQEoAx8AAQEpAkYAAQEDAx8AAQEBAkgAAQCQAyEAAQCPAvMAAQIbAkgAAQBCAyEAAQCQAyAAAQCPAxsAAQCQAx8AAQCRAyYAAQDTAx8AAQCNAkgAAQEsAv0AAQDAAv0AAQCVAiIAAQCWAiIAAQEMAiIAAQE4Av0AAQRSAsoAAQNcAsoAAQEtA6UAAQCiA5oAAQCiA2oAAQClA6sAAQCiA6AAAQCiA5IAAQCiA6YAAQCkA6YAAQCiA6UAAQJwAsoAAQCiAsoAAQF2AsoAAQF+AsoAAQGtAsoAAQEpAhwAAQDoA7EAAQH6AyQAAQEdA0YAAQGvA0YAAQDGA2gAAQEdAvkAAQE5A6AAAQEgAvAAAQFLA5gAAQEgAvgAAQFLA6AAAQGvAvkAAQHkA6AAAQFJAsoAAQEcAvYAAQFJA50AAQFFA14AAQF6BAYAAQDGA2MAAQEhA6AAAQD3A14AAQEcBAYAAQEcA6AAAQD3AsAAAQFIA2cAAQFIA6AAAQFLAvkAAQFCA6AAAQFLAv4AAQFCA6YAAQE5AvAAAQE5AugAAQGMA48AAQE5A14AAQGMBAYAAQE5A3EAAQGMBBkAAQFFAvkAAQGTA6AAAQHaAsoAAQH4AvkAAQHaA6AAAQCVA5UAAQCeA2cAAQCWA3EAAQDDBBkAAQCXA8YAAQF/A5gAAQCXA84AAQF/A6AAAQEzAsAAAQGQA20AAQELA78AAQEqA6AAAQEsAvAAAQEsAugAAQEtA5AAAQD4AvgAAQFyAsoAAQD6AwIAAQFtA6AAAQFMAwIAAQFMA6AAAQCbAuoAAQC/AmcAAQBhAucAAQC7AmcAAQCQAwcAAQBcADwAAQBcAwIAAQC6AmcAAQEYAmcAAQDHAmcAAQCUAmcAAQCSAmcAAQCgAmcAAQBhAugAAQDTAukAAQBiAucAAQFJAiIAAQEvAsoAAQEMAsoAAQHRAvgAAQKTAv0AAQKyApUAAQINAv4AAQI+ApUAAQLxAvgAAQMRAvgAAQLwAvgAAQEqAvwAAQGMAtUAAQD+AiIAAQDvAvcAAQDvAv0AAQEaAiIAAQEdAxIAAQGvAiIAAQEeAiIAAQFIAiIAAQFHAiIAAQDQApUAAQDZAiwAAQCbAwAAAQEyAiIAAQEvAiIAAQDGAiIAAQDkAiIAAQDgAvgAAQDgAiIAAQGWAvgAAQGcAiIAAQG2AiIAAQFoAiIAAQFKAiIAAQHrAiIAAQHoAiIAAQF8AvgAAQDLAvgAAQDaAvgAAQC1AiIAAQCYAiIAAQFJAv0AAQFFAvwAAQEZAiIAAQCbAiIAAQE7AiIAAQEkAiIAAQEqAiIAAQE+AwAAAQDUAiIAAQE+Av4AAQEsAiwAAQGGAsoAAQCbAvkAAQEsAvgAAQFKAsoAAQD1AiIAAQD0AsoAAQD5AiIAAQEhAvgAAQHiAiIAAQHiAvgAAQDiApUAAQGCAiIAAQCcAvgAAQEdAsAAAQE5A1wAAQGMA/4AAQE5AvkAAQGMA6AAAQE5A1sAAQGMBAMAAQE5A1cAAQGMA/8AAQFZA6AAAQD0AiIAAQE5AvgAAQGzAvgAAQF9AsoAAQDsAiIAAQFFAwMAAQD3AwMAAQFIA6sAAQE5AwMAAQGMA6sAAQCWAwMAAQEsAwMAAQFZA6sAAQFSAsoAAQIMAsoAAQNvAvgAAQPTAiIAAQQBAsoAAQEjAv4AAQEoA6YAAQCfA9QAAQFjA6YAAQE+AiIAAQGcAsoAAQHLAsUAAQHcA20AAQEsA1wAAQFZA/4AAQEsA1cAAQFZA/8AAQFFA3IAAQF6BBoAAQFFA3EAAQF6BBkAAQFFA1cAAQF6A/8AAQMqAvgAAQPGAvgAAQPTAsoAAQLOAvgAAQLbAsoAAQNvAv4AAQPTAv4AAQQBA6YAAQCNAsoAAQECAvgAAQGAAvgAAQCSAvgAAQD5ApYAAQEWAiIAAQEdAvsAAQEjAiIAAQEoAsoAAQEgAsoAAQE4AsoAAQFYAsoAAQGKAsoAAQEiAsoAAQDZAv0AAQE1AsoAAQDZApUAAQDRAwIAAQEpAsoAAQD6AiIAAQEUAsoAAQE+Av0AAQF3AsoAAQHRAiIAAQI0AsoAAQFRAiIAAQIGAsoAAQE0Av4AAQClAvgAAQE4Av8AAQDFAsoAAQCoAsoAAQHuAiIAAQFFAsoAAQGqAz0AAQG2AsoAAQFEAsoAAQGZAsoAAQEOAsoAAQE4AiIAAQGwAsoAAQEhAvwAAQFzA14AAQEIAsoAAQFOAsoAAQE/AsoAAQGNAsoAAQE+AvgAAQEdAvYAAQE5A50AAQEdAz4AAQE5A+MAAQF6AiIAAQG7AsoAAQF6AvYAAQG7A50AAQF6Az4AAQG7A+MAAQF6Av4AAQG7A6YAAQFFAz4AAQF6A+MAAQFUAiIAAQGbAsoAAQFUAvYAAQGbA50AAQFUAz4AAQGbA+MAAQFUAv4AAQGbA6YAAQE5A3MAAQGMBBgAAQE5A2cAAQGMBAwAAQE5AywAAQGMA9EAAQE5Az4AAQGMA+MAAQCWAz4AAQDDA+MAAQEtBB4AAQEtBAwAAQEtA9EAAQEtA50AAQEtA+MAAQEsA3IAAQFZBBcAAQEsA28AAQFZBBQAAQEsA0wAAQFZA/EAAQEsA3MAAQFZBBgAAQEsA2cAAQFZBAwAAQEsAywAAQFZA9EAAQEsAz4AAQFZA+MAAQFEAiIAAQE6AiIAAQH4Av4AAQHaA6YAAQDTAmcAAQGvAvEAAQHkA5gAAQE2Av4AAQHLAv4AAQHcA6YAAQEsA8IAAQFaA74AAQGPAv0AAQDoAv0AAQD3AvkAAQEnA6AAAQEnA6YAAQE5A5gAAQGvAv4AAQHkA6YAAQFFA0YAAQF6A+0AAQFFAwEAAQF6A6sAAQFFAsAAAQF6A20AAQF6A50AAQDCApYAAQDGAvgAAQEhA6YAAQEcA6YAAQD3Av4AAQFIA6YAAQHpAiIAAQHnAsoAAQE5AwEAAQGMA6gAAQE5AsAAAQGMA2cAAQHCAiIAAQGTAsoAAQGTA6YAAQCZAvgAAQCkAsoAAQCVA9QAAQCeA6YAAQE2AiIAAQFjAsoAAQCVAv4AAQCmA6YAAQHKAvgAAQFpAsoAAQDDA6AAAQCWAwEAAQDDA6sAAQCWAsAAAQDDA20AAQCWAvYAAQDDA50AAQCbAvgAAQCXA9QAAQF/A6YAAQEzAvkAAQGQA6AAAQEzAwEAAQGQA6sAAQEzAv4AAQGQA6YAAQEoAiIAAQEsAvkAAQEtA6AAAQEtA6sAAQEtA20AAQFDAvgAAQFtA6YAAQEhAvkAAQFzA6AAAQEhAv4AAQFzA6YAAQFZAs0AAQEsAwEAAQFZA6gAAQEsAsAAAQFZA2cAAQEdAvEAAQE9AvgAAQEdAv4AAQFFAvEAAQFFAv4AAQE3AiIAAQE5AvEAAQE5AvYAAQE5Av4AAQFFAvYAAQE6Av8AAQCWAvEAAQCWAv4AAQHSAiIAAQEsA0YAAQEsAvEAAQEsAvYAAQEsAv4AAQFgAv0AAQE6AsoAAQE5A6YAAQF6A5gAAQF6A6YAAQGOAsoAAQGMA5gAAQGMA50AAQGMA6YAAQGTA50AAQFuAsoAAQDDA5gAAQDDA6YAAQEtA5gAAQEtA6YAAQH6AsoAAQFZA3EAAQFZA5gAAQFZA50AAQFZA6YAAQDEAtUAAQC4AtUAAQEdAiIAAQEgAiIAAQGsAiIAAQEcAiIAAQDGApYAAQD3AiIAAQE9AiIAAQFLAiIAAQE5AiIAAQFFAiIAAQH4AiIAAQCVAvgAAQCfAvgAAQCVAvkAAQCWAvkAAQCXAvgAAQEzAiIAAQENAv0AAQD6AvgAAQEhAiIAAQFMAvgAAQEsAiIAAQEnAsoAAQE5AsoAAQFLAsoAAQHkAsoAAQFGAsoAAQF6AsoAAQEhAsoAAQEcAsoAAQFIAsoAAQFCAsoAAQGMAsoAAQGXAsoAAQHXAsoAAQCeAsoAAQFeAsoAAQCmAsoAAQDDAsoAAQF/AsoAAQGQAsoAAQEqAsoAAQEtAsoAAQFtAsoAAQFzAsoAAQFMAsoAAQFZAsoAAgAjACIAOwAAAEIAWwAaAGoAagA0AHoAegA1AIAAlgA2AJgAtgBNALgBRwBsAVgBXwD8AXYBdgEEAX8BfwEFAZMBkwEGAZUBmAEHAZoBnQELAaMDIQEPAy4DLgKOAzEDMQKPAz0DQgKQA18D8AKWBA0EDQMoBB4EIQMpBCgE5wMtBPME9APtBP4E/wPvBQ4FFQPxBaIFowP5Ba8FrwP7BbEFswP8BbUFtQP/BbkFuQQABbwFvQQBBcMFwwQDBcgFyAQEBlgGWAQFBtQG3AQGBuMG4wQPAEMAAAHOAAAByAAAAcIAAAG8AAABtgAAAbAAAAGqAAABpAAAAZ4AAAGYAAABkgAAAYwAAAG8AAABhgAAAcIAAAG8AAABgAAAAbwAAAG8AAABegAAAXQAAAF6AAABvAAAAbwAAAG8AAABbgAAAWgAAAG8AAABwgAAAWIAAAGYAAABXAAAAcIAAAG8AAABVgAAAbwAAAFQAAABSgAAAVAAAAFEAAABPgAAATgAAAEyAAABLAAAASYAAAEgAAABIAAAAT4AAAEmAAABGgAAARQAAAG8AAABkgAAAQ4AAAG8AAABvAAAAbwAAAG8AAABvAAAAbwAAAG8AAABvAAAAbwAAAG8AAABvAAAAbwAAAG8AAH/+gIiAAEBJAJGAAEBLAJGAAEBMQJGAAEBJwJGAAEBGwJGAAEBNgJGAAEAnQJIAAEBMAJGAAH+rAJ7AAH/OAIiAAH+1AIiAAEAAgIiAAH//gIiAAH//QH4AAEAVAIiAAH/swIiAAEABQF4AAEAAAF4AAH+zgIiAAEAAQJ0AAH+pgIiAAH/+AIiAAEAAQIiAAH//AIiAAH//QIiAAEAQgIiAAH+5QIiAAH+hQIiAAEAAAIiAAH//wIiAAH+yQIiAAEAwwIiAAIADQGBAYEAAANdA10AAQZZBmwAAgaUBpkAFgadBp8AHAajBqUAHwaqBqoAIgatBq0AIwavBrAAJAayBrMAJga2BsAAKAbDBsUAMwbHBtMANgAJAAAAAQAIAAEABAAAAAgAARLqEc4AARK2AAwEKhG8EbYRvBGwEaoRpBGeEZgRkhGMEYYRgBF6EXQRbhFoEWIRXBFWEVARShFEET4ROBEyESwRJhEgET4RGhEUEQ4RCBECEPwQ9hDwEOoQ5BDeENgQ0hDMEMYQwBD2ELoQtBCuEKgQohCcEJYQkBCKEIQQfhGwEbARsBGwEbARsBB4EaQQchByEHIQchBsEGwQbBBsEGYQYBFcEVwRXBFcEVwQWhBUEFQQVBBUESAQThBIERoRGhEaERoRGhEaEEIRDhECEQIRAhECENgQ2BDYENgQPBDMEMYQxhDGEMYQxhA2EKgQqBCoEKgQkBAwEJARsBEaEbARGhGwERoRpBEOEaQRDhGkEQ4RpBEOEZ4RCBBmECoQchECEHIRAhByEQIQchECEHIRAhAkEPYQJBD2ECQQ9hAkEPYQHhDwEYYQGBBsENgQbBDYEGwQ2BBsEOoQbBASEAwQBhAAD/oP9A/uEW4Q2BFuENgRbhDYEW4Q2A/oD+IQYBDMEGAQzBBgEMwP3A/WD9ARXBDGEVwQxhFcEMYPyg/EEUoQuhFKELoRShC6D74QtA++ELQPvhC0D74QtBE+D7gRPg+4D7IPuBBUEKgQVBCoEFQQqBBUEKgQVBCoEFQQqA+sD6YRIBCQESAPoBCKD6AQig+gEIoPmg+UD44PiA+CEFoPfA++ELQPrA+mD6wPpg+sD6YRIBCQD3YPcBAAEWgQ0hGwERoPag9kD14PWBGwERoRsBEaEbARGhGwERoRsBEaEbARGhGwERoRsBEaEbARGhGwERoRsBEaEbARGhByEQIQchECEHIRAhByEQIQchECEHIRAhByEQIQchECEGwQ2BBsEOoRXBDGEVwQxhFcEMYRXBDGEVwQxhFcEMYRXBDGD2oPZA9qD2QPag9kD2oPZA9qD2QQVBCoEFQQqA9SD1gPUg9YD1IPWA9SD1gPUg9YESAQkBEgEJARIBCQECoRPg+4D0wPRg9ADzoPNA8uDygPIhBmDxwPFg8QDwoPBA7+DvgO8g7sDuYO4A7aDtQOzg7IDsIOvA62DrAOqg6kDp4OmA6SDowOhg6ADnoOdA5uDmgOYg5cDlYOUA5KDkQOPg+yEIoOOA4yDiwQkA4mDiAOGg4UDg4OCA4CDfwN9g3wDeoN5A3eDdgN0g3MDcYRsBEaEGwQ2BFcEMYQVBCoEFQQqBBUEKgQVBCoEFQQqBGwERoRsBEaD4gPghGGDcAQJBD2D/oP9BFcEMYRXBDGDjgNug32DfAN6hAkEPYNtA2uEGAQzBGwERoRsBEaEHIRAhByEQIQbBDYEGwQ2BFcEMYRXBDGEUoQuhFKELoQVBCoEFQQqA2oDaIQHhDwDZwNlg2QDYoPoA2EEbARGhByEQIRXBDGEVwQxhFcEMYRXBDGESAQkA1+DXgNcg1sDWYRsBGkEQ4RbhE+DWANWg1UDU4RIBBUDUgQcg1CDTwNNg0wDSoRShC6ESAQkA0kDR4RAg0YDRINDA0GDQAM+gz6DPQM7gzoDOIQ9gzcDNYM0BDwDMoMxBDqDL4MuAyyDKwMpgygDJoMlAyODIgMggx8DHYMcAxqDGQMXgxYDFIMTAxGDEAMOhDGDDQMLgwoDCgMIgwcDBYOaBCoDBAMCgwED6YL/gv4C/IL7A26C+YL4AvaC9QLzhFcC8gQxgvCC7wLtguwC6oLpAvgC54LmAuSC4wLhguAC3oLdAtuC2gLYgtcC1YLUAtKC0QLPgs4CzILLAsmCyALGgsUCxQLGgsOCwgLAgr8EaoRFBGqERQRqhEUEaQRDhGeEQgRnhEIEZ4RCBGeEQgRnhEIEHIRAhByEQIQchECEHIRAhByEQIK9grwECQQ9hAeEPAQHhDwEB4Q8BAeEPAQHhDwEGwQ6hBsENgP+g/0D/oP9A/6D/QRbhDYEW4Q2BFuENgRbhDYEWgQ0hFoENIQYBDMEGAQzBBgEMwQYBDMEVwQxhFcEMYRXBDGEVwQxhFWEMARVhDAEUoQuhFKELoRShC6EUoQug++ELQPvhC0D74QtA++ELQPvhC0ET4PuBE+D7gRPg+4ET4PuBBUEKgQVBCoEFQQqBBUEKgQVBCoCuoQogrqEKIPrA+mD6wPphEmCuQRJgrkESAQkA+gEIoPoBCKD6AQihDwD7gPphCQERoK3hDSCtgK0grMEB4KxgrAD/oKuhFuEGARsBByEGwQVAq0Cq4KtAq0CrQKtAq0CrQKtAq0CrQKtAq0CrQKtAq0CrQKtAq0CqgKqAqiCpwKlgz6CpAQ2BAACooK3greCoQM1hDYEMwRGhECEKgKfgp+Cn4Kfgp+Cn4Kfgp4Cn4Kfgp+CnIKcgpsCmYKZgpmCmYKZgpmCmYKZgpmCmYKYApaClQKTgpOCk4KTgpOCk4KSApCCkgKQgo8CjYKNgo2CjYKNgo2CjYKNgo2CjAKKgoqCioKKgoqCiQKHgoYChIKEgoSChIKEgoSChIKDAoSChIKEgoGCgYKAAoACfoJ+gn6CfoJ+gn0Ce4J6AniCeIJ4gncCeIJ1gnQCdAJ0AnQCdAJ0AnQCcoJxAnQCb4JuAmyCawJpgmgCaAJoAowCjAKMAowCjAKMAmaCZQKPAmUCZQJlAmOCYgJiAmICYgJiAmICYgJiAmICYgJuAmCCXwJfAl8CXwJdglwCXAJcAlwCXAJaglqCWoJaglkCV4JWAlSCUwJRglADv4JOgk0CS4JKBGwCSIJNAkcEaoJFgkQCQoJBAj+CQoP+gj4CPII7AjmCOAI2gjUCM4IyAjCCMIIvAi2CLAIqgikCJ4ImAiSCIwIhgiACHoRbg/6EW4RIAh0CG4IaBDqEUoK6ghiENgIXBDYENgQ2AhWAAEBBgERAAEAOAF7AAEApgEVAAEClAFlAAECwgFlAAEB6QFuAAEBjQFgAAEAigBEAAEApABEAAEA1f//AAEA1ABHAAEBPgBHAAEAYQBEAAEA3QCEAAEA0wBEAAEA/gAEAAEA+QDDAAEA6ADDAAEBRQF8AAEBlwEHAAEBBACUAAEAYgEIAAEAuwGAAAEA/gEMAAEBRQF3AAECPwFlAAEBpgFnAAEBQAFoAAEBPQFlAAEBdwFlAAEBOgFlAAEBjgFlAAEBngEVAAEBhQFlAAEBPAFlAAEA8AFlAAEBrQFlAAEBhAFlAAEBmAFlAAECGwFuAAEBogFlAAEBEgFIAAEBsQFmAAEBHgFkAAEBVgEpAAEBWwFmAAEA/QEjAAEBDgEjAAEBJAEjAAEBqAEjAAEBpAEjAAEBNwEfAAEBPgEfAAEA8wEkAAEBSAElAAEBNgEjAAEBPgEjAAEBUgDiAAEBIAEjAAEBGQEjAAEBowEkAAEBSQEgAAEBTwEkAAEBSQEkAAEBTwEjAAEBWQDKAAEBVQEjAAEBWQEjAAEBkAEjAAEA0QEjAAEA7wEkAAEBOwEjAAEATADKAAEBrwDKAAEAsQEjAAEBPAEkAAEBPAEjAAEBQgEjAAEBKgEjAAEA9AEjAAEA8AEjAAEA9QEjAAEBIQEjAAEBMgEkAAEBFwEjAAEBJQEjAAEBawEjAAEBgwEjAAEBKAEkAAEBKQEkAAEAtgEgAAEB0QEgAAEAjQEjAAEBNQF5AAEBvwERAAEBuQERAAEBKwF5AAED8wFgAAEC/QFgAAEAzgFgAAECEgFgAAEAogFlAAEBUAFgAAEBmQFlAAEBxwFlAAEBkwD3AAEBfwEBAAEA3AERAAEA7AF+AAEBJwERAAEBSQFlAAEA2wF+AAEBIwFlAAEAogIEAAEAwAHDAAEApAHDAAEAYQHDAAEAkQKXAAEAugF7AAEBGAHDAAEA0AHDAAEAowF7AAEAfgHAAAEApQHGAAEAOgG7AAEA1AIEAAEA0wHDAAEBSwCeAAEBFwCeAAEBLwFlAAEBCwFlAAEBagF8AAEBewF3AAEBxgEGAAEBxwFFAAEBVAEHAAEBjQFKAAECOQFQAAECGwEEAAECAwF3AAEA+AF+AAEBZgEIAAEBBwERAAEBDgCmAAEAZgEEAAEBQwERAAEBTwF4AAEBIgERAAEBBwCeAAEA5QF2AAEA+QF+AAEA5QF+AAEBDwCZAAEBLQDlAAEBJgCZAAEBDwERAAEBHgGJAAEBHgERAAEBSQERAAEBRgEMAAEA0gERAAEAdwEIAAEAnACdAAEAnAEIAAEA/ACjAAEBPwERAAEAqgCfAAEA4QEXAAEBAQCeAAEA/gCeAAEA+wCZAAEAwQF3AAEAwQEMAAEBlQEEAAEBnAEQAAEBrgERAAEBOAERAAEBWgERAAEBgACeAAEBGACeAAEB7ACeAAEB6QCZAAEB5gEMAAEBjwEEAAEA0wEEAAEAxQF8AAEA2QF8AAEArQERAAEA0gEMAAEBSgEGAAEBRgF9AAEBGAEOAAEBHACZAAEBJgESAAEBYQEIAAEAeACZAAEBPgERAAEBFgERAAEBKgERAAEBYwF7AAEBYgEEAAEBGQD6AAEA+AERAAEBTgF6AAEBUgERAAEBOwESAAEBXgCeAAEBqwDyAAEAeAEEAAEAgQD8AAEBLQEKAAEBTgFmAAEA5QEWAAEA5gFqAAEBAwCZAAEA/ACeAAEB4gCdAAEB4gF3AAEA7wE2AAEBrAECAAEA7AFpAAEA8wChAAEBOAF3AAEBfAFeAAEByQFGAAEBfwDyAAEA8wCeAAEBOAEQAAEBZgDyAAECDgFgAAEBDQCZAAEBSACeAAEC4wEEAAEDfgEEAAEDdQD8AAEBgwEEAAECiQEEAAECfwD8AAEDbgERAAED0gERAAED/QFlAAEBAgF8AAEBqwF8AAEAkQF8AAEBTACeAAEA9wFGAAEBFQEMAAEBGQFgAAEBFwF9AAEBJACZAAEBLQFgAAEBLAFgAAEBNwCeAAEBOAFqAAEBUgFlAAEBiQFgAAEBIQDtAAEA1QF5AAEBLQFlAAEA1QDSAAEA5gEJAAEBKgFlAAEA+QERAAEBFAFlAAEBeAEzAAEBTgEGAAEBYwFlAAEBwQCeAAECJgFlAAEBiwFlAAEBQgCeAAEBYADtAAECAwFgAAEBMwF6AAEApQF8AAEBXQF/AAEBeQFqAAEAxAFlAAEA8QFgAAEB7wF1AAEBRQDtAAEBkgGxAAEBMgDsAAEBQgFlAAEBgAFlAAEBCAFlAAEBRACpAAEBLgF3AAEBKAFlAAEBlQFlAAEBOQF5AAEBfAGxAAEBNgFlAAEBTAF3AAEBYQFeAAEBTgF3AAEBdQFlAAEBKAF3AAEB5gF3AAEBrwE1AAEB6gF3AAEBfAE1AAEBxgF3AAEBegFqAAEA1AHGAAEBQQEMAAEBwgERAAEBsAFlAAEBHAHcAAEBWgHfAAEA8gF+AAEBKwFlAAEBrwERAAEB8gFlAAEBIAFlAAEA0wERAAEBHwFlAAEB6gERAAEB5gFlAAEBRgCeAAEBlgD8AAEBwwEWAAEAmQF8AAEBCgFlAAEBXQERAAEBVAF8AAEBdgFlAAEAVgCZAAEAUAD8AAEBhAEEAAEB4QD8AAEBJAF8AAEBegFlAAEBZwFlAAEBVAF3AAEBSQEEAAEBNQELAAEBOAF6AAEBygERAAEBcgF5AAEBUAFlAAEBdQFgAAEBiwFhAAEBkwFlAAEBXQFlAAEAyAFlAAEBJAFlAAEBvgFlAAEAwQIgAAEAtwIgAAEA9gERAAEBHQCZAAEBIQERAAEBrAERAAEBHQERAAEBQwEMAAEA2QERAAEA/AERAAEA/gEWAAEBSQCeAAEBOQERAAEBRgEWAAEB6QEWAAEAlQERAAEBXQF8AAEAWQEEAAEAlgF8AAEBRQERAAEBLgCeAAEA4gF+AAEBKwERAAEBPQERAAEBCwERAAEBSQF3AAEBHAEQAAEBOQFlAAEBTgFlAAEB4wFlAAEBRQFlAAEBegFgAAEBIQFlAAEBFgFlAAEBcwFlAAEBkQEVAAEBTAFlAAEBjAFlAAEBlgFlAAEB1wFlAAEBGAFlAAEBeQFlAAEAUwD8AAEAwgFlAAEBfwFlAAEBXwFlAAEBJgFlAAEBJwFlAAEBbgFlAAEBTQFlAAEBXgFlAAEBWgFmAAEBHgFgAAEBHgFqAAIAJgAdAB8AAAAiADsAAwBCAFsAHQBqAGoANwB6AHoAOACAAJYAOQCYALYAUAC4AT4AbwFAAUcA9gFYAV8A/gF2AXYBBgF/AX8BBwGTAZMBCAGVAZgBCQGaAZ0BDQGjAf8BEQIBAjsBbgI9AyEBqQMqAysCjgM+A0ICkANfA/AClQQNBA0DJwQdBB0DKAQfBCEDKQQoBEkDLARMBRUDTgWjBaMEGAWvBa8EGQWxBbMEGgW1BbUEHQW5BbkEHgW8Bb0EHwXDBcMEIQXIBcgEIgZYBlgEIwbUBtQEJAbXBtoEJQbjBuMEKQAFAAAALgAAACgAAAAiAAAAHAAAABYAAQABAV8AAQAAARgAAQAAARIAAQABARYAAQADARoAAgABBosGjwAAAAkAAAABAAgAAQAEAAAACAABE3gRbgABEkQADAQSEVwRVhFQEUoRRBE+ETgRMhEsESYRXBEgERoRFBEOEQgRAhD8EPYQ8BFQEOoQ5BDeENgQ0hDMEMYQwBEgELoQtBCuEKgQohCcEJYQkBCKEIQRCBB+EHgQchBsEGYQYBBaEFQQ8BBOEEgQQhA8EVwRXBFcEVwRXBFcEDYQMBFEEUQRRBFEESwRLBEsESwQKhAkEQ4RDhEOEQ4RDhEOEVARUBFQEVAQ2BAeEUoQzBDMEMwQzBDMEMwQGBASELoQuhC6ELoQDBAMEAwQDBAeEIQRCBEIEQgRCBEIEJYQYBBgEGAQYBBOEAYQThFcEMwRXBDMEAAP+hFQEMARUBDAEVAQwBFQEMARShEgECoQ6hFEELoRRBC6EUQQug/0D+4RRBC6ETgQrhE4EK4ROBCuD+gQrhEyEKgP4hDGESwQDBEsEAwRLBAMD9wP1hEsD9APyhEmEJwPxA++EJYRIBCQD7gPshEgEJARIBCQD6wPphAkEIQPoA+aECQQhA+UD44PiBEOEQgRDhEIEQ4RCA+CD3wQ/BByD3YPcBD8EHIQ9hBsEPYQbA9qD2QQ9hBsD14PWBDwEGYQ8A9SEVAQYBFQEGARUBBgEVAQYBFQEGAQMA9MEOQPRhDYEE4Q2BDSEEgQ0hBIENIQSA9ADzoPNBDMEDYQGBEOEJYPLg8oEOQPRhDkD0YQ5A9GENgQTg8iDxwQnA8WEIoPEA8KDwQRCA7+ENgO+A7yEVwQzBFcEMwRXBDMEVwQzBFcEMwO+A7yEVwQzBFcEMwRXBDMEVwQzA74DvIO7A7mEUQQuhFEELoRRBC6EUQQuhFEELoRRBC6DuwO5hEsEAwO4A7aDtQOzhEOEQgRDhEIEQ4RCBEOEQgRDhEIDtQOzg7IDsIOyA7CDsgOwg7IDsIOvA62DrAOqhFQEGAOpA8cDqQPHA6kDxwOpA8cDp4OmA6SEE4Q2BBOENgQThDqDowOhg6ADnoOdA6ADm4OgA5oEVAQwBAqDmIOdA6ADlwOVg5QDkoQtA5ED4gOPg44DjIOLA4mDiAPrA4aDhQPiBEODg4OCA7+DgIN/A32EEgN8A3qDeQN3g3YDdINzBAeDiYNxg3AEGwNug26DbQNtA2uEPANqA2iDZwNlg2QDYoNhA1+DXgNcg1sDWYPyg1gDVoNVBFcEMwRLBAMEQ4RCBFQEGARUBBgEVAQYBFQEGARUBBgEVwQzBFcEMwQNhAYDU4OAhE4EK4RXBCWDUgNQg1IDUINug20DX4NeA1yETgQrg08DTYQJBCEEVwQzBFcEMwRRBC6EUQQuhEsEAwRLBAMEQ4RCBEOEQgQ/BByEPwQchFQEGARUBBgDTANKhEyEKgNJA0eDRgQ2A0SDQwRXBDMD/QNBhEOEQgRDhEIEQ4RCBEOEQgQ2BBODQAM+gz0EOQM7hFcEVAM6A+sEPAM4gzcD1IM1g4sEVARVg3wDNAMygzEDL4OAhD8EHIQ2BBODLgOgA6ADoAMsg2oDgIOgAysDKwNqBBgDMQOAhCuEMwMpgygDJoQhAyUEKIMjgyIDQAMggzEDHwMdgxwDHAMagxqDGQQ2AxeDFgMUgxMDI4MRgxADEYMOgw0EUQQ0gziDMQMxAzEDMQMLgwoEGAMIg+sEFoMHA2uDBYM3AwQDbQNtAw6DAoMCgwEEQ4QYAv+DKwQqAv4C/IL7A4CC+YMCgvgC9oL1AvOC8gLwgu8C7YLsBD2EUQMlAyUC6oPIgukC54LmAuSC4wLhguAC3oLegt0C3QLbgtoC54LYgtcC1YRVhDGC1ALSgtECz4QMBASEUoRIAs4CzILLAsmCyALGgsUCw4RRBC6EUQQugsICwIK/Ar2D/QNBhE+ELQROBCuETIQqArwCuoRMhCoCuQK3grYCtIKzArGESwQDBFcEJYO+ArACroKtAsyCq4LMgquCyYKqAsOCqIPFhCKCpwKlhAkEIQKkAqKCoQKfgp4CnIRDhEIEQ4RCBEOEQgRDhEIEQgQfhEIEH4Q/BByCmwKZgpsCmYKYApaEPYQbApUCk4Q9hBsEPYQbApUCk4Q8BBmCkgKQgo8CjYKMAoqCiQKHhFQEGAKGAoSEVAQYBFQEGAQxhBaC0oKDBDkD0YKBgoAEN4Q8BDeEPAQ2BBOENIQSAn6CfQQ0hBIEKgQZg9GEE4QzA9AEIoJ7gnoCeIPHAncCdYJ0A4sCcoJxBFcEUQP3BFQCb4JuAm+Cb4Jvgm+Cb4Jvgm+Cb4Jsgm+Cb4Jvgm+CawJrAm+CaYMggyCCaAJmg4mDagQ9gysDKAQDBCcEMwPQA9AEMwJlAmOCYgP+gmCDgINhA2EDYQNhA2EDYQNhAl8DYQNhA2ECXYJdg3wDboNug26DboNug26CXANug26DboMWAxYDKAOSg5KDkoJyg5KDkoQ0hDSENIQ0glqCWoJaglqCWoJaglqCWoJaglkCV4JWAlYCVgJUglYCUwJRglMCUAJQAlACUAJQAlACUAJOglACTQJQAkuCSgJIgkcCWoJaglqCRYJagwKDU4PNA80DzQJEAkKDzQQ3hDeEN4Q3hDeEN4Q3hDeEN4Q3hDeCQQI/gj4CPIMoA2oDagI7AjmCOYI5gjgCOYI2glGCNQIzgjUCMgIwg6ADoAOgA6ADoAOgA6ADoAOAg6ADoAMFgi8CLwIvAi8CLwItgiwCLAIsAiwCLAJaglqCWoJagwKEVwN3hFcCKoIpAieCJgIkgiMCIYIgAh6DnoIdAhuCGgQ2AhiCFwIVhCiEPwIUAhKCEQQnBCcC6QIPgg4EKIIMggsCCYAAQEJ/00AAQBA/xAAAQB7AAAAAQCX/y0AAQCX/zgAAQCX/xgAAQDg//4AAQFGAAAAAQJ7AAAAAQLtAAAAAQOoAWkAAQGRAAAAAQFLAAAAAQD+AAAAAQEe/xAAAQCf/6AAAQCg/6AAAQBh/xAAAQDT/6AAAQE//6AAAQBh/6AAAQDH/6AAAQDW/6AAAQEPAAAAAQElAAAAAQGkAAAAAQDz/yMAAQDz/xAAAQD2AAAAAQDzAAAAAQDu/yMAAQDu/xAAAQDuAAAAAQEW/yMAAQFP/3UAAQEOAAAAAQEGAAAAAQGjAAAAAQFa/04AAQFa/yMAAQD8/yMAAQEn/yMAAQEnAAAAAQCO/00AAQCP/00AAQCy/xgAAQE//00AAQCyAAAAAQE8AAAAAQFCAAAAAQFQ/yMAAQFQAAAAAQDlAAAAAQD8/xAAAQD8AAAAAQEo/xgAAQC8AAAAAQHXAAAAAQFB/xgAAQFU/xAAAQCd/xAAAQEc/xAAAQPxAAAAAQL7AAAAAQCk/zQAAQCi/xgAAQCi/y0AAQIPAAAAAQCiAAAAAQGq/xAAAQFE/xAAAQF2AAAAAQF+AAAAAQGtAAAAAQGT/yQAAQF9/y4AAQEpACoAAQD6/y0AAQEy/y4AAQGs/y0AAQHi/y4AAQEe/y0AAQE7/zEAAQF4/zgAAQFE/z0AAQF8/z0AAQDx/ywAAQEh/zgAAQDx/00AAQEh/18AAQDx/y4AAQEh/y0AAQD3/y0AAQEM/y4AAQCW/1gAAQFY/1gAAQCW/y0AAQFY/y0AAQFF/zgAAQGT/zgAAQFF/04AAQGT/1YAAQFF/y0AAQGT/y0AAQHr/y0AAQHU/y0AAQCV/zcAAQCV/1kAAQCV/y0AAQE2/1EAAQFc/1sAAQE2/y4AAQCY/zgAAQDD/zEAAQFI/ywAAQF7/ygAAQFI/xAAAQF7/xAAAQFI/y0AAQF7/y4AAQFB/zYAAQEv/zEAAQFB/zgAAQEv/zgAAQEx/zgAAQFg/zgAAQEt/xAAAQFY/xAAAQEx/1wAAQFg/1wAAQEx/y0AAQFg/y0AAQFJ/1UAAQFK/1UAAQFJ/y0AAQFK/y0AAQCbAR8AAQDAAR8AAQCgAR8AAQC7AI8AAQCJANAAAQCJAOgAAQC4/zQAAQBPAI8AAQEWAR8AAQDHAR8AAQCUAI8AAQCSARkAAQBhAR8AAQAaAI8AAQDWAR8AAQGzAAAAAQHYAAAAAQKC/xAAAQKt//YAAQGt/xAAAQI+AAAAAQLx/6kAAQL3/xAAAQLwAAAAAQDKAAAAAQDsAAAAAQE2/yoAAQCZ/xAAAQE9AAAAAQD+/xAAAQDvAAAAAQEg/6kAAQEaAAAAAQGvAAAAAQFHAAAAAQDj/xAAAQDZ/4wAAQDG/xAAAQDGAAAAAQDg/xAAAQDk/xAAAQDg//YAAQGW/xAAAQGcAAAAAQG2AAAAAQFoAAAAAQFK/xAAAQHr/xAAAQHo//YAAQF8/xAAAQDLAAAAAQC1AAAAAQDgAAAAAQFJ/xAAAQFF/yoAAQEZAAAAAQEd/xAAAQEqAAAAAQDUAAAAAQEs//YAAQGG/xAAAQCb/xAAAQCm/y0AAQFB/zEAAQD1AAAAAQD0/xAAAQD5/xAAAQEu/zAAAQHi/w0AAQDiAAAAAQGCAAAAAQDaAAAAAQFB/xAAAQD0/xgAAQEy/xAAAQF9AAAAAQGz/5YAAQF9/xAAAQD8/1AAAQFA/5cAAQFS/xAAAQIMAAAAAQE3/xgAAQGM/xgAAQGSAAAAAQKz/xAAAQNP/xAAAQM8/y4AAQJX/xAAAQJE/y4AAQNyAAAAAQPWAAAAAQQMAAAAAQCNAAAAAQECAAAAAQGFAAAAAQCSAAAAAQE5/xAAAQD5AAAAAQEWAAAAAQEdAAAAAQEj/xAAAQEoAAAAAQEgAAAAAQE2/xAAAQGKAAAAAQEi/xAAAQDZAAAAAQE1AAAAAQDZ/xAAAQDR/xAAAQEpAAAAAQEUAAAAAQFM/5wAAQE+/xAAAQHR/xAAAQI0AAAAAQGX/xAAAQIGAAAAAQClAAAAAQE4AAAAAQFMAAAAAQDFAAAAAQDjAAAAAQHuAAAAAQGHAAAAAQFEAAAAAQGZAAAAAQEQAAAAAQE4/yUAAQGwAAAAAQEIAAAAAQFOAAAAAQE/AAAAAQGNAAAAAQE+AAAAAQDx/xAAAQEh/xAAAQE5/y0AAQF6/y0AAQG7/y4AAQG7AAAAAQE7/y0AAQF4/y4AAQFU/y0AAQGb/y0AAQFUAAAAAQGbAAAAAQE3/y0AAQGM/y0AAQCY/y0AAQDD/y4AAQFB/y0AAQEv/y4AAQEs/y0AAQFc/y0AAQF3AAAAAQGLAAAAAQEs/uMAAQFc/uMAAQHUAAAAAQF6AAAAAQDTAR8AAQD3/yMAAQEM/yMAAQFaAAAAAQC7AAAAAQDAAAAAAQGsAAAAAQE7/xgAAQD0AAAAAQDx/yMAAQEh/yMAAQD3/xAAAQEM/xAAAQCW/yMAAQFY/yMAAQHpAAAAAQHnAAAAAQFF/xAAAQGX/y4AAQHCAAAAAQFF/yMAAQGT/yMAAQCZAAAAAQE0AAAAAQCV/yMAAQEx/yMAAQE2/yMAAQFc/yMAAQFT/xAAAQFp/y0AAQCY/xgAAQDD/xAAAQF/AAAAAQGG/yMAAQEo/xAAAQEv/xAAAQEs/xgAAQFc/xgAAQE9/xAAAQCXAAAAAQEu/xAAAQHLAAAAAQE6AAAAAQGTAAAAAQFuAAAAAQF4/xAAAQHcAAAAAQC+AXAAAQC4AXEAAQD6AAAAAQB5/xAAAQGuAAAAAQEeAAAAAQE7AAAAAQDxAAAAAQD3AAAAAQCWAAAAAQHj/xAAAQCW/xAAAQFFAAAAAQHrAAAAAQCVAAAAAQE2AAAAAQAo/xAAAQCYAAAAAQFIAAAAAQEn/xAAAQCwAAAAAQFBAAAAAQEuAAAAAQFJAAAAAQEsAAAAAQEyAAAAAQE5AAAAAQFPAAAAAQHiAAAAAQFDAAAAAQEhAAAAAQEMAAAAAQFYAAAAAQGM/1YAAQE3AAAAAQGMAAAAAQGXAAAAAQHRAAAAAQExAAAAAQAP/0IAAQDDAAAAAQF7AAAAAQGGAAAAAQETAAAAAQEvAAAAAQFgAAAAAQF4AAAAAQFKAAAAAQFcAAAAAgAjACIAOwAAAEIAWwAaAGoAagA0AHoAegA1AIAAlgA2AJgAtgBNALgBRwBsAVgBXwD8AXYBdgEEAX8BfwEFAZMBkwEGAZUBmAEHAZoBnQELAaMDIQEPAzMDNAKOAzkDOwKQAz4DQgKTA18D8AKYBA0EDQMqBB4EIQMrBCgE5wMvBPME9APvBP4E/wPxBQ4FFQPzBaIFowP7Ba8FrwP9BbEFswP+BbUFtQQBBbkFuQQCBbwFvQQDBcMFwwQFBcgFyAQGBlgGWAQHBtQG3AQIBuMG4wQRADAAAAEuAAABKAAAASIAAAEcAAABHAAAARwAAAEcAAABHAAAARwAAAEcAAABFgAAARAAAAEKAAABBAAAAP4AAAEcAAABHAAAAQQAAAEcAAABHAAAAPgAAAEcAAAA8gAAARwAAADsAAABHAAAAQQAAAEcAAABHAAAARwAAAD4AAAA+AAAARwAAAEcAAABHAAAARwAAAD4AAABHAAAAOYAAADmAAAA4AAAARwAAAEEAAAA2gAAANQAAADOAAAAyAAAAMIAAQALAAAAAQBoAAAAAf7oAAAAAf84AAAAAf72AAAAAQAGAAAAAf/+AAAAAf/7AAAAAf/3AAAAAQABAAAAAf/4AAAAAf//AAAAAf6uAAAAAQBwAAAAAf+QAAAAAQAAAAAAAQADAAAAAf/sAAAAAQACAAAAAgANAYIBggAABm4GcQABBnQGigAFBpAGkwAcBpoGnAAgBqAGoQAjBqYGqQAlBqsGrAApBq4GrgArBrEGsQAsBrQGtAAtBsEGwQAuBsYGxgAvAAIACAACAG4ACgACABYABAAAAGAAJgABAAMAAAAAAAAAAQAGAAMACAFkAWUBaAFpAAIACQADAAMAAgAIAAgAAgANAA0AAQAPAA8AAQFlAWUAAgFmAWYAAQFpAWkAAgFqAWoAAQFuAW4AAQACAAAAAQAOAAQAAAACABwAFgABAAIFdgV4AAEFeQAAAAEFdwAAAAkACAAEJiobTARKAA4AAQACAAAACAACA4AABAAAA7gQMAALACgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEYAAAAAAAAAAAAAAAAAAAAAAAD/9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7P/OAAAAAP+6/84AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/OAAAAAAAA/8QAAAAAAAAAAAAAAAAAAP9+AAAAAAAAAAAAAP/2AAAAAAAAAAAAAP+SAAD/4v+wAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAeAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABpAAAAAAAAAAAAkQAAAAAAAAAAAAAAAAAAAF0AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7AAAAAAAAAAAAAAAAAAAADwAAAAAAAAAAAAoAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/+L/9gAAAAD/4gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/sP/iAAAAAP/EAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/+wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAGgAJADEAPABHAFkAXABrAHsAngDPAPcA/QFyAXMEIwSfBKAEoQSiBKMEpASlBKYFgAWCBYQAAgAUADEAMQAEAEcARwAGAFkAWQAKAGsAawAHAHsAewAIAJ4AngAEAM8AzwAFAPcA9wAKAP0A/QAFAXIBcgAHAXMBcwAIBCMEIwAGBJ8EoAAJBKEEogACBKMEowADBKQEpAACBKUEpgADBYAFgAABBYIFggABBYQFhAABAAEAAgAAAAgAAgoQAAQAABI0C/QAIAAoAAAAAAAAAAAAAAAAAAAAAAAA/+wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2AAD/9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/sAAAAAAAAAAAAAAAAAAAAAAAA/8T/2AAAAAD/ugAAAAAAAAAA//b/4gAAAAD/uv/YAAAAAAAAAAAAAAAAAAAAAAAAACgAAAAAAAAAAAAAAAAAAAAA/+wAAAAAAAD/9gAAAAD/9v/2AAAAAP/i/9gAAAAAAAAAAAAA//YAAAAAAAAAAAAA/+IAAAAA/+wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2/+wAAAAAAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAAAAAAAAAAAAAAAP/2AAAAAAAAAAD/9gAAAAAAAP/2AAAAAAAAAAAAAP/2AAAAAAAAAAD/2AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/9gAAAAAAAAAAAAAAAAAAAAoAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/9gAAAAAAAP/2AAAAAAAAAAAAAAAAAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/+z/2AAAAAD/zv/nAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/O/+z/7P/i/87/xP/EAAAAAP/OAAD/4gAAAAAAAP/iAAD/xP/O/9gAAAAAAAAAAAAAAAD/9v/s/+z/nAAAAAD/ugAA/7D/4gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADIAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/+wAAAAAAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7P/sAAAAAAAA/+wAAAAAAAAAAAAAAAAAAP/sAAAAAAAAAAAAAAAAAAD/7AAAAAAAAAAA//YAAAAAAAAAAP/i/+wAAAAA/+wAAAAAAAAAAP/i/8QAAAAA/7D/xAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/sAAAAAAAAAAAAAAAAADwARgAAAAAAPAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7AAA//YAAP/i/+IAAAAAAAAAAAAAAAAAPABGAAAAAABGAAD/7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/sAAD/9v/2/+z/2P/2AAAAAP/YAAAAAAAAAAAAAP/2AAD/zv/2//YAAAAAAAAAAAAAAAAAAAAAAAD/zgAAAAD/xAAA/+L/9gAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADIAAAAUAAAAAAAAACgAAAAAAAAAAAAAACgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/EAAAAAP/i/9j/uv/2AAAAAP/OAAAAAAAKABQAAAAAABQAAP/i/+IAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/7D/sAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAyAAAAFAAAAAAAAAAyAAAAAAAAAAAAAAAyAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/uv/s/+z/zv+w/7r/xAAA/+z/ugAA/+IAAAAAAAD/2AAU/8T/uv/EAAD/4v/sAAD/2AAA/+z/2P/s/5wAAAAA/6YAAP/E/+IAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/+wAAAAAAAAAAAAAAAAAAP/sAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/iAAAAAAAAAAD/2AAAAAAAAAAAAAAAAAAAAAD/9gAAAAD/2AAAAAAAAAAAAAAAAAAA/9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/9gAAAAAAAAAAP+wAAAAAAAAAAD/9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2//YAAAAAAAD/9gAAAAAAAAAAAAAAAAAA/+wAAAAAAAAAAAAAAAAAAP/OAAAAAAAA//b/7AAAAAAAAP/2/8T/xAAAAAD/ugAAAAAAAAAA/+z/2AAAAAAAAP/OAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/YAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/sAAAAAAAA/+wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/YP/2AAAAAAAAAAAAAAAAACgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//YAAAAA/+cAAAAAAAAAAAAAAAAAAP/OAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/iAAAAAAAAAAD/xAAAAAAAAAAAAAAAAAAAAAD/9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/7AAAAAAAAP/2AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2/+wAAAAAAAD/7AAAAAAAAAAAAAAAAAAA/+wAAAAAAAAAAAACAFAAAwADAAAACAAIAAEADQAPAAIAIgAiAAUAJAAmAAYALAAtAAkAMAAwAAsAMgAyAAwANQA7AA0AQgBDABQARgBGABYASQBJABcATgBRABgAUwBTABwAVQBVAB0AVwBYAB4AWgBaACAAgACLACEAkACQAC0AkgCWAC4AmACdADMAoACmADkAqACrAEAArgCwAEQAsgC2AEcAuAC4AEwAvQDGAE0AyADIAFcAygDKAFgAzADMAFkAzgDOAFoA0ADQAFsA0gDbAFwA5QDlAGYA6QDpAGcA6wDrAGgA9QD1AGkA+AD4AGoA+gD6AGsA/AD8AGwA/gD+AG0BAAEAAG4BAwEDAG8BBQEFAHABCAEIAHEBCgESAHIBFAEUAHsBFgEWAHwBGAEYAH0BIQEnAH4BKQEpAIUBKwErAIYBLQEtAIcBLwEvAIgBMQExAIkBMwE4AIoBOgE6AJABPAE8AJEBQAFEAJIBWAFiAJcBZAFmAKIBaAFqAKUBlgGYAKgBmgGdAKsBowHKAK8BzwHnANcB6QHpAPAB6wH6APEB/AH9AQECfAJ8AQMDjAOMAQQEZwRxAQUEdQR+ARAErgS4ARoEvAS8ASUEyATIASYEygTXAScE2QTdATUE3wTnAToG2AbYAUMAAgEKAAMAAwAaAAgACAAaAAoACgAfAA0ADQASAA4ADgAZAA8ADwASABsAHAAiACIAIgAGACQAJAADACgAKAADADAAMAADADIAMgADADUANQARADYANgAIADcAOAAOADoAOgANADsAOwAYAD4APgAfAEIAQgAFAEMAQwALAEQARgABAEcARwAPAEgASAATAEkASQALAEwATQALAE4ATwAEAFAAUAABAFEAUQAEAFIAUgABAFMAUwAEAFQAVAAUAFUAVQAVAFYAVgAEAFcAWgAJAFsAWwAcAF4AXgAfAGsAawAjAHsAewAkAIAAhQAGAIYAhgAgAIcAhwADAJIAlgADAJgAmAADAJkAnAAIAJ0AnQANAKAAoAABAKEApgAFAKcAqwABALIAtgABALgAuAABALkAvAAEAL0AvQAJAL4AvgALAL8AvwAJAMAAwAAGAMEAwQAFAMIAwgAGAMMAwwAFAMQAxAAGAMUAxQAFAMYAxgADAMcAxwABAMgAyAADAMkAyQABAMoAygADAMsAywABAMwAzAADAM0AzQABAM8AzwABANEA0QABANMA0wABANUA1QABANcA1wABANkA2QABANsA2wABANwA3AADAN0A3QATAN4A3gADAN8A3wATAOAA4AADAOEA4QATAOIA4gADAOMA4wATAOUA5QALAPYA9gALAPcA9wAEAPkA+QALAPsA+wALAP0A/QALAP8A/wALAQMBAwAEAQUBBQAEAQoBCgAEAQsBCwADAQwBDAABAQ0BDQADAQ4BDgABAQ8BDwADARABEAABAREBEQADARIBEgABARQBFAAEARYBFgAEARoBGgAUAR4BHgAUASEBIQARASIBIgAVASMBIwARASQBJAAVASUBJQARASYBJgAVAScBJwAIASgBKAAEASkBKQAIASoBKgAEASsBKwAIASwBLAAEAS0BLQAIAS4BLgAEAS8BLwAIATABMAAEATEBMQAIATIBMgAEATMBMwAOATQBNAAJATUBNQANATYBNgAJATcBNwANATgBOAAYATkBOQAcAToBOgAYATsBOwAcATwBPAAYAT0BPQAcAUABQAAGAUEBQQAFAUIBQgAgAUMBQwAFAUQBRAADAUUBRQABAUcBRwAUAVgBWAAOAVkBWQAJAVoBWgAOAVsBWwAJAVwBXAAOAV0BXQAJAV4BXgANAWABYgAZAWQBZAAnAWUBZQAaAWYBZgASAWgBaAAnAWkBaQAaAWoBagASAW4BbgASAXIBcgAjAXMBcwAkAZYBlgAEAZcBlwAGAZgBmAAFAZoBmgADAZsBmwABAZwBnAAIAZ0BnQAEAaMBowAGAaQBpAAFAaUBpQAGAaYBpgAFAacBpwAGAagBqAAFAakBqQAGAaoBqgAFAasBqwAGAawBrAAFAa0BrQAGAa4BrgAFAa8BrwAGAbABsAAFAbEBsQAGAbIBsgAFAbMBswAGAbQBtAAFAbUBtQAGAbYBtgAFAbcBtwAGAbgBuAAFAbkBuQAGAboBugAFAbwBvAABAb4BvgABAcABwAABAcIBwgABAcQBxAABAcYBxgABAcgByAABAcoBygABAc8BzwADAdAB0AABAdEB0QADAdIB0gABAdMB0wADAdQB1AABAdUB1QADAdYB1gABAdcB1wADAdgB2AABAdkB2QADAdoB2gABAdsB2wADAdwB3AABAd0B3QADAd4B3gABAd8B3wADAeAB4AABAeEB4QADAeIB4gABAeMB4wADAeQB5AABAeUB5QADAeYB5gABAecB5wAIAegB6AAEAekB6QAIAeoB6gAEAesB6wAIAewB7AAEAe0B7QAIAe4B7gAEAe8B7wAIAfAB8AAEAfEB8QAIAfIB8gAEAfMB8wAIAfQB9AAEAfUB9QANAfYB9gAJAfcB9wANAfgB+AAJAfkB+QANAfoB+gAJAfwB/AARAf0B/QAVBCMEJwAPBEUERgAeBGUEZgAmBGcEcQAKBHIEcwAhBHQEdAACBHUEegAHBHsEiQACBIoEjgAHBI8EkQACBJ0EngAlBJ8ErQACBK4EuQAHBLoEuwACBLwEvAAHBL0EwAACBMEExgAQBMgEyAAbBMoEzAAbBM0E1wAMBNkE3QAWBN8E4wAXBOQE5wAdAAIAywADAAMAEwAIAAgAEwANAA0AGgAOAA4AGwAPAA8AGgAiACIAAgAkACQADAAlACUAAwAmACYABAAsACwAHwAtAC0ADQAwADAAAwAyADIAAwA1ADUAFQA2ADYABwA3ADgAEAA5ADkAHwA6ADoACgA7ADsAGQBCAEIAAQBJAEkAAQBOAE8AAQBTAFMAHABVAFUAFgBXAFgABgBaAFoABgCAAIUAAgCGAIYABACHAIcADACIAIsABACQAJAAAwCSAJYAAwCYAJgAAwCZAJwABwCdAJ0ACgCgAKUAAQCuAK8ACwC9AL0ABgC/AL8ABgDAAMAAAgDBAMEAAQDCAMIAAgDDAMMAAQDEAMQAAgDFAMUAAQDGAMYADADIAMgADADKAMoADADMAMwADADOAM4AAwDQANAAAwDSANIABADUANQABADWANYABADYANgABADaANoABADlAOUAAQDpAOkACwDrAOsACwD1APUAHwD4APgADQD6APoADQD8APwADQD+AP4ADQEAAQAADQEDAQMAAQEFAQUAAQEIAQgAAQEKAQoAAQELAQsAAwENAQ0AAwEPAQ8AAwERAREABAEUARQAHAEWARYAHAEYARgAHAEhASEAFQEiASIAFgEjASMAFQEkASQAFgElASUAFQEmASYAFgEnAScABwEpASkABwErASsABwEtAS0ABwEvAS8ABwExATEABwEzATMAEAE0ATQABgE1ATUACgE2ATYABgE3ATcACgE4ATgAGQE6AToAGQE8ATwAGQFAAUAAAgFBAUEAAQFCAUIABAFEAUQAAwFYAVgAEAFZAVkABgFaAVoAEAFbAVsABgFcAVwAEAFdAV0ABgFeAV4ACgFfAV8ABgFgAWIAGwFkAWUAEwFmAWYAGgFoAWkAEwFqAWoAGgGWAZYAAQGXAZcAAgGYAZgAAQGaAZoADgGbAZsAEgGcAZwADwGdAZ0AFAGjAaMAAgGkAaQAAQGlAaUAAgGmAaYAAQGnAacAAgGoAagAAQGpAakAAgGqAaoAAQGrAasAAgGsAawAAQGtAa0AAgGuAa4AAQGvAa8AAgGwAbAAAQGxAbEAAgGyAbIAAQGzAbMAAgG0AbQAAQG1AbUAAgG2AbYAAQG3AbcAAgG4AbgAAQG5AbkAAgG6AboAAQG7AbsABAG9Ab0ABAG/Ab8ABAHBAcEABAHDAcMABAHFAcUABAHHAccABAHJAckABAHPAc8AAwHRAdEAAwHTAdMAAwHVAdUAAwHXAdcAAwHZAdkAAwHbAdsAAwHdAd0ADgHeAd4AEgHfAd8ADgHgAeAAEgHhAeEADgHiAeIAEgHjAeMADgHkAeQAEgHlAeUADgHmAeYAEgHnAecABwHpAekABwHrAesADwHsAewAFAHtAe0ADwHuAe4AFAHvAe8ADwHwAfAAFAHxAfEADwHyAfIAFAHzAfMADwH0AfQAFAH1AfUACgH2AfYABgH3AfcACgH4AfgABgH5AfkACgH6AfoABgH8AfwAFQH9Af0AFgJ8AnwACwOMA4wACwRnBHEACAR1BHoAEQR7BH4ABQSuBLgABQS8BLwABQTIBMgAHQTKBMwAHQTNBNcACQTZBN0AFwTfBOMAGATkBOcAHgbYBtgACwABAAIAAAAIAAEBxAAEAAAA3QrQCoIK0Ap4CnIKcgpoCl4KVAlmCTwNDAkyCl4JJApeCO4I3AjSCNINDAjECLoKeAi0CKIInAicCJwKeAhKCEQH8gpoCmgKaApoCmgKaApUClQKVApUClQKXgpeCl4KXgpeCl4KXgjECSQInAicCmgKaAfgCl4H0gpeClQKVApUClQKVAfMB8YNDAkyCTIJMgfSCTIJMgpeCl4KXgpUCNwI3AeYCNwI0gicCMQInAjECLoIugi6CmgKVApeCNIInAjSCJwI0gicCMQInArQCtAKcgrQCtAKcghECtAKaAeOB44KaApoCmgKaApoCmgKaApoCmgKaApoCmgKVApUClQKVApUClQKVApUCl4KXgpeCl4KXgpeCl4HjgeOB44HjgeOB44HjgeOB44HjgjECJwIxAicCMQInAjcDQwNDA0MDQwNDA0MDQwNDA0MDQwNDAd4B3IHcgdyB3IHcgdyB2wHbAdsB2wHGgcQBxAHEAdsB2wHbAdsB2wHbAdsB2wHbAdsB2wGzgZMB2wGBgX4BboF+AX4BfgFYAVWBVYFVgVWBVYE8ATiBOIE4gTiBOIE2ATOBLAECgPEA4IAAQDdAAMABwAIAAkADQAPACIAJQAmACcAKAAsAC0AMAAxADIAMwA1ADcAOAA5ADoAOwA8AEAARABXAFgAWgBcAGEAewB/AIAAgQCCAIMAhACFAIYAiACJAIoAiwCQAJIAkwCUAJUAlgCYAJ0AngC9AL8AwADCAMQAzgDPANAA0gDUANYA2ADaAOkA7gD1APgA+gD8AP0A/gEAAQsBDQEPAREBIQEjASQBJQEzATQBNQE2ATcBOAE6ATwBQAFCAUQBWAFZAVoBWwFcAV0BXgFfAWQBZQFmAWgBaQFqAXMBlAGXAZoBnAGjAaUBpwGpAasBrQGvAbEBswG1AbcBuQG7Ab0BvwHBAcMBxQHHAckBzwHRAdMB1QHXAdkB2wHdAd8B4QHjAeUB6wHtAe8B8QHzAfUB9gH3AfgB+QH6AfwEZwRoBGkEagRrBGwEbQRuBG8EcARxBHQEdQR2BHcEeAR5BHoEewR8BH0EfgSJBKEEogSkBK4ErwSwBLEEsgSzBLQEtQS2BLcEuAS6BLsEvATHBMgEyQTKBMsEzATYBNkE2gTbBNwE3QTeBN8E4AThBOIE4wWBBYUFhwWJBYwGVwAQBMj/0wTJ/+IEyv/TBMv/0wTM/9ME2P/iBNn/7ATa/+wE2//sBNz/7ATd/+wE3//iBOD/4gTh/+IE4v/iBOP/4gARBMj/4gTJ//YEyv/iBMv/4gTM/+IE2P/sBNn/7ATa/+wE2//sBNz/7ATd/+wE3v/2BN//4gTg/+IE4f/iBOL/4gTj/+IAKQR1//YEdv/2BHf/9gR4//YEef/2BHr/9gSK//YEi//2BIz/9gSN//YEjv/2BJ0AWgSeAFoErv/2BK//9gSw//YEsf/2BLL/9gSz//YEtP/2BLX/9gS2//YEt//2BLj/9gS5//YEvP/2BMj/2ATK/9gEy//YBMz/2ATY/+IE2f/iBNr/4gTb/+IE3P/iBN3/4gTf/9gE4P/YBOH/2ATi/9gE4//YAAcEnQA8BJ4APATf/+wE4P/sBOH/7ATi/+wE4//sAAIEnQA8BJ4APAACBJ0AHgSeAB4AAwTH//YFi//iBlf/7AAZBHX/9gR2//YEd//2BHj/9gR5//YEev/2BIr/9gSL//YEjP/2BI3/9gSO//YErv/2BK//9gSw//YEsf/2BLL/9gSz//YEtP/2BLX/9gS2//YEt//2BLj/9gS5//YEvP/2BYv/9gACBYv/7AZX/+wAFgAN/9gAD//YAWb/2AFq/9gBbv/YBGX/2ARm/9gEZ//sBGj/7ARp/+wEav/sBGv/7ARs/+wEbf/sBG7/7ARv/+wEcP/sBHH/7ARy/+wEc//sBYv/7AZX//YADwRn/+wEaP/sBGn/7ARq/+wEa//sBGz/7ARt/+wEbv/sBG//7ARw/+wEcf/sBHL/7ARz/+wFi//2Blf/9gADBMf/9gWL/+IGV//xABEEyP/sBMn/8QTK/+wEy//sBMz/7ATY//YE2f/2BNr/9gTb//YE3P/2BN3/9gTf/+wE4P/sBOH/7ATi/+wE4//sBYj/7AAgAA3/7AAP/+wBZv/sAWr/7AFu/+wEZ//2BGj/9gRp//YEav/2BGv/9gRs//YEbf/2BG7/9gRv//YEcP/2BHH/9gRy//YEc//2BMj/9gTK//YEy//2BMz/9gTZ//YE2v/2BNv/9gTc//YE3f/2BN//9gTg//YE4f/2BOL/9gTj//YAEARl/7AEZv+wBGf/4gRo/+IEaf/iBGr/4gRr/+IEbP/iBG3/4gRu/+IEb//iBHD/4gRx/+IEcv/TBHP/0wZX//YAAgTJ/+IE2P/YABQADf/iAA//4gFm/+IBav/iAW7/4gRl/9gEZv/YBGf/9gRo//YEaf/2BGr/9gRr//YEbP/2BG3/9gRu//YEb//2BHD/9gRx//YEcv/sBHP/7AABBN7/9gABBYv/9gAFBN//9gTg//YE4f/2BOL/9gTj//YAAgAqABQAOQAyAAsAAgCDAAMAcgAIAHIACgCjACAAjAA+AKMAXgCjAWQAXgFlAHIBaABeAWkAcgABACsAMgABAOkAdgADAAIAdQAgAIUA5wBGAAQAKwBuBJ0AUASeAFAEyf/iABQAKwBkADX/2AA3/+IAOP/iADr/2ACd/9gBIf/YASP/2AEl/9gBM//iATX/2AE3/9gBWP/iAVr/4gFc/+IBXv/YAfX/2AH3/9gB+f/YAfz/2AABADn/7AAUACsAMgA1/+wAN//2ADj/9gA6/+IAnf/iASH/7AEj/+wBJf/sATP/9gE1/+IBN//iAVj/9gFa//YBXP/2AV7/4gH1/+IB9//iAfn/4gH8/+wAAQAgABQABAADABQACAAUAWUAFAFpABQAAQArAF8AAgTJ//YE2P/2AAMAB//iACAAFATH/84AAgAgABQEx//iAAQAB//sACAAFATH/9gE3v/iAA0Aa//2AXL/9gTNAAAEzgAABM8AAATQAAAE0QAABNIAAATTAAAE1AAABNUAAATWAAAE1wAAAAMAB//2ADn/7ATH/+wAAgTJ/8QE2P/EAAoE2QAABNoAAATbAAAE3AAABN0AAATf//YE4P/2BOH/9gTi//YE4//2ADsACgAUAA3/xAAP/8QAIAAUACL/7AA+ABQAXgAUAID/7ACB/+wAgv/sAIP/7ACE/+wAhf/sAMD/7ADC/+wAxP/sAUD/7AFm/8QBav/EAW7/xAGX/+wBo//sAaX/7AGn/+wBqf/sAav/7AGt/+wBr//sAbH/7AGz/+wBtf/sAbf/7AG5/+wERf+6BEb/ugRn/+IEaP/iBGn/4gRq/+IEa//iBGz/4gRt/+IEbv/iBG//4gRw/+IEcf/iBHL/zgRz/84ExwAABN4AAATfAAAE4AAABOEAAATiAAAE4wAABOQAAATlAAAE5gAABOcAAAACACsAPATJ/+wAAgA5/+wE3gAAAAIAKwAyBMn/4gABBNj/2AACACsAWgBLACgAEwA1/8QAN//sADj/7AA6/+IAnf/iASH/xAEj/8QBJf/EATP/7AE1/+IBN//iAVj/7AFa/+wBXP/sAV7/4gH1/+IB9//iAfn/4gH8/8QAAQDpAEYAAQACAAAACAABAKAABAAAAEsCVAJUAk4COAIuAigCDgGsAX4CLgF4Ak4CTgJOAk4CTgJOAigCLgIoAigCKAIoAXgCTgJOAk4CLgIuAi4CLgIoAigCKAIoAigCKAIuAi4CLgF4AXgCTgIoAXgCVAJUAk4CTgJOAk4CTgJOAk4CTgJOAk4CTgJOAk4CKAIoAigCKAIoAigCKAIoAXgBeAF4Ai4BYgFQAToAAQBLAA0ADwAiACMAJAAmACgAMwA0ADUAOgCAAIEAggCDAIQAhQCGAIcAiACJAIoAiwCdAMAAwgDEAMYAyADKAMwA0gDUANYA2ADaAREBIQEjASUBNQE3AUABQgFeAWYBagGXAaMBpQGnAakBqwGtAa8BsQGzAbUBtwG5AbsBvQG/AcEBwwHFAccByQH1AfcB+QH8BLoExwTJAAUADf/sAA//7AFm/+wBav/sAW7/7AAEAAP/7AAI/+wBZf/sAWn/7AAFAA3/sAAP/7ABZv+wAWr/sAFu/7AAAQTJ//YACwTI/+wEyf/2BMr/7ATL/+wEzP/sBNj/9gTf/+wE4P/sBOH/7ATi/+wE4//sABgEdf/2BHb/9gR3//YEeP/2BHn/9gR6//YEiv/2BIv/9gSM//YEjf/2BI7/9gSu//YEr//2BLD/9gSx//YEsv/2BLP/9gS0//YEtf/2BLb/9gS3//YEuP/2BLn/9gS8//YABgTI/+wEyf/2BMr/7ATL/+wEzP/sBNj/9gABBNj/9gACBMn/7ATY/+wABQAN//YAD//2AWb/9gFq//YBbv/2AAEE2P/sAAEEyf/sAAEAEAABAAoAAQABADAABAAyAAgAEAABAAoAAQADAAEAMAABAB4AAQAUAAEAAAABAAEAAwAKAD4AXgABAAcGWQZeBl8GYAZiBmMGaQABAAEETgACADb/8wDjAsoAAwAPAAB3IwMzAzQ2MzIWFRQGIyImyXgZqqwzJCI0NCIkM+gB4v18LyUlLywnJwAAAgA9AcgBoQLKAAMABwAAUwMjAyEDIwPNFGgUAWQUZxQCyv7+AQL+/gECAAACABYAAAJwAskAGwAfAABBBzMVIwcjNyMHIzcjNTM3IzUzNzMHMzczBzMVBTM3IwHoF36RJmsmXyVpJHSHF3uNJmsmYSZpJnX+l2AXYAGccWXGxsbGZXFmx8fHx2ZxcQADACv/xgIVAvcAJAAsADUAAHcmJic1FhYXNS4CNTQ2Njc1MxUWFhcHJiYnFR4CFRQGBxUjNzY2NTQmJicDDgIVFBYWF/1BZiopdDRNXSg1Xz5DOGMvLihRIzZiPWprQ0MiIA8dFkMUHA8NHBYoAhUTgRQhA5ceOUYxMkksBUtJAhYVchESA5AUL0g7SWIKZNgGHRcOFRMKARsDDRUODhUTCgAFAB7/9wNoAtQACwAXABsAJwAzAABTMhYVFAYjIiY1NDYXIgYVFBYzMjY1NCYlASMBEzIWFRQGIyImNTQ2FyIGFRQWMzI2NTQmxlBcVlZOWlVUGxgYGxwZGQHg/nR3AYxwT11XVU5aVFUcFxccHBkZAtR1amp3d2pqdWFCPT1DQj49Qlf9NgLK/u11amp3d2pqdWFCPT1DQj4+QQADACj/9gLuAtQAJQAwADwAAEEyFhYVFAYHFzY2NzMGBgcXIycOAiMiJiY1NDY2Ny4CNTQ2NhMOAhUUFjMyNjcDIgYVFBYXNjY1NCYBNjpaNFI9ixQeCpsPOi2TuDgdQkoqUXQ+HzspGh8NNV8JExsPQDAgOBdvGS0ZFSotKALUJEUyRV4jhyJLJjiAOI83FB0QM1w8M0k3Fx41NB0zSij+Xg4eIhUrMRAOAdAZIxkuGBcuHh4aAAEAPQHIAM0CygADAABTAyMDzRRoFALK/v4BAgABACj/YgE1AsoAEAAAUzQ2NjczBgYVFBYWFyMuAigfQjJ6REcgPS15MkIfARJSnI48XuJ3TZmNPjuLmgABAB7/YgErAsoAEQAAQRQGBgcjPgI1NCYmJzMeAgErH0EzeS09ICA9LnozQR8BElCaizs+jZlNT5qQPjyOnAAAAQAdASQCAQL4AA4AAEEHNxcHFwcnByc3JzcXJwFPFLURpWxvTEN0bKUTshQC+LQzfAyQO5iYO5AOejO0AAABACsAbwIQAlQACwAAQTMVIxUjNSM1MzUzAVO9vWu9vWsBlmu8vGu+AAABAB//fwDgAHQACgAAdw4CByM+Ajcz4AkcIBFrChIQBYlpI1FRJShXVCIAAAEAHADOASMBSgADAAB3NSEVHAEHznx8AAEANv/zAOMAmgALAAB3NDYzMhYVFAYjIiY2MyQjMzMjJDNGLyUlLywnJwAAAQAH//oBmgLQAAMAAEEBIwEBmv72iQEKAtD9KgLWAAACACT/9gIXAtUAEAAgAABBFA4CIyImJjU0NjYzMhYWBRQWFjMyNjY1NCYmIyIGBgIXGztfRVZuNTBuW1ZuNv6jEismJisTEysmJisSAWVWiF8yWKRzdKRYV6V0UW03Nm1SUm03N20AAAEAOwAAAZ0CygANAABhIxE0NjY3BgYHByc3MwGdlwECAQUhDlJJ5nwBnREyNhUGHwxCW7cAAAEAJgAAAhsC1AAdAABhITU3PgI1NCYjIgYHJz4CMzIWFhUUBgYHBxUhAhv+DbM2Qh4vKClOK1IfRVtARmU3L1k/XAE3abU4Sz0jKyomI2EbLh0zVzc7YmA6VgcAAQAm//YCFALUAC4AAEEUBgYHFRYWFRQGBiMiJic1FhYzMjY1NCYmIyM1MzI2NjU0JiMiBgYHJzY2MzIWAf8pRSxWWT1/ZDtmLS5lK1FBHktDNjdCRRkvNyI4LRFGKnFOboECKjFILgsDClRHPmM5FBOAFxg4Mx4pFXQZKxwmKxEYC2geKFkAAAIAEQAAAisCygAKABYAAGUjFSM1ITUBMxEzJzQ+AjcjBgYHBzMCK1aT/s8BOYtW6QECAgEECRQOg6yUlJRpAc3+P3kRLy8lBxQmFMYAAAEAMf/2Ag4CygAhAABBMhYWFRQGBiMiJic1FhYzMjY2NTQmIyIGBycTIRUjBzY2ASxBZjtAf144YyUlaC4tPSBGSRw8FDwbAYP/DREnAcgyYEdNcDwUE4ITGxgyJzU3CwUgAWyAjAMHAAACACP/9gIbAtIAIwAyAABTND4DMzIWFxUmJiMiDgIHMz4CMzIWFhUUBgYjIi4CBTI2NTQmIyIGBhUUHgIjEi1RfVkVOBMTLRZDVzIXAgYOKTwoP1syO21LN19HKAECLDgwMSEyHA4bKAEvPnhrUy8DBHkFBSA8UTIYJRY1ZUhNcDsmTXZwPUA0PB0uGBkxKBgAAAEAGwAAAhsCygAGAABzASE1IRUBbwEM/qACAP7yAkt/X/2VAAMAI//2AhgC0wAfAC4APAAAQTIWFhUUBgYHHgIVFAYGIyImJjU0NjY3LgI1NDY2AxQWMzI2NTQmJicnDgITIgYVFBYWFz4CNTQmAR4+Zz8iOSUmRSs/cUpQcDslPiYgNB9AaTM3Njg4IC8ZDR8vGm4lMRgoFxcnGDEC0yZMOitBMBIUNUcwO1gwLlY7MUg1EhQzQSs5TCb96ycyMCgbKSEOBw4kKwGLJiMYJRsMCxolGiMmAAIAIP/2AhgC0gAjADIAAEEUDgMjIiYnNRYWMzI+AjcjDgIjIiYmNTQ2NjMyHgIlIgYVFBYzMjY2NTQuAgIYEi1RfVkVOBMULBZDVzIXAgYOJzsuPVoyO25KN19HKP7+LDgwMSIxHA4bKAGZPXlrUy8DBHkEBiA8UjEXJhY1ZUhObzsmTXZwPEE0PB4tGBkxKBgAAgA2//MA4wIsAAsAFwAAdzQ2MzIWFRQGIyImETQ2MzIWFRQGIyImNjMkIzMzIyQzMyQjMzMjJDNGLyUlLywnJwG/LiUlLi0nJwACAB//fwDkAiwACwAXAAB3DgIHIz4DNzMDNDYzMhYVFAYjIibgCRwgEWsHDg0LBImgMiQjMjIjJDJpI1FRJR5AQTwaAWUuJSUuLCcnAAABACsAYwIQAnEABgAAZSU1JRUFBQIQ/hsB5f6yAU5j1kbydZuJAAIAKwDMAhAB9AADAAcAAFM1IRUFNSEVKwHl/hsB5QGKamq+a2sAAQArAGMCEAJxAAYAAHclJTUFFQUrAU7+sgHl/hvYiZt18kbWAAACAAX/8wHIAtQAHwArAABTNDY2Nz4CNTQmIyIGByc2NjMyFhUUBgYHDgIVFSMHNDYzMhYVFAYjIiaODychJCQNLykqUiw1MXNDaXMZNCgeIw13FTIlIjMzIiUyAQwhNC4YGiQgFB8iGRdtHCFgUSk/Nh0WIB8VFqIvJSUvKygoAAIAL/+wA1MCzwBCAFAAAEEUDgIjIiYnIwYGIyImNTQ2NjMyFhcHFAYVFBYzMjY2NTQmJiMiDgIVFBYWMzI2NxUGBiMiJiY1ND4CMzIeAgUUFjMyNjc3JiYjIgYGA1MXLkMtJzwOBhVCLlZZN2pLL1ocCgEXEBcgEkB4U094USpAfVw6fTYxdkJ8sV08cJ9jU4lkNv4SKiMuKAQFCxgOKzcZAWwuWkgsJx4dKGpXQmg8EgrNChYKIhktSyxSdT8xW3tJVn1DGhNeFRdZp3NbnXNBMVyDjjcxSEdfAwMoPwAAAgAAAAACtALNAAcAEgAAYScjByMTMxMBLgInDgIHBzMCDzf8N6X7vP3+zwQREAUEDw4FM7WoqALN/TMBww88PxQXPDgTmwAAAwBVAAACZwLKABIAGwAlAABBMhYVFAYGBxUeAhUUBgYjIRETMjY1NCYjIx0CMzI2NTQmJiMBPJOGITchI0AoQHVS/vXvQjI7QE9hRDUXNzACyldbLUEoBwUHJEQ4QV0xAsr+4jAnKSenc8A3KxsqGQAAAQA3//YCYwLUAB8AAEEiDgIVFBYWMzI2NxUGBiMiJiY1ND4CMzIWFwcmJgGOK0UwGSpVQC9XLC1dOXKTRy1YgFQ1bTEyJFECVSE/WTlLazgWEYITEVumbVGHYjYXGHoRGQACAFUAAAKmAsoACgAUAABBFAYGIyMRMzIWFgc0JiYjIxEzMjYCplyndNrscZ9VoC1aQk9AbmoBcXukUgLKT5p2TWQx/jF2AAABAFoAAAH1AsoACwAAYSERIRUhFTMVIxUhAfX+ZQGb/vzy8gEEAsp8nXy4AAEAWgAAAfMCygAJAABzIxEhFSEVMxUj75UBmf788vICyny4fAAAAQA6//YChALUACEAAEEhEQYGIyImJjU0NjYzMhYXByYmIyIGBhUUFhYzMjY3NSMBaQEbOHlNapVNV6Z4OW4tMiFULkJhNSZSQiAtE4cBkf6OExZUpHhwpFoYFHkRFjxtSkZsPQYElQABAFoAAAKjAsoACwAAYSMRIREjETMRIREzAqOX/uWXlwEblwE0/swCyv7oARgAAQAgAAABZQLKAAsAAGEhNTcRJzUhFQcRFwFl/rtXVwFFV1dWKAHOKFZWKP4yKAAAAf+2/y4A8QLKABEAAFciJic1FhYzMjY2NREzERQGBg8dLBAQIxQaKxiXOWbSBwR+BAYUODQCnf1kXHEzAAABAFoAAAKYAsoADgAAYSMDBxUjETMRNjY3NzMDApisu0CXlw8eD8Go+QEtLv8Cyv65FSoV8/7EAAEAVQAAAg8CygAFAABzETMRIRVVmQEhAsr9tH4AAAEAWgAAA1UCygAXAABhAyMeAhURIxEzEzMTMxEjETQ2NjcjAwGIrAQBBASHzqkDs86NAwMBBLgCMBRQWyX+tALK/d4CIv02AVIiWE8U/dEAAQBaAAAC0wLKABMAAGEjASMeAhcRIxEzATMuAicRMwLTwP7JBAIDAwGHvwE2AwECAwGIAhwiREQi/rACyv3pIUJBIQFSAAIAN//2At8C1QARACAAAEEUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYC3ylTgFhXgVMpSZd1dJdI/fklUD5ATyRSYD9QJQFmU4diNDRih1RvpFtbpW9KbDk5bEpwgDprAAIAVQAAAkMCygAMABYAAEEyFhUUDgIjIxUjERcjFTMyNjY1NCYBNYqEHEFqTUGZ20IzKj0hOwLKc2kvVkUn/QLKfdIVMSgwNAAAAgA3/1YC3wLVABYAJQAAQRQGBgcXIyciIiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmIyIGBgLfJkw9rcV/AwgDV4FTKUmXdXSXSP35JVA+QE8kUmA/UCUBZk+FYRvAoDRih1RvpFtbpW9KbDk5bEpwgDprAAACAFUAAAKRAsoADwAZAABBMhYWFRQGBgcTIwMjESMRFyMVMzI2NTQmJgEwXnw9Ijoly6+fVZnYPz89Qhs4AsovXEUwSjQR/sUBEv7uAsp3yzI5ICoWAAEALv/2Af8C1AAvAABlFAYGIyImJic1FhYzMjY2NTQmJicuAzU0NjYzMhYXByYmIyIGBhUUFhYXHgIB/z51VCVHQR0zbTYlLRUlPigZOjUiO21KOGU3MTFOKRwoFR48LTdNKsY/XjMKEw6NFiUUIhYbJiETDCExRjFAWzAaGHYUFhIgFhkjIBYaOEwAAQATAAACLgLKAAcAAGEjESM1IRUjAW2ZwQIbwQJLf38AAAEAVf/2Ap8CygATAABlFAYGIyImNREzERQWMzI2NjURMwKfQYNkjpSXSEcyPh2X/Ep3RZF3Acz+S1hIIkg3AbQAAAEAAAAAAooCygAOAABBAyMDMxMeAhc+AjcTAorzpfKZhgQPEAMDDxADhwLK/TYCyv5XCztBFhZBOwsBqQAAAQAAAAADxwLKACkAAEEDIwMuAycOAwcDIwMzEx4DFz4DNxMzEx4DFz4CNxMDx7asYQMJCwgCAQkKCgNgrLaVWwQKCgkCAggKCQRoj2gDCgoIAgMMDwVbAsr9NgF3Cyw0Lw0NLzMtDP6KAsr+ehExNTISEzEzLQ0BkP5wDS00MRIZRUYXAYYAAAEAAwAAApoCygALAABhIwMDIxMDMxc3MwMCmrCen6rt36qTkKvgAQH+/wFwAVr09P6dAAABAAAAAAJyAsoACAAAQRMzAxEjEQMzATmTpuya7KYBnwEr/kz+6gERAbkAAAEAGAAAAisCygAJAABhITUBITUhFQEhAiv97QFW/rMCAf6qAV9iAet9Yv4VAAABAEb/YgEyAsoABwAARSMRMxUjETMBMuzsbW2eA2hn/WYAAQAG//oBmQLQAAMAAFMBIwGOAQuJ/vYC0P0qAtYAAQAZ/2IBBQLKAAcAAFczESM1MxEjGW1t7Ow3Appn/JgAAAEAFwD+AiUCzgAGAAB3EzMTIwMDF9ZG8nWdif4B0P4wATr+xgAAAf/+/2IBnf+mAAMAAEUhNSEBnf5hAZ+eRAABACgCXgFFAv4ADAAAUx4CFxUjLgMnNdEPKSwQZRMzNS8OAv4WNjQTDQ0nKykOCgACACj/9gIQAiwAHQAoAABBMhYVESMnIw4CIyImJjU0Njc3NTQmIyIGByc2NhMGBhUUFjMyNjU1AT1nbGkdBBcxQC4wTCx8e1ssKCVOJiwrb0ZHOCchL0ECLGFf/pRKHSYRJUw6VlYFAxExJxgRZxYa/s4CKiYjITg0LQAAAgBJ//YCSAL4ABYAJAAAUxQGBzM2NjMyFhUUBgYjIiYnIwcjETMTIgYGFRUUFjMyNjU0JuADAwYWSjtbcjRfPjxFFgoZdJdqJi8VLz0xMjECRx84FSIvj4tdf0ArGjsC+P68IEE0Ek1QVFBPUQABAC//9gHoAiwAHQAARSImJjU0NjYzMhYXByYmIyIGBhUUFhYzMjY3FQYGATdPd0JIfE8wVSEtHj0eJzYcHDYlK0wiH04KO31gZX47FBFyDREkSTc2RiMXE3sTFgAAAgAv//YCLwL4ABcAJAAAVyImNTQ2MzIWFhczJiY1NTMRIycjDgI3MjY1NTQmIyIGFRQW/FpzdF4nOSoPBQMFmHQeBg4qOw0+MjBBMTc3Co+LjY8VJBcSQRuu/QhHFyQWeUdJEE9UVFBQTwAAAgAv//YCJwIsABcAHwAAQTIWFhUVIRYWMzI2NxUGBiMiJiY1NDY2FyIGBzM0JiYBMkxuO/6hAkhDM1QsKFlCUX1IQXVRLTgFzhYtAiw5b1BJPkcUFHEUEzx9XmB/QGs5OCEyHgAAAQAUAAABsAL9ABgAAEEjESMRIzU3NTQ2NjMyFhcHJiYjIgYVFTMBfIGVUlIvVzssRxYmESgaHx2BAbL+TgGySCgoRk0gDgltBQkmHSIAAgAv/xACLwIsACIAMwAAUzIWFzM3MxEUBgYjIiYnNRYWMzI2NTU0NjcjBgYjIiY1NDYXIgYGFRQWMzI+AjU1NCYm/zlMGQQOgDx5XT9kLC1fPj9BAwIFF0s4XnFyjyEvFzU1HioaDRYyAiwrJEX92k1pNg8SgBQWOjMPDCgPJCySiIiUdyZKN1JQEiM2JRY3SCQAAAEASQAAAkMC+AAaAABTFAYHMz4CMzIWFhURIxE0JiMiBgYVESMRM+AFAggSMDshO1gxlyotLDMWl5cCXyxDFB0iESpXR/6cAT47OypQOv8AAvgAAAIARAAAAOgC+QADAA8AAFMRIxE3MhYVFAYjIiY1NDbhl0whMTEhIjAwAiL93gIi1x8rKSAgKSsfAAAC/8v/EADoAvkAEAAcAABXIiYnNRYWMzI2NREzERQGBgM0NjMyFhUUBiMiJigXNBIQHREbJZckUScvIyAyMiAjL/AHBXcEBiIyAkX9ozJSMQOfKx8fKykgIAABAE4AAAJsAvgAEwAAUxQGBzM+Ajc3MwcTIycHFSMRM+MFAwIKFRYMmajZ5qydQJWVAaQfPR8OHBwNpu3+y90zqgL4AAEASQAAAOAC+AADAABzIxEz4JeXAvgAAAEASQAAA4gCLAAnAABBMhYVESMRNCYjIgYVESMRNCYmIyIGBhURIxEzFzM+AjMyFhczNjYCyl5glioqOjCXEiQcKS8Tl3QWBRAvPiY9URcFG1YCLF5q/pwBPj83VU7+7wE+KTQZKlA6/wACIkYZJBMqKCkpAAABAEkAAAJDAiwAFQAAQTIWFREjETQmIyIGFREjETMXMz4CAYFaaJYrLUQxl3QVBhIzPwIsXmr+nAE+OztdV/8AAiJJGyUTAAACAC//9gJBAiwAEQAgAABBFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYmIyIGAkElRWI+OmBGKEB4U012RP6IFzEoJzEWFzAoOjUBEkRqSCYmSGpEW35BQX5bNUwoKEw1NkonVgACAEn/EAJIAiwAGAAoAABBMhYVFAYGIyImJicjFhYVFSMRMxczPgIHIgYGBxUUFhYzMjY2NTQmAXtfbjVePig6Jw4GAgSXexUHDyk7CiYuFAETLygiLRYzAiyPi1yAQBUfERIvGdEDEkcXJBZ4IEAxEDRJJiZJNVFPAAIAL/8QAi8CLAAWACQAAEU0NjcjBgYjIiY1NDY2MzIWFzM3MxEjAzI2NjU1NCYjIgYVFBYBmAIDBhRKPFxyNV89PEoXBA6Al2UoMRUvQjQzNAsTLBMiL4+LXn5ALiJG/O4BXR9BMBVPVVhQUVAAAQBJAAABswIsABUAAEEyFhcHJiYjIg4CFREjETMXMz4CAXcPIwoPCx4VFy8oGJdzFgcQMDwCLAMDjQIEDiA0KP7rAiJcHS4bAAABAC7/9gHMAiwAKgAAZRQGBiMiJic1FhYzMjY1NCYmJy4CNTQ2MzIWFwcmJiMiBhUUFhYXHgIBzDFkTTpYKSxmJS4pFTUxMUIhd2I1Wy8sJlAfIiYVNTAxQyGhNE0qDxF9FRgaFg8YGhMUKzwtS08WFGcRFhUTDhYYExMrPQABABf/9gGSApYAGAAAZTI2NxUGBiMiJiY1ESM1NzczFTMVIxEUFgE0GS4XGEcqMU0tR1IrX5mZJG0KB28KDyBPRgEHPzJzdHD++R8fAAABAEb/9gJAAiIAFwAAQREjJyMOAiMiJiY1ETMRFBYzMjY2NRECQHQTCRE1PyM6VzGYKS0uMxQCIv3eRhwkECpYRgFk/sI6OylQOgEAAAABAAAAAAI7AiIADwAAcwMzEx4CFzM+AjcTMwPQ0J5mBAkIAQQBCAoEaJ7QAiL+vgsgIg0NISALAUP93gABAAoAAANOAiIAKgAAZS4DJyMOAwcHIwMzFx4CFzM+AzcTMxMeAhUzPgI3NzMDIwHlBA8SEAMEAw8SEAQsoJuUPwcLCgIEAQYJBwJDpEAECwkEAgoNB0GSnaK/EUNNQQ8PQU1EEr0CIvIZRkETDi8yKQcBBv76Dj5AExFBSBny/d4AAQAFAAACPQIiAAsAAFMDMxc3MwMTIycHI76wqWprqbK6qXNzqQEXAQuurv71/um7uwABAAD/EAI7AiIAHQAAUTMTHgIXMzY2NxMzAw4CIyImJzUWFjMyNjY3N59nBQkHAgQDDwdlnOAWPVhBGSYNCx8RHyocCgwCIv7IDx8gDxUyFgE4/aw9VSwFA3cCBBkpGh8AAAEAHgAAAc4CIgAJAABhITUTIzUhFQMzAc7+UPzuAZn1/lkBVnNh/rMAAAEAD/9iAWICygAlAABFIiYmNTU0JiYjNTI2NjU1NDY2MxUiBgYVFRQGBxUWFhUVFBYWFwFiVV0kHTcpKTcdJF1VGiYVOjg4OhUmGp4cPDCaICYRdREnH5swPBxuDB0cki42CAYINi6SHB0LAQAAAQDe/x0BSQL1AAMAAFMzESPea2sC9fwoAAABACj/YgF7AsoAJQAAVz4CNTU0Njc1JiY1NTQmJiM1MhYWFRUUFhYzFSIGBhUVFAYGIygaJhU7Nzc7FSYaVlwkHTgoKDgdJFxWMAELHRySLjYIBgg2LpIcHQxuHDwwmx8nEXURJiCaMDwcAAABACsBDQIQAbQAGQAAQSYmIyIGBzU2NjMyFhcWFjMyNjcVBgYjIiYBDCUzFxw9GRk/JR07LyU0Fh08GRk+Jh07AS0QCyIZcRobCxQQCyIZcRobDAACADn/TADkAiIAAwAPAABTMxMjExQGIyImNTQ2MzIWUncZqasyJCIzMyIkMgEo/iQCgy4lJS4sJycAAQBG//YB/ALUACMAAEEWFhcHJiYjIgYGFRQWFjMyNjcVBgYHFSM1LgI1NDY2NzUzAWovRxwsIz0eJzMaGzQlL0MnHz8jV0BcMTNdPVcChwIUDnMOEiVJNzZHIxQRfA8RAlxgCUB1Vl51PQlRAAABACgAAAIoAtQAIwAAQTIWFwcmJiMiBhUVMxUjFRQGBgchFSE1PgI1NSM1MzU0NjYBVjZhJy0iRB8gL7e3FiISAV/+ABwnFVdXOmEC1BcRcA4RJS9ea0YjMB0Jf3kMHS8mR2tfSlkpAAIANAB8AgECRwAjADMAAFM0NjcnNxc2NjMyFhc3FwcWFhUUBgcXBycGBiMiJicHJzcmJjcUFhYzMjY2NTQmJiMiBgZZDgw/SD8UMxgaLxY+Sj8MDg0NPUg+FDEaGjEVPkc+DQ1mGCoZGikaGikaGSoYAWEaMRQ+ST4MDg4NP0ZAFDIaGzAVPUg9Cw4MDDtIPRUwGhkpGRkpGRopGRkpAAABAAMAAAI3AsoAFgAAQRMzAzMVIxUzFSMVIzUjNTM1IzUzAzMBHYGZu194eHiMeXl5XbiaAaQBJv6TV0NXbGxXQ1cBbQAAAgDe/x0BSQL1AAMABwAAUzMRIxUzESPea2trawL1/nK8/nIAAgA0//YBtQL9ADYARQAAUzQ2NyYmNTQ2MzIWFwcmJiMiBhUUFhYXHgIVFAYHFhYVFAYjIiYnNR4CMzI2NTQmJicuAjcUFhYXFzY2NTQmJicGBjsnGh8ibVkyVikoIUUmKCQWLiQvRSciGx4fdGM1UyIaOzwZNygPKysyRiVtGDMmBw4YEzEuERsBhys8EhQ4JT9NFxJdEBkWFxAaGA8SLzwoMTsSEzQkSFYUE2UNFg0hGBEYGRIVKzw3FCIfEAMLIhkUIh8QByMAAAIAfQJtAd8C8QALABcAAFM0NjMyFhUUBiMiJjc0NjMyFhUUBiMiJn0oHRwpKRwdKNgnHhwpKRweJwKuIyAgIyEgICEjICAjISAgAAADADH/9gMPAtQAGgAuAEIAAGUiJjU0NjYzMhYXByYmIyIGFRQWMzI2NxUGBgciLgI1ND4CMzIeAhUUDgInMj4CNTQuAiMiDgIVFB4CAa9mZTBcQx9AHB0ZLxU7QTlCFzkZGDIyUIZjNjdkhk5MhWU5NmOGUD5rUi4tUG0/QG1RLSxQbYB+Z0NnOxAOQw0NVEpMUw0KRQoOijZjhlBMhWU5NmOGUFCGYzZALVFvQj9uVC8tUXBCQm9RLQACABsBbwFTAtIAHAAnAABTMhYVFSMnBgYjIiYmNTQ2Njc3NTQmIyIGByc2NhcGBhUUFjMyNjU1x0FLQxIVNykgMhwlSjUwHxsbLxwfIEYuKhsWFCQiAtJAQts2HR8XMSUnLxcCAgoZFQ4NRRATwgIbExQTKx8QAAACACYALgJAAfcABgANAABTNxcHFwcnNzcXBxcHJya1bIiIbLX4tmyIiGy2ARjfO6qqOt0N3zuqqjrdAAABACsAeQIQAZYABQAAQREjNSE1AhBr/oYBlv7jsmsA//8AHADOASMBSgYGAA4AAAAEADH/9gMPAtQADQAWACoAPgAAZREzMhYVFAYHFyMnIxU3MjY1NCYjIxUTIi4CNTQ+AjMyHgIVFA4CJzI+AjU0LgIjIg4CFRQeAgEShVJMMB50W18+MicnIywxPVCGYzY3ZIZOTIVlOTZjhlA+a1IuLVBtP0BtUS0sUG2KAbpFQS83DMKoqOsoHyMgiv6BNmOGUEyFZTk2Y4ZQUIZjNkAtUW9CP25ULy1RcEJCb1EtAAH//QL4AfcDWwADAABBITUhAff+BgH6AvhjAAACACgBggGAAtQADwAbAABTIiYmNTQ2NjMyFhYVFAYGJzI2NTQmIyIGFRQW1DJOLCxNMzNNLCxNMiQnKCMlKCgBgitMMTJMLCxMMjFMK14pISMqKiMhKQAAAgArAAACEAJyAAMADwAAczUhFQMzFSMVIzUjNTM1MysB5b29vWu9vWtrawG0a7y8a74AAAEAFwGgAVcDVgAaAABBITU3PgI1NCYjIgYHJzY2MzIWFRQGBgcHMwFX/sRtHiIOFxQTKxo8IE81QU8WMCczrAGgUmsdJyAREhQUF0ocIz87HjM3JC4AAQAaAZgBXgNVACkAAFMyFhUUBgcVFhYVFAYjIiYnNRYWMzI2NTQmIyM1MzI2NTQmIyIGByc2NrlJTicmLC9cVylJHiFIIyQmJC81LiwjHBsbLhsxH04DVTwvJjUOBAozKTtEDxFeFBIZGRYaUBwWFBgSE0UXHgAAAQAoAl4BRQL+AAwAAEEOAwcjNT4CNzMBRQ8uNjMTZBArKw6pAvQOKSsnDQ0TNDYWAAABAEn/EAJDAiIAHAAAQREjJyMOAiMiJicjFhYVFSMRMxEUFjMyNjY1EQJDchYHDSUwHB8pEQICA5eXLC4sMRUCIv3eSRsmEhYVFEAhnAMS/sI6OylQOgEAAAABADT/gQI3AvgAEgAARSMRIxEjEQYGIyImJjU0NjYzIQI3T1dPDx8TPlwzN2RBASd/Ax384wGQBAUubFtgbS7//wA2AQ4A4wG0BgcADwAAARsAAQAT/xAA9AAAABYAAFcUBiMiJic1FhYzMjY1NCYnNzMHHgL0SkIaLQ4OHw8aGygmI1APFSobgTM8BwVPBAUREhQWBksnBBUkAAABACABoAEVA0wADQAAQREjNTQ2NjcGBgcHJzcBFXACAgEGFQotOJcDTP5U1g0nJQoJFAckRXYAAAIAGwFvAWgC0gAMABgAAEEUBiMiJjU0NjMyFhYHFBYzMjY1NCYjIgYBaFtNSF1ZTjBKLOkgIiIfHyIiIAIgVF1dVFZcKk85MDAwMDExMQAAAgAmAC4CQAH3AAYADQAAQQcnNyc3FwcHJzcnNxcCQLVtiIhttfm1bIiIbLUBC906qqo73w3dOqqqO98ABAAWAAADNQLKAAMAEQAcACUAAHMBMwEDNDY2NwYGBwcnNzMRIwE1IzUTMxEzFSMVJzM1NDY3BgYHnAGMdf50fwECAQYXCCY1k110AfK7vHM9PdVhAgEFGAkCyv02AfgNKicHCBcHHj5z/lT+4kpLARr+7VJKnFAULhgNMg4AAwAWAAADRgLKAAMAEgAtAABzATMBAzQ+AjcGBgcHJzczESMBNTc+AjU0JiMiBgcnNjYzMhYVFAYGBwczFZwBjHX+dH8BAQEBBhcIJjWTXXQBeG0eIg4XFBMrGjwgTzVBTxYwJzOsAsr9NgH4Ch0fGQYIFwcePnP+VP7iUmsdJyAREhQUF0ocIz87HjM3JC5iAAAEACwAAANEAtMAAwAtADgAQQAAcwEzAQMiJic1FhYzMjY1NCYjIzUzMjY1NCYjIgYHJzY2MzIWFRQGBxUWFhUUBgE1IzUTMxEzFSMVJzM1NDY3BgYHvwGMdf50gyVAICBBIyQiIi83LTMdGBkXKRwxHkoyPVAnLDIvVgGHu7xzPT3VYQIBBRgJAsr9NgEWERFdExkbGRQgTiEUExgSFEUXHj00IjEOBgo5IztE/upKSwEa/u1SSpxQFC4YDTIOAAACABT/TAHYAiwAHwArAABBFAYGBw4CFRQWMzI2NxcGBiMiJjU0NjY3PgI1NTM3FAYjIiY1NDYzMhYBTg8mIiMlDC8pKlIrNjFyRWlzGjQnICENdxYyJSMzMyMlMgETIDQuGBokIBQfIxsVbBsiYFAqPzcbFyAgFBWiLiUlLi0mJgD//wAAAAACtAOmBiYAIgAAAAcAQQCYAKj//wAAAAACtAOmBiYAIgAAAAcAdADgAKj//wAAAAACtAOmBiYAIgAAAAcBSABpAKj//wAAAAACtAOdBiYAIgAAAAcBTwBtAKj//wAAAAACtAOYBiYAIgAAAAcAaAAsAKj//wAAAAACtANxBiYAIgAAAAcBTQC2ACsAAgAAAAADfQLKAA8AEwAAYSE1IwcjASEVIRUhFSEVISUzESMDff5W8EmaAUACPf7tAQH+/wET/Z25PqqqAsp8nXy4rAEg//8AN/8QAmMC1AYmACQAAAAHAHgA8gAA//8AWgAAAfUDpgYmACYAAAAHAEEATQCo//8AWgAAAfUDpgYmACYAAAAHAHQAmwCo//8AWgAAAfUDpgYmACYAAAAHAUgAOACo//8AWgAAAfUDmQYmACYAAAAHAGj//QCo//8ACwAAAWUDpgYmACoAAAAHAEH/4wCo//8AIAAAAXYDpgYmACoAAAAHAHQAMQCo////9gAAAYgDpgYmACoAAAAHAUj/zgCo//8AEAAAAXIDmQYmACoAAAAHAGj/kwCoAAIAFQAAAqYCygAOABwAAEEyFhYVFAYGIyMRIzUzERcjFTMVIxUzMjY1NCYmAUFwn1ZcqHPXQ0PlTYWFPm5qLlkCyk+acHukUgEifgEqfa1+pHZ3TWQxAP//AFoAAALTA50GJgAvAAAABwFPAKYAqP//ADf/9gLfA6YGJgAwAAAABwBBAMoAqP//ADf/9gLfA6YGJgAwAAAABwB0ARMAqP//ADf/9gLfA6YGJgAwAAAABwFIAJsAqP//ADf/9gLfA50GJgAwAAAABwFPAJ8AqP//ADf/9gLfA5gGJgAwAAAABwBoAF4AqAABAD8AgwH8Aj8ACwAAQRcHFwcnByc3JzcXAbFLlZNJlZNJkZJKkwI/SZWUSpOSSpOTS5IAAwA3/9QC3wLwABoAJAAvAABBFA4CIyImJwcnNyYmNTQ2NjMyFhc3FwcWFgc0JwMWFjMyNjYlFBYXEyYmIyIGBgLfKVOAWDBSISxRLTEwSZd1MVQjKFEsMC6hGfISLBpATyT+mgwP9BIuGz9QJQFmU4diNBAPQTRCMZFbb6RbERE9MkEwjllYNv6WCQo5bEotSx0BbwoMOmsA//8AVf/2Ap8DpgYmADYAAAAHAEEAmgCo//8AVf/2Ap8DpgYmADYAAAAHAHQA6ACo//8AVf/2Ap8DpgYmADYAAAAHAUgAhQCo//8AVf/2Ap8DmQYmADYAAAAHAGgASgCo//8AAAAAAnIDpgYmADoAAAAHAHQAwACoAAIAWgAAAkcCygAOABgAAEEUDgIjIxUjETMVMzIWBTI2NjU0JiMjFQJHHD1nS0uXl1eEe/7bLz4fPkI9AXguU0ImjwLKcHvWFzEnNTLWAAEASf/2ApwC/QA8AABBFA4DFRQWFhceAhUUBgYjIiYnNR4CMzI2NTQmJicuAjU0PgM1NCYjIgYGFREjETQ2NjMyFhYCWxsoKRsTKiMiLxcwXkE7Th4RLzQWJyoNKCcpLxUbKSkbOTEkNR2XR3lNTXVDAlMiNCceGgwMFBoXFi04JzhLJg8QdQoSDCAbEBoeFhgoKxofKyEeIxkgIhYtJf3hAitIXC4mSwD//wAo//YCEAL+BiYAQgAAAAYAQWoA//8AKP/2AhAC/gYmAEIAAAAHAHQAswAA//8AKP/2AhAC/gYmAEIAAAAGAUg7AP//ACj/9gIQAvUGJgBCAAAABgFPPwD//wAo//YCEALxBiYAQgAAAAYAaP4A//8AKP/2AhADRgYmAEIAAAAHAU0AiQAAAAMAKv/2A2oCLQAxAD0ARQAAQTIWFhUVIRYWMzI2NxUGBiMiJiYnDgIjIiYmNTQ2Njc3NTQmIyIGByc2NjMyFhc2NgEGBhUUFjMyNjY1NSUiBgczNCYmAoFFaTv+nwJHPzJaLilYQSxQQBgdO0w5L08wNWlOXSsmJ0klMCtqOTdUHCBV/vVENSUfHzAdAQsxPAXSFyoCLDpuUEg/SBUWcxQTFi0iIy0VJU07OksmAwMpIiAVEWMXGiAgIB/+zwIwJyIdGTEjLcU4OyE0HgD//wAv/xAB6AIsBiYARAAAAAcAeACoAAD//wAv//YCJwL+BiYARgAAAAYAQWoA//8AL//2AicC/gYmAEYAAAAHAHQAswAA//8AL//2AicC/gYmAEYAAAAGAUg7AP//AC//9gInAvEGJgBGAAAABgBo/gD////8AAABGQL+BiYETgAAAAYAQdQA//8ARQAAAWEC/gYmBE4AAAAGAHQdAP///80AAAFfAv4GJgROAAAABgFIpQD////lAAABRwLxBiYETgAAAAcAaP9oAAAAAgAw//YCQQL/ACQANAAAUxYWFzcXBx4CFRQGBiMiJiY1NDY2MzIWFhc3JiYnByc3JiYnEyIGBhUUFhYzMjY1NC4C4yRBG2sxUS5CI0F3Uk12RDxqRCI0JAsEDi4faTFWESoUhCgxFhYyJzs0DhspAv8QIRRDSzMsaoJPXIJEOnBPUG45ChUQAiZEHkFNNAwZC/7GHjwuKT4jUU4XKSAT//8ASQAAAkMC9QYmAE8AAAAGAU9YAP//AC//9gJBAv4GJgBQAAAABwBBAHcAAP//AC//9gJBAv4GJgBQAAAABwB0AMAAAP//AC//9gJBAv4GJgBQAAAABgFISAD//wAv//YCQQL1BiYAUAAAAAYBT0wA//8AL//2AkEC8QYmAFAAAAAGAGgLAAADACsAbAIQAlUAAwAPABsAAFM1IRUHIiY1NDYzMhYVFAYDIiY1NDYzMhYVFAYrAeXzHCgoHBspKRscKCgcGykpAStra78jJykhISknIwFVIycpISEpJyMAAwAt/9sCPgI7ABgAIgAtAABBFAYGIyImJwcnNyYmNTQ2MzIWFzcXBxYWBRQWFzcmJiMiBhc0JicHFhYzMjY2Aj5Bd1IfORohSyEjJ458IT0bG0ocIST+hwUEmwobDzs14QMDlwoWDSgxFwESW39CDAoxMzElaUWIkg0MKDUpJGZBGCgR6AUGUVEUIg/iBAMlSf//AEb/9gJAAv4GJgBWAAAABwBBAIMAAP//AEb/9gJAAv4GJgBWAAAABwB0AMwAAP//AEb/9gJAAv4GJgBWAAAABgFIVAD//wBG//YCQALxBiYAVgAAAAYAaBcA//8AAP8QAjsC/gYmAFoAAAAHAHQApAAAAAIASf8QAkgC+AAcACoAAEEUBgYjIiYmJyMeAhUVIxEzFRQGBzM+AjMyFgc0JiMiBgcVFBYzMjY2Akg1Xj4lOSoPBgEDApeXBAIHDio7J1tymS82OS8CLz0jLBQBElyAQBMgEgkdHQvdA+i+HjMOFyQWj4lPUUhJEE9UJkoA//8AAP8QAjsC8QYmAFoAAAAGAGjwAP//AAAAAAK0A2cGJgAiAAAABwFKAIsAqP//ACj/9gIQAsAGJgBCAAAABgFKXgD//wAAAAACtAOrBiYAIgAAAAcBSwB8AKj//wAo//YCEAMDBiYAQgAAAAYBS04A//8AAP8YArQCzQYmACIAAAAHAU4BuwAA//8AKP8YAhwCLAYmAEIAAAAHAU4BLQAA//8AN//2AmMDpgYmACQAAAAHAHQA+gCo//8AL//2Ae0C/gYmAEQAAAAHAHQAqAAA//8AN//2AmMDpgYmACQAAAAHAUgAggCo//8AL//2AesC/gYmAEQAAAAGAUgxAP//ADf/9gJjA6AGJgAkAAAABwFMAPkAqP//AC//9gHoAvkGJgBEAAAABwFMAKgAAP//ADf/9gJjA6YGJgAkAAAABwFJAIIAqP//AC//9gIBAv4GJgBEAAAABgFJMQD//wBVAAACpgOmBiYAJQAAAAcBSQB8AKgAAwAv//YDBQL4AAwAJAAxAABBDgIHIzU+AzczASImNTQ2MzIWFhczJiY1NTMRIycjDgI3MjY3NTQmIyIGFRQWAwUKGR0RVwQJCQYCiv33W3J0Xic5Kg8FAwWYdB4GDio7DT0yATBBMTc3Au4WMTQbDQ8lKCcQ/P6Pi42PFSQXEkEbrv0IRxckFnlHSRBPVFRQUE8A//8AFQAAAqYCygYGAJAAAAACAC//9gJ7AvgAHwAsAABXIiY1NDYzMhYWFzMmJjU1IzUzNTMVMxUjESMnIw4CNzI2NTU0JiMiBhUUFvhZcHZeJzorDwUDCZiYmExMfB8GDio4GjovNDguMzAKiIKJhBUkFgxBIhthT09h/bhHFyQWeUFCDkhLSUs/UQD//wBaAAAB9QNoBiYAJgAAAAcBSgBeAKj//wAv//YCJwLABiYARgAAAAYBSl4A//8AWgAAAfUDqwYmACYAAAAHAUsATQCo//8AL//2AicDAwYmAEYAAAAGAUtOAP//AFoAAAH1A6EGJgAmAAAABwFMALQAqP//AC//9gInAvkGJgBGAAAABwFMALIAAP//AFr/GAH2AsoGJgAmAAAABwFOAQcAAAADAC//EAInAiwAFQAtADUAAEUUFjMyNjcVBgYjIiY1NDY2NzcOAgMyFhYVFSEWFjMyNjcVBgYjIiYmNTQ2NhciBgczNCYmAZ0WERAeChAkGDhCHjIeYSgtE2tMbjv+oQNHQzNULChaQVF9SEF1US05BM4XLG8UFAYDVwQHPzEdNi0RDCMyJgKKOW9QST5HFBRxFBM9fF5gf0BrOTggNB3//wBaAAACBwOmBiYAJgAAAAcBSQA3AKj//wAv//YCJwL+BiYARgAAAAYBSTsA//8AOv/2AoQDpgYmACgAAAAHAUgAmwCo//8AL/8QAi8C/gYmAEgAAAAGAUhDAP//ADr/9gKEA6sGJgAoAAAABwFLALAAqP//AC//EAIvAwMGJgBIAAAABgFLVgD//wA6//YChAOhBiYAKAAAAAcBTAEXAKj//wAv/xACLwL5BiYASAAAAAcBTAC6AAD//wA6/yMChALUBiYAKAAAAAcBggGGAAAAAwAv/xACLwL+AAsALgA/AABBDgIHIzU+AjczBzIWFzM3MxEUBgYjIiYnNRYWMzI2NTU0NjcjBgYjIiY1NDYXIgYGFRQWMzI+AjU1NCYmAZIGDAoCigoZHRFXkzhNGQUNgDx5XT9kLC5ePj5CAwIFF0s4X3ByjyIuFzU1HioaDRYyAvETNTUWChYxNRrSKyRF/dpOaTUPEoAUFjozDwwoDyQskoiIlHcmSzZSUBIjNiUWN0gkAP//AFoAAAKjA6YGJgApAAAABwFIAIoAqP///84AAAJDA9QGJgBJAAAABwFI/6YA1gACAAAAAAL+AsoAEwAXAABzESM1MzUzFSE1MxUzFSMRIxEhEREhNSFaWlqZAReaWlqa/ukBF/7pAgphX19fX2H99gEz/s0Bs1cAAAEAAgAAAkYC+AAiAABTFTMVIxUUBgczPgIzMhYWFREjETQmIyIGBhUVIxEjNTM145qaBQIJEi87IjtYMJUrLS0zFpVMTAL4T2EJKEoPHCMRKlhG/roBITs7KlA64wJIYU/////eAAABcwOdBiYAKgAAAAcBT/+2AKj////RAAABZgL1BiYETgAAAAYBT6kA//8AHAAAAWgDaAYmACoAAAAHAUr/9ACo////8AAAATwCwAYmBE4AAAAGAUrIAP//AAsAAAGLA6sGJgAqAAAABwFL/+MAqP///+AAAAFgAwMGJgROAAAABgFLuAD//wAg/xgBZQLKBiYAKgAAAAYBTnEA//8AKf8YAPAC+QYmAEoAAAAGAU4BAP//ACAAAAFlA6EGJgAqAAAABwFMAEoAqP//ACD/LgKCAsoEJgAqAAAABwArAZEAAP//AET/EAIZAvkEJgBKAAAABwBLATEAAP///7b/LgFrA6YGJgArAAAABwFI/7EAqP///8v/EAFeAv4GJgRPAAAABgFIpAD//wBa/yMCmALKBiYALAAAAAcBggFaAAD//wBO/yMCbAL4BiYATAAAAAcBggE2AAAAAQBOAAACbAIiABIAAEEHEyMnBxUjETMVBhQHMzY2NzcCX9fkqplGlZUBAgIRIhKZAiL6/tjQLKQCIo8ePB0VKRWzAP//AE0AAAIPA6YGJgAtAAAABwB0ACUAqP//AEQAAAFhA9QGJgBNAAAABwB0ABwA1v//AFX/IwIPAsoGJgAtAAAABwGCAS8AAP//AED/IwDqAvgGJgBNAAAABwGCAJMAAAACAFUAAAIqAsoADAASAABBDgIHIzU+AzczAREzESEVAioKGR0RVwQJCAcCiv4rmQEhAsAWMTQbDQ8lKCcQ/TYCyv20fgAAAgBJAAABtgL4AAwAEAAAQQ4CByM1PgM3MwMjETMBtgoZHRFXBAkIBwKK1peXAu4WMTQbDQ8lKCcQ/QgC+P//AFUAAAIPAsoGJgAtAAAABwFMASz+zv//AEkAAAGfAvgEJgBNAAAABwFMANP+zAABAAEAAAITAsoADQAAczUHJzcRMxU3FwcVIRVaIjdZl0Y5fwEi8BRgNgFY/CtgTc99AAH/9AAAAT4C+AALAABzNQcnNxEzETcXBxFOIzdalSI5W+kVYDcBjf7OFWA3/rwA//8AWgAAAtMDpgYmAC8AAAAHAHQBGgCo//8ASQAAAkMC/gYmAE8AAAAHAHQAzAAA//8AWv8jAtMCygYmAC8AAAAHAYIBkAAA//8ASf8jAkMCLAYmAE8AAAAHAYIBQgAA//8AWgAAAtMDpgYmAC8AAAAHAUkAogCo//8ASQAAAkMC/gYmAE8AAAAGAUlUAP////0AAALAAsoEJgBPfQAABgFl8QAAAQBa/y4C0wLKACEAAEUiJic1FhYzMjY2NwEjHgIVESMRMwEzLgI1NTMRFAYGAfAfMBESKBclMBgB/o0EAgQDh78BNgMBBAKIOWbSBwR2BAYTKSECGhxLShv+sALK/kgcSUgY8/02SF0tAAEASf8QAkMCLAAkAABFIiYnNRYWMzI2NRE0JiMiBgYVESMRMxczPgIzMhYWFREUBgYBkRczERAaEBkjKywtMxWXdBQJEjU/ITtXMCNP8AcFdwQGIjIBbDY1Kk87/wACIkYcJBApWUb+YTJSMQD//wA3//YC3wNnBiYAMAAAAAcBSgC+AKj//wAv//YCQQLABiYAUAAAAAYBSmsA//8AN//2At8DqwYmADAAAAAHAUsArgCo//8AL//2AkEDAwYmAFAAAAAGAUtbAP//ADf/9gLfA6YGJgAwAAAABwFQAIIAqP//AC//9gJBAv4GJgBQAAAABgFQLwAAAgA6//YDkgLVABgAKAAAQTIWFyEVIRUhFSEVIRUhBgYjIiYmNTQ2NhciDgIVFBYWMzI2NxEmJgF7Gj8WAaj+7QEB/v8BE/5WFj4abY5FRY5uKz4oFCNJOB0+ExI+AtUGBXydfLh9BAZcpm9vpFt+IT9ZOEtsOgoJAbsKCgAAAwAt//YDpwIsACQAMwA7AABBMhYWFRUhFhYzMjY3FQYGIyImJwYGIyImJjU0NjYzMhYXPgIFIgYVFBYWMzI2NjU0JiYlIgYHMzQmJgKrTnE9/pQDSkA3Wi8qW0E+aSYiYjtOd0Q+d1M3YiIYOUT+sDs1FzIoKDEXFzIBUS48BdwZLwIsOm5QSEBHFRZzFBMlJyYmQn9bW31CJiYaIRF4UVE2SSUlSTY2SCQOODshNB4A//8AVQAAApEDpgYmADMAAAAHAHQAzwCo//8ASQAAAcIC/gYmAFMAAAAHAHQAfgAA//8AVf8jApECygYmADMAAAAHAYIBVQAA//8AQf8jAbMCLAYmAFMAAAAHAYIAkwAA//8AVQAAApEDpgYmADMAAAAHAUkAVwCo//8ALgAAAdYC/gYmAFMAAAAGAUkGAP//AC7/9gH/A6YGJgA0AAAABwB0AIoAqP//AC7/9gHMAv4GJgBUAAAABwB0AH4AAP//AC7/9gH/A6YGJgA0AAAABwFIACcAqP//AC7/9gHMAv4GJgBUAAAABgFIBgD//wAu/xAB/wLUBiYANAAAAAcAeACJAAD//wAu/xABzAIsBiYAVAAAAAYAeHMA//8ALv/2Af8DpgYmADQAAAAHAUkAJgCo//8ALv/2AdYC/gYmAFQAAAAGAUkGAP//ABP/IwIuAsoGJgA1AAAABwGCAR8AAP//ABf/IwGSApYGJgBVAAAABwGCAPEAAP//ABMAAAIuA6YGJgA1AAAABwFJADAAqAACABf/9gI6AvgADAAlAABBDgIHIzU+AzczATI2NxUGBiMiJiY1ESM1NzczFTMVIxEUFgI6ChkdEVcECQgHAor++hkuFxhHKjFNLUdSK1+ZmSQC7hYxNBsNDyUoJxD9dQoHbwoPIE9GAQc/MnN0cP75Hx8AAAEAEwAAAi4CygAPAABzESM1MzUjNSEVIxUzFSMR1Hh4wQIbwXh4ASJ9q4CAq33+3gAAAgAX//YBkgKWAAMAHAAAdzUhFQcyNjcVBgYjIiYmNREjNTc3MxUzFSMRFBYfAVdCGS4XGEcqMU0tR1IrX5mZJPJiYoUKB28KDyBPRgEHPzJzdHD++R8f//8AVf/2Ap8DnQYmADYAAAAHAU8AbQCo//8ARv/2AkAC9QYmAFYAAAAGAU9YAP//AFX/9gKfA2gGJgA2AAAABwFKAKsAqP//AEb/9gJAAsAGJgBWAAAABgFKdwD//wBV//YCnwOrBiYANgAAAAcBSwCaAKj//wBG//YCQAMDBiYAVgAAAAYBS2cA//8AVf/2Ap8D7gYmADYAAAAHAU0AywCo//8ARv/2AkADRgYmAFYAAAAHAU0AogAA//8AVf/2Ap8DpgYmADYAAAAHAVAAbwCo//8ARv/2AkAC/gYmAFYAAAAGAVA7AAACAFX/EAKfAsoAFQApAABFFBYzMjY3FQYGIyImNTQ2Njc3DgITFAYGIyImNREzERQWMzI2NjURMwHlGBEQHAoQJBg4Qh4yHl4jLRW6QYNkjpSXSEcyPh2XZBkaBgNXBAdANyI+MxEOIDgvAUpKd0WRdwHM/ktYSCJINwG0AP//AEb/GAJAAiIGJgBWAAAABwFOAVEAAP//AAAAAAPHA6YGJgA4AAAABwFIAO8AqP//AAoAAANOAv4GJgBYAAAABwFIAL4AAP//AAAAAAJyA6YGJgA6AAAABwFIAEgAqP//AAD/EAI7Av4GJgBaAAAABgFILQD//wAAAAACcgOYBiYAOgAAAAcAaAALAKj//wAYAAACKwOmBiYAOwAAAAcAdACVAKj//wAeAAABzgL+BiYAWwAAAAcAdAB+AAD//wAYAAACKwOhBiYAOwAAAAcBTACuAKj//wAeAAABzgL5BiYAWwAAAAcBTAB9AAD//wAYAAACKwOmBiYAOwAAAAcBSQAxAKj//wAeAAAB1gL+BiYAWwAAAAYBSQYAAAEATgAAAZYC/QAQAABBIgYVESMRNDY2MzIWFwcmJgEhIhyVL1c6MEIWIxEnAocmHf28AkpGTSAOCW0FCQAAAQAG/w8CMgL9ACsAAFciJjU0NjcXBgYVFBYzMjY1ESM1NzU0NjYzMhYXByYmIyIGFRUzFSMRFAYGu1xZDAd3BQUaFBcdUlIvVzssRxYmESgaHx2BgTBX8V5KHSsQJw0aDRodJCMB7kgoKEZNIA4JbQUJJh0icP4eQVYqAAQAAAAAArQDvgASABwAKAA1AABTJiY1NDYzMhYVFAYHEyMnIwcjATMnLgInBgYHNzI2NTQmIyIGFRQWJz4CNzMVDgMHI/ULC0M2NEkMCvWlN/41pQEAtjQFEA4FCBYJJRQbGxQTHBkuDh8eCqkIJC8uEWQCkAodEjc+PTcSHwr9cZ2dAR2PETA1FiFPHO4aFRYZGRYVGskNHyEOCQkZGxgIAAUAKP/2AhADwgAdACgANABBAE0AAEEyFhURIycjDgIjIiYmNTQ2Nzc1NCYjIgYHJzY2EwYGFRQWMzI2NTUDIgYVFBYzMjY1NCYnMhYWFRQGIyImNTQ2Nw4CByM1PgI3MwE9Z2xpHQQXMUAuMEwsen1bLCglTiYsK29GRzgnIS9BSBQbGBcUGxwTIzghRzU3QkLmCjhAF2QOHx4KqAIsYV/+lEodJhElTTtXVAQDETEnGBFnFhr+zgItJiMeODQtAfoZFhUaGhUWGUYcNCQ3Pj42Nz5/CyUkDAgNICMO//8AAAAAA30DpgYmAIYAAAAHAHQBaACo//8AKv/2A2oC/gYmAKYAAAAHAHQBQAAA//8AN//UAt8DpgYmAJgAAAAHAHQBFQCo//8ALf/bAj4C/gYmALgAAAAHAHQApQAA//8ALv8jAf8C1AYmADQAAAAHAYIBDAAA//8ALv8jAcwCLAYmAFQAAAAHAYIA9AAAAAEAKAJeAboC/gASAABBHgIXFSMmJicGBgcjNT4CNwE9Di0wEmQaMhoaMBpkEy8tDgL+FzczEg0PKRgYJxENEzM2FwAAAQAoAl4B0AL+ABIAAFMuAic1MxYWFzY2NzMVDgIHpQ4tLxNjGjwaGj4aYxIwLQ4CXhc2NBINECsbGysQDRI0NhcAAQAoAl4BdALAAAMAAEEVITUBdP60AsBiYgABACgCXgGoAwMAEAAAQQ4CIyImJzMeAjMyNjY3AagDM1Q4VmQEUwMdMBwYLyIDAwMwSypaSxwaBwkaGgABACgCZgDMAvkACwAAUzIWFRQGIyImNTQ2eiExMSEiMDAC+R8rKSAgKSsfAAIAKAJdAR4DRgALABcAAFMiJjU0NjMyFhUUBicyNjU0JiMiBhUUFqE2Q0M2NElINRQbGxQUGxgCXT42Nz4+Njc+RRoVFhkZFhUaAAABACj/GADvABUAFAAAVxQWMzI2NxUGBiMiJjU0NjY3FwYGkBYSDx4KECQYOEMYLyJBIiBoFBIGA1gEBzkwGjExGBUgLgAAAQAoAl0BvQL1ABkAAFM+AzMyHgIzMjY3MwYGIyIuAiMiBgcoAxckLRoUJyUkEg8cBkkGTDMUJiYkEg8cBgJdJzklEg8VDxoaTUoPFQ8aGgACACgCXgHcAv4ADAAZAABBDgMHIzU+AjczBw4DByM1PgI3MwHcCCYyMRJPDiQiC5PCCCYyMRJPDiMiDJMC9A0oLCcODRM0NhYKDSgsJw4NEzQ2FgADAIgCXgKOAwgABQARAB0AAEE1NzMVByciJjU0NjMyFhUUBiEiJjU0NjMyFhUUBgExJadoyRwoKBwcKSkBYRwpKB0cKSkCXg2dCqAPICEjHx8jISAgISMfHyMhIAAAAQAAAAACnALNAA4AAHETMxMjAy4CJw4CBwPvvPGlggQQDwQFDQ4GgwLN/TMBww88PxQXPDgT/j0AAAEAGAAAAisCygASAABzNTcnNSEVIyImJxcVBzY2MzMVGNzTAgHrFDEcs9EjOyLzd//kcHwCA8Ym8AMDfQAAAQAgAAAC1ALVACcAAHM1My4CNTQ2NjMyFhYVFAYGBzMVITU+AjU0JiYjIgYGFRQWFhcVIJUsQCNTmWhpmFMiQC6W/toxORktUTk4UiwWODN/G1FmOmCVVVWUYDtlUB1/iSFNWTNCXzIyX0MvW08giQAAAgAj//YCNAL9ACcAOAAARSImJjU0NjY3LgI1NDY2MzIWFhcHJiYjIgYGFRQWFhceAhUUBgYnMjY2NTQmJicOAxUUFhYBKUx2RDFOKxkrGTdhPytORBs4I1AmHSMOGzAhSVgnQnhNJDMaGjEhHC0fERw1CjhoSURcOxEOKDglMUcnDyEbZCIhERoNFR4aESVQXTlUbzd4IjwmJTotEAoeJjIfKDofAAEASf8QAjwCLAAXAABFETQmIyIGBhURIxEzFzM+AjMyFhYVEQGmKSwrMRWXdBQIEjM+ITlWMPACNjQ6KlA6/wACIkYcJBApWUb9rAABAE7/9gFxAiIAEAAARSImJjURMxEUFjMyNjcVBgYBD0ZVJpUqHhQgEhI2CjFSMgF3/p8xIgUEdQUHAP//AAAAAAPHA6YGJgA4AAAABwBBAQQAqP//AAoAAANOAv4GJgBYAAAABwBBAO0AAP//AAAAAAPHA6YGJgA4AAAABwB0AVIAqP//AAoAAANOAv4GJgBYAAAABwB0ATYAAP//AAAAAAPHA5kGJgA4AAAABwBoALQAqP//AAoAAANOAvEGJgBYAAAABwBoAIEAAP//AAAAAAJyA6YGJgA6AAAABwBBAHcAqP//AAD/EAI7Av4GJgBaAAAABgBBXAAAAQAmANUBzgFFAAMAAHc1IRUmAajVcHAAAQAmANUDwQFFAAMAAHc1IRUmA5vVcHD//wAmANUDwQFFBgYBYQAAAAL//v8eAZ3/6gADAAcAAEUhNSE1ITUhAZ3+YQGf/mEBn+JEREQAAQAMAdUAzQLKAAoAAFM+AjczDgIHIwwJHCEQawkTEAWJAeAkUFIkJ1hTIwABAAwB1QDNAsoACwAAUw4CByM+AzczzQkcIBFrBw4NCwSJAr8jUVElHkBBPBr//wAa/5EA2wCGBAcBZQAO/bwAAQAMAdUAzQLKAAoAAFMeAhcjLgInN5wFEBMJaxAhHAkHAsoiVFcoJVFRIwsAAAIADAHVAbECygAKABUAAEEOAgcjJz4CNyMOAgcjJz4CNwGxCRMQBYkHCRwhEHkJExAFiQcJHCEQAsonWFMjCyRQUiQnWFMjCyRQUiQAAAIADAHVAbECygAKABYAAEEOAgcjPgI3MwcOAgcjPgM3MwGxCRwgEWsKEhAFid0JHCARawcODQsEiQK/I1FRJShXVCILI1FRJR5AQTwa//8AH/9/AcQAdAQHAWkAE/2qAAEAOgAAAccC+AALAABBJxMjEwc1FyczBzcBx6IbiRuYmBuJG6IBxA/+LQHTD3cPzMwPAAABADgAAAHPAvgAFQAAQTcVJxcjNwc1Fyc3BzUXJzMHNxUnFwEtoqIbiRuiohcXoqIbiRuiohcBEQ93D7i4D3cPb2cPdw+4uA93D2cAAQAwANIBSAIIAA8AAFM0NjYzMhYWFRQGBiMiJiYwJUAnJz8mJj8nJ0AlAW04RB8fRDg3RCAgRP//ADb/8wMdAJoEJgAPAAAAJwAPAR0AAAAHAA8COgAAAAcAHv/3BOIC1AALABcAGwAnADMAPwBLAABTMhYVFAYjIiY1NDYXIgYVFBYzMjY1NCYlASMBEzIWFRQGIyImNTQ2FyIGFRQWMzI2NTQmJTIWFRQGIyImNTQ2FyIGFRQWMzI2NTQmxlBcVlZOWlVUGxgYGxwZGQHg/nR3AYxwT11XVU5aVFUcFxccHBkZAV1QXFZWTlpVVBsYGBscGRkC1HVqand3amp1YUI9PUNCPj1CV/02Asr+7XVqand3amp1YUI9PUNCPj1CYXVqand3amp1YUI9PUNCPj1CAAABAC4ByAE3AsoAAwAAUzMDI6+IqWACyv7+//8ALgHIAhQCygQnAXAA3QAAAAYBcAAAAAEAJgAuAUcB9wAGAABTNxcHFwcnJrVsiIhstQEY3zuqqjrdAAEAJgAuAUcB9wAGAABTFxUHJzcnkrW1bIiIAfffDd06qqoA//8ANv/zAgACygQmAAIAAAAHAAIBHQAAAAH/QAAAAUECygADAABBASMBAUH+dHUBjALK/TYCygAAAQAwAR8BeAJtABQAAFMyFhUVIzU0JiMiBhUVIxEzFzM2Nvo6RGEcHS0fYksNBBE5Am05QNW+JCQ4NJoBSCwYGgAAAQARAAACBwLKABEAAHM1IzUzESEVIRUhFSEVMxUjFVpJSQGt/ugBBv76mpqAVwHzfKR8V1eAAAABACgAAAIoAtQAKQAAQTIWFwcmJiMiBhUVMxUjFTMVIxQGBgchFSE1PgI1IzUzNSM1MzU0NjYBWDlcJy0mQCIjKa+vr7AOHxwBX/4AICcRV1dXVzhiAtQXEXAOESUvN1Y4VxEoJQ5/eQwjKxhXOFY4SlkpAAMATf/2A1YCygAMABUALgAAUzIWFRQOAiMjFSMRFyMVMzI2NTQmBRUzFSMVFBYzMjY3FQYGIyImJjU1IzU3N/+NghtAbFEaj7AhGEJFPQGSgYEaGhcuDRQ8Iy9FJ0ZSKwLKd2gvVkMm/QLKe9c1ODQ2PnRnlB0hCgdmCg8fST+ZNTJ0AAEAIP/2AjQCzwA2AABBMhYXByYmIyIOAgczFSMUBhUUFBczFSMeAjMyNjcVBgYjIiYmJyM1MyYmNTQ0NyM1Mz4CAYgyUycwIjogHjEmGQbFzAEBraUIKUErJkMdHEUuTnpQDkM6AQEBOUENUHwCzxQUcQ8RESIyIVYEDQkHDwhXJzUbDw19Dg85bk5XBRIHCA4EVlByPQAABAAf//YC/ALPAAMADwAbADYAAEEBIwETFAYjIiY1NDYzMhYHFBYzMjY1NCYjIgYlIiY1NDY2MzIWFwcmJiMiBhUUFjMyNjcVBgYCgP50dQGM8VlMRlxZTEVd5B8iIR4eISIf/rVNYS1OMhs3GBsWKRIlIiEjHjMUETICyv02Asr93lVdXVVVXFxVMTExMTEwMJhWV0BOIwwMTAkLNCwrMgsKUAoMAAIAFP/3AeQC0wAjAC0AAGUyNjczDgIjIiYmNTUGBgc1NjY3NTQ2NjMyFhUUBgYHFRQWEzQmIyIGFRU2NgE5HSYDZQMlT0M6VS4TLRkYLRQrVD1QXDJgRxw9FRcaEy8qXTExP1ovLFhBPgUMB2AGDQfJPk0jVEpAYUohcigyAdUgJCUfoBRXAAAEAEIAAAPfAsoAEwAXACUAMQAAcxEzEzMuAjURMxEjAyMeAhURITUhFSciJiY1NDYzMhYWFRQGJzI2NTQmIyIGFRQWQqH3CQIGBIKg+QcDBQQB2AE4nTBKK1pNL0srWkwjHx8jIyAgAsr+BBlFSR4BN/02Af8bS0oc/s1cXIYqTzlVXClPOVVdUDExMTAwMTExAAIAEQFqAr0CygAUABwAAEERMxMTMxEjNTQ2NyMDIwMjFhYVFSERIzUhFSMRAUVeXmFbQAIBBGU1YAQBAv71ZQEKZgFqAWD+8QEP/qDMCC8M/vEBDxAoBtEBKjY2/tYA//8AIAAAAtQC1QYGAVQAAAACADL/7wI4AhcAGQAiAABFIiYmNTQ+AjMyFhYVIRUWFjMyNjcXDgITJiYjIgYHFSEBNVR0Oy5LXC5KdUT+bBZOLUlWIiMXO1RUE0w0MUgXASMRTn5ISGhEIEN8Va4XJTw2FCU+JQHFFCYiF4gAAAEAAAJeAYQDBAANAABTIiYnMxYWMzI2NzMGBr9XYAiDBB0eHR4EgwhkAl5SVCklJihSVAAB/67/IwBX/8MACwAAVw4CByM1PgI3M1cIGB4TWAYNCgGLRxgyMxkNFDU2FAAAAgAMAaABcwNPAAoAEwAAQSMVIzUjNRMzETMnNDY3BgYHBzMBcz1vu7Z0PawCAQUXCT5gAe9PT0wBFP7zVhQmFQ0qDmAAAAEAKAGYAV0DTgAeAABBFSMHNjYzMhYVFAYjIiYnNRYWMzI2NTQmIyIGByc3AUCuBwocEUJZXVkjQxkZQhomLSonDCILNhIDTlVIAgNFQ0dPDA1fEBQdIx8fBQQU2QABAB0BoAFkA0wABgAAUxMjNSEVA0up1wFHnQGgAVVXSv6eAAADABYBlgFmA1YAGgAoADQAAFMyFhUUBgcWFhUUBiMiJiY1NDY2NyYmNTQ2NhMOAhUUFjMyNjU0Jic1IgYVFBYXNjY1NCa/P1gpHSUxWE87SiQWIxQdISlGIRIZDB8gICAgHxgbHBgWGxcDVjc3JS8RDzMrNkohOiQfJhsKEzIkJDEZ/v8HExYNFxwaFhYcCrYVEhIaDAoZFQ8YAP///8v/EAF1Av4GJgRPAAAABgFJpQD//wAMAdUAzQLKBgYBZQAA//8AWgAAA1UDpgYmAC4AAAAHAHQBXgCo//8ASQAAA4gC/gYmAE4AAAAHAHQBfAAA//8AAP7jArQCzQYmACIAAAAHAZkAuAAA//8AKP7jAhACLAYmAEIAAAAGAZl9AAACACn+4wEe/8wACwAXAABTIiY1NDYzMhYVFAYnMjY1NCYjIgYVFBaiN0JCNzRIRzQUGhoUFRoX/uM+NjY/PzU3PkUaFRYZGRYVGgAAAgA3//YDVgL4ABwAKwAAQRQOAiMiLgI1NDY2MzIWFz4CNTMXBgYHFhYFFBYWMzI2NjU0JiMiBgYC3yhUgFhXgVMpSph0V4EpEBMJlQcRRD8PDv35Jk8+QU4lVF8/TyYBZlOHYjQ0YodUb6RbMzANJjMgC1JnGSdaNEpsOTlsSnCAOmsAAgAv//YCygJ0ABoAKQAAQRQGBiMiJiY1NDYzMhYXPgI1MxcOAgcWFgUUFhYzMjY2NTQmJiMiBgJBQHhSTXdEj3w3YiIWGQqVBwkhPzgMDP6JFjInJzAXFjEoOjQBElqAQkKAWoiSIiEJJjoiCzBSPREcQyg1SSUlSTU2RyRQAAABAFX/9gN/AvgAHwAAQT4CNTMXDgMHERQGBiMiJjURMxEUFjMyNjY1ETMCnxgfD5MHCBwwUDxBg2SOlJdIRzI+HZcCbgkmOSILKEg5Jwn+6Ep3RZF3Acz+P09FIUMxAcAAAAEARv/2AxgCdAAiAABBDgMHESMnIw4CIyImJjURMxEUFjMyNjURMxU+AjUzAxgIGi5NO3QTChE1PyI6VzGYKS1EMZcXGwuUAmkpSjwpCf54RhwkECpYRgFk/sI6O1xXAQA/CSk9IgAAAwA3//YC3wLVABEAGgAiAABBFA4CIyIuAjU0NjYzMhYWATI2NjchHgITIgYGByEmJgLfKVOAWFeBUylJl3V0l0j+rD5RKgT+hgQsUT07TywGAXYJWAFmU4diNDRih1RvpFtbpf6cLVc7O1ctAesrUjpXYAADAC3/9gI+AiwADgAXAB8AAEEUBgYjIiYmNTQ2MzIWFgUyNjY3Ix4CEyIGBzMuAgI+QXdSTHdEjnxNdkT++CEtGwTcBRsuIDE1CNwEGy4BElt/QkJ/W4iSQn3/GTMlJTMZAUY3NyUwGQAAAgBQ//YC9wLVABwAJQAAQSIGBgc1PgIzMh4CFRQOAiMiJiY1NSEuAgMyNjY3IRQWFgGQPnBWFx5NakdXhlsuLFd+U3qVRAIJBC5XLTNOLwT+liJQAlcbJQ+DEiIWNGKIU1WHXzNfrHMjPFYu/h0mSjU0SicAAAEAHP/2AigCygAdAABBFQcWFhUUBgYjIiYnNRYWMzI2NjU0JiYjIzU3ITUCCNN5ekGHaD5vLzJyLz5HHSdZSzyw/voCymHJBW1ePmM5FBOAFxgbMR8eKxdqqn0AAQAc/xACHgIiAB4AAEEVBx4CFRQGBiMiJic1FhYzMjY2NTQmJiMjNTchNQII2FhoLkCEZj1sLzBvLj1EHSJVTDrG/uACImHKCkVoP0RuPxQTgBcYJDshJTsjarty//8AAP8tArQCzQYmACIAAAAHBnsCrQAA//8AKP8tAhACLAYmAEIAAAAHBnsCfgAA//8AAAAAArQD5gYmACIAAAAHA10CkQCo//8AKP/2AhADPgYmAEIAAAAHA10CYwAAAAQAAAAAArQD0QASABwAJAAvAABBJiYnBgYHIzU+AjczHgIXFSc2NjczFQYGByMTJyMHIxMzEwEuAicOAgcHMwHAGTQaGjQZUBElJQ+bECQlESwUHxB3FjwdSyo3/Del+7z9/s8EERAFBA8OBTO1AwMRKRcXKRENEy8xFhYxLxMNbBYsIAodMxX8nqioAs39MwHDDzw/FBc8OBObAAQAKP/2AnADLAASABwAOgBFAABBJiYnBgYHIzU+AjczHgIXFSc2NjczFQYGByMHMhYVESMnIw4CIyImJjU0Njc3NTQmIyIGByc2NhMGBhUUFjMyNjU1AZEZNBoaNBlQESUkD5wPJCYQKxQfEHcWPRxLeWdsaR0EFzFALjBMLHx7WywoJU4mLCtvRkc4JyEvQQJeESkXFykRDRMvMRYWMS8TDWwWLCAKHTMVkWFf/pRKHSYRJUw6VlYFAxExJxgRZxYa/s4CKiYjITg0LQAABAAAAAACtAPRABIAHAAkAC8AAFM+AjczHgIXFSMmJicGBgcjJyYmJzUzFhYXFQEnIwcjEzMTAS4CJw4CBwczoxElJA+cECQlEFAZNBoZNRlQHx48FncQIBMBQTf8N6X7vP3+zwQREAUEDw4FM7UDEBMvMRYWMS8TDREpFxcpEV8VMx0KIC0VDfyeqKgCzf0zAcMPPD8UFzw4E5sABP/n//YCEAMsABIAHAA6AEUAAFM+AjczHgIXFSMmJicGBgcjJyYmJzUzFhYXFRcyFhURIycjDgIjIiYmNTQ2Nzc1NCYjIgYHJzY2EwYGFRQWMzI2NTV2ESQkD50PJCURURk0Ghk1GU8gHTwWdhAgE51nbGkdBBcxQC4wTCx8e1ssKCVOJiwrb0ZHOCchL0ECaxMvMRYWMS8TDREpFxcpEV8VMx0KIC0VDZFhX/6USh0mESVMOlZWBQMRMScYEWcWGv7OAiomIyE4NC0ABAAAAAACtAQMABIAKAAwADsAAEEeAhcVIyYmJwYGByM1PgI3JTIWFRQGBwcjJzY2NTQmIyIGBzU2NhMnIwcjEzMTAS4CJw4CBwczAagPJCYQUBk0Gho0GVARJSQPAQIuOCEdAz4FIhkSFQoUBQUZEDf8N6X7vP3+zwQREAUEDw4FM7UDmRYxLxMNESkXFykRDRMvMRZzIycdIQYeOQIPDAsOAgI9AgL79KioAs39MwHDDzw/FBc8OBObAAAEACj/9gJGA2cAEgAoAEYAUQAAQR4CFxUjJiYnBgYHIzU+AjclMhYVFAYHByMnNjY1NCYjIgYHNTY2AzIWFREjJyMOAiMiJiY1NDY3NzU0JiMiBgcnNjYTBgYVFBYzMjY1NQF6DyQmEFAZNBoaNBlQESUlDwECLjcgHQM/BSIZEhUKEwYGGJRnbGkdBBcxQC4wTCx8e1ssKCVOJiwrb0ZHOCchL0EC9BYxLxMNESkXFykRDRMvMRZzIycdIQYeOQIPDAsOAgI9AgL+xWFf/pRKHSYRJUw6VlYFAxExJxgRZxYa/s4CKiYjITg0LQAABAAAAAACtAQeABIAKwAzAD4AAEEeAhcVIyYmJwYGByM1PgI3Nw4CIyIuAiMiBgcjNjYzMh4CMzI2NxMnIwcjEzMTAS4CJw4CBwczAbsPJykURR46GRs6HEUSKSgQ9wQZLSMWJyMfDRUUBj0ENTMYJyIfDxQUBSA3/Del+7z9/s8EERAFBA8OBTO1A48WLCoTDQ8kFxckDw0SKi0WjyE0Hg0RDRQXMUINEQ0WFfviqKgCzf0zAcMPPD8UFzs5E5sABAAo//YCEAN5ABIAKwBJAFQAAEEeAhcVIyYmJwYGByM1PgI3Nw4CIyIuAiMiBgcjNjYzMh4CMzI2NwMyFhURIycjDgIjIiYmNTQ2Nzc1NCYjIgYHJzY2EwYGFRQWMzI2NTUBjRAmKhNFHjkaGjodRRIqKA/3AxkuIxYmIx8OFRQGPQU1MhgoIh8OFBUEhGZtaR0EGDE/LjBMLHx7Wy0nJU4mLCtvRkg3JyEvQQLqFiwqEw0PJBcXJA8NEiotFo8gNR4NEQ0UFzFCDRENFhX+s2Ff/pRKHSUSJUw6VVcFAxExJxgRZxYa/s4CKiYjITg0Lf//AAD/LQK0A6YGJgAiAAAAJwZ7Aq0AAAAHAUgAagCo//8AKP8tAhAC/gYmAEIAAAAmAUg9AAAHBnsCewAAAAQAAAAAArQD8QANABgAIAArAABBBgYjIiYnMxYWMzI2NzcOAgcjNTY2NzMTJyMHIxMzEwEuAicOAgcHMwITA1ZXU1wFTAUyMCs5BAwNIiURQQ4fDG05N/w3pfu8/f7PBBEQBQQPDgUztQObRVNVQyQjIyRMDyUjDg0UNhj8D6ioAs39MwHDDzw/FBc8OBObAAQAKP/2AhADTAANABgANgBBAABBBgYjIiYnMxYWMzI2NzcOAgcjNTY2NzMDMhYVESMnIw4CIyImJjU0Njc3NTQmIyIGByc2NhMGBhUUFjMyNjU1AeMDVldTXAVMBTMvKzkEDA0iJRFBDiALbWlnbGkdBBcxQC4wTCx8e1ssKCVOJiwrb0ZHOCchL0EC9kVTVUMkIyMkTA8lIw4NFDYY/uBhX/6USh0mESVMOlZWBQMRMScYEWcWGv7OAiomIyE4NC0ABAAAAAACtAPxAA0AGAAgACsAAEEGBiMiJiczFhYzMjY3JxYWFxUjLgInNQEnIwcjEzMTAS4CJw4CBwczAhIDVVdUWwZNBTIwKzkDcAwfDkEQJSIOASM3/Del+7z9/s8EERAFBA8OBTO1A5tFU1VDJCMiJVYYNhQNDiMlDwr8D6ioAs39MwHDDzw/FBc8OBObAAAEACj/9gIQA0wADQAYADYAQQAAQQYGIyImJzMWFjMyNjcnFhYXFSMuAic1EzIWFREjJyMOAiMiJiY1NDY3NzU0JiMiBgcnNjYTBgYVFBYzMjY1NQHjA1ZXU1wFTAUyMCs5BHEMHw5BECUiDoFnbGkdBBcxQC4wTCx8e1ssKCVOJiwrb0ZHOCchL0EC9kVTVUMkIyIlVhg2FA0OIyUPCv7gYV/+lEodJhElTDpWVgUDETEnGBFnFhr+zgIqJiMhODQtAAQAAAAAArQEFAANACMAKwA2AABBBgYjIiYnMxYWMzI2NycyFhUUBgcHIyc2NjU0JiMiBgc1NjYTJyMHIxMzEwEuAicOAgcHMwIMA1ZXU1wFTAUyMCs5BHoqMh4aAzQEGRcPEwoYBAca1Df8N6X7vP3+zwQREAUEDw4FM7UDm0VTVUMkIyIleSEkGx4GFS4CDwsKDgMCNwID++yoqALN/TMBww88PxQXPDgTmwAEACj/9gIQA28ADQAjAEEATAAAQQYGIyImJzMWFjMyNjcnMhYVFAYHByMnNjY1NCYjIgYHNTY2EzIWFREjJyMOAiMiJiY1NDY3NzU0JiMiBgcnNjYTBgYVFBYzMjY1NQHdA1VYU1sGTAUyMCs5BHkpMh4ZAzQFGRcPEwkYBQcaMWdsaR0EFzFALjBMLHx7WywoJU4mLCtvRkc4JyEvQQL2RVNVQyQjIiV5ISQbHgYVLgIPCwoOAwI3AgP+vWFf/pRKHSYRJUw6VlYFAxExJxgRZxYa/s4CKiYjITg0LQAEAAAAAAK0BB4ADQAmAC4AOQAAQQYGIyImJzMWFjMyNjc3DgIjIi4CIyIGByM2NjMyHgIzMjY3EycjByMTMxMBLgInDgIHBzMCKQRVVlNbBUsFOSkrOARQAxkuIxYnIh8OFRQGPQU1MhgoIh4PFBUEHDf8N6X7vP3+zwQREAUEDw4FM7UDlEJPUUAiHRskiiE0Hg0RDRQXMUINEQ0WFfviqKgCzf0zAcMPPD8UFzs5E5sABAAo//YCEAN5AA0AJgBEAE8AAEEGBiMiJiczFhYzMjY3Nw4CIyIuAiMiBgcjNjYzMh4CMzI2NwMyFhURIycjDgIjIiYmNTQ2Nzc1NCYjIgYHJzY2EwYGFRQWMzI2NTUB+gRVVlNbBUsEOikrOARQBBguIxYnIh8OFRQGPQQ2MhgoIh4PFBQFh2ZtaR0EGDE/LjBMLHx7Wy0nJU4mLCtvRkg3JyEvQQLvQk9RQCIdGySKIDUeDRENFBcxQg0RDRYV/rNhX/6USh0lEiVMOlVXBQMRMScYEWcWGv7OAiomIyE4NC3//wAA/y0CtAOrBiYAIgAAACcBSwCAAKgABwZ7Aq0AAP//ACj/LQIQAwMGJgBCAAAAJgFLUgAABwZ7AncAAP//AFr/LQH1AsoGJgAmAAAABwZ7AmcAAP//AC//LQInAiwGJgBGAAAABwZ7ApIAAP//AFoAAAH1A+YGJgAmAAAABwNdAlIAqAADAC//9gInAz4AFQAtADUAAEEUBgcHIyc2NjU0JiMiBgc1NjYzMhYHMhYWFRUhFhYzMjY3FQYGIyImJjU0NjYXIgYHMzQmJgG2KycFUwsiHxsUERsQDjAZRESETG47/qECSEMzVCwoWUJRfUhBdVEtOAXOFi0C1iUyCSNHBRYUEhAEBlIEBzbcOW9QST5HFBRxFBM8fV5gf0BrOTghMh7//wBaAAAB9wOdBiYAJgAAAAcBTwA6AKj//wAv//YCJwL1BiYARgAAAAYBTz4AAAMAUwAAAlAD0QASABwAKAAAQSYmJwYGByM1PgI3Mx4CFxUnNjY3MxUGBgcjEyERIRUhFTMVIxUhAXEZNBoaNBlQESUkD5wPJCYQKxMgEHcWPRxLX/5lAZv+/PLyAQQDAxEpFxcpEQ0TLzEWFjEvEw1sFS0gCh0zFfyeAsp8nXy4AAAEAC//9gJ4AywAEgAcADQAPAAAQSYmJwYGByM1PgI3Mx4CFxUnNjY3MxUGBgcjBzIWFhUVIRYWMzI2NxUGBiMiJiY1NDY2FyIGBzM0JiYBmRk0Gho0GVARJSQPnA8kJhArFB8QdxY9HEuMTG47/qECSEMzVCwoWUJRfUhBdVEtOAXOFi0CXhEpFxcpEQ0TLzEWFjEvEw1sFiwgCh0zFZE5b1BJPkcUFHEUEzx9XmB/QGs5OCEyHgAAA/+9AAAB9QPRABIAHAAoAABTPgI3Mx4CFxUjJiYnBgYHIycmJic1MxYWFxUBIREhFSEVMxUjFSFMESQkEJwPJSUQUBk0Gho1GFAgHTwWdxAfFAF+/mUBm/788vIBBAMQEy4xFxcxLhMNESkXFykRXxUzHQogLRUN/J4CynydfLgAAAT/7P/2AicDLAASABwANAA8AABTPgI3Mx4CFxUjJiYnBgYHIycmJic1MxYWFxUXMhYWFRUhFhYzMjY3FQYGIyImJjU0NjYXIgYHMzQmJnsRJSQPnQ8kJRBQGTQaGTUZUB8dPRZ3ECATjExuO/6hAkhDM1QsKFlCUX1IQXVRLTgFzhYtAmsTLzEWFjEvEw0RKRcXKRFfFTMdCiAtFQ2ROW9QST5HFBRxFBM8fV5gf0BrOTghMh4AAwBTAAACJAQMABIAKAA0AABBHgIXFSMmJicGBgcjNT4CNyUyFhUUBgcHIyc2NjU0JiMiBgc1NjYTIREhFSEVMxUjFSEBWA8kJhBQGTQaGjQZUBElJA8BAi44IR0DPgUiGRIVChQFBRlG/mUBm/788vIBBAOZFjEvEw0RKRcXKRENEy8xFnMjJx0hBh45Ag8MCw4DAT0BA/v0Asp8nXy4AAQAL//2AkwDZwASACgAQABIAABBHgIXFSMmJicGBgcjNT4CNyUyFhUUBgcHIyc2NjU0JiMiBgc1NjYDMhYWFRUhFhYzMjY3FQYGIyImJjU0NjYXIgYHMzQmJgGADyQmEFAZNBoaNBlQESUlDwECLjcgHQM/BSIZERUKFAUFGKVMbjv+oQJIQzNULChZQlF9SEF1US04Bc4WLQL0FjEvEw0RKRcXKRENEy8xFnMjJx0hBh45Ag8MCw4CAj0CAv7FOW9QST5HFBRxFBM8fV5gf0BrOTghMh4AAAMAWgAAAfUEHgASACsANwAAQR4CFxUjJiYnBgYHIzU+Ajc3DgIjIi4CIyIGByM2NjMyHgIzMjY3EyERIRUhFTMVIxUhAW0QJioTRR45Gho6HUUSKigP9wMZLiMWJyIfDhUUBj0FNTIYKCIeDxQVBFT+ZQGb/vzy8gEEA48WLCoTDQ8kFxckDw0SKi0WjyE0Hg0RDRQXMUINEQ0WFfviAsp8nXy4AAAEAC//9gInA3kAEgArAEMASwAAQR4CFxUjJiYnBgYHIzU+Ajc3DgIjIi4CIyIGByM2NjMyHgIzMjY3AzIWFhUVIRYWMzI2NxUGBiMiJiY1NDY2FyIGBzM0JiYBlRAmKhNFHjkaGjodRRIqKA/3AxkuIxYmIx8OFRQGPQU1MhgoIh8OFBUEl0xuO/6hA0dDM1QsKFpBUX1IQXVRLTkEzhcsAuoWLCoTDQ8kFxckDw0SKi0WjyA1Hg0RDRQXMUINEQ0WFf6zOW9QST5HFBRxFBM9fF5gf0BrOTggNB3//wBa/y0B9QOmBiYAJgAAACcGewJnAAAABwFIADIAqP//AC//LQInAv4GJgBGAAAAJgFIPAAABwZ7ApIAAAACACAAAAFlA+MAFQAhAABBFAYHByMnNjY1NCYjIgYHNTY2MzIWEyE1NxEnNSEVBxEXAScrJwVTCyIfGxQRGxAOMRhERD7+u1dXAUVXVwN7JTEKI0cFFhQSEAQGUgQHNvxTVigBzihWVij+MigAAAIANwAAARYDPgAVABkAAEEUBgcHIyc2NjU0JiMiBgc1NjYzMhYDIxEzARYrKAVSDCIfGxQRGw8NMRhERTWXlwLWJTIJI0cFFhQSEAQGUgQHNvz4AiL//wAg/y0BZQLKBiYAKgAAAAcGewH7AAD//wBE/y0A6QL5BiYASgAAAAcGewHqAAD//wA3/y0C3wLVBiYAMAAAAAcGewLdAAD//wAv/y0CQQIsBiYAUAAAAAcGewKIAAAAAwA3//YC3wPjABUAJwA2AABBFAYHByMnNjY1NCYjIgYHNTY2MzIWExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmIyIGBgIKKycFUwshHxsUEBwPDjAZQ0XVKVOAWFeBUylJl3V0l0j9+SVQPkBPJFJgP1AlA3slMgkjRwUWFBIQBAZSBAc2/blTh2I0NGKHVG+kW1ulb0psOTlsSnCAOmsAAwAv//YCQQM+ABUAJwA2AABBFAYHByMnNjY1NCYjIgYHNTY2MzIWExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmJiMiBgG2KycFUgwiHxsUERsQDjEYRESLJUViPjpgRihAeFNNdkT+iBcxKCcxFhcwKDo1AtYlMgkjRwUWFBIQBAZSBAc2/gpEakgmJkhqRFt+QUF+WzVMKChMNTZKJ1YABAA3//YC3wPRABIAHAAuAD0AAEEmJicGBgcjNT4CNzMeAhcVJzY2NzMVBgYHIxMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYB7hk0Gho0GVERJSUPmxAkJREsFB8QdxY8HUvNKVOAWFeBUylJl3V0l0j9+SVQPkBPJFJgP1AlAwMRKRcXKRENEy8xFhYxLxMNbBYsIAodMxX+BFOHYjQ0YodUb6RbW6VvSmw5OWxKcIA6awAABAAv//YCegMsABIAHAAuAD0AAEEmJicGBgcjNT4CNzMeAhcVJzY2NzMVBgYHIxMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgYBmxk0Gho0GVARJSUPmw8kJhArFB8QdxY8HUuBJUViPjpgRihAeFNNdkT+iBcxKCcxFhcwKDo1Al4RKRcXKRENEy8xFhYxLxMNbBYsIAodMxX+VURqSCYmSGpEW35BQX5bNUwoKEw1NkonVgAABAA3//YC3wPRABIAHAAuAD0AAFM+AjczHgIXFSMmJicGBgcjJyYmJzUzFhYXFQEUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgbSESQlD5wQJCUQUBk0Ghk1GVAfHjwWdxAgEwHiKVOAWFeBUylJl3V0l0j9+SVQPkBPJFJgP1AlAxATLzEWFjEvEw0RKRcXKRFfFTMdCiAtFQ3+BFOHYjQ0YodUb6RbW6VvSmw5OWxKcIA6awAABP/x//YCQQMsABIAHAAuAD0AAFM+AjczHgIXFSMmJicGBgcjJyYmJzUzFhYXFQEUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgaAESQlD5wPJCURURk0Ghk1GU8gHTwWdxAfEwGXJUViPjpgRihAeFNNdkT+iBcxKCcxFhcwKDo1AmsTLzEWFjEvEw0RKRcXKRFfFTMdCiAtFQ3+VURqSCYmSGpEW35BQX5bNUwoKEw1NkonVgAABAA3//YC3wQMABIAKAA6AEkAAEEeAhcVIyYmJwYGByM1PgI3JTIWFRQGBwcjJzY2NTQmIyIGBzU2NhMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYB1Q8kJhBQGTQaGjQZUBElJA8BAi44IR0DPgUiGRIVChQFBRmzKVOAWFeBUylJl3V0l0j9+SVQPkBPJFJgP1AlA5kWMS8TDREpFxcpEQ0TLzEWcyMnHSEGHjkCDwwLDgICPQIC/VpTh2I0NGKHVG+kW1ulb0psOTlsSnCAOmsABAAv//YCTgNnABIAKAA6AEkAAEEeAhcVIyYmJwYGByM1PgI3JTIWFRQGBwcjJzY2NTQmIyIGBzU2NhMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgYBgg8kJhBQGTQaGjQZUBElJQ8BAi43IB0DPwUiGRIVChMGBhhoJUViPjpgRihAeFNNdkT+iBcxKCcxFhcwKDo1AvQWMS8TDREpFxcpEQ0TLzEWcyMnHSEGHjkCDwwLDgICPQIC/atEakgmJkhqRFt+QUF+WzVMKChMNTZKJ1YABAA3//YC3wQeABIAKwA9AEwAAEEeAhcVIyYmJwYGByM1PgI3Nw4CIyIuAiMiBgcjNjYzMh4CMzI2NxMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYB6w8nKRRFHjoZGzocRRIpKBD3BBktIxYnIx8NFRQGPQQ1MxgnIh8PFBQFwChUgFhXgVMpSZd1dJdI/fklTz9ATyRTXz9QJQOPFiwqEw0PJBcXJA8NEiotFo8hNB4NEQ0UFzFCDRENFhX9SFOHYjQ0YohTbqVbW6VvSmw5OWxKcIA6bAAABAAv//YCQQN5ABIAKwA9AEwAAEEeAhcVIyYmJwYGByM1PgI3Nw4CIyIuAiMiBgcjNjYzMh4CMzI2NxMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgYBmRAmKhNFHjkaGjodRRIqKA/3AxkuIxUnIx8OFRQGPQU1MhgoIh8OFRQEdCVFYz06YEcnQHhTTXZE/ogXMSgnMRYWMic7NALqFiwqEw0PJBcXJA8NEiotFo8gNR4NEQ0UFzFCDRENFhX9mURqSCYmSGpEW35BQX5bNUwoKEw1NkonVgD//wA3/y0C3wOmBiYAMAAAACcGewLdAAAABwFIAJ0AqP//AC//LQJBAv4GJgBQAAAAJwZ7AogAAAAGAUhJAP//ADf/9gNWA6YGJgGaAAAABwB0AREAqP//AC//9gLKAv4GJgGbAAAABwB0AL4AAP//ADf/9gNWA6YGJgGaAAAABwBBALIAqP//AC//9gLKAv4GJgGbAAAABwBBAF4AAP//ADf/9gNWA+YGJgGaAAAABwNdAsUAqP//AC//9gLKAz4GJgGbAAAABwNdAnEAAP//ADf/9gNWA50GJgGaAAAABwFPAKAAqP//AC//9gLKAvUGJgGbAAAABgFPTAD//wA3/y0DVgL4BiYBmgAAAAcGewLfAAD//wAv/y0CygJ0BiYBmwAAAAcGewKMAAD//wBV/y0CnwLKBiYANgAAAAcGewKwAAD//wBG/y0CQAIiBiYAVgAAAAcGewKNAAAAAgBV//YCnwPjABUAKQAAQRQGBwcjJzY2NTQmIyIGBzU2NjMyFhMUBgYjIiY1ETMRFBYzMjY2NREzAdsrJwVTCyIfGxQRGxAOMRhERMRBg2SOlJdIRzI+HZcDeyUxCiNHBRYUEhAEBlIEBzb9T0p3RZF3Acz+S1hIIkg3AbQAAgBG//YCQAM+ABUALQAAQRQGBwcjJzY2NTQmIyIGBzU2NjMyFhcRIycjDgIjIiYmNREzERQWMzI2NjURAb4rJwVTCyEfGhUQHA8OMBlERIJ0EwkRNT8jOlcxmCktLjMUAtYlMgkjRwUWFBIQBAZSBAc25v3eRhwkECpYRgFk/sI6OylQOgEA//8AVf/2A38DpgYmAZwAAAAHAHQA+ACo//8ARv/2AxgC/gYmAZ0AAAAHAHQAxwAA//8AVf/2A38DpgYmAZwAAAAHAEEAkwCo//8ARv/2AxgC/gYmAZ0AAAAHAEEAaAAAAAIAVf/2A38D4wAVADUAAEEUBgcHIyc2NjU0JiMiBgc1NjYzMhYTPgI1MxcOAwcRFAYGIyImNREzERQWMzI2NjURMwHeKycFUwsiHxsUERsQDjEYRETBGB8PkwcIHDBQPEGDZI6Ul0hHMj4dlwN7JTEKI0cFFhQSEAQGUgQHNv7BCSY5IgsoSDknCf7oSndFkXcBzP4/T0UhQzEBwAAAAgBG//YDGAM+ABUAOAAAQRQGBwcjJzY2NTQmIyIGBzU2NjMyFgUOAwcRIycjDgIjIiYmNREzERQWMzI2NREzFT4CNTMBwSsnBVMLIR8aFRAcDw4wGUREAVcIGi5NO3QTChE1PyI6VzGYKS1EMZcXGwuUAtYlMgkjRwUWFBIQBAZSBAc2nylKPCkJ/nhGHCQQKlhGAWT+wjo7XFcBAD8JKT0iAP//AFX/9gN/A50GJgGcAAAABwFPAIcAqP//AEb/9gMYAvUGJgGdAAAABgFPVgD//wBV/y0DfwL4BiYBnAAAAAcGewKvAAD//wBG/y0DGAJ0BiYBnQAAAAcGewKLAAD//wAA/y0CcgLKBiYAOgAAAAcGewKKAAD//wAA/xACOwIiBiYAWgAAAAcGewMk//sAAgAAAAACcgPjABUAHgAAQRQGBwcjJzY2NTQmIyIGBzU2NjMyFgMTMwMRIxEDMwGzKycFUwshHxoUERwPDjAZRER6k6bsmuymA3slMgkjRwUWFBIQBAZSBAc2/fIBK/5M/uoBEQG5AAACAAD/EAI7Az4AFQAzAABBFAYHByMnNjY1NCYjIgYHNTY2MzIWBTMTHgIXMzY2NxMzAw4CIyImJzUWFjMyNjY3NwGYKycFUwsiHxsUERsQDjEYRET+aJ9nBQkHAgQDDwdlnOAWPVhBGSYNCx8RHyocCgwC1iUyCSNHBRYUEhAEBlIEBzbm/sgPHyAPFTIWATj9rD1VLAUDdwIEGSkaHwD//wAAAAACcgOdBiYAOgAAAAcBTwBLAKj//wAA/xACOwL1BiYAWgAAAAYBTy8AAAMAL/9iAnsC+AAfACwAMAAAVyImNTQ2MzIWFhczJiY1NSM1MzUzFTMVIxEjJyMOAjcyNjc1NCYjIgYVFBYBITUh+Fpvdl4nOisPBQMJmJiYTEx8HwYOKjkbOi4BMzkuMzABDv5hAZ8Kh4OKgxUkFgxBIhthT09h/bhHFyQWeUFCDkhLSUs/Uf7zRAD//wAT/xACLgLKBiYANQAAAAcAeACbAAD//wAX/xABkgKWBiYAVQAAAAcAeACZAAAAAgAC//YCTwL4ACAALgAARSImJicjByMRIzUzNTMVMxUjFRQGBzM2NjMyFhYVFAYGJzI2NTQmIyIGBgcVFBYBfSk5Jg8KGXVMTJidnQMDBhRKPDxdNjZfZyw0NC8iLhgCLgoUIBA6AkZlTU1lCh4zFR4vN3hiYH89fFJQT0YeQDIET1QAAwAGAAAC5QLKACEAKwA0AABzESMiBhUUFhcjJiY1NDY2MzMyFhYVFAYHFR4CFRQGBiMnMjY1NCYmIyMVEzI2NTQmIyMV0BoaGgcDegQII05D9F+BQzk1IjslPnRRFkcxFTYxXVZCLzlBTQJKGxMRGAcIHxIwSishTkQ+VAkGByNEOj9dMoA2KBknF7UBMSknKCGZAAIAWgAAAlECygANABcAAHMRIRUhFTMyFhYVFAYjJzI2NTQmJiMjFVoBw/7UPGWBPo2aBkVPJ0cyJwLKfZU4Yj9qdXwsNyYoD8AAAgBO//YCTwL4ABoAKAAARSImJicjByMRIRUhFRQGBzM2NjMyFhYVFAYGJzI2NTQmIyIGBgcVFBYBfSk5Jg8KGXUBzP7MBAIGFEo8PF02Nl9nLDQ0LyIuGAIuChQgEDoC+HVEJDYPHi83eGJgfz18UlBPRh5AMgRPVAACAFP/8wJwAsoADgAaAABFIiYmNREzETMyFhYVFAYnMjY1NCYmIyMVFBYBYlt5O5pcaoE8hY44PiVHM0c3DTJjSwH3/u48Zj1ofoAxNSYpEGA1MAACAEr/9gJPAvgAFQAiAABFIiYmNREzFRQGBzM2NjMyFhYVFAYGJzI2NTQmIyIGFRUUFgFRUXZAmQQCBhVMPDxdNkNzSzE0NS48MTsKQnxZAeuvIjUSHS9AfV5ifTx7S1VRUEhIF1BKAAEAIf/2AksC1AAfAABXIiYnNRYWMzI2NjU0LgIjIgYHJzY2MzIeAhUUBgb3N1oqK1UvPlcuGS9FLS5WJCsxdzlTe1IpTZcKEhKCERY3a0w4Wj8hFxF4GBcyYIVSbKhhAAEAOv/2AsADbAAvAABBMhYXFSYmIyIGFRUHJiYjIg4CFRQWFjMyNjcVBgYjIiYmNTQ+AjMyFhc1NDY2AnoWJwkIHhEWGDQlTyopQiwYJk49LVcyL1o7b49FK1V+UhYrFSdGA2wKBXUDBxgaJnYRHSA+WThKajcVEYMTElukb1GHYjYFBQM2RyIAAAEALf/2AkUC/AAtAABFIiYmNTQ2NjMyFhc1NDY2MzIWFxUmJiMiBhUVByYmIyIGBhUUFhYzMjY3FQYGASxOcj9HeEsMFwslRjAWJwgIHREWGC4fPh8lMRcaMSIwSCEiSQo5fGNofjgBAiU+TSMKBXYDBxgaTHMNEyNHNzZGIBkVghYT//8AFQAAAqYCygYGAJAAAAACAAYAAAMmAsoAGQAjAABzESMiBhUUFhcjJiY1NDY2MzMyFhYVFAYGIzcyNjU0JiYjIxHQGhoaBwN6BAgjTkP9bqVcXq16CW5tL1lBUQJKGxMRGAcIHxIwSitQm3N4olKAdXNPZC/+NgAAAgAtAAACJALKAA0AFwAAYSImNTQ2NjMzNSE1IREnMzUjIgYGFRQWAUiWhT+DZzf+1AHDyjMnMUgnT3JpQGM6lX39NnzADykmNysAAAIALf/2Ai8C+AAdACoAAFciJiY1NDY2MzIWFhczBi4CNTUhNSERIycjDgI3MjY3NTQmIyIGFRQW+zteNTdfPCk8Kg0GAQMEA/7MAc14HAUOKTsLPDMBMUEvNjYKQH5eWXk/FSMUAhQeIQ5Ndf0IRBQkFnpESBJJUVJHTVIAAAIAPP8lAk0CLAAnADgAAEEyFhYVFAYGBx4CFRQGBiMiJiYnNxYWMzI2NjU0JiYnLgI1NDY2FyIGBhUUFhYXPgM1NCYmAUdMdkQyTSsZKho3YT8rTkQbOCNPJx0iDxswIUlYJ0J4TSQzGhoxIRwsIBEdNAIsN2lJQ1w7Eg4oOCUwSCcPIRtkISISGQ0WHRoRJlBcOVVvNngiPCYlOiwRCx0nMR8oOh8AAAEAOwAAAdYCygALAABzNSE1IzUzNSE1IRE7AQTy8v78AZt9uHydfP02//8AUP/2AvcC1QYGAaAAAAABACv/9gJaAtQALgAAQTIWFwcmJiMiBhUUFhYzMxUjIgYVFBYzMjY2NxUGBiMiJiY1NDY3NS4CNTQ2NgFLV4A4QipgOEBCJ15UPENwdVZeIlBOHy6BUWOEQmtfNFEvQncC1CklZRogKyUcKhd2LzMyNwsVD38TFDVgP0pZCAMIJkIxOVQuAAH/7/8OAnUCygAcAABXIiY1NDY3FwYGFRQWMzI2NREhFSMVMxUjERQGBrBYaRALcQcFIh8eIgGF8N7eNWDyV1IgLxMtDRcKICIsMgLwfJp8/p5EWSsAAQA6//YC6wNsADEAAEEyFhcVJiYjIgYVFQcmJiMiBgYVFBYWMzI2NzUjNSERBgYjIiYmNTQ2NjMyFhc1NDY2AqUWJwkJHREWGDQgVS9BXzQjUUQhKhN7ARM6ek9qlE1Yp3cYLRUoRgNsCgV1AwcYGiB1Dxg7a0lBbD4GApGC/ooTFFWldnOjWAQEAjZGIgAAAgAA/xACigLKABsAJwAARSImNTQ2NjcDMxMeAhc+AjcTMwEeAhUUBicyNjU0JicGBhUUFgE/RUgRHhP0nHkGEBAEBRATB4Cc/v8VHxFKRBASERESEBPwUEAhRUwrAk3+yQ4zNhQVMjESATj9sSpORh49UlkaHBVDIiFDFB0bAAABAE7/8wORAvgAKQAARSImJjU1NCYjIgYGFRUjETMVFAYHMz4CMzIWFhUVFBYzMjY1ETMRFAYCmlVuNScqKC8UmJgDBAgRLjcfOlYvLy4yLpl7DS1dSns3OSpQOf8C+J0fQB4aIhIrWkiDNzc/TAEm/s6EdgAAAQBW//YBjQLKABAAAEUiJiY1ETMRFBYzMjY3FQYGAQ0zUzGhIh0ZKhQWRQohUkwCFf33IyYJB3kLDgAAAQAbAAABbgLKABMAAEEVBxUzFSMVFxUhNTc1IzUzNSc1AWtZXFxZ/rNZXFxZAspXKaWBpClXVymkgaUpVwABAFoAAAKYAtUAGwAAQTIWFxUmJiMiBgcHEyMDBxUjETMRNjY3Nz4CAkMaJgsIGQ8VJg94/Ky7QJeXECAQUR46QQLVCgV3AwYXFJ/+cgEtLv8Cyv63Fy4WbCk/JQAAAQBOAAACbAL/ACAAAFMyFhcVJiYjIgYVFRQGBzM+Ajc3MwcTIycHFSMRNDY2+BgtCgceERQXBAQDCBYYDJCt2+exnDmYKU0C/wsFdQMHFh24FzgXDB4fDJrt/svbLK8CUT5MJAAAAQAKAAABQAL4AAsAAHMRIzUzETMRMxUjEVpQUJVRUQE0cAFU/qxw/swAAQAE//YCYgL+ADEAAHMTJwcnNyYmIyIGBzU+AjMyFhYXNxcHExYWMzI2NxUGBiMiJiYnJy4DJyMGBgcHBOcLZBlTDyMXDRsKCR0fDDBEMhJdGVOHFyYVCBEJDDcTKDcjDC8GCgoHAwMHFAplAgQcHlIZDAgEAnsCBAIXLSEdUxn+jD4lAwJzBgkcMiGFECAeGgsaPhjtAAABAFX/9gOxAsoAKAAARSImJjURMxEUFjMyNjY1ETMRFBYzMjY2NREzESMnIw4CIyImJyMGBgEgPVszlyssKjMXlyssLDMVmHIVCRE0QCM+URgHGlYKKltHAgj+Izs9Jks1Aa/+Izs9KlI7AZ79NkwcJxMwKisvAAAB/+7/EALTAsoAIQAAVyImJzUWFjMyNjURMwEzLgM1ETMRIwEjHgIVERQGBjcZJQsIHhEXHr8BNgMBAwIBiMD+yQQCBAMrTPALBHIDBx4eAwf96RU1NzISAVL9NgIcHEtKG/5wPU4l//8ASf8QAjwCLAQGAVYAAP//ADf/9gLfAtUGBgGeAAAAAgA6//YEEwLVACMAMwAAQRQOAiMiLgI1NDY2MzIWFzY2MzIWFhURIxE0JiMiBgcWFgUUFhYzMjY2NTQmJiMiBgYCzyhRfVVVfVAoRpNyT3YoJWZCQV80mzAxKzMRFBP+DiNKOj1JIiBKPTtLIgFmVIhhMzRgiVRvpFstKigvMGdT/hUB4Tg7FREqZDpLazg4a0tKajo4awACAC3/EANWAiwAIwAyAABBFA4CIyIuAjU0NjYzMhYXNjYzMhYWFREjETQmIyIGBxYWBRQWFjMyNjY1NCYmIyIGAiojQ187N11EJT5zTzpeIiFYNDtXMJUqLh0qDgsL/psWLSQkLRUVLiQ1MQESRGpJJSRIakZbfUImKCklKlhG/awCLzs7EhEbQCU2SSUlSTY2SCRRAAACAAYAAALAAsoAGwAlAABzESMiBhUUFhcjJiY1NDY2MzMyFhUUDgIjIxUTMjY2NTQmIyMV0BoaGgcDegQII05D+o1/GT9uVDsuLD4hOz5AAkobExEYBwgfEjBKK3hnK1VFKvwBfBcvJDMxzgACAE7/EAJPAv0AKQA5AABTMhYXFSYmIyIGFRUUBgczPgIzMhYWFRQGBiMiJiYnIxYWFRUjETQ2NhMiBgYHFRQWFjMyNjY1NCb1GSsJBR0REhcEAgYPKTsmPV02Nl08KDsnDgcDApgpS40mLRQCFC8pISsVMAL9CgV2AggVGSMUKRcVJBY/fV5ffz4THREKKhTfA0Q8SyL+tR5AMBA0SSUmSTRLUgAAAgBa/5wCmALKABEAGwAARQMjFSMRMxUzMhYWFRQGBgcTATI2NTQmJiMjFQHqp0+amjxgfT0oPR/S/oxMPRw8MDFkARCsAspkL19JNEkwD/7JAY4yLyEnE7wAAQAq//YB/gLUAC0AAEEyFhYVFA4CBw4CFRQWFjMyNjcVBgYjIiYmNTQ2Njc+AjU0JiMiBgcnNjYBGUdmOB0xQCMtPx8ULiU2azEqcD1UbzcoTzk0PRopLSdPLS4xbQLULlk+MEUyJQ8TIiYZFSISHRSDFRoyXEA1Tz0YFiIlGRwjFxN7FhsAAAEAKf/2AcsCLAArAABTMhYWFRQGBgcOAxUUFjMyNjcVBgYjIiY1NDY2Nz4CNTQmIyIGByc2Nvg/XzUfQzUqMBYGKisnXCkoVTZxciJEMDMyESYhIEMoKzBgAiwhRDItPS0VERgTEAgXGBYXdhYRVFItQC8SFBgUCxIUFxFvFhT//wAYAAACKwLKBgYBUwAAAAL/+P8QAdUDAgAbACYAAFMyFhYVERQWMzI2NxUGBiMiJiY1ESMiJjU0NjYXIgYVFBYzMzU0Jos+SyIkHRkuFxZDJzNRMBtJRSBBHRAUHBsYFwMCLFA3/XYfHwoHbwoPIE9GAk1FNh81IVIVDxMaHxoYAAEAF/8QAZMClQAnAABFIiYnNRYWMzI2NTUiIiMiLgI1ESM1NzczFTMVIxUUFjMyNjcVFAYBBhcpDgkYDRcWBAcFHjswHEdRLWGamiYdFy4VRvAHBm0DBhYdQhEnRzcBBEE0cHNy+SchCgjKV1AAAQAFAAACVgLKABQAAHMRIyIGFRQWFyMmJjU0NjYzIRUjEf1DHx4HA3YECCNSRAGYwgJMIRcQFggIHxMuTS9+/bQAAQAX//YBkwL9ACUAAEEyFhcVJiYjIgYVFTMVIxEUFjMyNjcVBgYjIiYmNREjNTc1NDY2AR0cMw4KLRccGpqaJxwXLhUWSCgvTzFHRy5VAv0LBXYDCBkaLXL++x4eCghyCw4eT0kBBEEuMD1NJAABABT/EAIvAsoAEwAARSImNREjNSEVIxEUFjMyNjcVBgYBhVJdwgIbwh4XER4IDC7wUl4CjH5+/XcfHQcDcgUKAAABABv/9gL4AsoAJwAAZTI2NjU0JiYnNSEVIx4CFRQGBiMiJiY1NDY2NyM1IRUOAhUUFhYBiTxQKRY3MgE5ryxDJlGZa2mZUihEK7EBOjI4FipQeC1aQThgThqKghlZckJbh0pLh1tFclYYgooaTmI3QVktAAEAT//2ApsC1QAjAABFIiYmNREzERQWFjMyPgM1NCYjIgYHNTY2MzIWFRQOAwEiTF0qlw4lIB87MygWHRcRIBAROSJSTiJAXHUKQX5cAbn+U0NJHCxPan5FIBkICHYKD1NBWKqWckEAAQAAAAACcQLUABUAAHMRAzMTNzY2MzIWFxUmJiMiBgYHBxHs7KaTVRtCNxcrDQcXCA4VGRR1AREBuf7Vvzs7Cgd4BAYLJCbq/uoAAAEACf8QAmcCLQApAABBMhYXFSYmIyIGBgcDBgYjIiYnNRYWMzI2Njc3AzMTFhYXMzY2Nzc+AgISFzAOCBIIDxkYDpEfd1oVKgwJIQ4dLyIJDN2nWgcQBQMEEgo1DSQ5Ai0KB3MCAxAoJ/5yU14FAngBBBMmHSMCH/77FD4jFT8clyM6IQAAAQAZAAACKALKABEAAFMzNyE1IRUHMxUjByEVITU3I0O0cf64Af+DWbFzAVf98YddAaeigWe8famBZ8MAAQAeAAABzgIiABEAAEEVBzMVIwczFSE1NyM1MzcjNQHFWVKdUf7+UGVUoEvuAiJheWVvdFmKZWdz//8AHP/2AigCygYGAaEAAAABACf/9gIzAsoAHQAARSImJjU0NjY3JzUhFSEXFSMiBgYVFBYzMjY3FQYGAVJjhUM6bUzTAdT++bE8TFkmS1cvczEvcAo1YEBDWjIGyWF9qmoYLB4yNxgXgBMUAAEAJv8QAiICIgAeAABFLgI1NDY2Nyc1IRUhFxUjIgYGFRQWFjMyNjcVBgYBQl9+PzRnTc4B2v7fvzlGVCUfQjUybysrbfABPmxERGZEDMRldrlrHzkpITkjGxaDExUAAAEAMP8QAgoCIgAwAABFIiYmNTQ2Njc+AzU0JiYjIzU3IzUhFQceAxUUDgIHDgIVFBYzMjY3FQYGAQA8XjYnVUUjMR8PHUE2RJb3AbuxK0g1HhU4aVQYJBU2LkBnJCR28CJGNC1FKwUDCA4XERYYCmSFcmCQAxcnPCkhPTIjBgIIEA4XFhoNbg8YAAEAGwAAAhIC+wAhAABBMhYWFRQGBzMVIwcVIRUhNTcjNTM2NjU0JiMiBgcnPgIBBkdmNw0VSpC1AUX+Cbur/RoNMCctQSFLFUBYAvs1WTklQiVlyQdzc9BlJT8gJi0nH14VLiEAAAEAGP/2AhsCygAgAABXIiYnNR4CMzI2NjU0JiYjIxEjNSEVIRUzMhYWFRQGBuY4bSUZRUkeMEkpIUExf1kB7v8AG0twP0SJChQTgg0VDBYvJyYwFwECfn6ENmRHS2w6AAEAJv/2AgUCIgAfAABXIiYnNR4CMzI2NjU0JiMjNSM1IRUjFTMyFhYVFAYG6TVsIhdARx8tQSNRRF9UAcbmD0RpPT19ChIQewsUCw0dFyIdyXBwYSBJPDdSLQAAAQAk//YBywKWACsAAFciJiYnNR4CMzI2NjU0JiYnLgI1NSM1NzczFTMVIxUUFhYXHgIVFAYG4iJHPxYWPEIdJCwVFSIUHTEeX2ErX4qKCBQRJUEpLmYKCBAKewsXDgwYEhIWEgwSJj41KD8yc3RwIxMXEgoVKTszLkwtAAIATv8QAksCLAASACAAAEEyFhYVFA4CBxUjETMXMz4CByIGBhUVPgM1NCYmAX09XDUuW4RYmHwUBw8oOgokLRUuSTUcFisCLDdsUEFxWTYG4gMSQxQkFXwgPS6+BSA1SS4lNh0AAAEAXAAAAMcC+AADAABzETMRXGsC+P0I//8AXAAAAcsC+AQmAjkAAAAHAjkBBAAAAAEAMgAAAdIC+AATAABBFTMVIxUzFSMVIzUjNTM1IzUzNQE3m5ubm2uampqaAvjlYVZh+/thVmHlAP//ADb/8wDjAsoGBgACAAD//wBVAAAFBQOmBCYAJQAAACcAOwLaAAAABwFJAwcAqP//AFUAAASzAv4EJgAlAAAAJwBbAtwAAAAHAUkC4wAA//8AL//2BE8C/gQmAEUAAAAnAFsCeAAAAAcBSQJ/AAD//wBV/y4DJgLKBCYALQAAAAcAKwI1AAD//wBV/xADHQL5BCYALQAAAAcASwI1AAD//wBJ/xACGQL5BCYATQAAAAcASwExAAD//wBa/y4EHgLKBCYALwAAAAcAKwMtAAD//wBa/xAEFQL5BCYALwAAAAcASwMtAAD//wBJ/xADeQL5BCYATwAAAAcASwKRAAD//wAAAAACtAOmBiYAIgAAAAcBSQBpAKj//wAo//YCEAL+BiYAQgAAAAYBSTwA////8QAAAZkDpgYmACoAAAAHAUn/yQCo////zgAAAXYC/gYmBE4AAAAGAUmmAP//ADf/9gLfA6YGJgAwAAAABwFJAJwAqP//AC//9gJBAv4GJgBQAAAABgFJSQD//wBV//YCnwOmBiYANgAAAAcBSQCAAKj//wBG//YCQAL+BiYAVgAAAAYBSVUAAAQAVf/2Ap8D/wADAA8AGwAvAABBFSE1FzIWFRQGIyImNTQ2MzIWFRQGIyImNTQ2ExQGBiMiJjURMxEUFjMyNjY1ETMCIP61QhwkJBwdIiLiHCQkHBwjI99Bg2SOlJdIRzI+HZcD/11dhx4fHR8fHR8eHh8dHx8dHx79hEp3RZF3Acz+S1hIIkg3AbQABABG//YCQANXAAMADwAbADMAAEEVITUXMhYVFAYjIiY1NDYzMhYVFAYjIiY1NDYXESMnIw4CIyImJjURMxEUFjMyNjY1EQHr/rVCHCQkHB0iIuIcJCQcHCMjtXQTCRE1PyM6VzGYKS0uMxQDV11dhx4fHR8fHR8eHh8dHx8dHx6u/d5GHCQQKlhGAWT+wjo7KVA6AQAABABV//YCnwQZAAoAFgAiADYAAEE2NjczFQ4CByMHIiY1NDYzMhYVFAYzIiY1NDYzMhYVFAYTFAYGIyImNREzERQWMzI2NjURMwE5GTATohI1OxhkIh0iIh0cJCSpHCMjHBwkJKdBg2SOlJdIRzI+HZcDlRxGIgoUMjARiR8dHx4eHx0fHx0fHh4fHR/9/Up3RZF3Acz+S1hIIkg3AbQAAAQARv/2AkADcQAKABYAIgA6AABBNjY3MxUOAgcjByImNTQ2MzIWFRQGMyImNTQ2MzIWFRQGFxEjJyMOAiMiJiY1ETMRFBYzMjY2NREBBBkwE6IRNjsYZCIdIiIdHCQkqRwjIxwcJCR9dBMJETU/IzpXMZgpLS4zFALtHEYiChMzMBGJHx0fHh4fHR8fHR8eHh8dHzX93kYcJBAqWEYBZP7COjspUDoBAAAABABV//YCnwQaABIAHgAqAD4AAEEuAic1MxYWFzY2NzMVDgIHByImNTQ2MzIWFRQGMyImNTQ2MzIWFRQGExQGBiMiJjURMxEUFjMyNjY1ETMBNxAmKhNFHjoZGjscRRIqJxCmHSIiHRwkJKkcIyMcHCQkp0GDZI6Ul0hHMj4dlwOOFi0pEw0PJBcXJA8NEiotFo8fHR8eHh8dHx8dHx4eHx0f/f1Kd0WRdwHM/ktYSCJINwG0AAAEAEb/9gJAA3IAEgAeACoAQgAAQS4CJzUzFhYXNjY3MxUOAgcHIiY1NDYzMhYVFAYzIiY1NDYzMhYVFAYXESMnIw4CIyImJjURMxEUFjMyNjY1EQECECYqE0UeOhkaOxxFEionEKYdIiIdHCQkqRwjIxwcJCR9dBMJETU/IzpXMZgpLS4zFALmFysqEw0OJRcXJQ4NEiosF48fHR8eHh8dHx8dHx4eHx0fNf3eRhwkECpYRgFk/sI6OylQOgEAAAAEAFX/9gKfBBkACgAWACIANgAAQRYWFxUjLgInNRcyFhUUBiMiJjU0NjMyFhUUBiMiJjU0NhMUBgYjIiY1ETMRFBYzMjY2NREzAV8TMBlkGDs2EVocJCQcHSIi4hwkJBwcIyPfQYNkjpSXSEcyPh2XBBkiRhwNETAyFAqhHh8dHx8dHx4eHx0fHx0fHv2ESndFkXcBzP5LWEgiSDcBtAAABABG//YCQANxAAoAFgAiADoAAEEWFhcVIy4CJzUXMhYVFAYjIiY1NDYzMhYVFAYjIiY1NDYXESMnIw4CIyImJjURMxEUFjMyNjY1EQEqEzEYZRc7NhFaHCQkHB0iIuIcJCQcHCMjtXQTCRE1PyM6VzGYKS0uMxQDcSJGHA0RMDMTCqEeHx0fHx0fHh4fHR8fHR8erv3eRhwkECpYRgFk/sI6OylQOgEAAAAFAAAAAAK0A/8AAwAPABsAIwAuAABBFSE1FzIWFRQGIyImNTQ2MzIWFRQGIyImNTQ2EycjByMTMxMBLgInDgIHBzMCAP61QhwjIxwdIyPhHCQkHBwjI3A3/Del+7z9/s8EERAFBA8OBTO1A/9dXYceHx0fHx0fHh4fHR8fHR8e/IioqALN/TMBww88PxQXPDgTmwAABQAo//YCEANXAAMADwAbADkARAAAQRUhNRcyFhUUBiMiJjU0NjMyFhUUBiMiJjU0NgcyFhURIycjDgIjIiYmNTQ2Nzc1NCYjIgYHJzY2EwYGFRQWMzI2NTUB0v61QhwkJBwdIiLiHCQkHBwjIzVnbGkdBBcxQC4wTCx8e1ssKCVOJiwrb0ZHOCchL0EDV11dhx4fHR8fHR8eHh8dHx8dHx6kYV/+lEodJhElTDpWVgUDETEnGBFnFhr+zgIqJiMhODQtAAQAAAAAArQD/gADAA8AFwAiAABBFSE1FzIWFRQGIyImNTQ2EycjByMTMxMBLgInDgIHBzMB//61pR0lJR0dJCTTN/w3pfu8/f7PBBEQBQQPDgUztQP+Xl6CICAeISEeICD8hKioAs39MwHDDzw/FBc8OBObAAAEACj/9gIQA1wAAwAPAC0AOAAAQRUhNRcyFhUUBiMiJjU0NhcyFhURIycjDgIjIiYmNTQ2Nzc1NCYjIgYHJzY2EwYGFRQWMzI2NTUB0v60pRwmJhwdJSUvZ2xpHQQXMUAuMEwsfHtbLCglTiYsK29GRzgnIS9BA1xeXoIgIB4hIR4gIK5hX/6USh0mESVMOlZWBQMRMScYEWcWGv7OAiomIyE4NC3//wAAAAADfQNoBiYAhgAAAAcBSgErAKj//wAq//YDagLABiYApgAAAAcBSgEFAAAAAQA6//YCxQLUACkAAEUiJiY1NDY2MzIWFwcmJiMiBgYVFBYWMzI2NzUjNTM1IzUhFTMVIxUGBgGGapVNV6Z4OW4tMiFULkJhNShVQhssFH19hwEbQUE4eQpUpHhwpFoYFHkRFjxtSlBwOQYELGEwdKRhgRMWAAIALf8QAmMCLAAoADkAAEEyFhczNzMRMxUjBgYjIiYnNRYWMzI2NyM1MzU0NjcjBgYjIiYmNTQ2FyIGBhUUFjMyPgI1NTQmJgEEMksdBA2AND4WfnA6aS4wYjgrOAuToQICBBxMMUBeMnWOIS4XNjMbKBwNGDECLCQnQf3bVktMEBBzFBQWFlYxECYLKSQ7dFN+inwgPy5IRg8cLR8PN0Ic//8AOv/2AoQDpgYmACgAAAAHAUkAlgCo//8AL/8QAi8C/gYmAEgAAAAGAUlDAP//AFoAAAKYA6YGJgAsAAAABwFJAHMAqP///80AAAJsA9QGJgBMAAAABwFJ/6UA1v//ADf/GALfAtUGJgAwAAAABwFOAQEAAP//AC//GAJBAiwGJgBQAAAABwFOAKoAAP//ADf/GALfA2cGJgAwAAAAJwFKAMAAqAAHAU4BBQAA//8AL/8YAkECwAYmAFAAAAAmAUptAAAHAU4ArAAA//8AHP/2AigDpgYmAaEAAAAHAUkAJwCo//8AHP8QAh4C/gYmAaIAAAAGAUkkAP//AFUAAAUFAsoEJgAlAAAABwA7AtoAAP//AFUAAASrAsoEJgAlAAAABwBbAtwAAP//AC//9gRGAvgEJgBFAAAABwBbAngAAP//ADr/9gKEA6YGJgAoAAAABwB0AP4AqP//AC//EAIvAv4GJgBIAAAABwB0ALoAAAABAFr/9gPDAsoAHQAAcxEzETMRMxEUFhYzMjY2NREzERQGBiMiJiY1NSMRWpfrlxIpISEpE5c1bFNTbDTrAsr+6AEY/iArNhkaOjEBLf7RU3E5MGZQWP7MAAACAFr/EAJyAtUAEgAgAABBMhYWFRQOAgcVIxEzFzM+AgciBgYVFT4DNTQmJgGjPV01L1+RYpdzGAQRNkgBKjwgM1Q/IhcrAtU9dVVIinlhHvQDulwaLx5+Ml1B9hRBVGAzLT0gAP//AFoAAALTA6YGJgAvAAAABwBBANEAqP//AEkAAAJDAv4GJgBPAAAABwBBAIMAAP//AAAAAAK0A6YGJgAiAAAABwZnAosAqP//ACP/9gIQAv4GJgBCAAAABwZnAl4AAP//AAAAAAK0A6sGJgAiAAAABwZpAVkAqP//ACj/9gIQAwMGJgBCAAAABwZpASwAAP//ACQAAAH1A6YGJgAmAAAABwZnAl4AqP//ACP/9gInAv4GJgBGAAAABwZnAl0AAP//AFoAAAH1A6sGJgAmAAAABwZpAS0AqP//AC//9gInAwMGJgBGAAAABwZpASwAAP///7oAAAFlA6YGJgAqAAAABwZnAfQAqP///40AAAEwAv4GJgROAAAABwZnAccAAP//AAMAAAGDA6sGJgAqAAAABwZpAMMAqP///9YAAAFWAwMGJgROAAAABwZpAJYAAP//ADf/9gLfA6YGJgAwAAAABwZnAr0AqP//AC//9gJBAv4GJgBQAAAABwZnAmoAAP//ADf/9gLfA6sGJgAwAAAABwZpAYwAqP//AC//9gJBAwMGJgBQAAAABwZpATkAAP//AD8AAAKRA6YGJgAzAAAABwZnAnoAqP///+4AAAGzAv4GJgBTAAAABwZnAigAAP//AFUAAAKRA6sGJgAzAAAABwZpAUgAqP//ADcAAAG3AwMGJgBTAAAABwZpAPcAAP//AFX/9gKfA6YGJgA2AAAABwZnAqsAqP//ADz/9gJAAv4GJgBWAAAABwZnAnYAAP//AFX/9gKfA6sGJgA2AAAABwZpAXoAqP//AEb/9gJAAwMGJgBWAAAABwZpAUUAAAABACb/TAJKAtQAKgAAVz4DNTQmJwYGByc+AjU0JiYjIgYHJzY2MzIWFhUUBgceAhUUBgYHM3aXVCEtKChZLxhSd0EcNCU3YixCOZJKTnA8NC0hNSBw7Ls0Gjg8QiUxPRMNGAtuEyQvJRwjESAaZSgmK1dDL0odETNGLl2LZicAAAEAFP8QAdMCLAAqAABXPgI1NCYnBgYHJz4CNTQmJiMiBgcnNjYzMhYWFRQGBx4CFRQOAgcUa4dAHh0dQyYbT1glFycZKEgjLCliNUFmOyomHisYRHqiX3kWM0QvJTQVCxUJahQmLBsYHA0VDmwXGCZOPC5JHRAuPyhJZEQvEwD//wBaAAACowOmBiYAKQAAAAcBSQCJAKj////OAAACQwPUBiYASQAAAAcBSf+mANYAAQBa/xACpALVABcAAEEyFhYVESMRNCYjIgYGFREjETMXMz4CAb5EaDqXPUE8RR2XcxgEFkFRAtUyaVP9KQKySks1Ykb+hgLKXCEuGAAAAwAt/5YDZQL4ADUAQgBPAABFNjY3LgInIw4CIyImNTQ2NjMyFhYXMwYuAjU1MxEUFhc+AzMyFhUUBgYjIiYnBgYHJTI2NzU0JiMiBhUUFgUyNjU0JiMiBgYHFhYB5gMKCA0RCwMGETFHM2d5N188KTwqDQYBAwQDmQQFDiMqMBtEQyVZTg0bCgUFAv7UPDMBMUEvNjYBqisjFBISHhcJCRVlKEEeBw8PBhkoFoyQXn0/FiMTAhMfIgy6/egQHQsUHhUKQTEkPiUCARk1H9pESBJPVFZMTVIVExENEA8cEwECAAIANf/2AsQCxwAnADMAAEUiLgI1NDY2Ny4CNTUzFRQWFjMyNjY1NTMVFAYGBx4CFRQOAicyNjU0JiMiBhUUFgF7UntRKBw+MSkuEp0cPTEwPBucEiwpLz0eKVJ7UllJSVdYS0gKJUReOi1OPRQVOkkpQ0MlPSQkPSREQylJOhUUPEwuOl9FJYRGOzpFRDw6RgAAAgAq//YCRwL4ACYAMgAARSImJjU0NjY3LgI1NTMVFBYWMzI2NjU1MxUUBgYHHgIVFA4CJzI2NTQmIyIGFRQWATZKekgaOi0nKhCYESYgISQQmhIrJis6HShJZTg4Ojc7PDc3CjxzUzFQOxQTOU0vaGcuPiAfPi1pai5NORITO04xP2FDInlLQ0RJSUVESQAAAgAY/wwCLgLKABMAHQAARSImJzUWFjMyNjY1NSM1MxUUBgY3ITUBITUhFQEhAYAXNBAPGhEQHBAKnSNNbf3tAVb+swIB/qoBX/QHBXcEBQ4kIiZ+uzJTMvRiAet9Yv4VAP//ABz/IAHKAiIGBgNeAAD//wAAAAACtAOgBiYAIgAAAAcBTADgAKj//wAo//YCEAL5BiYAQgAAAAcBTACyAAD//wBa/xAB9QLKBiYAJgAAAAcAeADXAAD//wAv/xACJwIsBiYARgAAAAcAeAC6AAAABQA3//YC3wP/AAMADwAbAC0APAAAQRUhNRcyFhUUBiMiJjU0NjMyFhUUBiMiJjU0NgEUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYCMv61QhwkJBwdIiLiHCQkHBwjIwENKVOAWFeBUylJl3V0l0j9+SVQPkBPJFJgP1AlA/9dXYceHx0fHx0fHh4fHR8fHR8e/e5Th2I0NGKHVG+kW1ulb0psOTlsSnCAOmsAAAUAL//2AkEDVwADAA8AGwAtADwAAEEVITUXMhYVFAYjIiY1NDYzMhYVFAYjIiY1NDYTFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYmIyIGAd/+tUIcJCQcHSMj4hwkJBwdIiLDJUViPjpgRihAeFNNdkT+iBcxKCcxFhcwKDo1A1ddXYceHx0fHx0fHh4fHR8fHR8e/kJEakgmJkhqRFt+QUF+WzVMKChMNTZKJ1YABAA3//YC3wQDABgAHAAuAD0AAFM2NjMyHgIzMjY3Mw4CIyIuAiMiBgcnNSEVExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmIyIGBtwEMzIZJyAdDxISBUEDGC0jFichHQ0TEwY2AUytKVOAWFeBUylJl3V0l0j9+SVQPkBPJFJgP1AlAwUxQgwRDRUVITQfDREMFBWgXl79wVOHYjQ0YodUb6RbW6VvSmw5OWxKcIA6awAABAAv//YCQQNbABgAHAAuAD0AAFM2NjMyHgIzMjY3Mw4CIyIuAiMiBgcnNSEVExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmJiMiBokEMzIZJyAdDxISBUADGCwjFichHQ0TEwY2AUtjJUViPjpgRihAeFNNdkT+iBcxKCcxFhcwKDo1Al0xQgwRDRYUIDUeDBIMFBahXV3+FERqSCYmSGpEW35BQX5bNUwoKEw1NkonVgD//wA3//YC3wOgBiYAMAAAAAcBTAESAKj//wAv//YCQQL5BiYAUAAAAAcBTAC/AAAABAA3//YC3wP+AAMADwAhADAAAEEVITUXMhYVFAYjIiY1NDYBFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYjIgYGAjL+tKYcJSUcHiQkAXEpU4BYV4FTKUmXdXSXSP35JVA+QE8kUmA/UCUD/l5egiAgHiEhHiAg/epTh2I0NGKHVG+kW1ulb0psOTlsSnCAOmsAAAQAL//2AkEDXAADAA8AIQAwAABBFSE1FzIWFRQGIyImNTQ2ARQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmJiMiBgHe/rWlHCUlHB4kJAEnJUViPjpgRihAeFNNdkT+iBcxKCcxFhcwKDo1A1xeXoIgIB4hIR4gIP44RGpIJiZIakRbfkFBfls1TCgoTDU2SidWAP//AAAAAAJyA2cGJgA6AAAABwFKAGsAqP//AAD/EAI7AsAGJgBaAAAABgFKTwAAAgAm/9sBswL4ABgAJAAAVzY2NyYmNREzETY2MzIWFRQGIyImJwYGBzcyNjU0JiMiBgcWFiYNGg0IBJUOKRU/RVBQKkQXCQ8KtRYYGBcQIA0DHwEYLhMROCACN/3rCQxCPjtHDxINHBN0FhIUFA0LGh4AAgBO/9gDCgIsACwAOAAARTY2NyYmNTU0JiMiBgYVFSMRMxczPgIzMhYWFRU2NjMyFhUUBiMiJicGBgc3MjY1NCYjIgYHFhYBcgwfEAYIJikpLxKYdRQIETI8HjlULwwpFUJGUlctPRIIFAetFhoaFw4eCwMaAh86ExEsHX43OSpQOf8CIkYcJBApWEd2BwlIND5OFxENJxJ8FhITFQwLGh8AAgAX/9gByQKVACAALAAAVzY2NyYmNTUjNTc3MxUzFSMVNjYzMhYVFAYjIiYnBgYHNzI2NTQmIyIGBxYWMA0fEAcHR1EtYZqaDSkVQkZSVy09EgkUBq0WGhoXDh4LAhsCHzoTEi8e50E0cHNywgcJSDQ+ThcRDScSfBYSExUMCxofAAMALf/2A5cC+AAoADQAQQAARSIuAjU0NjYzMhYXMyYmNTUzFRQGBzM2NjMyFhYVFA4CIyImJwYGJzI2NTQmIyIGFRQWITI2NTQmIyIGBhUUFgEoOFtDJTVePDxKFAcCBZkFAgcUSTw8XTYnRV03O10eHmAzMTUwOy00MwGYMzM0LyYuFTQKI0drSF19PzAdEDYhsrAkNhAfL0B9XklrRSIwLS4ve05WUU1TTlRNS1VRUCBGN1hMAAADAC3/DQOXAiwAKAA1AEEAAEEyHgIVFAYGIyImJyMWFhUVIzU0NjcjBgYjIiYmNTQ+AjMyFhc2NgUiBhUUFjMyNjY1NCYhIgYVFBYzMjY1NCYCnDhcQyQ1XT08SRQHAwSZBAIGFEk9O142J0VeNj1cHh5g/s0yMzQuJi8VNAEzMTYxOi40NAIsI0ZsSFx9QDAdFDEjzs0kMhQeMEB+XUpqRiEvLi8ue0tVUVAhRjZYTE5WUUxSTlRNAAADAAD/tQK0AvgAAwALABYAAEEBIwETJyMHIxMzEwEuAicOAgcHMwIv/t5kASJEN/w3pfu8/f7PBBEQBQQPDgUztQL4/L0DQ/0IqKgCzf0zAcMPPD8UFzw4E5sAAAIAN/+1AmMC+AADACMAAEEBIwEHIg4CFRQWFjMyNjcVBgYjIiYmNTQ+AjMyFhcHJiYCQf7eZAEiTytFMBkqVUAvVywtXTlyk0ctWIBUNW0xMiRRAvj8vQNDoyE/WTlLazgWEYITEVumbVGHYjYXGHoRGQAAAgAv/zACCAL4AAMAIQAAQQEjAQMiJiY1NDY2MzIWFwcmJiMiBgYVFBYWMzI2NxUGBgII/qdkAVpuT3dCSHxPMFUhLR49Hic2HBw2JStMIh9OAvj8OAPI/P47fWBlfjsUEXINESRJNzZGIxcTexMWAAIAFwAAAg8CygADAAkAAFM1IRUBETMRIRUXAU7+8JkBIQEjfHz+3QLK/bR+AAACABP/tQJIAvgAAwALAABBASMBAyMRIzUhFSMCSP5TVQGthpnBAhvBAvj8vQND/QgCS39/AAABAC3/EAHLAiwAPgAARSImJicmJicmJic1FhYzMjY1NCYmJy4CNTQ2MzIWFwcmJiMiBhUUFhYXHgIVFAYHFhYXHgIzMjY3FQYGAVg5RisSECAlBg0GLGYnLCUPMjUzQiB2YjNcMS0oSCUhIRExMC9EJWVkBwwEDBshFRAfDhAz8CdFLCctEAIHA3kUGhoVDhYcFhYrPS5MTBQXaxEXEhINFRgUEyk9MU1YBgkUCxwfDAUEdAYHAAEAHP8QAesCIgAdAABFIiYmJyYmIyM1EyM1IRUDHgIXHgIzMjY3FQYGAZFCUC0ODiwzO/rsAZb5JDEhCw0dJBYSHRARL/ApRysqK1wBU3Nn/q8IKTgeIScPBAR3BwYAAAEAAAAAAcwC1QAbAABTMhYWFRQOAgcRIxE+AzU0JiMiBgYHJzY22kxrOxQrRzSbNkYqETUsHDkxEDcvbgLVNl07JkZBOxr++wFKEi0yMBYlMRAXCnEcIgABAAQAAAHFAiwAGwAAUzIWFhUUDgIHFSM1PgM1NCYjIgYGByc2NtpMaDcSKUYzmjVFKBE1Khs3LhA3L2oCLDZdPCVFQTsaXaASLTExFikxEBcKbh0hAAMACwAAAmcCygAWACQALQAAczUjNTMRMzIWFRQGBgcVHgIVFAYGIycyNjU0JiYjIxUzFSMVEzI2NTQmIyMVVUpK55OGITchI0AoQHVSEUQ1FzcwXHFxVkIyO0BPrmEBu1ZZLEAnBwUHJUU6Ql4xeTcuGywaMGE1ATktJycmoQAAAgAA//YC9ALKAAMAFwAAUTUhFQcUBgYjIiY1ETMRFBYzMjY2NREzAvRVQYNkjpSXSEcyPh2XAUt8fE9Kd0WRdwHM/ktYSCJINwG0//8AAAAAApwCzQYGAVIAAAACAFr/tQH1AvgAAwAPAABBAyMTEyERIRUhFTMVIxUhAeXWY9R1/mUBm/788vIBBAL4/L0DQ/0IAsp8nXy4AAMAL//NAicCRwAXAB8AIwAAQTIWFhUVIRYWMzI2NxUGBiMiJiY1NDY2FyIGBzM0JiYDJwEXATJMbjv+oQJIQzNULChZQlF9SEF1US04Bc4WLcRJAX9JAiw5b1BJPkcUFHEUEzx9XmB/QGs5OCEyHv4MLQJNLQAB/7n/LQFJAsoAGQAAVyImJzUWFjMyNjY1NSM1MxEzETMVIxUUBgYQHSoQDiMVFykZV1eaV1c6ZtMHBYEEBhI0NPyBASP+3YH5W3E0AAAC/7//EAEyAvkAGQAlAABXIiYnNRYWMzI2NjURIzUzNTMVMxUjERQGBgM0NjMyFhUUBiMiJiIbNhIRIBYTIRRNTZhMTCZWIzIiITIyISIy8AcFeAQGDiMiAQtm1NRm/uE0VDEDnyogHyspISEAAAIAOf8QAx0C1QAmADcAAEEyFhYXMzczERQWMzI2NxUGBiMiJjU1NDQ2NSMOAiMiJiY1NDY2FyIGBhUUFhYzMjY2NTU0JiYBUC9LORMED40cFhEbCQwsGFNfAQcTOUwwT31ISX5zLEQnJkYuPUggHkkC1RcnGUz8/B8bBwN3BglUYCEVIiMVHCsXVKR3eaNUgzdrTU5oNTdiP0A5VzIAAgAt/xACjwIsACMAMQAAUzIWFzM3MxEUFjMyNjcVBgYjIiYmNTU0NjcjBgYjIiY1NDY2FyIGFRQWMzI2Njc1NCb/P0kWBA6AFhURGAwOMhw3RSEDAwYUST1bdDhfaTMwMTYnLxcBMQIsMCBG/aQhHAcEcwkIKVE6KhUvEh4wj4xgfT57VkxOUx49LxVQVAAAAwAKAAACkQLKAAMAEwAdAABTIzUzEzIWFhUUBgYHEyMDIxEjERcjFTMyNjU0JiZ5b2+3Xnw9Ijoly6+fVZnYPz89Qhs4ARB+ATwvXEUwSjQR/sUBEv7uAsp3yzI5ICoWAAACAAAAAAGzAiwAAwAZAABBFSE1JTIWFwcmJiMiDgIVESMRMxczPgIBUf6vAXcPIwoPCx4VFy8oGJdzFgcQMDwBRGZm6AMDjQIEDiA0KP7rAiJcHS4bAAIAAAAAAnMCygADAAwAAEEVITUFEzMDESMRAzMCc/2OATiTpuya7KYCampqywEr/kz+6gERAbkAAgAA/xACOwIiAAMAIQAAQRUhNSczEx4CFzM2NjcTMwMOAiMiJic1FhYzMjY2NzcCNf3XDJ9nBQkHAgQDDwdlnOAWPVhBGSYNCx8RHyocCgwBgWdnof7IDx8gDxUyFgE4/aw9VSwFA3cCBBkpGh8AAAIAR//2Ai8CLAAdACgAAEUiJjURMxczPgIzMhYWFRQGBwcVFBYzMjY3FwYGAzY2NTQmIyIGFRUBGmZtaR0EGDBALjBMLHx7Wy0nJE8mLCtvRkg3JyEvQgphYAFrSh4lESVLO1VXBAMSMCgYEWYXGgEyAyomIyA4NCwAAgAv//YCdAIsAB4ALAAARSImNTQ2MzIWFzM3MxEUFjMyNjcVDgIjIiYnIwYGJzI2NjU1NCYjIgYVFBYBB2R0dWA6RRcFFXsYEAcSBAUYHAszPhIFF0sSJTAYMjs1NzcKjoyNjyseP/6FIRgEAXADBgQkLiAyeCFCMhRNTlRPUVAAAAIACP/2Ak0CLAAeACwAAEEyFhUUBiMiJicjByMRNCYjIgYHNT4CMzIWFzM2NhciBgYVFRQWMzI2NTQmAXZkc3RhOkUXBRR7GBEHEgQFGBwLMz8RBhZMESUwGDI7NTc2AiyOjI2PKx4/AXshGQMCbwMGBCMvIDJ4IUIxFE1PVU5RUAACAE7/9gJPAv4AJQAyAABTMhYXFSYmIyIGBxUUBgczNjYzMhYWFRQGBiMiJiYnIwcjETQ2NhMiBgYHFBYzMjY1NCbzGy4KBx8TExICBAIGFEo8PF02Nl89KTkmDwoZdShLjyUuFQIuPyw0NAL+CwV1AwcUFxAfNxQfL0B9XWB/PRQgEDoCWTtIIv60H0M1U1ZSUE9PAAABAB//9gHSAiwAHAAAUzIWFhUUBgYjIiYnNRYWMzI2NjU0JiMiBgcnNjbTTXJAQ3dONkgiIUYwJDQdPjgfOxssHV0CLDh6Y2OAPhMWghUZI0g3UUsSD3cQFQACACz/ygIJAiwAKAA1AABBMhYXByYmIyIGBhUUFhc2NjMyFhUUBgYjIiYnBgYHJzY2NyYmNTQ2NhMiBgcWFjMyNjY1NCYBRTpTHCkePCAqORwDAhpPNE1ON1s3NE0dChMIUQwZDhYZR31lITcTECwgFSMVHwIsFw50DBEiRDIOHAwZI0o7N0kjGBMTLBglIDUZIlY5Y349/pgeFxQWDBcQFBgAAAIAL/8QApUC+AApADYAAEUiJiY1NTQ2NyMOAiMiJiY1NDY2MzIWFhczJiY1NTMRFBYzMjY3FQYGATI2NTU0JiMiBhUUFgI3OEciBAIGDik6KTxcNTVfPCo6KA0GAgWYFxcRGwwPMf7eOjQwPjQ3OPApUTogGDUSFCMWQH5eXn0/FiQVFTgatPzUJR4GBHEHCwFfSEoSTlBWTFBQAAIAL//2ApcDAAAkADEAAFciJjU0NjMyFhYXMyYmNTU0NjYzMhYXFSYmIyIGFREjJyMOAjcyNjU1NCYjIgYVFBb8WnN0Xic5Kg8EAgUoRi8hNgwIIBMVGHQeBg4qOw0+MjBBMTc3Co+LjY8VJBYTMxUpNkciCQV0AwYaG/2uRxckFnlHSRBPVFRQUE8AAgAu//YCJgIsABcAHwAAQTIWFhUUBgYjIiYnNRYWMzI2NyE1NDY2FyIGBgczJiYBI050QUh9UUJZKCxUM0NIAv6hO29HIS0VAc4FOAIsQH9gXn08ExRxFBRHPklQbzlrHjIhODkAAgAu//YCJgIsABcAHwAAQTIWFhUUBgYjIiYmNTUhJiYjIgYHNTY2Ax4CMzI2NwEQUX1IQXROS287AV8CSEMzVCwoWRMBFS0hLTgFAiw8fF9fgEA6b1BIP0YTFXIRFf6nIDQeOjgAAQAm//YCBgIsAC0AAEEVIyIGBhUUFhYzMjY3FQYGIyImNTQ2Njc1JiY1NDY2MzIWFwcmJiMiBhUUFjMBmlIzPx0aOi89aiIlbEONfiE8KDQ0QGxCOXIqLiRNMjc2QUYBUGcPHhYSGxAaEHcRFVhJKDUfBwUMQTE0PxwWE2wPGBkaIBsAAgAt//YCTwIsABYALQAAQTIWFRQGBxUeAhUUBgYjIiYmNTQ2NhciBgYVFBYWMzI2NTQmIyM1MzI2NTQmAVVufTsyIzghQXZOUYFLToZQJ0AlJD4mLkM9RxMQRz0+AixLTDE4DgUGGy4kN08qPH5iW31CbidMOUNJHR8jIRhnGiIaHQAAAf+//xABMQIiABkAAFciJic1FhYzMjY2NREjNTM1MxUzFSMRFAYGIhs2EhEgFhMhFExMmEtLJlbwBwV4BAYOIyIBBmfY2Gf+5jRUMQAAAgAt/xAClgMAADIAQwAAQTIWFxUmJiMiBhURFAYGIyImJzUWFjMyNjU1NDY0NyMGBiMiJjU0NjMyFhczJiY1NTQ2AyIGBhUUFjMyPgI1NTQmJgJAHS8KBx0SFhw+e1s5Yy4xajg3PAEBAhxNMGJuc18xUBwFBAdVviEsFzM0GykdDhkzAwALBXYDCBob/a9PajYOEnkVFT49DQkYFgYpJZeEh5QnJRMzFSFRU/6wJEc2UFEOITYnEz1HH///AC//EAIvAiwGBgBIAAAAAQA5//gCFAIsACEAAEEyFhcHJiYjIgYGFRQWFjMyNjc1IzUzEQYGIyImJjU0NjYBYDBcIiscQyQzRiQePi8UJA1n6CtoPlJ4QESEAiwUDmgODy1OMzVOKQMDZmn+3w4TP35dV35FAAACAAD/EAI5AiIAGwAnAABFIiY1NDY2NwMzFx4CFzM+Ajc3MwMWFhUUBicyNjU0JicGBhUUFgEXRUgQHBPJnGEHDAkBAwIJDgdgnNEdIUpEEBIRERIQE/BQQCFARigBs+cPKCkQESYoEub+QTdkKT1SWRocFT8iIT8UHRsAAv////MCMgIrADMAPwAAQTIWFxUmJiMiBgYHBxYWFRQGIyImNTQ2NjcnJiYjJgYHNTY2MzIWFxcWFhczNjY3Nz4CAwYGFRQWMzI2NTQmAfEVIQsFDQgOGh0VTx8mU0hGUxAdElAZIxUIEAcMIBYsNxwnDBwKBAobDSURJCy5ERASDw8REQIrBwVyAgIJGRhlJj8vPk1LQR4yLBZpIRcBAwJwBQgiIzMQKhIRKREzFh8R/p0UIxMRFhcRFCMAAAEAR/8qAkACIgAaAABFNDY3Iw4CIyImJjURMxEUFjMyNjY1ETMRIwGpBQIIETA7ITtYMZcqLSwzFZeXPS5CExskESpZRgFj/sI6PCpROQEA/QgAAAEASQAAAkMC/AAmAABTNDYzMhYXFSYmIyIGFRUUBgczPgIzMhYWFREjETQmIyIGBhUVI0laThouCgcZExQcBAMIEjA7ITtYMZcqLSwzFpcCUVpRCAVuAgYYHDsaJQ0dIhEqV0f+qgEwOzsqUDryAAABAE7/EAJGAv0AMwAAUzIWFxUmJiMiBhUVFAYHMz4CMzIWFhURFAYGIyImJzUWFjMyNjURNCYjIgYGFREjETQ2/RoqCggeERcaBQIIES88JDtXMCNOQBcyEQ8bEBkjLCwtNBWVYQL9CgVyAwcaHgkkPQgbJBEqWEb+YTJSMQcFdQQFIjEBbzU2KlA6/v8CUVxQAAMAAQAAASoC+QADAAcAEwAAQRUhNTcRIxE3MhYVFAYjIiY1NDYBKv7X4JdMITExISIwMAFKZmbY/d4CItcfKykgICkrH///AE7/9gFxAiIGBgFXAAAAAQAlAAABNQIiAAsAAEEVBxEXFSE1NxEnNQE1RET+8EZGAiJJHf6qG0tLGwFWHUkAAQAAAAABswL4ACEAAFMmJiMiBgcjPgIzMjIXETMRFhYzMjY3Mw4CIyImJxEjjwcMBhIWBUkCIjgiBAkElQUNBxIVBkkBITciBAwElQFbAgEaGjJCIgEBOf6ZAQMZHDFEIgEB/tMAAv/2AAABlQL4ABQAIAAAcxEjIiYmNTQ2NjMyFhcRMxEzFSMRAzM1NCYmIyIGFRQWniMuOxwbMyMQHAuVYmKzHgoTDhATGgEkHDEfIjEcCggBC/55Tf7cAXEOEhYLEQ8TDgABAE7/EAFYAvgAEAAAVyImJjURMxEUFjMyNjcVBgb5PEwjmBwaER0OEDPwKVE6AzT8zhwhBwRzCQgAAQBO/xAC0QL4ACIAAEUiJic1FhYzMjY2NTQmJiMjNTchESMRMxUhFQceAhUUBgYBpz1sLzBvLj1EHSJVTDrG/uCVlQHY2FhoLkCE8BQTgBcYJDshJTsjarv+UAL41mHKCkVoP0RuPwABAEf/9gOFAiIAJwAARSImNREzERQWMzI2NREzERQWFjMyNjY1ETMRIycjDgIjIiYnIwYGAQRdYJYqKTwvlhIlGyovEpdzFgUPMD8lPVEXBhpWCmBpAWP+wj83VU8BEP7CKTMaKlE5AQD93kYYJRMqKCgqAAEAS/8QA4gCIgAqAABFNDY3Iw4CIyImJyMGBiMiJjURMxEUFjMyNjURMxEUFhYzMjY2NREzESMC8wMDBhEvOCA8UxcNGVkvXV+VKCo7MpUSJBwqLxSVlQsSLRMcJBEnKSomX2kBZP7BOjxUTwES/sEnNBsqUDoBAfzuAAABAE7/EAOLAiwANAAAQTIWFREUBgYjIiYnNRYWMzI2NRE0JiMiBhURIxE0JiYjIgYGFREjETMXMz4CMzIWFzM2NgLPXV8jTkAXMhEPGxAZIygqOzKVEiQcKTAUlXIUCBEyPR88VBYNGVkCLF9p/mEyUjEHBXUEBSIxAWQ7O1RP/u4BPyc0GypQOv7/AiJGHCMRJykqJgAB/+j/EAJJAiwAJAAAQTIWFhURIxE0JiMiBgYVERQGBiMiJic1FhYzMjY1ETMXMz4CAYQ8WDGZKS0tMhUiSjsZLw8MGQ8YGnUUCBI1PwIsKVhH/pwBQjc5KlA5/sc4UiwICXMEBxwhAlxGHCQQAAEATv8QArICLAAkAABFFBYzMjY3FQYGIyImJjURNCYjIgYGFRUjETMXMz4CMzIWFhUCSRsZEBkMDzIbOUojKS0tMhWYdRQIEjU/HzxYMTgiHQcEcwkIKVI8AXs3OSpQOf8CIkYcJBApWEcAAAEAWAAAAlwCIgARAABzETMTNCYmNTUzESMDHgIXFVis5QICd6zlAQECAQIi/nQOMDca/f3eAZEOMjob/AD//wAt//YCPgIsBgYBnwAAAAIALf/4AzACKwAbACoAAEEyFhc1IRUjFTMVIxUzFSE1BgYjIi4CNTQ2NhciBgYVFBYWMzI2NjU0JgEpLD4VAYj25+f2/ngVQik3XEMlPHJdIzIaFzEnKTIWNQIrFBAacmFtcHEZDhMlR2lEW31CcyZJODZLJyhMNFRTAAACAC3/9gMKAisAGQAxAABBMhYWFRQOAiMiJiYnIw4CIyImJjU0NjYXIgYGFRQWMzI2NTUzFRQWFjMyNjU0JiYBnniiUhs1TjItPiYLBQsnPi1BXTFXpXNPYi4qJSwfig0gGyYrLWICK1KQXzhaQCIaLRscLRk8bUtgkFF8NFk4PEA7LW1wHi4ZQDs4WjQAAwAv/xAC/AL4ABUAHgAmAABBHgIVFAYGBxUjNS4CNTQ2Njc1MwMOAhUUFhYXMz4CNTQmJwHeXYBBP4Bfj1yBQz5/Y4+PKj4hID4rjys8IEk+AiUISXZNTHdJCO3tCUp1TE54SAbT/roDKUcuL0YpAwMpRi9FVwUAAQAN//YBdgIiABUAAFciJic3FhYzMj4CNREzESMnIw4CSRAiCg4LHxQYLigYl3MWBxAwOwoEAo0CBA4gNiYBFf3eXBwvGwAAAQAN//YBdgL4ABQAAFciJic3FhYzMjY2NREzESMnIw4CSRAiCg4LHxQgPSmXcxYHEDA7CgQCjQIEGjw0Aev9CFwcLxsAAAEAE/8QAeQCIgAlAABFIiYmNTU0NjcjDgIjIiYnNxYWMzI+AjURMxEUFjMyNjcVBgYBgzhIIgQDBRAvPCQLHQkMBxwOGTMrGpkYGBMbDA808CpTPSgjMRIaLRsCAo8CAw4fNiYBFf2rIyEHBHMJCAABAEn/EAGzAiwAFAAAQTIWFwcmJiMiBgYVESMRMxczPgIBdw8jCg8LHhUfPimXcxYHEDA8AiwDA40CBBo8NP37AxJcHS4bAAABAE7/EAG0AiwAIgAAQTIWFwcmJiMiDgIVERQWMzI2NxUGBiMiJiY1ETMXMz4CAX0MJAcLCRsOGTMrGhwaERsOETAcPEwjdBYHEC49AiwCAo4CAg4fNSf+sRwhBwRzCQgpUToCXl0bLx0AAQBLAAABdgIuABEAAEEyFhcHJiYjIgYVESMRND4CAQQhNhsSDh4VJBuZGTBEAi4JB3wEBiod/psBazVKLhYAAAEAFv8QAUACLgASAABTMh4CFREjETQmJiMiBgcnNjaGLEUwGZkLGxkVHQ8RGjYCLhYuSjX9pQJVEyETBgR8BwkAAAIAUQAAAiICIgAOABcAAHMRMzIWFRQGBgcXIycjFRMyNjU0JiMjFVGtcnEaLR2lloEzITAxLzIhAiJRUSQ3KQ7uzc0BMyImISCJAAACAFEAAAIiAiIADgAXAABTMxUzNzMHHgIVFAYjIzcjFTMyNjU0JlGHM4GWpR0tGnFyraghITIvMQIizc3uDig4JFFR74kgISchAAEALf8aAcsCLAA5AABlFAYGIyImJxUUFjMyNjcVBgYjIiYmNTUWFjMyNjU0JiYnLgI1NDYzMhYXByYmIyIGFRQWFhceAgHLNGVLECEMIBEOFg0QKhcyPh0sZicsJQ8yNTNCIHZiM1wxLShIJSEhETEwL0QlojdNKAQDPiYTBQRoBgcnSjTSFBoaFQ4WHBYWKz0uTEwUF2sRFxISDRUYFBMpPQAAAf/o/xABUAMAAB0AAFMyFhcVJiYjIgYVERQGBiMiJic1FhYzMjY1ETQ2NvceMQoHHxIWGiNKOxkvEA0ZDxgaKEwDAAwGcgMIHCL9fThSLAgJcwQHHCECiUJNIgAB/+j/EAFQAwAAJQAAVyImJzUWFjMyNjURIzUzNTQ2NjMyFhcVJiYjIgYVFTMVIxEUBgZAGS8QDRkPGBpLSyhMNB4xCgcfEhYaS0sjSvAICXMEBxwhASxz6kJNIgwGcgMIHCLkc/7UOFIsAAAB/+v/EAFNAisAHQAAVyImJjURNCYjIgYHNTY2MzIWFhURFBYzMjY3FQYG9jtLIhkVEB0ICy4eNEonGhgPGQwPL/ArUTgBsx4dCARzBQ0jTUD+SyEcBwRzCQgAAAL/nv8QAVADAAAfACsAAFciJiY1NDY2MzMRNDY2MzIWFxUmJiMiBhURMxUjDgInMjY2NTUjIgYVFBY2MkQiH0I0HChMNB4xCgcfEhYaREUELExGDhMJGRkdE/AiOiElOB8CRkJNIgwGcgMIHCL9wFY2SSRZDBgSFBMUDxQAAAEAIP+MAZsCLAAYAABTIgYHNTY2MzIWFhURMxUHByM1IzUzETQmfhkuFxhHKjFNLUdSK1+ZmSQBtQkIbwsOIE5H/vk/MnN0cAEHIB4AAAEAF/8QAZMClQAYAABFMjY3FQYGIyImJjURIzU3NzMVMxUjERQWATkXLhUWSCgvTzFHUS1hmpondwoIcgsOHk9JAepBNHBzcv4VHh4AAAIABP/2AooCIgADABsAAHc1IRUDESMnIw4CIyImJjURMxEUFjMyNjY1EQQChkp0EwkRNT8jOlcxmCktLjMU8GhoATL93kYcJBAqWEYBZP7COjspUDoBAAABAB3/9gJwAiMAJQAARSImJjU0NjY3IzUhFQYGFRQWMzI2NjU0JiYnNSEVIx4CFRQGBgFGVHxDGywYdQEKLjdFQCo8HxksHwEIcRoqGEN8Cj1tSDRMNhJzchZdQUZLIUEvKkc1DnJzEzlKLUxvPAAAAQBO//YCWAIsACQAAEEyFhYVFA4CIyIuAjURMxEUFjMyPgI1NC4CIyIGBzU2NgG3PEYfLlNyRTNONRyVISEhOSwYBw4TDRAYDhI2AiwxW0BQhWA1IkJhPgEp/tJDQyQ/VDAbJRYKBQVyCAcAAQAAAAACOwIiAA8AAEETIwMuAicjDgIHAyMTAWvQnmYECQgBBAEICQVontACIv3eAUMKISIMDSAfDf69AiIAAAEAEAAAA1QCIgAqAABBHgMXMz4DNzczEyMnLgInIw4DBwMjAy4CNSMOAgcHIxMzAXkDEBIPBAQDDxIQBCygm5Q/BwwJAgQBBwgHAkOkQAQLCQQCCg0HQZKdogFjEUNMQg8PQk1EEb393vIaRUETDi8yKAj++gEGDj5BEhBCRxryAiIAAAEAAAAAAjsDEgAdAABhIwMuAicjBgYHAyMTPgIzMhYXFSYmIyIGBgcHAjufZwUJBgMEAw8HZZzgFzxZQBkmDQogER4rGwsMATgPICAPFTIW/scCVT1ULAUDdgIEGSoaHwAAAQAMAAACEgIiAAgAAEEDFSM1AzMXNwISvI+7nGdnAiL+udvXAUvNzQAAAQAc/xACMQIiABgAAEUiJiY1NSE1EyM1IRUDMxUUFjMyNjcVBgYB2SpBJv7U+uwBlvL8GxkOHAkQL/AhTkBBXAFTc2f+ua4pHQYDagcIAAACABv/qQI/AiIAGwAlAABXNjY3IzUTIzUhFQMzPgIzMhYVFAYGIyMGBgc3MjY1NCYjIgYHuwYNBrn97gGb/DwdOEIrNkIwWD1NCREJfCcmEBAXIhM7EB4NWAFYclr+qjdGIkI4OEMcFSkZyRQTDhElIf//ABz/EAIeAiIGBgGiAAAAAgAA/xACHgIiACsANwAAVyImJjU0NjMyFhc2NjU0JiYjIzU3ITUhFQceAhUUBgYHFhYXByYmJw4CJzI2NyYmIyIGFRQW4TxmP15MQWYuBQMoWUoyxv7gAdjYUmkzEBkOBxUJRAcYCRc3REQdRBMmRigdITTwH0c6QEgzLA4WESdBKGOvcmG8CUdpPCY8LA8GFQk/CRoJDRQLbQ0MIyYXFxkbAAABAAQAAAHHAv0AHAAAUzIWFhUUDgIHESMRPgM1NCYmIyIGBgcnNjbaTGk4EylHM5o1RikRFSsfHDcvEDcvagL9Nlw8JEVBOxr+0AFzEi0xMRUbJxcQFwpuHCIAAAEAFwAAAdoC/QAcAABBMhYXBy4CIyIGBhUUHgIXESMRLgM1NDY2AQM+ai83DzA4Gx8qFhEpRjWaNEYpEzhqAv0iHG4KFxAXJxsVMTEtEv6NATAaO0FFJDxcNgAAAQAE//YBxwL3ABwAAFciJic3HgIzMjY2NTQuAicRMxEeAxUUBgbRPWQsNxAvNxwcKhkRKUY1mjNHKRM7bgoiHG4JGBAXKBoWMTAtEgF3/swYOj9FJDtgOAAAAQAt/xAB4QIsACEAAEUiLgI1ND4CMzIWFwcmJiMiDgIVFB4CMzI2NxUGBgEtQV9AIChIYTk5VRwuHDMfHy8fDg8eLx8qQCEiUvAvYJNjbpthLRYPdw0TI0dpRkVlQR8ZFYIVFAAAAwA3//YC3wLVABEAIAAsAABBFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYjIgYGFzQ2MzIWFRQGIyImAt8pU4BYV4FTKUmXdXSXSP35JVA+QE8kUmA/UCVdMyQjMzMjJDMBZlOHYjQ0YodUbqVbW6VvSmw5OWxKcIA6a04uJSUuLCcnAAADAE4AAAH3AiIAEgAbACQAAHMRMzIWFhUUBgYHFR4CFRQGIycyNjU0JiMjFTcyNjU0JiMjFU65TmQxFygZGi4dcGIOMCYmMkA7LiMqLDYCIhw8MSEzHgUEBRszLEtUaCUeGiaD5R8bHBlvAAACACb/9gJMAiwAFgAtAABBMhYWFRQGBiMiJjU0NjY3NSYmNTQ2NhciBhUUFjMzFSMiBhUUFjMyNjY1NCYmASNihENJhlyCeSQ4Hy89NmpOLzI7OB8hPTc6LCxBIx5AAixCfllffkBaSig0HQYECzwyLkQkbx4bIBplHB4hHx5IQDhNJwABAC7/9QJwAvwAMQAAQTIWFxUmJiMiBhUVByYmIyIGBhUUFhYzMjY3NSM1MxEGBiMiJiY1NDY2MzIWFzU0NjYCLRYjCgccERYYLx5CJSdBKBg1KRQdE2P3LWVGWXo/RIFdEiIPJkUC/AcEbwMHGxdhbxEVIUY4MkgmBARaaP7mEBxBflpXgEcDAzY4RyEAAQBQAAACNgIiAAsAAHMRMxUzNTMRIzUjFVCQx4+PxwIizs793uDgAAP/pf8QASgC+AASAB4AKgAAVyImJjU0NjYzMxEzETMVIw4CJzI2NjU1IyIGFRQWEyImNTQ2MzIWFRQGNTE/IB5AMBuVRUYEJ0lLDRMLGBscE4chMDAhITAw8CE2HiQ3IAIi/d5NMEkqUgsZFBkWFBEWAwQgKSofHyopIAABAAD/KgIeAiIAEwAAZTQ2NyMOAgcHIzcDMxc3NTMRIwGJBQMCChUWDJmo2easnUCVlX4fPR8OHBwNpu0BNd0zqv0IAAEAUgAAAbwCIgAFAABzETMRMxVSj9sCIv5QcgACAC//EAKdAwAAJgA0AABFNDY3Iw4CIyImNTQ2MzIWFzMmJjU1NDY2MzIWFxUmJiMiBhURIwMyNjY1NTQmIyIGFRQWAZcEAgYOKjsnW3N0XjpHGAQCBStILCQ3DAghFBcamGYqMBYwQTE3NwsSLRIWJBaPi42PLSITMxUePkshCQZyAwYeJfzLAV8fQTAQT1RUUFBPAAABAAQAAAHHAv0AJAAAUzIWFhUUDgIHFTMVIxUjNSM1MzU+AzU0JiYjIgYGByc2NtpMaTgTKUQyb2+bWVk0RSgRGSocHDcvEDcvagL9Nlw8JEVBOxo5Z5CQZ3wSLTExFRsnFxAXCm4cIgAAAQAXAAAB2gL9ACQAAEEyFhcHLgIjIgYGFRQeAhcVMxUjFSM1IzUzNS4DNTQ2NgEDPmovNw8wOBscKxgRKEUzW1uabW0yRCkTOGoC/SIcbgoXEBcnGxUxMS0SfGeQkGc5GTk/RSQ8XzgAAAMAL//2A9cC+AAcACkALAAAVyImNTQ2MzIWFhczJiY1NTMVIRUDMxUhJyMOAjcyNjU1NCYjIgYVFBYFEyP8WnN0Xic5Kg8FAgaYAZ70/v3kHgYOKjsNPjIwQTE3NwEw8/MKj4uNjxUkFxFAHa7WYf6zdEcXJBZ5R0kQT1RUUFBPCwFLAAIAL/8QBAgC+AA2AEMAAEUiJic1FhYzMjY2NTQmJiMjNTchESMnIw4CIyImNTQ2MzIWFhczJiY1NTMVIRUHHgIVFAYGATI2NTU0JiMiBhUUFgLYRmQrKm07NEQiJFJIP8H+/HQeBg4qOyhac3ReJzkqDwUCBpgBw9NHaTlDh/3zPjIwQTE3N/AUEYMUGyE8Jig6H2K9/lRHFyQWj4uNjxUkFxNCGa7WYcwFOWBBTXdCAV9HSRBPVFRQUE8ABAAt/6kERQL4AC4AOwA+AEgAAEU2NjchJyMOAiMiJjU0NjMyFhYXMyYmNTUzFSEVAzM+AjMyFhUUBgYjIwYGByUyNjc1NCYjIgYVFBYFEyMBMjY1NCYjIgYHAsEGDQb+3x0GDis6KFtzdF4nPCsPBQQHlQGg/DwdOEIrNkIwWD1NCREJ/h8+MgExQjE4OAEv8/MBYScmEBAXIhM7EB4NRxYlFo+LjJAVJBcbNxuv1lr+qjdGIkI4OEMcFSkZxElJEFBUVVBQUQgBS/7CFBMOESUhAAACABcAAAMDApUAJQA6AABhIiYmNTUjNTc3MxUzNjYzMhYXByYmIyIGFRQWFhceAhUUBgYjJzI2NjU0JiYnLgI1NDY3IxUUFjMBDTFPL0dRLWHvFC0YNVsvLCZQHyImFTUwMUMhMWRNBB8mEhQ2MTBCIgMDdSUeIVBI90E0cHMFBRYUZxEWFRMOFhgTEys6KzRMKHIJEw4QFhoREio6KgoRCPwfIwAAAgAX/xACkQL+AC0ANgAARRQGBiMiJic1FhYzMjY1NQYGIyImJjURIzU3NzMVMzU0NjYzMhYXFSYmIyIGFQMyNjcRIxEUFgIrIkg6GS8PDBkPFhgXRigvTzFHUS1hnChLMh8xCgcgERQa8hYuFZwnQzNPKwgJcwQHGBxRCw0eT0kBBEE0cHM1P0kfDAZyAwgXHP4dCQgBMP77Hh4AAgAX//YDdgKVADkARgAARSImJjURIzU3NzMVMxUjERQWMzI2NyYmNTQ2NjMyFhcHJiYjIgYGFRQWFzY2MzIWFRQGBiMiJicGBiUyNjY1NCYjIgYHFhYBCjFNLkdRLWGRkSYaHkEaCApIfVA6UxwpHjwgKjkcAwEZTjdOTTdbN0hiIS9nAWsVIxUfHyI6FBAvCiBPRwEEQTRwc3L+/SEdFxEaOiNjfj0XDnQMESJEMgwaChMjSjs3SSMpJCEsbwwXEBQYHREWGwABABT/EAN4Av0APAAARSImJzUWFjMyNjY1ETQmIyIGBhURIxEjESMRIzU3NTQ2NjMyFhcHJiYjIgYVFTMXMz4CMzIWFhURFAYGAsQYMRAOGhIPGhErKS40E5l/mFJSMVk6LUgVKBApGhwf9BUJEjQ+ITxXMCRO8AcFeAQGDiMiAW8yNCpQOP8AAbD+UAGwSCokR08hDwlwBQokIB5GHCQQKVdI/mU0VDEAAAEATv/2AqkC+AAwAABFIiYmJxUjETMRHgIzMjY1NC4CJy4CNTQ2MzIWFwcmJiMiBhUUFhYXHgIVFAYBqyZDPR+YmCJEQR86LQYTLSgxPRxuYDRaKy4mQiAdHg8tLy4/IH0KBxANGgL4/aARFgsXFQgPExkQFi49LUdSFhVuERcTEQoVGhQSLDsqWFkAAgBJAAACjAL4AAgACwAAcxEzFSEVAzMVJRMjSZcBovT+/lT4+AL41mH+s3RfAVAAAv/9AAACGwLKAAwAGQAAQQMjJwcjAzMXNzMXNxMDIycHIwMzFzczFzcCG2dvOzxtZGI7PWo4P2Nnbzs8bWRjOj1qOD8Cyv6w6ekBUN7e39/+hv6w6+sBUN7e398AAAIATgAAAhACygAHAA8AAHchFSM1IxUjESEVIzUjFSNOAcJ21nYBwnbWdv39jY0Cyv2NjQAB/+z/EAJDAiwAJwAAUzIWFhUVFBYzMjY2NREzESM1NDY3Iw4CIyImJjU1NCYjIgYHNTY2QDlHISotLjMVlZUDAwYSLTsnOlgwFBcRGwgLLQIsJE09mzo8KVE6AQH87uUSLhIbJBIpWUa7Hh4HA3IECwAB/+z/EAKrAiwANAAAUzIWFhUVFBYzMjY2NREzERQWMzI2NxUGBiMiJiY1NTQ2NyMOAiMiJiY1NTQmIyIGBzU2NkA5RyEqLS4zFZUYGREYDhAxGjtIHwMDBhItOyc6WDAUFxEbCAstAiwkTT2bOjwpUToBAf2tJCMFBHIIBydKMygiMBkbJBIpWUa7Hh4HA3IECwAAAQAwAR8BeALnABcAAFMUBgczNjYzMhYVFSM1NCYjIgYVFSMRM5IDAgYRNCE5RmIcHCshYmICixsoCxkXOj/VvyMkODSaAcgAAQAwAR8BeALpACMAAFM0NjMyFhcVJiYjIgYVFRQGBzM2NjMyFhUVIzU0JiMiBhUVIzA6MxEdBwQRDA4RAwIGETQhOUZiHBwrIWICgjYxBQNCAgMOECQQFggaFjhAzbYjJDg0kQAAAv/eAI8AlwLoABAAHAAAdyImJzUWFjMyNjURMxEUBgYDNDYzMhYVFAYjIiYaDyILChIMERliFzYZHxYWICAWFh+PBANIAwMUHgFd/pUeMR4CLRkTExkZFBQAAQAwAR8BGwJtABQAAFMyFhcHJiYjIgYGFRUjETMXMz4C9AoWBwoHFA4TKBtiSg8FCR8oAm0DAVUCAg8lHqcBSDcRGxEAAAEACAEZAPMCZwAUAABTIiYnNxYWMzI2NjU1MxEjJyMOAi8KFgcKBxMOFCgbYksOBQofJwEZAwFVAgIPJR+m/rg3EBwRAAABAAwAjwE6AmcAIgAAdyImNTU0NjcjBgYjIiYnNxYWMzI2NjU1MxEUFjMyNjcVBgb8ODIDAgQPNSMHEwYIBBMJFSwdZA8QDBEICiGPODgXFR4LFyQBAlUBAhAkH6b+mhYTBAJEBgUAAAIANQEfAWMCZwANABYAAFMzFTM3MwcWFhUUBiMjNyMVMzI2NTQmNVciU2JrGyZKSnBtFhYhHiACZ3t7jw0qITAxkFMUExcVAAEABwEfAiYCZwApAABBLgMnIw4DBwcjAzMXHgIXMzQ2Njc3MxceAhUzPgI3NzMDIwE7AgoMCgIDAgoLCgMdaGRgKQQIBgEDBwcCLGoqAgcGAwEHCAUqX2ZpAZIKKC4nCQknLikLcQFIkg8qJwsLKSUGnp4IJScLCicrD5L+uAAAAQAAAI8BdAJnABoAAFEzFxYWFzM2Njc3MwMGBiMiJic1FhYzMjY3N2dDBQgCAwIJBUJmkhdEPxEYCAYVCx4gCggCZ7sOHQ0MHg28/po3OwMCRwICIRcT//8ADAHVAM0CygYGAWUAAP//AAwB1QGxAsoGBgFpAAD//wAMAdUAzQLKBgYBZAAA//8ADAHVAM0CygYGAWcAAAABAB4CPwCYAyQADQAAUzIWFRQGIzUyNjU0JiMeM0dGNBIZGRIDJD01NT5IFxQUFwABAB4CPwCYAyQADQAAUyImNTQ2MxUiBhUUFjOYNEZHMxIYGBICPz03NTxIFxMUFwABAAgBxwEmAv4AFQAAUzY2NTQmIyIGByc2NjMyFhUUBgcVI0ozMxsYFSwSIhlAKFFMNj9nAiwMKBkWHA8NUA4RSzcsRBMyAAABABABxwEuAv4AFQAAUxUjNSYmNTQ2MzIWFwcmJiMiBhUUFuxnPzZMUShBGCITKxYWHDMCLGUyE0QsN0sRDlANDxwWGSgAAQAWAhQBCAMbAAYAAEEnNTcVBxcBCPLyp6cCFGsjeTtNRQAAAQAWAhQBCAMbAAYAAFM3JzUXFQcWp6fy8gJORU07eSNrAAEACgIeARIDEQAGAABTNzMXIycHCm8ocTxJSAIe8/OmpgABAAQCHgEMAxEABgAAQQcjJzMXNwEMbyhxPElIAxHz86amAAABACgB8ACMAwIAAwAAUxEjEYxkAwL+7gES//8AKAJeAUUC/gYGAHQAAP//ACgCXgFFAv4GBgBBAAAAAQAo/yoAjAA8AAMAAHcRIxGMZDz+7gESAP//ACj/TQF0/68GBwFKAAD87///ACj/NAFF/9QGBwBBAAD81v//ACj/NAFF/9QGBwB0AAD81gACADYAAADoAhgAAgAFAABTJzMDNxePWbKyWVkBjYv96IuLAAABADYBjQDoAhgAAgAAUyczj1myAY2LAP//ACgAwQCiAaYEBwMmAAr+gv//ACgAwQCiAaYEBwMnAAr+gv//AB4A6ADwAYgEBwZ1AIcBuP//AB4A6ADwAYgEBwZ2AIcBuP//AB4A0ADwAZgEBwZ3AIcBtAABAB4BDwDuAU0AAwAAUyM1M+7Q0AEPPv//ACgCOwD0AwcEBwaUAI4AAAACAAAAjwFyAmcAGAAkAAB3IiY1NDY3AzMXFhYXMzY2NzczAxYWFRQGJzI2NTQmJwYGFRQWtSwvFhODZT8HCwECAgwHPmaIExUwLAoMCwsMCgyPMCYeOyQBBYsNKA4PJBGK/vMhOxklMTUQEQwmFRQmDBIQAAEAMAEfAJIC5wADAABTIxEzkmJiAR8ByAAAAQAdARkBKwJtACgAAEEUBiMiJic1FhYzMjY1NCYnLgI1NDYzMhYXByYmIyIGFRQWFhceAgErSEsmORsdQhgeGyAwICoXTkAiPB4cGTUTFhkOIh8gKxYBgC84CQpLDA8QDQ4TEgsaJBsuLw0NPQoMDAsJDQ4LDBokAAABAAMBHwF0AmcACwAAUyczFzczBxcjJwcjfHNuRUVuc3htS0tuAcahaWmhp3BwAAABAA8BHwE0AuoAFwAAUzIWFwcmJiMiBhUUFhYXFSM1LgI1NDapJ0UfJA81Gh8fFDMuZCw0FlEC6hQSQQkUHRgRKCYO37cVMDYdNkYAAQBOAAABVAKwAAUAAGERIzUhEQESxAEGAm5C/VAAAQBOAAABVAKwAAcAAGERIzUzNTMRARLExEIByUKl/VAAAAEATgAAAVQCsAAHAABhESM1MxEzEQESxMRCAUZCASj9UAABAE4AAAFUArAABwAAYTUjNTMRMxEBEsTEQqdCAcf9UAAAAQBOAAABVAKwAAUAAGEhNTMRMwFU/vrEQkICbgAAAQBOAKYBVAIQAAUAAFMzETMVIU5CxP76AhD+2EIAAQBOAKYBVAIQAAcAAFMzFTMVIxUjTkLExEICEJRClP//ACj/OQHQ/9kGBwFJAAD82///ACgCUwHHAx8EBwFjACoDNf//AAwB1QGxAsoGBgFpAAAAAQAo/xABdv/uAAYAAFcnMxc3Mwe3j09YWU6O8N6Ght4AAAEAKP8QAXb/7AAGAABXNzMXIycHKI4xj09YWfDc3ISEAAABACj/EAEjABcABgAARSc1NxUHFwEj+/ujo/BrMWtFPj8AAQAo/xABIwAXAAYAAFc1Nyc1FxUoo6P78EU+P0VrMf//ACgBGQFFAbkGBwBBAAD+uwACACgBGQHcAbkADAAZAABTNTMeAhcVIy4DNzUzHgIXFSMuAyiTDCEkDk8SMTImupMMIiMOTxIxMiYBrwoWNjQTDQ4nLCgNChY2NBMNDicsKAD//wAoARkB3AG5BgcBUAAA/rv//wAo/zEBvf/JBgcBTwAA/NT//wA2AMIA4wL6BgcAGwAAAM4AAQAoAccA9gKpAAUAAFMzFSMVIyjOmTUCqTWtAAEAKAHHAPYCqQAFAABTFSM1IzX2NZkCqeKtNQABACgAAAD2AOIABQAAczUzFTMVKDWZ4q01AAEAKAAAAPYA4gAFAABzIzUzNTP2zpk1Na0AAQAo/zAB5v/VAAcAAEUhNTMVITUzAeb+QjgBTTnQpWNjAAEAKP8wAeb/1QAFAABFITUzFSEB5v5COAGG0KVjAAEAKP8QAe4ASwAJAABFJzU3FQchFSEXASP7+4QBT/6xhPCFMYU7RDxFAAH+XQJT/zwDPgAVAABDFAYHByMnNjY1NCYjIgYHNTY2MzIWxCsnBVMLIh8bFBEbEA4wGUREAtYlMgkjRwUWFBIQBAZSBAc2AAEAHP8gAcoCIgAYAABBFQMzFRQGBiMiJic1FhYzMjY1NSE1EyM1AcDy/CBCMBkpEAobDhkY/tL67AIiZ/65qjpLJQgGbQMGFyA3XAFTcwD//wBVAAACZwOgBiYAIwAAAAcBTADTAKj//wBJ//YCSAPOBiYAQwAAAAcBTADSANb//wBV/y0CZwLKBiYAIwAAAAcGewKcAAD//wBJ/y0CSAL4BiYAQwAAAAcGewKaAAD//wBV/00CZwLKBiYAIwAAAAcBSgB8/O///wBJ/00CSAL4BiYAQwAAAAcBSgB6/O///wA3/xACYwOmBiYAJAAAACcAeADyAAAABwB0APYAqP//AC//EAHqAv4GJgBEAAAAJwB4AKgAAAAHAHQApQAA//8AVQAAAqYDoAYmACUAAAAHAUwA8wCo//8AL//2Ai8DzgYmAEUAAAAHAUwAgADW//8AVf8tAqYCygYmACUAAAAHBnsCsgAA//8AL/8tAi8C+AYmAEUAAAAHBnsCgwAA//8AVf9NAqYCygYmACUAAAAHAUoAkvzv//8AL/9NAi8C+AYmAEUAAAAHAUoAY/zvAAMAVf8QAqYCygAWACEAKwAARRQGIyImJzUWFjMyNjU0Jic3MwceAhMUBgYjIxEzMhYWBzQmJiMjETMyNgHJQVYWIw4OKQ8OFSQtOF4fFCQX3Vyoc9rscKBVoC1aQk9Abmp6OD4GBFIEBg0REhwHbUAGGSQB0nukUgLKT5p2TWQx/jF2AAMAL/8QAi8C+AAWAC4AOwAARRQGIyImJzUWFjMyNjU0Jic3MwceAiciJjU0NjMyFhYXMyYmNTUzESMnIw4CNzI2NzU0JiMiBhUUFgGoQVYWIw4OKQ8OFSQtOF4fFCQXrFtydF4nOSoPBQMFmHQeBg4qOw09MgEwQTE3N3o4PgYEUgQGDRESHAd0RwYZJFePi42PFSQXEkEbrv0IRxckFnlHSRBPVFRQUE///wBV/zgCpgLKBiYAJQAAAAcBSABt/Nr//wAv/zgCLwL4BiYARQAAAAcBSABJ/NoAAwBaAAAB9QQrAAsADwAbAABBLgInNTMeAhcVBTUhFRMhESEVIRUzFSMVIQEtGD46E6IOIiQQ/voBSyD+ZQGb/vzy8gEEA5oRMTITChYvLBMNgl1d/OgCynydfLgAAAQAL//2AicDcQALAA8AJwAvAABBLgInNTMeAhcVBTUhFQcyFhYVFSEWFjMyNjcVBgYjIiYmNTQ2NhciBgczNCYmASoYPjoTog4iJBD++gFLoExuO/6hA0dDM1QsKFpBUX1IQXVRLTkEzhcsAuARMTITChYvLBMNgl1dMjlvUEk+RxQUcRQTPXxeYH9Aazk4IDQdAAADAFoAAAH1BCsACwAPABsAAFM+AjczFQ4CByMHNSEVEyERIRUhFTMVIxUhyxEjIg6iEzo9GWNFAUsk/mUBm/788vIBBAOnEywvFgoTMjERgl1d/OgCynydfLgAAAQAL//2AicDcQALAA8AJwAvAABTPgI3MxUOAgcjBzUhFQcyFhYVFSEWFjMyNjcVBgYjIiYmNTQ2NhciBgczNCYmzBEjIg6iEzo9GWNFAUugTG47/qEDR0MzVCwoWkFRfUhBdVEtOQTOFywC7RMsLxYKEzIxEYJdXTI5b1BJPkcUFHEUEz18XmB/QGs5OCA0HQD//wBa/zgB9gLKBiYAJgAAAAcBSAA8/Nr//wAv/zgCJwIsBiYARgAAAAcBSABN/Nr//wBa/zQB+gLKBiYAJgAAAAcBTwA9/Nf//wAv/zQCJwIsBiYARgAAAAcBTwBU/Nf//wBa/xAB9QOrBiYAJgAAACcAeADXAAAABwFLAEgAqP//AC//EAInAwMGJgBGAAAAJgFLUgAABwB4ALoAAP//AFoAAAHzA6EGJgAnAAAABwFMALEAqP//ABQAAAGwA9MGJgBHAAAABwFMAJEA2///ADr/9gKEA2gGJgAoAAAABwFKAMEAqP//AC//EAIvAsAGJgBIAAAABgFKZQD//wBaAAACowOhBiYAKQAAAAcBTAEGAKj//wBFAAACQwPOBiYASQAAAAcBTAAdANb//wBa/y0CowLKBiYAKQAAAAcGewKzAAD//wBJ/y0CQwL4BiYASQAAAAcGewKaAAD//wBaAAACowOZBiYAKQAAAAcAaABPAKj////mAAACQwPGBiYASQAAAAcAaP9pANb//wBa/xACowLKBiYAKQAAAAYAeFAA//8AK/8QAkMC+AYmAEkAAAAGAHgYAP//AFr/LAKjAsoGJgApAAAABwFLAJn8zv//AEn/LAJDAvgGJgBJAAAABwFLAGr8zv////n/NAGOAsoGJgAqAAAABwFP/9H81////9T/NAFpAvkGJgBKAAAABwFP/6z81wAEACAAAAGABBkACgAWACIALgAAUzY2NzMVDgIHIwciJjU0NjMyFhUUBjMiJjU0NjMyFhUUBhMhNTcRJzUhFQcRF4IZMBOiEjU7GGQiHSIiHRwkJKkcIyMcHCQkJP67V1cBRVdXA5UcRiIKFDIwEYkfHR8eHh8dHx8dHx4eHx0f/QFWKAHOKFZWKP4yKAAABP/zAAABUwNxAAoAFgAiACYAAFM2NjczFQ4CByMHIiY1NDYzMhYVFAYzIiY1NDYzMhYVFAYDIxEzVRkwEqMRNzoYZCIdIyMdHCQkqR0iIh0cJCQzl5cC7RxGIgoTMzARiR8dHx4eHx0fHx0fHh4fHR/9qQIi//8AWgAAApgDpgYmACwAAAAHAHQA6gCo//8ANQAAAmwD1AYmAEwAAAAHAHQADQDW//8AWv8tApgCygYmACwAAAAHBnsCrgAA//8ATv8tAmwC+AYmAEwAAAAHBnsCbgAA//8AWv9bApgCygYmACwAAAAHAUoAl/z9//8ATv9NAmwC+AYmAEwAAAAHAUoAaPzv//8AVf8tAg8CygYmAC0AAAAHBnsCgwAA//8AQv8tAOYC+AYmAE0AAAAHBnsB5wAA////+P8tAg8DZwYmAC0AAAAnBnsCgwAAAAcBSv/QAKj////v/y0BOwOVBiYATQAAACcGewHnAAAABwFK/8cA1v//AFX/TQIPAsoGJgAtAAAABwFKAGP87////+//TQE7AvgGJgBNAAAABwFK/8f87///AFX/OAIPAsoGJgAtAAAABwFIAD782v///8r/OAFcAvgGJgBNAAAABwFI/6L82v//AFoAAANVA6AGJgAuAAAABwFMAWEAqP//AEkAAAOIAvkGJgBOAAAABwFMAX8AAP//AFr/LQNVAsoGJgAuAAAABwZ7AyYAAP//AEn/LQOIAiwGJgBOAAAABwZ7Az0AAP//AFoAAALTA6AGJgAvAAAABwFMARkAqP//AEkAAAJDAvkGJgBPAAAABwFMAMsAAP//AFr/LQLTAsoGJgAvAAAABwZ7AuQAAP//AEn/LQJDAiwGJgBPAAAABwZ7ApcAAP//AFr/TQLTAsoGJgAvAAAABwFKAMT87///AEn/TQJDAiwGJgBPAAAABwFKAHf87///AFr/OALTAsoGJgAvAAAABwFIAJ/82v//AEn/OAJDAiwGJgBPAAAABwFIAFL82gAEADf/9gLfBBkAGAAjADUARAAAUzY2MzIeAjMyNjczDgIjIi4CIyIGBzc2NjczFQ4CByMBFA4CIyIuAjU0NjYzMhYWBRQWFjMyNjY1NCYjIgYG3QUyMxgnIR0OEhMEQQMYLCQWJyEdDRMSBhgYMhGjETY6GWQBqSlTgFhXgVMpSZd1dJdI/fklUD5ATyRSYD9QJQMFMUIMEQ0VFSE0Hw0RDBQVmRw+IQoULiwQ/dVTh2I0NGKHVG+kW1ulb0psOTlsSnCAOmsAAAQAL//2AkEDcQAYACMANQBEAABTNjYzMh4CMzI2NzMOAiMiLgIjIgYHNzY2NzMVDgIHIwEUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgaKBDMzGCchHQ4SEgVBAxgtIxYnIR0NExMGGBkyEaMRNjoZZQFfJUViPjpgRihAeFNNdkT+iBcxKCcxFhcwKDo1Al0xQgwRDRYUIDUeDBIMFBaZHD8gChMuLBH+KURqSCYmSGpEW35BQX5bNUwoKEw1NkonVgAABQA3//YC3wQGABgAJAAwAEIAUQAAUzY2MzIeAjMyNjczDgIjIi4CIyIGBzciJjU0NjMyFhUUBjMiJjU0NjMyFhUUBhMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgbYBTQ0GSghHg8SFgQ/BBgtJRYoIh0OFBUGEhwjIxwcJCSpHCMjHBwkJNUpU4BYV4FTKUmXdXSXSP35JVA+QE8kUmA/UCUDBTFCDBENFRUhNB8NEQwUFYcgHR8eHh8dICAdHx4eHx0g/dpTh2I0NGKHVG+kW1ulb0psOTlsSnCAOmsABQAv//YCQQNeABgAJAAwAEIAUQAAUzY2MzIeAjMyNjczDgIjIi4CIyIGBzciJjU0NjMyFhUUBjMiJjU0NjMyFhUUBhMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgaFBTQ0GSciHg4TFgQ/BBgtJRcnIh4OExUHExwkJBwcJCSpHSIiHRwkJIolRWI+OmBGKEB4U012RP6IFzEoJzEWFzAoOjUCXTFCDBENFhQgNR4MEgwUFogfHR8eHh8dHx8dHx4eHx0f/i1EakgmJkhqRFt+QUF+WzVMKChMNTZKJ1YABAA3//YC3wQrAAsADwAhADAAAEEuAic1Mx4CFxUFNSEVExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmIyIGBgF/GT06E6IOIiMR/voBS7goVIBYV4FTKUmXdXSXSP35JU8/QE8kU18/UCUDmhExMhMKFi8sEw2CXV3+TlOHYjQ0YohTbqVbW6VvSmw5OWxKcIA6bAAABAAv//YCQQNxAAsADwAhADAAAEEuAic1Mx4CFxUFNSEVExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmJiMiBgEwGD46E6IOIiQQ/voBS2klRWM9OmBHJ0B4U012RP6IFzEoJzEWFjInOzQC4BExMhMKFi8sEw2CXV3+tERqSCYmSGpEW35BQX5bNUwoKEw1NkonVgAABAA3//YC3wQrAAsADwAhADAAAEE+AjczFQ4CByMHNSEVExQOAiMiLgI1NDY2MzIWFgUUFhYzMjY2NTQmIyIGBgEnESMiDqITOj0ZY0UBS7IoVIBYV4FTKUmXdXSXSP35JU8/QE8kU18/UCUDpxMsLxYKEzIxEYJdXf5OU4diNDRiiFNupVtbpW9KbDk5bEpwgDpsAAQAL//2AkEDcQALAA8AIQAwAABTPgI3MxUOAgcjBzUhFRMUDgIjIi4CNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgbUESMiDqITOj0ZY0UBS2clRWM9OmBHJ0B4U012RP6IFzEoJzEWFjInOzQC7RMsLxYKEzIxEYJdXf60RGpIJiZIakRbfkFBfls1TCgoTDU2SidWAP//AFUAAAJDA6YGJgAxAAAABwB0AMkAqP//AEn/EAJIAv4GJgBRAAAABwB0ANIAAP//AFUAAAJDA6AGJgAxAAAABwFMAMgAqP//AEn/EAJIAvkGJgBRAAAABwFMANEAAP//AFUAAAKRA6AGJgAzAAAABwFMAM8AqP//AEkAAAGzAvkGJgBTAAAABwFMAH0AAP//AFX/LQKRAsoGJgAzAAAABwZ7AqoAAP//AEL/LQGzAiwGJgBTAAAABwZ7AecAAP//AFX/LQKRA2cGJgAzAAAAJwZ7AqoAAAAHAUoAegCo//8AQv8tAbMCwAYmAFMAAAAnBnsB5wAAAAYBSikA//8AVf9NApECygYmADMAAAAHAUoAivzv////7/9NAbMCLAYmAFMAAAAHAUr/x/zv//8ALv/2Af8DoQYmADQAAAAHAUwAowCo//8ALv/2AcwC+QYmAFQAAAAHAUwAfQAA//8ALv8tAf8C1AYmADQAAAAHBnsCRAAA//8ALv8tAcwCLAYmAFQAAAAHBnsCSAAAAAMALv/2AgIDpgALABcARwAAUz4CNzMVDgIHIyciJjU0NjMyFhUUBgEUBgYjIiYmJzUWFjMyNjY1NCYmJy4DNTQ2NjMyFhcHJiYjIgYGFRQWFhceAv4QIyIPoBM7QBpcRR0iIh0cJCQBKj51VCVHQR0zbTYlLRUlPigZOjUiO21KOGU3MTFOKRwoFR48LTdNKgMTEzM2FwoWOTYRDx8dHx4eHx0f/bE/XjMKEw6NFiUUIhYbJiETDCExRjFAWzAaGHYUFhIgFhkjIBYaOEwAAwAu//YB3QL+AAsAFwBCAABTPgI3MxUOAgcjJyImNTQ2MzIWFRQGARQGBiMiJic1FhYzMjY1NCYmJy4CNTQ2MzIWFwcmJiMiBhUUFhYXHgLZECMjDqATO0AaXEYcIiIcHSQkARwxZE06WCksZiUuKRU1MTFCIXdiNVsvLCZQHyImFTUwMUMhAmsTMzYXChU6NhEPHx0fHh4fHR/+NDRNKg8RfRUYGhYPGBoTFCs8LUtPFhRnERYVEw4WGBMTKz0AAwAu//YB/wQGABIAHgBOAABTLgInNTMWFhc2NjczFQ4CByciJjU0NjMyFhUUBhMUBgYjIiYmJzUWFjMyNjY1NCYmJy4DNTQ2NjMyFhcHJiYjIgYGFRQWFhceAtwRKCkTSB03GRk3G0gTKScQQB0iIh0cJCTHPnVUJUdBHTNtNiUtFSU+KBk6NSI7bUo4ZTcxMU4pHCgVHjwtN00qAwYaMzEVDRQtGRotEw0VMDQahx8dHx4eHx0f/Tk/XjMKEw6NFiUUIhYbJiETDCExRjFAWzAaGHYUFhIgFhkjIBYaOEwAAAMALv/2AcwDXgASAB4ASQAAUy4CJzUzFhYXNjY3MxUOAgcnIiY1NDYzMhYVFAYTFAYGIyImJzUWFjMyNjU0JiYnLgI1NDYzMhYXByYmIyIGFRQWFhceArYQKCkTSB03GRg3HEcSKScQQBwjIxwcJCS5MWRNOlgpLGYlLikVNTExQiF3YjVbLywmUB8iJhU1MDFDIQJeGzIxFQ0TLRoaLhINFDEzG4cfHR8eHh8dH/28NE0qDxF9FRgaFg8YGhMUKzwtS08WFGcRFhUTDhYYExMrPQD//wAu/y0B/wOhBiYANAAAACcGewJEAAAABwFMAKMAqP//AC7/LQHMAvkGJgBUAAAAJwZ7AkgAAAAHAUwAfQAA//8AEwAAAi4DoAYmADUAAAAHAUwApwCo//8AF//2AZIDbQYmAFUAAAAGAUxNdP//ABP/LQIuAsoGJgA1AAAABwZ7AnMAAP//ABf/LQGSApYGJgBVAAAABwZ7AikAAP//ABP/TQIuAsoGJgA1AAAABwFKAFP87///ABf/TQGXApYGJgBVAAAABwFKACP87///ABP/OAIuAsoGJgA1AAAABwFIAC782v//ABf/OAG4ApYGJgBVAAAABwFI//782v//AFX/PQKfAsoGJgA2AAAABwBoAEr80P//AEb/PQJAAiIGJgBWAAAABwBoABT80P//AFX/NAKfAsoGJgA2AAAABwFPAIb81///AEb/NAJAAiIGJgBWAAAABwFPAE/81///AFX/OAKfAsoGJgA2AAAABwFIAIX82v//AEb/OAJAAiIGJgBWAAAABwFIAEj82gADAFX/9gKfBBkAGAAjADcAAFM2NjMyHgIzMjY3Mw4CIyIuAiMiBgc3NjY3MxUOAgcjARQGBiMiJjURMxEUFjMyNjY1ETPLBTIzGCchHQ4SEwRBBBctIxYmIR0OExIGGBgyEqIRNjoZZAF7QYNkjpSXSEcyPh2XAwUxQgwRDRYUIDUeDBENFBaZHD8gChMuLRD9a0p3RZF3Acz+S1hIIkg3AbQAAAMARv/2AkADcQAYACMAOwAAUzY2MzIeAjMyNjczDgIjIi4CIyIGBzc2NjczFQ4CByMFESMnIw4CIyImJjURMxEUFjMyNjY1EZYFMjMYJyEdDhITBEEDGCwkFichHQ0TEgYYGDIRoxE2OhlkAVF0EwkRNT8jOlcxmCktLjMUAl0xQgwRDRYUIDUeDBIMFBaZHD8gChMuLBHH/d5GHCQQKlhGAWT+wjo7KVA6AQAAAAQAVf/2Ap8EBgADAA8AGwAvAABBFSE1NzIWFRQGIyImNTQ2MzIWFRQGIyImNTQ2ExQGBiMiJjURMxEUFjMyNjY1ETMCIP61QhwkJBwdIiLiHCQkHBwjI99Bg2SOlJdIRzI+HZcDY11dox4fHR8fHR8eHh8dHx8dHx789kp3RZF3Acz+S1hIIkg3AbQABABG//YCQANeAAMADwAbADMAAEEVITU3MhYVFAYjIiY1NDYzMhYVFAYjIiY1NDYTESMnIw4CIyImJjURMxEUFjMyNjY1EQHr/rVCHCQkHBwjI+EcJCQcHCMjtXQTCRE1PyM6VzGYKS0uMxQCu11dox4fHR8fHR8eHh8dHx8dHx7+xP3eRhwkECpYRgFk/sI6OylQOgEAAP//AAAAAAKKA50GJgA3AAAABwFPAF0AqP//AAAAAAI7AvUGJgBXAAAABgFPLwD//wAA/y0CigLKBiYANwAAAAcGewKXAAD//wAA/y0COwIiBiYAVwAAAAcGewJvAAD//wAAAAADxwOhBiYAOAAAAAcBTAFrAKj//wAKAAADTgL5BiYAWAAAAAcBTAE1AAD//wAA/y0DxwLKBiYAOAAAAAcGewMaAAD//wAK/y0DTgIiBiYAWAAAAAcGewL+AAD//wADAAACmgOgBiYAOQAAAAcBTADSAKj//wAFAAACPQL5BiYAWQAAAAcBTACnAAD//wADAAACmgOYBiYAOQAAAAcAaAAdAKj//wAFAAACPQLxBiYAWQAAAAYAaPAA//8AAAAAAnIDoAYmADoAAAAHAUwAvwCo//8AAP8QAjsC+QYmAFoAAAAHAUwApAAA//8AGAAAAisDpgYmADsAAAAHAUgAMgCo//8AHgAAAc4C/gYmAFsAAAAGAUgGAP//ABj/LQIrAsoGJgA7AAAABwZ7AmoAAP//AB7/LQHOAiIGJgBbAAAABwZ7AkwAAP//ABj/TQIrAsoGJgA7AAAABwFKAFT87///AB7/TQHOAiIGJgBbAAAABwFKACj87///AEn/TQJDAvgGJgBJAAAABwFKAHf87///ABP/9gGSA2UGJgBVAAAABwBo/5YAdP//AAoAAANOA0YGJgBYAAAABwFNAQwAAP//AAD/EAI7A0YGJgBaAAAABgFNewD//wAo//YCcgMkBCYAQgAAAAcDJgHZAAD//wBOAAABlgOyBiYBPgAAAAcBTACEALkAAf/s/3sA1AKyAAoAAEcRMyc3FwcnNyMRFKFAG2xsG0B5hQLfPRtraxo9/UgAAAH/K/97ABQCsgAKAABHESMXByc3FwczERV5QRttbRtBooUCuD0aa2sbPf0hAAABACgBJgIZAZkAAwAAUzUhFSgB8QEmc3MA//8AXP8dAcsC9QQnAF3/fgAAAAcAXQCCAAAAAgAMAdUBsQLKAAsAFwAAQR4DFyMuAic3Ix4DFyMuAic3AYAECw0OB2sQIRwJB1sECw0OB2sQIRwJBwLKGjxBQB4lUVEjCxo8QUAeJVFRIwsAAAH/7P97ANQCWgAFAABHETMVIxEU6L+FAt8n/UgAAAH/LP97ABQCWgAFAABHESM1MxEVv+iFArgn/SEAAAH/jP97AHQCsQAHAABHESM1MxUjERVf6F+FAmLU1P2eAAAB/4z/ewB0ArEACwAARxEjNTMVIxUzFSMRFV/owcFfhQJi1CeHJv2eAAAB/4z/ewB0ArEACwAARxEjNTM1IzUzFSMRFV/BwehfhQJiJocn1P2eAAADAC4ByALxAsoAAwAHAAsAAEETMwMhEzMDMxMzAwHogYip/eaBiKl9gYipAcgBAv7+AQL+/gEC/v7////9AvgB9wNbBgYAbwAAAAQAOf/oAOQC3wALABcAIwAvAABTIiY1NDYzMhYVFAYDIiY1NDYzMhYVFAYnIiY1NDYzMhYVFAYnIiY1NDYzMhYVFAaOKC0tKCcvLycoLS0oJy8vJygtLSgnLy8nKC0tKCcvLwJDJycpJSUpJyf9pScnKSUlKScnyScnKSUlKScnyScnKSUlKScnAAH/jP97AHQCsQAPAABHESM1MzUjNTMVIxUzFSMRFV9fX+hfX1+FAmImhycnhyb9ngAAAv+M/3sAdAKxAAcACwAARxEjNTMVIxEDMzUjFV/oX2KamoUCYtTU/Z4CiIcAAAH/i/97AHUCsQAFAABHESczBxEVYOpghQKDs7P9fQAAAf+L/3sAdQK0AAYAAEcRIzcXIxEVYHV1YIUCYtfX/Z4AAAL/i/97AHUCsgAGAAoAAEcRJzcXBxEDNycHFWB1dWAVPj4+hQJzWWtrWf2NApU3NzcAAf+M/3sAdAKxAA0AAEcRIzUzNSM1MxUzFSMRFV9fX4lfX4UCYiaHJ64m/Z4AAAIAFAGWAWcDVgALABcAAFMiJjU0NjMyFhUUBicyNjU0JiMiBhUUFrxSVlBYVFdSWBgXFxgYFhYBlndqanV1amp3ZT0+Pjw8Pj0+AAACABYBlgFmA1UAHgAsAABBMhYXFSYmIyIGBgczNjYzMhYVFAYGIyImJjU0PgIXIgYGFRQWFjMyNjU0JgEDDicNDB8ULzcZAwUOLyY4QidIMjNPLRMzXQgUHg4MHBQdHh0DVQMDVwMDHjUkFBlEQTBEJStVQC9bSivqDxkOEiIWISIdIAACABUBlgFkA1YAHgAsAABTMhYWFRQOAiMiJic1FhYzMjY2NyMGBiMiJjU0NjYXIgYVFBYzMjY2NTQmJrgyTS0WMlhCFioMDCMaKzIZAQUNLiU6QidKNxweGxsVHQ8NGwNWKlVANF1HKQQEWAQEHjciExpFQS9EJVQhIh0hDxoNEyIWAAABABUAAAIlAtQAIgAAUzIWFwcmJiMiBhUUFhYXNSEVIxUzFSMVMxUhNS4CNTQ2Nvs1ThsmGDMcNTYWKx8BJJ6RkZ7+3FBpMzlnAtQRDXEMDU5KND4bAblwSXBVc8gBOHJWVnc+AAADACL/xgJLAvcAJwAvADkAAGUmJicHIzcmJjU0NjY3NzMHFhYXNzMHFhYXByYmJwM2NjcVBgYHByMDDgIVFBYXEyYmIyIGBwMWFwFEEiMPE0gYTk1CflkQSA8TIhEQRxIPHw4mCxcNUiM/HyJKLRFHFCQuFRES1gwXCwcLB1IfJRUCBgVcdCeYaFmNWQtMSQECA09dBQsIcwUKBP5uBBILeg8QA08CXg44TTErRRsBXgICAQH+bA8EAAACACT/9gInAtUAIAA1AABFIiYmNTQ+AjMyFhcHJiYjIg4CFRQeAjMyNjcVBgYnETMXMz4CMzIWFwcmJiMiBgYVFQFRaoU+KlF5TTNhLjElRiQpQC0XFSlAKjdOKi1dZ1wRBgobKBoJFwgPCBIHFiMTClqkbVGJYzcVF3UTFCNBXDg8XD4eERN4ExJ0AUpJGyMSAgN7AwMVLyluAAACAEn/kgOIApoAAwArAABBASMBFzIWFREjETQmIyIGFREjETQmJiMiBgYVESMRMxczPgIzMhYXMzY2AsD+l2QBaW5eYJYqKjowlxIkHCkvE5d0FgUQLz4mPVEXBRtWApr8+AMIbl5q/pwBPj83VU7+7wE+KTQZKlA6/wACIkYZJBMqKCkpAAUACgAAAjICygAbAB8AIwAnACsAAHM1IzUzNSM1MzUzFzM1MxUzFSMVMxUjFSMnIxURMycjFzMnIyczJyMXMycjRDo6OjqdTVxvOTk5OZ5MXEUVM9wFBB/AICAErzMCR/dKSEr39/f3SkhK9/f3AUFI+Wfcbf9IAAMAS//2A3UCygAPABkAQwAAQTIWFhUUBgYHEyMDIxEjERcjFTMyNjU0JiYFMhYXByYmIyIGFRQWFhceAhUUBiMiJic1FhYzMjY1NCYmJy4CNTQ2AQZOZTEaLx6RnHQsja4hIzQtFSsBsy9NJSQeOR8aHA0mJiU3IGRfMUgdH0skIyINKCcmNx1jAsosXEkxRzAQ/r8BEv7uAsp8wTIxIikTIhMSaw4UFBINFxsUEyg4LVRbEAx6EBsbFg0ZHhYVKjgqS1QAAAQACgAAAtgCygAXABoAHQAgAABzAyM1MwMzEzMTMxMzEzMDMxUjAyMDIwMnNyMFNyMnMyeJN0g7MncqSDSCNEYrdjQ/SjeNOEQ2RBovAU0VLp01GwFBSgE//sEBP/7BAT/+wUr+vwFB/r+Hurq6SrsAAAEACAAAAjwCygATAABzESM1MxEzETMTMwMzFSMTIwMHEUc/P5YOtJzGmn+so5kjAS9hATr+xgE6/sZh/tEBLyr++wAAAQAUAAACKALKABcAAHM1Byc3NQcnNzUjNSEVIxU3FwcVNxcHFdNVKX5UKn6/AhTAWyqFWiqEejo9Vlk6PVbHfn5hPz1bWT49WuAAAAMAFP8QA9QC1AAeADYARAAAcxMzAzMyPgI1NCYmIyIGByc+AjMyFhYVFA4CIyU+AjMyFhYVFA4CIyImJyMUBgYHByMBMjY2NTQmIyIGBwcWFhh0kFoIOls/IDBbQi9dJC0ZS1YocptOO2qRVwGIDjJVQz1OJRQtSTQhNA0EBgkHHX4BDhYnGCMdISoJBwslAiL+Vy1Qaz44VS8SEXANFAtOi15gmWw4gkJeNCtHLCJEOSMVDQsiLx6OAUAZLR8iIy41IRYQAAIAAP8QAisC1QApADYAAEUiJic1FhYzMjY1NCYmJwcnByMTFzcmJjU0NjYzMhYVFAYGBx4CFRQGAzY2NTQmIyIGFRQWFgFyESQRDhkPGB4OHBVrUjRom1A9NTkyVjVVWh8xGiIxHGBPFBYZFRUYERfwBQRzBgQgHR9ASCqsgWUBH5NiX4NARVcpYFg2YFYmPHJsM1VZAmwjVyUmIiUoHDozAAQABgAAAjYCygAfACUALgA0AABBMhYXMxUjFhQVFAYVMxUjDgIjIxUjESM1MzUjNTM1ASMVMzI2NyMVMzQ2NTQmJyMVMyYmARFldRI5MAEBMD8PPWVNJJM8PDw8ASKPISc5Hp+fAgFyLpALMQLKT05FBhEHCRMIRjFIKL8BYEZCRZ3+ljQXpUIGEwsJD3swFxkAAgA6/7AChAL4ACIAJgAARSImJjU0NjYzMhYXByYmIyIGBhUUFhYzMjY2NzUjNSERBgYHETMRAYZqlU1Xpng5bi0yIVQuQmE1JlJCFiEcDYcBGzh5dlcKVKR4cKRaGBR5ERY8bUpGbD0DBQKVfv6OExZGA0j8uAAAAwAAAAACigLKABcAGwAmAABBEzMVIxczFSMXIycjByM3IzUzNyM1MxMTIwczAw4CBzMuBAGXW451GF1ETpdHzUiXTUNcGHSNW41yF59QAg0NBkUDCAkHBgLK/vVKSErj4+PjSkhKAQv+q0gBHhIzNBMLHR8eHAAAAQAK//YCMQLUAEAAAEUiJiY1NDY3IzUzPgM3IzUhNjY1NCYmIyIGBgcnNjYzMhYWFRQGBzMVIw4DBzMVIQYGFRQWFjMyNjcVBgYBJ1FsNgMEMVcJFhkcD7oBTg0NFSgeGzU6IS00cT9GZTgEBDNdCxsdHxDP/qoKCRcvIjZoNCtwCjFbPw4bDUoLExIRB0oMHxQWHhAKEg52FxstWEAQHg5KDBURDwdKCxsQGCMTGRV+FRgAAgA6/7ACWgL4ABwAJQAAQRYWFwcmJicRNjY3FQYGBxUjNS4CNTQ2Njc1MwcOAhUUFhYXAbQrVCcxHTsdIEQnI0MlV2SBPkOCXldXLDweHDwuAtIEGRN8DhgF/iUEEw1/DhAESUcHXp9pZZ1jCSanCz9jQUJjPAoAAQBBAAACBALKAB0AAHMDNTMyNjY3IzUzLgIjIzUhFSMWFhczFSMGBgcT9bQ8JDclB8PCBh0vIU8Bw50RFwRxbwpeSsQBOkoVKBxKGigXSkoTLBpKSlMP/s8ABAAx//YDDwLUABMAJwAyADsAAEUiLgI1ND4CMzIeAhUUDgInMj4CNTQuAiMiDgIVFB4CJxEzMhYVFAYjIxU1MzI2NTQmIyMBoFCGYzY3ZIZOTIVlOTZjhlA+a1IuLVBtP0BtUS0sUG1FmVJMVj5SRiMrJyhFCjZjhlBMhWU5NmOGUFCGYzZALVFvQj9uVC8tUXBCQm9RLVQBtUVEQ0yd4CMnJCIAAAQABf/8AvECygAHABIAFgBAAABBIycjByMTMwcuAicOAgcHMxMjATMDMhYXByYmIyIGFRQWFx4CFRQGIyImJzUWFjMyNjU0JiYnLgM1NDYBaGMYbxhhem0wAQIDAQEDAgEZQkt1AYx2OB07IhgdMxQTEiAgHysWTEcdOxkeMhsiFw4aEBMkHxNHAXJKSgFYbwQJCwYGDAoDUv34Asr+kgsNSgoLDQoNEQwLGiUdMjkMDE8LDw8KCA0LBwgRGSMYLzcAAQAeAAABmwIiAAkAAHM1MzUjNTM1MxEe6NTUlXCDcL/93gAAEAAwACoCIgIcAAsAFwAjAC8AOwBHAFMAXwBrAHcAgwCPAJsApwCzAL8AAFMyFhUUBiMiJjU0NjMyFhUUBiMiJjU0NgMyFhUUBiMiJjU0NjMyFhUUBiMiJjU0NgMyFhUUBiMiJjU0NhMyFhUUBiMiJjU0Nic0NjMyFhUUBiMiJiU0NjMyFhUUBiMiJgU0NjMyFhUUBiMiJhE0NjMyFhUUBiMiJgE0NjMyFhUUBiMiJhE0NjMyFhUUBiMiJgU0NjMyFhUUBiMiJjU0NjMyFhUUBiMiJgU0NjMyFhUUBiMiJjU0NjMyFhUUBiMiJtULDw8LChAQsgsPDwsKEBCeCw8PCwoQELILDw8LChAQSgsPDwsKEBAKCw8PCwoQEO8QCgsPDwsKEAG+EAoLDw8LChD+gxAKCw8PCwoQEAoLDw8LChABPBAKCw8PCwoQEAoLDw8LChD+lRAKCw8PCwoQEAoLDw8LChABmhAKCw8PCwoQEAoLDw8LChACCg8LChAQCgsPDwsKEBAKCw/+Zg8LChAQCgsPDwsKEBAKCw8BrA8LChAQCgsP/kIPCwoQEAoLD8ULDw8LChAQCgsPDwsKEBCUCw8PCwoQEAFGCw8PCwoQEP7OCw8PCwoQEAFGCw8PCwoQEOgLDw8LChAQsgsPDwsKEBCeCw8PCwoQELILDw8LChAQAAEAWv8uAqQC1QAmAABFIiYnNRYWMzI2NjURNCYjIgYGFREjETMXMz4CMzIWFhURFA4CAcIdLBAQIxQbKhg9QTxFHZdzGAQWQVEtRGg6ITxT0gcEfgQGFDg0AZVKSzViRv6GAspcIS4YMmlT/kdFYT4c//8AWv8uAtMCygYGAQkAAAABAFX/9gKfAtUAKAAARSImJjU1MxUUFhYzMjY1NTQmIyIGBhUVIxEzFzM+AjMyFhYVFRQGBgF3XoJClyBAL0pDPUE8RR2XcxgEFkFRLURoOkGDCkJ3TxQHNkIeTlOsSks1YkYcAWxcIS4YMmlT60p3RQABAAX/9gIkAsoAHwAAVyImJxEHNTc1BzU3NTMVNxUHFTcVBxU+AjUzFA4CwRUyFGFhYWGSnJycnD9HHYkkUYkKBQUBMiFXIT4hVyGsejZXNj42Vjb1Cz5kQUWBZjz//wAUAAADMgL9BCYARwAAAAcARwGCAAD//wAUAAACagL9BCYARwAAAAcASgGCAAD//wAUAAACYwL9BCYARwAAAAcATQGDAAD//wAUAAAD7AL9BCYARwAAACcARwGCAAAABwBKAwQAAP//ABQAAAPmAv0EJgBHAAAAJwBHAYMAAAAHAE0DBgAAAAIAVQAAAzoCywAFAAkAAGERMxEhFSERMxEBf5kBIv0bmQLK/bR+Asv9NQAAAQBV//YC3QLUACsAAEEyFhYXBx4CFRQGBiMiJic1FhYzMjY1NCYjIzU3LgIjIgYGFREjETQ2NgF7UndJDG43Tyw5dVk2WCknViVHPkRRKnALIzAgMT8dl0mEAtQxWT1tCzJTO0JkORITgRgWOi8uNGl0FxsNI0Y4/kwBxFl5PgABADr/9gKyAtQAKQAAQQ4DFRQWFjMyNjY1NCYjIgYHNTY2MzIWFhUUBgYjIi4CNTQ+AjcBtj1UMxcrTTIxPx9FMw0nCxczI0VoO0KHakF1WzQnRl83ApsmSU1YNUZjNC1MLEVFBgZnCQw5bE9Rh1IrVXxRTn5kSRgAAAEACv/2ApcCygAmAABXIiY1NDY2MxUiBgYVFBYzMjY2NwEzEx4CFzM+Ajc3MwMOA8JJTjxzUChFKhQNESYlDf7toJgJDQwFBQQREQRjnN0WLzlJCkZCLlc5ZhcpHBAOHD0vAeb+9A8dHRAMLSsJ+P4HM1I4Hv//AFX/EAIPAsoGJgAtAAAABwB4AL8AAP//AFr/EALTAsoGJgAvAAAABwB4ASQAAP//AAD/GAK0As0GJgAiAAAABwFOANAAAP//AFr/GAH1AsoGJgAmAAAABwFOAKQAAP//ACD/GAFlAsoGJgAqAAAABgFOOAD//wBV/xgCnwLKBiYANgAAAAcBTgDtAAAAAQBVAAAA7gLKAAMAAHMRMxFVmQLK/Tb//wBV//YCxgLKBCYEMgAAAAcERQFLAAD//wBRAAABbQOmBiYEMgAAAAcAdAApAKj////sAAABbAOrBiYEMgAAAAcBS//EAKj////ZAAABgQOmBiYEMgAAAAcBSf+xAKj////ZAAABawOmBiYEMgAAAAcBSP+xAKj///+ZAAABPAOmBiYEMgAAAAcGZwHUAKj////xAAABVAOYBiYEMgAAAAcAaP90AKgABP/8AAABWwQYAAoAFgAiACYAAFM2NjczFQ4CByMHIiY1NDYzMhYVFAYzIiY1NDYzMhYVFAYDETMRXRkxEqIRNjsYZCIcIyMcHSMjqBwjIxwcJCTHmQOVHEUiChMyMRGIHx0fHh4fHR8fHR8eHh8dH/0BAsr9NgD//wBQAAAA9AOgBiYEMgAAAAcBTAAoAKj//wBO/y0A8wLKBiYEMgAAAAcGewH0AAD//wAIAAABJQOmBiYEMgAAAAcAQf/gAKgAAgA+AAABHgPjABUAGQAAQRQGBwcjJzY2NTQmIyIGBzU2NjMyFgMRMxEBHisoBVIMIh8bFBEbEA4xGERFyZkDeyUyCSNHBRYUEhAEBlIEBzb8UwLK/TYA////4gAAAWIDqwYmBDIAAAAHBmkAogCo/////AAAAUgDZwYmBDIAAAAHAUr/1ACo//8APv8YAQUCygYmBDIAAAAGAU4WAP//AD7/GAEFAsoGJgQyAAAABgFOFgD////dAAABcgOdBiYEMgAAAAcBT/+1AKj////d/zQBcgLKBiYEMgAAAAcBT/+1/NcAAQAh//YBewLKABEAAFciJic1FhYzMjY2NREzERQGBpcmOhYWMhwfKRSaOmYKDQp5CA0YNysB3/4uXHI0AP//ACH/9gH2A6YGJgRFAAAABwFIADwAqP//AFX/9gOwAsoEJgAtAAAABwRFAjUAAP//AFr/9gSoAsoEJgAvAAAABwRFAy0AAP//ACP/9gI0Av0EBgFVAAAAAQAm//YCBQIsAC8AAFciJiYnNRYWMzI2NjU0JiYjIzUzMjY1NCYjIgYHJzY2MzIWFhUUBgcVHgIVFAYG+CxOQBgiYzgpQSciRDU6N0pRNDsnXCksL3BMO2c/OzIjOCE5dwoIDwt7EBoMHBcWHQ5nGCEaGxIRaBIXH0AyMToNBQgdMSktTS8AAAIAJv/2AxYCLAAvAEEAAFciJiYnNRYWMzI2NjU0JiYjIzUzMjY1NCYjIgYHJzY2MzIWFhUUBgcVHgIVFAYGASImJicHJzcXFhYzMjY3FwYG+CxOQBgiYzgpQSciRDU6N0pRNDsnXCksL3BMO2c/OzIjOCE5dwFOITQnDYIZ5g4NGBgVIQ8hFzkKCA8LexAaDBwXFh0OZxghGhsSEWgSFx9AMjE6DQUIHTEpLU0vARAYNCkqXkUzLiYQClgSF///AC7/9gImAiwGBgLFAAAAAgAt//YDRQIsACYAMQAARSImNSUuAiMiBgc1NjYzMhYXNxcWFjMyNjcXBgYjIiYmJwcUBgYnMj4CNQceAwEnc4cBaQkkOCY2Wi8pW0BlkxlzDg0YGBUhDyEXOSMhNCcNGzh0XRsqHhDcAw0YJgqBd2MmLxcVFnMUE1lcIjQuJhAKWBIXGDMqClSBSmoQIzYnOw0eGhAAAQBKAAAA4QIiAAMAAHMjETPhl5cCIgAAAf/L/xAA4AIiABAAAFciJic1FhYzMjY1ETMRFAYGKBc0EhAdERsllyRR8AcFdwQGIjICRf2jMlIxAAMABAAAAl4C+AADAAcACwAAUzUhFQEjETMBIxEzBAJa/oKXlwExl5cCSGFh/bgC+P0IAvgAAAL/9wAAAZYC/QADABQAAEMlFwUBIgYVESMRNDY2MzIWFwcmJgkBUir+rgEAIhyVL1c6MEIWIxEnAVmkV6QBhSYd/bwCSkZNIA4JbQUJAAIABgAAAZYC/QADABQAAFMhFSElIgYVESMRNDY2MzIWFwcmJgYBXv6iARsiHJUvVzowQhYjEScCQ2WpJh39vAJKRk0gDgltBQkAAQAt//YCPgL9ACkAAEEOBBUUFhYzMjY2NTQmIyIGBzU2NjMyFhYVFAYGIyImJjU0PgI3AbxLXjQVBBs1KCAuGjEyEBkKESQcQWQ4Q3NJVXtCKVWFWwKnKl5dVEAROVMtIj8pOFIGBG4FBTVpT1RzPESCXFGLeGYrAAAB////EAI5AiIAIwAAVyImNTQ2NjMVIgYGFRQWMzI2NjcDMxMWFhczNjY3EzMDDgKNREo8c1AoRSoUDREfHw3ko2cICAIDAwsHZaDnFDpK8EFAMFMyWBQlHBAVGjovAiv+zRYvGhovFgEz/Zg2TCj//wAq/xABCwL4BiYATQAAAAYAeBcA//8ASf8QAkMCLAYmAE8AAAAHAHgAzgAAAAMAKP8YAhACLAAVADMAPgAARSImNTQ2NjcXDgIVFBYzMjY3FQYGAzIWFREjJyMOAiMiJiY1NDY3NzU0JiMiBgcnNjYTBgYVFBYzMjY1NQE/N0MfNB9BGSIQFhIPHgkPJBtnbGkdBBcxQC4wTCx8e1ssKCVOJiwrb0ZHOCchL0HoOTUmSEAcFSE2LxkUFgYDWAQHAxRhX/6USh0mESVMOlZWBQMRMScYEWcWGv7OAiomIyE4NC3//wAv/xgCJwIsBiYARgAAAAcBTgC1AAAAAgBG/xACQAIiABUALQAARSImNTQ2NjcXDgIVFBYzMjY3FQYGExEjJyMOAiMiJiY1ETMRFBYzMjY2NREBXjhCIjUdQRgjExYREB4KECTKdBMJETVAIjpXMZgpLS4zFPA/MSVBORkRHTMvFxQUBgNXBAcDEv3eRhwjESpYRgFk/sI6OylQOgEAAAEAQQAAANgCSAADAABzETMRQZcCSP24//8AQQAAAWMDGAYmBFoAAAAHBrn/cgAA////1gAAAVYDGQYmBFoAAAAHBr3/ZAAA////wgAAAWADGQYmBFoAAAAHBrv/YAAA////6QAAATgDBAYmBFoAAAAHBrb/YQAA//8AOAAAAOQDIAYmBFoAAAAGBrfwAP///8oAAADkAxwGJgRaAAAABwa4/2QAAP//AEH/+AJoAkgEJgRaAAAABwRlARoAAP///+YAAAExAukGJgRaAAAABwbA/2YAAP//ACT/EADqAkgGJgRaAAAABgbBHwD////IAAABXQMTBiYEWgAAAAcGv/9jAAAAAQAg//gBTgJIABAAAFciJic1FhYzMjY1ETMRFAYGgSEtExQjFCwglzRbCAYGdAYHNDQBdf6YVWUu//8AIP/4AdQDGQYmBGUAAAAGBrvUAAACAAAAAAJSAkkABwASAABxEzMTIycjBxMuAicOAgcHM822z5onzyezBQ4OBQMODgQkkAJJ/bd9fQFmDzE0EhI0Mg51//8AAAAAAlIDGAYmBGcAAAAGBrkOAP//AAAAAAJSAygGJgRnAAAABgFLSyX//wAAAAACUgMjBiYEZwAAAAYBSDol//8AAAAAAlIDBAYmBGcAAAAGBrb9AP//AAAAAAJSAxwGJgRnAAAABga4AAD//wAAAAACUgLlBiYEZwAAAAYBSl0l//8AAP8YAlICSQYmBGcAAAAHAU4BOAAA//8AAAAAAlIDawYmBGcAAAAHAU0AiAAl//8AAAAAAlIDpwYmBGcAAAAmBr4XmgAHBrkAIACP//8AAAAAAlIDGgYmBGcAAAAGAU89JQAC//4AAAMIAkYADwATAABlIwcjASEVIxUzFSMVMxUhESMHMwGXxTedAQ8B+97Ozt7+jzNhlHx8AkZxbXKDcwHQ3v////4AAAMIAxgGJgRyAAAABwa5AJcAAAADAEEAAAIJAkgAEgAbACQAAEEyFhYVFAYGBxUeAhUUBiMjERcyNjU0JiMjFRcyNjU0JiMjFQESV2cuHC0ZHDEgc2zp1iskKSk/SysmJy5HAkgkQy8lNB8HAwYeNCpPXwJI6yIdGyB67CUfHCeHAAEAKv/4AgUCUAAcAABBIgYGFRQWMzI2NxUGBiMiJiY1NDY2MzIWFwcmJgFSLT8hR0snSSQmUS1kfjtDhGAvWSwuIEEB1itROFZaEhJ+EQ9Lh1lYiE0UE3UPEwD//wAq//gCFAMYBiYEdQAAAAYGuSMA//8AKv/4Ah4DIwYmBHUAAAAGAUlOJf//ACr/EAIFAlAGJgR1AAAABwB4AL0AAP//ACr/+AIJAyMGJgR1AAAABgFITyX//wAq//gCBQMgBiYEdQAAAAcGtwChAAAAAgBBAAACOQJIAAkAEgAAQRQGBiMjETMyFgc0JiMjETMyNgI5To5gvMmSnZxJSDUqUEwBL2WHQwJIkY5UUv6qVwAAAgALAAACOQJIAA0AGgAAczUjNTM1MzIWFRQGBiM3MjY1NCYjIxUzFSMVQTY2yZKdTo5gBFBMSUg1UlLsafORiGWHQ3lXWVRSemlz//8AQQAAAjkDIwYmBHsAAAAGAUk7Jf//AAsAAAI5AkgGBgR8AAAAAQBGAAABpQJGAAsAAFMhFSMVMxUjFTMVIUYBX8/Bwc/+oQJGcHBwhXH//wBGAAABzQMYBiYEfwAAAAYGudwA//8APwAAAb8DJwYmBH8AAAAGAUsXJP//ACUAAAHNAyIGJgR/AAAABgFJ/ST//wAkAAABtgMiBiYEfwAAAAYBSPwk//8ARgAAAaUDBAYmBH8AAAAGBrbHAP//AEYAAAGlAx0GJgR/AAAABwFMAIAAJP//ACcAAAGlAxwGJgR/AAAABga4wQD//wBGAAABpQLkBiYEfwAAAAYBSiok//8ARv8YAaUCRgYmBH8AAAAGAU5xAAABAEYAAAGjAkYACQAAUyEVIxUzFSMVI0YBXdDCwo0CRnCEceEAAAEAK//4AioCTwAgAABlBgYjIiYmNTQ2NjMyFhcHJiYjIgYGFRQWMzI2NzUjNTMCKi10QFaASEeKZTZiJTAgRSg3RSBMRRArDG/8Gw8UQoVlXIVKFRBzEBAxUjJWXAUDZ3L//wAr//gCKgMoBiYEigAAAAYBS24l//8AK//4AioDIwYmBIoAAAAGAUhdJf//ACv/IwIqAk8GJgSKAAAABwGCALkAAP//ACv/+AIqAyAGJgSKAAAABwa3AK8AAAABAEYAAAI9AkYACwAAQREjNSMVIxEzFTM1Aj2Q15CQ1wJG/br19QJG3t4AAAIACwAAAm0CSAATABcAAEEjESM1IxUjESM1MzUzFTM1MxUzBzUjFQJtOJbHljc3lseWOM7HAan+V+joAallOjo6OrVQUP//AEYAAAI9AyIGJgSPAAAABgFIQyQAAQAeAAABRQJIAAsAAHM1NxEnNSEVBxEXFR5ISAEnSEhUGwFqGlVVGv6WG1QA//8AHgAAAYgDGAYmBJIAAAAGBrmXAP////wAAAF8AygGJgSSAAAABgFL1CX////qAAABfAMjBiYEkgAAAAYBSMIl//8ADQAAAVwDBAYmBJIAAAAHBrb/hQAA//8AHgAAAUUDHgYmBJIAAAAGAUw5Jf///+8AAAFFAxwGJgSSAAAABwa4/4kAAP//AB7/TQI+AkgEJgSSAAAABwSdAWIAAP//AAwAAAFYAuUGJgSSAAAABgFK5CX//wAe/xgBRQJIBiYEkgAAAAYBTiYA////7QAAAYIDGgYmBJIAAAAGAU/FJQAB/77/TQDbAkgAEAAAVyImJzUWFjMyNjURMxEUBgYPGigPDh0QLCCWM1yzBQNzAwY0NAIh/exUZi3///++/00BWwMjBiYEnQAAAAYBSKElAAEAQQAAAjQCSAAPAABTMxE+Ajc3MwMTIycHFSNBlwcREgmEpb+8qX4ylwJI/v4MGRkLuf77/r3mH8cA//8APf8jAjQCSAYmBJ8AAAAHAYIAjwAAAAEAQQAAAb8CSAAFAABTETMVIRHX6P6CAkj+MXkCSAD//wBBAAABvwMYBiYEoQAAAAcGuf96AAAAAgBBAAAB4gJIAAwAEgAAQQ4CByM1PgM3MyURMxUhEQHiChkdEVcECQgHAor+9ej+ggI9FjE0Gw0PJSgnEAH+MXkCSP//ABP/IwG/AkgGJgShAAAABwGCAGUAAP//AEEAAAHLAkgGJgShAAAABwFMAP/+qAAB/+IAAAHAAkgADQAAZRUhNQcnNzUzFTcXBxUBwP6CJTtglmE+n3l50BllOPSqPmRfoAAAAQBGAAAC2wJGABcAAEERIxE0NjY3IwMjAyMeAhURIxEzEzMTAtuEAgMBA4yGhwQCBAOAwYcDiwJG/boBCxtGPQ/+SAG5Dz5HHv75Akb+UQGvAAEARgAAAmwCRgAVAABBESMDIx4DFxEjETMTMzQuAjURAmy38wQBAgICAYC48wICAgICRv26AasLJCwuFf7zAkb+WgsjKiwUAQ7//wBGAAACbAMYBiYEqAAAAAYGuT8A//8ARgAAAmwDIgYmBKgAAAAGAUljJP//AEb/IwJsAkYGJgSoAAAABwGCAVoAAAABAEb/TgJsAkYAIgAAYRQGBiMiJic1FhYzMjY3ASMeAxURIxEzEzM0LgI1NTMCbDRbPBwqDxAhFCkmA/7fBAECAwKAuPMCAgICfzpQKAUDagMFICIBsQskLC4V/vMCRv6DCyMqLBTl//8ARgAAAmwDGQYmBKgAAAAGAU9NJAACAC//+AJvAlAADwAeAABBFAYGIyImJjU0NjYzMhYWBRQWFjMyNjY1NCYjIgYGAm88f2VjgD0+gGNkfzz+VR09MTI9Gz9KMT4dASRah0tLiFpah0pLhls5UywsUzlWYy1S//8AL//4Am8DGAYmBK4AAAAGBrk0AP//AC//+AJvAycGJgSuAAAABgFLbyT//wAv//gCbwMuBiYErgAAAAYBSFsw//8AL//4Am8DBAYmBK4AAAAGBrYfAP//AC//+AJvAxwGJgSuAAAABga4GQD//wAv//gCewMuBiYErgAAAAcBUACfADD//wAv//gCbwLwBiYErgAAAAcBSgCJADAAAwAv/9YCbwJyABkAJAAvAABBFAYGIyImJwcnNyYmNTQ2NjMyFhc3FwcWFgUUFhcTJiYjIgYGBTQmJwMWFjMyNjYCbzx/ZSVBGyRJIysqPoBjJkAbJUgjLCj+VQgKtw0fETE+HQEVCAi2DR4RMj0bASRah0sLCjcvNih3S1qHSgsLOC82J3dLIDYWARkGBi1SOiA1Fv7oBQYsUwD//wAv/9YCbwMYBiYEtgAAAAYGuTYA//8AL//4Am8DGQYmBK4AAAAGAU9CJAACADD/+AMXAlAAGgApAABBMhYWFyEVIxUzFSMVMxUhDgIjIiYmNTQ2NhciBgYVFBYWMzI2NxEmJgFIECUkDAFq3s7O3v6TDCMlD158PT18YCw5Gxs5Kxo0EA80AlACBARxbnKCcwIEAkuIWlqGS3QtUjk4UywJBwFNCAoAAgBBAAAB8AJIAAwAFQAAQTIWFRQOAiMjFSMREzI2NTQmIyMVAQt3bhs3Vz0zlsAnMScpMgJIZVgoSDYgxQJI/vIlJyMqmQAAAgBIAAAB+AJGAA4AFwAAQRQOAiMjFSMRMxUzMhYHMjY1NCYjIxUB+Bg1WUE4kZE+cm/6MDcsMDABNSZHNyBxAkZXZKooLCQknAACAC//dQJ1AlAAFAAjAABBFAYHFyMnIiIjIiYmNTQ2NjMyFhYFFBYWMzI2NjU0JiMiBgYCb0NJkrVrAQMCY4A9PoBjZH88/lUdPTEyPRs/SjE+HQEkX40joINLiFpah0pLhls5UywsUzlWYy1SAAIARgAAAjYCRgANABYAAFMyFhUUBgcXIycjFSMRFzI2NTQmIyMV/3p4PS6woIk3kLM0NDI2IwJGV1Y5Sxf+2toCRv8lKCMikgD//wBGAAACNgMYBiYEvQAAAAYGufsA//8ARgAAAjYDIwYmBL0AAAAGAUkoJf//ADT/IwI2AkYGJgS9AAAABwGCAIYAAAABACb/+AG/AlAALAAAZRQGBiMiJiYnNRYWMzI2NTQmJicuAjU0NjYzMhYXByYmIyIGFRQWFhceAgG/MWVPKD00Gy1hKSYmFzEnLEEjOGNBOFwkLSZKICIhFzMsLD4hrzBUMwcQDIUXGRwWERgYERMtQTI3SycaEHIRFBkTEBgZExMsPf//ACb/+AHEAxgGJgTBAAAABga50wD//wAm//gB3AMjBiYEwQAAAAYBSQwl//8AJv8QAb8CUAYmBMEAAAAGAHhmAP//ACb/+AHHAyMGJgTBAAAABgFIDCX//wAE/yMBvwJQBiYEwQAAAAcBggBXAAAAAQA+//oCVAJRACYAAEEWFhUUBgYjIiYnNRYWMzI2NTQmIyM1NyYmIyIGFREjETQ2MzIWFwHUPEQwZE8cNhgWLxkqLis6H08KJh8wNJeAd2p2EgFKC01DMFMyBgZ7CQgjHh8jXWASGDxA/qQBZW97V1EAAQAUAAAB0gJIAAcAAEEVIxEjESM1AdKVlZQCSHv+MwHNewAAAQASAAAB2QJGAA8AAEEVIxUzFSMVIzUjNTM1IzUB2Z1eXo5fX5wCRnKrZ8LCZ6tyAP//ABQAAAHSAyMGJgTIAAAABgFJAiX//wAU/xAB0gJIBiYEyAAAAAYAeG0A//8ACf8jAdICSAYmBMgAAAAHAYIAXAAAAAEAQ//4AjkCRgASAABlFAYGIyImNREzERQWMzI2NREzAjk4cFV5gJA3NDoyj9lCZTp5ZwFu/qNEOTxCAVz//wBD//gCOQMYBiYEzQAAAAYGuSQA//8AQ//4AjkDJwYmBM0AAAAGAUtfJP//AEP/+AI5AyIGJgTNAAAABgFIRCT//wBD//gCOQMEBiYEzQAAAAYGtg8A//8AQ//4AjkDHAYmBM0AAAAGBrgJAP//AEP/+AJkAyIGJgTNAAAABwFQAIgAJP//AEP/+AI5AuQGJgTNAAAABgFKciQAAgBD/xACOQJGABUAKAAARRQWMzI2NxUGBiMiJjU0NjY3Nw4CExQGBiMiJjURMxEUFjMyNjURMwGSFhEQHgoQJBg4Qh4yHmguMBGnOHBVeYCQNzQ6Mo9vFBQGA1cEBz8xHTYtETE2QSkBN0JlOnlnAW7+o0Q5PEIBXP//AEP/+AI5A2oGJgTNAAAABwFNAJ8AJP//AEP/+AI5AxkGJgTNAAAABgFPMiQAAQAAAAACMwJGAAwAAHMDMxMWFhc2NjcTMwPIyJhoBhAEBREFZ5fJAkb+pBM9GBk7EwFd/boAAQAGAAADQwJGACQAAEEuAicOAgcDIwMzEx4CFz4CNxMzEx4CFz4CNxMzAyMBvwIMCwIBCwsDSKWXi0cEDA0CAw0OBUiGRwUODgMDCgwESIuYpQEcCjY6EBA6Ngv+5QJG/s0QOjsUGkdCEgEX/ukSQkcaFDs6EAEz/boA//8ABgAAA0MDGAYmBNkAAAAHBrkAiQAA//8ABgAAA0MDIgYmBNkAAAAHAUgAqAAk//8ABgAAA0MDBAYmBNkAAAAGBrZ0AP//AAYAAANDAxwGJgTZAAAABga4bgAAAQACAAACRwJIAAsAAGUHIxMDMxc3MwMTIwEid6nDuKZwa6u7ya2+vgEqAR67u/7Y/uAAAAEAAAAAAhwCSAAIAABBAxUjNQMzFzcCHMKYwqNsawJI/pzk3wFp4uIA//8AAAAAAhwDGAYmBN8AAAAGBrn0AP//AAAAAAIcAyMGJgTfAAAABgFIHyX//wAAAAACHAMEBiYE3wAAAAYGtuIA//8AAAAAAhwDHAYmBN8AAAAGBrjmAAABABkAAAHhAkgACQAAczUBITUhFQEhFRkBB/8AAbv++AEOWwF0eV3+jnkA//8AGQAAAeEDGAYmBOQAAAAGBrnhAP//ABkAAAHiAyMGJgTkAAAABgFJEiX//wAZAAAB4QMeBiYE5AAAAAcBTACKACUAAQA9//gCegLVAEsAAEUiLgI1NDY3PgI3Fz4DNx4DMzI3Fw4CIyImJicOAhUUFhYVFAYGBycyPgI1NCYmNTQ3Ig4CFRQWFjMyNjY3FwcGBgF/OHJfORsZGz07FhkRPEQ4DQIOExcLDhYIDy8qCgkhHwgGGhUPDjdWLwQEHSMZERIMDi8wIVSVYwQtOxkIohIpCCpRdUtRbDQSJSAJEwweHxcEByYqHwsWCBMMIzASAQwbGBs9Ph8qQCYFGAoVJh0rQTMVGA4OLlxOYopIFB4NFW0EAwABAAH/hAKsAs4AZQAARSImJzcWFjMyNicuAgcGBgcWFhcWBgcHLgIjIgYGByc+AzMyFhc3NjY1NC4CNTQ+AzceAjMyNjY3FwYGIyImJicOAhUUFhc+BDMyHgIXHgIHBgYHDgMB1hMpFDQPGhMjOAIBHz0vN0YgDhECAQICjwQeJA8NIhwFDwYiKyoPFigVBwcSJjImJTg8LwkTNjQPEyEaCRA9UwUTPTkPCx0UHBcKKTIwIgUHKjo+GwoNBQEBFw86RSIMfA4QRRMVgYxeZikBATw4HjoaCSAHrQYdGRMYBxEIJSgcHxUICCUdGktWWiofQDsyIQQMGxMTGAgPQDUVGgkLJzMdFkYuCSIpJhgDDBcUHFRSGEN6LDA0FwUAAgAg//gCHALQACwASQAAVyImJicHJzc2NjMyHgIzMjY2NTQmJjU0PgI3FwYGFRQeAhUUBgYHDgIDPgQzMh4CMzI2NjcXBgYjIi4CIyIGBgfREC4pCTEQaAQKAwMLFiUeMjQSCgskMzAMDCIiCAkIFjo2JC4fwAITHyozHRo8PDYTEikiCQ1ITg4JKjY2FSQ8KQgIFRsIKxB8BQwiLiIzUy8tXVEaCyYqIwgRGicRCTxPTxwmREIlGBcGAgIJMT05JhYdFhcbBhI3NxAVEC09GAAAAgAY//cDSwLVAHIAhgAAVy4CIyIGByc+AjMyFhYXNjc+AzU0LgIjIgYGFRQeAhUUDgIHJz4CNTQuAjU0NjY3PgIzMhYWFz4CMzIeAhUVFBYzMjY3FwYGBx4CFRQWMzI2NxcHJzY2NTQmJiMiBgcOAgcOAhM2Njc3IiYmNTU0JiMiDgIXFgbIBhwgDxggFxAWNDAQDx8cCBcWChgWDiE0ORgVLR4eJh4bJyULEAoaExwlHBohCg0sPSYpSTQLEzhMMSMmEQQLDQsjCgk1WjIRLCEZJQ8gBw6ORAIHHi8aJTwGAxEbFBg+PNoTQx+JGxwKFR0ULioaAQIGCQgbFhgYDxw2JRgdCg4TCSE+Zk5LZ0AcGCgZFSgoKxgRKCcfCBIHGB0NGSUkKRwULygKDScgK0UpHUUyGSUmDh4QGQsEGBgtJgEQFAmCkxUHEXR6CDkrQzwQDQIZTFAgGDcxAXQKGgdFGCMOFx0qGywzFy1QAAABAAv/jwIZAwEAVgAAVyImJzQmIyIGByc+AjMyFhUUFhcWFjMyPgM1NCYjIgYHJzc+AzU0JiMiBgYjIiYmNTcXBgYVFBYzMjYzMhYVFA4DBz4CMzIeAhUUDgLPFjUXCBcOGg8MDyw3HRIbAQEDHRYwQykXCFZGIjILDC8XNjIgJjoMMDANJCEISxMECiYvJjAhMTAfLjAjBAYaHQgwPiQOOF52cQcKOzANCRMKHBUOFg8eEh4PJkBLSx9FSxAGDUEBGiw6IRwhBQQNEwlsDAURCAoOByoyJ0EzJRQCAQMDHy8yFG+SVCMAAQAC//cDQwLUAJ0AAFciLgI1NDYzFhYVFAYHDgIVFB4CMzI2Njc+Ajc+AjcmJiMiBgYHDgMVFBYzMj4CNTMWFhUUDgIjIiY1ND4CNzY2MzIWFzY3FwYGBxYWFRQGBgceAxUUDgIjIiYmNTQ2NjcXDgIVFBYzMjY3NjY1NCYmJwYGIyImNTQ2MzIWFz4CNTQmJw4DBwYGBw4CmTM8HgoxIiQbIBYLGhIGFCskPllMKRYqOSkEHzQiFTYjPXFbHA81OSckGyNLQCkPBQgfOU8wNDonOjkTOJxbKEMcGhoICA8ILyc3USgKJSYaLEhSJx0gDAstMQwULR4bDRo3GxIXDBAFDSEGCBQhCBAXBRQxIwkUMTwoIRYFDwgeW38JHi4yFCg3ASYPIBwDAQELEAQZHBRRi1gtU1kyBiUuEwgGGCMRCSQ1RiopKC5SbT8QMRwlUEYrNDQrSTooCyEuCwkMBhECBgMUQSkvSDQSAxQkOSknUUUqGSQQCiw9IREMKjMbHBk5NSRRNx4eDAIHBgUJDwcEAgk6VjIVMxIaTmN1QRApEUBoPgAC//z/9gQ6AuYAjgCgAABXIi4CNTQ2MzIWFRQGBw4CFRQeAjMyNjY3BgYHJz4CNzc2NjcOAyMiJjU0PgI1NCYjIgYGByc+AzMyFhYVFAYHBgYVFDMyPgM3Fw4DBzY2Nz4DMzIWFRQGBgcGBgcOAxUGFjMyPgM3Mw4EIyImNTQ2NwcGBgcOAwE2Njc+AzU0JiMiBgYHBgaZOUEcBzEiJBsgFgsaEgcXMSs4Sj4kP1AZDhA4RygLIE8/GDs7MxAVGRYcFgQJFEJMJQ4WOD06GBkUBAUREBoKCjFDS0geCiAtIiAUJS4gJVxkYisiJTRtWBMvGhwtIBEBCw4PKzAsIQcUByMvNDMVITorJG0BAgIPPFl5AgsOHRwjTkUsFw8KL0cuFyoKJzYvCSg3Jw8gHAMBAQoQBBodFkN3TRdBHA4TLiwNBEOOTRYwKhobFA0oKyAFAgUuTzMLHkA3IhUXBAoeFxcgCAoeMjw/HA0iRFBjQQsPCkSDa0AjIRtcYiUIEQk9d2NECwYNGygsJAgKKDEtHTtCKXtFIgQIBTNrXTkBogULDA9ATUkZERATQ0ckUAAC//z/9gMFAtUAPgBPAABXIi4CNTQ2MzIWFRQGIyIGFRQWFjMyNjY3LgI1NDY2NzY2MxUOAwcGBgc+AjU0JzcWFRQOAgcOAjc+AzcGBgcOAxUUFhaZNT8fCjEiJBsjFxwXETIyK0Q9Hi06HDuGb0GANzNBMDAgBRIHIj8pBRIFDCFBNR1gg3weQ1BhPRk6Fz1wWDMbJwohMjIQKDcnDyAfDQ8MJh81XTsKNUMfOGxkKRcXDwM8apFZDycPCitHNSARAREeFjk6MQ45aULvO4KAcisEDwgVTWNpMCQmEgADAAv/9gMmAtQATABZAGcAAFciJiY1NDYzMhYXNjY3NjY3LgM1ND4CMzIXByYjIg4CFRQeAhc+BDMyFhUUDgIHBwYGBxYWMzI2NjcXDgIjIiYnBgYnMjY3JiYjIgYVFBYWATY3PgI1NCYjIg4CjSI7JT0lJlQpER8TBAkEQlIrDzRbdUAtLQQtKTpjSSggMjcXGz1ETFQtKyYvVXFDExlHKCE8GCFIQhgREkFVMiZFICtXLSw5FSRJKRs0JDMBg0I8Hz8sGRMlPDIwChMlGiMgIBUaSCsKEwoDKjs+GTVgSysJEgkuTmI1LDggDQI8fXFaNCofJGdsXBkzQ1kdERgmRC0HI000GRIYExIdHBYiFhsWHA4BMBw1G1dlMBcbRHGNAAMAYQAAAqgCygAHAAsADwAAcxEhESMRIxEnMxEjATMRI2ECR63teENDAZpDQwLK/TYClf1rNQJg/aACYAAAAf/8//YDXgLUAJoAAEUiJiY1ND4CNTQmJyIGIyImNTQ2MzIWFz4DNTQnDgMHBgYHDgIjIi4CNTQ2MxYWFRQGBw4CFRQeAjMyNjY3NjY3PgI3JiYjIgYGBw4DFRQWMzI+AjUzFhYVFA4CIyImNTQ+Ajc2NjMyFhc2NxcGBgcWFhUUBgceAhUUBgYVFBYzMj4DNxcOAwJwHyUPGCEYBgIBEQsIGhYHCxgLDC4wIjAxPCghFgUPCB5bf1U5QRwHMSIkGyAWCxoSCBYtJD5QQikgVz4EHzQiFTYjPXFbHA87QC0kGyNLQCkPBQgfOU8wNDotQT8TOJxbKEMcGhoICA8IOThvbRoVAxkZCwoMISMgFgIQByQzPgoYIxEbRUY9FQ4QBAQLDQ4GCwgDGC5DLV4gGk5jdUEQKRFAaD4mNS4JKDcBJg8gHAMBAQsQBBkcFEN9WEOYTAYlLhMIBhgjEQksQU4qKSguUm0/EDEcJVBGKzQ0K1FFMQshLgsJDAYRAgYDGU4pQGgaFCsiCB1KRBYNFRooKSAECQo1PSwAAAEAMgAAAcsCygAJAABBMxEhNSE1IzUzATaV/mcBBPLyAsr9Nny4fP//AAAAAAK0A3EGJgAiAAAABwFNALYAKwACADL/9gJGAtUAGgAgAABFIiYmNTQ2NjMyFhcHJiMiBgcRFjMyNjcVBgYDBhUUFhcBfm+USU+abjBdMBpQVStLHz5XKVgqL1bwUykqClqmcGymXQwTOCITEf3OHw0LOwoIAl5Tnk97KQAAAwBhAAACqALKAAsADwATAABzETMRMxEzESMRIxEnMxEjATMRI2Gt7a2t7XhDQwGaQ0MCyv7GATr9NgFb/qU1AmD9oAJgAAIAYQAAAqkCygAJAA0AAHMRMwERMxEjARElNQEVYUwBxzVN/joB3v4iAsr+FgHq/TYB6/4VNWIB/mMAAAQAYQAAAlwCygALAA8AEwAZAABzESEyFhUUBgYjIxEnMxEjEzMRIxM2NjU0J2EBA4B4Qms+Y3hDQ3iLi8EkL1MCym1bPl82/tE1AmD+zwEx/uARQDxrHAAFAD3/VgMAAtUAEAAWAB0AKAAvAABFJiY1NDY2MzIWFhUUBgcXITczJwYGBwMGBhUUFhcXMjcRJiYjIgcRFiU2NjU0JicBdZudS5Nta5JLW0nU/uAjfIgNKA/mLi0tLrpNNxxBJk44NwEHLS4tLgoIw6ZupFxcpW6DoybEMH4EBwECbCmCU1SDKUAbAkgODh39uhw/KYNVVYIpAAAFAGEAAAK7AsoADQARABYAGgAhAABzESEyFhUUBgcTIwMjESczESMBMwMGByczESMTNjY1NCYnYQEDgHhDPd/Dvyt4Q0MBfUqvHh9ji4vBJC8qKQLKY1tCXRf+qgE9/sM1AmD9nwETBgIzASP+7hE8PDc5DQAAAgAmAAACTwLKAAkADQAAczUBITUhFQEhFSUzASMmAW7+sgIJ/pkBXf4dSQFqRzUCYDU1/aA1NQJgAAQAJAAAAssCygAJAA0AFQAbAABzEzMyFhUUBgYjJzMTIxMyNxMmIyMDJTY2NTQnJJf9gZJhu4fEQ4FDS1tHcTFLaoEBMkFCJQLKjJF8wm81AmD9oCICGyP9oEgzoF5gOAAAAgBhAAACGQLKAAUACQAAcxEhFSERJzMRI2EBuP71eENDAso1/Ws1AmD//wAr//YCWgLUBgYCDgAA//8AWgAAApgCygYGACwAAAACABz/+QJlAtgAZABwAABXIiYmNTQ2NjcmJjU0NjYzMh4CFRQGBiMiJjU0NjcXBgYVFBYzMjY1NCYmIyIGBhUUFx4CFRQGIyImJw4DFRQWFjMyPgI1NCYjIgYGFRQWFwcmJjU0NjYzMhYWFRQOAhMyNTQmJiMiIgcWFuI9WTBFcUMNHTtlPzA8Ig0YMCUiJCMtBRMnGhMiMSEuFC9LKwYbNSMcERM5FSNBMx4gMxwoTT8mJBsbOCUBARIEAiU/KCUjCyhFWHsgGSIOBAcDECAHNFw7PWhGCQ40Ki1SNR4uMhQXOikpHR08EgoQMCAcGTczLDMWNmFDFxEBCRIPEAoUFQo3TlovNTUSHzZIKCUnLk4vBg0GBBIkEihCKCMtDi1POiEBjQoHCgcBEw4AAAL//P/2A1AC2QBNAIUAAFciLgM1NDYzFhYVFAYHDgIVFB4CMzI2Njc3BgYHJz4CNz4CNxcOAgc3NjY3PgMzMhYVFAcWFRQGBgcHPgI3IgcHDgIDIi4CNTQ+AzMyHgIzMjY3Fw4CIyIuAiMiDgIVFBYWMzI+AzU0Jic3FhYVFA4CmS47IQ8EMSIkGyAWCxoSBxctJyxHPR0gOFIWDwwzSi4cN1JBDSUmFxEdBREFAg0VHBEOCUcDCwwDTgsZEwITIAMeYIolIScRBRw6XIBTM0AuLiIlIw0RCSUxHiZEQ0YoNm1ZNhkgCBgyLCMUAgUOEQ4ZM0oKGykrIwcoNwEmDyAcAwEBCxAEGx8WNl08QQcxHQwSJx8DOmVfLwokWmU1BAEHBAUfJBoRCR44BAsPLCYHFhMwLQ4DClSFTAE/GiUkCiFSU0YrDhEOEg4KFCseGCEYLk9lNiYlCyM3QTwWChgXBx08IR1EPicAAf/8//YEggLVAHsAAFciJjU0NjMyFhUUBgcGBhUUFhYzMj4CNz4CNxcOBQcOBAc+Azc2Njc2NjcXDgMHDgQVFDMyNjY3Fw4CIyImNTQ+Azc+BDcOAgcGBgcGBiMiJiY1NDY2Nz4DNw4DBw4Dgj1JMyghFykuDQgSKiQ3X1ZXLz98aSMQBBggIx8WAwQXHx8XBRg5Pz4cLD0iOGYeEREwNjISDCIkHxQIEjg/GgwZQEAaIigZJiwnDA8vNDAjBhBVeUc9WSMeMxQWFAYYR0YSMDAkBiFTWVAeKFFXZwpKOio7IxQXKAYBCwkGIh49ZX5AVpRrGAoKNUhORzIICjhOVU8dGFVmZCc8TyQ8UxIQGFNjYCYZSlRQQBEOLkYiCiNJMjdIHUtQSzwQFTk+OCgGC0WAZFaXNS09JjQTFl2YbBxGQzIIGFpraSc2d2hBAAQACf/3AoIC+AASABoAJwArAABXIiY1ND4CMzIWFxMzAyM3BgYDDgIVFBYXFzI+AjU0JiYjIgYHEzMTI5pAUSJCY0A0RAtCraKtFidSDSI9JhgUMy9RPCETMC0ECQV6Q4xCCVxbQoNtQTcoATb9CGU0OgHlFVZ5TC47DQs+Ym8yIDsmAQH+RgKSAAQACf/2AfQCIgAXAB4AKQAvAABXIiY1ND4CMzIWFRQGBwcWMzI2NwcGBgMGBhUUFhc3NjY3NyYiIyIGBxc2NjU0J+htcipTeE5IYI+eJx8uLV4tBStaXjlBFhhhHDQXJQQJBRcrFHskKS8KbV1AfWc+PD5CZA6+ChoWPxMUAccph0gnPBTcAgkFsQEICI8QLR8nEgAEACAAAAFWAwEAAwAHABIAHQAAcxMzAyczEyM3IiY1NDYzMhUUBicyNjU0IyIGFRQWIHGucm5DXEM9Ii0yL0w7Hw8ZIBQVEwIY/egxAbJtJiUqPEczNzIYFh8bERARAAAE/2//EAFWAwEAEQAXACIALQAARyImJzcWFjMyNjcTMwMOAzc2NjcTIzciJjU0NjMyFRQGJzI2NTQjIgYVFBZBFCgUCw4dERsuCoiueQclP100HjcNaUI9Ii0yL0w7Hw8ZIBQVE/AHCTUGCCMvAn/9zyBKQypNFEE8AfVtJiUqPEczNzIYFh8bERARAAIABf8QAgMCGAAVACEAAFc0NjY3ATMTFhYXPgI3EzMDDgIVEzY2NwMjFx4DF9MNFw/+/7d+BxECAQcJA2I5yA8WDBMCEgqhRG8JGhsUAvAcVF0pAhL++A4lCwMYGwcBCf31KFxXIgEsDDQeAU3oEzc7MQ0AAwAx//YC/QIYAB0AIQA0AABFIiY1NDY3EyMDIxMjNzchByMDBgYVFBYzMjcHBgYlMxMjATI2NzcjIiY1NDcTIwMGBhUUFgIdPFEKBDuIZq1mcwRPAnkLbDsEBRgRGhcaEzz+SkNcQwFLDh4KBwQxHwk6QTwECDMKRTsUNRYBDv4dAeMSIzX+8hUdCxIPCnwHCDsBsv5FAwElKhwXJwEO/ukUKxcmKAAAAQAtAAACXgL4AB4AAHMTMwcGBgczNjYzMhYWFRQGBwMjEzY2NTQmIyIGBwcthpUiBxEFCCJYMjFIKAQDMpUzAwMjIUBLECgC+LooSg8qJiRGNBA5Ev7sASEOHQocJFxX4wABAC0AAAJeAvgAJgAAcxMjNzM3MwczByMHBgYHMzY2MzIWFhUUBgcDIxM2NjU0JiMiBgcHLWdMEEwPlQ+aEJsCBxAGCCJYMjFIKAQDMpUzAwMjIUBLECgCSGFPT2EKKEIXKiYkRjQQORL+7AEhDh0KHCRcV+MAAgAY//YBuQGRACgANAAAVyIuAjU0NjcHJz4CNzY2MzIWFhUUDgIHBgYVFBYzMjY2NzMOAic+AzU0IyIOAr0mMRwLCwksDwghIQY3h0MlIQoXOmZPBwoOER1OUiMWHlJcLTtMKxEaGTItJQobKSwQHCQVNQ0KKCYHQU4aIAsXOjoyDw8oExMbK0wvKVY5nxM8QDQMGzJLTwACABj/9gHbAZEAIwA7AABXIi4CNTQ2NwcnNz4CMzIWFhUUBgYHPgI3MxQOAgcGBicyNjcmJjU0NjMyFzY2NTQmIyIGBwYVFLslMBwLCwksD1AeTFMmKy4THTMiEC8xExMWKkAqGzseEykUBggiEg0HICsaDh1NNysKGyksEBwkFTUNXyRCKR0rFR1VWiUEFy4mAicxJwMZHxIWEwMMChQbAzFvKyUSXWtTLicAA/+r/nsCUQGNADIAQQBUAABTIiYmNTQ+Azc3DgIjIiYmNTQ2NwcnNjY3NjYzMhYVNzMDPgI3Mw4CBwcOAycyNjY3Nw4FFRQWEzI2Njc2NjU0IyIOBBUUFgkhKhM1U19XHCIIJDMeJCUOFQ1BDSM7HSNeOiknLnbOJ0IuChQFM1Q2ThI7S1gwIjUxGU8HL0JGPSYfvyFCOxURHyIVMDEtIxUS/nsiLBAhREE5Kw1HCR8YKTgWGzgQQA0mRCIpOiEoQP6YFzo1DQw/SRyTJ1RJLRItTzGaAxooMztAIR8UAX43VCwiSiAoK0VQTjsNDQgAAQAw/6ABeAFoABcAAFMUBgczNjYzMhYVFSM1NCYjIgYVFSMRM5IDAgYRNCE5RmIcHCshYmIBDBsoCxkXOj/VvyMkODSaAcgAAQAz/6ABkwFoABIAAHcUBgczNjY3NzMHFyMnBxUjETOUBAICCRUMY26NlXBmKWFhnBIlEw0ZDGSPuYUfZgHIAAEAMP+gAJIBaAADAABXIxEzkmJiYAHIAAEAMP+gAksA7gAmAABlMhYVFSM1NCYjIgYVFSM1NCYjIgYGFRUjETMXMz4CMzIWFzM2NgHQPT5hGxsnH2IZHBseDGJLDgMKICgZJzUOBBE47jlA1b8mITMvpL8lIhowIpoBSCoPFQwaFxgZAAEAMP+gAXgA7gAUAAB3MhYVFSM1NCYjIgYVFSMRMxczNjb6OkRhHB0tH2JLDQQROe45QNW+JCQ4NJoBSCwYGgACADD/EAF8AO4AFQAiAAB3MhYVFAYjIiYnIxYWFRUjETMXMzY2FyIGBxUUFjMyNjU0Jvc9SE07Jy4NBAICYlANBQ4vByUeAR0nISEh7lZTVFcaEAscEH0B2CsUHUgsLAkvMzMwMDAAAAEAHf+aASsA7gAoAABlFAYjIiYnNRYWMzI2NTQmJy4CNTQ2MzIWFwcmJiMiBhUUFhYXHgIBK0hLJjkbHUIYHhsgMCAqF05AIjweHBk1ExYZDiIfICsWAS84CQpLDA8QDQ4TEgsaJBsuLw0NPQoMDAsJDQ4LDBokAAEAD/+aAQUBLQAXAABXMjY3FQYGIyImNTUjNTc3MxUzFSMVFBbIEB4PDy4cMD8uNRw+Y2MXHwYFQwYJLUCdJh5FRUSdExMA//8AG//2AiACLQQGBSDsAP//ADIAAAGeAiwEBgUhJQD//wAgAAACFAItBAYFIgEA//8AJ/9aAhUCOAQGBSMJAP//AA//WAIvAiwEBgUk+QD//wAy/1oCEQIiBAYFJf8A//8AI//2AhgC1AQGBSb4AP//AC//ZAIiAiIEBgUnDQD//wAd//YCEgLTBAYFKPoA//8AHP9cAhUCLQQGBSn5AAACAC//9gI0Ai0ADwAbAABFIiYmNTQ2NjMyHgIVFAYnMjY1NCYjIgYVFBYBMFVyOjx1Uz9gQSGEfjgyNDc3NDMKRIBYWX5EJkppQoWXeFFTVk1OVVJSAAEADQAAAXkCLAANAABhIxE0NjY3BgYHByc3MwF5mgECAQsdEFVJ6YMBEBYsKxMMGgxAYK4AAAEAHwAAAhMCLQAdAABhITU3PgI1NCYmIyIGByc2NjMyFhYVFAYGBwcVIQIT/hWuMzwbFCYdK1AmSTV6UkNgNCFEM1IBBnByIS0lFhYdECEgZS4tKEw1LkY8HzIFAAABAB7/WgIMAjgALQAAQRQGBgcVFhYVFAYGIyImJzUWFjMyNjU0JiYjIzUzMjY2NTQmIyIGByc2NjMyFgH3JUYyWVlFgFs6XjYtYitNSSVMOzY3M0gmOiwpTCk/M3lGa3kBjyxIMg0DC1ZKQl8zERZ/FxgzMyIrFXMWLSEnJxoaZSYjWQACABb/WAI1AiwACgAVAABlIxUjNSE1ATMRMyc0NjY3IwYGBwczAjVXlv7OAT6KV+0BAwIECh0ScagPt7diAbv+WX8VKikSEi8ZnwAAAQAz/1oCEQIiACEAAEEyFhYVFAYGIyImJzUWFjMyNjY1NCYjIgYHJxMhFSEHNjYBLkVmOEB9XDxjJitcMys+IUNFGD4cOxsBhf7+DRMvAR8xXkZKbDoUE4AVGRkyJjE1CQgeAWuAjgQHAAIAK//2AiAC1AAhADAAAFM0PgIzMhYXFSYmIyIGBgczPgIzMhYWFRQGBiMiLgIFMjY1NCYjJgYGFRQeAisvW4RWFjEZFjIcRV4xBAYSLjohQVswOmxMPmFCIgEALjUxLx0yHQ4cJwEvbp9nMQQFdgUFMWZOHScUNmVITHA9LFF0eT5ANzoBHC4bHDInFgABACL/ZAIVAiIABgAAVwEhNSEVAXABA/6vAfP++JwCQH5a/ZwAAAMAI//2AhgC0wAfAC8APQAAQTIWFhUUBgYHHgIVFAYGIyImJjU0NjY3LgI1NDY2AxQWFjMyNjY1NCYmJw4CEyIGFRQWFhc+AjU0JgEePmc/IjklJkUrP3FKUHA7JT4mIDQfQGkzGTAkJjEZFzQqHy8abiUxGCgXFycYMQLTJkw6K0EwEhQ1RzA7WDAuVjsxSDUSFDNBKzlMJv3rGigXFigaGCUlGA4kKwGLJiMYJRsMCxolGiMmAAACACP/XAIcAi0AIAAvAABlFA4CIyImJzUWFjMyNjY3Iw4CIyImNTQ2NjMyHgIlIgYVFBYzMjY2NTQuAgIcK1iIXR0xFBUtFUlmOAQFEi47KF9qOm1MPmFDJP79LjYxMB0zHw8cKOZnll8uBAN4BAYtYUweJxN4akxvPSpUeX4/PjU8Gi4dGzEnFgACADT/9gIoAtQAEQAfAABBFA4CIyIuAjU0NjYzMhYWBRQWMzI2NTQmJiMiBgYCKBs7YEVAXj0eMG5bVm82/qMqODgrEyomJSsSAWVXh18yMl+HV3SkV1ekdHp6eXtRbTY2bQAAAQAMAAABbgLKAAwAAFM0NjcGBgcHJzczESPXAwEFIQ5SSeZ8lwGdGlQgBh8MQlu3/TYAAAEAIQAAAhYC1AAdAABzNTc+AjU0JiMiBgcnPgIzMhYWFRQGBgcHFSEVI7M2Qh4vKClOK1IfRVtARmU3L1k/XAE3abU4Sz0jKyomI2EbLh0zVzc7YmA6Vgd/AAEAJv/2AhQC1AAtAABBFAYHFRYWFRQGBiMiJic1FhYzMjY2NTQmJiMjNTMyNjY1NCYjIgYHJzY2MzIWAf9ZQVZZPX9kO2YtLmUrNkAcHktDNjdCRRkvNzNLGkYqcU5ugQIqSlgQAwpURz5jORQTgBcYGTAiHikVdBkrHCYrIxFoHihZAAIAEQAAAisCygAKABUAAGE1ITUBMxEzFSMVAzQ2NjcjBgYHBzMBQv7PATmLVlaTAQIBBAkUDoGslGkBzf4/dZQBtBckHAwSIxTFAAABADX/9gISAsoAIQAAQTIWFhUUBgYjIiYnNRYWMzI2NjU0JiMiBgcnEyEVIQc2NgExQ2Y4QHxdO2QlJ2oqKj4gRUkYOxg8GwGD/v4MHioByDdjRE5tORQTgRUZGTMnNDoKByEBaYGKBQQAAgA1//YCLQLSACMAMgAAUzQ+AzMyFhcVJiYjIg4CBzM+AjMyFhYVFAYGIyIuAgUyNjU0JiMiBgYVFB4CNRItUX1ZFTgTEy0WQ1cyFwIGDik8KD9bMjttSzdfRygBAiw4MDEhMhwOGygBLz54a1MvAwR5BQUgPFEyGCUWNWVITXA7Jk12cD1ANDwdLhgZMSgYAAABAAsAAAILAsoABgAAcwEhNSEVAV8BDP6gAgD+8gJLf1/9lQADAC7/9gIlAtQAHgAvAD0AAEUiJiY1NDY2Ny4CNTQ2NjMyFhUUBgYHHgIVFAYGJzI2NjU0JiYnJw4CFRQWFhM+AjU0JiMiBhUUFhYBKlVwNyU/JSA0HzxoQmZ/ITskJkQsOHBVJjEYHi8aDh8uGRgxJRYnGDElJDEXJwowWDwxRjETFDNCKjlMJ1dWK0AxEhQ0RTA6WjJwFicaGysgCwcOIiscGSgXAVMKGyQaIiYmIhgkHAACAC3/9gIlAtIAIwAyAABBFA4DIyImJzUWFjMyPgI3Iw4CIyImJjU0NjYzMh4CJSIGFRQWMzI2NjU0LgICJRItUX1ZFTgTFCwWQ1cyFwIGDic7Lj1aMjtuSjdfRyj+/iw4MDEiMRwOGygBmT15a1MvAwR5BAYgPFIxFyYWNWVITm87Jk12cDxBNDweLRgZMSgYAAMAJP/2AhcC1QADABQAJAAAdycBFxcUDgIjIiYmNTQ2NjMyFhYFFBYWMzI2NjU0JiYjIgYGq0cBIUhKGztfRVZuNTBuW1ZuNv6jEismJisTEysmJisSvUcBIUd5VohfMlikc3SkWFeldFFtNzZtUlJtNzdtAP//ABT/dAFnATQGBwQHAAD93v//ACD/fgEVASoGBwB5AAD93v//ABf/fgFXATQGBwByAAD93v//ABr/dgFeATMGBwBzAAD93v//AAz/fgFzAS0GBwGDAAD93v//ACj/dgFdASwGBwGEAAD93v//ABb/dAFmATMGBwQIAAD93v//AB3/fgFkASoGBwGFAAD93v//ABb/dAFmATQGBwGGAAD93v//ABX/dAFkATQGBwQJAAD93v//ABT/9gFnAbYGBwQHAAD+YP//ACAAAAEVAawGBwB5AAD+YP//ABcAAAFXAbYGBwByAAD+YP//ABr/+AFeAbUGBwBzAAD+YP//AAwAAAFzAa8GBwGDAAD+YP//ACj/+AFdAa4GBwGEAAD+YP//ABb/9gFmAbUGBwQIAAD+YP//AB0AAAFkAawGBwGFAAD+YP//ABb/9gFmAbYGBwGGAAD+YP//ABX/9gFkAbYGBwQJAAD+YP//ABQBFAFnAtQGBwQHAAD/fv//ACABHgEVAsoGBwB5AAD/fv//ABcBHgFXAtQGBwByAAD/fv//ABoBFgFeAtMGBwBzAAD/fv//AAwBHgFzAs0GBwGDAAD/fv//ACgBFgFdAswGBwGEAAD/fv//ABYBFAFmAtMGBwQIAAD/fv//AB0BHgFkAsoGBwGFAAD/fv//ABYBFAFmAtQGBwGGAAD/fv//ABUBFAFkAtQGBwQJAAD/fgADAAP/awRSAvgADgAdACwAAEEHNxcHFwcnByc3JzcXJwMHNxcHFwcnByc3JzcXJyEHNxcHFwcnByc3JzcXJwJsFLURpWxvTEN0bKUTshS2FLURpWxvTEN0bKUTshQC7BS1EaVsb0xDdGylE7IUAvi0M3wMkDuYmDuQDnoztP5HtDN8DJA7mJg7kA56M7S0M3wMkDuYmDuQDnoztAACADUALAI4AiIACgAOAABlIiYmNTQ2NjMhESczESMBEUFkNzdkQQEnoFFRLC5uX2BtLv4KYgEyAAIAVwAsAloCIgAKAA4AAHcRITIWFhUUBgYjJzMRI1cBJ0JjNzdjQthRUSwB9i5tYF9uLmIBMgAAAgBG/2IBMgLKAAMACwAAUzMVIxMjETMVIxEzUOLi4uzsbW0BSmf+fwNoZ/1mAAIAGf9iAQUCygAHAAsAAFc1MxEjNTMRAzUzFRltbezs4p5nAppn/JgBgWdnAAABABP/EAGFAFQABgAAVxMzEyMnBxOYM6dVaWLwAUT+vNbWAAACABb/EAGUAZIAAwAIAABXATMBMycnMxMWATBO/tDKZiBBlPACgv1+4Uv+1AAAAQAUAkICTQMYABEAAFM+AjMyFhYXBy4CIyIGBgcUIVVpPj9oVSAtGUxaMDFbSxoCXD9UKSlUPxo2QR4eQTYA//8AFP8QAk0DGAQmBXQAAAAGBVoAAAAFACX/3wMwAuoACwAXACMALwA7AABFESE1IREzESEVIRElIiY1NDYzMhYVFAYhIiY1NDYzMhYVFAYBIiY1NDYzMhYVFAYhIiY1NDYzMhYVFAYBcv6zAU1wAU7+sv7UIzIyIyQyMgHFJDIyJCMyMv30IzIyIyQyMgHFJDIyJCMyMiEBTnABTf6zcP6yPScsLiUlLiwnJywuJSUuLCcB7ScsLiUlLiwnJywuJSUuLCcA//8ANv/zAuYC1AQmAAIAAAAHACABHgAAAAUAOf/oAzAC3wALABcAIwAvADsAAEE0NjMyFhUUBiMiJgE0NjMyFhUUBiMiJiU0NjMyFhUUBiMiJgE0NjMyFhUUBiMiJiU0NjMyFhUUBiMiJgFfLSgnLy8nKC3+2i0oJy8vJygtAkwtKCcvLycoLf20LSgnLy8nKC0CTC0oJy8vJygtAWQpJSUpJycn/vkpJSUpJycnJyklJSknJycCgicnJycoJiYoJycnJygmJgAAAQAeAAACEgH1ABcAAGUjFwcnFSc1Byc3IzUzJzcXNTMVNxcHMwISk2k9aFVpO2iUlGk8aVVpPGmT0Gk7aJQBk2k9aFVpPGmUlGk8aQAABAA5//QCfAMSAAsAFwAjAC8AAEEiJjU0NjMyFhUUBgMiJjU0NjMyFhUUBgMiJjU0NjMyFhUUBiEiJjU0NjMyFhUUBgFbJDIyJCMyMiMkMjIkIzIy7yQyMiQjMjIBdSQyMiQjMjICbCcsLiUlLiwn/YgnLC4lJS4sJwE8JywuJSUuLCcnLC4lJS4sJwAEADn/6AMwAt8ACwAXACMALwAAZTQ2MzIWFRQGIyImETQ2MzIWFRQGIyImATQ2MzIWFRQGIyImJTQ2MzIWFRQGIyImAV8tKCcvLycoLS0oJy8vJygt/totKCcvLycoLQJMLSgnLy8nKC02KSUlKScnJwKCKSUlKScnJ/75KSUlKScnJycpJSUpJycn//8ANgC0AOMBWwYHAA8AAADB//8AMwDOAToBSgYGAA4XAAADAAP/8wHFAtQAFAAgACsAAFMGBgcnNjYzMhYVFAYGBw4CFRUjFyImNTQ2MzIWFRQGAzY2Nz4CNTQmJ3IOHQ81MXJEaHMaNCcdIAuBRiQyMiQjMjIDBQoGGBwMJiMCSQcOCGsbImRNKTwzHRUeHBUd+icsLiUlLiwnAbAFCgQSICIUHSUEAAEAFP8WAk3/7AARAABXJz4CMzIWFhcHLgIjIgYGQCwhVWk+P2hVIC0ZTFowMVtL6ho/VCkpVD8aNkEeHkH//wAd/zICAQEGBgcACwAA/g7//wCk//MBUACaBAYAD24A//8ABf/zA6AC1AQnACAB2AAAAAYAIAAA//8ABf/zAsAC1AQmACAAAAAHAAIB3QAAAAUAMv/pAyAC1wALABcAIwAvADsAAHMnAQE3AQEXAQEHAQUiJjU0NjMyFhUUBgEiJjU0NjMyFhUUBgMiJjU0NjMyFhUUBgEiJjU0NjMyFhUUBpJJARX+6UoBGAEZS/7nARVJ/un+1h8uLh8gLi4BCikiIikpIyMpKSIiKSkjIwEAHy4uHyAuLkoBFwEYS/7pARZJ/uf+50oBGAEiKSkjIykpIv7ULiAgLS0gIC4CUy4gIC0tICAu/tkiKSkjIykpIgAAAQBM/4ECTwL4ABIAAFcRITIWFhUUBgYjIiYnESMRIxFMASdCYzczXD4THw9PV38Ddy5tYFtsLgUE/nADHfzjAAIAOf9/AP4CLAALABcAAHc3Mx4DFyMuAhMUBiMiJjU0NjMyFj0HiQQLDQ4HaxAhHJ4yJCIzMyIkMmkLGjxBQB4lUVEBkywnJywuJSUAAAEAKADMA8kBdgAdAABBMjY2NzMOAiMiLgMjIgYGByM+AjMyHgMDACw0GwVJCUBgOShncnBiIys1GgZJCUBgOSlncW9iAS8WHQszSCYOFhUOFh0LNEcmDhUWDgAAAwA5/+gCCgLfAAsAFwAjAABlNDYzMhYVFAYjIiYRNDYzMhYVFAYjIiYBNDYzMhYVFAYjIiYBXy0oJy8vJygtLSgnLy8nKC3+2i0oJy8vJygtNiklJSknJycCgiklJSknJyf++SklJSknJycAAQArAAACEAIiAAYAAHMBITUhFQFxAQz+rgHl/vIBt2tL/ikAAwA5/+wA6QL2AAsAFwAjAABTNDYzMhYVFAYjIiYDNDYzMhYVFAYjIiYTNDYzMhYVFAYjIiY8MyQjMzMjJDMDNCQjMjIjJDQCMyQjMjIjJDMBcC8lJS8sJyf++y4mJi4sJycCkC4lJS4sJyf//wAd/ysCAQL4BicACwAA/gcABgALAAD//wA2//MCCQCaBCcADwEnAAAABgAPAAAAAgA5//QA5ALWAAsAFwAAUzQ2MzIWFRQGIyImETQ2MzIWFRQGIyImOTIkIzIyIyQyMiQjMjIjJDICgy4lJS4sJyf98C4lJS4sJycAAAEAFP8QAk3/5gARAABXHgIzMjY2NxcOAiMiJiYnQBpLWzEwWkwZLSBVaD8+aVUhGjVCHh5CNRo/UyoqUz8AAQA3ALoBbQIvAAIAAHcRBTcBNroBdbr//wA//z4A8AFsBgcFeAAA/eL//wAC/z4AtAFsBgcFeQAA/eIAAQA/AVwA8AOKAA0AAFM0NjczBgYVFBYXIyYmPyovWCwrKi1YLisCclCQODqSTEqSOjWRAAEAAgFcALQDigANAABTFAYHIzY2NTQmJzMWFrQrL1guKiotVzAqAnVQkTg6lEpLkjk3kf//ABwAzgEjAUoGBgAOAAD//wAcAM4BIwFKBgYADgAA//8AMwHIAhkCygQnBX0A3QAAAAYFfQAAAAEAMwHIATwCygADAABTEyMDu4FgqQLK/v4BAv//AC4ByAOvAsoEJgFwAAAAJwFwANMAAAAnAXABpgAAAAcBcAJ4AAD//wAzAcgC9gLKBCcFfQG6AAAAJwV9AN0AAAAGBX0AAAABAB7/gAEOAlYADgAAdzQ2NzMGBhUUFhYXIyYmHjk+eTk0FzAleD456GTASkzBYUCAdjJHvgABABb/gAEGAlYADgAAZRQGByM+AjU0JiczFhYBBjk+eCYvFjI6eT456GO/RjJ2gEBhwUxKwQABABn/eAFGAk4AJQAAUzI2NjU1NDY2MxUiBgYVFRQGBxUWFhUVFBYWFxUiJiY1NTQmJgcZGi0bIFhTEiUYMS4vMBkkElJYIRwtGQEaDh4ZaS47HWgGExVuMC8GBAcuL3AUEgUBaRw8L2YZHg8BAAEAGv94AUgCTgAlAABlJgYGFRUUBgYjNT4CNTU0Njc1JiY1NTQmJiM1MhYWFRUUFhYzAUgZLRwhWFMTJRgyLS0yGCUTU1ghGy0aqgEPHhlmLzwcaQEFEhRwLy4HBActMW4VEwZoHDwuaRkeDgAAAQAx/3gA+QJWAAcAAFMzFSMRMxUjMchOTsgCVl/94F8AAAEAGP94AOACVgAHAABTIzUzESM1M2dPyMhPAfdf/SJfAAACACT/9gDIAkgAAwAPAABTMwMjBzQ2MzIWFRQGIyImJKQTfRIvISEvLyEhLwJI/oGKKSEhKSciIgAAAgAk/3oAyAHKAAsADwAAUxQGIyImNTQ2MzIWESMTM8gwISEvMCAiL6QUfQGBKSAgKSciIv3SAX0AAAIAAf/2AYsCUAAfACsAAHc0NjY3PgI1NCYjIgYHJzY2MzIWFRQGBgcOAhUVIwc0NjMyFhUUBiMiJnUMIR4dGwgiGx5HKDUuYzxbYhMoIRQcDX0PLyMgLi4gIy/qGSklEhMaFgwXFxYXZRoeUEIgNC0UDRcbFQyKKSEhKSciIgAAAgAQ/3EBmgHKAB8AKwAAZRQGBgcOAhUUFjMyNjcXBgYjIiY1NDY2Nz4CNTUzNxQGIyImNTQ2MzIWASYMIR4cHAgiGx5HKDUtZDxaYxMpIBUbDX0PLyMfLy8fIy/XGSokExEbFwwWFxUYZhkeT0MgMy0VDRcbFQyKKSIiKSYiIv//ACT/9gGxAkgEJwWGAOgAAAAGBYYAAAABAB4AIQEiAaYABgAAQQcXByc1NwEibGxpm5sBbouLN7wLvgABAB4AIQEiAaYABgAAdzcnNxcVBx5ubmqamliLizi+Cr0AAgAX//YCmAKWAAsAJAAAcxEjNTc3MxUzFSMRJTI2NxUGBiMiJiY1ESM1NzczFTMVIxEUFl5HUitfuLgBRxkuFxhHKjFNLUdSK1+ZmSQBsj8yc3Rw/k5tCgdvCg8gT0YBBz8yc3Rw/vkfHwAAAQAzAAADNwLKAB8AAHc0PgI3NTMVHgMVFSM1NC4CJxUjNQ4DFRUjMyFKelqIW3pJH44WK0IsiClBLhmOrEh7XjgEwcEEMll9T66sRVUwFQTl5QQUL1VFrgAABAAKAAACRwLKAAsADwATAB0AAHMRMzIWFRQGBiMjESc1IRUlNSEVJzI2NjU0JiMjFVrkin80eWhB5wGB/n8BJQwrPiI6PkUCynBiOmY+/uZrYWGvfHx8EyogLi24AAIAVQAAA0ICygAPAB8AAHMRITIWFhURIxE0JiYjIxETMxEzMjY2NREzERQGBiMhVQEgX28xgyA/MIpLg4owPyCDM3Jf/uUCykJ2UP70AQk7Rh/9oQIU/lcfRjsBv/4+T3dCAAACABT/sgKzAtQARABpAABBHgIVFA4CIyImJicmJjU0NjMyFhcnNCYjIgYVFBYXHgIzMj4CNTQmJicuAzU0NjYzMhYXByYmIyIGBhUUFhYBERcXMzY2MzIWFzM2NjMyFhUVIzU0JiMiBhUVIzU0JiMiBhUVAgU3TSojQ2I/O2NVKDpDJCUyLAFIDBIJCCQoJFZgMyc4JBElRzIZOjUiO21KOGU3MTFOKRwoFR48/pwYEBINLhkgLQsEDCsXLS9JFBQcGUgUFB8WAZwaOEw4MEw3HQkTDxY+LBorOUECHyELBg0eDAsRCRAcJRQhLigXCyEyRjFAWzAaGHYUFhIgFhkjIP4AASECEBUSFBMVEi4z1cMdHCkmrcMdHCsspQAAAgAWAAACKALKAAcACwAAYSMRIzUhFSMBIRUhAWuZvAISvf6rAhL97gGDf38BR38AAgAM//gDGALVAAoASAAAUzQmIyIGFRQWMzMDJyUXNxcWFjMyNjU0JiMhFRQWFjMyNjcVBgYjIiYmNTUjIiYmNTQ2NjMyFhYHITIeAxUUBiMiJicnByfOIx4ZIyMgOiQuAS9BRTUHIRYZFUVH/ukpXEwfQCgeQCVmikYlLkcoI0MuK0EkAQEMLEY1JBJCNB4mFRVOUAJWIikgGR4e/j0z4kQ7NwcbJBcqKlFSYysKC4YJCFGedU8oRy0tQCErTDIRIC89JUZMERIUQ1QAAwA5AAAC4QMCAB4AIgAmAABzNTc1LgI1NDY2MzIWFhUjNCYmIyIGBhUUFhYzIRUBETMRMxEzEV9fLzocTphvc5ZKmiRRRENSJTVfPwEQ/nBLN0tqCgQdUWM2XpJVWqFrUW43NWRJTG87fAFeAaT+XAGk/lwAAAcAWv+eAhwDLwADAAcACwAPACMALAA2AABBNTMVIzUzFRM1MxUjNTMVJxEzMhYWFRQGBgcVHgIVFAYGIwMyNjU0JiMjHQIzMjY1NCYmIwFGQ8hDQkPIQ6qsVnM7FCYbHS4cOGlIHDImLjIeMTQpEislAoKtra2t/Rytra2tYgLKI09DKEIqBgUHJEQ4QV0xAa8qKCkkn3i6NSwbKBYAAQBg/xACCwLUACUAAEEyFhcHJiYjIgYVFTMVIxEUBgYjIiYnNRYWMzI2NREjNTc1NDY2AYstPhUjDyEXHRhvbyROQBcyEQ8bEBkkUlIsUQLUDgltBQkmHSJw/jwyUjEHBXUEBSIxAa5IKChGTSAAAAEAM//1AucCygAnAABBFSMeAhUUBgYjIiYmNTQ2NjcjNSEVDgIVFBYWMzI2NjU0JiYnNQLnlS0/I1OYaWiZUyJBLZYBJjE5GS1SODhSLBY4MwLKfxpSZjpglVVVlGA7ZVEcf4kgTlkzQl8yMl9DMFpPIIkAAQAj/+MCWQJYACIAAEUuAycOAgcjNDY2NyYmJzceAhc+AjUzDgIHFhYXAhAbQEdNKSMxGwJjIkMwKE8fRitiYywlKBFtBSY+KTBNHh0kU1pfMCtlc0BLiXw2L0IZSCVeaTgrZF8lQX9wLTpkKQADAAD/9gLGAtQAJQAwADwAAEUiJiY1NDY3JwYGByM2NjcnMxc+AjMyFhYVFAYGBx4CFRQGBgM+AjU0JiMiBgcTMjY1NCYnBgYVFBYBuDlbNFI9ixQdC5sPOi2TuDgdQkspUnM+HzspGh8NNV4KExsPQDAgOBdvGS0ZFSotKQokRjFFXiOHIksmOIA4jzcUHRAzWz0ySTcYHjU0HTJLKAGiDh4jFCsxEA7+MBoiGS4YFy4eHhoAAAEAIAAAAfsCRQARAABzNSE1NCYmIyM1MzIWFhUVMxUgASoeQDWBgV5rLk1Y9TdII1Y2dF7lWAAAAwAD//QBowLVAAsADwAbAAB3NDYzMhYVFAYjIiYTASMBBTQ2MzIWFRQGIyIm+jIkIzAwIyQyqf7XdwEp/tgxJSMwMCMlMUUtJSUtKicnAq/9NgLKRy0lJS0qJiYAAAEAAgAAAdMCRQAHAABhESE1IRUjEQEi/uAB0U0B7VhY/hMA//8AI//1AUQArgYHBaoAAP38AAIAIwH5AUQCsgADAAcAAFM1IRUFNSEVIwEh/t8BIQJuRER1REQAAQAF/+kBYQJQAB0AAHc+AzU1NCYmJyc1Fx4CFRUUFhcXIycUBgYHBwUyQycRCRYUVJ4iIQoKBjtmJxEdEo9SHSspNCR9FhoQBRZdKQknPCtzFCsUyq4gKhsLVQAJAB3/9wZmAtQADAAYABwAKgA2AEQAUABeAGoAAFMyFhYVFAYjIiY1NDYXIgYVFBYzMjY1NCYlASMBATIWFhUUBiMiJiY1NDYXIgYVFBYzMjY1NCYlMhYWFRQGIyImJjU0NhciBhUUFjMyNjU0JiUyFhYVFAYjIiYmNTQ2FyIGFRQWMzI2NTQmxjdOKVhWTltWVRwXFxwbGRkB4v50dgGMA2o2TilYVTZMKFZVHBcXHBsZGfzsN04oWFU1TShXVBwXFxwcGBgBXzdOKFhVNkwoV1QcFxccHBgYAtQ3Y0VrdndqanViQjw8Q0I9PEJY/TYCyv7tN2REa3Y4ZkNrdGNAPTxDQj08QWM3ZERrdjhmQ2t0Y0A9PENCPTxBYzdkRGt2OGZDa3RjQD08Q0I9PEH//wAj/8IBRADjBgcFrgAA/fwAAQAjAcYBRALnAAsAAFM1IzUzNTMVMxUjFYxpaU9paQHGbkRvb0RuAAEAIAAAAdsCygAFAABhITUhETMB2/5FASKZfgJMAAMAGv8QAmwCygALAA8AEwAAVzUBATUhFSETASEVJSE1IRM3AyMaAT3+zwI2/pP7/tUBrf3rAeT+Vest+EvwPwFiAeI3N/5x/rKmND4BVzEBiQABAFD/9gKaAtQAIQAAQSERNjYzMhYWFRQGBiMiJic3FhYzMjY2NTQmJiMiBgcVMwFr/uU4ekxrlE1Xpng5bi0yIVQuQmE1JlJCICwUhwE5AXITFlSkeHCkWhkTeRAXPG5JRmw9BgSVAAEAIAAAAdsCygAFAABBESMRITUB25n+3gLK/TYCTH4AAQAAAAACcgLKAAgAAEEDIxMRMxETIwE5lKXsmuynASv+1QG0ARb+7/5HAAADAAD/EAJSAsoACwAPABMAAFU1IQETITUhFQEBFSUhJyETASMDAa3+1fv+kwI2/s8BPf3fAeQ5/lXAARZL+PCmAU4Bjzc3/h7+nj80PgFXAbr+dwACACkAFAOoArwAFgAlAABBMhYWFzcVBxQUFRQOAiMiJiY1NDY2EzI2NjU0JiYjIgYVFBYWAZhQhGEbwKA0YodUbqVbW6VvS2s5OWtLcIA6bAK8Jk08rcV/AwgDWIBUKEmXdXSWSf35JVA+QE8kU18/UCUAAAQAF//4AwYC0gAcACcAQQBFAABTMhYVFSMnBgYjIiYmNTQ2Njc3NTQmIyIGByc2NhcGBhUUFjMyNjU1ASImNTQ2MzIWFwcmJiMiBhUUFjMyNjcVBgYDASMByEdFQg8VPSQjNh0oTTYwHx8WNx0gIE4qLBsWECYrAZxQV2FPJTYUHRYoFCcmKCUeMBYWMQL+dHUBjALSSD3YNhwgGDAlJy8XAgIIFxoQDkIQGMIDHxETESkfEv3lVVteVQ4JSAkLNDQzMQ8OUA0MAtL9NgLKAAAEABf/+AMKAtIAHAAnACsAVQAAUzIWFRUjJwYGIyImJjU0NjY3NzU0JiMiBgcnNjYXBgYVFBYzMjY1NSUBIwETFAYjIiYnNRYWMzI2NTQmJicuAjU0NjMyFhcHJiYjIgYVFBYWFx4CyEdFQg8VPSQjNh0oTTYwHx8WNx0gIE4qLBsWECYrAcD+dHUBjM1KTCM5GhxGHBgWCh8hIiwUS0AgPx8cGToXFA4LHx4fLBgC0kg92DYcIBgwJScvFwICCBcaEA5CEBjCAx8RExEpHxK3/TYCyv2ZMzgKClINDw4KCQwQDQ4dJx0vMA0OSAsODAgGDA8LCxonAAMALf/7A0gC0AAZAB0AMgAAUyImNTQ2MzIWFwcmJiMiBhUUFjMyNjcVBgYBASMBAREjJyMGBiMiJjU1MxUUFjMyNjU11FBXYU8lNhQdFigUJyYoJR4wFhYxAZv+dHUBjAEoSw0FETwhOkZiHB4tIAFtVVteVQ4JSAkLNDQzMQ8OUA0MAV39NgLK/o7+qSwaGDtC4MkkJjs2ov//ACj/9gPYAtQEJgBwAAAABwAkAXUAAAACAB8AAAJAAsoAHQAkAABhITUmJjU0Njc1MxUWFhcHJiYnETY2NxUOAgcVIQEUFhcRBgYCQP6JT1tgSlomPyAbGTQdID4cFCkoFQEd/jMoLi4opQ9wZWZtD19ZAQ4NQgoOAf67AhAMSAkNBgFQATk+Tw4BNQ9NAAAEAFoAAAWhAs0ACwAPABkAJgAAYSMnByMTAzMXNzMDBTMXIQUjESEVIxUzFSMlJiYnBgYHAyMTMxMjBZ+tR0OiioKnREWjlf032iT+3P7SlQFMt6WlAdMEDQgHDAVLo6+5r6Pn5wFwAVre3v6mR3+qAsp8uHytGkolI0se/jwCzf0zAP//ACgAAANtAtQEJgBwAAAABwAnAXoAAP//AEQAAADoAvkGBgBKAAAAAv/+//YDfQL4ACYANAAARSImJyMHIxEjESMRIzUzNTMVMzUzFTMVIxUUBgczNjYzMhYVFAYGJzI2NTQmIyIGBhUVFBYCqzxFFgoZcpyVUFCVnJWNjQQCBhZKO1xyNV5pLjY3LyUwFjIKKxs8Ak/9sQJPXUxMTExdHB88ESIvjYNYez95UklJTiI/LAhIVQAAAgAc/xACKALgAB4AJQAAQRUHFhYVFAYGIyImJzUeAjMyNjY1NCYmIyM1NyE1BSc3ITUhFQII03l6QYdoPm8vIUpJHz5HHSdZSzyw/voBAY+U/voB1AHkYckFbV4+YzkUE4APFQsbMR8eKxdqqn0uHo99YQAGACz/9gJ2AtUAYAByAHsAiACOAKAAAEUiJiY1NDY3JiY1NDY2NzcuAiMiBhUUFjMyNxcGBiMiJjU0NjYzMhYWMzI2NjMyFhYVFAYHBzYzMjIXJiY1NDYzMh4CFRQGBxYWFRQGBgcjPgI1NCcGBgcWFhUUBgYnMjY1NCYnBiIjIiYnBgYVFBYDDgIVFBYWFxcyMjcnIiYjIgYHBxY3NjcmJicXNjY1NC4CIyIGBhcUFhcWFgEaKzMWBwUwSCtAIREJIiQMDw8LDwkKAQQLBiIpGCAMGh0TCgkDCxMODAMTCwMjFAgRCgEBMkMsRjIbEhEODxgfCiQKIBsPImU9BwoWMiwdHwUDCBIIECYUAQMfOTQwDA0pKncJEQgIChIJEBsMBiB4dCQhWzCzBQYJFy0kJyYKAQQDLGEKJDohFFk1CCooICkYBZAFDgoRCggTAhIBASkeHh8LFxcUEw4QAw0gEYoDAR0vEEdVJ0JPKRw0Fw4kFRYqHwcHHyoXGxUlMgs3WBEhOiQeNCsNVjkBAQIyVRcrNAGxCSIgBgcbHQoLAaoBAQGnAwcYXxMUBBUTKRccQTolKT4gEjIdAxIAAAIAWgAAApQCygAVAB8AAHMRMzIWFRQGBxc3MwcXIycHIzcnIxETMjY1NCYmIyMVWtCSi0w5IyOKamyQKieHbUpeMUtBHz8xLgLKamxAZhc0OZ2fPz+hcf7uAY0yMSIpE8EAAgBhAAACmAMQABMAGgAAYREjESMRMzUzFTIWFRQGBgcVIRUBNjY1NCYjARpfWrlakYw0fWwBJP7cY11bZQJu/jICG1VVYGk3ZD8CxlABYwQ/RkFBAAADAFX/bwKRA2wABQAVAB8AAEEnNwUDIxMyFhYVFAYGBxMjAyMRIxEXIxUzMjY1NCYmAYTcEAEX4UCCXnw9Ijoly6+fVZnYPz89Qhs4Avo0Pkf8SgNbL1xFMEo0Ef7FARL+7gLKd8syOSAqFgABACP/9gJdAtQAIwAARSImJzUWFjMyPgI3ITUhLgMjIgYHJzY2MzIeAhUUBgYBAz1jMzlhMC5HMRwC/soBNQEaLj8nMF4tMDV2Q097VS1KmQoSE38SFBctRS18KkEtGBsTehcbMV+JV26lWwACABsBZwK/As0AFAA8AABBETMTEzMRIzU0NjcjAyMDIxYWFRUHIiYnNRYWMzI2NTQmJy4CNTQ2MzIWFwcmJiMiBhUUFhcWFhUUBgYBR15eYVtAAgEEZTVgBAIB+CE+ERg8Gx8pGSklLRU5Px07FRETLRwcGiIuNCUhPgFqAWD+8QEP/qC+FysP/vEBDxAqFcADDgk9DBITHBMVDw4dJhomOQ0KNQgOFBQXFRIULiMjLRUABP/y//cEFQIhAFkAZwB1AIMAAEUiJicGBiMiJicGBiMiJicGBiMjNTMyNjY3LgI1NDYzMhYVFAYGBx4CMzI2NjcuAjU0NjMyFhUUBgYHHgIzMjY2Ny4CNTQ2MzIWFRQGBgceAjMzFQMUFhYXPgI1NCYjIgYFFBYWFz4CNTQmIyIGBRQWFhc+AjU0JiMiBgQHN1UgIVY2N1UgIVc2NlYgIVI1Dg4XKyUPHyMPRENFQxAkIQ8nLBgXKyUPHyMORENEQxAkIA8nLBgXKiYOHyMOQ0VDRA8mIA8kKxcO+gkeHh4dCR8lJSD9TQkeHR4eCiElJR8BWgkdHh4dCSAkJCAJFRMTFRUTExUVExIWPQUJBiJVWSdzb3ByJldUIwcKBgUJBiJVWSdycHByJlhVIgYKBgUJBiNVWCdycHByJlhVIgYKBj0BSyFOSx0dS04hT09PTyFOSx0dS04hT09PTyFOSx0dS04hT09PAAADABEBagL4AsoABwATABkAAFMRIzUhFSMRMxEzFSMVMxUjFTMVMxEzETMVdmUBCmaGxYZ8fIYzP4YBagEqNjb+1gFgNlk0ZzYBYP7WNgACAAD/bgKKA28ABQAUAABBJzcFASMBAyMDMxMeAhc+AjcTAW3YGAEV/tlFAjTzpfKZhgQPEAMDDxADhwLoRENd/FwDXP02Asr+Vws7QRYWQTsLAakAAAIALP8PAw4ChwBPAF0AAFMOAhUUFhc2Njc2NjMyFhYVFA4CIyImNTQ2MzIWFRQGBwYVFBYzMj4DNTQuAiMiBgcGBgceAxUUBiMiJiY1NDY3JiY1ND4CNxM0JiYnBgYVFBYWMzI2/ikzFg0MKFooUosnP1MpJEZoRVJdKyUYHioaA0AoM0IoEwYGFi4nLmk1MFolFjUwH0M2MU8uJBsZISk9QBcLJDYcFhgmNhcXGgJxJlBhQRw1GjZdIkY8Q25CN3BdOFNDMjYbFyAbAwkLKSk0UFNCCw43Oyo2LChkNiZJSEknQFIwVDUyazArXTQ8ZVA3DvzzKU9RKytTIy9CIyIAAAH/ZQC1APwBowARAAB3IiYmJwcnNxcWFjMyNjcXBgaJITQnDYIZ5g4NGBgVIQ8hFzm1GDQpKl5FMy4mEApYEhcAAAEATgAAAdACsAAIAABhAyM1MxMRMxEBjryEs41CAm5C/i0B0/1QAAABAE4AAAHQArAACQAAYREnIzUzFzUzEQGOqpaukkIBxKpCkpL9UAAAAQBOAAAB0AKwAAkAAGE1AyM1MxMRMxEBjrmHs41CywGjQv61AUv9UAAAAQBOAAAB0AKwAAkAAGERAyM1Mxc1MxEBjrSMrpJCAWIBDELY2P1QAAEAFAAAATECsAAGAABzAzcTETMR7to/m0MCmhb+IAHg/VAAAAEADgAAAdACsAAIAABzAzcTEzMRIxHu4D2joEJCApkX/iAB4P1QAeAAAAEAFwAAAdACsAAHAABzAzcTMxEzEevUP8VzQgKaFv2SAm79UAAAAQALAAAB0AKwAAkAAHMDNxMTNTMRIxHu4z6onUJCApgX/hcBqz/9UAGwAAABABoAAAHQArAACQAAcwM3EzcRMxEjNe7UPraAQkICmhX9zHoBu/1QmAABABoAAAHQArAACQAAcwM3ExM1MxEjEe7UPqOTQkICmhX9/gEw0/1QAUAAAAEAIgAAATECsAAHAABzESc3FzUzEe7MLKBDAcS7MZGR/VAAAAEAJgAAAdACsAAIAABhEQcnNxc3MxEBjqDILZugQgJVlr4vkpb9UAABACIAAAHQArAACAAAYQMnNxcTETMRAY6pwyzSbkIBxrgyxv7VAfH9UAABACgAAAHQArAACQAAYREjJzcXMzUzEQGOsrQwoJZCAcmzL6Cl/VAAAQAmAAAB0AKwAAkAAGE1Ayc3FxcRMxEBjqDIKNVrQnMBS740x+MBqv1QAAABACYAAAHQArAABwAAYREBNwERMxEBjv6YLgE6QgEeAV4u/tQBMv1QAAABABIAAAExArAABwAAczUDNxMRMxHu3DygQ3cCIRj+eAGI/VAAAAEAEgAAAdACsAAIAABhEQMDNxMTMxEBjqDcPKCgQgIA/ngCIBj+eAGI/VAAAQAXAAAB0AKwAAgAAGEnAzcTFxEzEQGOoNc+0WhCoAH1G/4WaQJT/VAAAQASAAAB0AKwAAkAAGERAwM3ExM1MxEBjpvhPqiWQgHF/soCBxr+fQEsV/1QAAEAEwAAAdACsAAJAABhNSMDNxMzETMRAY6xyju9g0KlAfMY/jcByf1QAAEAEgAAAdACsAAJAABhEQcDNxM3ETMRAY6j2Ty1i0IBJKQCGBj+SYYBMf1QAAABABYAAAExArAABwAAcxEDNxMRMxHu2DigQwEkAWkj/vYBCv1QAAEAGgAAAdACsAAIAABhEQMDNxMTMxEBjqLSNKCgQgIv/vIBaSb+9gEK/VAAAQAjAAAB0AKwAAYAAGEBNwERMxEBjv6VOgExQgKPIf3aAib9UAABABoAAAHQArAACQAAYREHAzcTNzUzEQGOotI0rJRCAcakAWkl/uCTjf1QAAEAFgAAAdACsAAJAABhNScDNxMXETMRAY6tyzrFeUKErQFdIv6reQHO/VAAAQAnAAAB0AKwAAkAAGERIwM3EzMRMxEBjqi/OK6BQgFGAUcj/tgBKP1QAAABABQAAAExArAABgAAcycTMxEjEVM/2kNDFgKa/VAB4AAAAQAXAAAB0AKwAAcAAHMnEzMRIxEjVj/U5UJzFgKa/VACbgAAAQAOAAAB0AKwAAgAAHMnExMRMxEjA0s94KBCQqAXApn+IAHg/VAB4AAAAQAaAAAB0AKwAAkAAHMnExc1MxEjESdYPtSgQkKAFgKamJj9UAG7egAAAQALAAAB0AKwAAkAAGE1AwMnExMRMxEBjpuqPuOgQnIBf/4QFwKY/ncBif1QAAEAGgAAAdACsAAJAABzJxMTETMRIxEnWD7UoEJCjxYCmv7xAQ/9UAEe8QAAAQBOAAAB0AKwAAgAAHM1MxMzESMRA06EvEJCjUICbv1QAdP+LQABAE4AAAHQArAACQAAczUzEzUzESMRA06Fu0JCjUICCGb9UAGK/nYAAQBOAAAB0AKwAAkAAHM1MzcRMxEjNQdOlqpCQpJCqgHE/VCSkgABAE4AAAHQArAACQAAczUzEzUzESMRA06LtUJCjEIBcf39UAEb/uUAAQASAAABMQKwAAcAAHMnEzUzESMRTjzcQ0MYAlJG/VABsgAAAQAXAAAB0AKwAAgAAHMnEzczESMRB1U+16BCQmgbAfWg/VACU2kAAAEAEgAAAdACsAAIAABzJxMTETMRIwNOPNygQkKgGAIg/ngCAP1QAYgAAAEAEwAAAdACsAAJAABzJxMzNTMRIxEjTjvVpkJCdxgCEIj9UAHmAAABABIAAAHQArAACQAAcycTExEzESM1A1A+5pZCQpEaAhP+yAG7/VBhAS0AAAEAEgAAAdACsAAJAABzJxMXETMRIxEnTjzZo0JCixgCGKQBJP1QATGGAAEAIgAAATECsAAHAABzJzcRMxEjNU4szENDMbsBxP1QkQABACIAAAHQArAACAAAcyc3EzMRIxEDTizDqUJCbjK4Acb9UAHx/tUAAQAmAAAB0AKwAAgAAGEnByc3FxEzEQGOoJstyKBClpIvvpYCVf1QAAEAJgAAAdACsAAJAABzJzcTNTMRIxEHTijIoEJCazS+AUtz/VABquMAAAEAKAAAAdACsAAJAABhNSMHJzczETMRAY6WoDC0skKnoi+1Acf9UAABACYAAAHQArAABwAAYREBJwERMxEBjv7GLgFoQgEy/tQuAV4BHv1QAAABABYAAAExArAABwAAcycTETMRIxFOONhDQyMBaQEk/VABCgABACMAAAHQArAABgAAcycBMxEjEV06AWtCQiECj/1QAiYAAQAaAAAB0AKwAAgAAHMnExMRMxEjA0400qJCQqAmAWn+8gIv/VABCgAAAQAWAAAB0AKwAAkAAHMnEzc1MxEjEQdQOsutQkJ5IgFdrYT9UAHOeQAAAQAaAAAB0AKwAAkAAHMnExcRMxEjNSdONNKiQkKUJQFppAHG/VCNkwAAAQAnAAAB0AKwAAkAAHMnEzMRMxEjESNfOL+oQkKBIwFlASj9UAFGAAEAJQAAATECsAAGAABzEQcnNzMR7psuyUMCU44zuP1QAAABACcAAAHQArAABwAAYREjByc3MxEBjpaiL7X0Am6hMLP9UAABAC4AAAHQArAACAAAYQMHJzcTETMRAY61hCfJl0ICN3EyuP4qAdb9UAABACUAAAHQArAACQAAYREnByc3FzUzEQGOoZstyaBCAb6XjzK4lpb9UAABACUAAAHQArAACQAAYTUDByc3ExEzEQGOuoYpyaBCcgHLeDO4/nMBjf1QAAEAJQAAAdACsAAJAABhEQMHJzcTETMRAY6wjyrJoEIBDgE5gjO4/ucBGf1QAAABABoAAAExArAABgAAcwM3ExEzEe7UPpZDAnYW/kcB3f1QAAABABoAAAHQArAACAAAcwM3ExMzESMR7tQ9l6BCQgJ1GP5DAeD9UAHgAAABABoAAAHQArAABwAAcwM3EzMRMxHu1D7JbUICdhb9tgJu/VAAAAEAGgAAAdACsAAJAABzAzcTEzUzESMR7tQ9mp1CQgJ1GP45Aas//VABsAAAAQAaAAAB0AKwAAkAAHMDNxM3ETMRIzXu1D62gEJCAnYW/e96Abv9UJgAAQAaAAAB0AKwAAkAAHMDNxMTNTMRIxHu1D6jk0JCAnYW/iEBMNP9UAFAAAABAE4AAAHQArAACAAAYREHIzUzNzMRAY59w6aaQgJUbkKI/VAAAAEATgAAAdACsAAIAABhAyM1MxMRMxEBjqaaynZCAeZC/qgB4P1QAAABAE4AAAHQArAACQAAYTUDIzUzExEzEQGOrZO7hUKXAU9C/v8Bif1QAAABAE4AAAHQArAACQAAYREnIzUzFxEzEQGOrpKslEIBLblCmwEj/VAAAQAfAAABMQKwAAcAAHM1AzcTETMR7s86lUOTAZce/twBjP1QAAABABcAAAHQArAACAAAYREDAzcTEzMRAY6g1zmYpkICAv58AaYj/tMBlv1QAAEAHwAAAdACsAAIAABhJwM3ExcRMxEBjqLNOshtQpcBkx7+eGMCU/1QAAEAHAAAAdACsAAJAABhEQMDNxMTNTMRAY6g0jmZoEIBxP7AAZoi/tgBQFj9UAABAB8AAAHQArAACQAAYTUjAzcTMxEzEQGOqsU6s4JCpwGDHv6hAcf9UAABAB8AAAHQArAACQAAYREHAzcTNxEzEQGOm9Q6qotCATKqAaIe/rKZAR39UAAAAQAlAAABMQKwAAcAAHMRJzcXETMR7skum0MBK8kxmwEm/VAAAQAnAAAB0AKwAAgAAGERAyc3FxMzEQGOoMcvjKxCAi/+8cswjwEk/VAAAQAlAAAB0AKwAAgAAGEDJzcXFxEzEQGOoMkt0mpCATLIMdLJAiD9UAAAAQAlAAAB0AKwAAkAAGERByc3Fzc1MxEBjqDJL5qgQgHNoMkvmZ+F/VAAAQAlAAAB0AKwAAcAAGE1ATcBETMRAY7+ly4BO0KQAWkx/sUBwf1QAAEAIgAAAdACsAAJAABhESMnNxczETMRAY7IpDCSqkIBRrYtoQEo/VAAAAEAIgAAATECsAAGAABzEQMnEzMR7pA8zEMCAv6lGAHx/VAAAAEAIwAAAdACsAAHAABhESMDJxMzEQGOdLw7yOUCbv45GAHx/VAAAQAiAAAB0AKwAAgAAGEDAycTExEzEQGOpoo8zKBCAfP+tBgB8f4gAeD9UAABACIAAAHQArAACQAAYREnAycTFzUzEQGOi6U8yaNCAbKF/nAYAfGkpP1QAAEAIgAAAdACsQAJAABhNQMDJxMTETMRAY6ijjzMoEJNAbD+qhgB8v5bAaT9UAABACIAAAHQArAACQAAYREnAycTExEzEQGOlZs8zKBCASrz/ooYAfH++gEG/VAAAQAnAAABMQKwAAYAAHMnNxcRMxHuxy2aQ7czjQJT/VAAAAEAJQAAAdACsAAIAABzJzcXEzMRIxHuyS19v0JCuDJzAjn9UAHeAAABACcAAAHQArAABwAAcyc3FzMRMxHuxy24gkK3M6gCbv1QAAABACUAAAHQArAACQAAcyc3FxM1MxEjEe7JLYK6QkK4MnkB4V79UAGhAAABACUAAAHQArAACQAAcyc3FzcRMxEjNe7JLZuhQkK4Mo+XAb79UJYAAQAlAAAB0AKwAAkAAHMnNxcTETMRIxHuyS2LsUJCuDKAATgBDv1QARkAAQAcAAABMQKwAAcAAHMRAycTNTMR7pg60kMB0f7XHgGcTv1QAAABAD8AAAHQArAACAAAYREHAycTNzMRAY5tqDqtokICU2P+tx4BVJf9UAABABwAAAHQArAACAAAYQMDJxMTETMRAY6okTnSoEIBv/7oIwGa/lUB9/1QAAEAPwAAAdACsAAJAABhESMDJxMzNTMRAY5yozq1mkIB5v7BHgFjiP1QAAEAHAAAAdACsAAJAABhNQMDJxMTETMRAY6klTnSoEJYAW/+4CMBmv6YAbT9UAABABwAAAHQArAACQAAYREnAycTFxEzEQGOlKU50qBCASXC/sAjAZnRAR79UAAAAQBOAAAB0AKwAAgAAGERAyM1MxMzEQGOa9Wlm0IB4P7HQgHH/VAAAAEATgAAAdACsAAIAABhJyM1MxcRMxEBjrSMrpJCp0KHAk79UAAAAQBOAAAB0AKwAAkAAGERByM1MxM1MxEBjnXLo51CAYniQgEwl/1QAAEATgAAAdACsAAJAABhEQcjNTM3ETMRAY6Sroy0QgFCm0K/AQj9UAABACUAAAExArAABwAAcxEHJzcRMxHumy7JQwFCmzHJAQ/9UAABAEcAAAHQArAACAAAYREHByc3EzMRAY5qsSynoEICIMmwMKcBMv1QAAABAEcAAAHQArAACAAAYQMHJzcTETMRAY6tbC6noEIBH3kxuP7wAjH9UAABAEcAAAHQArAABwAAYREBJwE1MxEBjv7lLAFHQgHi/sUwAWlw/VAAAQBHAAAB0AKwAAkAAGE1JwcnNxcRMxEBjp59LKegQp2VizC4lgG3/VAAAQBHAAAB0AKwAAkAAGERIwcnNzMRMxEBjo2OLKCnQgFGnzCxASj9UAAAAQAzAAABMQKwAAYAAHMRBycTMxHuhTa7QwIy3SUBNv1QAAEAJQAAAdACsAAHAABhESMDJxMzEQGOjKc2t/QCbv7oJAE2/VAAAQAlAAAB0AKwAAgAAGEDBycTExEzEQGOrYY20pdCAhzGJAE2/ioB1v1QAAABACUAAAHQArAACQAAYREnBycTFzUzEQGOlJ82yaBCAb6M9CQBNpaW/VAAAAEAJQAAAdACsAAJAABhNQMHJxMTETMRAY6uhTbJoEJyAbDMJAE2/nMBjf1QAAABACUAAAHQArAACQAAYREDBycTExEzEQGOpI82yaBCAQ4BI9skATb+5wEZ/VAAAQAbAAABMQKwAAYAAHMDNxMRMxHu0zecQwFkJf73AjD9UAAAAQAbAAAB0AKwAAgAAHMDNxcTMxEjEffcN5KqQkIBZCXuAhX9UAHWAAEAGwAAAdACsAAHAABzAzcTMxEzEe7TN8F7QgFkJf65Am79UAAAAQAbAAAB0AKwAAkAAHMDNxcTNTMRIxHu0zaSq0JCAWQl9QGqcv1QAY0AAQAb//8B0AKwAAkAAFcDNxM3ETMRIzXu0zeolEJCAQFlJf7jnQGn/VCoAAABABsAAAHQArAACQAAcwM3ExMRMxEjEe7TNpyhQkIBZCX++gEfAQ79UAEZAAEAJQAAATECsAAHAABzEQcnNzUzEe6bLslDAdmcMsl4/VAAAAEAJQAAAdACsAAGAABhEQEnATMRAY7+vSYBaUICWf7vMgE2/VAAAQAlAAAB0AKwAAgAAGEDByc3ExEzEQGOx3AytbRCAdCKLdv+XAIG/VAAAQAiAAAB0AKwAAkAAGERIwcnNzM1MxEBjp2fMLG7QgHmsC3FiP1QAAEAJQAAAdACsAAJAABhNQMHJzcTETMRAY6wjyrJoEKJATmCM7j+5wGe/VAAAQAlAAAB0AKwAAkAAGERJwcnNxcRMxEBjqGbLcmgQgE5l48yuJcBHP1QAAABAC0AAAExArAABwAAczUnNxcRMxHuwS2UQ5bBMpQBu/1QAAABACoAAAHQArAACAAAYREDJzcXEzMRAY6cyC6CtEICBv6RwS58Aab9UAABACoAAAHQArAABgAAYQE3AREzEQGO/pwuATZCAVgu/tYCVP1QAAEAKgAAAdACsAAJAABhEQMnNxcTNTMRAY6gxC6GsEIBtf7mvS6BATV2/VAAAQAqAAAB0AKwAAkAAGE1Iyc3FzMRMxEBjrC0MKKSQqeyLZ0Bx/1QAAEAKwAAAdACsAAJAABhEQcnNxc3ETMRAY6gwy2WoEIBL5e9MpKVASb9UAAAAQBOAAAB0AKwAAgAAGERByM1MxMzEQGOcc+nmUICINpCASj9UAABAE4AAAHQArAACAAAYQMjNTMXETMRAY6omMCAQgFGQvgCIP1QAAEATgAAAdACsAAJAABhEQcjNTM3NTMRAY52yq+RQgHCfEKZj/1QAAABAE4AAAHQArAACQAAYTUnIzUzFxEzEQGOrZOtk0KPt0KaAcL9UAAAAwAi//gCjQJOACEAKwA3AABXIiYmNTQ2NyYmNTQ2MzIWFRQGBxc2NjczDgIHFyMnBgYnMjY3JwYGFRQWEzY2NTQmIyIGFRQW9EReMDw2Gh9dW1VbOzhoEB0GhwgeJhR7tC4hUTgcLhF+Fx0uMSAfHRkaHhoIK0syPUocHTooPFBIQTNDHGcXQR8nS0EXeS4YHmkPDX4OIx0iKgEVESQWFhscFRQlAAEAIAAAAUMCLAAQAABTMhYWFREjETQmIyIGBzU2NoJGVSaVKh4UIBISNwIsMVIy/okBYTIhBAV1BQcA////TgJtALEC8QQHAGj+0QAA////rgJmAFMC+QQGAUyGAP///esCXv8HAv4EBwBB/cMAAP///pQCXv+xAv4EBwB0/mwAAP///2ACXgEUAv4EBwFQ/zgAAP///zQCXgDGAv4EBwFI/wwAAP///zQCXgDcAv4EBwFJ/wwAAP///0sCXgDLAwMEBwFL/yMAAP///30CXQBzA0YEBwFN/1UAAP///eECXf92AvUEBwFP/bkAAP///1oCXgCmAsAEBwFK/zIAAAAB/zAC4wDRA0oAAwAAQyEVIdABof5fA0pnAAH/zgJUADIDAgADAABTFSM1MmQDAq6uAAL/eQJUAIcDAgADAAcAAEMVIzUhFSM1I2QBDmQDAq6urq4AAAL9xgJe/2kC/gAMABkAAEMeAhcVIy4DJzUjHgIXFSMuAyc17AodIA5QESsrIgg3Cx0fDlARKyshCAL+FjY0Ew0NKCwoDQoWNjQTDQ0oLCgNCgAC/08CXgCxA1UADQAZAABTBgYjIiYnMxYWMzI2NycyFhUUBiMiJjU0NrEFW1NWVQRJBDkqKTkFaBwkJBwdIiIDA0lcWksqKSwnUh4fHR8fHR8eAAAB/0ACXgDAAwMAEAAAUzIWFyMuAiMiBgYHIz4CAlZkBFMCHi8dFzAiA1UEMlUDA1pLHRkHCRoaMUoqAP///6AB1QBhAsoEBgFklAD///+gAdUAYQLKBAYBZZQA////oAHVAGECygQGAWeUAP///6AB1QBhAsoEBgFllAD///9e/zQAev/UBAcAQf82/Nb///90/zQAkf/UBAcAdP9M/NYAAf+o/yYAWP/kAAcAAEczNTMVIzUjWG5CQm5dQb5BAAAB/6j/JgBY/+QABwAAVyMVIzUzFTNYbkJCbplBvkEAAAEADwIIAQUC+AAFAABTMxUjNSMP9kK0AvjwtAAB/6UCGwCWAvgACgAAQz4CNTMXDgIHWyAmEZMHCTFjVAJ1Bx01Kgs5WDcKAAH/w/8QADz/8gANAABXIiY1NDYzFSIGFRQWMzw2Q0M2FBsYF/A9NDU8RRcVFBgAAAH/l/8wAGn/0AAHAABXFTMVIzUzNSFI0kgwZDw8ZAAAAf+X/zAAaf/QAAcAAEc1IzUzFSMVIUjSSNBkPDxkAAAB/5f/HABp/+QACwAARzUzNTMVMxUjFSM1aUhCSEhCnjxGRjxGRgD///+U/1sAZP+ZBAcDPP92/kwAAf8i/xAAAAA0AA8AAEciJic1FhYzMjY1NTMVFAaOFygRChkMGRp8SPAHBmgEBRkhfn5WUAAAAQAA/xAA3gA0ABAAAFciJiY1NTMVFBYzMjY3FQYGiSk+InwaGQ0YChEt8CBFN4h+IBoFBGgGBwAB/lv/Lf7//78ACwAARSImNTQ2MzIWFRQG/q0iMDAhIjEx0yApKh8fKikg////Tv89ALH/wQQHAGj+0fzQ////ff8cAHMABQQHAU3/Vfy/////kP8QAHEAAAQHAHj/fQAA////nf8YAGMAFQQHAU7/dQAA////zv8qADL/2AYHBmUAAPzWAAH/Tv8mALL/0AAHAABHIRUjNSMVI7IBZELgQjCqbm4AAf9D/08Avv/DABoAAFcUBiMiJicGBiMiJjUzFBYzMjY1MxQWMzI2Nb4+MBwnDQ0oGzE8NhwbGR8wHRsZHz06OhIRERI6OiIgICIiICAiAP///zj/OQDg/9kEBwFJ/xD82////zX/OADH/9gEBwFI/w382v///0L/LADC/9EEBwFL/xr8zv///0D/KADA/80GBwZpAAD8yv///zb/NADL/8wEBwFP/w781////1r/TQCm/68EBwFK/zL87wAB/xb/YgDq/6YAAwAAVyE1Ier+LAHUnkQA////Fv8eALX/6gQHAWP/GAAA////PgDOANMBZgQHAU//Fv5x////MADiANEBSQYHBmQAAP3/AAH+kgDeAW4BRQADAABlNSEV/pIC3N5nZwAAAf9QAJIAsAGeAAMAAGclFwWwASw0/tbrs1i0AAH/MP/GANEC+AADAABTASMB0f6/YAFBAvj8zgMyAAH/xP8QAD3/8gANAABHMhYVFAYjNTI2NTQmIzw2Q0M2FxgaFQ49NDQ9RRgUFBgAAAH/Tv8mALL/0AAHAABXITUzFTM1M7L+nELgQtqqbm4AAv9D/xwAvf/kAAMABwAAVyE1IQUhNSG9/oYBev6+AQr+9uTIk14AAAH/Q/9PAL7/wwAaAABHNDYzMhYXNjYzMhYVIzQmIyIGFSM0JiMiBhW9PjAcJw0NKBsxPDYcGxkfMB0bGR+xOzkSERESOjoiICAiIiAgIgAAAf+aAjsAZgMHAAsAAEM3FzcXBxcHJwcnN2YqPDsrPDwrOzwqOwLcKzw8Kzs8Kjs7KjwAAAH/wAJAAEADYgAXAABDNDYzFSIGFRQeAhUUBiM1MjY1NC4CP0U6HR0RFxFEOx0dERcRAxAjLzIWDgoaHyIUIzAzFg0MHB4i////FQL4ALQDxAQHAWP/FwPa////JQJeAEEC/gQHAEH+/QAA////xgJeAOIC/gQGAHSeAAAB/yYCUADaAvoABwAAQyEVIzUhFSPaAbRC/tBCAvqqbm7///8V/x4AtP/qBAcBY/8XAAD///95/y4Ah//cBgcGZgAA/NoAAf+j/xAAXf/EAAUAAEczFSM1I126Qng8tHgAAAH/SAI3ALcDBAAhAABTIiYnByc3JiYjIgYHIz4CMzIWFzcXBxYWMzI2NzMOAkoSIw8kMSQIDwgVFQc9AxsvIRMiDiIxIggRCBUVBT0DGS0CXwwIPB06BAQbHSQ6IgoIOB03BQQdGyQ6IgAD/0QCLAC2A7EAFwAjAC8AAFMGBiMiLgIjIgYHIzY2MzIeAjMyNjcHMhYVFAYjIiY1NDYTMhYVFAYjIiY1NDa2BjkuFCgnJBEOFQZEBjkwEycmJRENFgVxGyMjGxsjIxsbIyMbGyIiAzRGRA4TDhMdRkQPEg8UHY4eHx4fHx4fHgELHSAeHx8eIB0AAAL/UwJdAK4DXAAXAC8AAFMiLgIjIgYHIzY2MzIeAjMyNjczBgYHIi4CIyIGByM2NjMyHgIzMjY3MwYGRRUmIh4NFBMGPQUzMBcnIR4OExQEPQUyMhUmIh4NFBMGPQUzMBcnIR4OExQEPQUyAukNEQ0UFzFCDRENFhUwQ4wNEQ0UFzFCDRENFhUwQwAAAf9R/yUAr//dAAkAAEc3FTM1Fwc1IxWvfWR9fWR/XD4+XFw+PgAB/6X/EABd/+cABgAARzUjNxcjFSA7XFw78HhfX3gAABj+mwAAAWUCygAFAAsADwATABsAIwArADMAOwBDAEsAUwBZAGEAaQBxAHkAgQCJAJEAmQCdAKEApwAAczUzNTMVITUzFTMVMzUzFQE1MxUXIjU0MzIVFBciNTQzMhUUJyI1NDMyFRQXIjU0MzIVFCciNTQzMhUUBSI1NDMyFRQBIjU0MzIVFDciNTQzMhUUJzUzFSMVASI1NDMyFRQBIjU0MzIVFAEiNTQzMhUUAyI1NDMyFRQXIjU0MzIVFCciNTQzMhUUFyI1NDMyFRQnIjU0MzIVFCU1MxUTNTMVAzUjNTMVyWc1/TY2Znqe/kw2khsbGywbGxuNGxsbrRsbG/UbGxsBFRsbG/7HGxsbEBsbG+OcZgHMGxsb/vIbGxsBBxsbG+cbGxvEGxsbpBsbG1sbGxtKGxsb/vme4TU1Z5w2Z52dZzY2NgEXnZ1pGxsbGy4bGxsbdBsbGxuEGxsbG9obGxsbyhsbGxsBIBsbGxtGGxsbG0icNmb+gBsbGxsBZhsbGxv+4BsbGxsBMBsbGxvaGxsbG8obGxsbdBsbGxtGGxsbG642Nv6DnZ0BF2Y2nAAAAf+sAk4AUAMWABIAAEMeAhcVDgIHIzU2NjcmJic1SRQ1OBgYODUUCxIuHBwsFAMWChoYB0QGFxkLMwwYDQ4XDTL////LAkkARgMuBAYDJ60KAAL/TwJeALEDVAANABkAAEM2NjMyFhcjJiYjIgYHFyImNTQ2MzIWFRQGsQVaU1dVBEoDOCsqOQRoHCQkHBwjIwKuSV1aTCspLSdQHx4dHx8dHh8AAAH/of8hAF//3wALAABHNxc3FwcXBycHJzdfKjMxLzEyKjMxLzFLKjIxLzEzKjIxLzEAAf+s/xAAUP/YABIAAFcuAic1PgI3MxUGBgcWFhcVRRM2OBgYODYTCxIuHBwsFPAKGhgHRAYXGgozDBcODRgNMgAAAf+s/xAAUP/YABIAAEceAhcVDgIHIzU2NjcmJic1SRQ1OBgYODUUCxIuHBwsFCgKGhgHRAYXGQszDBgNDhcNMgAAAv9I/xAAw//YABIAJQAARz4CNzMeAhcVIyYmJwYGByMnHgIXFQ4CByM1NjY3JiYnNQYKGhkHRAYWGgszDRsKCxkNM6cUNTkXFzk1FAsSLhwcLBThE0BCFxdCQBMMEkIcHEAUxQoaGAdEBhcZCzMMGA0OFw0y////zgJNAEgDMgQGAyawDgAB/5b/EABq/9oADgAARzMHNxcHFwcnByc3JzcXI0YNPhZGMzgfHzgzRhY+JkYiQgowKkBAKjAKQiIAA/9A/xAAv//jABcAIwAvAABHMhYXNjYzMhYVFAYjIiYnBgYjIiY1NDYXFBYzMjY1NCYjIgYHNCYjIgYVFBYzMjZTHCoNDCocMTw8MRsqDQ0rGzE8PJ4fGRsdIBgYIDUgGBggHRsZHx0UExMUNzIyOBUTExU4MjI3aRoeHhoaHh4aGh4eGhoeHgAAAf+hAlQAXwMPAAcAAFMHIzcjNzMHXyIzEnsiMxICzHhDeEMAAf51/xABjP/WAA4AAFciJiczFhYzMjY2NzMGBgOcyihkJ5RvQ29WHWQyzfBlYSw3FiwhaF7///51AkcBjAMNBgcGrgAAAzcAAf7UAmUBLAKkAAMAAEEhNSEBLP2oAlgCZT8A///+1P93ASz/tgYHBrAAAP0SAAH+dQJfAYwC+AAaAABBDgIjIi4CIyIGBgcjPgIzMh4CMzI2NwGMBTJMLj5xa2o4GCcbB0kFMksuQW9paTolMgsC+DNEIRAVEAwYEjREIRAUERsaAAH+dAKjAYsDaQAOAABDMhYXIyYmIyIGBgcjNjYCncknZCaUb0RvVR1lM84DaWVhLDcWKyJpXQAAAf6J/xcBoP/sAAYAAEUhNRcHNSH+iQKHkJD9eVtHa2pG//8AXwJmAQMC+QQGAUw3AAACAIgCgQHXAwQACwAXAABTNDYzMhYVFAYjIiY3NDYzMhYVFAYjIiaIKBwcKSkcHCjFKB0cKSkcHSgCwiMfHyMhICAhIx8fIyEgIAAAAQBHAogA9AMgAA4AAFMiJjU0NjYzMhYWFRQGBp0jMxcoFxgnGBgnAoghKh4hDg4gHxwiDQAAAQBmAnwBgAMcAAwAAEEuAyc1Mx4CFxUBHRMzNS4Opw8pKxACfA0nLCgOChY3MxMNAAABANcCeAHxAxgADAAAQQ4DByM1PgI3MwHxDi41MxNjECsqDqcDDg4oLCcNDRMzNxYAAAIAnQJ8AlEDHAAMABkAAFM+AjczFQ4DByM3PgI3MxUOAwcjnQ4jIgyTCCYyMRJPwg4kIguTCCYyMRJPAokTNDYWCg0oLCcODRM0NhYKDSgsJw4AAAEAYgJ5AgADGQASAABBHgIXFSMmJicGBgcjNT4CNwGIDistEmMZOBoZOhpjEi0rDgMZFjczEw0RKhsbKxANEjQ3FgAAAQBiAnkCAAMZABIAAEEOAgcjLgInNTMWFhc2NjczAgARLisOrg4rLRJjGjcaGjoZYwMMEjQ2Fxc2NBINECsbGysQAAABAHICdAHyAxkADwAAQQYGIyImJzMeAjMyNjY3AfIFalNWZARTAx0wHBgvIgMDGUlcWkscGgcJGhoAAgCvAmIBpANKAAwAGAAAQRQGIyImNTQ2MzIWFgc0JiMiBhUUFjMyNgGkRzU2Q0M2IzghTRsUFBsYFxQbAtc3Pj42Nj4cMyUWGRkWFhkZAAABAGUCewH6AxMAGQAAQQ4CIyIuAiMiBgcjPgIzMh4CMzI2NwH6BCU6IhQmJiQSDxwGSQQlOiIUJyUkEg8cBgMTM0MhDxUPGho0QyAPFQ8aGgAAAQCAAoIBywLpAAMAAFMhFSGAAUv+tQLpZwABAAX/EADLABEAFAAAVxQWMzI2NxUGBiMiJjU0NjY3FwYGbBYREB4KECQYOEIeMh5BIiZvFBQGA1cEBz8xHTYtEREgNQD////9AvgB9wNbBgYAbwAA////OwJdANAC9QQHAU//EwAA////owJWAEYDDAQGBt6CAP///zACXgE2AwgEBwFR/qgAAP///9j/EACK/8wEBgbdigAAAv+VAmgAcQNKABsAJgAAUzIWFRUjJyMGBiMiJjU0Njc3NTQmIyIGByc2NhcGBhUUFjMyNjU1Ei4xLw0CECMfISs4NyoVEhAjERQTMiAgGREPFR4DSiYnkR0RECEkIiMBAQcUDwkHKQkKegERDw4NFxURAAAB/6sCaABxA0oAGQAAUyImNTQ2MzIWFwcmJiMiBhUUFjMyNjcVBgYiNkFHNRUnDhQNHA0aHR0ZEyMPDyICaDY6PDYIBi4FByAiIB8JCDEICQAAAv+RAmgAeAOcABUAIgAAQyImNTQ2MzIWFzMmJjU1MxEjJyMGBicyNjU1NCYjIgYVFBYTKDQ0KhohCwEBAkU1DgIKIQMcFhUeFRkZAmg5ODg5Eg0GGwpG/tAcDRMwHR0GICIiIB8hAAAC/5kCaAB8A0oAFAAbAABTMhYVFSMWFjMyNjcVBgYjIiY1NDYXIgYHMzQmDTQ7ngEgHhclFRMoHTdGQDYUGgFcFwNKMzAdGRwICC4HCDc5OTkqGBYUGgAAAf+ZAmwAfQOcABcAAEMUBgczNjYzMhYVFSM1NCYjIgYVFSMRMyMCAQMMJBcnMkUTEx8WREQDXxIbCBEPJSqPfxgXJSJnATAAAv/mAmwALwOcAAMADwAAUxUjNTcyFhUUBiMiJjU0NixEIg8WFg8PFRUDRtraVgwREA0NEBEMAAAB/1ACbADFA0oAJAAAUzIWFRUjNTQmIyIGFRUjNTQmIyIGFRUjNTMXMzY2MzIWFzM2NnAqK0MSFBoWQxITHBRENAoCCiYZHCQKAwwnA0olKo9/GhUhIG1/GBclI2baHBAQEBEREAAC/5MCaACBA0oADQAZAABTFAYGIyImJjU0NjMyFgcUFjMyNjU0JiMiBoEdNiQiNh9AODRCqRgbGRgXGxoYAtolMhsbMiU2Ojo2ICQkICAiIgAAAf/GAmwAaQNKABMAAFMyFhcHJiYjIgYGFRUjNTMXMzY2TgcPBQcFDQoOHBJENAoDCiYDSgEBOAEBChgVb9okEBgAAf+1AmgAYAN1ABcAAFMyNjcVBgYjIiY1NSM1NzczFTMVIxUUFjYLFAsLIBMhLCAlFCpFRRACmAMDLAQGHipqGRQuLyxqDAwAAf+XAmgAewNGABQAAFMVIycjBgYjIiY1NTMVFBYzMjY1NXs0CQQMKBgnMEQTFR4WA0baHBEPJiqOfxcYJSNmAAH/igJsAIsDRgANAABDJzMXFhYXMzY2NzczBxldRy4DBgEBAQcDLkheAmzagQUXBwgUB4HaAAH/hwJsAIcDRgALAABDJzMXNzMHFyMnByMmT0wwMExQVEw0NEwC3GpFRWpwS0sA//8AKf8YAPACIgYmBE4AAAAGAU4BAAAB/7//EAEyAiIAGQAAVyImJzUWFjMyNjY1ESM1MzUzFTMVIxEUBgYiGzYSESAWEyEUTU2YTEwmVvAHBXgEBg4jIgELZtTUZv7hNFQxAAAC/6X/EAEoAiIAEgAeAABXIiYmNTQ2NjMzETMRMxUjDgInMjY2NTUjIgYVFBY1MT8gHkAwG5VFRgQnSUsNEwsYGxwT8CE2HiQ3IAIi/d5NMEkqUgsZFBkWFBEWAAH/3gCPAJICZwAQAAB3IiYnNRYWMzI2NREzERQGBhoPIgsKEgwRGWIXNo8EA0gDAxQeAV3+lR4xHv///9D/OAFlAiIGJgROAAAABwFP/6j82///AEP/LQDoAiIGJgROAAAABwZ7AegAAAACAAEAAAEqAiIAAwAHAABBFSE1EyMRMwEq/tfgl5cBSmZm/rYCIgAAAgAgAAABPwIYAAMABwAAcxMzAyczEyMgca5ybkNcQwIY/egxAbIAAAL/b/8QAT8CGAARABcAAEciJic3FhYzMjY3EzMDDgM3NjY3EyNBFCgUCw4dERsuCoiueQclP100HjcNaULwBwk1BggjLwJ//c8gSkMqTRRBPAH1AAEATv8QAQD/zAAPAABXIiY1NTMVFBYzMjY3FQYGtC83dw8PCQ0HDCjwJzFkQRMPBAJSBQgAAAEAIQJWAMQDDAATAABTJzY2NTQmIyIGBzU2NjMyFhUUBng3DBATDwkMBQweFi02JwJWHgoYDQ8PBAJGBAcnKCAzAAMAL//2AjQCLQADABMAHwAAdycBFwMiJiY1NDY2MzIeAhUUBicyNjU0JiMiBhUUFsRHASFItlVyOjx1Uz9gQSGEfjgyNDc3NDNdRwEhR/54RIBYWX5EJkppQoWXeFFTVk1OVVJSAAEALwErAhQBlgADAABBFSE1AhT+GwGWa2sAAf+uAr4ApAOuAAUAAEMzFSM1I1L2QrQDrvC0AAIAKv9NAeMCLAAdACEAAEUiJiY1NDY2MzIWFwcmJiMiBgYVFBYWMzI2NxUGBhcVITUBMk93Qkh8Ty9WIS0ePR4nNhwcNiUqTSIgTXX+VAo7fWBlfjsUEXINESRJNzZGIxcTexMWR2JiAA=="
+};
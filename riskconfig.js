@@ -0,0 +1,61 @@
+// riskconfig.js
+// Single risk classification shared by the map style, the legend, the comparison chart,
+// the narratives and the PDF report. Edit the field or the class breaks here and every
+// consumer follows.
+//
+// Classes are closed at the top: a value belongs to the first class whose `max` it does
+// not exceed (the same rule as the original QGIS graduated renderer). Values above the
+// last break fall in the last class.
+// Loaded before styles/RiskIndex_1_style.js; exposed as window.APP.riskConfig.
+
+(function(){
+  const config = {
+    field: 'adjusted_risk_score',
+    classes: [
+      {min: 0,     max: 28.8,  label: 'Very Low',  color: 'rgba(75,252,6,1.0)'},
+      {min: 28.8,  max: 73.4,  label: 'Low',       color: 'rgba(161,231,5,1.0)'},
+      {min: 73.4,  max: 85.2,  label: 'Medium',    color: 'rgba(236,198,5,1.0)'},
+      {min: 85.2,  max: 132.4, label: 'High',      color: 'rgba(246,99,2,1.0)'},
+      {min: 132.4, max: 2549,  label: 'Very High', color: 'rgba(255,0,0,1.0)'}
+    ],
+    unknown: {label: 'Unknown', color: 'rgba(200,200,200,1.0)'}
+  };
+
+  // class object for a numeric value, or `unknown` when there is no usable value
+  function classify(v){
+    if(v === null || v === undefined || v === '' || isNaN(Number(v))) return config.unknown;
+    const n = Number(v);
+    if(n < config.classes[0].min) return config.unknown;
+    return config.classes.find(c => n <= c.max) || config.classes[config.classes.length - 1];
+  }
+
+  // score of a GeoJSON properties object or an ol.Feature
+  function valueOf(featureOrProps){
+    if(!featureOrProps) return null;
+    const v = typeof featureOrProps.get === 'function' ? featureOrProps.get(config.field) : featureOrProps[config.field];
+    return (v === null || v === undefined || v === '' || isNaN(Number(v))) ? null : Number(v);
+  }
+
+  // [r, g, b] of an 'rgba(...)' colour, for jsPDF which only takes numbers or hex
+  function rgbOf(color){
+    const m = String(color).match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+    return m ? [Number(m[1]), Number(m[2]), Number(m[3])] : [200, 200, 200];
+  }
+
+  // numbers in the interface language once i18n.js has loaded
+  const fmt = n => window.APP.i18n ? window.APP.i18n.number(n) : Number(n).toLocaleString(undefined, {maximumFractionDigits: 1});
+  function rangeText(c){
+    return `${fmt(c.min)} – ${fmt(c.max)}`;
+  }
+
+  // legend markup: one swatch per class (.risk-swatch is sized in index.html);
+  // labelOf(c) replaces the class labels, e.g. with their translation
+  function legendHtml(title, labelOf=c => c.label){
+    const rows = config.classes.map(c =>
+      `<span class="risk-swatch" style="background:${c.color}"></span>${labelOf(c)} (${rangeText(c)})`);
+    return `${title}<br />${rows.join('<br />')}`;
+  }
+
+  window.APP = window.APP || {};
+  window.APP.riskConfig = Object.assign(config, {classify, valueOf, rgbOf, rangeText, legendHtml});
+})();
@@ -0,0 +1,245 @@
+// riskmodel.js
+// "Risk model" panel: recompute the state risk score in the browser from the inputs stored
+// on RiskIndex_1, with a weight slider per component, for what-if scenarios.
+//
+// Crime counts one point per 20 recorded incidents, as in the QGIS run. Every other input is
+// scaled so that its mean across the states is worth as many points as the mean crime, so
+// at equal weights each component adds the same number of points to the average state
+// (missing values count as 0):
+//
+//   score = round(Σ weight_i × input_i / divisor_i × threat_override)
+//   divisor_crime = 20, divisor_i = 20 × mean(input_i) / mean(crime)
+//
+// The default weights (crime 1, everything else 0) give adjusted_risk_score; Adamawa and
+// Jigawa were stored one point higher by the QGIS rounding, so at the default weights the
+// stored scores are used as they are.
+// Scenario scores are written to the configured risk field (riskconfig.js) on both the
+// GeoJSON and the map features, so the map, ranking, chart and PDF all follow the scenario.
+// Exposed as window.APP.riskModel; fires `riskmodel:change` on document after each recompute.
+
+(function(){
+  const cmp = window.APP.compare;
+  const riskConfig = window.APP.riskConfig;
+  const riskGeo = cmp.levels.state.geo;
+  const i18n = window.APP.i18n;
+  const {t} = i18n;
+
+  // DOM references
+  const panel = document.getElementById('riskmodel-panel');
+  const slidersEl = document.getElementById('riskmodel-sliders');
+  const table = document.getElementById('riskmodel-table');
+  const btnOpen = document.getElementById('btnRiskModel');
+  const btnClose = document.getElementById('close-riskmodel');
+  const btnReset = document.getElementById('riskmodel-reset');
+  const overrideBox = document.getElementById('riskmodel-override');
+
+  const COMPONENTS = [
+    {key:'crime', field:'crime_total_clean', label:'Crime (recorded incidents)', weight:1, color:'#c0392b'},
+    {key:'police', field:'police_risk_mean', label:'Distance from police', weight:0, color:'#2a6fdb'},
+    {key:'landuse', field:'landuse_norm_mean', label:'Land use', weight:0, color:'#6a994e'},
+    {key:'road', field:'road_norm_mean', label:'Road access', weight:0, color:'#8d6e63'},
+    {key:'spi', field:'spi_inverse', label:'SPI (inverse)', weight:0, color:'#8338ec'},
+    {key:'threat', field:'threat_manual', label:'Manual threat rating', weight:0, color:'#e9a800'}
+  ];
+  const OVERRIDE_FIELD = 'threat_override';
+  const DEFAULT_WEIGHTS = Object.fromEntries(COMPONENTS.map(c => [c.key, c.weight]));
+
+  const fmtWeight = v => i18n.number(v, {minimumFractionDigits: 2, maximumFractionDigits: 2});
+  const fmtScore = v => i18n.number(v, {maximumFractionDigits: 0});
+  const num = v => (v === null || v === undefined || v === '' || isNaN(Number(v))) ? null : Number(v);
+
+  const features = riskGeo ? riskGeo.features : [];
+  const meanOf = Object.fromEntries(COMPONENTS.map(c =>
+    [c.key, features.reduce((s, f) => s + (num(f.properties[c.field]) || 0), 0) / Math.max(1, features.length)]));
+  const CRIME_PER_POINT = 20;
+  const divisor = Object.fromEntries(COMPONENTS.map(c =>
+    [c.key, c.key === 'crime' ? CRIME_PER_POINT : CRIME_PER_POINT * meanOf[c.key] / meanOf.crime]));
+
+  // stored scores before any scenario, and the map features to restyle
+  const baseline = new Map(features.map(f => [f, num(f.properties[riskConfig.field])]));
+  const olFeatures = new Map();
+  if(window.lyr_RiskIndex_1){
+    const byFid = new Map(features.map(f => [f.properties.fid, f]));
+    for(const olf of window.lyr_RiskIndex_1.getSource().getFeatures()){
+      const f = byFid.get(olf.get('fid'));
+      if(f) olFeatures.set(f, olf);
+    }
+  }
+
+  let weights = {...DEFAULT_WEIGHTS};
+  let applyOverride = true;
+
+  // per-component share of a state's score, in score points (before rounding and override)
+  function componentsFor(feature, w = weights){
+    const p = feature.properties || {};
+    return COMPONENTS.map(c => {
+      const raw = num(p[c.field]);
+      const points = divisor[c.key] > 0 && raw !== null ? w[c.key] * raw / divisor[c.key] : 0;
+      return {key: c.key, label: c.label, field: c.field, color: c.color, raw, weight: w[c.key], points};
+    });
+  }
+
+  function overrideFor(feature){
+    const o = num(feature.properties && feature.properties[OVERRIDE_FIELD]);
+    return applyOverride && o !== null ? o : 1;
+  }
+
+  function scoreFor(feature, w = weights){
+    const sum = componentsFor(feature, w).reduce((s, c) => s + c.points, 0);
+    return Math.round(sum * overrideFor(feature));
+  }
+
+  // Score of a state split into its parts, in points: one entry per component, what the
+  // override multiplier adds, and the remainder between those and the score on the feature
+  // (rounding, or the QGIS rounding of the stored baseline).
+  function decompose(feature){
+    const parts = componentsFor(feature);
+    const sum = parts.reduce((s, c) => s + c.points, 0);
+    const override = overrideFor(feature);
+    const overridePoints = sum * (override - 1);
+    const score = num(feature.properties && feature.properties[riskConfig.field]);
+    const residual = score === null ? 0 : score - sum - overridePoints;
+    return {score, parts, override, overridePoints, residual};
+  }
+
+  function isBaseline(){
+    return applyOverride && COMPONENTS.every(c => weights[c.key] === DEFAULT_WEIGHTS[c.key]);
+  }
+
+  // competition ranking: highest score is 1, ties share a rank
+  function ranksOf(values){
+    const sorted = [...values.values()].filter(v => v !== null).sort((a, b) => b - a);
+    const ranks = new Map();
+    for(const [f, v] of values) ranks.set(f, v === null ? null : sorted.indexOf(v) + 1);
+    return ranks;
+  }
+  const baselineRanks = ranksOf(baseline);
+
+  function recompute(){
+    for(const f of features){
+      // the baseline is the stored score itself, so untouched weights leave the data as loaded
+      const v = isBaseline() ? baseline.get(f) : scoreFor(f);
+      f.properties[riskConfig.field] = v;
+      const olf = olFeatures.get(f);
+      if(olf) olf.set(riskConfig.field, v);
+    }
+    renderTable();
+    document.dispatchEvent(new CustomEvent('riskmodel:change', {detail: {weights: {...weights}, baseline: isBaseline()}}));
+  }
+
+  function renderSliders(){
+    slidersEl.innerHTML = '';
+    for(const c of COMPONENTS){
+      const row = document.createElement('div');
+      row.className = 'slider-row';
+      const label = document.createElement('label');
+      label.textContent = t(`component.${c.key}`);
+      label.title = c.field;
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = '0'; input.max = '1'; input.step = '0.05';
+      input.value = String(weights[c.key]);
+      input.setAttribute('aria-label', t('riskmodel.weight', {component: t(`component.${c.key}`)}));
+      const out = document.createElement('output');
+      out.textContent = fmtWeight(weights[c.key]);
+      input.addEventListener('input', ()=>{
+        weights[c.key] = Number(input.value);
+        out.textContent = fmtWeight(weights[c.key]);
+        recompute();
+      });
+      row.append(label, input, out);
+      slidersEl.appendChild(row);
+    }
+  }
+
+  function renderTable(){
+    const current = new Map(features.map(f => [f, num(f.properties[riskConfig.field])]));
+    const ranks = ranksOf(current);
+    const rows = features.map(f => ({
+      feature: f,
+      name: cmp.featureName('state', f),
+      base: baseline.get(f), baseRank: baselineRanks.get(f),
+      score: current.get(f), rank: ranks.get(f)
+    })).sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity) || a.name.localeCompare(b.name));
+
+    table.innerHTML = '';
+    const head = table.createTHead().insertRow();
+    for(const key of ['riskmodel.col.rank', 'col.state', 'riskmodel.col.baseline', 'riskmodel.col.baselineRank', 'riskmodel.col.scenario', 'col.category', 'riskmodel.col.change']){
+      const th = document.createElement('th');
+      th.textContent = t(key);
+      head.appendChild(th);
+    }
+    const tbody = table.createTBody();
+    for(const r of rows){
+      const tr = tbody.insertRow();
+      const change = r.rank && r.baseRank ? r.baseRank - r.rank : 0;
+      const cells = [
+        r.rank ? fmtScore(r.rank) : '–', r.name,
+        fmtScore(r.base), r.baseRank ? fmtScore(r.baseRank) : '–',
+        fmtScore(r.score), i18n.category(riskConfig.classify(r.score)),
+        change > 0 ? `▲ ${fmtScore(change)}` : change < 0 ? `▼ ${fmtScore(-change)}` : '–'
+      ];
+      cells.forEach((v, i) => {
+        const td = tr.insertCell();
+        td.textContent = String(v);
+        if(i !== 1 && i !== 5) td.className = 'num';
+        if(i === 5){
+          const swatch = document.createElement('span');
+          swatch.className = 'risk-swatch';
+          swatch.style.background = riskConfig.classify(r.score).color;
+          td.prepend(swatch);
+        }
+        if(i === 6 && change) td.classList.add(change > 0 ? 'rank-up' : 'rank-down');
+      });
+      tr.addEventListener('click', ()=>{
+        for(const other of tbody.rows) other.classList.remove('selected');
+        tr.classList.add('selected');
+        cmp.highlightGeoJsonFeatures([r.feature], '#ff6600');
+        cmp.fitToFeatures([r.feature]);
+      });
+    }
+  }
+
+  // short description of the active weights, for reports (in the interface language)
+  function describe(){
+    if(isBaseline()) return t('model.baseline');
+    const parts = COMPONENTS.filter(c => weights[c.key] > 0)
+      .map(c => `${t('component.' + c.key)} ${fmtWeight(weights[c.key])}`);
+    const text = (parts.join(', ') || t('model.allZero')) + (applyOverride ? '' : `, ${t('model.overrideOff')}`);
+    return t('model.custom', {weights: text});
+  }
+
+  if(!features.length){
+    btnOpen.style.display = 'none';
+  } else {
+    renderSliders();
+    overrideBox.checked = applyOverride;
+    overrideBox.addEventListener('change', ()=>{ applyOverride = overrideBox.checked; recompute(); });
+    btnReset.addEventListener('click', ()=>{
+      weights = {...DEFAULT_WEIGHTS};
+      applyOverride = true;
+      overrideBox.checked = true;
+      renderSliders();
+      recompute();
+    });
+    btnOpen.addEventListener('click', ()=>{
+      panel.style.display = 'block';
+      renderTable();
+    });
+    btnClose.addEventListener('click', ()=>{ panel.style.display = 'none'; });
+    document.addEventListener('i18n:change', ()=>{
+      renderSliders();
+      if(panel.style.display === 'block') renderTable();
+    });
+  }
+
+  window.APP.riskModel = {
+    COMPONENTS, OVERRIDE_FIELD,
+    weights: () => ({...weights}),
+    overrideApplied: () => applyOverride,
+    componentsFor, overrideFor, scoreFor, decompose, isBaseline, describe,
+    baselineFor: f => baseline.get(f)
+  };
+
+  // End of riskmodel.js
+})();
@@ -0,0 +1,510 @@
+// search.js
+// Autocomplete for the search box: as the user types, states, LGAs, wards and facilities (police
+// stations by name, army installations by name, checkpoints by hub id) are ranked against the
+// query and offered in a dropdown under #search-input.
+// Matching tolerates the spellings Nigerian place names come in: case, accents, "State" suffixes,
+// hyphens and doubled letters are ignored (compare.js canonicalName), and typos are scored by edit
+// distance. States also match their alias columns (HASC code, postal code, GeoNames and WOE
+// names, the crime table's name).
+// The filters under the box narrow the suggestions to one type, state or LGA; with a filter set and
+// nothing typed, the list browses everything that passes it.
+// Picking a region opens its single-region report. Picking a facility zooms to it and opens a card
+// with its details and the state it lies in, with that state's risk score.
+// Exposed as window.APP.search.
+
+(function(){
+  const cmp = window.APP.compare;
+  const inventory = window.APP.inventory;
+  const i18n = window.APP.i18n;
+  const t = i18n.t;
+  const riskConfig = window.APP.riskConfig;
+
+  // alias columns on the region layers, matched besides the name; missing columns are skipped
+  const ALIAS_FIELDS = ['code_hasc', 'postal', 'gn_name', 'gns_name', 'woe_name', 'crime_offence_name'];
+  // what each facility is found by: the station or installation name, the checkpoint's hub id
+  const FACILITY_NAMES = {
+    police: p => p.plc_st_nam || p.name,
+    army: p => p.Name,
+    checkpoints: p => p.HubName
+  };
+  // ties are broken by kind: a state before an LGA or ward of the same name, places before facilities
+  const KIND_RANK = {state: 3, lga: 2, ward: 1};
+  const MAX_SUGGESTIONS = 8;
+  const MIN_SCORE = 40;
+  const MAX_BROWSE = 50;
+
+  // DOM references
+  const input = document.getElementById('search-input');
+  const btnSearch = document.getElementById('btnSearch');
+  const list = document.createElement('ul');
+  list.id = 'search-suggestions';
+  list.setAttribute('role', 'listbox');
+  list.hidden = true;
+  input.insertAdjacentElement('afterend', list);
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('autocomplete', 'off');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', list.id);
+  input.setAttribute('aria-expanded', 'false');
+  const card = document.getElementById('search-card');
+  const typeSel = document.getElementById('search-type');
+  const stateSel = document.getElementById('search-state');
+  const lgaSel = document.getElementById('search-lga');
+
+  const highlightSource = window.APP.highlightSource;
+  const view = window.APP.view;
+
+  // comparable form of a name: accents dropped, then canonicalName (no "State", punctuation or doubled letters)
+  function normalize(v){
+    return cmp.canonicalName(String(v || '').normalize('NFD').replace(/\p{M}/gu, ''));
+  }
+  // a query may stop part-way through "State" ("kano sta")
+  function normalizeQuery(q){
+    return normalize(String(q || '').replace(/\s+st(a(te?)?)?\s*$/i, ''));
+  }
+
+  // a term is one spelling of an entry: its key and the keys of its words, for word-prefix matches
+  function term(text, alias=false){
+    const words = String(text).trim().split(/[\s\-\/,.()]+/).map(normalize).filter(Boolean);
+    return {text: String(text).trim(), key: normalize(text), words, alias};
+  }
+
+  // optimal string alignment distance (Damerau-Levenshtein with adjacent swaps), capped at max + 1
+  function editDistance(a, b, max){
+    if(Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({length: b.length + 1}, (_, j) => j);
+    for(let i = 1; i <= a.length; i++){
+      const row = [i];
+      let best = i;
+      for(let j = 1; j <= b.length; j++){
+        const cost = a[i-1] === b[j-1] ? 0 : 1;
+        let d = Math.min(prev[j] + 1, row[j-1] + 1, prev[j-1] + cost);
+        if(prev2 && i > 1 && j > 1 && a[i-1] === b[j-2] && a[i-2] === b[j-1]) d = Math.min(d, prev2[j-2] + 1);
+        row.push(d);
+        if(d < best) best = d;
+      }
+      if(best > max) return max + 1;
+      prev2 = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  // typos allowed for a query of this length
+  const allowedTypos = n => n < 4 ? 0 : n < 7 ? 1 : n < 11 ? 2 : 3;
+
+  // 0..100: exact > prefix > word prefix > substring > typo; aliases score a little lower than names
+  function scoreTerm(q, tm){
+    const k = tm.key;
+    if(!q || !k) return 0;
+    let s = 0;
+    if(k === q) s = 100;
+    else if(tm.alias && k.length < 4) s = 0;              // short codes ("KE", "NA") only match exactly
+    else if(k.startsWith(q)) s = 90 - Math.min(10, k.length - q.length);
+    else if(tm.words.some(w => w.startsWith(q))) s = 75;
+    else if(q.length >= 3 && k.includes(q)) s = 65;
+    else if(!tm.alias){                                    // typos only against names, not codes
+      const max = allowedTypos(q.length);
+      if(max){
+        const whole = editDistance(q, k, max);
+        // a typo in what has been typed so far: compare with the same number of letters
+        const partial = k.length > q.length ? editDistance(q, k.slice(0, q.length), max) : max + 1;
+        if(whole <= max) s = 60 - 8 * whole;
+        else if(partial <= max) s = 50 - 8 * partial;
+      }
+    }
+    return s && tm.alias ? s - 5 : s;
+  }
+
+  function scoreEntry(q, entry){
+    let best = 0, via = null;
+    for(const tm of entry.terms){
+      const s = scoreTerm(q, tm);
+      if(s > best){ best = s; via = tm; }
+    }
+    return {score: best, via};
+  }
+
+  // Entries: {kind, name, terms, rank, place(), context(), select(), label()?, isPlace?}; built on
+  // first use, from every source. place() gives the {state, lga} names the filters test; label()
+  // overrides the kind shown under the name, isPlace puts other places under the regions filter.
+  const sources = [];
+  let entries = null;
+  function addSource(build){
+    sources.push(build);
+    entries = null;
+  }
+  // resolvers turn a whole query into entries directly (coordinates); when one answers, its entries
+  // are the only suggestions and the filters do not apply
+  const resolvers = [];
+  function addResolver(resolve){
+    resolvers.push(resolve);
+  }
+  function allEntries(){
+    if(!entries) entries = sources.flatMap(build => build());
+    return entries;
+  }
+
+  // one entry per region name and level (the same grouping as the pickers)
+  addSource(() => {
+    const out = [];
+    for(const level of ['state', 'lga', 'ward']){
+      const lv = cmp.levels[level];
+      if(!lv || !lv.available) continue;
+      const groups = new Map();
+      for(const f of lv.geo.features){
+        const name = cmp.featureName(level, f);
+        if(!name) continue;
+        const key = normalize(name);
+        if(!groups.has(key)) groups.set(key, {name, features: [], aliases: new Set()});
+        const g = groups.get(key);
+        g.features.push(f);
+        for(const field of ALIAS_FIELDS){
+          const v = f.properties && f.properties[field];
+          if(v !== null && v !== undefined && String(v).trim()) g.aliases.add(String(v).trim());
+        }
+      }
+      for(const g of groups.values()){
+        const terms = [term(g.name), ...[...g.aliases].filter(a => a !== g.name).map(a => term(a, true))];
+        const nameAt = target => {
+          if(target === level) return g.name;
+          const f = cmp.ancestorAt(level, g.features[0], target);
+          return f ? cmp.featureName(target, f) : '';
+        };
+        out.push({
+          kind: level, name: g.name, terms, rank: KIND_RANK[level],
+          place: memo(() => ({state: nameAt('state'), lga: level === 'state' ? '' : nameAt('lga')})),
+          context: () => lv.parent ? nameAt(lv.parent) : '',
+          select: () => cmp.showRegion(level, g.features)
+        });
+      }
+    }
+    return out;
+  });
+
+  // state and LGA of a facility: the polygons it is counted in, else what its record says
+  // (police carry statename/lganame, army a "Town, X State" string)
+  function facilityPlace(type, feature){
+    const p = feature.properties || {};
+    const owner = level => {
+      const f = cmp.facilityOwner(level, type, feature);
+      return f ? cmp.featureName(level, f) : '';
+    };
+    const armyState = String(p.State || '').split(',').pop().trim();
+    return {
+      state: owner('state') || String(p.statename || '').trim() || armyState,
+      lga: owner('lga') || String(p.lganame || '').trim()
+    };
+  }
+
+  // every facility with a name or hub id
+  addSource(() => {
+    const out = [];
+    for(const type of Object.keys(FACILITY_NAMES)){
+      const grid = cmp.facilityIndex[type];
+      if(!grid) continue;
+      for(const item of grid.items){
+        const name = FACILITY_NAMES[type](item.feature.properties || {});
+        if(name === null || name === undefined || !String(name).trim()) continue;
+        const place = memo(() => facilityPlace(type, item.feature));
+        out.push({
+          kind: type, name: String(name).trim(), terms: [term(name)], rank: 0, place,
+          context: () => [place().lga, place().state].filter(Boolean).join(', '),
+          select: () => showFacility(item)
+        });
+      }
+    }
+    return out;
+  });
+
+  function memo(fn){
+    let done = false, value;
+    return () => {
+      if(!done){ value = fn(); done = true; }
+      return value;
+    };
+  }
+
+  // Filters: '' means any. The type filter takes a facility type or 'places' (states, LGAs, wards).
+  function filters(){
+    return {type: typeSel.value, state: stateSel.value, lga: lgaSel.value};
+  }
+  const filtering = f => !!(f.type || f.state || f.lga);
+  function passes(entry, f){
+    if(f.type && (f.type === 'places' ? !(KIND_RANK[entry.kind] || entry.isPlace) : entry.kind !== f.type)) return false;
+    if(f.state && normalize(entry.place().state) !== normalize(f.state)) return false;
+    if(f.lga && normalize(entry.place().lga) !== normalize(f.lga)) return false;
+    return true;
+  }
+
+  // best matches for a query among the entries passing the filters, highest score first;
+  // with no query, every entry passing them (places first, then by name)
+  function suggest(query, limit=MAX_SUGGESTIONS, f=filters()){
+    const direct = resolvers.flatMap(resolve => resolve(String(query || '').trim()) || []);
+    if(direct.length) return direct.slice(0, limit).map(entry => ({entry, score: 100, via: null}));
+    const q = normalizeQuery(query);
+    if(!q && !filtering(f)) return [];
+    const hits = [];
+    for(const entry of allEntries()){
+      if(filtering(f) && !passes(entry, f)) continue;
+      const {score, via} = q ? scoreEntry(q, entry) : {score: MIN_SCORE, via: null};
+      if(score >= MIN_SCORE) hits.push({entry, score, via});
+    }
+    hits.sort((a, b) => (b.score - a.score) || (b.entry.rank - a.entry.rank) ||
+      a.entry.name.localeCompare(b.entry.name, undefined, {numeric: true}));
+    return hits.slice(0, limit);
+  }
+
+  // a facility pick: centre on it and mark it
+  function showFacility(item){
+    markPoint(item.coord);
+    view.animate({center: ol.proj.fromLonLat(item.coord), zoom: Math.max(view.getZoom() || 0, 13), duration: 400});
+    openDetails(item);
+  }
+
+  // ring marker on a [lon, lat] point, replacing any highlight
+  function markPoint(lonLat){
+    highlightSource.clear();
+    const marker = new ol.Feature({geometry: new ol.geom.Point(ol.proj.fromLonLat(lonLat))});
+    marker.setStyle(new ol.style.Style({
+      image: new ol.style.Circle({
+        radius: 9,
+        stroke: new ol.style.Stroke({color: '#264653', width: 3}),
+        fill: new ol.style.Fill({color: 'rgba(38,70,83,0.15)'})
+      })
+    }));
+    highlightSource.addFeature(marker);
+  }
+
+  // Details card of the picked facility, anchored on it: its inventory columns, then its state
+  const detailsEl = document.createElement('div');
+  detailsEl.className = 'facility-popup';
+  const detailsOverlay = new ol.Overlay({element: detailsEl, positioning: 'bottom-center', offset: [0, -14], stopEvent: true});
+  if(window.APP.map) window.APP.map.addOverlay(detailsOverlay);
+  let detailsItem = null;
+
+  function closeDetails(){
+    detailsItem = null;
+    detailsOverlay.setPosition(undefined);
+  }
+
+  function openDetails(item){
+    detailsItem = item;
+    const {type, feature} = item;
+    detailsEl.innerHTML = '';
+    const head = document.createElement('div');
+    head.className = 'modal-header';
+    const title = document.createElement('strong');
+    const name = FACILITY_NAMES[type](feature.properties || {});
+    title.textContent = `${inventory.typeLabel(type, true)}: ${String(name || '').trim() || inventory.TYPES[type].name(feature.properties)}`;
+    const closer = document.createElement('button');
+    closer.className = 'close';
+    closer.textContent = '×';
+    closer.title = t('popup.close');
+    closer.setAttribute('aria-label', t('popup.close'));
+    closer.addEventListener('click', closeDetails);
+    head.append(title, closer);
+
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    for(const [label, text] of inventory.detailRows(type, feature)){
+      const tr = table.insertRow();
+      const th = document.createElement('th');
+      th.textContent = label;
+      tr.appendChild(th);
+      tr.insertCell().textContent = text;
+    }
+    detailsEl.append(head, table, stateSummary(item));
+    detailsOverlay.setPosition(ol.proj.fromLonLat(item.coord));
+  }
+
+  // the enclosing state (the polygon the facility is counted in) with its current risk score
+  function stateSummary(item){
+    const el = document.createElement('div');
+    el.className = 'state-summary';
+    const state = cmp.facilityOwner('state', item.type, item.feature);
+    if(!state){
+      el.textContent = t('search.outside');
+      return el;
+    }
+    const stateName = cmp.featureName('state', state);
+    const score = cmp.riskValueFor('state', state);
+    const cls = riskConfig.classify(score);
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.background = cls.color;
+    const text = document.createElement('span');
+    text.textContent = score === null ? t('search.noRisk', {state: stateName}) :
+      t('search.stateRisk', {state: stateName, score: i18n.number(score, {maximumFractionDigits: 1}), category: i18n.category(cls)});
+    const report = document.createElement('button');
+    report.className = 'btn btn-light';
+    report.textContent = t('search.stateReport');
+    report.addEventListener('click', () => { closeDetails(); cmp.showRegion('state', [state]); });
+    el.append(swatch, text, report);
+    return el;
+  }
+
+  // kind shown under a suggestion: the level name, or the facility type
+  function kindLabel(entry){
+    if(entry.label) return entry.label();
+    return KIND_RANK[entry.kind] ? t(`level.${entry.kind}`) : inventory.typeLabel(entry.kind, true);
+  }
+
+  // Dropdown
+  let current = [];
+  let active = -1;
+
+  function close(){
+    list.hidden = true;
+    list.innerHTML = '';
+    current = [];
+    active = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function render(){
+    const q = input.value.trim();
+    if(!q && !filtering(filters())) return close();
+    current = suggest(q, q ? MAX_SUGGESTIONS : MAX_BROWSE);
+    active = -1;
+    list.innerHTML = '';
+    list.setAttribute('aria-label', t('search.suggestions'));
+    if(!current.length){
+      const li = document.createElement('li');
+      li.className = 'empty';
+      li.textContent = q ? t('search.noMatch', {query: q}) : t('alert.notFound');
+      list.appendChild(li);
+    }
+    current.forEach((hit, i) => {
+      const li = document.createElement('li');
+      li.id = `search-suggestion-${i}`;
+      li.setAttribute('role', 'option');
+      const name = document.createElement('span');
+      name.className = 'name';
+      name.textContent = hit.entry.name;
+      const meta = document.createElement('span');
+      meta.className = 'meta';
+      // say which alias matched ("KE", "Nassarawa State") so the pick is not a surprise
+      const via = hit.via && hit.via.alias ? hit.via.text : '';
+      meta.textContent = [kindLabel(hit.entry), hit.entry.context(), via].filter(Boolean).join(' · ');
+      li.append(name, meta);
+      // mousedown keeps the focus in the input, so blur does not close the list first
+      li.addEventListener('mousedown', ev => { ev.preventDefault(); choose(i); });
+      li.addEventListener('mousemove', () => { if(active !== i) setActive(i); });
+      list.appendChild(li);
+    });
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+  }
+
+  function setActive(i){
+    active = i;
+    Array.from(list.children).forEach((li, j) => li.setAttribute('aria-selected', String(j === i)));
+    if(i >= 0){
+      input.setAttribute('aria-activedescendant', `search-suggestion-${i}`);
+      list.children[i].scrollIntoView({block: 'nearest'});
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function choose(i){
+    const hit = current[i];
+    if(!hit) return;
+    input.value = hit.entry.name;
+    close();
+    closeDetails();
+    hit.entry.select();
+  }
+
+  // Enter or the Search button: the highlighted suggestion, else the best match
+  function submit(){
+    const q = input.value.trim();
+    if(!q) return filtering(filters()) ? render() : alert(t('alert.typeName'));
+    if(active >= 0 && current[active]) return choose(active);
+    const best = suggest(q, 1)[0];
+    if(!best){
+      close();
+      return alert(t('alert.notFound'));
+    }
+    current = [best];
+    choose(0);
+  }
+
+  let timer = null;
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(render, 120);
+  });
+  input.addEventListener('focus', () => { if(input.value.trim() || filtering(filters())) render(); });
+  // the list stays open while the focus is anywhere in the card (the filters), and closes on leaving it
+  card.addEventListener('focusout', ev => { if(!card.contains(ev.relatedTarget)) close(); });
+  document.addEventListener('mousedown', ev => { if(!card.contains(ev.target)) close(); });
+  input.addEventListener('keydown', ev => {
+    if(ev.key === 'ArrowDown' || ev.key === 'ArrowUp'){
+      if(list.hidden) render();
+      if(!current.length) return;
+      ev.preventDefault();
+      const step = ev.key === 'ArrowDown' ? 1 : -1;
+      const n = current.length;
+      setActive(active < 0 ? (step > 0 ? 0 : n - 1) : (active + step + n) % n);
+    } else if(ev.key === 'Enter'){
+      ev.preventDefault();
+      clearTimeout(timer);
+      submit();
+    } else if(ev.key === 'Escape'){
+      close();
+    }
+  });
+  btnSearch.addEventListener('click', () => { clearTimeout(timer); submit(); });
+
+  // Filter pickers: types and states are fixed; the LGAs follow the chosen state
+  function fillSelect(sel, options, value){
+    sel.innerHTML = '';
+    for(const [v, label] of options){
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = label;
+      sel.appendChild(opt);
+    }
+    sel.value = options.some(([v]) => v === value) ? value : '';
+  }
+  const sortedNames = names => [...new Set(names.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+  function fillTypes(){
+    fillSelect(typeSel, [['', t('search.anyType')], ['places', t('search.places')],
+      ...Object.keys(FACILITY_NAMES).map(type => [type, inventory.typeLabel(type)])], typeSel.value);
+  }
+  function fillStates(){
+    const states = cmp.levels.state.available ? cmp.levels.state.geo.features.map(f => cmp.featureName('state', f)) : [];
+    fillSelect(stateSel, [['', t('search.anyState')], ...sortedNames(states).map(n => [n, n])], stateSel.value);
+  }
+  // LGAs known to the entries (polygons and facility records) inside the chosen state
+  function fillLgas(){
+    const state = stateSel.value;
+    const lgas = state ? allEntries().filter(e => passes(e, {state})).map(e => e.place().lga) : [];
+    fillSelect(lgaSel, [['', t('search.anyLga')], ...sortedNames(lgas).map(n => [n, n])], lgaSel.value);
+    lgaSel.disabled = !state;
+  }
+  fillTypes();
+  fillStates();
+  fillLgas();
+
+  typeSel.addEventListener('change', render);
+  stateSel.addEventListener('change', () => { fillLgas(); render(); });
+  lgaSel.addEventListener('change', render);
+
+  document.addEventListener('i18n:change', () => {
+    close();
+    fillTypes();
+    fillStates();
+    fillLgas();
+    if(detailsItem) openDetails(detailsItem);
+  });
+
+  window.APP.search = { normalize, term, memo, editDistance, suggest, addSource, addResolver, markPoint, showFacility, openDetails };
+
+  // End of search.js
+})();
@@ -0,0 +1,158 @@
+// spatialindex.js
+// Spatial indexing for the facility point layers.
+// Built once at load so polygon counts, search reports and rankings only test
+// the points that fall inside a polygon's bounding box, instead of every point.
+//
+// - bboxOf(feature): [minLon, minLat, maxLon, maxLat] of a GeoJSON feature, cached per feature.
+// - createPointGrid(items, cellSize): uniform lon/lat grid over {coord:[lon,lat], ...} items,
+//   with bbox queries and nearest-neighbour lookups.
+// - distanceKm(a, b): great-circle distance between two [lon, lat] points.
+// - bearingDeg(a, b): initial great-circle bearing from a to b, degrees clockwise from north.
+// - greatCircle(a, b, n): n+1 points along the great circle from a to b, for drawing.
+// - buildFacilityIndex({police: geo, army: geo, ...}): one grid per facility layer.
+// Exposed as window.APP.spatial for compare.js.
+
+(function(){
+  const bboxCache = new WeakMap();
+
+  // bounding box of any GeoJSON geometry (nested coordinate arrays of any depth)
+  function bboxOf(feature){
+    if(!feature || !feature.geometry) return null;
+    if(bboxCache.has(feature)) return bboxCache.get(feature);
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    (function walk(c){
+      if(typeof c[0] === 'number'){
+        if(c[0] < bbox[0]) bbox[0] = c[0];
+        if(c[1] < bbox[1]) bbox[1] = c[1];
+        if(c[0] > bbox[2]) bbox[2] = c[0];
+        if(c[1] > bbox[3]) bbox[3] = c[1];
+        return;
+      }
+      for(const sub of c) walk(sub);
+    })(feature.geometry.coordinates || []);
+    const out = bbox[0] === Infinity ? null : bbox;
+    bboxCache.set(feature, out);
+    return out;
+  }
+
+  function bboxContains(bbox, pt){
+    return !!bbox && pt[0] >= bbox[0] && pt[0] <= bbox[2] && pt[1] >= bbox[1] && pt[1] <= bbox[3];
+  }
+
+  const EARTH_RADIUS_KM = 6371.0088;
+  const KM_PER_DEG = 111.32;
+  const rad = d => d * Math.PI / 180;
+
+  // haversine distance in km between [lon, lat] points
+  function distanceKm(a, b){
+    const dLat = rad(b[1] - a[1]), dLon = rad(b[0] - a[0]);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a[1])) * Math.cos(rad(b[1])) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  // initial bearing of the great circle from a to b, 0-360 clockwise from north
+  function bearingDeg(a, b){
+    const dLon = rad(b[0] - a[0]);
+    const y = Math.sin(dLon) * Math.cos(rad(b[1]));
+    const x = Math.cos(rad(a[1])) * Math.sin(rad(b[1])) - Math.sin(rad(a[1])) * Math.cos(rad(b[1])) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+
+  // points along the great circle (spherical interpolation); a and b themselves are the ends
+  function greatCircle(a, b, n=32){
+    const toVec = p => [Math.cos(rad(p[1])) * Math.cos(rad(p[0])), Math.cos(rad(p[1])) * Math.sin(rad(p[0])), Math.sin(rad(p[1]))];
+    const va = toVec(a), vb = toVec(b);
+    const omega = Math.acos(Math.min(1, Math.max(-1, va[0]*vb[0] + va[1]*vb[1] + va[2]*vb[2])));
+    if(omega < 1e-9) return [a, b];
+    const out = [];
+    for(let i = 0; i <= n; i++){
+      const f = i / n;
+      const wa = Math.sin((1 - f) * omega) / Math.sin(omega), wb = Math.sin(f * omega) / Math.sin(omega);
+      const v = [0, 1, 2].map(j => wa * va[j] + wb * vb[j]);
+      out.push([Math.atan2(v[1], v[0]) * 180 / Math.PI, Math.atan2(v[2], Math.hypot(v[0], v[1])) * 180 / Math.PI]);
+    }
+    return out;
+  }
+
+  // Uniform grid: cheap to build, and facility points are spread fairly evenly at state scale
+  function createPointGrid(items, cellSize=0.25){
+    const cells = new Map();
+    const key = (cx, cy) => cx + ':' + cy;
+    const span = [Infinity, Infinity, -Infinity, -Infinity];   // occupied cell range
+    for(const item of items){
+      const cx = Math.floor(item.coord[0] / cellSize), cy = Math.floor(item.coord[1] / cellSize);
+      const k = key(cx, cy);
+      if(!cells.has(k)) cells.set(k, []);
+      cells.get(k).push(item);
+      span[0] = Math.min(span[0], cx); span[1] = Math.min(span[1], cy);
+      span[2] = Math.max(span[2], cx); span[3] = Math.max(span[3], cy);
+    }
+    return {
+      items,
+      size: items.length,
+      // items whose coordinate lies inside bbox
+      query(bbox){
+        if(!bbox) return [];
+        const out = [];
+        const x0 = Math.floor(bbox[0] / cellSize), x1 = Math.floor(bbox[2] / cellSize);
+        const y0 = Math.floor(bbox[1] / cellSize), y1 = Math.floor(bbox[3] / cellSize);
+        for(let cx = x0; cx <= x1; cx++){
+          for(let cy = y0; cy <= y1; cy++){
+            const cell = cells.get(key(cx, cy));
+            if(!cell) continue;
+            for(const item of cell) if(bboxContains(bbox, item.coord)) out.push(item);
+          }
+        }
+        return out;
+      },
+      // the k items closest to pt ([lon, lat]) as [{item, km}], nearest first; maxKm limits the search.
+      // Rings of cells are searched outwards until nothing beyond the next ring can be closer.
+      nearest(pt, k=1, {maxKm=Infinity} = {}){
+        const found = [];
+        if(!items.length || k <= 0) return found;
+        const cx0 = Math.floor(pt[0] / cellSize), cy0 = Math.floor(pt[1] / cellSize);
+        const maxRing = Math.max(Math.abs(cx0 - span[0]), Math.abs(cx0 - span[2]), Math.abs(cy0 - span[1]), Math.abs(cy0 - span[3]));
+        for(let r = 0; r <= maxRing; r++){
+          for(let cx = cx0 - r; cx <= cx0 + r; cx++){
+            for(let cy = cy0 - r; cy <= cy0 + r; cy++){
+              if(Math.max(Math.abs(cx - cx0), Math.abs(cy - cy0)) !== r) continue;
+              const cell = cells.get(key(cx, cy));
+              if(!cell) continue;
+              for(const item of cell){
+                const km = distanceKm(pt, item.coord);
+                if(km <= maxKm) found.push({item, km});
+              }
+            }
+          }
+          // anything outside ring r is at least r cells away in longitude or latitude
+          const lat = Math.min(89, Math.abs(pt[1]) + (r + 1) * cellSize);
+          const reach = r * cellSize * KM_PER_DEG * Math.cos(rad(lat));
+          found.sort((a, b) => a.km - b.km);
+          if(found.length > k) found.length = k;
+          if((found.length === k && found[k - 1].km <= reach) || reach > maxKm) break;
+        }
+        return found;
+      }
+    };
+  }
+
+  // one grid per facility layer; items keep a reference to their GeoJSON feature
+  function buildFacilityIndex(layers){
+    const index = {};
+    for(const type of Object.keys(layers)){
+      const geo = layers[type];
+      const items = [];
+      if(geo && geo.features){
+        for(const f of geo.features){
+          const c = f.geometry && f.geometry.coordinates;
+          if(c && typeof c[0] === 'number' && !isNaN(c[0]) && !isNaN(c[1])) items.push({coord: c, feature: f, type});
+        }
+      }
+      index[type] = createPointGrid(items);
+    }
+    return index;
+  }
+
+  window.APP = window.APP || {};
+  window.APP.spatial = { bboxOf, bboxContains, distanceKm, bearingDeg, greatCircle, createPointGrid, buildFacilityIndex };
+})();
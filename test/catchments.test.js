@@ -0,0 +1,54 @@
+// catchments.test.js
+// Police catchments (catchments.js): Voronoi cells cut at the bisectors between stations, clipped
+// to the states, shared by stations at one coordinate, and flagged above the outlier fence.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {app, layers, local} = require('./sandbox.js');
+
+const square = (x0, y0, x1, y1, properties) => ({type: 'Feature', properties,
+  geometry: {type: 'Polygon', coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]]}});
+const station = (x, y, name) => ({type: 'Feature', properties: {plc_st_nam: name}, geometry: {type: 'Point', coordinates: [x, y]}});
+const collection = features => ({type: 'FeatureCollection', features});
+const withStations = (states, stations) => app(['catchments.js'], layers({
+  json_RiskIndex_1: collection(states), json_police_4: collection(stations),
+  json_lga_6: undefined, json_wards_7: undefined, json_army_3: collection([]), json_checkpoints_5: collection([])
+}));
+
+// two 1° × 2° states side by side; two stations at one coordinate; one station far out at sea
+const w = withStations(
+  [square(0, 0, 1, 2, {statename: 'West'}), square(1, 0, 2, 2, {statename: 'East'})],
+  [station(0.25, 1, 'Left'), station(1.25, 1, 'Right'), station(1.25, 1, 'Right annex'), station(5, 5, 'Offshore')]
+);
+const {geometry, spatial} = w.APP;
+const STATE_AREA = geometry.areaKm2(w.json_RiskIndex_1.features[0]);
+const [left, right] = w.APP.catchments.all().map(c => c.feature);
+
+test('cells meet at the bisector and are clipped to the states', () => {
+  assert.deepStrictEqual(local(w.APP.catchments.all().map(c => c.feature.properties.plc_st_nam)), ['Left', 'Right / Right annex']);
+  // the bisector runs at 0.75°E: Left keeps three quarters of West, Right the rest of West and all of East
+  assert.ok(Math.abs(left.properties.area_sqkm - 0.75 * STATE_AREA) < 1);
+  assert.ok(Math.abs(right.properties.area_sqkm - 1.25 * STATE_AREA) < 1);
+  assert.strictEqual(left.geometry.coordinates.length, 1);
+  assert.strictEqual(right.geometry.coordinates.length, 2);
+  // each catchment is named after the state its station is counted in
+  assert.deepStrictEqual([left.properties.state, right.properties.state], ['West', 'East']);
+});
+
+test('the farthest distance is to the far corner of the cell', () => {
+  assert.ok(Math.abs(left.properties.farthest_km - spatial.distanceKm([0.25, 1], [0.75, 0])) < 0.01);
+  assert.ok(Math.abs(right.properties.farthest_km - spatial.distanceKm([1.25, 1], [2, 0])) < 0.01);
+});
+
+test('stations along an empty stretch are flagged above the fence', () => {
+  // eight stations close together at the west end of a long state, one far to the east
+  const row = Array.from({length: 8}, (_, i) => station(0.1 + 0.05 * i, 0.5, 'S' + i));
+  const long = withStations([square(0, 0, 8, 1, {statename: 'Long'})], [...row, station(7, 0.5, 'Lone')]);
+  const cells = long.APP.catchments.all().map(c => c.feature.properties);
+  assert.strictEqual(cells.length, 9);
+  const areas = cells.reduce((s, p) => s + p.area_sqkm, 0);
+  assert.ok(Math.abs(areas - geometry.areaKm2(long.json_RiskIndex_1.features[0])) < 1);
+  // the last of the row and the lone station face the empty middle
+  assert.deepStrictEqual(local(cells.filter(p => p.large).map(p => p.plc_st_nam)), ['S7', 'Lone']);
+  assert.ok(cells.every(p => p.large === p.area_sqkm > long.APP.catchments.fence()));
+});
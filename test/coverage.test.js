@@ -0,0 +1,63 @@
+// coverage.test.js
+// Coverage analysis (coverage.js): shares of a region's area within the service radius of each
+// facility type, on the 0.02° grid, against the areas of the circles they should approximate.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {app, layers, local} = require('./sandbox.js');
+
+const square = (x0, y0, x1, y1, properties) => ({type: 'Feature', properties,
+  geometry: {type: 'Polygon', coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]]}});
+const point = (x, y) => ({type: 'Feature', properties: {}, geometry: {type: 'Point', coordinates: [x, y]}});
+const collection = features => ({type: 'FeatureCollection', features});
+
+// a 1° state on the equator, and one smaller than a grid cell; a police station in the middle of
+// the state and one on its corner, an army installation in the middle
+const w = app(['coverage.js'], layers({
+  json_RiskIndex_1: collection([square(0, 0, 1, 1, {statename: 'Square'}), square(0.501, 0.501, 0.506, 0.506, {statename: 'Dot'})]),
+  json_lga_6: undefined, json_wards_7: undefined,
+  json_police_4: collection([point(0.5, 0.5), point(0, 0)]),
+  json_army_3: collection([point(0.5, 0.5)]),
+  json_checkpoints_5: collection([])
+}));
+const {coverage, geometry} = w.APP;
+const [state, dot] = w.json_RiskIndex_1.features;
+const AREA = geometry.areaKm2(state);
+const close = (actual, expected, tolerance) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance * expected, `${actual} is not within ${tolerance * 100}% of ${expected}`);
+
+test('the default radii', () => {
+  assert.deepStrictEqual(local(coverage.radii()), {police: 5, army: 20, checkpoints: 10});
+});
+
+test('shares match the circle areas, a corner station covering a quarter circle', () => {
+  coverage.setRadii({police: 20, army: 0, checkpoints: 0});
+  const shares = coverage.coverageOf([state]);
+  close(shares.police, 1.25 * Math.PI * 20 * 20 / AREA, 0.03);
+  assert.strictEqual(shares.army, 0);
+  assert.strictEqual(shares.checkpoints, 0);
+  assert.strictEqual(shares.any, shares.police);
+});
+
+test('any type counts overlapping radii once', () => {
+  coverage.setRadii({police: 10, army: 30});
+  const shares = coverage.coverageOf([state]);
+  close(shares.army, Math.PI * 30 * 30 / AREA, 0.03);
+  // the middle station's circle lies inside the army one; only the corner adds to it
+  close(shares.any, shares.army + 0.25 * Math.PI * 10 * 10 / AREA, 0.03);
+  coverage.setRadii({police: 200});
+  assert.strictEqual(coverage.coverageOf([state]).any, 1);
+});
+
+test('a polygon smaller than a cell is judged at its middle', () => {
+  coverage.setRadii({police: 1, army: 0});
+  assert.deepStrictEqual(local(coverage.coverageOf([dot])), {any: 1, police: 1, army: 0, checkpoints: 0});
+  assert.strictEqual(coverage.coverageOf([]), null);
+});
+
+test('a radius change is announced on the document', () => {
+  let detail = null;
+  w.document.addEventListener('coverage:change', e => { detail = e.detail; });
+  coverage.setRadii({checkpoints: 7});
+  assert.deepStrictEqual(local(detail.radii), {police: 1, army: 0, checkpoints: 7});
+});
@@ -0,0 +1,55 @@
+// drilldown.test.js
+// Cascading pickers and the admin hierarchy check (compare.js): the names offered under a chosen
+// parent, polygons found by their full path, and facility records checked against the polygons.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {app, layers, local} = require('./sandbox.js');
+
+const w = app();
+const cmp = w.APP.compare;
+const names = (level, path) => local(cmp.childNames(level, path));
+
+test('each picker offers the children of the unit chosen above it', () => {
+  assert.deepStrictEqual(names('lga', {state: 'Alpha'}), ['Central', 'Riverside']);
+  assert.deepStrictEqual(names('lga', {state: 'Beta'}), ['Central', 'Hills']);
+  assert.deepStrictEqual(names('lga', {state: 'Gamma'}), []);
+  assert.deepStrictEqual(names('ward', {state: 'Alpha', lga: 'Riverside'}), ['Dockside']);
+  assert.deepStrictEqual(names('ward', {state: 'Beta', lga: 'Central'}), ['Market']);
+});
+
+test('a path picks one of several polygons sharing a name', () => {
+  const [market1, market2] = cmp.levels.ward.geo.features;
+  assert.strictEqual(cmp.featuresByPath('lga', {lga: 'Central'}).length, 2);
+  assert.deepStrictEqual(cmp.featuresByPath('ward', {state: 'Alpha', lga: 'Central', ward: 'Market'}), [market1]);
+  assert.deepStrictEqual(cmp.featuresByPath('ward', {state: 'Beta', lga: 'Central', ward: 'Market'}), [market2]);
+  assert.deepStrictEqual(cmp.featuresByPath('ward', {state: 'Beta', lga: 'Hills', ward: 'Market'}), []);
+});
+
+test('facility admin names are checked against the polygons', () => {
+  const {checked, issues} = cmp.hierarchy;
+  assert.strictEqual(checked, 15);
+  assert.deepStrictEqual(local(issues), [
+    {level: 'state', name: 'Alpha', facility: 'Hills Station', outside: true},
+    {level: 'lga', name: 'Nowhere', facility: 'Lost Station', outside: false}
+  ]);
+  // shown under the comparison card
+  assert.strictEqual(w.document.getElementById('hierarchy-note').hidden, false);
+});
+
+test('partial LGA and ward layers are checked only where they have polygons', () => {
+  // LGAs for Alpha only, wards for Alpha's Central and Riverside only: Beta's records name LGAs and
+  // wards that are missing from the layers, not wrong
+  const fixtures = layers();
+  const part = (collection, keep) => ({...collection, features: collection.features.filter(keep)});
+  const partial = app([], layers({
+    json_lga_6: part(fixtures.json_lga_6, f => f.properties.statename === 'Alpha'),
+    json_wards_7: part(fixtures.json_wards_7, f => f.geometry.coordinates[0][0][0] < 2)
+  }));
+  const {checked, issues} = partial.APP.compare.hierarchy;
+  assert.strictEqual(checked, 12);
+  assert.deepStrictEqual(local(issues), [
+    {level: 'state', name: 'Alpha', facility: 'Hills Station', outside: true},
+    {level: 'lga', name: 'Nowhere', facility: 'Lost Station', outside: false}
+  ]);
+});
@@ -0,0 +1,64 @@
+// geocoder.test.js
+// Offline geocoder (geocoder.js): decimal degrees, degrees-minutes-seconds and MGRS typed in the
+// search box, and the places named only on the facility records.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {app, local} = require('./sandbox.js');
+
+const w = app(['search.js', 'geocoder.js']);
+const {geocoder, search, spatial} = w.APP;
+const ABUJA = [7.3986, 9.0765];
+const near = (lonLat, expected, km) => assert.ok(lonLat && spatial.distanceKm(lonLat, expected) <= km, `${lonLat} is not within ${km} km of ${expected}`);
+
+test('decimal degrees, latitude first unless the letters say otherwise', () => {
+  for(const q of ['9.0765, 7.3986', '9.0765 7.3986', '9.0765N 7.3986E', '7.3986E 9.0765N', 'N9.0765 E7.3986', '9.0765; 7.3986']){
+    assert.deepStrictEqual(local(geocoder.parseLatLon(q)), ABUJA, q);
+  }
+  assert.deepStrictEqual(local(geocoder.parseLatLon('-9.5, 120')), [120, -9.5]);
+  assert.deepStrictEqual(local(geocoder.parseLatLon('9.5S 12.25W')), [-12.25, -9.5]);
+  // a first number that cannot be a latitude is read as the longitude
+  assert.deepStrictEqual(local(geocoder.parseLatLon('120, -9.5')), [120, -9.5]);
+});
+
+test('degrees, minutes and seconds', () => {
+  const expected = [7 + 23/60 + 55/3600, 9 + 4/60 + 35/3600];
+  assert.deepStrictEqual(local(geocoder.parseLatLon('9°4\'35"N 7°23\'55"E')), expected);
+  assert.deepStrictEqual(local(geocoder.parseLatLon('9 4 35 7 23 55')), expected);
+  assert.deepStrictEqual(local(geocoder.parseLatLon('9°4.5\'N 7°30\'E')), [7.5, 9.075]);
+});
+
+test('anything else is not a coordinate', () => {
+  for(const q of ['abc', '9N 7', '9°65\'N 7E', '95, 200', '9 4 35 7 23', '1, 2, 3', '', 'Kano 12']){
+    assert.strictEqual(geocoder.parseLatLon(q), null, q);
+  }
+});
+
+test('MGRS gives the centre of its square', () => {
+  near(geocoder.parseMgrs('32PLR 23998 03697'), ABUJA, 0.01);
+  near(geocoder.parseMgrs('32PLR2399803697'), ABUJA, 0.01);
+  // even zone (row letters start at F) in the northern mid-latitudes: the Washington Monument
+  near(geocoder.parseMgrs('18SUJ2347906481'), [-77.035278, 38.889484], 0.01);
+  near(geocoder.parseMgrs('31NAA6602100000'), [0, 0], 0.01);
+  // fewer digits, bigger square: 1 km, then 100 km
+  near(geocoder.parseMgrs('32PLR 239 036'), ABUJA, 1);
+  near(geocoder.parseMgrs('32PLR'), ABUJA, 71);
+  for(const q of ['32PLR 2399 036', '61NAA', '31NIA', '32PL', '9.0765, 7.3986']){
+    assert.strictEqual(geocoder.parseMgrs(q), null, q);
+  }
+});
+
+test('typed coordinates become the only suggestion, in the state they fall in', () => {
+  const hits = search.suggest('1.5, 0.5');
+  assert.strictEqual(hits.length, 1);
+  assert.strictEqual(hits[0].entry.name, '1.50000, 0.50000');
+  assert.strictEqual(hits[0].entry.context(), 'Alpha');
+  assert.strictEqual(search.suggest('10, 10')[0].entry.context(), 'outside the state polygons');
+});
+
+test('places named on the records but missing from the polygon layers are searchable', () => {
+  // Central, Riverside, Hills, Market and Dockside have polygons; Nowhere does not
+  assert.deepStrictEqual(local(geocoder.buildGazetteer().map(pl => [pl.level, pl.name, pl.state])), [['lga', 'Nowhere', 'Alpha']]);
+  const hit = search.suggest('nowher')[0].entry;
+  assert.deepStrictEqual([hit.kind, hit.name, hit.context(), hit.label()], ['place', 'Nowhere', 'Alpha', 'LGA']);
+});
@@ -0,0 +1,67 @@
+// geometry.test.js
+// Point-in-polygon with holes, multipolygon parts and edges, one-owner assignment and areas
+// (geometry.js).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {load, local} = require('./sandbox.js');
+
+const w = load(['spatialindex.js', 'geometry.js']);
+const {geometry, spatial} = w.APP;
+const {OUTSIDE, INSIDE, BOUNDARY} = geometry;
+
+const ring = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+const feature = geom => ({type: 'Feature', properties: {}, geometry: geom});
+// a 4° square with a 2° hole, and an island inside the hole as a second part
+const donut = {type: 'MultiPolygon', coordinates: [
+  [ring(0, 0, 4, 4), ring(1, 1, 3, 3)],
+  [ring(1.5, 1.5, 2.5, 2.5)]
+]};
+
+test('holes are outside, islands in holes are inside', () => {
+  assert.strictEqual(geometry.classifyPoint(donut, [0.5, 0.5]), INSIDE);
+  assert.strictEqual(geometry.classifyPoint(donut, [1.2, 1.2]), OUTSIDE);
+  assert.strictEqual(geometry.classifyPoint(donut, [2, 2]), INSIDE);
+  assert.strictEqual(geometry.classifyPoint(donut, [5, 2]), OUTSIDE);
+});
+
+test('points on an outer, hole or island edge are on the boundary', () => {
+  assert.strictEqual(geometry.classifyPoint(donut, [0, 2]), BOUNDARY);
+  assert.strictEqual(geometry.classifyPoint(donut, [4, 4]), BOUNDARY);
+  assert.strictEqual(geometry.classifyPoint(donut, [1, 2]), BOUNDARY);
+  assert.strictEqual(geometry.classifyPoint(donut, [2, 1.5]), BOUNDARY);
+  assert.strictEqual(geometry.containsPoint(feature(donut), [1, 2]), true);
+  assert.strictEqual(geometry.containsPoint(feature(donut), [1.2, 1.2]), false);
+  assert.strictEqual(geometry.containsPoint(feature(null), [0, 0]), false);
+});
+
+test('every point gets one owner: interior first, then layer order, then the nearest within reach', () => {
+  const west = feature({type: 'Polygon', coordinates: [ring(0, 0, 1, 1)]});
+  const east = feature({type: 'Polygon', coordinates: [ring(1, 0, 2, 1)]});
+  // overlaps the east square by 0.1°, listed first
+  const sliver = feature({type: 'Polygon', coordinates: [ring(0.9, 0, 1.1, 0.2)]});
+  const points = {
+    shared: [1, 0.1], border: [1, 0.5], westInside: [0.5, 0.5], onSliverEdge: [1.1, 0.1],
+    gap: [2.01, 0.5], far: [3, 0.5]
+  };
+  const items = Object.entries(points).map(([name, coord]) => ({name, coord}));
+  const grid = spatial.createPointGrid(items, 0.5);
+  const {byFeature, unassigned, snapped} = geometry.assignPoints(grid, [sliver, west, east]);
+  const owned = f => local(byFeature.get(f).map(item => item.name).sort());
+  // on the sliver's edge but inside the east square: the interior wins
+  assert.deepStrictEqual(owned(east), ['gap', 'onSliverEdge']);
+  // inside the sliver, on the west/east border: the sliver's interior wins
+  assert.deepStrictEqual(owned(sliver), ['shared']);
+  // on the west/east border only: the polygon listed first
+  assert.deepStrictEqual(owned(west), ['border', 'westInside']);
+  assert.strictEqual(snapped, 1);
+  assert.deepStrictEqual(local(unassigned.map(item => item.name)), ['far']);
+});
+
+test('areas subtract holes', () => {
+  const square = feature({type: 'Polygon', coordinates: [ring(0, 0, 1, 1)]});
+  const holed = feature({type: 'Polygon', coordinates: [ring(0, 0, 1, 1), ring(0.25, 0.25, 0.75, 0.75)]});
+  // one degree square at the equator
+  assert.ok(Math.abs(geometry.areaKm2(square) - 12364) < 20);
+  assert.ok(Math.abs(geometry.areaKm2(holed) / geometry.areaKm2(square) - 0.75) < 0.001);
+});
@@ -0,0 +1,63 @@
+// levels.test.js
+// LGA and ward comparison levels (compare.js): which globals are taken for a level, the name and
+// parent of each polygon, inherited risk scores and one-owner facility counts.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {app, layers} = require('./sandbox.js');
+
+const w = app();
+const cmp = w.APP.compare;
+const names = (level, features) => features.map(f => cmp.featureName(level, f));
+const byName = (level, name) => cmp.getFeaturesByName(level, name);
+
+test('levels come from the qgis2web layer names only', () => {
+  assert.deepStrictEqual(['state', 'lga', 'ward'].map(l => cmp.levels[l].available), [true, true, true]);
+  const other = app([], layers({json_lga_6: undefined, json_wards_7: undefined, json_lga_notes: layers().json_lga_6}));
+  assert.strictEqual(other.APP.compare.levels.lga.available, false);
+  assert.strictEqual(other.APP.compare.levels.ward.available, false);
+  // without an LGA layer the wards sit directly under the states
+  const wardsOnly = app([], layers({json_lga_6: undefined}));
+  assert.strictEqual(wardsOnly.APP.compare.levels.ward.parent, 'state');
+});
+
+test('polygon names come from the level name columns', () => {
+  assert.deepStrictEqual(names('state', cmp.levels.state.geo.features), ['Alpha', 'Beta', 'Gamma']);
+  assert.deepStrictEqual(names('lga', cmp.levels.lga.geo.features), ['Central', 'Riverside', 'Central', 'Hills']);
+  assert.strictEqual(byName('lga', 'central').length, 2);
+  assert.strictEqual(byName('state', 'Beta State').length, 1);
+});
+
+test('parents are found by name column, then by containment', () => {
+  const [alphaCentral, , betaCentral, hills] = cmp.levels.lga.geo.features;
+  const state = f => cmp.featureName('state', cmp.ancestorAt('lga', f, 'state'));
+  assert.strictEqual(state(alphaCentral), 'Alpha');
+  assert.strictEqual(state(betaCentral), 'Beta');
+  // no statename column on Hills
+  assert.strictEqual(state(hills), 'Beta');
+  const [market1, market2, dockside] = cmp.levels.ward.geo.features;
+  assert.strictEqual(cmp.ancestorAt('ward', market1, 'lga'), alphaCentral);
+  assert.strictEqual(cmp.ancestorAt('ward', market2, 'lga'), betaCentral);
+  assert.strictEqual(cmp.featureName('state', cmp.ancestorAt('ward', dockside, 'state')), 'Alpha');
+});
+
+test('LGAs and wards inherit the risk score of their state', () => {
+  const [alphaCentral, , , hills] = cmp.levels.lga.geo.features;
+  assert.strictEqual(cmp.riskValueFor('lga', alphaCentral), 81);
+  assert.strictEqual(cmp.riskValueFor('lga', hills), 30);
+  assert.strictEqual(cmp.riskValueFor('ward', cmp.levels.ward.geo.features[1]), 30);
+  // Gamma has no score
+  assert.strictEqual(cmp.riskValueFor('state', cmp.levels.state.geo.features[2]), null);
+});
+
+test('every facility is counted in one polygon of a level', () => {
+  const police = level => cmp.levels[level].geo.features.map(f => cmp.countFacilitiesInFeature(f).police);
+  // Border Post sits on the Alpha/Beta border and goes to the first state; Edge Station is
+  // 1 km outside Beta and snapped to it; Offshore Station is in no state
+  assert.deepStrictEqual(police('state'), [4, 3, 0]);
+  assert.deepStrictEqual(police('lga'), [1, 3, 2, 1]);
+  const [alpha] = cmp.levels.state.geo.features;
+  const border = w.json_police_4.features.find(f => f.properties.plc_st_nam === 'Border Post');
+  assert.strictEqual(cmp.facilityOwner('state', 'police', border), alpha);
+  assert.strictEqual(cmp.facilityOwner('lga', 'police', border), cmp.levels.lga.geo.features[1]);
+});
@@ -0,0 +1,84 @@
+// pdflayout.test.js
+// Report layout (pdflayout.js): tables wrap text too wide for its column and grow the row to hold
+// it, breaking onto a new page, header repeated, when a row no longer fits; the report font is
+// loaded again after a failed load.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {load, local} = require('./sandbox.js');
+
+const w = load(['pdflayout.js']);
+const {createLayout, embedFont, FONT} = w.APP.pdf;
+
+// stand-in for a jsPDF document: every character is half the font size wide, lines break at
+// spaces, the text drawn is kept with the page it went on and the fonts added are listed
+function fakeDoc(){
+  let size = 10, pages = 1;
+  const texts = [], fonts = [];
+  const doc = {
+    texts, fonts,
+    internal: {pageSize: {getWidth: () => 595, getHeight: () => 842}},
+    getNumberOfPages: () => pages,
+    addPage(){ pages++; },
+    setFontSize(s){ size = s; },
+    addFileToVFS(){}, addFont(file, family, style){ fonts.push([family, style]); },
+    setFont(){}, setTextColor(){}, setDrawColor(){}, setFillColor(){}, line(){}, rect(){},
+    splitTextToSize(text, width){
+      const lines = [];
+      for(const word of String(text).split(' ').filter(Boolean)){
+        const last = lines[lines.length - 1];
+        if(last !== undefined && (last.length + 1 + word.length) * size / 2 <= width) lines[lines.length - 1] += ' ' + word;
+        else lines.push(word);
+      }
+      return lines;
+    },
+    text(text, x, y){ texts.push({page: pages, text, y}); }
+  };
+  return doc;
+}
+
+test('text too wide for its column wraps and the row grows', () => {
+  const doc = fakeDoc();
+  const L = createLayout(doc);
+  L.y = 100;
+  // 60 pt at size 9 holds 12 characters a line
+  L.table([{title: 'Station', width: 60}, {title: 'Count', width: 40, align: 'right'}], [
+    ['Ikeja Police Divisional Headquarters', '3'],
+    ['Alausa', '1']
+  ]);
+  const rowH = 9 * 1.4, lineH = 9 * 1.15;
+  const at = text => doc.texts.find(t => t.text === text).y;
+  assert.deepStrictEqual(local(doc.texts.map(t => t.text)),
+    ['Station', 'Count', 'Ikeja Police', 'Divisional', 'Headquarters', '3', 'Alausa', '1']);
+  assert.strictEqual(at('Divisional'), at('Ikeja Police') + lineH);
+  assert.strictEqual(at('Headquarters'), at('Ikeja Police') + 2 * lineH);
+  // the next row starts below the third line
+  assert.strictEqual(at('Alausa'), at('Ikeja Police') + rowH + 2 * lineH);
+  assert.strictEqual(L.y, at('Alausa') + rowH + 10);
+});
+
+test('a wrapped row that no longer fits starts a new page under the header', () => {
+  const doc = fakeDoc();
+  const L = createLayout(doc);
+  // room for the header and one line, not three
+  L.y = L.bottom - 9 * 1.4 * 2 - 1;
+  L.table([{title: 'Station', width: 60}], [['Alausa'], ['Ikeja Police Divisional Headquarters']]);
+  assert.deepStrictEqual(local(doc.texts.map(t => [t.page, t.text])),
+    [[1, 'Station'], [1, 'Alausa'], [2, 'Station'], [2, 'Ikeja Police'], [2, 'Divisional'], [2, 'Headquarters']]);
+  assert.strictEqual(doc.texts[2].y, L.top);
+});
+
+test('a font script that failed to load is loaded again for the next report', async () => {
+  const scripts = [];
+  w.document.head = {appendChild: el => scripts.push(el)};
+  const doc = fakeDoc();
+  const first = embedFont(doc);
+  scripts[0].onerror();
+  await assert.rejects(first, /Could not load resources\/fonts\/NotoSans\.js/);
+  const second = embedFont(doc);
+  assert.strictEqual(scripts.length, 2);
+  w.font_NotoSans = Object.fromEntries(Object.values(FONT.files).map(file => [file, '']));
+  scripts[1].onload();
+  await second;
+  assert.deepStrictEqual(local(doc.fonts), [['NotoSans', 'normal'], ['NotoSans', 'bold']]);
+});
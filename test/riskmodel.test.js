@@ -0,0 +1,69 @@
+// riskmodel.test.js
+// Risk model scenarios (riskmodel.js): component points, the override multiplier, the stored
+// baseline and the scores written back when the override is switched off and reset.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {app} = require('./sandbox.js');
+
+const w = app(['riskmodel.js']);
+const model = w.APP.riskModel;
+const [alpha, beta, gamma] = w.json_RiskIndex_1.features;
+const FIELD = w.APP.riskConfig.field;
+const ZERO = Object.fromEntries(model.COMPONENTS.map(c => [c.key, 0]));
+const scores = () => [alpha, beta, gamma].map(f => f.properties[FIELD]);
+
+test('default weights score crime at one point per 20 incidents, times the override', () => {
+  assert.strictEqual(model.isBaseline(), true);
+  assert.strictEqual(model.scoreFor(alpha), 80);
+  assert.strictEqual(model.scoreFor(beta), 30);
+  // no crime figure counts as 0
+  assert.strictEqual(model.scoreFor(gamma), 0);
+});
+
+test('each component is worth the mean crime points at the average state', () => {
+  const states = [alpha, beta, gamma];
+  const crimeMean = states.reduce((s, f) => s + (f.properties.crime_total_clean || 0), 0) / states.length / 20;
+  for(const c of model.COMPONENTS){
+    const points = states.map(f => model.componentsFor(f, {...ZERO, [c.key]: 1}).find(p => p.key === c.key).points);
+    assert.ok(Math.abs(points.reduce((s, p) => s + p, 0) / states.length - crimeMean) < 1e-9, c.key);
+  }
+  assert.strictEqual(model.scoreFor(alpha, {...ZERO, police: 1}), 22);
+  assert.strictEqual(model.scoreFor(beta, {...ZERO, police: 1}), 67);
+});
+
+test('the breakdown adds up to the stored score', () => {
+  const a = model.decompose(alpha);
+  assert.strictEqual(a.score, 81);
+  assert.strictEqual(a.parts.find(p => p.key === 'crime').points, 80);
+  // the QGIS rounding of the stored baseline
+  assert.strictEqual(a.residual, 1);
+  const b = model.decompose(beta);
+  assert.deepStrictEqual([b.override, b.overridePoints, b.residual], [1.5, 10, 0]);
+});
+
+test('switching the override off rescores the states; reset restores the stored scores', () => {
+  const events = [];
+  w.document.addEventListener('riskmodel:change', e => events.push(e.detail.baseline));
+  const box = w.document.getElementById('riskmodel-override');
+  box.checked = false;
+  box.dispatchEvent(new w.Event('change'));
+  assert.deepStrictEqual(scores(), [80, 20, 0]);
+  assert.strictEqual(model.describe(), 'Custom scenario: Crime (recorded incidents) 1.00, threat override off');
+  w.document.getElementById('riskmodel-reset').dispatchEvent(new w.Event('click'));
+  assert.deepStrictEqual(scores(), [81, 30, null]);
+  assert.strictEqual(model.describe(), 'Baseline model (stored scores)');
+  assert.deepStrictEqual(events, [false, true]);
+});
+
+test('an open report is rescored with the scenario', () => {
+  w.APP.compare.showRegion('state', [beta]);
+  const data = w.document.getElementById('download-popup').currentData;
+  assert.strictEqual(data.regions[0].avgRisk, 30);
+  const box = w.document.getElementById('riskmodel-override');
+  box.checked = false;
+  box.dispatchEvent(new w.Event('change'));
+  assert.strictEqual(data.regions[0].avgRisk, 20);
+  w.document.getElementById('riskmodel-reset').dispatchEvent(new w.Event('click'));
+  assert.strictEqual(data.regions[0].avgRisk, 30);
+});
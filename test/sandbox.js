@@ -0,0 +1,111 @@
+// sandbox.js
+// Runs the browser modules under Node for the tests in this folder, the way index.html loads
+// them into the page: each file in order, in one vm context that is its own `window`.
+//
+// - load(scripts, globals): a fresh window with `globals` (layer GeoJSON, ...) set, then `scripts`
+//   (paths from the repository root) run in order.
+// - app(scripts, globals): load() with the fixture layers in fixtures/ and the shared stack
+//   (OpenLayers, i18n, spatial index, geometry, inventory, compare.js) in front of `scripts`.
+// - local(value): a sandbox array or object copied into the test's own realm for deepStrictEqual.
+// Page elements, the map and the view are stand-ins that accept any call and keep what is
+// assigned to them; OpenLayers and proj4 are the copies in resources/. No packages needed.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// stand-in answering every property read with another stand-in and every call with one;
+// the text properties and data-* attributes of an element start out empty, it has no place
+// in a tree and its event listeners are kept, so a test can fire `change` or `click` on it
+const TEXT_PROPS = ['value', 'textContent', 'innerHTML', 'innerText', 'className', 'id', 'title'];
+const TREE_PROPS = ['parentNode', 'parentElement', 'firstChild', 'lastChild', 'firstElementChild', 'lastElementChild', 'nextSibling', 'previousSibling'];
+function stub(){
+  const events = new EventTarget();
+  const props = Object.fromEntries([...TEXT_PROPS.map(key => [key, '']), ...TREE_PROPS.map(key => [key, null])]);
+  props.dataset = {};
+  for(const key of ['addEventListener', 'removeEventListener', 'dispatchEvent']) props[key] = events[key].bind(events);
+  return new Proxy(function(){}, {
+    get(target, key){
+      if(key === Symbol.toPrimitive) return () => '';
+      if(key === Symbol.iterator) return function*(){};
+      if(typeof key === 'symbol') return undefined;
+      if(!(key in props)) props[key] = stub();
+      return props[key];
+    },
+    set(target, key, value){ props[key] = value; return true; },
+    has: (target, key) => key in props,
+    apply: () => stub(),
+    construct: () => stub()
+  });
+}
+
+function load(scripts, globals = {}){
+  const elements = new Map();
+  const document = Object.assign(new EventTarget(), {
+    getElementById: id => {
+      if(!elements.has(id)) elements.set(id, stub());
+      return elements.get(id);
+    },
+    createElement: () => stub(),
+    querySelector: () => stub(),
+    querySelectorAll: () => [],
+    body: stub(),
+    documentElement: stub()
+  });
+  const window = vm.createContext({
+    console, setTimeout, clearTimeout, setInterval, clearInterval,
+    Event, CustomEvent, EventTarget, Intl, URL,
+    document, navigator: {userAgent: 'node', language: 'en'},
+    localStorage: {getItem: () => null, setItem(){}, removeItem(){}},
+    ...globals
+  });
+  window.window = window.self = window;
+  for(const file of scripts){
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), window, {filename: file});
+  }
+  return window;
+}
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+
+// the layer globals of index.html, filled from fixtures/ (`overrides` replaces or adds some)
+function layers(overrides = {}){
+  return {
+    json_RiskIndex_1: fixture('states'),
+    json_lga_6: fixture('lgas'),
+    json_wards_7: fixture('wards'),
+    json_police_4: fixture('police'),
+    json_army_3: fixture('army'),
+    json_checkpoints_5: fixture('checkpoints'),
+    ...overrides
+  };
+}
+
+const STACK = [
+  'resources/ol.js', 'resources/proj4.js', 'riskconfig.js', 'locales/en.js', 'locales/fr.js', 'i18n.js'
+];
+const SHARED = ['spatialindex.js', 'geometry.js', 'inventory.js', 'compare.js'];
+
+function app(scripts = [], globals = layers()){
+  const window = load(STACK, globals);
+  // Chart.js from its CDN
+  window.Chart = stub();
+  // the objects the inline script of index.html hands to compare.js and the panels
+  window.APP = Object.assign(window.APP || {}, {
+    map: stub(), view: stub(), highlightSource: stub(), highlightLayer: stub(),
+    clickMode: null, onMapClick(){}
+  });
+  // the first option of the level select in index.html
+  window.document.getElementById('level').value = 'state';
+  for(const file of [...SHARED, ...scripts]){
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), window, {filename: file});
+  }
+  return window;
+}
+
+// copy of a value built inside the sandbox, so assert.deepStrictEqual sees this realm's prototypes
+const local = value => structuredClone(value);
+
+module.exports = { ROOT, stub, load, app, layers, fixture, local };
@@ -0,0 +1,46 @@
+// search.test.js
+// Facility search (search.js): police stations, army installations and checkpoints found by name or
+// hub id, typos tolerated, and placed in the state and LGA they are counted in.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {app, local} = require('./sandbox.js');
+
+const w = app(['search.js']);
+const search = w.APP.search;
+const ANY = {type: '', state: '', lga: ''};
+const first = (query, f = ANY) => search.suggest(query, 8, f)[0].entry;
+const names = (query, f) => local(search.suggest(query, 50, f).map(hit => hit.entry.name));
+
+test('facilities are found by name or hub id, whatever their type', () => {
+  assert.deepStrictEqual([first('Hills Station').kind, first('Hills Station').name], ['police', 'Hills Station']);
+  assert.deepStrictEqual([first('alpha barracks').kind, first('alpha barracks').name], ['army', 'Alpha Barracks']);
+  assert.deepStrictEqual([first('CP-2').kind, first('CP-2').name], ['checkpoints', 'CP-2']);
+  assert.strictEqual(first('barr').name, 'Alpha Barracks');
+});
+
+test('typos are tolerated, by query length', () => {
+  assert.strictEqual(first('Hils Staton').name, 'Hills Station');
+  assert.strictEqual(first('Ofshore').name, 'Offshore Station');
+  assert.strictEqual(search.editDistance('station', 'statoin', 2), 1);
+  assert.strictEqual(search.editDistance('abc', 'xyz', 1), 2);
+  assert.deepStrictEqual(names('zzzz', ANY), []);
+});
+
+test('a facility is placed where it is counted, else where its record says', () => {
+  const place = query => local(first(query).place());
+  assert.deepStrictEqual(place('Border Post'), {state: 'Alpha', lga: 'Riverside'});
+  // the record says Alpha; the point lies in Beta
+  assert.deepStrictEqual(place('Hills Station'), {state: 'Beta', lga: 'Hills'});
+  assert.deepStrictEqual(place('Edge Station'), {state: 'Beta', lga: 'Central'});
+  assert.deepStrictEqual(place('Offshore Station'), {state: '', lga: ''});
+  assert.deepStrictEqual(place('Gamma Camp'), {state: 'Gamma', lga: ''});
+  assert.strictEqual(first('Border Post').context(), 'Riverside, Alpha');
+});
+
+test('filters narrow the matches and, with nothing typed, list what passes them', () => {
+  assert.deepStrictEqual(names('', {type: 'police', state: 'Beta', lga: ''}), ['Beta Central Station', 'Edge Station', 'Hills Station']);
+  assert.deepStrictEqual(names('station', {type: 'police', state: 'Alpha', lga: 'Riverside'}), ['Dockside Station', 'Lost Station']);
+  assert.deepStrictEqual(names('', {type: 'checkpoints', state: '', lga: ''}), ['CP-1', 'CP-2']);
+  assert.deepStrictEqual(names('', ANY), []);
+});